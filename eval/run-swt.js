@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// GOLDEN-CORPUS EVALUATION — SWT grading pipeline (v20.2)
+//
+// Runs every case in the corpus through gradeSummary() — the same pipeline
+// /api/grade uses — and reports:
+//   • per-trait accuracy (exact match) and mean absolute error
+//   • PTE mean absolute error, share within ±5 PTE, band accuracy
+//   • every case whose scores moved since the last saved baseline
+//
+// Offline by default: no Claude judge and no Datamuse lookups, so a run is
+// deterministic and needs no API key. Pass --online to include the network
+// stages (results will then vary run to run). With LLM_PROVIDER=offline the
+// content judge answers from fixtures/llm even in offline mode, which keeps
+// the run deterministic while exercising the LLM merge path.
+//
+// Usage:
+//   npm run eval:swt
+//   node eval/run-swt.js [--corpus eval/swt-corpus.json] [--baseline eval/swt-baseline.json]
+//                        [--passages passages.json] [--update-baseline] [--strict] [--online] [--json]
+//
+//   --update-baseline  write this run's scores as the new baseline
+//   --strict           exit 1 if any case changed against the baseline
+//   --json             print the full report as JSON instead of tables
+//
+// Corpus format (JSON): { "cases": [ {
+//   "id": "unique-case-id",
+//   "passageId": 5,                       // bundled/--passages passage, OR
+//   "passage": { "text": "...", "keyElements": { "what": "...", ... } },
+//   "summary": "the student's one-sentence summary",
+//   "expected": { "form": 1, "content": 4, "grammar": 2, "vocabulary": 2, "pte": 90, "band": "Band 9" },
+//   "source": "who marked it / where it came from"
+// } ] }
+// Any expected field may be omitted; only the fields present are scored.
+//
+// v20.25: a case with "task": "sst" is a Summarize Spoken Text response —
+// "passage" holds the transcript and its key elements, and the SST traits
+// (form 0–2, spelling 0–2) are compared, spelling included.
+// ═══════════════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+const TRAITS = ['form', 'content', 'grammar', 'vocabulary', 'spelling'];
+
+function parseArgs(argv) {
+  const opts = {
+    corpus: path.join(__dirname, 'swt-corpus.json'),
+    baseline: path.join(__dirname, 'swt-baseline.json'),
+    passages: path.join(__dirname, '..', 'passages.json'),
+    updateBaseline: false, strict: false, online: false, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--corpus') opts.corpus = path.resolve(argv[++i]);
+    else if (a === '--baseline') opts.baseline = path.resolve(argv[++i]);
+    else if (a === '--passages') opts.passages = path.resolve(argv[++i]);
+    else if (a === '--update-baseline') opts.updateBaseline = true;
+    else if (a === '--strict') opts.strict = true;
+    else if (a === '--online') opts.online = true;
+    else if (a === '--json') opts.json = true;
+    else throw new Error(`Unknown option: ${a}`);
+  }
+  return opts;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function pad(v, n) { return String(v).padEnd(n); }
+function fmt(n) { return n === null || n === undefined ? '—' : (Math.round(n * 100) / 100).toString(); }
+
+// The fields compared against expected/baseline, pulled from a grade result.
+function actualScores(result) {
+  const t = result.trait_scores || {};
+  return {
+    form: t.form, content: t.content, grammar: t.grammar, vocabulary: t.vocabulary, spelling: t.spelling,
+    pte: result.overall_score, band: result.band
+  };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const { gradeSummary } = require('../server');
+
+  const corpus = readJSON(opts.corpus);
+  const cases = Array.isArray(corpus) ? corpus : corpus.cases;
+  if (!Array.isArray(cases) || !cases.length) throw new Error(`No cases in ${opts.corpus}`);
+  const passages = readJSON(opts.passages);
+  const byId = new Map(passages.map(p => [Number(p.id), p]));
+
+  let baseline = null;
+  try { baseline = readJSON(opts.baseline); } catch (_) { /* first run — no baseline yet */ }
+
+  const rows = [];
+  for (const c of cases) {
+    const passage = c.passage || byId.get(Number(c.passageId));
+    if (!passage) { rows.push({ id: c.id, error: `passage ${c.passageId} not found` }); continue; }
+    try {
+      const result = await gradeSummary(c.summary, passage.text, passage.keyElements || {}, { offline: !opts.online, task: c.task });
+      rows.push({ id: c.id, expected: c.expected || {}, actual: actualScores(result), mode: result.mode });
+    } catch (e) {
+      rows.push({ id: c.id, error: e.message });
+    }
+  }
+
+  // ── Per-trait accuracy + MAE ──
+  const metrics = {};
+  for (const field of [...TRAITS, 'pte']) {
+    const scored = rows.filter(r => !r.error && typeof r.expected[field] === 'number' && typeof r.actual[field] === 'number');
+    const errs = scored.map(r => Math.abs(r.actual[field] - r.expected[field]));
+    metrics[field] = {
+      n: scored.length,
+      accuracy: scored.length ? errs.filter(e => e === 0).length / scored.length : null,
+      mae: scored.length ? errs.reduce((a, b) => a + b, 0) / scored.length : null
+    };
+    if (field === 'pte') metrics.pte.within5 = scored.length ? errs.filter(e => e <= 5).length / scored.length : null;
+  }
+  const banded = rows.filter(r => !r.error && r.expected.band);
+  metrics.band = { n: banded.length, accuracy: banded.length ? banded.filter(r => r.actual.band === r.expected.band).length / banded.length : null };
+
+  // ── Diff against baseline ──
+  const changes = [];
+  if (baseline && baseline.cases) {
+    for (const r of rows) {
+      if (r.error) continue;
+      const prev = baseline.cases[r.id];
+      if (!prev) { changes.push({ id: r.id, status: 'new' }); continue; }
+      const moved = Object.keys(r.actual).filter(k => prev[k] !== r.actual[k]).map(k => ({ field: k, from: prev[k], to: r.actual[k], expected: r.expected[k] }));
+      if (moved.length) changes.push({ id: r.id, status: 'changed', fields: moved });
+    }
+    for (const id of Object.keys(baseline.cases)) {
+      if (!rows.some(r => r.id === id)) changes.push({ id, status: 'removed' });
+    }
+  }
+
+  const { version: engineVersion } = require('../package.json');
+  const report = {
+    generated_at: new Date().toISOString(),
+    engine_version: engineVersion,
+    offline: !opts.online,
+    corpus: path.relative(process.cwd(), opts.corpus),
+    metrics,
+    changes,
+    errors: rows.filter(r => r.error),
+    cases: rows
+  };
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`SWT golden corpus — ${rows.length} case(s), ${opts.online ? 'online' : 'offline'} mode`);
+    console.log('');
+    console.log(`${pad('case', 32)}${pad('form', 10)}${pad('content', 10)}${pad('grammar', 10)}${pad('vocab', 10)}${pad('spell', 10)}${pad('pte', 10)}band`);
+    for (const r of rows) {
+      if (r.error) { console.log(`${pad(r.id, 32)}ERROR: ${r.error}`); continue; }
+      const cell = (f) => {
+        const a = r.actual[f], e = r.expected[f];
+        return pad(e === undefined ? fmt(a) : `${fmt(a)}/${fmt(e)}${a === e ? '' : ' ✗'}`, 10);
+      };
+      const bandCell = r.expected.band ? `${r.actual.band} / ${r.expected.band}${r.actual.band === r.expected.band ? '' : ' ✗'}` : r.actual.band;
+      console.log(`${pad(r.id, 32)}${cell('form')}${cell('content')}${cell('grammar')}${cell('vocabulary')}${cell('spelling')}${cell('pte')}${bandCell}`);
+    }
+    console.log('(actual/expected, ✗ = mismatch)');
+    console.log('');
+    console.log(`${pad('trait', 12)}${pad('n', 6)}${pad('accuracy', 12)}mae`);
+    for (const field of [...TRAITS, 'pte']) {
+      const m = metrics[field];
+      console.log(`${pad(field, 12)}${pad(m.n, 6)}${pad(m.accuracy === null ? '—' : Math.round(m.accuracy * 100) + '%', 12)}${fmt(m.mae)}`);
+    }
+    console.log(`${pad('band', 12)}${pad(metrics.band.n, 6)}${metrics.band.accuracy === null ? '—' : Math.round(metrics.band.accuracy * 100) + '%'}`);
+    if (metrics.pte.within5 !== null) console.log(`PTE within ±5: ${Math.round(metrics.pte.within5 * 100)}%`);
+    console.log('');
+    if (!baseline) {
+      console.log(`No baseline at ${path.relative(process.cwd(), opts.baseline)} — run with --update-baseline to create one.`);
+    } else if (!changes.length) {
+      console.log(`No changes against baseline (${baseline.generated_at}).`);
+    } else {
+      console.log(`${changes.length} case(s) changed against baseline (${baseline.generated_at}):`);
+      for (const c of changes) {
+        if (c.status !== 'changed') { console.log(`  ${c.id}: ${c.status}`); continue; }
+        const parts = c.fields.map(f => `${f.field} ${fmt(f.from)} → ${fmt(f.to)}${f.expected !== undefined ? ` (expected ${fmt(f.expected)})` : ''}`);
+        console.log(`  ${c.id}: ${parts.join(', ')}`);
+      }
+    }
+  }
+
+  if (opts.updateBaseline) {
+    const cases = {};
+    for (const r of rows) if (!r.error) cases[r.id] = r.actual;
+    fs.writeFileSync(opts.baseline, JSON.stringify({ generated_at: report.generated_at, engine_version: engineVersion, offline: report.offline, cases }, null, 2) + '\n');
+    if (!opts.json) console.log(`Baseline written to ${path.relative(process.cwd(), opts.baseline)}`);
+  }
+
+  if (report.errors.length) process.exitCode = 1;
+  if (opts.strict && changes.some(c => c.status !== 'new')) process.exitCode = 1;
+}
+
+main().catch(e => {
+  console.error('Eval failed:', e.message);
+  process.exit(1);
+});
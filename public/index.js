@@ -523,8 +523,10 @@ async function loadUserData(uid) {
         quotaDate: data.quotaDate || todayStamp(),
         practiceHistory: data.practiceHistory || [],
         vocabProgress: data.vocabProgress || {},
+        spellingPreference: data.spellingPreference || null,
         templates: data.templates || { band6: BAND6_TEMPLATE, band9: BAND9_TEMPLATE, custom: BAND9_TEMPLATE, default: 'band9' }
       };
+      renderSpellingPreference();
       if (userProfile.email) {
         currentUser.email = userProfile.email;
       }
@@ -627,6 +629,7 @@ async function flushSyncDirect() {
       quotaDate: userProfile?.quotaDate || todayStamp(),
       practiceHistory: userProfile?.practiceHistory || [],
       vocabProgress: userProfile?.vocabProgress || {},
+      spellingPreference: userProfile?.spellingPreference || null,
       templates: userProfile?.templates || { band6: BAND6_TEMPLATE, band9: BAND9_TEMPLATE, custom: BAND9_TEMPLATE, default: 'band9' }
     };
 
@@ -11044,8 +11047,40 @@ async function initApp() {
     console.log('Could not fetch /api/config — using hardcoded admin email');
   }
 
-  // Check for admin impersonation token
   const urlParams = new URLSearchParams(window.location.search);
+
+  // v20.21: arriving from an LMS (LTI) launch — trade the one-time code for a
+  // session, then open the assigned passage.
+  const ltiCode = urlParams.get('lti_launch');
+  if (ltiCode) {
+    const url = new URL(window.location);
+    url.searchParams.delete('lti_launch');
+    window.history.replaceState({}, document.title, url.pathname + url.search);
+    showLoading(true);
+    try {
+      const r = await fetch(API_URL + '/api/lti/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: ltiCode })
+      });
+      const d = await r.json();
+      if (r.ok && d.success) {
+        sessionToken = d.token;
+        localStorage.setItem('pte_session_token', d.token);
+        await enterApp(d.username);
+        if (d.passage_id) { switchSection('swt'); jumpToPassage(d.passage_id); }
+        if (d.teacher_request === 'pending') setTimeout(() => toast('Teacher access requested — an administrator will approve it.'), 50);
+        showLoading(false);
+        return;
+      }
+      setTimeout(() => toast(d.error || 'Course launch failed — please sign in.', true), 50);
+    } catch (e) {
+      console.error('LTI launch redeem failed:', e);
+    }
+    showLoading(false);
+  }
+
+  // Check for admin impersonation token
   let impToken = urlParams.get('impersonate') || sessionStorage.getItem('pte_impersonate_token');
   if (impToken) {
     showLoading(true);
@@ -11450,7 +11485,7 @@ initApp();
 // Boot a minimal state IMMEDIATELY so the login screen can render only if no saved session
 const urlParams = new URLSearchParams(window.location.search);
 const hasImpersonate = urlParams.get('impersonate') || sessionStorage.getItem('pte_impersonate_token');
-if (!hasImpersonate && (!LocalStore.getUserId() || !localStorage.getItem('pte_session_token'))) {
+if (!hasImpersonate && !urlParams.get('lti_launch') && (!LocalStore.getUserId() || !localStorage.getItem('pte_session_token'))) {
   showLogin();
 }
 
@@ -12349,206 +12384,44 @@ async function submitPracticeEssay() {
   const question = practiceState.questionText.trim();
   const wordCount = countWords(essay);
 
-  const prompt = `You are an experienced PTE/IELTS examiner at IPT Brisbane. Score this student essay and give friendly, plain-English feedback. The student is NOT a linguistics expert — explain things in simple language they can act on.
-
-═══════════════════════════════════════════════════════════════
-ESSAY QUESTION:
-${question}
-═══════════════════════════════════════════════════════════════
-STUDENT'S ESSAY (${wordCount} words):
-${essay}
-═══════════════════════════════════════════════════════════════
-
-SCORING RUBRIC (total = 26 points):
-
-• content (0-6): Does the essay actually answer the question? Are all parts of the prompt addressed? Are ideas relevant and developed with examples?
-   - 6: Fully addresses every part, well-developed examples
-   - 4-5: Addresses most parts, mostly relevant
-   - 2-3: Partial answer, weak development
-   - 0-1: Off-topic or very thin
-
-• form (0-2): Word count check ONLY. The exact word count is exactly ${wordCount} words. You MUST use this exact number and do NOT count the words yourself.
-   - 2: Word count is 200-300
-   - 1: Word count is 120-199 OR 301-380
-   - 0: Word count outside 120-380
-
-• spelling (0-2): Count actual spelling errors.
-   - 2: 0 errors
-   - 1: 1-3 errors
-   - 0: 4+ errors
-
-• grammar (0-2): Grammar accuracy.
-   - 2: 0-2 minor errors, never blocks meaning
-   - 1: Several errors but mostly clear
-   - 0: Frequent errors that block meaning
-
-• vocabulary (0-2): Word choice and range.
-   - 2: Wide range, appropriate, precise
-   - 1: Adequate, mostly correct, some repetition
-   - 0: Very limited, repetitive, or many wrong word choices
-
-• linguistic (0-6): Sentence variety and structures.
-   - 6: Varied (simple, compound, complex), confident
-   - 4-5: Some variety, mostly correct
-   - 2-3: Mostly simple sentences, limited range
-   - 0-1: Very repetitive or broken
-
-• coherence (0-6): Flow, organisation, paragraphing, linking words.
-   - 6: Clear paragraphs, smooth transitions, ideas connect
-   - 4-5: Mostly organised, occasional jump
-   - 2-3: Some structure but weak connections
-   - 0-1: Confused or no clear order
-
-═══════════════════════════════════════════════════════════════
-TEMPLATE DETECTOR (IPT BRISBANE-aware):
-
-IMPORTANT CONTEXT: Students at IPT Brisbane are TAUGHT a specific Band 9 essay structure. These phrases below are PART OF THAT TAUGHT STRUCTURE — they are not "memorised templates", they are the correct application of what the student was taught. DO NOT flag them as template-y:
-
- ✓ "The topic of [X] has become increasingly important in recent years"
- ✓ "Its significance lies in its influence on..."
- ✓ "This essay will examine the [X] of [Y] incorporating different perspectives"
- ✓ "To begin with, one major merit / advantage / benefit is..."
- ✓ "Additionally, another significant point in favour / reason is..."
- ✓ "On the other hand, one notable demerit / limitation is..."
- ✓ "Furthermore, another limitation / concern is..."
- ✓ "To conclude, [topic] presents compelling advantages and disadvantages..."
- ✓ "Hence, prioritising the maximisation of..."
- ✓ "Therefore, [solution-oriented closing]..."
- ✓ "For example, ... shows its benefits in practice"
- ✓ "This can be illustrated by..."
- ✓ "[EXTRA IDEA] Moreover, ..."
-
-When you see these IPT phrases, the student is FOLLOWING THE TAUGHT STRUCTURE CORRECTLY — that is a strength, not a weakness.
-
-Choose ONE of three values:
-- "good" = student used the IPT taught structure phrases correctly AND personalised them with topic-specific content (this is what you want to see)
-- "ok" = essay reads naturally; doesn't lean heavily on IPT structure but also no over-rehearsal from elsewhere
-- "flag" = essay is over-rehearsed with phrases from OTHER common templates (e.g. "in today's day and age", "since the dawn of time", "from time immemorial", "it is a multifaceted issue", repetitive transitions, or generic content unrelated to the actual question)
-
-For "templateNote", write a SHORT ENCOURAGING note:
-- If "good": praise it — e.g. "Nice — you applied the IPT Band 9 structure correctly. Keep using these transitions."
-- If "ok": neutral — e.g. "Your writing flows naturally."
-- If "flag": gentle warning about the specific rehearsed phrases you noticed (NOT IPT's taught phrases).
-═══════════════════════════════════════════════════════════════
-
-FEEDBACK STYLE — read this twice before writing feedback:
-1. Use PLAIN ENGLISH. Imagine the student speaks English as a second language and has never studied linguistics.
-2. NO jargon. Don't say "cohesion", "lexical resource", "syntactic variety", "discourse markers". Instead say "how your ideas link together", "the words you chose", "different sentence shapes", "joining words like however".
-3. Be SPECIFIC. Quote 2-3 short phrases from THEIR essay to show what you mean.
-4. Be ACTIONABLE. Tell them what to DO next time, not just what was wrong.
-5. Be ENCOURAGING. Lead with what they did well, then what to fix.
-6. Keep each category's feedback to 2-3 short sentences (max ~50 words).
-
-For "strengths" and "improvements": give 2-3 short bullet-style items each (one sentence each), the most important things only.
-
-═══════════════════════════════════════════════════════════════
-RETURN ONLY A JSON OBJECT — no preamble, no markdown fences. Format:
-
-{
-  "scores": {
-    "content": 6,
-    "form": 2,
-    "spelling": 2,
-    "grammar": 2,
-    "vocabulary": 2,
-    "linguistic": 6,
-    "coherence": 6
-  },
-  "templateDetector": "good",
-  "templateNote": "Nice — you applied the IPT Band 9 structure correctly. Keep using these transitions.",
-  "overallVerdict": "Excellent work! This is close to a top-band essay.",
-  "feedback": {
-    "content": "What you did well: ...  What to improve: ...  Tip: ...",
-    "form": "Word count was X — that's within / outside the 200-300 target...",
-    "spelling": "...",
-    "grammar": "...",
-    "vocabulary": "...",
-    "linguistic": "...",
-    "coherence": "..."
-  },
-  "errors": [
-    {
-      "type": "spelling",
-      "phrase": "the EXACT word or short phrase as it appears in the essay (verbatim, case-sensitive)",
-      "correction": "the corrected version",
-      "explanation": "one short, plain-English sentence explaining the issue"
-    },
-    {
-      "type": "grammar",
-      "phrase": "...",
-      "correction": "...",
-      "explanation": "..."
-    }
-  ],
-  "spellingErrors": ["wrod1", "wrod2"],
-  "grammarIssues": ["short phrase showing the issue", "another"],
-  "strengths": ["You clearly answered both parts of the question.", "Good use of specific examples like X."],
-  "sampleResponse": "A revised version of the essay focusing on the key paragraphs that need improvement (keep it concise, max 150 words total, rather than rewriting the entire essay). If the essay scores a perfect overall score (26/26, equivalent to PTE 90), you do NOT need to rewrite the essay — simply set 'sampleResponse' to 'Congratulations! Your essay is already perfect, so no rewrite is needed.' Highlight the changes: wrap any added or improved words/phrases in <span class='diff-ins'>...</span> and any deleted or replaced words/phrases in <span class='diff-del'>...</span> (you MUST use single quotes for HTML classes to ensure valid JSON). Example: 'This is <span class='diff-del'>bad</span><span class='diff-ins'>suboptimal</span>.'"
-}
-
-CRITICAL for the "errors" array:
-- Include EVERY single spelling issue, grammatical mistake, and style/vocabulary improvement you find in the entire essay. Do not cap it or limit it to 10; list all of them in a single pass.
-- Do NOT hold back style suggestions or wait for the student to fix basic errors first; list ALL errors and potential refinements/upgrades immediately in the first pass so the user can see and fix everything in one go.
-- "phrase" MUST be the exact text from the essay (verbatim — same spelling, same capitalisation). I will search-and-replace it to highlight it. If the same misspelling appears twice, list it once.
-- "type" is "spelling" OR "grammar" — nothing else (categorize style/phrasing refinements under "grammar").
-- If the essay has zero errors, return "errors": [].`;
-
   try {
-    const res = await fetch(API_URL + '/api/claude', {
+    // v20.1: scored server-side by /api/grade-essay — form, grammar, spelling,
+    // vocabulary and linguistic range are deterministic there; only content and
+    // coherence come from the AI judge. Nothing is scored in the browser.
+    const res = await fetch(API_URL + '/api/grade-essay', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 2500,
-        messages: [{ role: 'user', content: prompt }]
-      })
+      body: JSON.stringify({ essay, question, spelling: getSpellingPreference() || undefined })
     });
     if (!res.ok) {
       const t = await res.text();
       throw new Error(`Server returned ${res.status}: ${t.slice(0, 200)}`);
     }
-    const data = await res.json();
-    let text = (data.content || []).map(c => c.text || '').join('').trim();
-    // Strip markdown fences if AI added them
-    text = text.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
-    let result = cleanAndParseJSON(text);
-
-    // Programmatic override for Form score and feedback to prevent LLM word counting errors
-    let calculatedFormScore = 0;
-    let formFeedbackText = '';
-    if (wordCount >= 200 && wordCount <= 300) {
-      calculatedFormScore = 2;
-      formFeedbackText = `Your essay is ${wordCount} words, which is within the required 200–300 word limit. Well done on meeting the length requirement!`;
-    } else if ((wordCount >= 120 && wordCount < 200) || (wordCount > 300 && wordCount <= 380)) {
-      calculatedFormScore = 1;
-      if (wordCount < 200) {
-        formFeedbackText = `Your essay is ${wordCount} words, which is slightly below the 200-word minimum limit. Try to write a bit more to land between 200 and 300 words next time.`;
-      } else {
-        formFeedbackText = `Your essay is ${wordCount} words, which is slightly above the 300-word limit. Try to trim about ${wordCount - 300} words to land between 200 and 300 words next time.`;
-      }
-    } else {
-      calculatedFormScore = 0;
-      if (wordCount < 120) {
-        formFeedbackText = `Your essay is only ${wordCount} words, which is far below the 200-word limit. You must write at least 200 words to avoid heavy form penalties.`;
-      } else {
-        formFeedbackText = `Your essay is ${wordCount} words, which is far above the 300-word limit. You must trim it to land between 200 and 300 words next time.`;
-      }
-    }
-    
-    if (!result.scores) result.scores = {};
-    if (!result.feedback) result.feedback = {};
-    
-    result.scores.form = calculatedFormScore;
-    result.feedback.form = formFeedbackText;
-
-    // Calculate total
-    let total = 0;
-    for (const r of PRACTICE_RUBRIC) {
-      const v = Math.max(0, Math.min(r.max, parseInt(result.scores?.[r.key] || 0)));
-      total += v;
-      result.scores[r.key] = v;
-    }
-    result.scores.total = total;
+    const result = await res.json();
+    const ts = result.trait_scores || {};
+    const fb = result.feedback || {};
+
+    // Map the server's trait names onto the practice rubric keys
+    const scores = {
+      content: ts.content || 0,
+      form: ts.form || 0,
+      spelling: ts.spelling || 0,
+      grammar: ts.grammar || 0,
+      vocabulary: ts.vocabulary || 0,
+      linguistic: ts.linguistic_range || 0,
+      coherence: ts.development || 0
+    };
+    scores.total = typeof result.raw_score === 'number' ? result.raw_score : PRACTICE_RUBRIC.reduce((s, r) => s + scores[r.key], 0);
+    const feedback = {
+      content: fb.content || '',
+      form: fb.form || '',
+      spelling: fb.spelling || '',
+      grammar: fb.grammar || '',
+      vocabulary: fb.vocabulary || '',
+      linguistic: fb.linguistic_range || '',
+      coherence: fb.development || ''
+    };
+    const errors = Array.isArray(result.errors) ? result.errors : [];
 
     // Build the attempt object
     const attempt = {
@@ -12558,18 +12431,22 @@ CRITICAL for the "errors" array:
       questionTitle: practiceState.questionTitle,
       questionText: practiceState.questionText,
       essayText: practiceState.essayText,
-      wordCount: wordCount,
-      scores: result.scores,
-      templateDetector: ['good','ok','flag'].includes(result.templateDetector) ? result.templateDetector : 'ok',
-      templateNote: result.templateNote || '',
-      overallVerdict: result.overallVerdict || '',
-      feedback: result.feedback || {},
-      errors: Array.isArray(result.errors) ? result.errors : [],
-      spellingErrors: Array.isArray(result.spellingErrors) ? result.spellingErrors : [],
-      grammarIssues: Array.isArray(result.grammarIssues) ? result.grammarIssues : [],
+      wordCount: result.word_count || wordCount,
+      scores,
+      pteScore: result.overall_score,
+      band: result.band,
+      scoringVersion: result.scoring_version,
+      aiFeedbackDegraded: !!result.ai_feedback_degraded,
+      templateDetector: ['good','ok','flag'].includes(result.template_detector) ? result.template_detector : 'ok',
+      templateNote: result.template_note || '',
+      overallVerdict: result.overall_verdict || '',
+      feedback,
+      errors,
+      spellingErrors: errors.filter(e => e.type === 'spelling').map(e => e.phrase),
+      grammarIssues: errors.filter(e => e.type !== 'spelling').map(e => e.explanation ? `${e.phrase} — ${e.explanation}` : e.phrase),
       strengths: Array.isArray(result.strengths) ? result.strengths : [],
       improvements: Array.isArray(result.improvements) ? result.improvements : [],
-      sampleResponse: result.sampleResponse || ''
+      sampleResponse: result.sample_response || ''
     };
 
     // Save elapsed (if timer was running) onto the attempt
@@ -12889,8 +12766,11 @@ function renderGrammarSpellingSection(a) {
   const entries = errors.map((err, i) => {
     const typeClass = err.type === 'spelling' ? 'spelling' : 'grammar';
     const typeLabel = err.type === 'spelling' ? 'Spelling' : 'Grammar';
+    // v20.10: rule-engine errors carry the exact replacement ('' = delete)
+    const hasReplacement = typeof err.replacement === 'string';
+    const shownFix = err.correction || (hasReplacement && err.replacement === '' ? '(remove)' : '—');
     return `
-      <div class="gh-card" data-error-id="${i}" onclick="focusErrorInEssay(${i})">
+      <div class="gh-card" data-error-id="${i}"${hasReplacement ? ` data-replacement="${escapeHtml(err.replacement)}"` : ''} onclick="focusErrorInEssay(${i})">
         <div class="gh-card-head">
           <span class="gh-card-type ${typeClass}">${typeLabel}</span>
           <button class="gh-card-apply" onclick="applyErrorFix(event, ${i})" title="Replace this error in the text">Apply</button>
@@ -12898,7 +12778,7 @@ function renderGrammarSpellingSection(a) {
         <div class="gh-card-suggestion">
           <span class="gh-card-old">${escapeHtml(err.phrase)}</span>
           <span class="gh-card-arrow">→</span>
-          <span class="gh-card-new">${escapeHtml(err.correction || '—')}</span>
+          <span class="gh-card-new">${escapeHtml(shownFix)}</span>
         </div>
         ${err.explanation ? `<div class="gh-card-why">${escapeHtml(err.explanation)}</div>` : ''}
       </div>
@@ -12990,9 +12870,11 @@ function applyErrorFix(ev, idx) {
   const span = document.querySelector(`.practice-error[data-error-id="${idx}"]`);
   if (!span) return;
 
-  // Get the correction text from the card's data
-  const newText = card.querySelector('.gh-card-new')?.textContent || '';
-  if (!newText || newText === '—') return;
+  // Get the correction text from the card's data — an exact replacement when
+  // the grader supplied one (may be '' to delete the phrase), else the shown fix
+  const replacement = card.dataset.replacement;
+  const newText = replacement !== undefined ? replacement : (card.querySelector('.gh-card-new')?.textContent || '');
+  if (replacement === undefined && (!newText || newText === '—')) return;
 
   // Replace the underlined span with plain text (correction), inline
   const correctionNode = document.createElement('span');
@@ -13021,46 +12903,66 @@ function applyAllErrorFixes() {
 // return HTML with each phrase wrapped in a clickable .practice-error span carrying
 // data-error-id so it can be cross-linked with sidebar cards.
 // Paragraphs are preserved (double-newline => <p>).
+// v20.10: errors from the rule engine carry {start, end} offsets into the
+// essay — those are underlined exactly; anything without a usable span falls
+// back to the first free occurrence of its phrase in the paragraph.
 function highlightEssayErrors(essayText, errors) {
   if (!essayText) return '';
-  // Step 1: split into paragraphs
-  const paragraphs = essayText.split(/\n\s*\n+/).map(p => p.trim()).filter(Boolean);
+  // Step 1: split into paragraphs, remembering where each one starts
+  const findParas = (re) => {
+    const out = [];
+    let pos = 0;
+    for (const chunk of essayText.split(re)) {
+      const at = essayText.indexOf(chunk, pos);
+      pos = at + chunk.length;
+      const lead = chunk.length - chunk.trimStart().length;
+      if (chunk.trim()) out.push({ text: chunk.trim(), start: at + lead });
+    }
+    return out;
+  };
+  const paragraphs = findParas(/\n\s*\n+/);
   // If only single-newlines, treat each line as a paragraph too
-  const finalParas = paragraphs.length > 1 ? paragraphs : essayText.split(/\n+/).map(p => p.trim()).filter(Boolean);
-
-  // Build a list of unique errors (avoid double-wrapping the same phrase) — preserve original index
-  const seen = new Set();
-  const uniqueErrors = [];
-  errors.forEach((err, originalIdx) => {
-    if (!err || !err.phrase) return;
-    const key = (err.phrase || '').toLowerCase().trim();
-    if (!key || seen.has(key)) return;
-    seen.add(key);
-    uniqueErrors.push({ ...err, originalIdx });
-  });
-  // Sort errors by length DESC so longer phrases match before shorter substrings
-  uniqueErrors.sort((a, b) => (b.phrase || '').length - (a.phrase || '').length);
+  const finalParas = paragraphs.length > 1 ? paragraphs : findParas(/\n+/);
+
+  const valid = errors
+    .map((err, originalIdx) => ({ ...err, originalIdx }))
+    .filter(err => err && err.phrase && String(err.phrase).trim());
+  const hasSpan = err => Number.isInteger(err.start) && Number.isInteger(err.end) && err.end > err.start
+    && essayText.slice(err.start, err.end) === err.phrase;
 
   return finalParas.map(para => {
-    let html = escapeHtml(para);
-    // Apply each error by finding its escaped form
-    for (let i = 0; i < uniqueErrors.length; i++) {
-      const err = uniqueErrors[i];
-      const escapedPhrase = escapeHtml(err.phrase);
-      const placeholder = `\x00ERR_${i}\x00`;
-      const idx = html.indexOf(escapedPhrase);
+    const paraEnd = para.start + para.text.length;
+    const ranges = [];
+    const free = (s, e) => !ranges.some(r => s < r.end && r.start < e);
+    // Exact spans first
+    for (const err of valid) {
+      if (!hasSpan(err) || err.start < para.start || err.end > paraEnd) continue;
+      const s = err.start - para.start, e = err.end - para.start;
+      if (free(s, e)) ranges.push({ start: s, end: e, err });
+    }
+    // Then phrase search, longer phrases first so they win over substrings
+    const seen = new Set();
+    const byPhrase = valid.filter(err => !hasSpan(err)).sort((a, b) => b.phrase.length - a.phrase.length);
+    for (const err of byPhrase) {
+      const key = err.phrase.toLowerCase().trim();
+      if (seen.has(key)) continue;
+      let idx = para.text.indexOf(err.phrase);
+      while (idx !== -1 && !free(idx, idx + err.phrase.length)) idx = para.text.indexOf(err.phrase, idx + 1);
       if (idx === -1) continue;
-      html = html.slice(0, idx) + placeholder + html.slice(idx + escapedPhrase.length);
+      seen.add(key);
+      ranges.push({ start: idx, end: idx + err.phrase.length, err });
     }
-    // Swap placeholders back with .practice-error spans (no tooltip — just underline + click handler)
-    for (let i = 0; i < uniqueErrors.length; i++) {
-      const err = uniqueErrors[i];
-      const placeholder = `\x00ERR_${i}\x00`;
+    ranges.sort((a, b) => a.start - b.start);
+    let html = '';
+    let cursor = 0;
+    for (const { start, end, err } of ranges) {
       const typeClass = (err.type === 'grammar') ? ' grammar' : '';
+      html += escapeHtml(para.text.slice(cursor, start));
       // data-error-id refers to the ORIGINAL index in the errors[] array so the sidebar finds the right card
-      const span = `<span class="practice-error${typeClass}" data-error-id="${err.originalIdx}" onclick="focusErrorCard(${err.originalIdx})">${escapeHtml(err.phrase)}</span>`;
-      html = html.split(placeholder).join(span);
+      html += `<span class="practice-error${typeClass}" data-error-id="${err.originalIdx}" onclick="focusErrorCard(${err.originalIdx})">${escapeHtml(para.text.slice(start, end))}</span>`;
+      cursor = end;
     }
+    html += escapeHtml(para.text.slice(cursor));
     return `<p>${html}</p>`;
   }).join('');
 }
@@ -13340,6 +13242,22 @@ document.addEventListener('input', function(e){
   }
 });
 
+// Spelling variety the grader expects (uk / us / au, or '' = either, but
+// consistently). Saved on the profile so it follows the student across devices.
+function getSpellingPreference(){
+  return (userProfile && userProfile.spellingPreference) || '';
+}
+function renderSpellingPreference(){
+  const sel = document.getElementById('spellingPrefSelect');
+  if (sel) sel.value = getSpellingPreference();
+}
+function setSpellingPreference(val){
+  if (!userProfile) { toast('Sign in to save a spelling preference.'); renderSpellingPreference(); return; }
+  userProfile.spellingPreference = val || null;
+  queueSync();
+  toast(val ? 'Spelling set to ' + val.toUpperCase() + '.' : 'UK or US spelling accepted — just be consistent.');
+}
+
 const TIMER_START_SECONDS = 10 * 60;
 function toggleTimer(){
   timerOn = !timerOn;
@@ -13408,18 +13326,30 @@ async function scoreSummary(){
   showLoading(true);
   const scoreBtn = document.getElementById('scoreBtn');
   if (scoreBtn) scoreBtn.setAttribute('disabled','');
+  let streaming = false;
 
   try {
-    const payload = { type: 'swt', prompt: p.text, keyPoints: p.keyElements, text: text };
+    const payload = { type: 'swt', prompt: p.text, keyPoints: p.keyElements, text: text, trace: true };
     if(currentUserId){ payload.userId = currentUserId; payload.passageId = currentPassageId; }
-
+    if(timerOn) payload.writingSeconds = TIMER_START_SECONDS - timerSeconds;
+    const spelling = getSpellingPreference();
+    if(spelling) payload.spelling = spelling;
+
+    // The first streamed stage swaps the loading veil for the results view,
+    // which then fills in as the remaining stages arrive.
+    const stages = {};
+    const onStage = (event, stage) => {
+      if(!streaming){ streaming = true; showLoading(false); beginStreamingResults(p); }
+      stages[event] = stage;
+      renderStreamingResults(stages, p);
+    };
     const [gradeRes, spellRes] = await Promise.allSettled([
-      fetch(API_URL+'/api/grade',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(payload)}),
-      fetch(API_URL+'/api/spellcheck',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({text})})
+      gradeSummaryStreaming(payload, onStage),
+      fetch(API_URL+'/api/spellcheck',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({ text, passageText: p.text, spelling: spelling || undefined })})
     ]);
 
-    if(gradeRes.status !== 'fulfilled' || !gradeRes.value.ok){ throw new Error('Grading failed'); }
-    const data = await gradeRes.value.json();
+    if(gradeRes.status !== 'fulfilled'){ throw new Error('Grading failed'); }
+    const data = gradeRes.value;
 
     let spellData = null;
     if(spellRes.status === 'fulfilled' && spellRes.value.ok){
@@ -13438,9 +13368,11 @@ async function scoreSummary(){
       const idx = passages.findIndex(x => x.id === currentPassageId);
       if(idx >= 0) passages[idx] = Object.assign({}, passages[idx], data.passage_current);
     }
+    endStreamingResults();
     showResults(data, resultPassage, spellData, text);
     showSwtScreen('swtResultsScreen');
   } catch(e){
+    if(streaming){ endStreamingResults(); showSwtScreen('swtPracticeScreen'); }
     toast('Scoring failed — check your connection and try again.');
   } finally {
     showLoading(false);
@@ -13448,6 +13380,281 @@ async function scoreSummary(){
   }
 }
 
+// ================================================================
+// SUMMARIZE SPOKEN TEXT (v20.25)
+// ================================================================
+// SST items come from /api/sst-items. The transcript stays hidden while an
+// item has audio and comes back with the result. Without audio the browser
+// reads the transcript aloud. The 10-minute clock starts when the lecture
+// ends, or at the first keystroke. Results reuse the SWT results screen;
+// resultsTask tells it which one it is showing.
+const SST_TIME_LIMIT_SECONDS = 10 * 60;
+let sstItems = [];
+let currentSstItem = null;
+let sstSeconds = SST_TIME_LIMIT_SECONDS;
+let sstTimerInterval = null;
+let sstStartedAt = null;
+let resultsTask = 'swt';
+
+function openSstPractice(){
+  stopTimer();
+  showSwtScreen('sstPracticeScreen');
+  if(!sstItems.length) loadSstItems();
+}
+
+function closeSstPractice(){
+  stopSstTimer();
+  if(window.speechSynthesis) window.speechSynthesis.cancel();
+  showSwtScreen('swtPracticeScreen');
+}
+
+async function loadSstItems(){
+  const player = document.getElementById('sstLecturePlayer');
+  try {
+    const res = await fetch(API_URL+'/api/sst-items');
+    if(!res.ok) throw new Error('load failed');
+    sstItems = (await res.json()).items || [];
+  } catch(e){
+    sstItems = [];
+    if(player) player.textContent = 'Could not load lectures — check your connection.';
+    return;
+  }
+  const select = document.getElementById('sstItemSelect');
+  if(select){
+    select.innerHTML = sstItems.map((it, idx) =>
+      `<option value="${idx}">Lecture ${String(idx + 1).padStart(2, '0')}</option>`).join('');
+  }
+  if(!sstItems.length){
+    if(player) player.textContent = 'No lectures have been added yet.';
+    return;
+  }
+  selectSstItem(0);
+}
+
+function selectSstItem(idx){
+  const item = sstItems[idx];
+  if(!item) return;
+  currentSstItem = item;
+  stopSstTimer();
+  if(window.speechSynthesis) window.speechSynthesis.cancel();
+  sstSeconds = SST_TIME_LIMIT_SECONDS;
+  sstStartedAt = null;
+  renderSstTimer();
+
+  const ideaEl = document.getElementById('sstIdeaCount');
+  if(ideaEl) ideaEl.textContent = item.idea_count + ' key idea' + (item.idea_count === 1 ? '' : 's');
+  const player = document.getElementById('sstLecturePlayer');
+  if(player){
+    if(item.audio){
+      player.innerHTML = `<audio controls preload="none" style="width:100%;" src="${escapeHtml(API_URL + '/' + item.audio)}"></audio>`;
+      player.querySelector('audio').addEventListener('ended', startSstTimer);
+    } else {
+      player.innerHTML = '<button class="btn btn-primary" onclick="playSstLecture()">▶ Play lecture</button>';
+    }
+  }
+  const input = document.getElementById('sstSummaryInput');
+  if(input) input.value = '';
+  onSstSummaryInput();
+}
+
+function playSstLecture(){
+  if(!currentSstItem || !currentSstItem.transcript) return;
+  if(!window.speechSynthesis){ toast('This browser cannot play the lecture.'); return; }
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(currentSstItem.transcript);
+  utterance.rate = 0.95;
+  utterance.onend = startSstTimer;
+  window.speechSynthesis.speak(utterance);
+}
+
+function startSstTimer(){
+  if(sstTimerInterval || sstStartedAt) return;
+  sstStartedAt = Date.now();
+  renderSstTimer();
+  sstTimerInterval = setInterval(() => {
+    sstSeconds = Math.max(0, SST_TIME_LIMIT_SECONDS - Math.floor((Date.now() - sstStartedAt) / 1000));
+    renderSstTimer();
+    if(sstSeconds <= 0){
+      stopSstTimer();
+      toast('Time up — submit when you\'re ready.');
+    }
+  }, 1000);
+}
+
+function renderSstTimer(){
+  const disp = document.getElementById('sstTimerDisplay');
+  if(!disp) return;
+  disp.textContent = String(Math.floor(sstSeconds/60)).padStart(2,'0') + ':' + String(sstSeconds%60).padStart(2,'0');
+  disp.classList.toggle('warning', sstSeconds > 0 && sstSeconds <= 60);
+  disp.classList.toggle('expired', sstSeconds <= 0);
+}
+
+function stopSstTimer(){ if(sstTimerInterval){ clearInterval(sstTimerInterval); sstTimerInterval = null; } }
+
+function onSstSummaryInput(){
+  const input = document.getElementById('sstSummaryInput');
+  if(!input) return;
+  const words = countWords(input.value);
+  if(words && !sstStartedAt) startSstTimer();
+  const countEl = document.getElementById('sstWordCount');
+  if(countEl) countEl.textContent = words;
+  const fill = document.getElementById('sstWordMeterFill');
+  if(fill){
+    fill.style.width = Math.min(100, (words / 70) * 100) + '%';
+    fill.classList.toggle('over', words > 70);
+  }
+}
+
+function resetSstSummary(){
+  const input = document.getElementById('sstSummaryInput');
+  if(input) input.value = '';
+  onSstSummaryInput();
+}
+
+async function scoreSstSummary(){
+  const input = document.getElementById('sstSummaryInput');
+  if(!input || !currentSstItem) return;
+  const text = input.value.trim();
+  if(!text){ toast('Write a summary first.'); return; }
+  if(countWords(text) < 10){ toast('Too short — aim for 50–70 words.'); return; }
+
+  showLoading(true);
+  const btn = document.getElementById('sstScoreBtn');
+  if(btn) btn.setAttribute('disabled','');
+  try {
+    const payload = { itemId: currentSstItem.id, text, trace: true };
+    if(sstStartedAt) payload.writingSeconds = Math.round((Date.now() - sstStartedAt) / 1000);
+    const spelling = getSpellingPreference();
+    if(spelling) payload.spelling = spelling;
+    const res = await fetch(API_URL+'/api/grade/sst',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(payload)});
+    if(!res.ok) throw new Error('Grading failed');
+    const data = await res.json();
+    stopSstTimer();
+
+    // The lecture stands in for the passage: its transcript is the text the
+    // results view annotates and its key elements drive the coverage table.
+    const item = data.item_current || {};
+    const lecture = { id: item.id, title: item.title || 'Lecture', text: item.transcript || '', keyElements: item.keyElements || {} };
+    showResults(data, lecture, null, text);
+    showSwtScreen('swtResultsScreen');
+  } catch(e){
+    toast('Scoring failed — check your connection and try again.');
+  } finally {
+    showLoading(false);
+    if(btn) btn.removeAttribute('disabled');
+  }
+}
+
+// v20.20: /api/grade/stream sends each scoring stage as a Server-Sent Event
+// (form, verbatim, grammar, vocabulary, spelling, content) and then the same
+// result /api/grade returns. onEvent hears every stage; the promise resolves
+// with the final result. Servers without the stream route fall back to
+// /api/grade.
+async function gradeSummaryStreaming(payload, onEvent){
+  // The session token lets the server post the score back to an LMS (v20.21).
+  const headers = {'Content-Type':'application/json'};
+  if(sessionToken) headers['x-session-token'] = sessionToken;
+  const res = await fetch(API_URL+'/api/grade/stream',{method:'POST',headers,body:JSON.stringify(payload)});
+  if(res.status === 404){
+    const plain = await fetch(API_URL+'/api/grade',{method:'POST',headers,body:JSON.stringify(payload)});
+    if(!plain.ok) throw new Error('Grading failed');
+    return plain.json();
+  }
+  if(!res.ok) throw new Error('Grading failed');
+  if(!(res.headers.get('Content-Type') || '').includes('text/event-stream')) return res.json();
+
+  let result = null, failure = null, buffer = '';
+  const handleBlock = (block) => {
+    let event = 'message', data = '';
+    block.split('\n').forEach(line => {
+      if(line.startsWith('event:')) event = line.slice(6).trim();
+      else if(line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if(!data) return;
+    let parsed;
+    try { parsed = JSON.parse(data); } catch(e){ return; }
+    if(event === 'result') result = parsed;
+    else if(event === 'error') failure = parsed.error || 'Grading failed';
+    else { try { onEvent(event, parsed); } catch(e){ /* a render hiccup must not abort scoring */ } }
+  };
+  const drain = () => {
+    let cut;
+    while((cut = buffer.indexOf('\n\n')) >= 0){
+      handleBlock(buffer.slice(0, cut));
+      buffer = buffer.slice(cut + 2);
+    }
+  };
+  if(res.body && res.body.getReader){
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    for(;;){
+      const { value, done } = await reader.read();
+      if(done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      drain();
+    }
+  } else {
+    buffer = (await res.text()).replace(/\r\n/g, '\n');
+  }
+  buffer += '\n\n';
+  drain();
+  if(failure) throw new Error(failure);
+  if(!result) throw new Error('Grading stream ended early');
+  return result;
+}
+
+// Results view while the stream is open: the hero fills in stage by stage and
+// the detail sections stay hidden until showResults() renders the final result.
+function beginStreamingResults(passage){
+  const screen = document.getElementById('swtResultsScreen');
+  if(screen){ screen.classList.add('results-streaming'); screen.classList.remove('results-sst'); }
+  const breadcrumbEl = document.getElementById('resultsBreadcrumb');
+  if(breadcrumbEl) breadcrumbEl.textContent = 'Scoring · ' + (passage.title || 'Passage ' + currentPassageId);
+  const heroRing = document.getElementById('heroRing');
+  if(heroRing) heroRing.style.strokeDashoffset = 339.29;
+  const heroScoreEl = document.getElementById('heroScore');
+  if(heroScoreEl) heroScoreEl.textContent = '…';
+  const heroVerdictEl = document.getElementById('heroVerdict');
+  if(heroVerdictEl) heroVerdictEl.textContent = 'Scoring your summary…';
+  ['aiDegradedNotice', 'teacherAdjustedNotice'].forEach(id => {
+    const el = document.getElementById(id);
+    if(el) el.style.display = 'none';
+  });
+  showSwtScreen('swtResultsScreen');
+}
+
+function renderStreamingResults(stages, passage){
+  const cMax = (stages.content && stages.content.content_max) ||
+    Object.values(passage.keyElements || {}).filter(v => typeof v === 'string' && v.trim()).length || 4;
+  const chip = (label, stage, max) => {
+    if(!stage) return `<span class="trait-chip pending">${label} …/${max}</span>`;
+    return `<span class="trait-chip${stage.provisional ? ' provisional' : ''}">${label} ${fmtNum(stage.score)}/${max}${stage.provisional ? '*' : ''}</span>`;
+  };
+  const chips = [
+    chip('Content', stages.content, cMax),
+    chip('Form', stages.form, 1),
+    chip('Grammar', stages.grammar, 2),
+    chip('Vocab', stages.vocabulary, 2)
+  ];
+  if(stages.form) chips.push(`<span class="trait-chip">${stages.form.word_count} / 5–75 words</span>`);
+  if(stages.spelling) chips.push(`<span class="trait-chip">${stages.spelling.count ? stages.spelling.count + ' spelling error' + (stages.spelling.count === 1 ? '' : 's') : 'No spelling errors'}</span>`);
+  const heroTraitChipsEl = document.getElementById('heroTraitChips');
+  if(heroTraitChipsEl) heroTraitChipsEl.innerHTML = chips.join('');
+
+  let status;
+  if(stages.form && !stages.form.valid) status = 'Form check failed: ' + stages.form.reason;
+  else if(stages.content) status = 'Key ideas checked — ' + (stages.content.ideas_captured || []).length + ' of ' + cMax + ' captured. Finalising your score…';
+  else if(stages.grammar) status = 'Grammar and vocabulary checked (* may still change). Judging the key ideas against the passage…';
+  else status = 'Form checked. Checking grammar, vocabulary and spelling…';
+  const heroSummaryEl = document.getElementById('heroSummary');
+  if(heroSummaryEl) heroSummaryEl.textContent = status;
+}
+
+function endStreamingResults(){
+  const screen = document.getElementById('swtResultsScreen');
+  if(screen) screen.classList.remove('results-streaming');
+}
+
 async function saveAttempt(pid, text, data, spellData){
   const ts = new Date().toISOString();
   
@@ -13459,7 +13666,10 @@ async function saveAttempt(pid, text, data, spellData){
   LocalStore.set(getPteStorageKey('summaries'), summaries);
 
   const scores = LocalStore.get(getPteStorageKey('scores')) || {};
-  scores[pid] = Object.assign({}, data, { __text: text, __timestamp: ts, __spellData: spellData || null });
+  // The score trace stays server-side (on the attempt record) — it would
+  // bloat every /api/sync push.
+  const { trace: _trace, ...scoreData } = data;
+  scores[pid] = Object.assign({}, scoreData, { __text: text, __timestamp: ts, __spellData: spellData || null });
   LocalStore.set(getPteStorageKey('scores'), scores);
 
   const h = LocalStore.get(getPteStorageKey('history')) || {};
@@ -13469,7 +13679,9 @@ async function saveAttempt(pid, text, data, spellData){
     overall_score: data.overall_score || 0, band: data.band || 'Band 5',
     trait_scores: data.trait_scores || {}, word_count: data.word_count || 0,
     content_details: data.content_details || {},
-    scoring_version: data.scoring_version || 'unknown'
+    scoring_version: data.scoring_version || 'unknown',
+    passage_revision: data.passage_revision ?? null,
+    attempt_id: data.attempt_id ?? null
   });
   if(h[pid].length > 10) h[pid] = h[pid].slice(0,10);
   LocalStore.set(getPteStorageKey('history'), h);
@@ -13511,6 +13723,11 @@ function showResults(data, passage, spellData, submittedText){
   const pte = data.overall_score || 0;
   const band = data.band || 'Band 5';
   const traits = data.trait_scores || {};
+  resultsTask = data.task === 'sst' ? 'sst' : 'swt';
+  const resultsScreen = document.getElementById('swtResultsScreen');
+  if(resultsScreen) resultsScreen.classList.toggle('results-sst', resultsTask === 'sst');
+  const sbsHead = document.getElementById('sbsPassageHead');
+  if(sbsHead) sbsHead.textContent = resultsTask === 'sst' ? 'Lecture Transcript' : 'Original Passage';
 
   let crumb = 'Results · ' + (passage.title || 'Passage ' + currentPassageId);
   if(data.__timestamp){
@@ -13544,16 +13761,33 @@ function showResults(data, passage, spellData, submittedText){
     }
   }
 
+  // v20.17: a teacher's review replaces the machine score on this attempt.
+  const teacherEl = document.getElementById('teacherAdjustedNotice');
+  if(teacherEl){
+    const review = data.teacher_review;
+    if(review && review.adjusted){
+      const was = review.original && review.original.overall_score != null ? ' (machine score: ' + review.original.overall_score + ')' : '';
+      teacherEl.innerHTML = '<span class="teacher-badge">Adjusted by teacher</span> ' + escapeHtml('Your score was reviewed and changed' + was + '.') +
+        (review.comment ? '<div class="teacher-comment">' + escapeHtml(review.comment) + '</div>' : '');
+      teacherEl.style.display = '';
+    } else {
+      teacherEl.style.display = 'none';
+    }
+  }
+
   const cMax = traits.content_max || 4;
   const heroTraitChipsEl = document.getElementById('heroTraitChips');
   if (heroTraitChipsEl) {
-    heroTraitChipsEl.innerHTML = [
+    const chips = [
       `Content ${fmtNum(traits.content)}/${cMax}`,
-      `Form ${fmtNum(traits.form)}/1`,
-      `Grammar ${fmtNum(traits.grammar)}/2`,
-      `Vocab ${fmtNum(traits.vocabulary)}/2`,
-      `${data.word_count || countWords(submittedText)} / 5–75 words`
-    ].map(t => `<span class="trait-chip">${t}</span>`).join('');
+      `Form ${fmtNum(traits.form)}/${traits.form_max || 1}`,
+      `Grammar ${fmtNum(traits.grammar)}/${traits.grammar_max || 2}`,
+      `Vocab ${fmtNum(traits.vocabulary)}/${traits.vocabulary_max || 2}`
+    ];
+    if(traits.spelling_max) chips.push(`Spelling ${fmtNum(traits.spelling)}/${traits.spelling_max}`);
+    chips.push(`${data.word_count || countWords(submittedText)} / ${resultsTask === 'sst' ? '50–70' : '5–75'} words`);
+    if(data.time_limit && data.time_limit.exceeded) chips.push('Over the 10-minute limit');
+    heroTraitChipsEl.innerHTML = chips.map(t => `<span class="trait-chip">${t}</span>`).join('');
   }
 
   renderOriginality(data, passage, submittedText);
@@ -13561,6 +13795,8 @@ function showResults(data, passage, spellData, submittedText){
   renderAnnotatedPassage(passage);
   renderTraitBreakdown(data, traits);
   renderCoverage(data, passage);
+  renderScoreTrace(data);
+  renderCopyMap(data, passage, submittedText);
 
   const sampleEl = document.getElementById('sampleAnswerText');
   const sampleNotes = document.getElementById('sampleAnswerNotes');
@@ -13600,7 +13836,11 @@ function buildResultSummary(data, traits){
   const captured = (cd.key_ideas_present || []).length;
   const cMax = traits.content_max || 4;
   const parts = [];
-  if(captured === cMax){
+  if(data.task === 'sst'){
+    parts.push(captured === cMax
+      ? 'You captured all ' + cMax + ' key ideas from the lecture.'
+      : 'You captured ' + captured + ' of ' + cMax + ' key ideas from the lecture.');
+  } else if(captured === cMax){
     parts.push('You captured all ' + cMax + ' key ideas in one well-formed sentence.');
   } else {
     parts.push('You captured ' + captured + ' of ' + cMax + ' key ideas in one sentence with appropriate connectors.');
@@ -13618,7 +13858,12 @@ function buildResultSummary(data, traits){
 function renderOriginality(data, passage, submittedText){
   const el = document.getElementById('originalityChecks');
   if (!el) return;
-  const overlap = computeCopyMetrics(submittedText, passage.text || '');
+  // v20.11: prefer the server's span alignment; computeCopyMetrics is the
+  // fallback for results graded before it existed.
+  const alignment = copyAlignment(data);
+  const overlap = alignment
+    ? { pct: alignment.coverage.verbatim + alignment.coverage.lightly_edited, longestRun: alignment.longest_run }
+    : computeCopyMetrics(submittedText, passage.text || '');
 
   let copyVerdict, copyClass, copyDetail;
   if(overlap.pct <= 15 && overlap.longestRun < 6){
@@ -13628,7 +13873,9 @@ function renderOriginality(data, passage, submittedText){
   } else {
     copyVerdict = 'Heavy lifting'; copyClass = 'warn';
   }
-  copyDetail = 'Longest run: ' + overlap.longestRun + ' words · ' + overlap.pct + '% verbatim';
+  copyDetail = alignment
+    ? 'Longest run: ' + overlap.longestRun + ' words · ' + alignment.coverage.verbatim + '% verbatim · ' + alignment.coverage.lightly_edited + '% lightly edited'
+    : 'Longest run: ' + overlap.longestRun + ' words · ' + overlap.pct + '% verbatim';
 
   const aiVerdict = 'Likely Human';
   const aiDetail = 'Burstiness signal · written in-session';
@@ -13657,6 +13904,11 @@ function renderOriginality(data, passage, submittedText){
     </div>`;
 }
 
+function copyAlignment(data){
+  const a = data && data.verbatim_analysis && data.verbatim_analysis.alignment;
+  return a && Array.isArray(a.spans) && a.coverage ? a : null;
+}
+
 function computeCopyMetrics(student, passage){
   function words(s){ return (s||'').toLowerCase().replace(/[^a-z0-9\s]/g,' ').split(/\s+/).filter(Boolean); }
   const sw = words(student), pw = words(passage);
@@ -13746,9 +13998,11 @@ function renderAnnotatedSubmission(data, passage, spellData, submittedText){
     ? data.grammar_details.grammar_annotations : [];
 
   let html = '';
+  let offset = 0;
   for(let i = 0; i < clauses.length; i++){
     const lbl = clauseLabel[i];
-    let inner = annotateGrammar(clauses[i], grammarIssues);
+    let inner = annotateGrammar(clauses[i], grammarIssues, offset);
+    offset += clauses[i].length;
     inner = annotateSpelling(inner, spellWords, true);
     if(lbl){ html += `<span class="ann-seg ${lbl}">${inner}</span>`; }
     else { html += inner; }
@@ -13842,15 +14096,42 @@ function renderAnnotatedPassage(passage){
   el.innerHTML = html;
 }
 
-function annotateGrammar(clause, issues){
+// `offset` is where the clause starts in the full summary. Rule-engine
+// annotations (v20.10) carry {start, end} into that text and are placed
+// exactly; the rest are matched by phrase.
+function annotateGrammar(clause, issues, offset){
   if(!issues || issues.length === 0) return escapeHtml(clause);
   const sorted = [...issues].sort((a,b) => (b.phrase||'').length - (a.phrase||'').length);
-  let result = escapeHtml(clause);
   const lowerClause = clause.toLowerCase();
   const insertions = [];
   const claimed = new Array(clause.length).fill(false);
+  const describe = (issue) => {
+    const fix = issue.fix || (issue.replacement === '' ? '(remove)' : '');
+    const tipParts = [];
+    if(fix) tipParts.push('→ ' + fix);
+    if(issue.rationale) tipParts.push(issue.rationale);
+    return {
+      sev: (issue.severity === 'major') ? 'grammar-major' : 'grammar-minor',
+      tip: tipParts.join('  '), fix, rationale: issue.rationale || ''
+    };
+  };
+  // A span that doesn't line up with the phrase (the text was edited or
+  // trimmed differently) is ignored and the phrase search takes over.
+  const spanned = issue => typeof offset === 'number' && Number.isInteger(issue.start) && Number.isInteger(issue.end)
+    && !(issue.start >= offset && issue.end <= offset + clause.length
+      && clause.slice(issue.start - offset, issue.end - offset).toLowerCase() !== String(issue.phrase || '').toLowerCase());
+  for(const issue of sorted){
+    if(!spanned(issue)) continue;
+    const start = Math.max(issue.start - offset, 0), end = Math.min(issue.end - offset, clause.length);
+    if(end <= start) continue;
+    let conflict = false;
+    for(let i = start; i < end; i++){ if(claimed[i]){ conflict = true; break; } }
+    if(conflict) continue;
+    for(let i = start; i < end; i++) claimed[i] = true;
+    insertions.push({ start, end, ...describe(issue) });
+  }
   for(const issue of sorted){
-    if(!issue.phrase) continue;
+    if(!issue.phrase || spanned(issue)) continue;
     const needle = issue.phrase.toLowerCase();
     let pos = 0;
     while(pos < lowerClause.length){
@@ -13860,16 +14141,7 @@ function annotateGrammar(clause, issues){
       for(let i = idx; i < idx + needle.length; i++){ if(claimed[i]){ conflict = true; break; } }
       if(!conflict){
         for(let i = idx; i < idx + needle.length; i++) claimed[i] = true;
-        const sev = (issue.severity === 'major') ? 'grammar-major' : 'grammar-minor';
-        const tipParts = [];
-        if(issue.fix) tipParts.push('→ ' + issue.fix);
-        if(issue.rationale) tipParts.push(issue.rationale);
-        insertions.push({
-          start: idx, end: idx + needle.length, sev,
-          tip: tipParts.join('  '),
-          fix: issue.fix || '',
-          rationale: issue.rationale || ''
-        });
+        insertions.push({ start: idx, end: idx + needle.length, ...describe(issue) });
       }
       pos = idx + needle.length;
     }
@@ -14049,16 +14321,30 @@ function renderTraitBreakdown(data, traits){
   const cd = data.content_details || {};
   const captured = (cd.key_ideas_present || []).length;
 
+  const sst = data.task === 'sst';
+  const formMax = traits.form_max || 1;
+  let formNote;
+  if(sst){
+    formNote = traits.form >= formMax ? 'Complete sentences within 50–70 words.'
+      : traits.form > 0 ? 'Outside the 50–70 word target — aim for 50–70 words.'
+      : 'Form requirement not met — complete sentences, 40–100 words, no bullet points.';
+  } else {
+    formNote = (traits.form >= 1) ? 'Valid one-sentence summary within word limits.' : 'Form requirement not met — one sentence, 5–75 words.';
+  }
   const rows = [
     { name:'Content', score:traits.content||0, max:cMax,
       note: captured >= cMax ? 'All key elements present.' : captured + ' of ' + cMax + ' key elements present — add the missing one(s).' },
-    { name:'Form', score:traits.form||0, max:1,
-      note: (traits.form >= 1) ? 'Valid one-sentence summary within word limits.' : 'Form requirement not met — one sentence, 5–75 words.' },
-    { name:'Grammar', score:traits.grammar||0, max:2,
-      note: (traits.grammar >= 2) ? 'Clean grammar and connector punctuation.' : 'Check connector punctuation (semicolons) and article use.' },
-    { name:'Vocabulary', score:traits.vocabulary||0, max:2,
+    { name:'Form', score:traits.form||0, max:formMax, note: formNote },
+    { name:'Grammar', score:traits.grammar||0, max:traits.grammar_max || 2,
+      note: (traits.grammar >= 2) ? (sst ? 'Clean grammar across your sentences.' : 'Clean grammar and connector punctuation.')
+        : (sst ? 'Check sentence boundaries, agreement and article use.' : 'Check connector punctuation (semicolons) and article use.') },
+    { name:'Vocabulary', score:traits.vocabulary||0, max:traits.vocabulary_max || 2,
       note: (traits.vocabulary >= 2) ? 'Good academic range.' : 'Range could be wider — swap high-frequency words for academic alternatives.' }
   ];
+  if(traits.spelling_max){
+    rows.push({ name:'Spelling', score:traits.spelling||0, max:traits.spelling_max,
+      note: traits.spelling >= traits.spelling_max ? 'No spelling errors.' : 'Spelling errors cost marks here — proofread before submitting.' });
+  }
 
   el.innerHTML = rows.map(r => {
     const pct = r.max > 0 ? Math.min(100, (r.score / r.max) * 100) : 0;
@@ -14101,6 +14387,128 @@ function renderCoverage(data, passage){
   }).join('');
 }
 
+// "Why this score" — the server's per-stage trace (v20.8). Only present on a
+// fresh grade; reopened attempts from history don't carry it.
+const TRACE_STAGE_LABELS = {
+  validateForm: 'Form check', detectVerbatim: 'Copying check', analyzeSwaps: 'Word swaps',
+  detectFirstPerson: 'First person', checkGrammar: 'Grammar & connector', checkSpelling: 'Spelling',
+  judgeContent: 'Content judge', reconcileContent: 'Idea scoring', contentVerdict: 'Content decision',
+  scoreVocabulary: 'Vocabulary', spellingPenalty: 'Spelling penalty', spellingTrait: 'Spelling score', cohesionPenalty: 'Cohesion penalty',
+  rawAssembly: 'Raw score', overflowPenalty: 'Length penalty', contentCap: 'Content cap',
+  cohesionCap: 'Cohesion cap', bandMapping: 'PTE & band', bandSoftening: 'Band softening',
+  buildFeedbackCard: 'Feedback'
+};
+
+function renderScoreTrace(data){
+  const card = document.getElementById('scoreTraceCard');
+  const body = document.getElementById('scoreTraceBody');
+  if(!card || !body) return;
+  const stages = (data.trace && Array.isArray(data.trace.stages)) ? data.trace.stages : [];
+  if(!stages.length){ card.style.display = 'none'; body.innerHTML = ''; return; }
+  card.style.display = '';
+
+  const fmtVal = v => {
+    if(v == null) return '—';
+    if(typeof v === 'object') return escapeHtml(JSON.stringify(v));
+    return escapeHtml(String(v));
+  };
+  const fmtDelta = d => {
+    if(d == null || d === 0) return '';
+    if(typeof d === 'number') return `<span style="font-weight:700; color:${d < 0 ? 'var(--bad)' : 'var(--good)'};">${d > 0 ? '+' : ''}${fmtNum(Math.round(d * 100) / 100)} raw</span>`;
+    return `<span style="font-weight:700;">${escapeHtml(String(d))}</span>`;
+  };
+  const rows = stages.map(st => `
+    <details style="border-top:1px solid var(--line-soft); padding:6px 0;">
+      <summary style="cursor:pointer; display:flex; gap:10px; align-items:baseline; font-size:12.5px;">
+        <span style="min-width:150px; font-weight:600;">${escapeHtml(TRACE_STAGE_LABELS[st.stage] || st.stage)}</span>
+        <code style="font-size:11.5px; color:var(--ink-soft);">${escapeHtml(st.rule || '')}</code>
+        <span style="margin-left:auto;">${fmtDelta(st.delta)}</span>
+        <span style="min-width:52px; text-align:right; font-size:11px; color:var(--ink-soft);">${st.elapsed_ms} ms</span>
+      </summary>
+      <div style="margin:6px 0 4px 12px; font-size:12px; color:var(--ink-soft); line-height:1.6;">
+        ${st.inputs ? `<div><strong>Inputs:</strong> ${fmtVal(st.inputs)}</div>` : ''}
+        ${st.output ? `<div><strong>Result:</strong> ${fmtVal(st.output)}</div>` : ''}
+      </div>
+    </details>`).join('');
+
+  body.innerHTML = `
+    <details>
+      <summary style="cursor:pointer; font-weight:600; font-size:13px;">▸ Show every scoring step (${stages.length} steps, ${data.trace.total_ms} ms${data.cached ? ', cached result' : ''})</summary>
+      <div style="margin-top:8px;">${rows}</div>
+    </details>`;
+}
+
+// v20.11: side-by-side copy map drawn from verbatim_analysis.alignment.
+// Hovering a span lights up its counterpart in the other column.
+const COPY_MAP_LABELS = {
+  verbatim:       { name: 'Verbatim',       color: 'var(--bad)',  bg: 'var(--bad-bg)' },
+  lightly_edited: { name: 'Lightly edited', color: 'var(--warn)', bg: 'var(--warn-bg)' },
+  paraphrased:    { name: 'Paraphrased',    color: 'var(--how)',  bg: 'var(--how-bg)' },
+  original:       { name: 'Original',       color: 'var(--good)', bg: 'var(--good-bg)' }
+};
+
+function renderCopyMap(data, passage, submittedText){
+  const card = document.getElementById('copyMapCard');
+  const body = document.getElementById('copyMapBody');
+  if(!card || !body) return;
+  const alignment = copyAlignment(data);
+  const student = submittedText || '';
+  const passageText = (passage && passage.text) || '';
+  // Offsets are only trusted when they still line up with the texts on screen
+  const spans = alignment ? alignment.spans.filter(sp => student.slice(sp.start, sp.end) === sp.text) : [];
+  if(!spans.length){ card.style.display = 'none'; body.innerHTML = ''; return; }
+  card.style.display = '';
+
+  const mark = (i, sp, text) => {
+    const lbl = COPY_MAP_LABELS[sp.label] || COPY_MAP_LABELS.original;
+    return `<mark data-copy-span="${i}" title="${escapeHtml(lbl.name)}" style="background:${lbl.bg}; color:inherit; border-bottom:2px solid ${lbl.color}; border-radius:3px; padding:0 1px;" onmouseenter="highlightCopySpan(${i}, true)" onmouseleave="highlightCopySpan(${i}, false)">${escapeHtml(text)}</mark>`;
+  };
+
+  let studentHtml = '', cursor = 0;
+  spans.forEach((sp, i) => {
+    if(sp.start < cursor) return;
+    studentHtml += escapeHtml(student.slice(cursor, sp.start)) + mark(i, sp, sp.text);
+    cursor = sp.end;
+  });
+  studentHtml += escapeHtml(student.slice(cursor));
+
+  const linked = spans
+    .map((sp, i) => ({ sp, i }))
+    .filter(({ sp }) => sp.passage_start != null && sp.passage_end > sp.passage_start
+      && passageText.slice(sp.passage_start, sp.passage_end) === sp.passage_text)
+    .sort((a, b) => a.sp.passage_start - b.sp.passage_start);
+  let passageHtml = '';
+  cursor = 0;
+  for(const { sp, i } of linked){
+    if(sp.passage_start < cursor) continue;
+    passageHtml += escapeHtml(passageText.slice(cursor, sp.passage_start)) + mark(i, sp, sp.passage_text);
+    cursor = sp.passage_end;
+  }
+  passageHtml += escapeHtml(passageText.slice(cursor));
+
+  const cov = alignment.coverage || {};
+  const legendEl = document.getElementById('copyMapLegend');
+  if(legendEl) legendEl.innerHTML = Object.entries(COPY_MAP_LABELS).map(([key, lbl]) =>
+    `<span><i style="background:${lbl.color}"></i>${lbl.name} ${fmtNum(cov[key] || 0)}%</span>`).join('');
+  body.innerHTML = `
+    <div class="side-by-side">
+      <div class="sbs-col">
+        <div class="sbs-head">Original Passage · ${fmtNum(alignment.passage_coverage || 0)}% used</div>
+        <div class="annotated-text">${passageHtml}</div>
+      </div>
+      <div class="sbs-col">
+        <div class="sbs-head">Student Summary · longest copied run ${fmtNum(alignment.longest_run || 0)} words</div>
+        <div class="annotated-text">${studentHtml}</div>
+      </div>
+    </div>`;
+}
+
+function highlightCopySpan(i, on){
+  document.querySelectorAll(`#copyMapBody [data-copy-span="${i}"]`).forEach(el => {
+    el.style.outline = on ? '2px solid currentColor' : '';
+  });
+}
+
 function renderAboutPassage(passage){
   const card = document.getElementById('aboutPassageCard');
   const body = document.getElementById('aboutPassageBody');
@@ -14247,6 +14655,12 @@ function showSample(){
 }
 
 function backToPractice(){
+  if(resultsTask === 'sst'){
+    showSwtScreen('sstPracticeScreen');
+    const sstInput = document.getElementById('sstSummaryInput');
+    if (sstInput) sstInput.focus();
+    return;
+  }
   showSwtScreen('swtPracticeScreen');
   switchWriteTab('write');
   const summaryInputEl = document.getElementById('summaryInput');
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// INSTITUTION API KEYS SELF-TEST (v20.22)
+//
+// Loads the server in-process against a scratch JSON data directory and a
+// shifted clock, then drives the keyed API over HTTP:
+//   • key and client ids, including a store written with the old shared id
+//   • scope refusal (403, nothing written to the ledger)
+//   • the per-key one-minute rate window, and its reset
+//   • the monthly quota, seeded from the ledger and rolled over at month end
+//   • the usage ledger, through the admin report and on disk
+//
+// Usage:
+//   npm run api:selftest
+//   node scripts/api-keys-selftest.js
+//
+// Exits 1 on any failure. Postgres is never used, whatever DATABASE_URL says.
+// ═══════════════════════════════════════════════════════════════════════════════
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_KEY = 'selftest-admin';
+const SEEDED_KEY = 'pte_seed0001_selftest';
+const START = Date.UTC(2031, 0, 31, 23, 58, 0);   // two minutes before February
+
+// ── Clock: every Date the server makes is shifted by `offset` ──
+const RealDate = Date;
+let offset = START - RealDate.now();
+global.Date = class extends RealDate {
+  constructor(...args) { if (args.length) super(...args); else super(RealDate.now() + offset); }
+  static now() { return RealDate.now() + offset; }
+};
+const setClock = (ms) => { offset = ms - RealDate.now(); };
+
+// ── Scratch data: a store from before keys had their own ids, and a ledger
+// with last month's calls and this month's ──
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-selftest-'));
+const stamp = (iso) => new RealDate(iso).toISOString();
+fs.writeFileSync(path.join(DATA_DIR, 'api_clients.json'), JSON.stringify({
+  next_id: 3,
+  clients: [{ id: 1, name: 'Seeded college', contact: '', disabled: false, created_at: stamp('2030-11-01'), updated_at: stamp('2030-11-01') }],
+  keys: [{
+    id: 2, client_id: 1, label: 'seeded', prefix: 'pte_seed0001', key_hash: crypto.createHash('sha256').update(SEEDED_KEY).digest('hex'),
+    scopes: ['spellcheck'], rate_limit_per_minute: 100, monthly_quota: 3, created_at: stamp('2030-11-01'), revoked_at: null, replaced_by: null
+  }]
+}));
+const ledgerRow = (id, at) => ({ id, client_id: 1, key_id: 2, route: '/api/spellcheck', status: 200, duration_ms: 5, llm_calls: 0, input_tokens: 0, output_tokens: 0, created_at: stamp(at) });
+fs.writeFileSync(path.join(DATA_DIR, 'api_usage.json'), JSON.stringify({
+  next_id: 5,
+  usage: [ledgerRow(1, '2030-12-30T10:00:00Z'), ledgerRow(2, '2030-12-31T10:00:00Z'), ledgerRow(3, '2031-01-05T10:00:00Z'), ledgerRow(4, '2031-01-20T10:00:00Z')]
+}));
+
+for (const k of ['DATABASE_URL', 'DATABASE_PUBLIC_URL', 'PGURL', 'ANTHROPIC_API_KEY', 'NODE_ENV']) delete process.env[k];
+Object.assign(process.env, { RAILWAY_VOLUME_MOUNT_PATH: DATA_DIR, LLM_PROVIDER: 'offline', ADMIN_KEY });
+const { app } = require('../server');
+
+let BASE = '';
+async function call(method, url, { key, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key === 'admin') headers['x-admin-key'] = ADMIN_KEY;
+  else if (key) headers['x-api-key'] = key;
+  const res = await fetch(BASE + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  let json = null;
+  try { json = await res.json(); } catch (_) { /* not JSON */ }
+  return { status: res.status, headers: res.headers, body: json || {} };
+}
+
+const spellcheck = (key) => call('POST', '/api/spellcheck', { key, body: { text: 'The resarch was published last year.' } });
+
+// Ledger rows are written once the response closes, so give them a moment.
+async function ledgerRows(keyId, expected) {
+  let rows = [];
+  for (let i = 0; i < 20; i++) {
+    rows = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'api_usage.json'), 'utf8')).usage.filter(u => u.key_id === keyId);
+    if (rows.length >= expected) break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  return rows;
+}
+
+async function selftest() {
+  const results = [];
+  const check = (name, ok, detail = '') => { results.push(ok); console.log(`${ok ? 'PASS' : 'FAIL'}  ${name}${detail ? ' — ' + detail : ''}`); };
+
+  // 1. Ids: keys are numbered on their own, after the ones already issued
+  const created = await call('POST', '/api/admin/api-clients', { key: 'admin', body: { name: 'Selftest college', scopes: ['spellcheck'], rate_limit_per_minute: 2 } });
+  const client = created.body.client;
+  const key = created.body.key;
+  const apiKey = created.body.api_key;
+  check('a client is created with its first key', created.status === 200 && !!apiKey, `client ${client && client.id}, key ${key && key.id}`);
+  check('the new key continues after the last key id', !!key && key.id === 3, `key ${key && key.id}`);
+  const second = await call('POST', `/api/admin/api-clients/${client.id}/keys`, { key: 'admin', body: { label: 'spare' } });
+  const other = await call('POST', '/api/admin/api-clients', { key: 'admin', body: { name: 'Another college' } });
+  check('clients and keys keep separate sequences', second.body.key?.id === key.id + 1 && other.body.client?.id === client.id + 1,
+    `key ${second.body.key?.id}, client ${other.body.client?.id}`);
+
+  // 2. Scope refusal
+  const passages = await call('GET', '/api/passages', { key: apiKey });
+  check('a key without passages:read is refused the passage list', passages.status === 403, `${passages.status} ${passages.body.error || ''}`);
+  const grade = await call('POST', '/api/grade', { key: apiKey, body: { type: 'swt', prompt: '-', text: 'A summary.' } });
+  check('a key without grade is refused grading', grade.status === 403, String(grade.status));
+
+  // 3. Rate window: two calls a minute
+  const r1 = await spellcheck(apiKey);
+  const r2 = await spellcheck(apiKey);
+  check('calls within the rate limit go through', r1.status === 200 && r2.status === 200 && r2.headers.get('ratelimit-remaining') === '0',
+    `${r1.status}, ${r2.status}, remaining ${r2.headers.get('ratelimit-remaining')}`);
+  const r3 = await spellcheck(apiKey);
+  check('the call over the limit is a 429 with Retry-After', r3.status === 429 && Number(r3.headers.get('retry-after')) > 0,
+    `${r3.status}, retry after ${r3.headers.get('retry-after')}s`);
+  setClock(START + 61 * 1000);
+  const r4 = await spellcheck(apiKey);
+  check('the window resets after a minute', r4.status === 200 && r4.headers.get('ratelimit-remaining') === '1', `${r4.status}, remaining ${r4.headers.get('ratelimit-remaining')}`);
+
+  // 4. Ledger: the three calls let through, not the refused ones
+  const rows = await ledgerRows(key.id, 3);
+  check('the ledger has one row per call let through', rows.length === 3 && rows.every(u => u.route === '/api/spellcheck' && u.status === 200 && u.client_id === client.id),
+    `${rows.length} rows: ${rows.map(u => `${u.route} ${u.status}`).join(', ')}`);
+  const report = await call('GET', `/api/admin/api-clients/${client.id}/usage`, { key: 'admin' });
+  const reported = (report.body.keys || []).find(k => k.id === key.id);
+  check('the admin usage report counts them', report.body.totals?.calls === 3 && reported?.calls === 3 && report.body.month === '2031-01',
+    `${report.body.month}: ${report.body.totals?.calls} calls`);
+  const own = await call('GET', '/api/usage', { key: apiKey });
+  check("the key's own usage view counts them", own.body.usage?.calls === 3, `${own.body.usage?.calls} calls`);
+
+  // 5. Monthly quota: 3 a month, two already used in January per the ledger
+  const q1 = await spellcheck(SEEDED_KEY);
+  check("the quota counts this month's ledger rows, not last month's", q1.status === 200 && q1.headers.get('x-quota-remaining') === '0',
+    `${q1.status}, remaining ${q1.headers.get('x-quota-remaining')}`);
+  const q2 = await spellcheck(SEEDED_KEY);
+  check('the call over the quota is a 429', q2.status === 429 && /Monthly quota/.test(q2.body.error || ''), `${q2.status} ${q2.body.error || ''}`);
+
+  // 6. Rollover into February
+  setClock(Date.UTC(2031, 1, 1, 0, 0, 30));
+  const q3 = await spellcheck(SEEDED_KEY);
+  check('the quota starts again in a new month', q3.status === 200 && q3.headers.get('x-quota-remaining') === '2',
+    `${q3.status}, remaining ${q3.headers.get('x-quota-remaining')}`);
+  await ledgerRows(2, 6);
+  const jan = await call('GET', '/api/admin/api-clients/1/usage?month=2031-01', { key: 'admin' });
+  const feb = await call('GET', '/api/admin/api-clients/1/usage?month=2031-02', { key: 'admin' });
+  check('each month is reported from its own ledger rows', jan.body.totals?.calls === 3 && feb.body.totals?.calls === 1,
+    `January ${jan.body.totals?.calls}, February ${feb.body.totals?.calls}`);
+
+  const failed = results.filter(ok => !ok).length;
+  console.log(failed ? `\n${failed} check(s) failed.` : `\nAll ${results.length} checks passed.`);
+  return failed === 0;
+}
+
+const server = app.listen(0, '127.0.0.1', async () => {
+  BASE = `http://127.0.0.1:${server.address().port}`;
+  let ok = false;
+  try { ok = await selftest(); } catch (e) { console.error('Self-test failed:', e); }
+  server.close();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  // The server module keeps timers of its own running.
+  process.exit(ok ? 0 : 1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// SPELLING WORD LIST BUILD (v20.9)
+//
+// Rebuilds dictionaries/english.json from the SCOWL word lists packaged as
+// wordlist-english (a devDependency, pinned to SCOWL_PACKAGE_VERSION below).
+// Sizes 10-60 of the English, American, British, Australian and Canadian
+// lists are merged and lower-cased; each word lands in the lowest size it
+// appears in, so `tiers` doubles as a frequency ranking for the lexicon build.
+//
+// Usage:
+//   npm run build:english
+//   node scripts/build-english.js [--check]
+//
+//   --check   don't write; exit 1 if english.json is out of date
+//
+// Changing SCOWL_PACKAGE_VERSION (and the devDependency with it) is how the
+// word list is upgraded; rebuild lexicon.json afterwards, since its tiers
+// come from this file.
+// ═══════════════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+const DICTIONARY_DIR = path.join(__dirname, '..', 'dictionaries');
+const OUT = path.join(DICTIONARY_DIR, 'english.json');
+const SCOWL_PACKAGE_VERSION = '1.2.1';
+const SIZES = ['10', '20', '35', '40', '50', '55', '60'];
+const VARIETIES = ['english', 'american', 'british', 'australian', 'canadian'];
+
+function loadScowl() {
+  let dir;
+  try { dir = path.dirname(require.resolve('wordlist-english/package.json')); } catch (_) {
+    throw new Error('wordlist-english is not installed — run npm install (it is a devDependency)');
+  }
+  const { version } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  if (version !== SCOWL_PACKAGE_VERSION) {
+    throw new Error(`wordlist-english ${version} is installed; this build is pinned to ${SCOWL_PACKAGE_VERSION}`);
+  }
+  return (variety, size) => JSON.parse(fs.readFileSync(path.join(dir, `${variety}-words-${size}.json`), 'utf8'));
+}
+
+function build() {
+  const read = loadScowl();
+  const seen = new Set();
+  const tiers = {};
+  for (const size of SIZES) {
+    const words = new Set();
+    for (const variety of VARIETIES) {
+      for (const w of read(variety, size)) {
+        const lower = w.toLowerCase();
+        if (!seen.has(lower)) words.add(lower);
+      }
+    }
+    for (const w of words) seen.add(w);
+    tiers[size] = [...words].sort().join(' ');
+  }
+  return {
+    version: '1.0.0',
+    source: `SCOWL size 60 word lists (wordlist.aspell.net), via wordlist-english ${SCOWL_PACKAGE_VERSION} — see SCOWL-COPYRIGHT. Built by scripts/build-english.js.`,
+    note: 'Space-separated lower-case words grouped by SCOWL size; a lower size means a more common word. Includes the American, British, Australian and Canadian variant lists.',
+    tiers
+  };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const english = build();
+  const text = JSON.stringify(english, null, 1) + '\n';
+  if (check) {
+    const current = fs.existsSync(OUT) ? fs.readFileSync(OUT, 'utf8') : '';
+    if (current !== text) { console.error('dictionaries/english.json is out of date — run npm run build:english'); process.exit(1); }
+    console.log('dictionaries/english.json is up to date.');
+    return;
+  }
+  fs.writeFileSync(OUT, text);
+  const words = Object.values(english.tiers).reduce((n, t) => n + t.split(' ').length, 0);
+  console.log(`${words} words in ${SIZES.length} tiers → ${path.relative(process.cwd(), OUT)} (${fs.statSync(OUT).size} bytes)`);
+}
+
+try { main(); } catch (e) {
+  console.error('Word list build failed:', e.message);
+  process.exit(1);
+}
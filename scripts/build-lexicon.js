@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEXICON BUILD (v20.12)
+//
+// Rebuilds dictionaries/lexicon.json from three inputs:
+//   • WordNet 3.1, from the wordnet-db devDependency (npm install first)
+//   • dictionaries/english.json — SCOWL frequency tiers, which decide what
+//     counts as a common word
+//   • dictionaries/lexicon-curated.json — the hand-curated layers. This is the
+//     file to edit: a curated synonym or antonym list replaces WordNet's for
+//     that word, and phrases/academic/upgrades are copied through.
+//
+// Usage:
+//   npm run build:lexicon
+//   node scripts/build-lexicon.js [--check]
+//
+//   --check   don't write; exit 1 if lexicon.json is out of date
+//
+// The output has one entry per line, so a rebuild diffs word by word.
+// ═══════════════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+const DICTIONARY_DIR = path.join(__dirname, '..', 'dictionaries');
+const OUT = path.join(DICTIONARY_DIR, 'lexicon.json');
+
+function loadWordNet() {
+  let wordnet;
+  try { wordnet = require('wordnet-db'); } catch (_) {
+    throw new Error('wordnet-db is not installed — run npm install (it is a devDependency)');
+  }
+  const FILES = { n: 'noun', v: 'verb', a: 'adj', r: 'adv' };
+  const index = new Map(); // lemma -> [{ pos, offsets, tagged }]
+  const data = {};         // pos -> offset -> { type, words, ptrs }
+  for (const [p, file] of Object.entries(FILES)) {
+    for (const line of fs.readFileSync(path.join(wordnet.path, `index.${file}`), 'utf8').split('\n')) {
+      if (!line || line.startsWith(' ')) continue;
+      const f = line.trim().split(' ');
+      const synsetCnt = Number(f[2]);
+      const pCnt = Number(f[3]);
+      if (!index.has(f[0])) index.set(f[0], []);
+      index.get(f[0]).push({ pos: p, offsets: f.slice(6 + pCnt, 6 + pCnt + synsetCnt), tagged: Number(f[5 + pCnt]) });
+    }
+    data[p] = new Map();
+    for (const line of fs.readFileSync(path.join(wordnet.path, `data.${file}`), 'utf8').split('\n')) {
+      if (!line || line.startsWith(' ')) continue;
+      const body = line.split(' | ')[0].split(' ');
+      const wCnt = parseInt(body[3], 16);
+      const words = [];
+      let k = 4;
+      for (let w = 0; w < wCnt; w++) { words.push(body[k].replace(/\(.*\)$/, '')); k += 2; }
+      const ptrCnt = Number(body[k++]);
+      const ptrs = [];
+      for (let q = 0; q < ptrCnt; q++) {
+        ptrs.push({ sym: body[k], offset: body[k + 1], pos: body[k + 2] === 's' ? 'a' : body[k + 2], src: parseInt(body[k + 3].slice(0, 2), 16), tgt: parseInt(body[k + 3].slice(2), 16) });
+        k += 4;
+      }
+      data[p].set(body[0], { type: body[2], words, ptrs });
+    }
+  }
+  return { index, synset: (pos, off) => data[pos].get(off) };
+}
+
+// WordNet usage-domain synsets: colloquialism and the two slang senses.
+const USAGE_INFORMAL = new Set(['07089193', '07174118', '07171981']);
+const LIGHT_VERBS = new Set(['be', 'have', 'do', 'go', 'get', 'let', 'put', 'set']);
+const LATINATE = /(tion|sion|ity|ous|ive|ate|ise|ize|ence|ance|ent|ant|ical|ment|ure)$/;
+
+function build() {
+  const english = JSON.parse(fs.readFileSync(path.join(DICTIONARY_DIR, 'english.json'), 'utf8'));
+  const curated = JSON.parse(fs.readFileSync(path.join(DICTIONARY_DIR, 'lexicon-curated.json'), 'utf8'));
+  const tier = new Map();
+  for (const [t, words] of Object.entries(english.tiers)) for (const w of words.split(' ')) if (!tier.has(w)) tier.set(w, Number(t));
+  const isCommon = (w, max = 40) => tier.has(w) && tier.get(w) <= max;
+  const okWord = (w) => /^[a-z]+(?:[ -][a-z]+)?$/.test(w);
+  const clean = (w) => w.replace(/_/g, ' ');
+  const { index, synset } = loadWordNet();
+
+  // ── WordNet layer: lemmas in SCOWL tiers 10-35, single words only ──
+  const entries = {};
+  const informal = new Set();
+  for (const [lemma, list] of index) {
+    if (!/^[a-z]+$/.test(lemma) || lemma.length < 3 || !isCommon(lemma, 35)) continue;
+    const syn = [], ant = [], pos = [];
+    const maxTagged = Math.max(...list.map(x => x.tagged));
+    for (const { pos: p, offsets, tagged } of list) {
+      // A part of speech the word is rarely used as ("despite" the noun) adds noise.
+      if (maxTagged >= 5 && tagged * 5 < maxTagged) continue;
+      if (!tagged && tier.get(lemma) > 20) continue;
+      pos.push(p);
+      offsets.slice(0, 2).forEach((off, si) => {
+        const ss = synset(p, off);
+        if (!ss) return;
+        for (const w of ss.words) {
+          const c = clean(w);
+          if (w !== w.toLowerCase() || c === lemma || !okWord(c) || c.includes(' ') || LIGHT_VERBS.has(c)) continue;
+          // second senses only contribute very common words
+          if (isCommon(c, si === 0 ? 40 : 20) && !syn.includes(c)) syn.push(c);
+        }
+        if (si === 0 && list[0].pos === p && ss.ptrs.some(x => x.sym === ';u' && USAGE_INFORMAL.has(x.offset))) informal.add(lemma);
+      });
+      // Antonyms: lexical antonym pointers on the lemma's own word in its top
+      // senses, plus (adjective satellites) the antonyms of the cluster head.
+      offsets.slice(0, 3).forEach(off => {
+        const ss = synset(p, off);
+        if (!ss) return;
+        const wi = ss.words.findIndex(w => w.toLowerCase() === lemma) + 1;
+        const add = (ptr) => {
+          const t = synset(ptr.pos, ptr.offset);
+          if (!t) return;
+          const targets = ptr.tgt ? [t.words[ptr.tgt - 1]] : t.words.slice(0, 1);
+          for (const w of targets) { const c = clean(w); if (okWord(c) && isCommon(c.split(' ')[0]) && !ant.includes(c)) ant.push(c); }
+          // first-sense synonyms of the antonym: "increase" ≠ "decrease" ≈ "reduction"
+          for (const w of t.words.slice(0, 4)) { const c = clean(w); if (okWord(c) && !c.includes(' ') && isCommon(c, 35) && !ant.includes(c) && c !== lemma) ant.push(c); }
+        };
+        for (const ptr of ss.ptrs) if (ptr.sym === '!' && (ptr.src === 0 || ptr.src === wi)) add(ptr);
+        if (ss.type === 's') {
+          const head = ss.ptrs.find(x => x.sym === '&');
+          const h = head && synset('a', head.offset);
+          if (h) for (const ptr of h.ptrs) if (ptr.sym === '!') add(ptr);
+        }
+      });
+    }
+    if (!pos.length) continue;
+    const keptSyn = syn.filter(w => !ant.includes(w)).slice(0, 8);
+    if (!keptSyn.length && !ant.length) continue;
+    entries[lemma] = { pos: [...new Set(pos)].join(''), syn: keptSyn, ant: ant.filter(w => w !== lemma).slice(0, 10) };
+  }
+
+  // ── curated layers (authoritative); cur records which fields they set ──
+  const ensure = (w) => entries[w] || (entries[w] = { pos: '', syn: [], ant: [] });
+  for (const [w, syns] of Object.entries(curated.synonyms)) {
+    const e = ensure(w);
+    e.syn = [...new Set(syns)];
+    e.cur = (e.cur || '') + 's';
+  }
+  for (const [w, ants] of Object.entries(curated.antonyms)) {
+    const e = ensure(w);
+    e.ant = [...new Set(ants)];
+    e.syn = e.syn.filter(s => !e.ant.includes(s));
+    e.cur = (e.cur || '') + 'a';
+  }
+  for (const [w, p] of Object.entries(curated.phrases)) {
+    const e = ensure(w);
+    e.pos = [...new Set((e.pos + p.pos).split(''))].join('');
+    e.ant = [...new Set(p.ant)];
+    e.syn = p.syn.length ? p.syn.slice() : e.syn.filter(s => !e.ant.includes(s));
+    e.cur = (e.cur || '') + (p.syn.length ? 'sa' : 'a');
+  }
+
+  // ── register ──
+  const academic = new Set([...curated.academic, ...Object.values(curated.upgrades).flat()].filter(w => !w.includes(' ')));
+  const registerOf = (w) => informal.has(w) ? 'informal'
+    : academic.has(w) || (tier.get(w) >= 35 && tier.get(w) <= 40 && LATINATE.test(w) && w.length >= 7) ? 'academic' : null;
+  const out = {};
+  for (const w of Object.keys(entries).sort()) {
+    const e = entries[w];
+    const rec = {};
+    if (e.pos) rec.pos = e.pos;
+    if (e.cur) rec.cur = [...new Set(e.cur.split(''))].sort().reverse().join('');
+    if (e.syn.length) rec.syn = e.syn.filter(s => s !== w);
+    if (e.ant.length) rec.ant = e.ant.filter(s => s !== w);
+    const reg = registerOf(w);
+    if (reg) rec.reg = reg;
+    if (!rec.syn && !rec.ant) continue;
+    out[w] = rec;
+  }
+  // Register tags for synonym-only words, so "utilise" reads as academic
+  // even without an entry of its own.
+  const registers = {};
+  for (const rec of Object.values(out)) for (const s of rec.syn || []) { const r = registerOf(s); if (r && !out[s]) registers[s] = r; }
+
+  return {
+    version: curated.version,
+    source: 'WordNet 3.1 (Princeton University, via the wordnet-db 3.1.14 package); word frequency tiers from dictionaries/english.json (SCOWL); curated PTE swap tables from dictionaries/lexicon-curated.json. Built by scripts/build-lexicon.js.',
+    note: 'Headwords are WordNet lemmas in SCOWL tiers 10-35. syn = members of the lemma\'s first one or two tagged senses (plus similar-to adjectives), limited to common words; ant = WordNet antonyms and their first-sense synonyms. Curated entries (dictionaries/lexicon-curated.json: synonyms, antonyms and the connector/preposition reversals such as despite -> because of) take precedence. pos letters: n noun, v verb, a adjective, r adverb, p preposition, c conjunction/connector. cur lists the curated fields (s = syn, a = ant); WordNet-only noun synonyms are suggestions, never swap credit. reg: academic | informal (absent = neutral); informal comes from WordNet usage labels, academic from the curated academic list plus low-frequency Latinate forms. upgrades maps basic words (as written) to academic alternatives.',
+    license: 'WordNet 3.1 license — see WORDNET-LICENSE',
+    entries: out,
+    registers,
+    upgrades: curated.upgrades
+  };
+}
+
+// One entry (register, upgrade) per line.
+function serialize(lexicon) {
+  const block = (obj) => '{\n' + Object.entries(obj).map(([k, v]) => `${JSON.stringify(k)}:${JSON.stringify(v)}`).join(',\n') + '\n}';
+  const head = ['version', 'source', 'note', 'license'].map(k => `${JSON.stringify(k)}:${JSON.stringify(lexicon[k])}`);
+  const body = ['entries', 'registers', 'upgrades'].map(k => `${JSON.stringify(k)}:${block(lexicon[k])}`);
+  return '{\n' + [...head, ...body].join(',\n') + '\n}\n';
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const lexicon = build();
+  const text = serialize(lexicon);
+  if (check) {
+    const current = fs.existsSync(OUT) ? fs.readFileSync(OUT, 'utf8') : '';
+    if (current !== text) { console.error('dictionaries/lexicon.json is out of date — run npm run build:lexicon'); process.exit(1); }
+    console.log('dictionaries/lexicon.json is up to date.');
+    return;
+  }
+  fs.writeFileSync(OUT, text);
+  console.log(`${Object.keys(lexicon.entries).length} entries, ${Object.keys(lexicon.registers).length} register-only words → ${path.relative(process.cwd(), OUT)} (${fs.statSync(OUT).size} bytes)`);
+}
+
+try { main(); } catch (e) {
+  console.error('Lexicon build failed:', e.message);
+  process.exit(1);
+}
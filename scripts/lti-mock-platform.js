@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// LTI 1.3 MOCK PLATFORM (v20.21)
+//
+// A minimal stand-in for Moodle/Canvas to test the tool's LTI endpoints
+// locally: it registers itself with the running server through the admin API,
+// then plays the platform side of
+//   • OIDC login → id_token form post (resource link and deep linking launches)
+//   • the OAuth2 client-credentials token endpoint (JWT client assertion)
+//   • the AGS scores service, recording every score the tool posts back
+//   • the deep linking return URL, verifying the tool's signed response
+//
+// Usage:
+//   npm run lti:mock                     # open http://localhost:4100 and click through
+//   node scripts/lti-mock-platform.js --selftest
+//
+//   --selftest   drive a student launch, a graded attempt, a replayed launch,
+//                a teacher deep link and the teacher-role approval headlessly;
+//                exit 1 on any failure
+//
+// Environment: TOOL_URL (default http://localhost:3001), MOCK_PORT (4100),
+// ADMIN_KEY (default admin123, as in local dev), PASSAGE (passage id, 1).
+// ═══════════════════════════════════════════════════════════════════════════════
+const crypto = require('crypto');
+const express = require('express');
+
+const TOOL_URL = (process.env.TOOL_URL || 'http://localhost:3001').replace(/\/+$/, '');
+const PORT = Number(process.env.MOCK_PORT) || 4100;
+const ADMIN_KEY = process.env.ADMIN_KEY || 'admin123';
+const PASSAGE = String(process.env.PASSAGE || '1');
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = 'mock-client';
+const DEPLOYMENT_ID = 'mock-deployment-1';
+const LTI = 'https://purl.imsglobal.org/spec/lti/claim/';
+const LTI_DL = 'https://purl.imsglobal.org/spec/lti-dl/claim/';
+const AGS = 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint';
+const ROLE = 'http://purl.imsglobal.org/vocab/lis/v2/membership#';
+
+const USERS = {
+  student: { sub: 'student-001', given_name: 'Sam', family_name: 'Student', name: 'Sam Student', email: 'sam.student@example.edu', roles: [ROLE + 'Learner'] },
+  teacher: { sub: 'teacher-001', given_name: 'Terry', family_name: 'Teacher', name: 'Terry Teacher', email: 'terry.teacher@example.edu', roles: [ROLE + 'Instructor'] }
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'mock-key-1';
+const accessTokens = new Set();
+const scores = [];
+const deepLinkItems = [];
+
+function signJwt(payload) {
+  const input = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KID })).toString('base64url') + '.' +
+    Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return input + '.' + crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url');
+}
+
+// Verifies a JWT the tool signed, against the tool's published keyset.
+async function verifyToolJwt(token) {
+  const [h, p, s] = String(token || '').split('.');
+  const header = JSON.parse(Buffer.from(h, 'base64url').toString('utf8'));
+  const keys = (await (await fetch(`${TOOL_URL}/api/lti/jwks`)).json()).keys || [];
+  const jwk = keys.find(k => k.kid === header.kid);
+  if (!jwk) throw new Error(`tool key ${header.kid} not in its keyset`);
+  const ok = crypto.verify('RSA-SHA256', Buffer.from(h + '.' + p), crypto.createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(s, 'base64url'));
+  if (!ok) throw new Error('tool signature is invalid');
+  return JSON.parse(Buffer.from(p, 'base64url').toString('utf8'));
+}
+
+function esc(s) { return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c])); }
+
+// lti_message_hint is "<resource|deeplink>:<passage id or ->"
+function idToken(user, hint, nonce) {
+  const [kind, passage] = String(hint || 'resource:' + PASSAGE).split(':');
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: ISSUER, aud: CLIENT_ID, azp: CLIENT_ID, sub: user.sub, iat: now, exp: now + 300, nonce,
+    given_name: user.given_name, family_name: user.family_name, name: user.name, email: user.email,
+    [LTI + 'version']: '1.3.0', [LTI + 'deployment_id']: DEPLOYMENT_ID, [LTI + 'roles']: user.roles,
+    [LTI + 'context']: { id: 'course-101', label: 'PTE101', title: 'PTE Academic Preparation' }
+  };
+  if (kind === 'deeplink') {
+    claims[LTI + 'message_type'] = 'LtiDeepLinkingRequest';
+    claims[LTI + 'target_link_uri'] = `${TOOL_URL}/api/lti/launch`;
+    claims[LTI_DL + 'deep_linking_settings'] = {
+      deep_link_return_url: `${ISSUER}/deep-link-return`, accept_types: ['ltiResourceLink'],
+      accept_presentation_document_targets: ['iframe', 'window'], accept_multiple: false, data: 'mock-dl-data'
+    };
+  } else {
+    claims[LTI + 'message_type'] = 'LtiResourceLinkRequest';
+    claims[LTI + 'target_link_uri'] = `${TOOL_URL}/api/lti/launch`;
+    claims[LTI + 'resource_link'] = { id: `rl-passage-${passage}`, title: `SWT passage ${passage}` };
+    claims[LTI + 'custom'] = { passage_id: passage };
+    claims[AGS] = {
+      scope: ['https://purl.imsglobal.org/spec/lti-ags/scope/lineitem', 'https://purl.imsglobal.org/spec/lti-ags/scope/score'],
+      lineitems: `${ISSUER}/lineitems`, lineitem: `${ISSUER}/lineitems/${passage}`
+    };
+  }
+  return signJwt(claims);
+}
+
+function autoPost(action, fields) {
+  const inputs = Object.entries(fields).map(([k, v]) => `<input type="hidden" name="${esc(k)}" value="${esc(v)}">`).join('');
+  return `<!doctype html><html><body><form id="f" method="post" action="${esc(action)}">${inputs}</form>` +
+    '<script>document.getElementById("f").submit()</script></body></html>';
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.get('/jwks', (req, res) => res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] }));
+
+app.get('/', (req, res) => {
+  res.type('html').send(`<!doctype html><html><body style="font-family:system-ui;max-width:760px;margin:32px auto">
+    <h2>LTI 1.3 mock platform</h2><p>Tool: ${esc(TOOL_URL)}</p>
+    <p><a href="/start?user=student&hint=resource:${esc(PASSAGE)}">Launch passage ${esc(PASSAGE)} as a student</a></p>
+    <p><a href="/start?user=teacher&hint=deeplink:-">Deep link as a teacher (pick a passage)</a></p>
+    <h3>Deep-linked items</h3><ul>${deepLinkItems.map(i => `<li>${esc(i.title)} — <a href="/start?user=student&hint=resource:${esc(i.custom?.passage_id)}">launch as student</a></li>`).join('') || '<li>none yet</li>'}</ul>
+    <h3>Scores received</h3><ul>${scores.map(s => `<li>${esc(s.lineitem)}: ${s.scoreGiven}/${s.scoreMaximum} for ${esc(s.userId)} at ${esc(s.timestamp)}</li>`).join('') || '<li>none yet</li>'}</ul>
+    </body></html>`);
+});
+
+// Third-party initiated login: send the browser to the tool.
+app.get('/start', (req, res) => {
+  const u = new URL(`${TOOL_URL}/api/lti/login`);
+  u.searchParams.set('iss', ISSUER);
+  u.searchParams.set('login_hint', String(req.query.user || 'student'));
+  u.searchParams.set('target_link_uri', `${TOOL_URL}/api/lti/launch`);
+  u.searchParams.set('lti_message_hint', String(req.query.hint || `resource:${PASSAGE}`));
+  u.searchParams.set('client_id', CLIENT_ID);
+  u.searchParams.set('lti_deployment_id', DEPLOYMENT_ID);
+  res.redirect(302, u.toString());
+});
+
+// OIDC authorization endpoint: answer with the signed id_token.
+app.get('/auth', (req, res) => {
+  const q = req.query;
+  if (q.client_id !== CLIENT_ID) return res.status(400).send('unknown client_id');
+  if (!String(q.redirect_uri || '').startsWith(TOOL_URL)) return res.status(400).send('redirect_uri does not belong to the tool');
+  if (q.response_type !== 'id_token' || q.scope !== 'openid' || !q.nonce || !q.state) return res.status(400).send('bad authentication request');
+  const user = USERS[q.login_hint];
+  if (!user) return res.status(400).send('unknown login_hint');
+  res.type('html').send(autoPost(q.redirect_uri, { id_token: idToken(user, q.lti_message_hint, q.nonce), state: q.state }));
+});
+
+app.post('/token', async (req, res) => {
+  try {
+    const b = req.body;
+    if (b.grant_type !== 'client_credentials' || b.client_assertion_type !== 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    const claims = await verifyToolJwt(b.client_assertion);
+    if (claims.iss !== CLIENT_ID || claims.sub !== CLIENT_ID || claims.aud !== `${ISSUER}/token`) return res.status(401).json({ error: 'invalid_client' });
+    if (claims.exp < Date.now() / 1000) return res.status(401).json({ error: 'invalid_client', error_description: 'assertion expired' });
+    const token = crypto.randomBytes(16).toString('hex');
+    accessTokens.add(token);
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: 3600, scope: b.scope });
+  } catch (e) { res.status(401).json({ error: 'invalid_client', error_description: e.message }); }
+});
+
+app.post('/lineitems/:id/scores', express.json({ type: 'application/vnd.ims.lis.v1.score+json' }), (req, res) => {
+  const auth = String(req.headers.authorization || '');
+  if (!auth.startsWith('Bearer ') || !accessTokens.has(auth.slice(7))) return res.status(401).json({ error: 'invalid token' });
+  if (!String(req.headers['content-type'] || '').startsWith('application/vnd.ims.lis.v1.score+json')) return res.status(415).json({ error: 'wrong content type' });
+  scores.push({ lineitem: `${ISSUER}/lineitems/${req.params.id}`, ...req.body });
+  console.log(`[mock] score ${req.body.scoreGiven}/${req.body.scoreMaximum} for ${req.body.userId} on line item ${req.params.id}`);
+  res.json({});
+});
+
+app.get('/scores', (req, res) => res.json(scores));
+
+app.post('/deep-link-return', async (req, res) => {
+  try {
+    const claims = await verifyToolJwt(req.body.JWT);
+    if (claims.aud !== ISSUER || claims.iss !== CLIENT_ID) throw new Error('wrong iss/aud');
+    if (claims[LTI + 'message_type'] !== 'LtiDeepLinkingResponse') throw new Error('not a deep linking response');
+    if (claims[LTI_DL + 'data'] !== 'mock-dl-data') throw new Error('data claim was not echoed');
+    const items = claims[LTI_DL + 'content_items'] || [];
+    deepLinkItems.push(...items);
+    if (req.accepts(['html', 'json']) === 'json') return res.json({ items });
+    res.redirect(303, '/');
+  } catch (e) { res.status(400).send(`deep link response rejected: ${esc(e.message)}`); }
+});
+
+async function register() {
+  const res = await fetch(`${TOOL_URL}/api/admin/lti/platforms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-admin-key': ADMIN_KEY },
+    body: JSON.stringify({
+      name: 'Mock platform', issuer: ISSUER, client_id: CLIENT_ID, deployment_ids: [DEPLOYMENT_ID],
+      auth_login_url: `${ISSUER}/auth`, auth_token_url: `${ISSUER}/token`, jwks_url: `${ISSUER}/jwks`
+    })
+  });
+  if (!res.ok) throw new Error(`platform registration failed (${res.status}): ${await res.text()}`);
+}
+
+// ── Self-test: the browser's part, done with fetch ──
+function parseForm(html) {
+  const action = (html.match(/<form[^>]*action="([^"]*)"/) || [])[1];
+  const fields = {};
+  for (const m of html.matchAll(/<input[^>]*name="([^"]*)"[^>]*value="([^"]*)"/g)) {
+    if (!(m[1] in fields)) fields[m[1]] = m[2].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  }
+  return { action: action && action.replace(/&amp;/g, '&'), fields };
+}
+
+async function follow(url) {
+  for (let i = 0; i < 5; i++) {
+    const res = await fetch(url, { redirect: 'manual' });
+    if (res.status < 300 || res.status >= 400) return res;
+    url = new URL(res.headers.get('location'), url).toString();
+  }
+  throw new Error('too many redirects');
+}
+
+function postForm(url, fields, extra = {}) {
+  return fetch(url, { method: 'POST', redirect: 'manual', headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...extra }, body: new URLSearchParams(fields).toString() });
+}
+
+async function launch(user, hint) {
+  const auth = await follow(`${ISSUER}/start?user=${user}&hint=${encodeURIComponent(hint)}`);
+  const form = parseForm(await auth.text());
+  if (!form.action || !form.fields.id_token) throw new Error('platform did not return an id_token form');
+  return { form, res: await postForm(form.action, form.fields) };
+}
+
+async function selftest() {
+  const results = [];
+  const check = (name, ok, detail = '') => { results.push(ok); console.log(`${ok ? 'PASS' : 'FAIL'}  ${name}${detail ? ' — ' + detail : ''}`); };
+
+  // 1. Student launch → one-time code → session
+  const { form, res } = await launch('student', `resource:${PASSAGE}`);
+  const loc = res.headers.get('location') || '';
+  const code = new URL(loc, TOOL_URL).searchParams.get('lti_launch');
+  check('student launch redirects into the app', res.status === 303 && !!code, `${res.status} ${loc.slice(0, 40)}`);
+  const session = await (await fetch(`${TOOL_URL}/api/lti/session`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ code }) })).json();
+  check('launch code redeems for a session', !!(session.success && session.token), session.username);
+  check('launch opens the assigned passage', String(session.passage_id) === PASSAGE, `passage ${session.passage_id}`);
+  const again = await fetch(`${TOOL_URL}/api/lti/session`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ code }) });
+  check('launch code is single-use', again.status === 401);
+
+  // 2. Replayed id_token (same nonce) is refused
+  const replay = await postForm(form.action, form.fields);
+  check('replayed launch is rejected', replay.status === 400, String(replay.status));
+
+  // 3. A graded attempt is posted back to the line item
+  const grade = await (await fetch(`${TOOL_URL}/api/grade`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-session-token': session.token },
+    body: JSON.stringify({
+      type: 'swt', prompt: '-', passageId: Number(PASSAGE), userId: session.username,
+      text: 'The passage explains that the main development has several causes and effects, although experts still disagree about how it should be managed in future.'
+    })
+  })).json();
+  let posted = null;
+  for (let i = 0; i < 20 && !posted; i++) {
+    posted = scores.find(s => s.userId === USERS.student.sub && s.scoreGiven === grade.overall_score);
+    if (!posted) await new Promise(r => setTimeout(r, 250));
+  }
+  check('grade is posted back to the platform', !!posted, posted ? `${posted.scoreGiven}/${posted.scoreMaximum}` : `grade ${grade.overall_score}, scores ${JSON.stringify(scores)}`);
+
+  // 4. Teacher deep link: picker → signed response → platform accepts it
+  const dl = await launch('teacher', 'deeplink:-');
+  const picker = parseForm(await dl.res.text());
+  const firstPassage = ((await (await fetch(`${TOOL_URL}/api/passages`)).json()) || [])[0];
+  check('deep linking shows the passage picker', dl.res.status === 200 && !!picker.fields.context);
+  const dlRes = await postForm(`${TOOL_URL}${picker.action}`, { context: picker.fields.context, passage_id: String(firstPassage ? firstPassage.id : PASSAGE) });
+  const back = parseForm(await dlRes.text());
+  const accepted = await postForm(back.action, back.fields, { Accept: 'application/json' });
+  const body = accepted.ok ? await accepted.json() : { error: await accepted.text() };
+  const item = (body.items || [])[0];
+  check('deep linking response is accepted by the platform', !!item && item.type === 'ltiResourceLink', item ? `${item.title} (passage ${item.custom.passage_id})` : body.error);
+  check('deep-linked item carries a 0–90 line item', !!(item && item.lineItem && item.lineItem.scoreMaximum === 90));
+
+  // 5. Teacher launches ask for the teacher role; the admin grants it
+  const teacherSession = async () => {
+    const tl = await launch('teacher', `resource:${PASSAGE}`);
+    const tcode = new URL(tl.res.headers.get('location') || '/', TOOL_URL).searchParams.get('lti_launch');
+    return (await fetch(`${TOOL_URL}/api/lti/session`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ code: tcode }) })).json();
+  };
+  const admin = { 'Content-Type': 'application/json', 'x-admin-key': ADMIN_KEY };
+  const tsession = await teacherSession();
+  const approved = tsession.role === 'teacher';
+  if (!approved) {
+    check('instructor launch does not grant the teacher role by itself', tsession.teacher_request === 'pending', `${tsession.username} (${tsession.role})`);
+    const queue = await fetch(`${TOOL_URL}/api/review/queue`, { headers: { 'x-session-token': tsession.token } });
+    check('a pending instructor cannot open the review queue', queue.status === 403, String(queue.status));
+    const pending = await (await fetch(`${TOOL_URL}/api/admin/lti/teacher-requests`, { headers: admin })).json();
+    const request = (pending.requests || []).find(r => r.username === tsession.username);
+    check('the request is listed for the admin', !!request && request.deployment_id === DEPLOYMENT_ID, request ? `${request.platform_name} / ${request.deployment_id}` : JSON.stringify(pending));
+    const ok = await fetch(`${TOOL_URL}/api/admin/lti/teacher-requests/${encodeURIComponent(tsession.username)}`, { method: 'POST', headers: admin, body: JSON.stringify({ approve: true }) });
+    check('the admin approves the request', ok.ok, String(ok.status));
+  }
+  const tsession2 = approved ? tsession : await teacherSession();
+  check('an approved instructor signs in with the teacher role', tsession2.role === 'teacher' && !tsession2.teacher_request, `${tsession2.username} (${tsession2.role})`);
+
+  const failed = results.filter(ok => !ok).length;
+  console.log(failed ? `\n${failed} check(s) failed.` : `\nAll ${results.length} checks passed.`);
+  return failed === 0;
+}
+
+const server = app.listen(PORT, async () => {
+  try {
+    await register();
+    console.log(`Mock LTI platform at ${ISSUER} (issuer), registered with ${TOOL_URL}`);
+  } catch (e) {
+    console.error(e.message);
+    server.close();
+    process.exitCode = 1;
+    return;
+  }
+  if (process.argv.includes('--selftest')) {
+    let ok = false;
+    try { ok = await selftest(); } catch (e) { console.error('Self-test failed:', e); }
+    server.close();
+    process.exitCode = ok ? 0 : 1;
+  } else {
+    console.log(`Open ${ISSUER}/ to launch the tool.`);
+  }
+});
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const Anthropic = require('@anthropic-ai/sdk');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const fsSync = require('fs');
 const fs = require('fs').promises;
 const path = require('path');
@@ -166,10 +167,20 @@ app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'OPTIONS'],
   // C3: the client now sends x-session-token on sync calls; admin uses x-admin-key.
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-session-token', 'x-admin-key']
+  // v20.22: partner apps send x-api-key.
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-session-token', 'x-admin-key', 'x-api-key']
 }));
 // H1: 10mb was generous enough to wave through abusive payloads. Adjusted to 25mb for PDF html uploads.
 app.use(express.json({ limit: '25mb' }));
+// v20.23: malformed JSON gets the same 400 shape as a schema failure (see
+// validateApiRequest) instead of Express's HTML error page.
+app.use((err, req, res, next) => {
+  if (err && err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid request: body is not valid JSON', fields: [{ field: 'body', message: 'is not valid JSON' }] });
+  }
+  if (err && err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large' });
+  next(err);
+});
 
 // H2 (v19.17): rate-limit the paid grading + spellcheck endpoints if the
 // limiter is available. Generous enough for real practice (a student scores
@@ -180,7 +191,12 @@ if (rateLimit) {
     max: 20,                  // 20 grade calls/min/IP
     standardHeaders: true,
     legacyHeaders: false,
-    message: { error: 'Too many scoring requests — please wait a minute and try again.' }
+    message: { error: 'Too many scoring requests — please wait a minute and try again.' },
+    // v20.19: polling a batch job's progress or downloading its results
+    // (GET /api/grade/batch/...) is not a scoring request.
+    // v20.22: calls with an API key are held to that key's own limit instead
+    // (batch grading doesn't take keys, so it stays on this one).
+    skip: (req) => req.method === 'GET' || (!!apiKeyFromRequest(req) && !req.path.startsWith('/batch'))
   });
   const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -190,14 +206,200 @@ if (rateLimit) {
     message: { error: 'Too many attempts — please wait a few minutes.' }
   });
   app.use('/api/grade', gradeLimiter);
+  app.use('/api/grade-essay', gradeLimiter);
   app.use('/api/spellcheck', gradeLimiter);
   app.use('/api/auth/login', authLimiter);
   app.use('/api/auth/register', authLimiter);
 }
 
-let anthropic = null;
-if (ANTHROPIC_API_KEY && ANTHROPIC_API_KEY.startsWith('sk-ant-')) {
-  anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
+// Routes that need server configuration (the admin key, an LLM provider,
+// Gmail) check it first, so an unconfigured feature answers with its own
+// error rather than a 400 about the request body. Each route lists its guard
+// as well; running one twice is harmless.
+app.use('/api/admin', requireAdmin);
+app.use('/api/generate-essay', requireLlm);
+app.use('/api/claude', requireLlmProxy);
+app.use('/api/email-essay', requireMailTransport);
+
+// v20.23: every documented /api request is checked against the OpenAPI
+// document before its route runs (API CONTRACT section).
+app.use(validateApiRequest);
+
+// ─── LLM PROVIDERS (v20.3) ───────────────────────────────────────────────────
+// Every model call — content judge, essay judge, key-element extraction, essay
+// generation and the /api/claude proxy — goes through `llm.complete()` rather
+// than the Anthropic SDK directly, so the backend can be swapped by env var:
+//
+//   LLM_PROVIDER=anthropic (default)  Anthropic Messages API (ANTHROPIC_API_KEY)
+//   LLM_PROVIDER=openai               any OpenAI-compatible /chat/completions
+//                                     endpoint — vLLM, Ollama, LM Studio, etc.
+//                                       LLM_OPENAI_BASE_URL  (default http://localhost:11434/v1)
+//                                       LLM_OPENAI_API_KEY   (optional)
+//                                       LLM_OPENAI_MODEL     (overrides the Claude model names)
+//   LLM_PROVIDER=offline              deterministic answers from fixture files
+//                                       LLM_FIXTURES_DIR     (default ./fixtures/llm)
+//
+// complete({ purpose, model, messages, system, max_tokens, temperature })
+//   → { text, content: [{ type: 'text', text }], model, usage, stop_reason, provider, request_key }
+// `content` mirrors the Messages API shape so callers that read
+// response.content[0].text keep working. `purpose` tags the call site
+// ('content_judge', 'essay_judge', 'key_element_extraction', 'essay_generation',
+// 'proxy') — fixtures match on it.
+
+// Stable hash of everything that determines a model's answer. Fixture files
+// can pin a response to one exact request by this key.
+function llmRequestKey({ model, messages, system, max_tokens, temperature }) {
+  const canonical = JSON.stringify({ model: model || '', system: system || '', messages: messages || [], max_tokens: max_tokens || null, temperature: temperature ?? null });
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 24);
+}
+
+// Flatten Messages-API content (string or [{type:'text', text}]) to plain text.
+function llmMessageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(c => (typeof c === 'string' ? c : c?.text || '')).join('\n');
+  return '';
+}
+
+function llmResult(provider, { text, model, usage, stop_reason, request_key }) {
+  return {
+    text, content: [{ type: 'text', text }], model,
+    usage: { input_tokens: usage?.input_tokens || 0, output_tokens: usage?.output_tokens || 0 },
+    stop_reason: stop_reason || 'end_turn', provider, request_key
+  };
+}
+
+function createAnthropicProvider(apiKey) {
+  const client = (apiKey && apiKey.startsWith('sk-ant-')) ? new Anthropic({ apiKey }) : null;
+  return {
+    name: 'anthropic',
+    available: !!client,
+    networkFree: false,
+    async complete(req) {
+      if (!client) throw new Error('Anthropic API key is not configured');
+      const params = { model: req.model || CLAUDE_MODEL, max_tokens: req.max_tokens || 1024, messages: req.messages };
+      if (req.system) params.system = req.system;
+      if (typeof req.temperature === 'number') params.temperature = req.temperature;
+      const response = await client.messages.create(params);
+      const text = (response.content || []).map(c => c.text || '').join('');
+      return llmResult('anthropic', { text, model: response.model, usage: response.usage, stop_reason: response.stop_reason, request_key: llmRequestKey(params) });
+    },
+    // /api/claude forwards the client's body untouched when talking to
+    // Anthropic, so features the abstraction doesn't model still work.
+    async passthrough(body) {
+      const upstream = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+        body: JSON.stringify(body)
+      });
+      return { status: upstream.status, contentType: upstream.headers.get('content-type') || 'application/json', body: await upstream.text() };
+    }
+  };
+}
+
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model }) {
+  const endpoint = baseUrl.replace(/\/+$/, '') + '/chat/completions';
+  return {
+    name: 'openai',
+    available: !!baseUrl,
+    networkFree: false,
+    async complete(req) {
+      const messages = [];
+      if (req.system) messages.push({ role: 'system', content: llmMessageText(req.system) });
+      for (const m of req.messages || []) messages.push({ role: m.role, content: llmMessageText(m.content) });
+      const body = { model: model || req.model || CLAUDE_MODEL, messages, max_tokens: req.max_tokens || 1024 };
+      if (typeof req.temperature === 'number') body.temperature = req.temperature;
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const upstream = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body) });
+      if (!upstream.ok) {
+        const detail = await upstream.text().catch(() => '');
+        throw new Error(`OpenAI-compatible endpoint returned ${upstream.status}: ${detail.slice(0, 200)}`);
+      }
+      const data = await upstream.json();
+      const choice = data.choices?.[0] || {};
+      return llmResult('openai', {
+        text: llmMessageText(choice.message?.content),
+        model: data.model || body.model,
+        usage: { input_tokens: data.usage?.prompt_tokens, output_tokens: data.usage?.completion_tokens },
+        stop_reason: choice.finish_reason === 'length' ? 'max_tokens' : 'end_turn',
+        request_key: llmRequestKey({ ...req, model: body.model })
+      });
+    }
+  };
+}
+
+// Fixture files are JSON arrays (or { "fixtures": [...] }) of entries:
+//   { "purpose": "content_judge",            // optional — omit to match any call site
+//     "key": "<llmRequestKey>",              // optional — pins one exact request
+//     "match": ["substring", ...],           // optional — all must appear in the prompt
+//     "response": "text" | { ...JSON... },   // objects are sent back as JSON text
+//     "usage": { "input_tokens": 0, "output_tokens": 0 } }
+// Resolution is deterministic: an exact key wins; otherwise the entry for the
+// same purpose with the most `match` strings that all hit; ties go to the
+// first file (alphabetical) and first entry. No match is an error, which the
+// call sites treat like any other LLM failure (local fallback, 503, etc).
+function createOfflineProvider(dir) {
+  let entries = null;
+  function load() {
+    if (entries) return entries;
+    entries = [];
+    let files = [];
+    try { files = fsSync.readdirSync(dir).filter(f => f.endsWith('.json')).sort(); }
+    catch (e) { console.warn(`Offline LLM: fixtures dir ${dir} not readable (${e.message})`); }
+    for (const f of files) {
+      try {
+        const parsed = JSON.parse(fsSync.readFileSync(path.join(dir, f), 'utf8'));
+        // v20.4: a single-entry object is accepted too, so LLM recordings
+        // (data/llm-recordings/<key>.json) can be dropped in as fixtures.
+        const list = Array.isArray(parsed) ? parsed : (parsed.fixtures || [parsed]);
+        for (const e of list) if (e && e.response !== undefined) entries.push({ ...e, _file: f });
+      } catch (e) {
+        console.warn(`Offline LLM: skipping fixture file ${f} — ${e.message}`);
+      }
+    }
+    return entries;
+  }
+  return {
+    name: 'offline',
+    available: true,
+    networkFree: true,
+    async complete(req) {
+      const key = llmRequestKey(req);
+      const prompt = [llmMessageText(req.system), ...(req.messages || []).map(m => llmMessageText(m.content))].join('\n');
+      const all = load();
+      let hit = all.find(e => e.key && e.key === key);
+      if (!hit) {
+        let bestScore = -1;
+        for (const e of all) {
+          if (e.key) continue;
+          if (e.purpose && e.purpose !== req.purpose) continue;
+          const match = Array.isArray(e.match) ? e.match : (e.match ? [e.match] : []);
+          if (!match.every(s => prompt.includes(s))) continue;
+          const score = match.length + (e.purpose ? 0.5 : 0);
+          if (score > bestScore) { bestScore = score; hit = e; }
+        }
+      }
+      if (!hit) throw new Error(`No offline fixture for purpose "${req.purpose || 'unknown'}" (request key ${key})`);
+      const text = typeof hit.response === 'string' ? hit.response : JSON.stringify(hit.response);
+      return llmResult('offline', { text, model: req.model || 'offline', usage: hit.usage, request_key: key });
+    }
+  };
+}
+
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm');
+let llm;
+if (LLM_PROVIDER === 'openai') {
+  llm = createOpenAICompatibleProvider({
+    baseUrl: process.env.LLM_OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_OPENAI_API_KEY || '',
+    model: process.env.LLM_OPENAI_MODEL || ''
+  });
+} else if (LLM_PROVIDER === 'offline') {
+  llm = createOfflineProvider(LLM_FIXTURES_DIR);
+} else {
+  if (LLM_PROVIDER !== 'anthropic') console.warn(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" — using anthropic`);
+  llm = createAnthropicProvider(ANTHROPIC_API_KEY);
 }
 
 // ─── STORAGE ─────────────────────────────────────────────────────────────────
@@ -215,6 +417,79 @@ async function ensureDataDir() {
   try { await fs.mkdir(DATA_DIR, { recursive: true }); } catch (e) { /* ok */ }
 }
 
+// ─── LLM RECORD / REPLAY (v20.4) ────────────────────────────────────────────
+// Wraps whichever provider is active so a grading run can be captured and
+// reproduced later without paying for (or depending on) the API:
+//
+//   LLM_RECORD_MODE=record   call the provider as usual and save every
+//                            request/response pair to LLM_RECORDINGS_DIR
+//   LLM_RECORD_MODE=replay   never call the provider; answer from the saved
+//                            pairs and fail the call on a miss (callers then
+//                            fall back exactly as they would on an API error)
+//
+// Pairs are stored one per file as <llmRequestKey>.json — the same hash of
+// model + prompt + parameters the offline provider uses, so a recording can be
+// copied into fixtures/llm/ unchanged. Grade responses carry llm_request_key,
+// which is how a bug report leads back to its recording.
+const LLM_RECORD_MODE = (process.env.LLM_RECORD_MODE || '').toLowerCase();
+const LLM_RECORDINGS_DIR = process.env.LLM_RECORDINGS_DIR || path.join(DATA_DIR, 'llm-recordings');
+
+function llmRecordingPath(key) {
+  return path.join(LLM_RECORDINGS_DIR, `${key}.json`);
+}
+
+async function readLlmRecording(key) {
+  if (!/^[a-f0-9]{24}$/.test(String(key))) return null;
+  try { return JSON.parse(await fs.readFile(llmRecordingPath(key), 'utf8')); }
+  catch (_) { return null; }
+}
+
+function withLlmRecording(provider, mode) {
+  if (mode !== 'record' && mode !== 'replay') {
+    if (mode) console.warn(`Unknown LLM_RECORD_MODE "${mode}" — recording disabled`);
+    return provider;
+  }
+  return {
+    ...provider,
+    recordMode: mode,
+    available: mode === 'replay' ? true : provider.available,
+    networkFree: mode === 'replay' ? true : provider.networkFree,
+    // Raw pass-through bodies aren't keyed, so the proxy goes through complete().
+    passthrough: undefined,
+    async complete(req) {
+      const key = llmRequestKey(req);
+      if (mode === 'replay') {
+        const rec = await readLlmRecording(key);
+        if (!rec) throw new Error(`No LLM recording for purpose "${req.purpose || 'unknown'}" (request key ${key})`);
+        const text = typeof rec.response === 'string' ? rec.response : JSON.stringify(rec.response);
+        return llmResult(`${provider.name}:replay`, { text, model: rec.model || req.model, usage: rec.usage, stop_reason: rec.stop_reason, request_key: key });
+      }
+      const result = await provider.complete(req);
+      const rec = {
+        key,
+        purpose: req.purpose || null,
+        recorded_at: new Date().toISOString(),
+        provider: provider.name,
+        model: result.model,
+        request: { model: req.model, system: req.system, messages: req.messages, max_tokens: req.max_tokens, temperature: req.temperature },
+        response: result.text,
+        usage: result.usage,
+        stop_reason: result.stop_reason
+      };
+      // Recording is best-effort — a full disk must not fail the grade.
+      try {
+        await fs.mkdir(LLM_RECORDINGS_DIR, { recursive: true });
+        await fs.writeFile(llmRecordingPath(key), JSON.stringify(rec, null, 2));
+      } catch (e) {
+        console.warn(`LLM recording ${key} not saved: ${e.message}`);
+      }
+      return { ...result, request_key: key };
+    }
+  };
+}
+
+llm = withLlmRecording(llm, LLM_RECORD_MODE);
+
 // ─── DIAGNOSTIC: BOOT SNAPSHOT ──────────────────────────────────────────────
 // v19.9: Capture a snapshot of the storage file at process start so /api/health
 // can later compare boot state to current state. If the snapshot is empty but
@@ -376,6 +651,178 @@ async function pgInitSchema() {
       CONSTRAINT vocab_extras_singleton CHECK (id = 1)
     );
     INSERT INTO vocab_extras (id, payload) VALUES (1, '{}') ON CONFLICT (id) DO NOTHING;
+    CREATE TABLE IF NOT EXISTS grade_cache (
+      key            TEXT PRIMARY KEY,
+      passage_id     INTEGER,
+      payload        JSONB NOT NULL,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS grade_cache_passage_idx ON grade_cache (passage_id);
+    CREATE INDEX IF NOT EXISTS grade_cache_created_idx ON grade_cache (created_at);
+    CREATE TABLE IF NOT EXISTS passage_revisions (
+      passage_id     INTEGER NOT NULL,
+      revision       INTEGER NOT NULL,
+      payload        JSONB NOT NULL,
+      author         TEXT DEFAULT 'admin',
+      source         TEXT DEFAULT 'manual',
+      note           TEXT DEFAULT '',
+      created_at     TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (passage_id, revision)
+    );
+    CREATE TABLE IF NOT EXISTS attempts (
+      id               BIGSERIAL PRIMARY KEY,
+      username         TEXT,
+      task             TEXT NOT NULL DEFAULT 'swt',
+      passage_id       INTEGER,
+      passage_revision INTEGER,
+      text             TEXT NOT NULL,
+      word_count       INTEGER,
+      trait_scores     JSONB NOT NULL DEFAULT '{}'::jsonb,
+      overall_score    INTEGER,
+      raw_score        REAL,
+      max_raw_score    REAL,
+      band             TEXT,
+      timings          JSONB NOT NULL DEFAULT '{}'::jsonb,
+      scoring_version  TEXT,
+      mode             TEXT,
+      cached           BOOLEAN DEFAULT FALSE,
+      trace            JSONB,
+      created_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    ALTER TABLE attempts ADD COLUMN IF NOT EXISTS trace JSONB;
+    ALTER TABLE attempts ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE attempts ADD COLUMN IF NOT EXISTS review_reasons JSONB NOT NULL DEFAULT '[]'::jsonb;
+    ALTER TABLE attempts ADD COLUMN IF NOT EXISTS feedback_card JSONB;
+    ALTER TABLE attempts ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+    CREATE TABLE IF NOT EXISTS attempt_reviews (
+      id               BIGSERIAL PRIMARY KEY,
+      attempt_id       BIGINT NOT NULL,
+      username         TEXT,
+      passage_id       INTEGER,
+      reviewer         TEXT NOT NULL,
+      original         JSONB NOT NULL,
+      adjusted         JSONB NOT NULL,
+      changed          JSONB NOT NULL DEFAULT '[]'::jsonb,
+      comment          TEXT DEFAULT '',
+      trait_comments   JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS attempt_reviews_attempt_idx ON attempt_reviews (attempt_id, id);
+    CREATE INDEX IF NOT EXISTS attempt_reviews_created_idx ON attempt_reviews (created_at);
+    ALTER TABLE attempts ADD COLUMN IF NOT EXISTS scoring_profile TEXT;
+    CREATE TABLE IF NOT EXISTS scoring_profiles (
+      id               SERIAL PRIMARY KEY,
+      name             TEXT NOT NULL,
+      status           TEXT NOT NULL DEFAULT 'draft',
+      active           BOOLEAN NOT NULL DEFAULT FALSE,
+      mappings         JSONB NOT NULL DEFAULT '{}'::jsonb,
+      report           JSONB,
+      source           TEXT,
+      samples          INTEGER,
+      created_by       TEXT,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      published_at     TIMESTAMPTZ
+    );
+    CREATE TABLE IF NOT EXISTS lti_platforms (
+      id               SERIAL PRIMARY KEY,
+      name             TEXT DEFAULT '',
+      issuer           TEXT NOT NULL,
+      client_id        TEXT NOT NULL,
+      deployment_ids   JSONB NOT NULL DEFAULT '[]'::jsonb,
+      auth_login_url   TEXT NOT NULL,
+      auth_token_url   TEXT NOT NULL,
+      jwks_url         TEXT NOT NULL,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (issuer, client_id)
+    );
+    CREATE TABLE IF NOT EXISTS lti_users (
+      issuer           TEXT NOT NULL,
+      sub              TEXT NOT NULL,
+      username         TEXT NOT NULL,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (issuer, sub)
+    );
+    ALTER TABLE lti_users ADD COLUMN IF NOT EXISTS teacher_request JSONB;
+    CREATE TABLE IF NOT EXISTS lti_grade_targets (
+      id               BIGSERIAL PRIMARY KEY,
+      username         TEXT NOT NULL,
+      passage_id       INTEGER NOT NULL,
+      platform_id      INTEGER NOT NULL,
+      sub              TEXT NOT NULL,
+      lineitem         TEXT NOT NULL,
+      context_id       TEXT,
+      resource_link_id TEXT,
+      best_score       INTEGER,
+      last_status      TEXT,
+      last_error       TEXT,
+      last_sent_at     TIMESTAMPTZ,
+      updated_at       TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (username, lineitem)
+    );
+    CREATE INDEX IF NOT EXISTS lti_grade_targets_user_idx ON lti_grade_targets (username, passage_id);
+    CREATE TABLE IF NOT EXISTS lti_tool_key (
+      id               INTEGER PRIMARY KEY DEFAULT 1,
+      private_pem      TEXT NOT NULL,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      CONSTRAINT lti_tool_key_singleton CHECK (id = 1)
+    );
+    CREATE TABLE IF NOT EXISTS api_clients (
+      id               SERIAL PRIMARY KEY,
+      name             TEXT NOT NULL,
+      contact          TEXT DEFAULT '',
+      disabled         BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    ALTER TABLE api_clients ADD COLUMN IF NOT EXISTS spelling_preference TEXT;
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id               SERIAL PRIMARY KEY,
+      client_id        INTEGER NOT NULL,
+      label            TEXT DEFAULT '',
+      prefix           TEXT NOT NULL,
+      key_hash         TEXT NOT NULL UNIQUE,
+      scopes           JSONB NOT NULL DEFAULT '[]'::jsonb,
+      rate_limit_per_minute INTEGER NOT NULL,
+      monthly_quota    INTEGER,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      revoked_at       TIMESTAMPTZ,
+      replaced_by      INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS api_usage (
+      id               BIGSERIAL PRIMARY KEY,
+      client_id        INTEGER NOT NULL,
+      key_id           INTEGER NOT NULL,
+      route            TEXT NOT NULL,
+      status           INTEGER NOT NULL,
+      duration_ms      INTEGER,
+      llm_calls        INTEGER NOT NULL DEFAULT 0,
+      input_tokens     INTEGER NOT NULL DEFAULT 0,
+      output_tokens    INTEGER NOT NULL DEFAULT 0,
+      created_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS wfd_items (
+      id               SERIAL PRIMARY KEY,
+      text             TEXT NOT NULL,
+      audio            TEXT,
+      difficulty       TEXT NOT NULL DEFAULT 'medium',
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS sst_items (
+      id               SERIAL PRIMARY KEY,
+      title            TEXT NOT NULL,
+      transcript       TEXT NOT NULL,
+      key_elements     JSONB NOT NULL DEFAULT '{}'::jsonb,
+      audio            TEXT,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS api_usage_key_idx ON api_usage (key_id, created_at);
+    CREATE INDEX IF NOT EXISTS api_usage_client_idx ON api_usage (client_id, created_at);
+    CREATE INDEX IF NOT EXISTS attempts_user_idx ON attempts (username, created_at);
+    CREATE INDEX IF NOT EXISTS attempts_passage_idx ON attempts (passage_id, created_at);
+    CREATE INDEX IF NOT EXISTS attempts_created_idx ON attempts (created_at);
   `;
   await pgPool.query(ddl);
 }
@@ -611,7 +1058,9 @@ const PgStorage = {
       trait_scores: scoreData?.trait_scores || {}, word_count: scoreData?.word_count || 0,
       feedback: scoreData?.feedback || '', content_details: scoreData?.content_details || {},
       skill_contributions: scoreData?.skill_contributions || null,
-      scoring_version: scoreData?.scoring_version || 'unknown'
+      scoring_version: scoreData?.scoring_version || 'unknown',
+      passage_revision: scoreData?.passage_revision ?? null,
+      attempt_id: scoreData?.attempt_id ?? null
     });
     if (u.history[passageId].length > 10) u.history[passageId] = u.history[passageId].slice(0, 10);
     let total = 0, count = 0;
@@ -631,14 +1080,16 @@ const PgStorage = {
     if (!rows.length) {
       return {
         attempted: [], summaries: {}, scores: {}, history: {}, stats: { totalAttempts: 0, averageScore: 0 },
-        essays: [], templates: {}, currentId: null, quotaUsed: {}, quotaDate: "", practiceHistory: [], vocabProgress: {}
+        essays: [], templates: {}, currentId: null, quotaUsed: {}, quotaDate: "", practiceHistory: [], vocabProgress: {},
+        spellingPreference: null
       };
     }
     const u = rows[0].data || {};
     return {
       attempted: u.attempted || [], summaries: u.summaries || {}, scores: u.scores || {}, history: u.history || {}, stats: u.stats || {},
       essays: u.essays || [], templates: u.templates || {}, currentId: u.currentId || null,
-      quotaUsed: u.quotaUsed || {}, quotaDate: u.quotaDate || "", practiceHistory: u.practiceHistory || [], vocabProgress: u.vocabProgress || {}
+      quotaUsed: u.quotaUsed || {}, quotaDate: u.quotaDate || "", practiceHistory: u.practiceHistory || [], vocabProgress: u.vocabProgress || {},
+      spellingPreference: u.spellingPreference || null
     };
   },
   async setUserData(userId, userData) {
@@ -666,7 +1117,8 @@ const PgStorage = {
       quotaUsed: userData.quotaUsed !== undefined ? userData.quotaUsed : (existing.quotaUsed || {}),
       quotaDate: userData.quotaDate !== undefined ? userData.quotaDate : (existing.quotaDate || ""),
       practiceHistory: userData.practiceHistory !== undefined ? userData.practiceHistory : (existing.practiceHistory || []),
-      vocabProgress: userData.vocabProgress !== undefined ? userData.vocabProgress : (existing.vocabProgress || {})
+      vocabProgress: userData.vocabProgress !== undefined ? userData.vocabProgress : (existing.vocabProgress || {}),
+      spellingPreference: userData.spellingPreference !== undefined ? normalizeSpellingPreference(userData.spellingPreference) : (existing.spellingPreference || null)
     };
     let total = 0, count = 0;
     Object.values(u.history).forEach(arr => { if (Array.isArray(arr)) arr.forEach(a => { total += (a.overall_score || 0); count++; }); });
@@ -725,7 +1177,9 @@ const JsonStorage = {
       trait_scores: scoreData?.trait_scores || {}, word_count: scoreData?.word_count || 0,
       feedback: scoreData?.feedback || '', content_details: scoreData?.content_details || {},
       skill_contributions: scoreData?.skill_contributions || null,
-      scoring_version: scoreData?.scoring_version || 'unknown'
+      scoring_version: scoreData?.scoring_version || 'unknown',
+      passage_revision: scoreData?.passage_revision ?? null,
+      attempt_id: scoreData?.attempt_id ?? null
     });
     if (u.history[passageId].length > 10) u.history[passageId] = u.history[passageId].slice(0, 10);
     
@@ -745,13 +1199,15 @@ const JsonStorage = {
     if (!u) {
       return {
         attempted: [], summaries: {}, scores: {}, history: {}, stats: { totalAttempts: 0, averageScore: 0 },
-        essays: [], templates: {}, currentId: null, quotaUsed: {}, quotaDate: "", practiceHistory: [], vocabProgress: {}
+        essays: [], templates: {}, currentId: null, quotaUsed: {}, quotaDate: "", practiceHistory: [], vocabProgress: {},
+        spellingPreference: null
       };
     }
     return {
       attempted: u.attempted || [], summaries: u.summaries || {}, scores: u.scores || {}, history: u.history || {}, stats: u.stats || {},
       essays: u.essays || [], templates: u.templates || {}, currentId: u.currentId || null,
-      quotaUsed: u.quotaUsed || {}, quotaDate: u.quotaDate || "", practiceHistory: u.practiceHistory || [], vocabProgress: u.vocabProgress || {}
+      quotaUsed: u.quotaUsed || {}, quotaDate: u.quotaDate || "", practiceHistory: u.practiceHistory || [], vocabProgress: u.vocabProgress || {},
+      spellingPreference: u.spellingPreference || null
     };
   },
   
@@ -794,6 +1250,7 @@ const JsonStorage = {
     u.quotaDate = userData.quotaDate !== undefined ? userData.quotaDate : (u.quotaDate || "");
     u.practiceHistory = userData.practiceHistory !== undefined ? userData.practiceHistory : (u.practiceHistory || []);
     u.vocabProgress = userData.vocabProgress !== undefined ? userData.vocabProgress : (u.vocabProgress || {});
+    u.spellingPreference = userData.spellingPreference !== undefined ? normalizeSpellingPreference(userData.spellingPreference) : (u.spellingPreference || null);
     
     // Recalculate stats
     let total = 0, count = 0;
@@ -1030,1967 +1487,1720 @@ const JsonVocabExtrasAPI = {
 
 const VocabExtrasAPI = USE_POSTGRES ? PgVocabExtrasAPI : JsonVocabExtrasAPI;
 
-// Shared sanitizer used by both backends — pulled out so it stays consistent.
-function sanitizePassage(p) {
-  const out = {
-    id: Number(p.id) || 0,
-    title: String(p.title || '').trim().slice(0, 200),
-    category: String(p.category || '').trim().slice(0, 100),
-    text: String(p.text || '').trim(),
-    keyElements: {},
-    sampleResponse: String(p.sampleResponse || '').trim(),
-    sampleNotes: String(p.sampleNotes || '').trim()
-  };
-  const ke = p.keyElements || {};
-  // Accept both new (what/why/how/result) and legacy (topic/pivot/conclusion) fields
-  ['what','why','how','result','topic','pivot','conclusion'].forEach(k => {
-    if (ke[k] && typeof ke[k] === 'string') out.keyElements[k] = ke[k].trim();
-  });
-  if (p.keyElementsRationale && typeof p.keyElementsRationale === 'object') {
-    const r = p.keyElementsRationale;
-    const rOut = {};
-    if (typeof r.topic === 'string')      rOut.topic = r.topic.trim().slice(0, 2000);
-    if (typeof r.importance === 'string') rOut.importance = r.importance.trim().slice(0, 2000);
-    if (r.elements && typeof r.elements === 'object') {
-      rOut.elements = {};
-      ['what','why','how','result','topic','pivot','conclusion'].forEach(k => {
-        if (typeof r.elements[k] === 'string') rOut.elements[k] = r.elements[k].trim().slice(0, 1000);
-      });
-      if (!Object.keys(rOut.elements).length) delete rOut.elements;
+// ─── GRADE RESULT CACHE (v20.5) ─────────────────────────────────────────────
+// /api/grade responses keyed by gradeCacheKey() (passage id + passage content
+// hash + normalised summary + engine version). Students resubmit the same
+// summary constantly; a hit skips the LLM judge entirely. Same dual-backend
+// shape as the other stores, with a small in-memory LRU in front (GradeCacheAPI
+// below). Entries are purged when a passage is edited, and a SCORING_VERSION
+// bump makes every old entry unreachable.
+const GRADE_CACHE_FILE = path.join(DATA_DIR, 'grade_cache.json');
+const GRADE_CACHE_MAX_ENTRIES = Math.max(1, parseInt(process.env.GRADE_CACHE_MAX_ENTRIES, 10) || 1000);
+const GRADE_CACHE_MEMORY_ENTRIES = 200;
+
+const JsonGradeCacheAPI = {
+  _cache: null,          // key → { passage_id, payload, created_at }, oldest first
+  _writeChain: Promise.resolve(),
+
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(GRADE_CACHE_FILE, 'utf8'));
+      this._cache = (parsed && typeof parsed.entries === 'object' && parsed.entries) || {};
+    } catch (_) {
+      this._cache = {};
     }
-    if (Object.keys(rOut).length) out.keyElementsRationale = rOut;
+    return this._cache;
+  },
+
+  // Serialise writes — two grades finishing together must not interleave
+  // their tmp-file renames.
+  _persist() {
+    this._writeChain = this._writeChain
+      .then(() => safeWriteJSON(GRADE_CACHE_FILE, { entries: this._cache }))
+      .catch(e => console.warn('Grade cache write failed:', e.message));
+    return this._writeChain;
+  },
+
+  async get(key) {
+    const all = await this._load();
+    return all[key] || null;
+  },
+
+  async set(key, passageId, payload) {
+    const all = await this._load();
+    delete all[key]; // re-insert so it becomes the newest
+    all[key] = { passage_id: passageId, payload, created_at: new Date().toISOString() };
+    const keys = Object.keys(all);
+    for (let i = 0; i < keys.length - GRADE_CACHE_MAX_ENTRIES; i++) delete all[keys[i]];
+    await this._persist();
+  },
+
+  async purgePassage(passageId) {
+    const all = await this._load();
+    let n = 0;
+    for (const [k, v] of Object.entries(all)) {
+      if (v.passage_id === Number(passageId)) { delete all[k]; n++; }
+    }
+    if (n) await this._persist();
+    return n;
+  },
+
+  async purgeAll() {
+    const all = await this._load();
+    const n = Object.keys(all).length;
+    this._cache = {};
+    await this._persist();
+    return n;
   }
-  if (p.extractionMeta && typeof p.extractionMeta === 'object') {
-    const em = p.extractionMeta;
-    const emOut = {};
-    if (em.framework === 'tpc' || em.framework === 'wwhr') emOut.framework = em.framework;
-    if (['high','medium','low'].includes(em.confidence)) emOut.confidence = em.confidence;
-    if (typeof em.framework_reason === 'string') emOut.framework_reason = em.framework_reason.trim().slice(0, 500);
-    if (typeof em.extractedAt === 'string') emOut.extractedAt = em.extractedAt.slice(0, 40);
-    if (Object.keys(emOut).length) out.extractionMeta = emOut;
+};
+
+const PgGradeCacheAPI = {
+  async get(key) {
+    const { rows } = await pgPool.query('SELECT passage_id, payload, created_at FROM grade_cache WHERE key = $1', [key]);
+    if (!rows.length) return null;
+    return { passage_id: rows[0].passage_id, payload: rows[0].payload, created_at: new Date(rows[0].created_at).toISOString() };
+  },
+
+  async set(key, passageId, payload) {
+    await pgPool.query(
+      `INSERT INTO grade_cache (key, passage_id, payload, created_at) VALUES ($1, $2, $3::jsonb, NOW())
+       ON CONFLICT (key) DO UPDATE SET payload = EXCLUDED.payload, passage_id = EXCLUDED.passage_id, created_at = NOW()`,
+      [key, passageId, JSON.stringify(payload)]
+    );
+    // Keep the table bounded: drop everything older than the Nth-newest row.
+    await pgPool.query(
+      `DELETE FROM grade_cache WHERE created_at < (
+         SELECT created_at FROM grade_cache ORDER BY created_at DESC OFFSET $1 LIMIT 1)`,
+      [GRADE_CACHE_MAX_ENTRIES - 1]
+    );
+  },
+
+  async purgePassage(passageId) {
+    const r = await pgPool.query('DELETE FROM grade_cache WHERE passage_id = $1', [Number(passageId)]);
+    return r.rowCount;
+  },
+
+  async purgeAll() {
+    const r = await pgPool.query('DELETE FROM grade_cache');
+    return r.rowCount;
+  }
+};
+
+const GradeCacheStore = USE_POSTGRES ? PgGradeCacheAPI : JsonGradeCacheAPI;
+
+// Memory layer over the active store. Values handed out are deep copies: the
+// grade route decorates its result (saved, passage_current, cached) and those
+// per-request fields must never leak into the cached entry.
+const GradeCacheAPI = {
+  _mem: new Map(),
+
+  _remember(key, entry) {
+    this._mem.delete(key);
+    this._mem.set(key, entry);
+    if (this._mem.size > GRADE_CACHE_MEMORY_ENTRIES) this._mem.delete(this._mem.keys().next().value);
+  },
+
+  async get(key) {
+    let entry = this._mem.get(key);
+    if (!entry) {
+      entry = await GradeCacheStore.get(key);
+      if (!entry) return null;
+    }
+    this._remember(key, entry);
+    return { ...entry, payload: structuredClone(entry.payload) };
+  },
+
+  async set(key, passageId, payload) {
+    const entry = { passage_id: passageId == null ? null : Number(passageId), payload: structuredClone(payload), created_at: new Date().toISOString() };
+    this._remember(key, entry);
+    await GradeCacheStore.set(key, entry.passage_id, entry.payload);
+  },
+
+  async purgePassage(passageId) {
+    for (const [k, v] of this._mem) if (v.passage_id === Number(passageId)) this._mem.delete(k);
+    return GradeCacheStore.purgePassage(passageId);
+  },
+
+  async purgeAll() {
+    this._mem.clear();
+    return GradeCacheStore.purgeAll();
+  }
+};
+
+// Passage writes call this. Best-effort: the passage content hash is part of
+// every cache key, so a failed purge leaves dead rows, never stale grades.
+async function invalidateGradeCache(passageId) {
+  try {
+    const n = passageId == null ? await GradeCacheAPI.purgeAll() : await GradeCacheAPI.purgePassage(passageId);
+    if (DEBUG && n) console.log(`[grade-cache] purged ${n} entr${n === 1 ? 'y' : 'ies'} for passage ${passageId ?? '(all)'}`);
+  } catch (e) {
+    console.warn('Grade cache purge failed:', e.message);
   }
-  return out;
 }
 
-// Convenience: the admin API used to call PassageAPI._sanitize directly in a
-// couple of places. Map it to the shared function for backwards compatibility.
-PassageAPI._sanitize = sanitizePassage;
+// ─── PASSAGE REVISIONS (v20.6) ──────────────────────────────────────────────
+// PassageAPI.upsert replaces a passage in place, so one bad auto-extraction
+// used to wipe hand-tuned key elements for good. Every save now also appends
+// an immutable snapshot here: { passage_id, revision (1, 2, …), payload,
+// author, source, note, created_at }. Sources: 'initial' (the state found the
+// first time a passage is touched), 'manual', 'extract', 'bulk', 'rollback'.
+// Revisions are never rewritten or deleted — not even when the passage is.
+const PASSAGE_REVISIONS_FILE = path.join(DATA_DIR, 'passage_revisions.json');
+const PASSAGE_REVISION_SOURCES = ['initial', 'manual', 'extract', 'bulk', 'rollback'];
+
+const JsonPassageRevisionAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// SERVER-SIDE AUTH
-// ═══════════════════════════════════════════════════════════════════════════════
-// M1: refuse to run in production with a default/unset admin key. Locally
-// (NODE_ENV !== 'production') a fallback is allowed for convenience.
-const ADMIN_KEY = process.env.ADMIN_KEY || (process.env.NODE_ENV === 'production' ? null : 'admin123');
-if (process.env.NODE_ENV === 'production' && !process.env.ADMIN_KEY) {
-  console.error('🛑 FATAL: ADMIN_KEY environment variable is not set. Admin routes will be DISABLED until it is configured in Railway.');
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(PASSAGE_REVISIONS_FILE, 'utf8'));
+      this._cache = Array.isArray(parsed.revisions) ? parsed.revisions : [];
+    } catch (_) {
+      this._cache = [];
+    }
+    return this._cache;
+  },
+
+  async list(passageId) {
+    const all = await this._load();
+    return all.filter(r => r.passage_id === Number(passageId)).sort((a, b) => b.revision - a.revision);
+  },
+
+  async get(passageId, revision) {
+    const all = await this._load();
+    return all.find(r => r.passage_id === Number(passageId) && r.revision === Number(revision)) || null;
+  },
+
+  async latest(passageId) {
+    const [top] = await this.list(passageId);
+    return top || null;
+  },
+
+  async append(passage, meta) {
+    const all = await this._load();
+    const pid = Number(passage.id);
+    const revision = all.reduce((m, r) => (r.passage_id === pid ? Math.max(m, r.revision) : m), 0) + 1;
+    const rec = { passage_id: pid, revision, payload: passage, author: meta.author, source: meta.source, note: meta.note || '', created_at: new Date().toISOString() };
+    all.push(rec);
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(PASSAGE_REVISIONS_FILE, { revisions: all }));
+    await this._writeChain;
+    return rec;
+  }
+};
+
+const PgPassageRevisionAPI = {
+  _row(r) {
+    return { passage_id: r.passage_id, revision: r.revision, payload: r.payload, author: r.author, source: r.source, note: r.note || '', created_at: new Date(r.created_at).toISOString() };
+  },
+
+  async list(passageId) {
+    const { rows } = await pgPool.query('SELECT * FROM passage_revisions WHERE passage_id = $1 ORDER BY revision DESC', [Number(passageId)]);
+    return rows.map(r => this._row(r));
+  },
+
+  async get(passageId, revision) {
+    const { rows } = await pgPool.query('SELECT * FROM passage_revisions WHERE passage_id = $1 AND revision = $2', [Number(passageId), Number(revision)]);
+    return rows.length ? this._row(rows[0]) : null;
+  },
+
+  async latest(passageId) {
+    const { rows } = await pgPool.query('SELECT * FROM passage_revisions WHERE passage_id = $1 ORDER BY revision DESC LIMIT 1', [Number(passageId)]);
+    return rows.length ? this._row(rows[0]) : null;
+  },
+
+  async append(passage, meta) {
+    // The revision number is computed inside the INSERT; the unique
+    // constraint turns a concurrent double-save into an error, not a dupe.
+    const { rows } = await pgPool.query(
+      `INSERT INTO passage_revisions (passage_id, revision, payload, author, source, note, created_at)
+       SELECT $1, COALESCE(MAX(revision), 0) + 1, $2::jsonb, $3, $4, $5, NOW()
+         FROM passage_revisions WHERE passage_id = $1
+       RETURNING *`,
+      [Number(passage.id), JSON.stringify(passage), meta.author, meta.source, meta.note || '']
+    );
+    return this._row(rows[0]);
+  }
+};
+
+const PassageRevisionAPI = USE_POSTGRES ? PgPassageRevisionAPI : JsonPassageRevisionAPI;
+
+// Latest revision number per passage, for stamping graded attempts without a
+// storage round-trip on every grade. Filled lazily, updated on every append.
+const passageRevisionNumbers = new Map();
+
+// If a passage predates revision tracking, snapshot its current stored state
+// as revision 1 ('initial') so the first edit is always reversible.
+async function ensureInitialPassageRevision(passageId) {
+  const pid = Number(passageId);
+  if (passageRevisionNumbers.has(pid)) return passageRevisionNumbers.get(pid);
+  const latest = await PassageRevisionAPI.latest(pid);
+  if (latest) { passageRevisionNumbers.set(pid, latest.revision); return latest.revision; }
+  const current = await PassageAPI.getById(pid);
+  if (!current) return null;
+  const rec = await PassageRevisionAPI.append(current, { author: 'system', source: 'initial', note: 'State before revision tracking' });
+  passageRevisionNumbers.set(pid, rec.revision);
+  return rec.revision;
 }
 
-// ── Password hashing (C2) ───────────────────────────────────────────────────
-// v19.17: replaced unsalted SHA-256 with salted scrypt (Node built-in, no new
-// dependency). Each password gets a unique random salt, so identical passwords
-// no longer collide, and scrypt is deliberately slow so brute-forcing is
-// expensive. We ALSO stopped lowercasing the password — that was destroying
-// entropy ("Passw0rd" === "passw0rd"). Usernames are still lowercased; only the
-// password is now case-sensitive.
-//
-// Stored format: "scrypt$<saltHex>$<hashHex>".
-// Legacy hashes are plain 64-char hex (old sha256 of the lowercased password).
-// verifyPw() handles both, and login()/changePassword() upgrade legacy hashes
-// to scrypt on the next successful authentication.
-function hashPwScrypt(pw) {
-  const salt = crypto.randomBytes(16);
-  const derived = crypto.scryptSync(String(pw), salt, 32);
-  return 'scrypt$' + salt.toString('hex') + '$' + derived.toString('hex');
+async function recordPassageRevision(passage, meta) {
+  const rec = await PassageRevisionAPI.append(passage, {
+    author: String(meta.author || 'admin').slice(0, 100),
+    source: PASSAGE_REVISION_SOURCES.includes(meta.source) ? meta.source : 'manual',
+    note: String(meta.note || '').slice(0, 500)
+  });
+  passageRevisionNumbers.set(rec.passage_id, rec.revision);
+  return rec;
 }
-// Legacy hash — only used to verify old accounts so they can be upgraded.
-function hashPwLegacy(pw) { return crypto.createHash('sha256').update(String(pw).toLowerCase().trim()).digest('hex'); }
 
-// Returns { ok: boolean, needsUpgrade: boolean }. needsUpgrade is true when the
-// stored hash verified under the legacy scheme and should be re-hashed.
-function verifyPw(pw, storedHash) {
-  if (!storedHash) return { ok: false, needsUpgrade: false };
-  if (storedHash.startsWith('scrypt$')) {
-    const parts = storedHash.split('$');
-    if (parts.length !== 3) return { ok: false, needsUpgrade: false };
-    const salt = Buffer.from(parts[1], 'hex');
-    const expected = Buffer.from(parts[2], 'hex');
-    let derived;
-    try { derived = crypto.scryptSync(String(pw), salt, expected.length); }
-    catch (e) { return { ok: false, needsUpgrade: false }; }
-    // Constant-time compare
-    const ok = expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
-    return { ok, needsUpgrade: false };
-  }
-  // Legacy sha256(lowercased)
-  const legacy = hashPwLegacy(pw);
-  // timingSafeEqual needs equal-length buffers
-  const a = Buffer.from(legacy); const b = Buffer.from(storedHash);
-  const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
-  return { ok, needsUpgrade: ok };
+// The one path for single-passage writes: snapshot the old state if needed,
+// save, append the new revision, drop cached grades for the passage.
+async function savePassageRevision(fields, meta) {
+  if (fields.id) await ensureInitialPassageRevision(fields.id);
+  const saved = await PassageAPI.upsert(fields);
+  const rec = await recordPassageRevision(saved, meta);
+  await invalidateGradeCache(saved.id);
+  return { passage: saved, revision: rec.revision };
 }
 
-// For NEW hashes (register, password change/reset) always use scrypt.
-function hashPw(pw) { return hashPwScrypt(pw); }
+// Who made an admin change. The admin key is shared, so this is
+// self-reported: the x-admin-user header, falling back to 'admin'.
+function adminAuthor(req) {
+  return String(req.headers['x-admin-user'] || '').trim().slice(0, 100) || 'admin';
+}
 
-// ── Session tokens (C3) ─────────────────────────────────────────────────────
-// v19.17: the sync endpoints used to accept any username with no proof of
-// identity — anyone could read or overwrite anyone's data. We now issue a
-// signed session token at login/register and require it on sync. Same HMAC
-// pattern as impersonation tokens, but a longer TTL (30 days) and a distinct
-// signing secret so the two token types can't be confused.
+const REVISION_DIFF_FIELDS = ['title', 'category', 'text', 'keyElements', 'keyElementsRationale', 'sampleResponse', 'sampleNotes'];
+
+// Field-by-field diff of two passage payloads. Object fields (keyElements,
+// rationale) are compared per key so the admin sees WHICH element moved;
+// rationale.elements is flattened as elements.<key>.
+function diffPassagePayloads(a, b) {
+  const changes = [];
+  const flat = (obj) => {
+    const out = {};
+    for (const [k, v] of Object.entries(obj || {})) {
+      if (v && typeof v === 'object') for (const [k2, v2] of Object.entries(v)) out[`${k}.${k2}`] = v2;
+      else out[k] = v;
+    }
+    return out;
+  };
+  for (const field of REVISION_DIFF_FIELDS) {
+    const from = a?.[field], to = b?.[field];
+    if (field === 'keyElements' || field === 'keyElementsRationale') {
+      const fa = flat(from), fb = flat(to);
+      for (const k of [...new Set([...Object.keys(fa), ...Object.keys(fb)])]) {
+        if ((fa[k] ?? null) !== (fb[k] ?? null)) changes.push({ field: `${field}.${k}`, from: fa[k] ?? null, to: fb[k] ?? null });
+      }
+    } else if ((from ?? '') !== (to ?? '')) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+// ─── ATTEMPTS STORE (v20.7) ─────────────────────────────────────────────────
+// One row per graded attempt, written by /api/grade. Until now attempts only
+// existed inside each user's data blob (user_data.data / pte_data.json), as
+// reported back by the client through /api/sync — fine for the student's own
+// history, useless for querying across users. This is the server's record.
 //
-// A server-side SESSION_SECRET env var is preferred; if unset we derive one
-// from ADMIN_KEY (or a process-stable random fallback in local dev). Note:
-// deriving from ADMIN_KEY means changing the admin key invalidates all
-// sessions, which is acceptable (and arguably desirable).
-const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
-const _sessionFallbackSecret = crypto.randomBytes(32);  // used only if nothing else available
-function _sessionSecret() {
-  if (process.env.SESSION_SECRET) return crypto.createHash('sha256').update('session:' + process.env.SESSION_SECRET).digest();
-  if (ADMIN_KEY) return crypto.createHash('sha256').update('session:' + ADMIN_KEY).digest();
-  return _sessionFallbackSecret;
-}
-function mintSessionToken(username) {
-  const payload = username.toLowerCase().trim() + '|' + (Date.now() + SESSION_TTL_MS);
-  const sig = crypto.createHmac('sha256', _sessionSecret()).update(payload).digest('hex');
-  return Buffer.from(payload).toString('base64') + '.' + sig;
-}
-// Returns the username if the token is valid and unexpired, else null.
-function verifySessionToken(token) {
-  if (!token || typeof token !== 'string' || token.indexOf('.') < 0) return null;
-  const [b64, sig] = token.split('.');
-  let payload;
-  try { payload = Buffer.from(b64, 'base64').toString('utf8'); }
-  catch (e) { return null; }
-  const expectedSig = crypto.createHmac('sha256', _sessionSecret()).update(payload).digest('hex');
-  if (!sig || sig.length !== expectedSig.length) return null;
-  if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expectedSig))) return null;
-  const sep = payload.lastIndexOf('|');
-  if (sep < 0) return null;
-  const username = payload.slice(0, sep);
-  const expiry = Number(payload.slice(sep + 1));
-  if (!username || !expiry || Date.now() > expiry) return null;
-  return username;
-}
-// Middleware: the request must carry a valid session token whose username
-// matches the :userId route param (case-insensitive). Impersonation tokens are
-// also accepted so the admin "Open as User" flow keeps working.
-function requireSyncAuth(req, res, next) {
-  const token = req.headers['x-session-token'] || req.query.token || '';
-  const target = (req.params.userId || '').toLowerCase().trim();
-  let who = verifySessionToken(token);
-  if (!who) who = verifyImpersonationToken(token);  // admin acting as user
-  if (!who) return res.status(401).json({ error: 'Not authenticated' });
-  if (who.toLowerCase().trim() !== target) {
-    return res.status(403).json({ error: 'Token does not match this user' });
-  }
-  next();
+// Row: { id, username, task, passage_id, passage_revision, text, word_count,
+//        trait_scores, overall_score, raw_score, max_raw_score, band,
+//        timings: { grade_ms, writing_seconds }, scoring_version, mode,
+//        cached, trace (v20.8, null unless requested),
+//        needs_review, review_reasons (v20.16),
+//        feedback_card, reviewed_at (v20.17), scoring_profile (v20.18),
+//        created_at }
+const ATTEMPTS_FILE = path.join(DATA_DIR, 'attempts.json');
+const ATTEMPT_SORTS = {
+  newest: (a, b) => b.id - a.id,
+  oldest: (a, b) => a.id - b.id,
+  score_desc: (a, b) => (b.overall_score - a.overall_score) || (b.id - a.id),
+  score_asc: (a, b) => (a.overall_score - b.overall_score) || (b.id - a.id)
+};
+
+function attemptMatches(a, f) {
+  if (f.username && a.username !== f.username) return false;
+  if (f.passageId != null && a.passage_id !== f.passageId) return false;
+  if (f.task && a.task !== f.task) return false;
+  if (f.from && a.created_at < f.from) return false;
+  if (f.to && a.created_at > f.to) return false;
+  if (f.minScore != null && a.overall_score < f.minScore) return false;
+  if (f.maxScore != null && a.overall_score > f.maxScore) return false;
+  if (f.needsReview != null && !!a.needs_review !== f.needsReview) return false;
+  if (f.reviewed != null && !!a.reviewed_at !== f.reviewed) return false;
+  return true;
 }
 
-const AuthAPI = {
-  async readAccounts() {
-    const data = await StorageAPI.readData();
-    if (!data.accounts) data.accounts = {};
-    if (!data.users) data.users = {};
-    return data;
-  },
-  async register(username, password, secretQ, secretA, email) {
-    const uid = username.toLowerCase().trim();
-    if (password.length < 4) return { success: false, error: 'Password min 4 chars' };
-    // v19.10: Postgres fast path — single account lookup + single insert.
-    if (USE_POSTGRES) {
-      const existing = await PgStorage._getAccount(uid);
-      if (existing) return { success: false, error: 'Username taken' };
-      await PgStorage._saveAccount({
-        username: uid, passwordHash: hashPw(password),
-        secretQ: secretQ || '', secretAHash: secretA ? hashPw(secretA) : '',
-        createdAt: new Date().toISOString(), lastLogin: null,
-        blocked: false, role: 'user'
-      });
-      // Seed an empty user_data row so subsequent getUserData returns the same
-      // shape JsonStorage would return for a brand-new user.
-      await pgPool.query(
-        `INSERT INTO user_data (username, data) VALUES ($1, $2::jsonb) ON CONFLICT (username) DO NOTHING`,
-        [uid, JSON.stringify({ attempted: [], summaries: {}, scores: {}, history: {}, stats: { totalAttempts: 0, averageScore: 0 }, email: email || '' })]
-      );
-      return { success: true, user: { username: uid, role: 'user' } };
-    }
-    // JSON fallback (unchanged)
-    const data = await this.readAccounts();
-    if (data.accounts[uid]) return { success: false, error: 'Username taken' };
-    data.accounts[uid] = {
-      username: uid, passwordHash: hashPw(password),
-      secretQ: secretQ || '', secretAHash: secretA ? hashPw(secretA) : '',
-      createdAt: new Date().toISOString(), lastLogin: null,
-      blocked: false, role: 'user'
-    };
-    if (!data.users[uid]) data.users[uid] = { attempted: [], summaries: {}, scores: {}, history: {}, stats: { totalAttempts: 0, averageScore: 0 }, email: email || '' };
-    await StorageAPI.writeData(data);
-    return { success: true, user: { username: uid, role: 'user' } };
-  },
-  async login(username, password) {
-    const uid = username.toLowerCase().trim();
-    if (USE_POSTGRES) {
-      const acct = await PgStorage._getAccount(uid);
-      if (!acct) return { success: false, error: 'User not found' };
-      if (acct.blocked) return { success: false, error: 'Account blocked. Contact admin.' };
-      const v = verifyPw(password, acct.passwordHash);
-      if (!v.ok) return { success: false, error: 'Wrong password' };
-      // v19.17: upgrade legacy sha256 hashes to scrypt on successful login.
-      if (v.needsUpgrade) {
-        try { await pgPool.query('UPDATE accounts SET password_hash = $1 WHERE username = $2', [hashPw(password), uid]); }
-        catch (e) { /* non-fatal — they're still logged in; upgrade retries next login */ }
-      }
-      // Stamp lastLogin without rewriting any other field.
-      await pgPool.query('UPDATE accounts SET last_login = NOW() WHERE username = $1', [uid]);
-      return { success: true, user: { username: uid, role: acct.role || 'user' } };
+const JsonAttemptAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
+
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(ATTEMPTS_FILE, 'utf8'));
+      this._cache = { next_id: parsed.next_id || 1, attempts: Array.isArray(parsed.attempts) ? parsed.attempts : [] };
+    } catch (_) {
+      this._cache = { next_id: 1, attempts: [] };
     }
-    const data = await this.readAccounts();
-    const acct = data.accounts[uid];
-    if (!acct) return { success: false, error: 'User not found' };
-    if (acct.blocked) return { success: false, error: 'Account blocked. Contact admin.' };
-    const v = verifyPw(password, acct.passwordHash);
-    if (!v.ok) return { success: false, error: 'Wrong password' };
-    if (v.needsUpgrade) acct.passwordHash = hashPw(password);
-    acct.lastLogin = new Date().toISOString();
-    await StorageAPI.writeData(data);
-    return { success: true, user: { username: uid, role: acct.role || 'user' } };
+    return this._cache;
   },
-  async changePassword(username, oldPw, newPw) {
-    const uid = username.toLowerCase().trim();
-    if (USE_POSTGRES) {
-      const acct = await PgStorage._getAccount(uid);
-      if (!acct) return { success: false, error: 'User not found' };
-      if (!verifyPw(oldPw, acct.passwordHash).ok) return { success: false, error: 'Wrong current password' };
-      if (newPw.length < 4) return { success: false, error: 'Min 4 chars' };
-      await pgPool.query('UPDATE accounts SET password_hash = $1 WHERE username = $2', [hashPw(newPw), uid]);
-      return { success: true };
-    }
-    const data = await this.readAccounts();
-    const acct = data.accounts[uid];
-    if (!acct) return { success: false, error: 'User not found' };
-    if (!verifyPw(oldPw, acct.passwordHash).ok) return { success: false, error: 'Wrong current password' };
-    if (newPw.length < 4) return { success: false, error: 'Min 4 chars' };
-    acct.passwordHash = hashPw(newPw);
-    await StorageAPI.writeData(data);
-    return { success: true };
+
+  async record(row) {
+    const store = await this._load();
+    const rec = { id: store.next_id++, ...row, created_at: new Date().toISOString() };
+    store.attempts.push(rec);
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(ATTEMPTS_FILE, store));
+    await this._writeChain;
+    return rec;
   },
-  async resetPassword(username, secretA, newPw) {
-    const data = await this.readAccounts();
-    const uid = username.toLowerCase().trim();
-    const acct = data.accounts[uid];
-    if (!acct) return { success: false, error: 'User not found' };
-    if (!acct.secretAHash || !verifyPw(secretA, acct.secretAHash).ok) return { success: false, error: 'Wrong answer' };
-    if (newPw && newPw.length >= 4) { acct.passwordHash = hashPw(newPw); await StorageAPI.writeData(data); return { success: true }; }
-    return { success: true, verified: true, secretQ: acct.secretQ };
+
+  async getById(id) {
+    const store = await this._load();
+    return store.attempts.find(a => a.id === Number(id)) || null;
   },
-  async getSecretQ(username) {
-    const data = await this.readAccounts();
-    const uid = username.toLowerCase().trim();
-    const acct = data.accounts[uid];
-    if (!acct || !acct.secretQ) return { success: false, error: 'No secret question set' };
-    return { success: true, secretQ: acct.secretQ };
+
+  async markReviewed(id) {
+    const store = await this._load();
+    const rec = store.attempts.find(a => a.id === Number(id));
+    if (!rec) return null;
+    rec.reviewed_at = new Date().toISOString();
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(ATTEMPTS_FILE, store));
+    await this._writeChain;
+    return rec;
   },
-  // ── Admin functions ──
-  async listUsers() {
-    const data = await this.readAccounts();
-    return Object.values(data.accounts).map(a => ({
-      username: a.username, createdAt: a.createdAt, lastLogin: a.lastLogin,
-      blocked: a.blocked || false, role: a.role || 'user',
-      stats: (data.users[a.username] || {}).stats || { totalAttempts: 0, averageScore: 0 }
-    }));
+
+  async query(f) {
+    const store = await this._load();
+    const hits = store.attempts.filter(a => attemptMatches(a, f)).sort(ATTEMPT_SORTS[f.sort]);
+    return { attempts: hits.slice(f.offset, f.offset + f.limit), total: hits.length };
+  }
+};
+
+const PgAttemptAPI = {
+  _row(r) {
+    return {
+      id: Number(r.id), username: r.username, task: r.task, passage_id: r.passage_id, passage_revision: r.passage_revision,
+      text: r.text, word_count: r.word_count, trait_scores: r.trait_scores || {}, overall_score: r.overall_score,
+      raw_score: r.raw_score, max_raw_score: r.max_raw_score, band: r.band, timings: r.timings || {},
+      scoring_version: r.scoring_version, mode: r.mode, cached: r.cached, trace: r.trace || null,
+      needs_review: !!r.needs_review, review_reasons: r.review_reasons || [],
+      feedback_card: r.feedback_card || null, reviewed_at: r.reviewed_at ? new Date(r.reviewed_at).toISOString() : null,
+      scoring_profile: r.scoring_profile || null,
+      created_at: new Date(r.created_at).toISOString()
+    };
   },
-  async deleteUser(username) {
-    const data = await this.readAccounts();
-    const uid = username.toLowerCase().trim();
-    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
-    delete data.accounts[uid];
-    delete data.users[uid];
-    await StorageAPI.writeData(data);
-    return { success: true };
+
+  async record(row) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO attempts (username, task, passage_id, passage_revision, text, word_count, trait_scores,
+         overall_score, raw_score, max_raw_score, band, timings, scoring_version, mode, cached, trace, needs_review, review_reasons,
+         feedback_card, scoring_profile, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10, $11, $12::jsonb, $13, $14, $15, $16::jsonb, $17, $18::jsonb, $19::jsonb, $20, NOW())
+       RETURNING *`,
+      [row.username, row.task, row.passage_id, row.passage_revision, row.text, row.word_count, JSON.stringify(row.trait_scores || {}),
+       row.overall_score, row.raw_score, row.max_raw_score, row.band, JSON.stringify(row.timings || {}), row.scoring_version, row.mode, row.cached,
+       row.trace ? JSON.stringify(row.trace) : null, !!row.needs_review, JSON.stringify(row.review_reasons || []),
+       row.feedback_card ? JSON.stringify(row.feedback_card) : null, row.scoring_profile || null]
+    );
+    return this._row(rows[0]);
   },
-  async blockUser(username, blocked) {
-    const data = await this.readAccounts();
-    const uid = username.toLowerCase().trim();
-    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
-    data.accounts[uid].blocked = blocked;
-    await StorageAPI.writeData(data);
-    return { success: true, blocked };
+
+  async getById(id) {
+    const { rows } = await pgPool.query('SELECT * FROM attempts WHERE id = $1', [Number(id)]);
+    return rows.length ? this._row(rows[0]) : null;
   },
-  async adminResetPassword(username, newPw) {
-    const data = await this.readAccounts();
-    const uid = username.toLowerCase().trim();
-    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
-    data.accounts[uid].passwordHash = hashPw(newPw);
-    await StorageAPI.writeData(data);
-    return { success: true };
+
+  async markReviewed(id) {
+    const { rows } = await pgPool.query('UPDATE attempts SET reviewed_at = NOW() WHERE id = $1 RETURNING *', [Number(id)]);
+    return rows.length ? this._row(rows[0]) : null;
   },
-  async getUserData(username) {
-    const data = await this.readAccounts();
-    const uid = username.toLowerCase().trim();
-    return { account: data.accounts[uid] || null, progress: data.users[uid] || null };
+
+  async query(f) {
+    const where = [], params = [];
+    const add = (sql, v) => { params.push(v); where.push(sql.replace('?', '$' + params.length)); };
+    if (f.username)         add('username = ?', f.username);
+    if (f.passageId != null) add('passage_id = ?', f.passageId);
+    if (f.task)             add('task = ?', f.task);
+    if (f.from)             add('created_at >= ?', f.from);
+    if (f.to)               add('created_at <= ?', f.to);
+    if (f.minScore != null) add('overall_score >= ?', f.minScore);
+    if (f.maxScore != null) add('overall_score <= ?', f.maxScore);
+    if (f.needsReview != null) add('needs_review = ?', f.needsReview);
+    if (f.reviewed != null) where.push(f.reviewed ? 'reviewed_at IS NOT NULL' : 'reviewed_at IS NULL');
+    const clause = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const order = {
+      newest: 'id DESC', oldest: 'id ASC', score_desc: 'overall_score DESC, id DESC', score_asc: 'overall_score ASC, id DESC'
+    }[f.sort];
+    const [{ rows }, count] = await Promise.all([
+      pgPool.query(`SELECT * FROM attempts ${clause} ORDER BY ${order} LIMIT ${f.limit} OFFSET ${f.offset}`, params),
+      pgPool.query(`SELECT COUNT(*)::int AS n FROM attempts ${clause}`, params)
+    ]);
+    return { attempts: rows.map(r => this._row(r)), total: count.rows[0].n };
   }
 };
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// ═══════════════════════════════════════════════════════════════════════════════
-// SPELL CHECKER — Edit distance only (no dictionary file needed)
-// ═══════════════════════════════════════════════════════════════════════════════
-function editDistance(a, b) {
-  if (Math.abs(a.length - b.length) > 2) return 3;
-  const m = a.length, n = b.length;
-  const dp = Array.from({length: m + 1}, () => Array(n + 1).fill(0));
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-  for (let i = 1; i <= m; i++)
-    for (let j = 1; j <= n; j++)
-      dp[i][j] = a[i-1] === b[j-1] ? dp[i-1][j-1] : 1 + Math.min(dp[i-1][j], dp[i][j-1], dp[i-1][j-1]);
-  return dp[m][n];
+const AttemptAPI = USE_POSTGRES ? PgAttemptAPI : JsonAttemptAPI;
+
+// Query-string → filter for AttemptAPI.query. Returns { error } on bad input
+// so both attempt endpoints answer with the same 400s.
+function parseAttemptQuery(q) {
+  const f = { sort: 'newest', limit: 50, offset: 0 };
+  if (q.user) f.username = String(q.user).toLowerCase().trim();
+  if (q.passageId != null && q.passageId !== '') {
+    f.passageId = Number(q.passageId);
+    if (!Number.isInteger(f.passageId)) return { error: 'passageId must be an integer' };
+  }
+  if (q.task) f.task = String(q.task);
+  for (const k of ['from', 'to']) {
+    if (!q[k]) continue;
+    const d = new Date(String(q[k]));
+    if (isNaN(d)) return { error: `${k} must be an ISO date` };
+    // A bare date for `to` means the whole of that day.
+    if (k === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(q[k]))) d.setUTCHours(23, 59, 59, 999);
+    f[k] = d.toISOString();
+  }
+  for (const k of ['minScore', 'maxScore']) {
+    if (q[k] == null || q[k] === '') continue;
+    f[k] = Number(q[k]);
+    if (!Number.isFinite(f[k])) return { error: `${k} must be a number` };
+  }
+  for (const k of ['needsReview', 'reviewed']) {
+    if (q[k] == null || q[k] === '') continue;
+    if (!['true', 'false'].includes(String(q[k]))) return { error: `${k} must be true or false` };
+    f[k] = String(q[k]) === 'true';
+  }
+  if (q.sort) {
+    if (!ATTEMPT_SORTS[q.sort]) return { error: `sort must be one of: ${Object.keys(ATTEMPT_SORTS).join(', ')}` };
+    f.sort = q.sort;
+  }
+  if (q.limit != null) f.limit = Math.max(1, Math.min(200, parseInt(q.limit, 10) || 50));
+  if (q.offset != null) f.offset = Math.max(0, parseInt(q.offset, 10) || 0);
+  return f;
 }
 
-function checkSpelling(studentText, passageText) {
-  const passageLower = passageText.toLowerCase().replace(/[^\w\s'-]/g, '');
-  const passageWords = new Set(passageLower.split(/\s+/).filter(w => w.length > 2));
-  const passageExpanded = new Set(passageWords);
-  for (const w of passageWords) {
-    for (const suf of ['s','ed','ing','ly','er','est','tion','ment','ness','ity','ive','ful','less','ous','al','ial','able','ible']) passageExpanded.add(w + suf);
-    if (w.endsWith('ing')) passageExpanded.add(w.slice(0, -3));
-    if (w.endsWith('ed')) passageExpanded.add(w.slice(0, -2));
-    if (w.endsWith('s') && w.length > 3) passageExpanded.add(w.slice(0, -1));
-    if (w.endsWith('ly')) passageExpanded.add(w.slice(0, -2));
-    if (w.endsWith('e')) { passageExpanded.add(w.slice(0,-1)+'ing'); passageExpanded.add(w.slice(0,-1)+'ed'); passageExpanded.add(w.slice(0,-1)+'ation'); }
-    if (w.endsWith('y') && w.length>=4) { const stem=w.slice(0,-1); passageExpanded.add(stem+'ies'); passageExpanded.add(stem+'ied'); passageExpanded.add(stem+'ily'); }
-    // British/American variants
-    if (w.endsWith('ize')) passageExpanded.add(w.replace(/ize$/, 'ise'));
-    if (w.endsWith('ise')) passageExpanded.add(w.replace(/ise$/, 'ize'));
-    if (w.endsWith('ization')) passageExpanded.add(w.replace(/ization$/, 'isation'));
-    if (w.endsWith('isation')) passageExpanded.add(w.replace(/isation$/, 'ization'));
-    if (w.endsWith('ized')) passageExpanded.add(w.replace(/ized$/, 'ised'));
-    if (w.endsWith('ised')) passageExpanded.add(w.replace(/ised$/, 'ized'));
-    // Also handle z↔s anywhere in word
-    if (w.includes('z')) passageExpanded.add(w.replace(/z/g, 's'));
-    if (w.includes('s') && w.length > 5) passageExpanded.add(w.replace(/s(?=ation|ise|ised)/g, 'z'));
-  }
-  // Add de-hyphenated forms from passage
-  const hyphenated = passageText.match(/\w+-\w+/g) || [];
-  hyphenated.forEach(h => passageExpanded.add(h.replace(/-/g, '').toLowerCase()));
-  // Common function words that are never typos
-  const SAFE = new Set(['though','although','through','throughout','therefore','however','moreover','furthermore','nevertheless','consequently','additionally','whereas','whereby','thereby','therein','thereof','nonetheless','meanwhile','otherwise','likewise','similarly','accordingly','subsequently','alternatively','simultaneously','approximately','predominantly','significantly','substantially','considerably','particularly','specifically','essentially','fundamentally','traditionally','potentially','previously','currently','recently','apparently','ultimately','worldwide','nationwide','otherwise']);
+// Lists leave the trace and feedback card out (each can be several KB per
+// row); fetch one attempt by id to get them. A student's own list shows the
+// teacher-adjusted scores where a review changed them.
+async function queryAttempts(f, res, { studentView = false } = {}) {
+  const { attempts, total } = await AttemptAPI.query(f);
+  const reviews = await ReviewAPI.latestFor(attempts.map(a => a.id));
+  const rows = attempts.map(({ trace, feedback_card, ...a }) => {
+    const row = { ...a, has_trace: !!trace };
+    return studentView ? applyTeacherReview(row, reviews.get(a.id)) : { ...row, teacher_review: reviews.get(a.id) || null };
+  });
+  res.json({ attempts: rows, total, limit: f.limit, offset: f.offset, has_more: f.offset + rows.length < total });
+}
 
-  // v19.7.2: pairs of irregular-verb forms that share lemma but differ at
-  // edit-distance 1 (e.g., "became"/"become", "begun"/"begin"). When the
-  // student types one form and the passage uses the other, the basic edit-
-  // distance check would false-flag it as a typo. We map each form to its
-  // common alternates so the inflection check below can recognize the pair
-  // and skip the typo flag.
-  const IRREGULAR_VERB_PAIRS = {
-    'became':  ['become','becomes','becoming'],
-    'become':  ['became','becomes','becoming'],
-    'begun':   ['begin','began','begins','beginning'],
-    'began':   ['begin','begun','begins','beginning'],
-    'begin':   ['began','begun','begins','beginning'],
-    'broke':   ['break','breaks','broken','breaking'],
-    'broken':  ['break','breaks','broke','breaking'],
-    'chose':   ['choose','chooses','chosen','choosing'],
-    'chosen':  ['choose','chooses','chose','choosing'],
-    'drove':   ['drive','drives','driven','driving'],
-    'driven':  ['drive','drives','drove','driving'],
-    'fell':    ['fall','falls','fallen','falling'],
-    'fallen':  ['fall','falls','fell','falling'],
-    'flew':    ['fly','flies','flew','flown','flying'],
-    'flown':   ['fly','flies','flew','flying'],
-    'gave':    ['give','gives','given','giving'],
-    'given':   ['give','gives','gave','giving'],
-    'grew':    ['grow','grows','grown','growing'],
-    'grown':   ['grow','grows','grew','growing'],
-    'held':    ['hold','holds','holding'],
-    'hold':    ['held','holds','holding'],
-    'knew':    ['know','knows','known','knowing'],
-    'known':   ['know','knows','knew','knowing'],
-    'rose':    ['rise','rises','risen','rising'],
-    'risen':   ['rise','rises','rose','rising'],
-    'shook':   ['shake','shakes','shaken','shaking'],
-    'spoke':   ['speak','speaks','spoken','speaking'],
-    'spoken':  ['speak','speaks','spoke','speaking'],
-    'stole':   ['steal','steals','stolen','stealing'],
-    'stolen':  ['steal','steals','stole','stealing'],
-    'swam':    ['swim','swims','swum','swimming'],
-    'swum':    ['swim','swims','swam','swimming'],
-    'took':    ['take','takes','taken','taking'],
-    'taken':   ['take','takes','took','taking'],
-    'threw':   ['throw','throws','thrown','throwing'],
-    'thrown':  ['throw','throws','threw','throwing'],
-    'wore':    ['wear','wears','worn','wearing'],
-    'worn':    ['wear','wears','wore','wearing'],
-    'wrote':   ['write','writes','written','writing'],
-    'written': ['write','writes','wrote','writing'],
-    'went':    ['go','goes','gone','going'],
-    'gone':    ['go','goes','went','going'],
-    'saw':     ['see','sees','seen','seeing'],
-    'seen':    ['see','sees','saw','seeing'],
-    'made':    ['make','makes','making'],
-    'make':    ['made','makes','making'],
-    'said':    ['say','says','saying'],
-    'told':    ['tell','tells','telling'],
-    'tell':    ['told','tells','telling'],
-    'sold':    ['sell','sells','selling'],
-    'sell':    ['sold','sells','selling'],
-    'left':    ['leave','leaves','leaving'],
-    'leave':   ['left','leaves','leaving'],
-    'felt':    ['feel','feels','feeling'],
-    'feel':    ['felt','feels','feeling'],
-    'heard':   ['hear','hears','hearing'],
-    'paid':    ['pay','pays','paying'],
-    'pay':     ['paid','pays','paying'],
-    'lay':     ['lie','lies','lying','lain'],
-    'lain':    ['lie','lies','lay','lying'],
-    'sat':     ['sit','sits','sitting'],
-    'stood':   ['stand','stands','standing'],
-    'stand':   ['stood','stands','standing'],
-    'won':     ['win','wins','winning'],
-    'lost':    ['lose','loses','losing'],
-    'lose':    ['lost','loses','losing'],
-    'caught':  ['catch','catches','catching'],
-    'taught':  ['teach','teaches','teaching'],
-    'bought':  ['buy','buys','buying'],
-    'brought': ['bring','brings','bringing'],
-    'thought': ['think','thinks','thinking'],
-    'fought':  ['fight','fights','fighting'],
-    'sought':  ['seek','seeks','seeking'],
-  };
-  
-  const studentWords = studentText.replace(/[^\w\s'-]/g, '').split(/\s+/).filter(w => w.length > 2);
-  const errors = [];
-  const checked = new Set();
-  for (const word of studentWords) {
-    const lower = word.toLowerCase();
-    if (checked.has(lower)) continue;
-    checked.add(lower);
-    if (passageExpanded.has(lower)) continue;
-    if (SAFE.has(lower)) continue;
-    if (/^\d/.test(word) || /^[A-Z]{2,}$/.test(word) || word.includes("'")) continue;
-    if (lower.length <= 5) continue;
-    // Only flag edit distance EXACTLY 1 from a passage word (very tight — catches real typos only)
-    // But skip if the word is a valid derived form (suffix/prefix of a passage word)
-    let isTypo = false, closestWord = '';
-    let isDerived = false;
-    for (const pw of passageWords) {
-      // Skip if one contains the other (derived form, not a typo)
-      if (pw.includes(lower) || lower.includes(pw)) { isDerived = true; break; }
-      // Skip if they share a stem of 4+ chars (e.g., "enhance" vs "enhances" vs "enhanced")
-      const minLen = Math.min(pw.length, lower.length);
-      if (minLen >= 5) {
-        const sharedPrefix = pw.substring(0, minLen-2) === lower.substring(0, minLen-2);
-        if (sharedPrefix) { isDerived = true; break; }
-      }
-    }
-    if (isDerived) continue;
-    // v19.7.2: irregular verb pairs (e.g., "became"/"become") are at edit
-    // distance 1 but are NOT typos — they're inflections. If the student's
-    // word has a known alternate form that appears in the passage, skip.
-    const irregularAlts = IRREGULAR_VERB_PAIRS[lower];
-    if (irregularAlts && irregularAlts.some(alt => passageWords.has(alt))) continue;
-    for (const pw of passageWords) {
-      if (Math.abs(pw.length - lower.length) > 1) continue;
-      const dist = editDistance(lower, pw);
-      if (dist === 1) { isTypo = true; closestWord = pw; break; }
-    }
-    if (isTypo) errors.push({ word, suggestion: closestWord });
-  }
-  return { errors: errors.map(e => e.word), suggestions: errors.map(e => ({ misspelled: e.word, suggestion: e.suggestion })), count: errors.length };
+// ─── ATTEMPT REVIEWS (v20.17) ───────────────────────────────────────────────
+// A teacher's verdict on one attempt. Every review stores the machine score
+// it started from next to the teacher's, so engine accuracy can be measured
+// against human marking over time. The attempt row itself is never rewritten;
+// the latest review is laid over it wherever the student sees a score.
+//
+// Row: { id, attempt_id, username, passage_id, reviewer,
+//        original: { trait_scores, overall_score, raw_score, band, scoring_version },
+//        adjusted: { trait_scores, overall_score, band },
+//        changed: ['content', 'overall_score', …], comment, trait_comments, created_at }
+const ATTEMPT_REVIEWS_FILE = path.join(DATA_DIR, 'attempt_reviews.json');
+
+function reviewMatches(r, f) {
+  if (f.from && r.created_at < f.from) return false;
+  if (f.to && r.created_at > f.to) return false;
+  if (f.reviewer && r.reviewer !== f.reviewer) return false;
+  return true;
 }
 
-const BAND_MAP = { 0:'Band 5',1:'Band 5',2:'Band 6',3:'Band 6.5',4:'Band 7',5:'Band 7.5',6:'Band 8',7:'Band 9' };
-const RAW_TO_PTE = { 0:10,1:15,2:28,3:38,4:50,5:62,6:76,7:90 };
+const JsonReviewAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
 
-// ─── HELPERS: Count the number of key elements on a passage ─────────────────
-// The strict content gate (v19.4) treats each key element as one "band". A
-// passage with 4 elements has content_score 0–4; a passage with 3 elements
-// has content_score 0–3. This function reports the total — accepting both
-// the new (what/why/how/result) and legacy (topic/pivot/conclusion) schemas.
-function countKeyElements(keyElements) {
-  if (!keyElements || typeof keyElements !== 'object') return 0;
-  const newCount = ['what','why','how','result'].filter(k => typeof keyElements[k] === 'string' && keyElements[k].trim()).length;
-  if (newCount > 0) return newCount;
-  return ['topic','pivot','conclusion'].filter(k => typeof keyElements[k] === 'string' && keyElements[k].trim()).length;
-}
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(ATTEMPT_REVIEWS_FILE, 'utf8'));
+      this._cache = { next_id: parsed.next_id || 1, reviews: Array.isArray(parsed.reviews) ? parsed.reviews : [] };
+    } catch (_) {
+      this._cache = { next_id: 1, reviews: [] };
+    }
+    return this._cache;
+  },
 
-// Continuous raw-to-PTE mapping — supports decimal raw scores via linear interpolation
-// (legacy 0–7 scale; preserved for callers that haven't been updated to the dynamic version)
-function rawToPTE(raw) {
-  raw = Math.max(0, Math.min(7, raw));
-  const lo = Math.floor(raw);
-  const hi = Math.min(7, lo + 1);
-  if (lo === hi || raw === lo) return RAW_TO_PTE[lo];
-  const frac = raw - lo;
-  return Math.round(RAW_TO_PTE[lo] + frac * (RAW_TO_PTE[hi] - RAW_TO_PTE[lo]));
-}
-function rawToBand(raw) {
-  const r = Math.max(0, Math.min(7, Math.round(raw)));
-  return BAND_MAP[r];
-}
+  async record(row) {
+    const store = await this._load();
+    const rec = { id: store.next_id++, ...row, created_at: new Date().toISOString() };
+    store.reviews.push(rec);
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(ATTEMPT_REVIEWS_FILE, store));
+    await this._writeChain;
+    return rec;
+  },
 
-// ─── DYNAMIC RAW → PTE / BAND ───────────────────────────────────────────────
-// v19.4: content_score now scales with the number of key elements (0–N where
-// N is 3 or 4). Raw score therefore scales 0–(N+5). These functions linearly
-// interpolate so that raw=0 → PTE 10 and raw=maxRaw → PTE 90, with band labels
-// proportional to the raw/maxRaw ratio.
-function rawToPTEDynamic(raw, maxRaw) {
-  if (!maxRaw || maxRaw <= 0) return rawToPTE(raw); // legacy fallback
-  raw = Math.max(0, Math.min(maxRaw, raw));
-  if (raw === 0) return 10;
-  return Math.round(10 + (raw / maxRaw) * 80);
-}
-function rawToBandDynamic(raw, maxRaw) {
-  if (!maxRaw || maxRaw <= 0) return rawToBand(raw);
-  const r = maxRaw > 0 ? raw / maxRaw : 0;
-  if (r >= 0.93) return 'Band 9';
-  if (r >= 0.79) return 'Band 8';
-  if (r >= 0.64) return 'Band 7.5';
-  if (r >= 0.50) return 'Band 7';
-  if (r >= 0.36) return 'Band 6.5';
-  if (r >= 0.21) return 'Band 6';
-  return 'Band 5';
-}
-// Inverse of rawToPTEDynamic — given a PTE cap, what raw cap does that imply?
-function pteToRaw(pte, maxRaw) {
-  if (!maxRaw || maxRaw <= 0) return 0;
-  return Math.max(0, (pte - 10) * maxRaw / 80);
-}
+  // Newest first.
+  async forAttempt(attemptId) {
+    const store = await this._load();
+    return store.reviews.filter(r => r.attempt_id === Number(attemptId)).sort((a, b) => b.id - a.id);
+  },
 
-const STOP_WORDS = new Set([
-  'the','a','an','and','or','but','in','on','at','to','for','of','with','by',
-  'is','are','was','were','be','been','have','has','had','will','would','could',
-  'should','may','might','can','this','that','these','those','it','they','them',
-  'their','there','then','than','as','so','also','about','up','out','down','off',
-  'over','under','again','here','why','how','all','any','both','each','few',
-  'more','most','other','some','such','no','nor','not','only','own','same','too',
-  'very','just','because','while','through','during','before','after','above',
-  'below','despite','without','within','between','into','from','its','our','we',
-  'which','what','who','whom','whose','when','where','much','many','says','said',
-  'asks','asked','states','stated','reports','reported','according','notes','noted',
-  'being','become','became','does','did','done','going','went','gone','like','even'
-]);
+  // attempt id → its latest review.
+  async latestFor(attemptIds) {
+    const ids = new Set(attemptIds.map(Number));
+    const out = new Map();
+    if (!ids.size) return out;
+    const store = await this._load();
+    for (const r of store.reviews) {
+      if (ids.has(r.attempt_id) && (!out.has(r.attempt_id) || out.get(r.attempt_id).id < r.id)) out.set(r.attempt_id, r);
+    }
+    return out;
+  },
 
-const NUMBER_WORD_MAP = {
-  'zero':'0','one':'1','two':'2','three':'3','four':'4','five':'5',
-  'six':'6','seven':'7','eight':'8','nine':'9','ten':'10','eleven':'11',
-  'twelve':'12','thirteen':'13','fourteen':'14','fifteen':'15','sixteen':'16',
-  'seventeen':'17','eighteen':'18','nineteen':'19','twenty':'20','thirty':'30',
-  'forty':'40','fifty':'50','sixty':'60','seventy':'70','eighty':'80','ninety':'90',
-  'hundred':'100','thousand':'1000','million':'1000000','billion':'1000000000'
+  // The latest review of every reviewed attempt in the window.
+  async latestPerAttempt(f) {
+    const store = await this._load();
+    const out = new Map();
+    for (const r of store.reviews) {
+      if (!reviewMatches(r, f)) continue;
+      if (!out.has(r.attempt_id) || out.get(r.attempt_id).id < r.id) out.set(r.attempt_id, r);
+    }
+    return [...out.values()];
+  }
 };
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// MEANING-SAFE SYNONYM MAP
-// Each key is a word from the passage; values are synonyms that PRESERVE meaning.
-// Student gets credit ONLY for swaps in this map.
-// ═══════════════════════════════════════════════════════════════════════════════
-const SAFE_SYNONYMS = {
-  // Verbs
-  'made':['opted','chose','decided','selected','undertook'],
-  'make':['create','produce','generate','establish','form'],
-  'choice':['decision','selection','option'],
-  'exchange':['swap','trade','switch','replace'],
-  'knew':['understood','recognised','recognized','acknowledged','realised','realized'],
-  'familiar':['acquainted','aware','knowledgeable','experienced','accustomed'],
-  'persuade':['convince','urge','encourage','argue'],
-  'became':['transformed','evolved','developed','emerged','turned'],
-  'surpassed':['overtaken','exceeded','outpaced','outperformed','eclipsed'],
-  'shows':['demonstrates','reveals','indicates','illustrates','highlights'],
-  'said':['stated','argued','claimed','noted','emphasized','declared','mentioned'],
-  'important':['significant','crucial','critical','essential','vital'],
-  'problem':['challenge','issue','concern','difficulty','obstacle'],
-  'good':['beneficial','advantageous','positive','favorable','valuable','worthwhile'],
-  'bad':['detrimental','negative','adverse','harmful','unfavorable','poor'],
-  'big':['substantial','significant','considerable','major','enormous','large'],
-  'small':['minor','modest','minimal','slight','marginal'],
-  'increase':['rise','growth','surge','expansion','escalation','gain'],
-  'decrease':['decline','drop','reduction','fall','contraction'],
-  'cause':['lead','result','trigger','generate','produce'],
-  'help':['assist','facilitate','enable','support','contribute'],
-  'change':['shift','transition','transformation','alteration','modification'],
-  'grow':['expand','develop','increase','rise','flourish'],
-  // Academic vocabulary — bidirectional
-  'enhance':['improve','strengthen','bolster','augment','elevate'],
-  'ensure':['guarantee','safeguard','secure','verify','confirm'],
-  'promote':['foster','encourage','advance','champion','facilitate'],
-  'develop':['cultivate','advance','evolve','progress','mature'],
-  'address':['tackle','resolve','confront','handle','manage'],
-  'require':['necessitate','demand','mandate','entail','warrant'],
-  'maintain':['sustain','preserve','uphold','retain','continue'],
-  'implement':['execute','deploy','carry','enact','operationalise'],
-  'demonstrate':['illustrate','show','reveal','exhibit','display'],
-  'achieve':['attain','accomplish','realize','secure','obtain'],
-  'integrate':['combine','incorporate','merge','unify','blend'],
-  'establish':['create','found','institute','set','build','set up'],
-  'enable':['facilitate','empower','allow','permit','equip'],
-  'transform':['convert','restructure','reshape','revolutionise','overhaul'],
-  'embed':['incorporate','integrate','instil','ingrain','entrench'],
-  'cultivate':['foster','nurture','develop','encourage','promote'],
-  'encompass':['include','comprise','incorporate','cover','embrace'],
-  'facilitate':['enable','assist','expedite','streamline','simplify'],
-  'adopt':['embrace','implement','employ','utilise','accept'],
-  'align':['harmonise','coordinate','synchronise','reconcile','calibrate'],
-  'leverage':['utilise','exploit','harness','capitalise','maximise'],
-  'mitigate':['reduce','alleviate','diminish','lessen','curtail'],
-  'necessitate':['require','demand','mandate','compel','warrant'],
-  'optimise':['improve','enhance','refine','maximise','streamline'],
-  'prioritise':['emphasise','focus','highlight','favour','concentrate'],
-  'yield':['produce','generate','deliver','furnish','provide'],
-  'characterise':['define','describe','distinguish','typify','denote'],
-  'transcend':['surpass','exceed','go beyond','outstrip','eclipse'],
-  'need':['require','necessitate','demand'],
-  'use':['utilize','employ','apply','leverage'],
-  'show':['demonstrate','reveal','indicate','display','exhibit'],
-  'think':['believe','consider','regard','view','deem'],
-  'start':['begin','commence','initiate','launch'],
-  'end':['conclude','finish','terminate','cease'],
-  'give':['provide','offer','supply','grant','deliver'],
-  'take':['acquire','obtain','receive','accept'],
-  'find':['discover','identify','detect','uncover','locate'],
-  'keep':['maintain','retain','preserve','sustain'],
-  'try':['attempt','endeavour','strive','seek'],
-  'build':['construct','create','develop','establish'],
-  'cut':['reduce','decrease','lower','diminish'],
-  'run':['operate','manage','conduct','administer'],
-  'move':['relocate','shift','transfer','migrate'],
-  'reach':['achieve','attain','accomplish'],
-  'spend':['invest','allocate','devote'],
-  'face':['confront','encounter','experience'],
-  'warn':['caution','alert','advise'],
-  'rise':['increase','grow','climb','surge','escalate'],
-  'fall':['decline','drop','decrease','diminish','plunge'],
-  'affect':['impact','influence','alter'],
-  'suggest':['propose','recommend','indicate','imply'],
-  'claim':['assert','maintain','contend','argue'],
-  'reveal':['disclose','expose','uncover','show'],
-  'reduce':['decrease','lower','diminish','cut','minimize'],
-  // Adjectives
-  'many':['numerous','several','various','multiple','diverse'],
-  'difficult':['challenging','complex','arduous','demanding'],
-  'easy':['straightforward','simple','uncomplicated','manageable'],
-  'fast':['rapid','swift','quick','accelerated'],
-  'slow':['gradual','steady','moderate','incremental'],
-  'smooth':['seamless','steady','unhindered','effortless'],
-  'new':['novel','recent','modern','emerging','innovative'],
-  'old':['ancient','longstanding','established','traditional'],
-  'high':['elevated','substantial','considerable','significant'],
-  'low':['minimal','reduced','modest','limited'],
-  'strong':['robust','powerful','substantial','significant'],
-  'weak':['fragile','vulnerable','insufficient','inadequate'],
-  'clear':['evident','obvious','apparent','distinct'],
-  'large':['extensive','substantial','considerable','vast','enormous'],
-  'huge':['massive','enormous','vast','immense','colossal'],
-  'growing':['increasing','expanding','rising','escalating'],
-  'serious':['severe','critical','grave','significant'],
-  'major':['significant','substantial','considerable','key','primary'],
-  'main':['primary','principal','chief','key','central'],
-  // Nouns (only generic ones — domain nouns must NOT be changed)
-  'people':['individuals','persons','population','citizens'],
-  'country':['nation','state','territory'],
-  'city':['metropolis','urban centre','municipality'],
-  'money':['capital','funds','resources','finances'],
-  'work':['employment','occupation','labour','profession'],
-  'area':['region','zone','sector','domain'],
-  'way':['method','approach','manner','means'],
-  'part':['portion','segment','component','section'],
-  'world':['globe','planet'],
-  'place':['location','site','venue','position'],
-  'group':['collection','cluster','band','assembly'],
-  'system':['framework','structure','network','mechanism'],
-  'cost':['expense','expenditure','price','outlay'],
-  'result':['outcome','consequence','effect','finding'],
-  'level':['degree','extent','magnitude'],
-  'rate':['pace','speed','frequency','proportion'],
-  'risk':['danger','threat','hazard','peril'],
-  'impact':['effect','influence','consequence'],
-  'issue':['problem','concern','challenge','matter'],
-  'advantage':['benefit','merit','strength','asset'],
-  'disadvantage':['drawback','downside','limitation','shortcoming'],
-};
+const PgReviewAPI = {
+  _row(r) {
+    return {
+      id: Number(r.id), attempt_id: Number(r.attempt_id), username: r.username, passage_id: r.passage_id, reviewer: r.reviewer,
+      original: r.original, adjusted: r.adjusted, changed: r.changed || [], comment: r.comment || '', trait_comments: r.trait_comments || {},
+      created_at: new Date(r.created_at).toISOString()
+    };
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// MEANING-DANGER MAP — Antonyms / meaning-reversing substitutions
-// If student uses one of these instead of the original, it CHANGES meaning → penalize
-// ═══════════════════════════════════════════════════════════════════════════════
-const MEANING_DANGER = {
-  'minor':['major','significant','serious','critical','substantial','severe','enormous','huge'],
-  'major':['minor','small','trivial','insignificant','negligible','slight'],
-  'many':['few','rare','scarce','limited','hardly any'],
-  'few':['many','numerous','abundant','countless','plenty'],
-  'advantages':['disadvantages','drawbacks','problems','negatives','downsides','flaws'],
-  'disadvantages':['advantages','benefits','positives','strengths','merits','assets'],
-  'smooth':['rough','turbulent','difficult','troubled','rocky','bumpy'],
-  'increase':['decrease','decline','drop','fall','reduction','shrinkage','contraction'],
-  'decrease':['increase','rise','growth','surge','gain','expansion','improvement'],
-  'high':['low','minimal','reduced','negligible'],
-  'low':['high','elevated','substantial','significant','considerable'],
-  'good':['bad','poor','terrible','awful','negative','harmful'],
-  'bad':['good','great','excellent','positive','beneficial'],
-  'success':['failure','defeat','collapse','disaster'],
-  'failure':['success','achievement','triumph','victory'],
-  'rise':['fall','decline','drop','decrease','collapse','plunge'],
-  'fall':['rise','increase','growth','surge','climb'],
-  'positive':['negative','adverse','harmful','detrimental'],
-  'negative':['positive','beneficial','favorable','advantageous'],
-  'strong':['weak','fragile','vulnerable','feeble'],
-  'weak':['strong','robust','powerful','resilient'],
-  'expensive':['cheap','affordable','inexpensive','economical'],
-  'cheap':['expensive','costly','premium','dear'],
-  'large':['small','tiny','minimal','negligible'],
-  'small':['large','huge','enormous','vast','massive'],
-  'fast':['slow','gradual','sluggish','leisurely'],
-  'slow':['fast','rapid','swift','quick','accelerated'],
-  'growth':['decline','contraction','shrinkage','recession','stagnation','reduction','decrease'],
-  'decline':['growth','expansion','rise','increase','boom'],
-  'profit':['loss','deficit','debt'],
-  'loss':['profit','gain','surplus','revenue','growth','rise','improvement','benefit'],
-  'safe':['dangerous','risky','hazardous','unsafe','perilous'],
-  'dangerous':['safe','secure','harmless','benign'],
-  'accept':['reject','refuse','decline','deny'],
-  'reject':['accept','approve','embrace','adopt'],
-  'support':['oppose','resist','undermine','hinder'],
-  'oppose':['support','endorse','back','champion'],
-  'include':['exclude','omit','remove','eliminate'],
-  'exclude':['include','incorporate','embrace','encompass'],
-  'agree':['disagree','dispute','contest','deny'],
-  'disagree':['agree','concur','approve','accept'],
-  'improve':['worsen','deteriorate','decline','degrade'],
-  'worsen':['improve','enhance','ameliorate','better'],
-  'most':['least','fewest','minimal'],
-  'least':['most','greatest','maximum'],
-  'always':['never','rarely','seldom'],
-  'never':['always','constantly','perpetually'],
-  'all':['none','zero','no'],
-  'none':['all','every','each','complete'],
-  'before':['after','following','subsequent'],
-  'after':['before','preceding','prior'],
-  'above':['below','under','beneath'],
-  'below':['above','over','exceeding'],
-};
+  async record(row) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO attempt_reviews (attempt_id, username, passage_id, reviewer, original, adjusted, changed, comment, trait_comments, created_at)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7::jsonb, $8, $9::jsonb, NOW())
+       RETURNING *`,
+      [row.attempt_id, row.username, row.passage_id, row.reviewer, JSON.stringify(row.original), JSON.stringify(row.adjusted),
+       JSON.stringify(row.changed || []), row.comment || '', JSON.stringify(row.trait_comments || {})]
+    );
+    return this._row(rows[0]);
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// THESAURUS — Datamuse API (free, no key required)
-// Docs: https://www.datamuse.com/api/
-// ═══════════════════════════════════════════════════════════════════════════════
-const thesaurusCache = new Map();
-const THESAURUS_CACHE_MAX = 500;
+  async forAttempt(attemptId) {
+    const { rows } = await pgPool.query('SELECT * FROM attempt_reviews WHERE attempt_id = $1 ORDER BY id DESC', [Number(attemptId)]);
+    return rows.map(r => this._row(r));
+  },
 
-async function fetchDatamuseSynonyms(word) {
-  const key = word.toLowerCase().trim();
-  if (thesaurusCache.has(key)) return thesaurusCache.get(key);
-  try {
-    const url = `https://api.datamuse.com/words?rel_syn=${encodeURIComponent(key)}&max=10`;
-    const res = await fetch(url, { signal: AbortSignal.timeout(3000) });
-    if (!res.ok) return [];
-    const data = await res.json();
-    // Keep only single clean words, filter out the original
-    const synonyms = data
-      .filter(w => w.word !== key && w.word.length >= 3 && /^[a-z]+(-[a-z]+)?$/.test(w.word))
-      .map(w => w.word)
-      .slice(0, 7);
-    thesaurusCache.set(key, synonyms);
-    if (thesaurusCache.size > THESAURUS_CACHE_MAX) {
-      thesaurusCache.delete(thesaurusCache.keys().next().value);
-    }
-    return synonyms;
-  } catch { return []; }
-}
+  async latestFor(attemptIds) {
+    const out = new Map();
+    if (!attemptIds.length) return out;
+    const { rows } = await pgPool.query(
+      'SELECT DISTINCT ON (attempt_id) * FROM attempt_reviews WHERE attempt_id = ANY($1::bigint[]) ORDER BY attempt_id, id DESC',
+      [attemptIds.map(Number)]
+    );
+    for (const r of rows) out.set(Number(r.attempt_id), this._row(r));
+    return out;
+  },
 
-// Identify verbatim passage words in student text that would benefit from swapping
-function identifySwapCandidates(studentText, passageText, alreadySwapped = []) {
-  const swappedSet = new Set(alreadySwapped.map(w => w.toLowerCase()));
-  const passageWords = passageText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length >= 5 && !STOP_WORDS.has(w));
-  const passageSet = new Set(passageWords);
-  const studentWords = studentText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/);
-  
-  // Score each candidate: prefer longer words, content-rich words
-  const seen = new Set();
-  const candidates = [];
-  for (const word of studentWords) {
-    if (word.length < 5) continue;
-    if (STOP_WORDS.has(word)) continue;
-    if (swappedSet.has(word)) continue;
-    if (seen.has(word)) continue;
-    if (!passageSet.has(word)) continue;
-    seen.add(word);
-    candidates.push(word);
-    if (candidates.length >= 6) break;
+  async latestPerAttempt(f) {
+    const where = [], params = [];
+    const add = (sql, v) => { params.push(v); where.push(sql.replace('?', '$' + params.length)); };
+    if (f.from)     add('created_at >= ?', f.from);
+    if (f.to)       add('created_at <= ?', f.to);
+    if (f.reviewer) add('reviewer = ?', f.reviewer);
+    const clause = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const { rows } = await pgPool.query(`SELECT DISTINCT ON (attempt_id) * FROM attempt_reviews ${clause} ORDER BY attempt_id, id DESC`, params);
+    return rows.map(r => this._row(r));
   }
-  return candidates;
-}
+};
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// UTILITY FUNCTIONS
-// ═══════════════════════════════════════════════════════════════════════════════
-function normaliseNumbers(text) {
-  let t = text.toLowerCase();
-  for (const [word, digit] of Object.entries(NUMBER_WORD_MAP))
-    t = t.replace(new RegExp(`\\b${word}\\b`, 'g'), digit);
-  return t;
+const ReviewAPI = USE_POSTGRES ? PgReviewAPI : JsonReviewAPI;
+
+// What a student sees for an attempt: the teacher's scores when the latest
+// review changed anything, with the machine score kept alongside. The raw
+// score follows the teacher's traits. The machine's explanation of what it
+// changed — that trait's *_details, and the feedback card and penalties
+// behind the old score — moves to teacher_review.machine_details, so the
+// page doesn't list missing ideas under a content score the teacher raised.
+function applyTeacherReview(row, review) {
+  if (!review) return { ...row, teacher_review: null };
+  const adjusted = review.changed.length > 0;
+  const out = {
+    ...row,
+    teacher_review: {
+      adjusted, reviewer: review.reviewer, comment: review.comment, trait_comments: review.trait_comments,
+      changed: review.changed, reviewed_at: review.created_at, original: review.original
+    }
+  };
+  if (adjusted) {
+    out.trait_scores = { ...(row.trait_scores || {}), ...review.adjusted.trait_scores };
+    out.overall_score = review.adjusted.overall_score;
+    out.band = review.adjusted.band;
+    const raw = Object.keys(REVIEW_TRAIT_MAX).reduce((sum, t) => sum + (Number(out.trait_scores[t]) || 0), 0);
+    out.raw_score = Math.round((row.max_raw_score ? Math.min(row.max_raw_score, raw) : raw) * 100) / 100;
+    // A synced entry may carry an earlier overlay's machine_details already.
+    const machine = { ...(row.teacher_review?.machine_details || {}) };
+    const fields = [...review.changed.filter(t => t in REVIEW_TRAIT_MAX).map(t => `${t}_details`), 'feedback_card', 'penalties_applied'];
+    for (const field of fields) {
+      if (out[field] === undefined) continue;
+      machine[field] = out[field];
+      delete out[field];
+    }
+    out.teacher_review.machine_details = machine;
+  }
+  return out;
 }
 
-function stripHtml(text) {
-  return (text || '').replace(/<[^>]*>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').trim();
+// Same overlay for the user's data blob (/api/sync): history entries and
+// saved results carry the attempt_id the grade route returned.
+async function applyTeacherReviewsToUserData(data) {
+  if (!data) return data;
+  const entries = [];
+  for (const list of Object.values(data.history || {})) if (Array.isArray(list)) entries.push(...list);
+  for (const s of Object.values(data.scores || {})) if (s && typeof s === 'object') entries.push(s);
+  const ids = [...new Set(entries.map(e => e && e.attempt_id).filter(id => Number.isInteger(id)))];
+  if (!ids.length) return data;
+  const reviews = await ReviewAPI.latestFor(ids);
+  for (const e of entries) {
+    const review = e && reviews.get(e.attempt_id);
+    if (!review) continue;
+    const view = applyTeacherReview(e, review);
+    for (const k of Object.keys(e)) if (!(k in view)) delete e[k];
+    Object.assign(e, view);
+  }
+  return data;
 }
 
-function extractConcepts(text) {
-  if (!text) return [];
-  const concepts = [];
-  const numbers = text.match(/\$?\d+(?:\.\d+)?(?:\s*(?:billion|million|trillion|percent))?%?/gi) || [];
-  concepts.push(...numbers.map(n => n.toLowerCase().trim()).filter(n => n.length > 0));
-  const words = text.toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter(w => w.length > 2 && !STOP_WORDS.has(w));
-  concepts.push(...new Set(words));
-  return [...new Set(concepts)];
-}
+// ─── SCORING PROFILES STORE (v20.18) ────────────────────────────────────────
+// Row: { id, name, status: 'draft' | 'published', active, mappings, report,
+//        source, samples, created_by, created_at, published_at }
+// At most one profile is active; none active means the built-in mapping.
+// Publishing never edits mappings — a refit is a new profile.
+const SCORING_PROFILES_FILE = path.join(DATA_DIR, 'scoring_profiles.json');
+
+const JsonScoringProfileAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
 
-function fuzzyNumberMatch(keyNums, studentNums) {
-  for (const kn of keyNums) {
-    const kVal = parseFloat(kn); if (isNaN(kVal)) continue;
-    for (const sn of studentNums) {
-      const sVal = parseFloat(sn); if (isNaN(sVal)) continue;
-      if (kVal === sVal || Math.abs(kVal - sVal) <= 1) return true;
-      if (kVal > 10 && Math.abs(kVal - sVal) / kVal <= 0.10) return true;
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(SCORING_PROFILES_FILE, 'utf8'));
+      this._cache = { next_id: parsed.next_id || 1, profiles: Array.isArray(parsed.profiles) ? parsed.profiles : [] };
+    } catch (_) {
+      this._cache = { next_id: 1, profiles: [] };
     }
-  }
-  return false;
-}
+    return this._cache;
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// CHECK KEY POINT — content detection
-// ═══════════════════════════════════════════════════════════════════════════════
-function checkKeyPoint(studentText, keyPointText) {
-  const student = stripHtml(studentText).toLowerCase().replace(/[^\w\s$%]/g, ' ');
-  const studentNorm = normaliseNumbers(student);
-  const keyPoint = stripHtml(keyPointText).toLowerCase();
-  const keyConcepts = extractConcepts(normaliseNumbers(keyPoint));
+  async _save(store) {
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(SCORING_PROFILES_FILE, store));
+    await this._writeChain;
+  },
 
-  // v19.5: tightened thresholds — old values (0.18 / 0.22) caused false positives
-  // when student summaries shared generic vocabulary with the passage but did
-  // not actually convey the idea. Stricter thresholds + a critical-term gate
-  // for short ideas keep the local fallback honest when Claude is unavailable.
-  const isLong = keyConcepts.length > 15;
-  const thresholds = { concept: isLong ? 0.30 : 0.45, critical: isLong ? 0.35 : 0.50 };
+  async create(row) {
+    const store = await this._load();
+    const rec = { id: store.next_id++, status: 'draft', active: false, published_at: null, ...row, created_at: new Date().toISOString() };
+    store.profiles.push(rec);
+    await this._save(store);
+    return rec;
+  },
 
-  let matchedConcepts = 0;
-  const matched = [];
-  for (const c of keyConcepts) {
-    if (studentNorm.includes(c)) { matchedConcepts++; matched.push(c); }
-  }
-  const matchRate = keyConcepts.length > 0 ? matchedConcepts / keyConcepts.length : 0;
+  async list() {
+    const store = await this._load();
+    return [...store.profiles].sort((a, b) => b.id - a.id);
+  },
 
-  const numberTerms = (keyPoint.match(/\$?\d+(?:\.\d+)?(?:\s*(?:billion|million|trillion))?%?/gi) || []).map(t => t.toLowerCase().trim());
-  const longWords = keyPoint.replace(/[^\w\s]/g, ' ').split(/\s+/).filter(w => w.length >= 5 && !STOP_WORDS.has(w)).map(w => w.toLowerCase());
-  const criticalTerms = [...new Set([...numberTerms, ...longWords])].filter(t => t.length > 0);
+  async getById(id) {
+    const store = await this._load();
+    return store.profiles.find(p => p.id === Number(id)) || null;
+  },
 
-  let matchedCritical = 0;
-  const matchedCriticalTerms = [];
-  for (const t of criticalTerms) { if (studentNorm.includes(t)) { matchedCritical++; matchedCriticalTerms.push(t); } }
-  const criticalRate = criticalTerms.length > 0 ? matchedCritical / criticalTerms.length : 0;
+  async active() {
+    const store = await this._load();
+    return store.profiles.find(p => p.active) || null;
+  },
 
-  const keyNums = keyPoint.match(/\d+(?:\.\d+)?/g) || [];
-  const studentNums = studentNorm.match(/\d+(?:\.\d+)?/g) || [];
-  const numberMatched = keyNums.length > 0 ? fuzzyNumberMatch(keyNums, studentNums) : true;
+  // id null → back to the built-in mapping.
+  async setActive(id) {
+    const store = await this._load();
+    const target = id == null ? null : store.profiles.find(p => p.id === Number(id));
+    if (id != null && !target) return null;
+    for (const p of store.profiles) p.active = false;
+    if (target) Object.assign(target, { active: true, status: 'published', published_at: new Date().toISOString() });
+    await this._save(store);
+    return target || BUILTIN_SCORING_PROFILE;
+  }
+};
 
-  // PRESENCE DECISION (v19.5 — stricter than v19.4)
-  // An idea is "present" when:
-  //   - critical-term match >= threshold (preferred — content words specific to this idea), AND
-  //   - either: numbers matched (when present in the key point), OR concept match >= 0.30
-  // This prevents false positives where student shares only generic words.
-  // For short key points (<=15 concepts), critical match is mandatory.
-  const conceptPass = matchRate >= thresholds.concept;
-  const criticalPass = criticalRate >= thresholds.critical;
-  const minCritical = matchedCritical >= 3; // was 2 — 3 specific terms required
-  const strongConcept = matchRate >= 0.50;  // was 0.35
+const PgScoringProfileAPI = {
+  _row(r) {
+    return {
+      id: Number(r.id), name: r.name, status: r.status, active: !!r.active, mappings: r.mappings || {}, report: r.report || null,
+      source: r.source, samples: r.samples, created_by: r.created_by, created_at: new Date(r.created_at).toISOString(),
+      published_at: r.published_at ? new Date(r.published_at).toISOString() : null
+    };
+  },
 
-  // Two paths to "present":
-  //   Path A: critical-term match passes the threshold AND numbers (if any) match
-  //   Path B: very strong concept overlap (≥0.50) AND number match
-  // Otherwise: not present.
-  const isPresent = (
-    (criticalPass || minCritical) && (numberMatched || strongConcept)
-  ) || (
-    strongConcept && numberMatched && conceptPass
-  );
+  async create(row) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO scoring_profiles (name, status, active, mappings, report, source, samples, created_by, created_at)
+       VALUES ($1, 'draft', FALSE, $2::jsonb, $3::jsonb, $4, $5, $6, NOW())
+       RETURNING *`,
+      [row.name, JSON.stringify(row.mappings || {}), JSON.stringify(row.report || null), row.source, row.samples, row.created_by]
+    );
+    return this._row(rows[0]);
+  },
 
-  return {
-    present: isPresent, matchRate: Math.round(matchRate * 100), criticalRate: Math.round(criticalRate * 100),
-    matchedConcepts: matched.slice(0, 8), totalConcepts: keyConcepts.length,
-    matchedCritical, matchedCriticalTerms: matchedCriticalTerms.slice(0, 8), totalCritical: criticalTerms.length,
-    numberMatched, strongConceptFallback: strongConcept, thresholdUsed: thresholds
-  };
-}
+  async list() {
+    const { rows } = await pgPool.query('SELECT * FROM scoring_profiles ORDER BY id DESC');
+    return rows.map(r => this._row(r));
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// VERBATIM DETECTION
-// ═══════════════════════════════════════════════════════════════════════════════
-function detectVerbatim(studentText, passageText) {
-  const student = studentText.toLowerCase().replace(/[^\w\s]/g, '');
-  const passage = passageText.toLowerCase().replace(/[^\w\s]/g, '');
-  const studentWords = student.split(/\s+/).filter(w => w.length > 3);
-  if (studentWords.length === 0) return { verbatimRate: 0, isVerbatim: false, longestRun: 0, verbatimPhrases: [] };
+  async getById(id) {
+    const { rows } = await pgPool.query('SELECT * FROM scoring_profiles WHERE id = $1', [Number(id)]);
+    return rows.length ? this._row(rows[0]) : null;
+  },
 
-  const matchedWords = new Set();
-  const verbatimPhrases = [];
-  for (let len = 5; len >= 3; len--) {
-    for (let i = 0; i <= studentWords.length - len; i++) {
-      if (matchedWords.has(i)) continue;
-      const phrase = studentWords.slice(i, i + len).join(' ');
-      if (passage.includes(phrase)) {
-        for (let j = i; j < i + len; j++) matchedWords.add(j);
-        if (len >= 4) verbatimPhrases.push(phrase);
-        i += len - 1;
+  async active() {
+    const { rows } = await pgPool.query('SELECT * FROM scoring_profiles WHERE active LIMIT 1');
+    return rows.length ? this._row(rows[0]) : null;
+  },
+
+  async setActive(id) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      let target = null;
+      if (id != null) {
+        const { rows } = await client.query('SELECT id FROM scoring_profiles WHERE id = $1 FOR UPDATE', [Number(id)]);
+        if (!rows.length) { await client.query('ROLLBACK'); return null; }
+      }
+      await client.query('UPDATE scoring_profiles SET active = FALSE WHERE active');
+      if (id != null) {
+        const { rows } = await client.query(
+          `UPDATE scoring_profiles SET active = TRUE, status = 'published', published_at = NOW() WHERE id = $1 RETURNING *`, [Number(id)]);
+        target = this._row(rows[0]);
       }
+      await client.query('COMMIT');
+      return target || BUILTIN_SCORING_PROFILE;
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
     }
   }
-  for (let i = 0; i < studentWords.length; i++) {
-    if (!matchedWords.has(i) && studentWords[i].length >= 4 && passage.includes(studentWords[i])) matchedWords.add(i);
-  }
+};
 
-  let longestRun = 0, cur = 0;
-  for (let i = 0; i < studentWords.length; i++) { if (matchedWords.has(i)) { cur++; longestRun = Math.max(longestRun, cur); } else cur = 0; }
+const ScoringProfileAPI = USE_POSTGRES ? PgScoringProfileAPI : JsonScoringProfileAPI;
 
-  return {
-    verbatimRate: Math.round((matchedWords.size / studentWords.length) * 100),
-    isVerbatim: (matchedWords.size / studentWords.length) > 0.90,
-    longestRun, verbatimPhrases: [...new Set(verbatimPhrases)].slice(0, 5)
-  };
+// The active profile, cached in memory; publishing resets it.
+let activeScoringProfile = null;
+async function getActiveScoringProfile() {
+  if (activeScoringProfile) return activeScoringProfile;
+  try { activeScoringProfile = (await ScoringProfileAPI.active()) || BUILTIN_SCORING_PROFILE; }
+  catch (e) { console.warn('Scoring profile load failed — using the built-in mapping:', e.message); return BUILTIN_SCORING_PROFILE; }
+  return activeScoringProfile;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// FIRST-PERSON DETECTION
-// ═══════════════════════════════════════════════════════════════════════════════
-function detectFirstPerson(studentText, passageText) {
-  const sl = studentText.toLowerCase();
-  const pl = passageText.toLowerCase();
-  const passageHasFirstPerson = /\b(i |i'|my |me |we |our |us )\b/i.test(pl);
-
-  const patterns = [
-    { pattern: /\bI made\b/i, type: 'copied-i' }, { pattern: /\bI knew\b/i, type: 'copied-i' },
-    { pattern: /\bI was\b/i, type: 'copied-i' }, { pattern: /\bI had\b/i, type: 'copied-i' },
-    { pattern: /\bI live\b/i, type: 'copied-i' }, { pattern: /\bI feel\b/i, type: 'copied-i' },
-    { pattern: /\bmy wife\b/i, type: 'personal' }, { pattern: /\bmy young wife\b/i, type: 'personal' },
-  ];
-
-  const shiftPatterns = [
-    /\bthe (author|narrator|speaker|writer|passage|text|article)\b/i,
-    /\b(he|she) (made|knew|was|had|explained|discussed|argued|stated|noted|mentioned|opted|chose|decided|acknowledged)\b/i,
-  ];
+// ─── LTI 1.3 STORE (v20.21) ─────────────────────────────────────────────────
+// platforms:     { id, name, issuer, client_id, deployment_ids[], auth_login_url,
+//                  auth_token_url, jwks_url, created_at, updated_at }
+// users:         { issuer, sub, username, created_at, teacher_request } — who
+//                  a launch signs in; teacher_request is an instructor launch
+//                  awaiting the admin ({ platform_id, platform_name,
+//                  deployment_id, context_id, context_title, requested_at })
+// grade_targets: { id, username, passage_id, platform_id, sub, lineitem,
+//                  context_id, resource_link_id, best_score, last_status,
+//                  last_error, last_sent_at, updated_at } — one per AGS line
+//                  item a student launched a passage from
+// tool_key:      { private_pem, created_at } — the tool's signing key when
+//                  LTI_PRIVATE_KEY is unset, kept so platforms' cached JWKS
+//                  stays valid across restarts
+const LTI_FILE = path.join(DATA_DIR, 'lti.json');
+
+const JsonLtiAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
 
-  const hasPerspectiveShift = shiftPatterns.some(p => p.test(sl));
-  const issues = [];
-  for (const { pattern, type } of patterns) {
-    if (pattern.test(sl)) issues.push({ match: sl.match(pattern)[0], type });
-  }
-  const isProblematic = passageHasFirstPerson && issues.length > 0 && !hasPerspectiveShift;
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(LTI_FILE, 'utf8'));
+      this._cache = {
+        next_id: parsed.next_id || 1,
+        platforms: Array.isArray(parsed.platforms) ? parsed.platforms : [],
+        users: Array.isArray(parsed.users) ? parsed.users : [],
+        grade_targets: Array.isArray(parsed.grade_targets) ? parsed.grade_targets : [],
+        tool_key: parsed.tool_key || null
+      };
+    } catch (_) {
+      this._cache = { next_id: 1, platforms: [], users: [], grade_targets: [], tool_key: null };
+    }
+    return this._cache;
+  },
 
-  return {
-    detected: issues.length > 0, isProblematic, issues, hasPerspectiveShift, passageHasFirstPerson,
-    suggestion: isProblematic ? 'Change "I made" → "The author opted". Always use third-person.' : null
-  };
-}
+  async _save() {
+    const store = await this._load();
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(LTI_FILE, store));
+    await this._writeChain;
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// ═══════════════════════════════════════════════════════════════════════════════
-// PARAPHRASING ANALYSIS (word swaps + structural changes + vocab suggestions)
-// ═══════════════════════════════════════════════════════════════════════════════
-function analyzeSwaps(studentText, passageText) {
-  const studentWords = studentText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2);
-  const passageWordSet = new Set(passageText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2));
-  const studentWordSet = new Set(studentWords);
-  const novelWords = studentWords.filter(w => !passageWordSet.has(w) && !STOP_WORDS.has(w) && w.length >= 3);
+  async listPlatforms() {
+    return (await this._load()).platforms.slice();
+  },
 
-  const safeSwaps = [];
-  for (const [original, synonyms] of Object.entries(SAFE_SYNONYMS)) {
-    if (passageWordSet.has(original)) {
-      for (const syn of synonyms) {
-        if (studentWordSet.has(syn) && !passageWordSet.has(syn)) safeSwaps.push({ original, replacement: syn, type: 'safe' });
-      }
-    }
-  }
+  async getPlatform(id) {
+    return (await this._load()).platforms.find(p => p.id === Number(id)) || null;
+  },
 
-  const structuralChanges = [];
-  const passageSentences = passageText.split(/[.!?]+/).filter(s => s.trim().length > 20);
-  const studentLower = studentText.toLowerCase();
-  let ideasCombined = 0;
-  for (const sent of passageSentences) {
-    const kw = sent.toLowerCase().replace(/[^\w\s]/g,'').split(/\s+/).filter(w => w.length >= 5 && !STOP_WORDS.has(w)).slice(0, 3);
-    if (kw.length >= 2 && kw.some(k => studentLower.includes(k))) ideasCombined++;
-  }
-  if (ideasCombined >= 3) structuralChanges.push({ type: 'combining', detail: 'Combined ' + ideasCombined + ' passage ideas into one sentence' });
+  // Login initiation may omit client_id; that only resolves when the issuer
+  // has a single registration.
+  async findPlatform(issuer, clientId) {
+    const matches = (await this._load()).platforms.filter(p => p.issuer === issuer && (!clientId || p.client_id === clientId));
+    return matches.length === 1 ? matches[0] : null;
+  },
 
-  const pCW = passageText.toLowerCase().replace(/[^\w\s]/g,'').split(/\s+/).filter(w => w.length > 3 && !STOP_WORDS.has(w));
-  const sCW = studentText.toLowerCase().replace(/[^\w\s]/g,'').split(/\s+/).filter(w => w.length > 3 && !STOP_WORDS.has(w));
-  if (sCW.length / Math.max(1, pCW.length) < 0.40) structuralChanges.push({ type: 'condensing', detail: 'Condensed to ' + Math.round((sCW.length / Math.max(1, pCW.length))*100) + '% of passage' });
+  // Upsert on (issuer, client_id).
+  async savePlatform(p) {
+    const store = await this._load();
+    const now = new Date().toISOString();
+    let rec = store.platforms.find(x => x.issuer === p.issuer && x.client_id === p.client_id);
+    if (rec) Object.assign(rec, p, { updated_at: now });
+    else store.platforms.push(rec = { id: store.next_id++, ...p, created_at: now, updated_at: now });
+    await this._save();
+    return rec;
+  },
 
-  const uniqueNovel = [...new Set(novelWords)];
-  if (uniqueNovel.length >= 3) structuralChanges.push({ type: 'novel_phrasing', detail: uniqueNovel.length + ' novel words introduced' });
+  async deletePlatform(id) {
+    const store = await this._load();
+    const before = store.platforms.length;
+    store.platforms = store.platforms.filter(p => p.id !== Number(id));
+    if (store.platforms.length === before) return false;
+    await this._save();
+    return true;
+  },
 
-  const totalParaphraseCredit = safeSwaps.length + structuralChanges.length;
+  async findUser(issuer, sub) {
+    const u = (await this._load()).users.find(x => x.issuer === issuer && x.sub === sub);
+    return u ? u.username : null;
+  },
 
-  const dangerousSwaps = [];
-  // ── Build a set of "polarity pairs already in passage" to suppress false positives ──
-  // If the passage discusses BOTH "advantages" AND "disadvantages" (or any opposing pair),
-  // a student using either word's antonym is legitimately referring to the other side,
-  // not reversing meaning. Don't flag in that case.
-  const passageContainsBothSides = (original, antonyms) => {
-    // Check if passage contains the original AND any of its listed antonyms
-    return passageWordSet.has(original) && antonyms.some(a => passageWordSet.has(a));
-  };
-  for (const [original, antonyms] of Object.entries(MEANING_DANGER)) {
-    if (passageWordSet.has(original) && !studentWordSet.has(original)) {
-      // SUPPRESS if passage discusses both polarities — student is using antonym for the other side
-      if (passageContainsBothSides(original, antonyms)) continue;
-      for (const ant of antonyms) {
-        if (studentWordSet.has(ant) && !passageWordSet.has(ant)) {
-          dangerousSwaps.push({ original, replacement: ant, type: 'dangerous' });
-        }
-      }
+  async linkUser(issuer, sub, username) {
+    const store = await this._load();
+    if (!store.users.some(x => x.issuer === issuer && x.sub === sub)) {
+      store.users.push({ issuer, sub, username, created_at: new Date().toISOString() });
+      await this._save();
     }
-  }
+  },
 
-  const ACADEMIC = new Set(['consequently','furthermore','moreover','nevertheless','predominantly','significantly','substantially','fundamentally','paradigm','phenomenon','discourse','implications','framework','methodology','synthesis','analysis','correlation','demonstrated','facilitated','implemented','necessitate','acknowledges','encompasses','illustrates','transition','transformation','evolution','proliferation','emergence','contemporary','comprehensive','opted','acknowledged','advocated','cultivated','elucidated','emphasized','exemplified','highlighted','posited','contended','beneficial','detrimental','pivotal','instrumental','paramount','imperative','multifaceted']);
-  const academicWordsUsed = [...new Set(studentWords.filter(w => ACADEMIC.has(w)))];
+  // The latest request replaces an earlier one.
+  async requestTeacher(issuer, sub, request) {
+    const u = (await this._load()).users.find(x => x.issuer === issuer && x.sub === sub);
+    if (!u) return;
+    u.teacher_request = request;
+    await this._save();
+  },
 
-  return { safeSwaps, structuralChanges, dangerousSwaps, safeSwapCount: safeSwaps.length, structuralCount: structuralChanges.length, totalParaphraseCredit, dangerousSwapCount: dangerousSwaps.length, academicWordsUsed, novelWords: uniqueNovel.slice(0, 10), novelWordRate: Math.round((uniqueNovel.length / Math.max(1, studentWords.length)) * 100) };
-}
+  async listTeacherRequests() {
+    return (await this._load()).users.filter(u => u.teacher_request)
+      .map(u => ({ username: u.username, issuer: u.issuer, sub: u.sub, ...u.teacher_request }));
+  },
 
-const VOCAB_UPGRADES = {'good':['beneficial','advantageous','favorable'],'bad':['detrimental','adverse','harmful'],'big':['substantial','significant','considerable'],'small':['minimal','marginal','modest'],'important':['crucial','pivotal','paramount'],'problem':['challenge','impediment','obstacle'],'problems':['challenges','impediments','obstacles'],'change':['transformation','transition','evolution'],'changes':['transformations','transitions','developments'],'use':['utilize','employ','leverage'],'show':['demonstrate','illustrate','reveal'],'shows':['demonstrates','illustrates','reveals'],'help':['facilitate','enable','bolster'],'helps':['facilitates','enables','promotes'],'need':['necessitate','require','demand'],'think':['contend','posit','argue'],'make':['generate','produce','establish'],'get':['obtain','acquire','attain'],'give':['provide','furnish','yield'],'said':['stated','asserted','articulated'],'told':['informed','conveyed','communicated'],'asked':['inquired','questioned','probed'],'many':['numerous','myriad','abundant'],'lot':['considerable amount','substantial quantity','abundance'],'very':['exceedingly','remarkably','substantially'],'really':['genuinely','fundamentally','considerably'],'also':['furthermore','additionally','moreover'],'but':['however','nevertheless','conversely'],'because':['owing to','due to','attributable to'],'so':['consequently','therefore','hence'],'about':['approximately','regarding','concerning'],'like':['such as','including','analogous to'],'enough':['sufficient','adequate','ample'],'old':['longstanding','established','time-honored'],'new':['novel','innovative','cutting-edge'],'fast':['rapid','expeditious','swift'],'slow':['gradual','incremental','protracted'],'hard':['challenging','arduous','formidable'],'easy':['straightforward','feasible','manageable'],'wrong':['erroneous','flawed','fallacious'],'start':['commence','initiate','embark upon'],'end':['conclude','terminate','culminate'],'stop':['cease','discontinue','curtail'],'grow':['escalate','proliferate','expand'],'growing':['escalating','proliferating','intensifying'],'fall':['decline','diminish','plummet'],'rise':['surge','escalate','soar'],'cause':['trigger','precipitate','engender'],'causes':['triggers','precipitates','catalyzes'],'affect':['impact','influence','alter'],'affects':['impacts','influences','alters'],'people':['individuals','citizens','populace'],'country':['nation','sovereign state','jurisdiction'],'world':['globe','international arena','global landscape'],'money':['capital','financial resources','revenue'],'work':['employment','occupation','labor'],'place':['location','domain','environment'],'way':['approach','methodology','mechanism'],'part':['component','facet','dimension'],'area':['domain','sphere','sector'],'clear':['evident','apparent','manifest'],'keep':['maintain','sustain','preserve'],'lead':['catalyze','precipitate','engender'],'leads':['catalyzes','precipitates','gives rise to'],'different':['diverse','disparate','distinct'],'same':['identical','equivalent','analogous'],'main':['primary','principal','predominant'],'increase':['escalation','surge','amplification'],'decrease':['reduction','decline','contraction'],'happen':['occur','transpire','materialize'],'try':['endeavor','strive','undertake'],'lack':['deficiency','dearth','paucity'],'spread':['disseminate','propagate','proliferate'],'improve':['enhance','ameliorate','augment'],'reduce':['mitigate','diminish','alleviate'],'support':['substantiate','corroborate','bolster'],'create':['establish','engender','cultivate'],'result':['consequence','outcome','ramification'],'results':['consequences','outcomes','ramifications']};
+  // Clears every request for the account; false if it had none.
+  async clearTeacherRequest(username) {
+    const users = (await this._load()).users.filter(u => u.username === username && u.teacher_request);
+    if (!users.length) return false;
+    for (const u of users) delete u.teacher_request;
+    await this._save();
+    return true;
+  },
 
-function generateVocabSuggestions(studentText) {
-  const words = studentText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/);
-  const suggestions = []; const seen = new Set();
-  for (const word of words) {
-    if (VOCAB_UPGRADES[word] && !seen.has(word)) { seen.add(word); suggestions.push({ original: word, upgrades: VOCAB_UPGRADES[word] }); }
-  }
-  return suggestions.slice(0, 8);
-}
+  // Upsert on (username, lineitem).
+  async saveGradeTarget(t) {
+    const store = await this._load();
+    const now = new Date().toISOString();
+    let rec = store.grade_targets.find(x => x.username === t.username && x.lineitem === t.lineitem);
+    if (rec) Object.assign(rec, t, { updated_at: now });
+    else store.grade_targets.push(rec = { id: store.next_id++, best_score: null, last_status: null, last_error: null, last_sent_at: null, ...t, updated_at: now });
+    await this._save();
+    return rec;
+  },
 
+  async gradeTargets(username, passageId) {
+    return (await this._load()).grade_targets.filter(t => t.username === username && t.passage_id === Number(passageId));
+  },
 
+  async updateGradeTarget(id, patch) {
+    const store = await this._load();
+    const rec = store.grade_targets.find(t => t.id === Number(id));
+    if (!rec) return null;
+    Object.assign(rec, patch, { updated_at: new Date().toISOString() });
+    await this._save();
+    return rec;
+  },
 
-// FORM VALIDATION
-// ═══════════════════════════════════════════════════════════════════════════════
-function validateForm(text) {
-  const words = text.trim().split(/\s+/).filter(w => w.length > 0);
-  const wc = words.length;
-  if (wc < 5)  return { valid: false, score: 0, reason: 'Too short (min 5 words)', wc, overflow_penalty: 0 };
-  if (wc > 75) return { valid: false, score: 0, reason: `Too long (${wc} words, max 75) — form fails, PTE 10`, wc, overflow_penalty: 0 };
-  if (!/[.!?]$/.test(text.trim())) return { valid: false, score: 0, reason: 'Must end with period', wc, overflow_penalty: 0 };
-  const clean = text.replace(/\b(?:Dr|Mrs|Mr|Ms|Prof|Jr|Sr|St|etc|vs|approx|govt|Inc|Corp|Ltd|Vol|No|Fig)\./gi, '##')
-                     .replace(/\b(?:U\.K|U\.S|i\.e|e\.g|a\.m|p\.m)\b\.?/gi, '##');
-  const sentences = (clean.match(/[.!?](\s|$)/g) || []).length;
-  if (sentences !== 1) return { valid: false, score: 0, reason: `Must be exactly one sentence (found ${sentences})`, wc, overflow_penalty: 0 };
+  async toolKey() {
+    return (await this._load()).tool_key;
+  },
 
-  return { valid: true, score: 1, reason: 'Valid', wc, overflow_penalty: 0, warning: null };
-}
+  async saveToolKey(k) {
+    (await this._load()).tool_key = { ...k, created_at: new Date().toISOString() };
+    await this._save();
+  }
+};
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// GRAMMAR CHECK
-// ═══════════════════════════════════════════════════════════════════════════════
-function checkGrammar(text, passageText) {
-  const lower = text.toLowerCase();
-  let score = 2;
-  const issues = [];
+const PgLtiAPI = {
+  _platform(r) {
+    return {
+      id: Number(r.id), name: r.name || '', issuer: r.issuer, client_id: r.client_id, deployment_ids: r.deployment_ids || [],
+      auth_login_url: r.auth_login_url, auth_token_url: r.auth_token_url, jwks_url: r.jwks_url,
+      created_at: new Date(r.created_at).toISOString(), updated_at: new Date(r.updated_at).toISOString()
+    };
+  },
 
-  const connectorPatterns = [
-    { word:'however',type:'contrast' },{ word:'although',type:'contrast' },{ word:'though',type:'contrast' },
-    { word:'whereas',type:'contrast' },{ word:'while',type:'contrast' },{ word:'nevertheless',type:'contrast' },
-    { word:'despite',type:'contrast' },{ word:'therefore',type:'result' },{ word:'consequently',type:'result' },
-    { word:'thus',type:'result' },{ word:'hence',type:'result' },{ word:'moreover',type:'addition' },
-    { word:'furthermore',type:'addition' },{ word:'additionally',type:'addition' },
-  ];
+  _target(r) {
+    return {
+      id: Number(r.id), username: r.username, passage_id: Number(r.passage_id), platform_id: Number(r.platform_id), sub: r.sub,
+      lineitem: r.lineitem, context_id: r.context_id, resource_link_id: r.resource_link_id,
+      best_score: r.best_score == null ? null : Number(r.best_score), last_status: r.last_status, last_error: r.last_error,
+      last_sent_at: r.last_sent_at ? new Date(r.last_sent_at).toISOString() : null, updated_at: new Date(r.updated_at).toISOString()
+    };
+  },
 
-  let foundType = null, connectorUsed = null;
-  for (const { word, type } of connectorPatterns) {
-    if (lower.includes(word)) { foundType = type; connectorUsed = word; break; }
-  }
-  const hasConnector = foundType !== null;
-  const hasSemicolon = /;\s*(however|therefore|moreover|furthermore|consequently|thus|although|though|nevertheless|whereas|additionally|hence)/i.test(text);
+  async listPlatforms() {
+    const { rows } = await pgPool.query('SELECT * FROM lti_platforms ORDER BY id');
+    return rows.map(r => this._platform(r));
+  },
 
-  if (!hasConnector) { score = Math.min(score, 1); issues.push('No connector — use however, therefore, moreover, furthermore'); }
-  else if (!hasSemicolon) { score = Math.min(score, 1); issues.push(`Found "${connectorUsed}" but missing semicolon. Use: "; ${connectorUsed},"`); }
+  async getPlatform(id) {
+    const { rows } = await pgPool.query('SELECT * FROM lti_platforms WHERE id = $1', [Number(id)]);
+    return rows[0] ? this._platform(rows[0]) : null;
+  },
 
-  if (!/^[A-Z0-9$"'"]/.test(text.trim())) { issues.push('Start with a capital letter'); score = Math.min(score, 1); }
+  async findPlatform(issuer, clientId) {
+    const { rows } = clientId
+      ? await pgPool.query('SELECT * FROM lti_platforms WHERE issuer = $1 AND client_id = $2', [issuer, clientId])
+      : await pgPool.query('SELECT * FROM lti_platforms WHERE issuer = $1', [issuer]);
+    return rows.length === 1 ? this._platform(rows[0]) : null;
+  },
 
-  const svErrors = [
-    { pattern: /(people|they|countries|nations|workers|students|researchers)\s+(is|was|has)\b/i, msg: 'Plural subject + singular verb' },
-    { pattern: /(he|she|it|the author|the speaker|the narrator)\s+(are|were|have)\b/i, msg: 'Singular subject + plural verb' },
-  ];
-  for (const { pattern, msg } of svErrors) { if (pattern.test(text)) { issues.push(msg); score = Math.min(score, 0); } }
-
-  if (/\b(\w+)\s+\1\b/i.test(text)) {
-    const m = text.match(/\b(\w+)\s+\1\b/i);
-    if (m && !['that','had','was'].includes(m[1].toLowerCase())) { issues.push(`Repeated word: "${m[1]}"`); score = Math.min(score, 1); }
-  }
-
-  const firstPerson = detectFirstPerson(text, passageText || '');
+  async savePlatform(p) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO lti_platforms (name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url, jwks_url, created_at, updated_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, NOW(), NOW())
+       ON CONFLICT (issuer, client_id) DO UPDATE SET name = EXCLUDED.name, deployment_ids = EXCLUDED.deployment_ids,
+         auth_login_url = EXCLUDED.auth_login_url, auth_token_url = EXCLUDED.auth_token_url, jwks_url = EXCLUDED.jwks_url, updated_at = NOW()
+       RETURNING *`,
+      [p.name || '', p.issuer, p.client_id, JSON.stringify(p.deployment_ids || []), p.auth_login_url, p.auth_token_url, p.jwks_url]
+    );
+    return this._platform(rows[0]);
+  },
 
-  return {
-    score, has_connector: hasConnector, connector_used: connectorUsed,
-    connector_type: foundType || 'none',
-    connector_quality: hasConnector && hasSemicolon ? 'perfect' : hasConnector ? 'partial' : 'missing',
-    has_semicolon_before_connector: hasSemicolon, grammar_issues: issues, first_person: firstPerson
-  };
-}
+  async deletePlatform(id) {
+    const r = await pgPool.query('DELETE FROM lti_platforms WHERE id = $1', [Number(id)]);
+    return r.rowCount > 0;
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// VOCABULARY SCORING v2 — Two methods to full marks:
-//
-// VERBATIM METHOD: copy passage lines + connect with however/moreover/etc → 2/2
-// PARAPHRASED METHOD: 4+ appropriate synonym swaps → 2/2
-//
-// Penalties:
-// - Heavy verbatim WITHOUT connectors (lazy lifting) → cap at 1/2
-// - Meaning-reversing synonym → 0/2
-// - LLM-flagged inappropriate synonym → -0.5
-// - First-person not shifted → -0.5 (was hard cap at 1)
-// ═══════════════════════════════════════════════════════════════════════════════
-function scoreVocabulary(verbatimData, swapData, firstPersonData, grammarData, llmJudgment) {
-  const { verbatimRate } = verbatimData;
-  const { safeSwaps, structuralChanges, dangerousSwaps, safeSwapCount, structuralCount, totalParaphraseCredit, dangerousSwapCount, academicWordsUsed } = swapData;
-  const perspectiveShifted = firstPersonData.hasPerspectiveShift;
-  // ── Effective credit for the 4-swap rule = ACTUAL word swaps only ──
-  // Structural changes (combining, condensing) happen in every summary and
-  // shouldn't count as "swap credits" for the paraphrased-vs-verbatim distinction.
-  const wordSwapCredit = safeSwapCount;
-  const effectiveCredit = wordSwapCredit + structuralCount; // for total recognition only
-  const hasConnector = grammarData?.has_connector || false;
+  async findUser(issuer, sub) {
+    const { rows } = await pgPool.query('SELECT username FROM lti_users WHERE issuer = $1 AND sub = $2', [issuer, sub]);
+    return rows[0] ? rows[0].username : null;
+  },
 
-  let score = 2; // Default: copy is FINE
-  let notes = [];
-  let suggestion = null;
-  let meaningChanged = false;
-  let inappropriateCount = 0;
+  async linkUser(issuer, sub, username) {
+    await pgPool.query('INSERT INTO lti_users (issuer, sub, username) VALUES ($1, $2, $3) ON CONFLICT (issuer, sub) DO NOTHING', [issuer, sub, username]);
+  },
 
-  // ── Hard penalty: meaning-reversing synonyms → V:0 ──
-  if (dangerousSwapCount > 0) {
-    meaningChanged = true; score = 0;
-    notes.push(`⚠ MEANING REVERSED: ${dangerousSwaps.map(s => `"${s.original}" → "${s.replacement}"`).join('; ')}`);
-    suggestion = 'Synonym changed the meaning. Choose substitutes that preserve sense ("minor" → "small" OK; "minor" → "major" WRONG).';
-  }
+  async requestTeacher(issuer, sub, request) {
+    await pgPool.query('UPDATE lti_users SET teacher_request = $3 WHERE issuer = $1 AND sub = $2', [issuer, sub, JSON.stringify(request)]);
+  },
 
-  // ── LLM-detected meaning damage (highest priority after dangerous swaps) ──
-  if (!meaningChanged && llmJudgment?.synonym_appropriateness === 'meaning_changed') {
-    meaningChanged = true; score = 0;
-    notes.push('⚠ Synonym altered passage meaning (AI judge)');
-    if (llmJudgment.synonym_issues?.length) {
-      suggestion = llmJudgment.synonym_issues.slice(0, 2).join('; ');
-    }
-  } else if (!meaningChanged && llmJudgment?.synonym_appropriateness === 'some_inappropriate') {
-    inappropriateCount = (llmJudgment.synonym_issues?.length || 1);
-    score = Math.max(0, score - 0.5);
-    notes.push(`⚠ ${inappropriateCount} inappropriate synonym${inappropriateCount > 1 ? 's' : ''}: ${(llmJudgment.synonym_issues || []).slice(0,2).join('; ')}`);
-  }
+  async listTeacherRequests() {
+    const { rows } = await pgPool.query('SELECT username, issuer, sub, teacher_request FROM lti_users WHERE teacher_request IS NOT NULL ORDER BY created_at');
+    return rows.map(r => ({ username: r.username, issuer: r.issuer, sub: r.sub, ...r.teacher_request }));
+  },
 
-  // ── Verbatim Method check: lifting only counts if connectors are present ──
-  // Use wordSwapCredit (actual word substitutions), not effectiveCredit, because
-  // structural changes like "combining" and "condensing" happen in every summary.
-  const isHeavyVerbatim = verbatimRate >= 80 && wordSwapCredit < 2;
-  if (!meaningChanged && isHeavyVerbatim) {
-    if (!hasConnector) {
-      score = Math.min(score, 1);
-      notes.push('⚠ Heavy verbatim without connectors — add ; however, / ; moreover, / ; therefore, to connect clauses');
-      if (!suggestion) suggestion = 'Verbatim is fine BUT clauses must be glued with connectors.';
-    } else {
-      notes.push('✓ Verbatim Method — passage lines properly connected');
-    }
-  }
+  async clearTeacherRequest(username) {
+    const r = await pgPool.query('UPDATE lti_users SET teacher_request = NULL WHERE username = $1 AND teacher_request IS NOT NULL', [username]);
+    return r.rowCount > 0;
+  },
 
-  // ── First-person not shifted → soft -0.5 (was hard cap at 1) ──
-  if (!meaningChanged && firstPersonData.isProblematic) {
-    score = Math.max(0, score - 0.5);
-    notes.push('⚠ First-person not shifted — change "I made" → "the author made"');
-    if (!suggestion) suggestion = 'Convert "I/my/we" to "the author/his/their" for academic register.';
-  }
+  async saveGradeTarget(t) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO lti_grade_targets (username, passage_id, platform_id, sub, lineitem, context_id, resource_link_id, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (username, lineitem) DO UPDATE SET passage_id = EXCLUDED.passage_id, platform_id = EXCLUDED.platform_id, sub = EXCLUDED.sub,
+         context_id = EXCLUDED.context_id, resource_link_id = EXCLUDED.resource_link_id, updated_at = NOW()
+       RETURNING *`,
+      [t.username, t.passage_id, t.platform_id, t.sub, t.lineitem, t.context_id, t.resource_link_id]
+    );
+    return this._target(rows[0]);
+  },
 
-  // ── Recognition notes (informational) ──
-  // For "Paraphrased Method" recognition, require 2+ word swaps (was 4) — students
-  // who lift key phrases (rather than full sentences) and apply 2–3 academic upgrades
-  // deserve full vocabulary credit per the v19.2 rubric.
-  if (wordSwapCredit >= 2) notes.push(`✓ ${wordSwapCredit} synonym swap${wordSwapCredit > 1 ? 's' : ''} — Paraphrased Method`);
-  else if (wordSwapCredit === 1) notes.push('1 synonym swap (target: 2–3 academic upgrades for full marks)');
-  else if (!meaningChanged && verbatimRate >= 70) notes.push('Verbatim style — ensure strong connectors');
+  async gradeTargets(username, passageId) {
+    const { rows } = await pgPool.query('SELECT * FROM lti_grade_targets WHERE username = $1 AND passage_id = $2', [username, Number(passageId)]);
+    return rows.map(r => this._target(r));
+  },
 
-  if (perspectiveShifted) notes.push('✓ Third-person perspective');
-  if (academicWordsUsed.length >= 2) notes.push(`✓ Academic vocabulary: ${academicWordsUsed.slice(0, 3).join(', ')}`);
-  if (safeSwaps.length > 0 && !meaningChanged) notes.push(`Swaps: ${safeSwaps.slice(0, 4).map(s => `"${s.original}" → "${s.replacement}"`).join(', ')}`);
-  if (structuralChanges.length > 0 && !meaningChanged) notes.push(`Structural: ${structuralChanges.map(s => s.detail).join(', ')}`);
+  async updateGradeTarget(id, patch) {
+    const cols = ['best_score', 'last_status', 'last_error', 'last_sent_at'].filter(c => c in patch);
+    if (!cols.length) return null;
+    const { rows } = await pgPool.query(
+      `UPDATE lti_grade_targets SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [Number(id), ...cols.map(c => patch[c])]
+    );
+    return rows[0] ? this._target(rows[0]) : null;
+  },
 
-  // Method tag — five paths, all of which can lead to high marks if executed cleanly:
-  //   paraphrased    : 2+ academic word swaps (was 4 in v19.1)
-  //   verbatim       : ≥70% lifted text + connectors (Verbatim Method)
-  //   verbatim_weak  : ≥70% lifted text but no connectors (lazy lifting)
-  //   phrase_picking : low verbatim + content covered + connectors — student
-  //                    selected key phrases and stitched them; legitimate path.
-  //   hybrid         : doesn't fit cleanly into any of the above
-  let method;
-  if (wordSwapCredit >= 2) method = 'paraphrased';
-  else if (verbatimRate >= 70 && hasConnector) method = 'verbatim';
-  else if (verbatimRate >= 70) method = 'verbatim_weak';
-  else if (verbatimRate < 70 && hasConnector) method = 'phrase_picking';
-  else method = 'hybrid';
+  async toolKey() {
+    const { rows } = await pgPool.query('SELECT private_pem, created_at FROM lti_tool_key WHERE id = 1');
+    return rows[0] ? { private_pem: rows[0].private_pem, created_at: new Date(rows[0].created_at).toISOString() } : null;
+  },
 
-  if (!suggestion && score >= 2) {
-    suggestion = wordSwapCredit >= 2
-      ? 'Strong vocabulary — keep using academic synonyms.'
-      : 'Replace 2–3 common words with academic synonyms (e.g., made→opted, good→beneficial, important→crucial) to lift Reading skill.';
+  async saveToolKey(k) {
+    await pgPool.query('INSERT INTO lti_tool_key (id, private_pem) VALUES (1, $1) ON CONFLICT (id) DO NOTHING', [k.private_pem]);
   }
+};
 
-  return {
-    score, verbatim_rate: verbatimRate,
-    safe_swaps: safeSwaps, structural_changes: structuralChanges, dangerous_swaps: dangerousSwaps,
-    safe_swap_count: safeSwapCount, structural_count: structuralCount,
-    effective_credit: effectiveCredit, total_paraphrase_credit: effectiveCredit,
-    dangerous_swap_count: dangerousSwapCount,
-    inappropriate_count: inappropriateCount,
-    meaning_changed: meaningChanged,
-    academic_words: academicWordsUsed, perspective_shifted: perspectiveShifted,
-    method,
-    notes, suggestion,
-    breakdown: {
-      verbatim_penalty: isHeavyVerbatim && !hasConnector ? 'no_connectors' : 'none',
-      swap_status: effectiveCredit >= 4 ? 'excellent' : effectiveCredit >= 1 ? 'partial' : 'none',
-      meaning_danger: meaningChanged
+const LtiAPI = USE_POSTGRES ? PgLtiAPI : JsonLtiAPI;
+
+// ─── API CLIENTS STORE (v20.22) ─────────────────────────────────────────────
+// Partner institutions call the scoring API with keys an admin issues them.
+// clients: { id, name, contact, disabled, spelling_preference (null = the
+//            deployment default), created_at, updated_at }
+// keys:    { id, client_id, label, prefix, key_hash, scopes[],
+//            rate_limit_per_minute, monthly_quota (null = unlimited),
+//            created_at, revoked_at, replaced_by }
+// Only the SHA-256 of a key is kept; the key itself is shown once, when it is
+// issued. `prefix` is its first segment, enough to tell keys apart in a list.
+// usage:   { id, client_id, key_id, route, status, duration_ms, llm_calls,
+//            input_tokens, output_tokens, created_at } — one row per call a
+//            key was let through for, whatever its status
+// Clients and keys are numbered separately, as in the Postgres tables.
+const API_CLIENTS_FILE = path.join(DATA_DIR, 'api_clients.json');
+const API_USAGE_FILE = path.join(DATA_DIR, 'api_usage.json');
+const API_SCOPES = ['grade', 'spellcheck', 'passages:read'];
+
+const JsonApiClientAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
+
+  async _load() {
+    if (this._cache) return this._cache;
+    let loaded;
+    try {
+      const parsed = JSON.parse(await fs.readFile(API_CLIENTS_FILE, 'utf8'));
+      const keys = Array.isArray(parsed.keys) ? parsed.keys : [];
+      // Older files numbered clients and keys from one `next_id`; keys
+      // carry on from the highest id they were given.
+      loaded = {
+        next_client_id: parsed.next_client_id || parsed.next_id || 1,
+        next_key_id: parsed.next_key_id || keys.reduce((n, k) => Math.max(n, k.id + 1), 1),
+        clients: Array.isArray(parsed.clients) ? parsed.clients : [],
+        keys
+      };
+    } catch (_) {
+      loaded = { next_client_id: 1, next_key_id: 1, clients: [], keys: [] };
     }
-  };
-}
+    // Two first calls can both get here; keep whichever finished first, so
+    // neither writes into a copy that is then thrown away.
+    if (!this._cache) this._cache = loaded;
+    return this._cache;
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// SKILL CONTRIBUTIONS v2
-//
-// Reading skill ceiling rule (per real exam feedback):
-//   "For good Reading scores, correct idea selection AND academic synonyms is must."
-// → contentScore=0 caps Reading at PTE 15 (heavy penalty for wrong ideas)
-// → contentScore=2 + no academic synonyms caps Reading around 55–65 (verbatim path)
-// → contentScore=2 + academic synonyms can reach Reading 90 (paraphrased path)
-//
-// Writing skill: tracks form + grammar + vocab + length-band
-// ═══════════════════════════════════════════════════════════════════════════════
-function estimateSkillContributions(rawScore, contentScore, grammarScore, vocabScore, swapData, llmJudgment, contentMax, maxRaw) {
-  const academicCount = (swapData?.academicWordsUsed?.length || 0)
-    + ((llmJudgment?.academic_register === true) ? 2 : 0);
-  const swapCredit = swapData?.totalParaphraseCredit || 0;
-  // v19.2: 2+ swaps now counts as "academic synonyms used" (was 4)
-  const hasAcademicSynonyms = academicCount >= 2 || swapCredit >= 2;
-  const cohesionStrong = llmJudgment?.cohesion === 'strong';
-  const cohesionWeak = llmJudgment?.cohesion === 'weak';
+  async _save() {
+    const store = await this._load();
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(API_CLIENTS_FILE, store));
+    await this._writeChain;
+  },
 
-  // v19.4: ratio-based content tier so 0–N scoring works for any N
-  const cMax = contentMax > 0 ? contentMax : 2;
-  const rMax = maxRaw > 0 ? maxRaw : 7;
-  const contentRatio = contentScore / cMax;        // 0..1
-  const rawRatio     = rawScore / rMax;            // 0..1
-  const contentFull    = contentScore >= cMax;
-  const contentPartial = contentScore > 0 && contentScore < cMax;
-  const contentNone    = contentScore === 0;
+  async listClients() {
+    return (await this._load()).clients.slice();
+  },
 
-  // ── READING ──
-  // Rubric (v19.2): Reading 90 requires correct ideas + (academic synonyms OR
-  // phrase-picking with strong cohesion). Pure verbatim still caps moderately
-  // because Pearson's Reading skill rewards lexical resourcefulness, but the
-  // ceiling is no longer locked unless the student also nails cohesion.
-  let reading;
-  if (contentNone) {
-    reading = 15; // Wrong ideas — cap heavily
-  } else if (contentPartial) {
-    // v19.4: partial coverage scales with how much of the passage was actually captured.
-    if (contentRatio >= 0.75) reading = hasAcademicSynonyms ? 70 : 60;
-    else if (contentRatio >= 0.5) reading = hasAcademicSynonyms ? 55 : 45;
-    else reading = hasAcademicSynonyms ? 42 : 32;
-  } else { // contentFull
-    if (academicCount >= 3 || swapCredit >= 3) reading = 90;
-    else if (hasAcademicSynonyms) reading = 82;            // 2+ swaps now reaches 82 (was 79)
-    else if (cohesionStrong && swapCredit >= 1) reading = 79; // phrase-picking + 1 swap + strong cohesion
-    else if (swapCredit >= 1) reading = 70;
-    else if (cohesionStrong) reading = 65;                 // pure verbatim but well-connected
-    else reading = 55; // verbatim with no swaps and no strong cohesion signal
-  }
-  // Cohesion penalty — weak cohesion should knock Reading down even with content
-  if (cohesionWeak && reading > 50) reading = Math.max(50, reading - 15);
+  async getClient(id) {
+    return (await this._load()).clients.find(c => c.id === Number(id)) || null;
+  },
 
-  // ── WRITING ── (ratio-based on dynamic maxRaw)
-  let writing;
-  if (rawRatio >= 0.93) writing = 88;
-  else if (rawRatio >= 0.85) writing = 82;
-  else if (rawRatio >= 0.71) writing = 70;
-  else if (rawRatio >= 0.57) writing = 58;
-  else if (rawRatio >= 0.43) writing = 45;
-  else if (rawRatio >= 0.29) writing = 30;
-  else writing = 15;
+  async createClient(c) {
+    const store = await this._load();
+    const now = new Date().toISOString();
+    const rec = { id: store.next_client_id++, name: c.name, contact: c.contact || '', disabled: false, spelling_preference: c.spelling_preference || null, created_at: now, updated_at: now };
+    store.clients.push(rec);
+    await this._save();
+    return rec;
+  },
 
-  return {
-    reading: {
-      estimate: reading,
-      components: { content: contentScore, content_max: cMax, academic_synonyms: academicCount, swap_credit: swapCredit, has_academic_synonyms: hasAcademicSynonyms },
-      note: (() => {
-        if (contentNone) return 'Wrong ideas — Reading skill heavily impacted';
-        if (cohesionWeak) return 'Ideas present but weakly connected — cohesion limits Reading skill';
-        if (contentFull && hasAcademicSynonyms) return 'Strong — correct ideas + academic synonyms';
-        if (contentFull) return 'All ideas captured — replace 2–3 common words with academic synonyms to push Reading higher';
-        return `${contentScore}/${cMax} main ideas captured — add the missing one${cMax - contentScore > 1 ? 's' : ''} to lift Reading further`;
-      })()
-    },
-    writing: {
-      estimate: writing,
-      components: { grammar: grammarScore, vocabulary: vocabScore, form: 1, raw: rawScore, max_raw: rMax },
-      note: rawRatio >= 0.85 ? 'Strong production' : rawRatio >= 0.57 ? 'Moderate production' : 'Production needs work'
-    }
-  };
-}
+  async updateClient(id, patch) {
+    const rec = await this.getClient(id);
+    if (!rec) return null;
+    Object.assign(rec, patch, { updated_at: new Date().toISOString() });
+    await this._save();
+    return rec;
+  },
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// FEEDBACK & TIPS
-// ═══════════════════════════════════════════════════════════════════════════════
-function generateFeedback(coverage, grammar, vocab, firstPerson) {
-  const presentCount = coverage.filter(c => c.present).length;
-  const missing = coverage.filter(c => !c.present).map(c => c.type);
-  const parts = [];
+  async listKeys(clientId) {
+    const keys = (await this._load()).keys;
+    return clientId == null ? keys.slice() : keys.filter(k => k.client_id === Number(clientId));
+  },
 
-  if (presentCount === 3) parts.push('All 3 key ideas captured — excellent comprehension.');
-  else if (presentCount === 2) parts.push(`2/3 key ideas found. Missing: ${missing[0]}.`);
-  else if (presentCount === 1) parts.push(`Only 1/3 key ideas found. Missing: ${missing.join(' and ')}.`);
-  else parts.push('No key ideas detected. Use TOPIC → PIVOT → CONCLUSION structure.');
+  async getKey(id) {
+    return (await this._load()).keys.find(k => k.id === Number(id)) || null;
+  },
 
-  if (grammar.score === 2) parts.push('Grammar excellent with proper connector.');
-  else if (!grammar.has_connector) parts.push('Add a connector with semicolon for full grammar marks.');
-  else parts.push(grammar.grammar_issues[0] || 'Minor grammar issue.');
+  async findKeyByHash(hash) {
+    return (await this._load()).keys.find(k => k.key_hash === hash) || null;
+  },
 
-  if (vocab.meaning_changed) parts.push('⚠️ CRITICAL: Your synonyms changed the meaning of the passage!');
-  else if (vocab.score === 2) parts.push(`Vocabulary excellent (${vocab.total_paraphrase_credit} safe synonym swaps).`);
-  else if (vocab.total_paraphrase_credit < 4) parts.push(`Need ${4 - vocab.total_paraphrase_credit} more synonym swaps for full vocab marks.`);
+  async createKey(k) {
+    const store = await this._load();
+    const rec = { id: store.next_key_id++, ...k, client_id: Number(k.client_id), created_at: new Date().toISOString(), revoked_at: null, replaced_by: null };
+    store.keys.push(rec);
+    await this._save();
+    return rec;
+  },
 
-  if (firstPerson.isProblematic) parts.push('⚠️ First-person language — shift to "The author/narrator".');
+  async updateKey(id, patch) {
+    const rec = await this.getKey(id);
+    if (!rec) return null;
+    Object.assign(rec, patch);
+    await this._save();
+    return rec;
+  }
+};
 
-  return parts.join(' ');
+function apiUsageRollup(rows) {
+  const groups = new Map();
+  for (const u of rows) {
+    const k = `${u.key_id}|${u.route}`;
+    let g = groups.get(k);
+    if (!g) groups.set(k, g = { client_id: u.client_id, key_id: u.key_id, route: u.route, calls: 0, errors: 0, llm_calls: 0, input_tokens: 0, output_tokens: 0, last_at: null });
+    g.calls++;
+    if (u.status >= 400) g.errors++;
+    g.llm_calls += u.llm_calls || 0;
+    g.input_tokens += u.input_tokens || 0;
+    g.output_tokens += u.output_tokens || 0;
+    if (!g.last_at || u.created_at > g.last_at) g.last_at = u.created_at;
+  }
+  return [...groups.values()];
 }
 
-function generateImprovementTips(rawScore, contentScore, grammarScore, vocabScore, grammar, vocab) {
-  const tips = [];
-  if (contentScore < 2) tips.push('CONTENT: Identify Topic (what is it about?), Pivot (but/however), Conclusion (so what?)');
-  if (grammarScore < 2) {
-    if (!grammar.has_connector) tips.push('GRAMMAR: Add "; however," or "; therefore," with semicolon');
-    else if (!grammar.has_semicolon_before_connector) tips.push(`GRAMMAR: Write "; ${grammar.connector_used}," not just "${grammar.connector_used}"`);
-  }
-  if (vocab.meaning_changed) {
-    tips.push('VOCABULARY: Your synonym CHANGED the meaning! "minor"→"small" is OK, "minor"→"major" is WRONG. Always check the synonym preserves the original idea.');
-  } else if (vocabScore < 2 && vocab.total_paraphrase_credit < 4) {
-    tips.push(`VOCABULARY: Need ${4 - vocab.total_paraphrase_credit} more synonym swaps. Replace verbs (made→opted, knew→acknowledged) and adjectives (good→beneficial, many→numerous) but keep nouns.`);
+const JsonApiUsageAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
+
+  async _load() {
+    if (this._cache) return this._cache;
+    let loaded;
+    try {
+      const parsed = JSON.parse(await fs.readFile(API_USAGE_FILE, 'utf8'));
+      loaded = { next_id: parsed.next_id || 1, usage: Array.isArray(parsed.usage) ? parsed.usage : [] };
+    } catch (_) {
+      loaded = { next_id: 1, usage: [] };
+    }
+    // As in JsonApiClientAPI: the first load to finish wins.
+    if (!this._cache) this._cache = loaded;
+    return this._cache;
+  },
+
+  async record(row) {
+    const store = await this._load();
+    const rec = { id: store.next_id++, ...row, created_at: new Date().toISOString() };
+    store.usage.push(rec);
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(API_USAGE_FILE, store));
+    await this._writeChain;
+    return rec;
+  },
+
+  async countSince(keyId, from) {
+    return (await this._load()).usage.filter(u => u.key_id === Number(keyId) && u.created_at >= from).length;
+  },
+
+  // Calls in [from, to) grouped by key and route; clientId null = every client.
+  async summary(clientId, from, to) {
+    const rows = (await this._load()).usage.filter(u =>
+      (clientId == null || u.client_id === Number(clientId)) && u.created_at >= from && u.created_at < to);
+    return apiUsageRollup(rows);
   }
-  if (rawScore >= 6 && rawScore < 7) tips.push('ALMOST BAND 9: One small fix could push you to 90.');
-  return tips.join(' | ');
-}
+};
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// ROUTES
-// ═══════════════════════════════════════════════════════════════════════════════
+const PgApiClientAPI = {
+  _client(r) {
+    return {
+      id: Number(r.id), name: r.name, contact: r.contact || '', disabled: !!r.disabled,
+      spelling_preference: r.spelling_preference || null,
+      created_at: new Date(r.created_at).toISOString(), updated_at: new Date(r.updated_at).toISOString()
+    };
+  },
 
-// Serve frontend
-app.get('/', (req, res) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0');
-  res.set('Pragma', 'no-cache');
-  res.set('Expires', '0');
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+  _key(r) {
+    return {
+      id: Number(r.id), client_id: Number(r.client_id), label: r.label || '', prefix: r.prefix, key_hash: r.key_hash,
+      scopes: r.scopes || [], rate_limit_per_minute: Number(r.rate_limit_per_minute),
+      monthly_quota: r.monthly_quota == null ? null : Number(r.monthly_quota),
+      created_at: new Date(r.created_at).toISOString(),
+      revoked_at: r.revoked_at ? new Date(r.revoked_at).toISOString() : null,
+      replaced_by: r.replaced_by == null ? null : Number(r.replaced_by)
+    };
+  },
 
-// ─── SPELL CHECK — Datamuse sp= (general English dictionary) ─────────────────
-// Complements the passage-relative checkSpelling() which only catches
-// words within edit-distance-1 of a passage word. This catches misspellings
-// of synonym words the student introduces themselves.
+  async listClients() {
+    const { rows } = await pgPool.query('SELECT * FROM api_clients ORDER BY id');
+    return rows.map(r => this._client(r));
+  },
 
-const spellCache = new Map();
-const SPELL_CACHE_MAX = 1000;
+  async getClient(id) {
+    const { rows } = await pgPool.query('SELECT * FROM api_clients WHERE id = $1', [Number(id)]);
+    return rows[0] ? this._client(rows[0]) : null;
+  },
 
-// Returns top suggestion for a misspelled word, or null if word looks correct
-// ─── HEADLINE RESCUE (v19.7.2) ──────────────────────────────────────────────
-// When Claude awards 0.5 to an idea, the most common reason in practice is that
-// the key element itself contains TWO clauses joined by " and ", " ; ", a comma
-// before "and", or "; moreover/furthermore" — i.e., it's overstuffed. If the
-// student captures the FIRST clause (the headline) but omits the secondary
-// clause, Claude reports partial credit even though by PTE rubric they have
-// fully captured the idea.
-//
-// This rescue extracts the headline from each key element (the substring before
-// the first joining conjunction) and checks whether the student's text contains
-// the distinctive content tokens of that headline. If yes → upgrade 0.5 → 1.0.
-// Conservative thresholds: requires ≥60% of headline content tokens to match,
-// and at least 2 distinctive terms. Never downgrades — only upgrades.
+  async createClient(c) {
+    const { rows } = await pgPool.query(
+      'INSERT INTO api_clients (name, contact, spelling_preference, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
+      [c.name, c.contact || '', c.spelling_preference || null]
+    );
+    return this._client(rows[0]);
+  },
 
-const HEADLINE_STOP = new Set([
-  'the','a','an','and','or','but','of','to','for','from','with','by','in','on',
-  'at','as','is','are','was','were','be','been','have','has','had','will','would',
-  'could','should','may','might','can','this','that','these','those','it','its',
-  'their','they','them','there','then','than','so','also','about','up','out','down',
-  'off','i','you','he','she','we','his','her','our','your','my'
-]);
+  async updateClient(id, patch) {
+    const cols = ['name', 'contact', 'disabled', 'spelling_preference'].filter(c => c in patch);
+    if (!cols.length) return this.getClient(id);
+    const { rows } = await pgPool.query(
+      `UPDATE api_clients SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [Number(id), ...cols.map(c => patch[c])]
+    );
+    return rows[0] ? this._client(rows[0]) : null;
+  },
 
-function extractHeadline(keyElementText) {
-  if (!keyElementText) return '';
-  const t = String(keyElementText).trim();
-  // Splitters kept in sync with condenseKeyElement() to ensure the rescue
-  // sees the same headline that was sent to Claude in the prompt.
-  const splitters = [
-    /,\s+such\s+as\s+/i,
-    /\s+such\s+as\s+/i,               // no-comma variant
-    /,\s+including\s+/i,
-    /,\s+like\s+/i,
-    /,\s+for\s+example\b/i,
-    /,\s+e\.?g\.?\s+/i,
-    /,\s+with\s+/i,
-    /;\s*moreover\b/i,
-    /;\s*furthermore\b/i,
-    /;\s*and\b/i,
-    /,\s+and\s+/i,
-    /;\s*/,
-  ];
-  for (const re of splitters) {
-    const m = t.match(re);
-    if (m && m.index > 20) return t.slice(0, m.index).trim();
-  }
-  return t;
-}
+  async listKeys(clientId) {
+    const { rows } = clientId == null
+      ? await pgPool.query('SELECT * FROM api_keys ORDER BY id')
+      : await pgPool.query('SELECT * FROM api_keys WHERE client_id = $1 ORDER BY id', [Number(clientId)]);
+    return rows.map(r => this._key(r));
+  },
 
-function tokenizeForHeadline(s) {
-  return String(s || '').toLowerCase()
-    .replace(/[^\w\s$%]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length >= 3 && !HEADLINE_STOP.has(w));
-}
+  async getKey(id) {
+    const { rows } = await pgPool.query('SELECT * FROM api_keys WHERE id = $1', [Number(id)]);
+    return rows[0] ? this._key(rows[0]) : null;
+  },
 
-// Returns true when the student's text contains enough of the headline's
-// distinctive tokens that we're confident they captured it.
-// Common paraphrase pairs that PTE students use. When the headline contains
-// any of these, students often substitute the alternate form — the matcher
-// should treat them as equivalent. Asymmetric: directional, lookup by headline
-// token. Each entry's array is the set of common student substitutions.
-const HEADLINE_SYNONYMS = {
-  familiar:     ['aware','conscious','acquainted','knowledgeable','knew'],
-  aware:        ['familiar','conscious','acquainted','knowledgeable','knew'],
-  disadvantages:['downsides','drawbacks','limitations','negatives','cons','disadvantage'],
-  disadvantage: ['downside','drawback','limitation','negative','con'],
-  advantages:   ['benefits','upsides','positives','pros','perks','advantage'],
-  advantage:    ['benefit','upside','positive','pro','perk'],
-  persuaded:    ['convinced','swayed','induced','urged','tried'],
-  persuade:     ['convince','sway','induce','urge','try'],
-  altered:      ['changed','transformed','modified','reshaped','revolutionised','revolutionized'],
-  alter:        ['change','transform','modify','reshape','revolutionise','revolutionize'],
-  overtaken:    ['surpassed','exceeded','outpaced','eclipsed','outstripped'],
-  surpassed:    ['overtaken','exceeded','outpaced','eclipsed'],
-  generates:    ['produces','creates','yields','delivers','contributes'],
-  generate:     ['produce','create','yield','deliver','contribute'],
-  catalyst:     ['driver','facilitator','agent','spur'],
-  invented:     ['created','devised','developed','originated','pioneered'],
-  invent:       ['create','devise','develop','originate','pioneer'],
-  frustrated:   ['dissatisfied','annoyed','irritated','displeased'],
-  rivals:       ['competitors','counterparts','peers'],
-  rival:        ['competitor','counterpart','peer'],
-  smooth:       ['easy','steady','straightforward','seamless','effortless'],
-  decision:     ['choice','selection','determination'],
-  choice:       ['decision','selection','determination'],
-  scientist:    ['researcher','academic','scholar','expert'],
-  exchange:     ['swap','trade','substitute','replace'],
-  exchanged:    ['swapped','traded','substituted','replaced'],
-  exchanging:   ['swapping','trading','substituting','replacing'],
-  expensive:    ['costly','pricey','dear','high-priced'],
-  big:          ['large','huge','massive','substantial','significant'],
-  huge:         ['large','big','massive','substantial','significant'],
-  large:        ['big','huge','massive','substantial','significant'],
-  many:         ['numerous','various','several','multiple','plenty'],
-  several:      ['multiple','many','various','numerous'],
-  reduce:       ['lower','decrease','diminish','cut'],
-  reduces:      ['lowers','decreases','diminishes','cuts'],
+  async findKeyByHash(hash) {
+    const { rows } = await pgPool.query('SELECT * FROM api_keys WHERE key_hash = $1', [hash]);
+    return rows[0] ? this._key(rows[0]) : null;
+  },
+
+  async createKey(k) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO api_keys (client_id, label, prefix, key_hash, scopes, rate_limit_per_minute, monthly_quota, created_at)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, NOW()) RETURNING *`,
+      [Number(k.client_id), k.label || '', k.prefix, k.key_hash, JSON.stringify(k.scopes || []), k.rate_limit_per_minute, k.monthly_quota]
+    );
+    return this._key(rows[0]);
+  },
+
+  async updateKey(id, patch) {
+    const cols = ['label', 'scopes', 'rate_limit_per_minute', 'monthly_quota', 'revoked_at', 'replaced_by'].filter(c => c in patch);
+    if (!cols.length) return this.getKey(id);
+    const { rows } = await pgPool.query(
+      `UPDATE api_keys SET ${cols.map((c, i) => `${c} = $${i + 2}${c === 'scopes' ? '::jsonb' : ''}`).join(', ')} WHERE id = $1 RETURNING *`,
+      [Number(id), ...cols.map(c => c === 'scopes' ? JSON.stringify(patch[c]) : patch[c])]
+    );
+    return rows[0] ? this._key(rows[0]) : null;
+  }
 };
 
-function headlineCapturedInText(headline, studentText) {
-  const headlineTokens = tokenizeForHeadline(headline);
-  const studentTokens = new Set(tokenizeForHeadline(studentText));
-  if (headlineTokens.length < 2) return { captured: false, ratio: 0, hits: 0, total: 0, matched: [] };
-  let hits = 0;
-  const matched = [];
-  for (const tok of headlineTokens) {
-    // Direct match
-    if (studentTokens.has(tok)) { hits++; matched.push(tok); continue; }
-    // Fuzzy stem (e.g., "overtaken" vs "overtake")
-    const stem = tok.length > 5 ? tok.slice(0, tok.length - 2) : tok;
-    let stemHit = false;
-    if (stem.length >= 4) {
-      for (const st of studentTokens) {
-        if (st.startsWith(stem)) { hits++; matched.push(tok + '→' + st); stemHit = true; break; }
-      }
-    }
-    if (stemHit) continue;
-    // v19.8.1: synonym-aware fallback
-    const synonyms = HEADLINE_SYNONYMS[tok];
-    if (synonyms) {
-      for (const syn of synonyms) {
-        if (studentTokens.has(syn)) { hits++; matched.push(tok + '⇄' + syn); break; }
-        const synStem = syn.length > 5 ? syn.slice(0, syn.length - 2) : syn;
-        if (synStem.length >= 4) {
-          let synHit = false;
-          for (const st of studentTokens) {
-            if (st.startsWith(synStem)) { hits++; matched.push(tok + '⇄' + st); synHit = true; break; }
-          }
-          if (synHit) break;
-        }
-      }
-    }
+const PgApiUsageAPI = {
+  async record(row) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO api_usage (client_id, key_id, route, status, duration_ms, llm_calls, input_tokens, output_tokens)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id, created_at`,
+      [row.client_id, row.key_id, row.route, row.status, row.duration_ms, row.llm_calls, row.input_tokens, row.output_tokens]
+    );
+    return { id: Number(rows[0].id), ...row, created_at: new Date(rows[0].created_at).toISOString() };
+  },
+
+  async countSince(keyId, from) {
+    const { rows } = await pgPool.query('SELECT COUNT(*)::int AS n FROM api_usage WHERE key_id = $1 AND created_at >= $2', [Number(keyId), from]);
+    return rows[0].n;
+  },
+
+  async summary(clientId, from, to) {
+    const { rows } = await pgPool.query(
+      `SELECT client_id, key_id, route, COUNT(*)::int AS calls, COUNT(*) FILTER (WHERE status >= 400)::int AS errors,
+              COALESCE(SUM(llm_calls), 0)::int AS llm_calls, COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens,
+              COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens, MAX(created_at) AS last_at
+       FROM api_usage WHERE ($1::int IS NULL OR client_id = $1) AND created_at >= $2 AND created_at < $3
+       GROUP BY client_id, key_id, route`,
+      [clientId == null ? null : Number(clientId), from, to]
+    );
+    return rows.map(r => ({
+      client_id: Number(r.client_id), key_id: Number(r.key_id), route: r.route, calls: r.calls, errors: r.errors,
+      llm_calls: r.llm_calls, input_tokens: Number(r.input_tokens), output_tokens: Number(r.output_tokens),
+      last_at: r.last_at ? new Date(r.last_at).toISOString() : null
+    }));
   }
-  const ratio = hits / headlineTokens.length;
-  return { captured: ratio >= 0.55 && hits >= 2, ratio, hits, total: headlineTokens.length, matched };
-}
+};
 
-// Apply the rescue to a per_idea_scores object. Returns the rescue audit so
-// it can be surfaced in content_details for transparency / debugging.
-function applyHeadlineRescue(perIdeaScores, keyElements, studentText) {
-  if (!perIdeaScores || !keyElements) return { applied: [], skipped: [] };
-  const audit = { applied: [], skipped: [] };
-  for (const label of Object.keys(perIdeaScores)) {
-    const score = perIdeaScores[label];
-    if (score >= 1) continue;          // already full — nothing to do
-    const keyText = keyElements[label];
-    if (!keyText) continue;
-    const headline = extractHeadline(keyText);
-    // If headline equals the whole key element, no overstuffing detected →
-    // accept Claude's verdict.
-    if (headline.length >= keyText.length - 5) {
-      audit.skipped.push({ label, reason: 'no_dual_clause_pattern' });
-      continue;
-    }
-    const result = headlineCapturedInText(headline, studentText);
-    // v19.8.1: rescue 0.5 and 0.0 cases — but use stricter threshold for 0.0
-    // since Claude was more confident the idea was missing.
-    const wasMissing = score === 0;
-    const threshold = wasMissing ? 0.65 : 0.55;
-    const minHits = wasMissing ? 3 : 2;
-    if (result.ratio >= threshold && result.hits >= minHits) {
-      perIdeaScores[label] = 1;
-      audit.applied.push({
-        label, headline, hits: result.hits, total: result.total,
-        ratio: +result.ratio.toFixed(2),
-        matched: result.matched.slice(0, 6),
-        was: wasMissing ? 'missing' : 'partial'
-      });
-    } else {
-      audit.skipped.push({ label, reason: 'headline_not_captured', ratio: +result.ratio.toFixed(2), hits: result.hits, total: result.total });
+const ApiClientAPI = USE_POSTGRES ? PgApiClientAPI : JsonApiClientAPI;
+const ApiUsageAPI = USE_POSTGRES ? PgApiUsageAPI : JsonApiUsageAPI;
+
+// ─── WRITE FROM DICTATION ITEM STORE (v20.24) ───────────────────────────────
+// items: { id, text, audio, difficulty, created_at, updated_at }
+// `text` is the dictated sentence and the answer key; `audio` is an optional
+// path under public/ (served as /<audio>). See WRITE FROM DICTATION below.
+const WFD_ITEMS_FILE = path.join(DATA_DIR, 'wfd_items.json');
+const WFD_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const JsonWfdItemAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
+
+  async _load() {
+    if (this._cache) return this._cache;
+    try {
+      const parsed = JSON.parse(await fs.readFile(WFD_ITEMS_FILE, 'utf8'));
+      this._cache = { next_id: parsed.next_id || 1, items: Array.isArray(parsed.items) ? parsed.items : [] };
+    } catch (_) {
+      this._cache = { next_id: 1, items: [] };
     }
-  }
-  return audit;
-}
+    return this._cache;
+  },
 
-// ─── INLINE SPELLING ENRICHMENT (v19.6) ─────────────────────────────────────
-// `checkSpelling` is fast but conservative: it only catches typos within edit
-// distance 1 of words that *already appear in the passage*, with length diff
-// ≤ 1. That misses common transpositions ("excahnge" → "exchange" is distance
-// 2 in pure Levenshtein) and any typo of a paraphrased word that isn't in the
-// passage at all ("decsion" → "decision" when the passage says "choice").
-//
-// This helper takes the existing checkSpelling result and asks Datamuse about
-// remaining candidate words. Datamuse's `sp=` endpoint returns words spelled
-// similarly; if the top result is the queried word, it's correctly spelled.
-// Otherwise we treat it as a typo and use the top suggestions.
-//
-// Bounded concurrency (8 in flight max) + per-call timeout (already in
-// datamouseSpellCheck) keep the overall added latency under ~1 second even
-// for sloppy summaries with many candidates.
-async function enrichSpellingWithDatamuse(localResult, studentText) {
-  if (!studentText || typeof studentText !== 'string') return localResult;
-  // Words already flagged by the passage checker — skip them in Datamuse to
-  // avoid double-counting. Compare lower-cased so "Athur" (capitalised) and
-  // "athur" both dedupe.
-  const localFlagged = new Set((localResult?.suggestions || []).map(s => (s.misspelled || '').toLowerCase()));
-  const candidates = spellCheckCandidates(studentText)
-    .filter(w => !localFlagged.has(w.toLowerCase()))
-    .slice(0, 12); // hard cap to bound latency
-
-  if (candidates.length === 0) return localResult;
+  async _save() {
+    const store = await this._load();
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(WFD_ITEMS_FILE, store));
+    await this._writeChain;
+  },
 
-  // Run lookups in parallel with a soft overall budget. Any individual
-  // datamouseSpellCheck call has its own 3s timeout already.
-  let datamuseHits = [];
-  try {
-    const lookups = candidates.map(async (w) => {
-      const suggestions = await datamouseSpellCheck(w);
-      return suggestions ? { word: w, suggestions } : null;
-    });
-    const overallTimeout = new Promise(resolve => setTimeout(() => resolve('timeout'), 4500));
-    const settled = await Promise.race([Promise.all(lookups), overallTimeout]);
-    if (settled === 'timeout') return localResult; // network slow — keep local-only result
-    datamuseHits = settled.filter(Boolean);
-  } catch (_) { return localResult; }
+  async list() {
+    return (await this._load()).items.slice();
+  },
 
-  if (datamuseHits.length === 0) return localResult;
+  async get(id) {
+    return (await this._load()).items.find(i => i.id === Number(id)) || null;
+  },
 
-  // Merge: existing errors + new Datamuse errors. Each Datamuse error keeps
-  // the word's top suggestion as the canonical "suggestion" field for
-  // downstream UI compatibility.
-  const newErrors = datamuseHits.map(h => ({ misspelled: h.word, suggestion: h.suggestions[0], suggestions: h.suggestions, source: 'dictionary' }));
-  const existingSuggestions = (localResult?.suggestions || []).map(s => ({ ...s, source: s.source || 'passage' }));
-  return {
-    errors: [...(localResult?.errors || []), ...newErrors.map(e => e.misspelled)],
-    suggestions: [...existingSuggestions, ...newErrors],
-    count: (localResult?.count || 0) + newErrors.length
-  };
-}
+  async create(fields) {
+    const store = await this._load();
+    const now = new Date().toISOString();
+    const rec = { id: store.next_id++, text: fields.text, audio: fields.audio || null, difficulty: fields.difficulty, created_at: now, updated_at: now };
+    store.items.push(rec);
+    await this._save();
+    return rec;
+  },
 
-async function datamouseSpellCheck(word) {
-  const key = word.toLowerCase().trim();
-  if (spellCache.has(key)) return spellCache.get(key);
-  try {
-    // sp= returns words spelled similarly; if the exact word comes back top-ranked it's correct
-    const url = `https://api.datamuse.com/words?sp=${encodeURIComponent(key)}&max=5`;
-    const res = await fetch(url, { signal: AbortSignal.timeout(3000) });
-    if (!res.ok) return null;
-    const results = await res.json();
-    if (!results.length) { spellCache.set(key, null); return null; }
-    // If the top result exactly matches the query, the word is spelled correctly
-    if (results[0].word === key) { spellCache.set(key, null); return null; }
-    const suggestions = results.map(r => r.word).filter(w => w !== key).slice(0, 4);
-    const result = suggestions.length ? suggestions : null;
-    if (spellCache.size >= SPELL_CACHE_MAX) spellCache.delete(spellCache.keys().next().value);
-    spellCache.set(key, result);
-    return result;
-  } catch { return null; }
-}
+  async update(id, fields) {
+    const rec = await this.get(id);
+    if (!rec) return null;
+    Object.assign(rec, fields, { updated_at: new Date().toISOString() });
+    await this._save();
+    return rec;
+  },
 
-// Tokenise text into unique candidate words worth spell-checking
-function spellCheckCandidates(text) {
-  const words = text.replace(/[^\w\s'-]/g, ' ').split(/\s+/);
-  const seen = new Set();
-  return words.filter(w => {
-    const lower = w.toLowerCase();
-    if (w.length < 4) return false;                       // too short to bother
-    if (/^\d/.test(w)) return false;                      // numbers
-    if (/^[A-Z]{2,}$/.test(w)) return false;              // acronyms
-    if (w.includes("'")) return false;                     // contractions
-    if (seen.has(lower)) return false;                     // deduplicate
-    seen.add(lower);
+  async remove(id) {
+    const store = await this._load();
+    const before = store.items.length;
+    store.items = store.items.filter(i => i.id !== Number(id));
+    if (store.items.length === before) return false;
+    await this._save();
     return true;
-  });
-}
+  }
+};
 
-app.post('/api/spellcheck', async (req, res) => {
-  const { text, passageText } = req.body || {};
-  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'Missing text' });
+const PgWfdItemAPI = {
+  _row(r) {
+    return {
+      id: Number(r.id), text: r.text, audio: r.audio || null, difficulty: r.difficulty,
+      created_at: new Date(r.created_at).toISOString(), updated_at: new Date(r.updated_at).toISOString()
+    };
+  },
 
-  // Run the fast passage-relative check first (synchronous)
-  const passageResult = passageText ? checkSpelling(text, passageText) : { suggestions: [] };
-  const passageFlagged = new Set(passageResult.suggestions.map(s => s.misspelled.toLowerCase()));
+  async list() {
+    const { rows } = await pgPool.query('SELECT * FROM wfd_items ORDER BY id');
+    return rows.map(r => this._row(r));
+  },
 
-  // Then run Datamuse on words NOT already flagged by the passage checker
-  const candidates = spellCheckCandidates(text).filter(w => !passageFlagged.has(w.toLowerCase()));
-  const datamouseErrors = [];
+  async get(id) {
+    const { rows } = await pgPool.query('SELECT * FROM wfd_items WHERE id = $1', [Number(id)]);
+    return rows[0] ? this._row(rows[0]) : null;
+  },
 
-  // Limit parallel calls to 8 words to avoid flooding Datamuse
-  const toCheck = candidates.slice(0, 8);
-  const checkResults = await Promise.all(toCheck.map(async w => ({ word: w, suggestions: await datamouseSpellCheck(w) })));
+  async create(fields) {
+    const { rows } = await pgPool.query(
+      'INSERT INTO wfd_items (text, audio, difficulty, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING *',
+      [fields.text, fields.audio || null, fields.difficulty]
+    );
+    return this._row(rows[0]);
+  },
 
-  for (const { word, suggestions } of checkResults) {
-    if (suggestions) datamouseErrors.push({ misspelled: word, suggestions });
+  async update(id, fields) {
+    const cols = ['text', 'audio', 'difficulty'].filter(c => c in fields);
+    if (!cols.length) return this.get(id);
+    const { rows } = await pgPool.query(
+      `UPDATE wfd_items SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [Number(id), ...cols.map(c => fields[c])]
+    );
+    return rows[0] ? this._row(rows[0]) : null;
+  },
+
+  async remove(id) {
+    const r = await pgPool.query('DELETE FROM wfd_items WHERE id = $1', [Number(id)]);
+    return r.rowCount > 0;
   }
+};
 
-  // Merge: passage-relative errors (single suggestion) + Datamuse errors (multiple suggestions)
-  const allErrors = [
-    ...passageResult.suggestions.map(s => ({ misspelled: s.misspelled, suggestions: [s.suggestion], source: 'passage' })),
-    ...datamouseErrors.map(e => ({ misspelled: e.misspelled, suggestions: e.suggestions, source: 'dictionary' }))
-  ];
+const WfdItemAPI = USE_POSTGRES ? PgWfdItemAPI : JsonWfdItemAPI;
 
-  res.json({ errors: allErrors, count: allErrors.length });
-});
+// ─── SUMMARIZE SPOKEN TEXT ITEM STORE (v20.25) ──────────────────────────────
+// items: { id, title, transcript, keyElements, audio, created_at, updated_at }
+// `transcript` is the lecture as spoken and stands in for the SWT passage when
+// grading; keyElements use the passage schema (what/why/how/result, or the
+// legacy topic/pivot/conclusion). `audio` is an optional path under public/.
+// See SUMMARIZE SPOKEN TEXT below.
+const SST_ITEMS_FILE = path.join(DATA_DIR, 'sst_items.json');
 
-// ─── THESAURUS LOOKUP (proxies Datamuse — cached server-side) ────────────────
-app.get('/api/thesaurus/:word', async (req, res) => {
-  const word = (req.params.word || '').toLowerCase().replace(/[^a-z'-]/g, '').slice(0, 30);
-  if (!word || word.length < 2) return res.status(400).json({ error: 'Invalid word' });
-  try {
-    const synonyms = await fetchDatamuseSynonyms(word);
-    res.json({ word, synonyms });
-  } catch (e) {
-    res.status(500).json({ error: 'Thesaurus lookup failed' });
-  }
-});
+const JsonSstItemAPI = {
+  _cache: null,
+  _writeChain: Promise.resolve(),
 
-app.get('/api/health', async (req, res) => {
-  // Snapshot current state of the storage file
-  const current = {
-    file_exists_now: false,
-    file_size_now: 0,
-    file_mtime_now: null,
-    user_count_now: 0,
-  };
-  try {
-    const stat = await fs.stat(STORAGE_FILE);
-    current.file_exists_now = true;
-    current.file_size_now = stat.size;
-    current.file_mtime_now = stat.mtime.toISOString();
+  async _load() {
+    if (this._cache) return this._cache;
     try {
-      const parsed = JSON.parse(await fs.readFile(STORAGE_FILE, 'utf8'));
-      current.user_count_now = Object.keys(parsed.users || {}).length;
-    } catch (_) {}
-  } catch (_) {}
+      const parsed = JSON.parse(await fs.readFile(SST_ITEMS_FILE, 'utf8'));
+      this._cache = { next_id: parsed.next_id || 1, items: Array.isArray(parsed.items) ? parsed.items : [] };
+    } catch (_) {
+      this._cache = { next_id: 1, items: [] };
+    }
+    return this._cache;
+  },
 
-  // Probe write capability + persistence
-  let probe = { skipped: 'use ?probe=1 to run a write probe' };
-  if (req.query.probe === '1') probe = await writeProbe();
+  async _save() {
+    const store = await this._load();
+    this._writeChain = this._writeChain.catch(() => {}).then(() => safeWriteJSON(SST_ITEMS_FILE, store));
+    await this._writeChain;
+  },
 
-  // Check the previous write probe's age — if it exists, that's a survivor file
-  // from a previous boot. Its mtime tells us whether the volume persisted.
-  let prevProbeFile = null;
-  try {
-    const probePath = path.join(DATA_DIR, '.write-probe.json');
-    const stat = await fs.stat(probePath);
-    const data = JSON.parse(await fs.readFile(probePath, 'utf8'));
-    prevProbeFile = {
-      mtime: stat.mtime.toISOString(),
-      from_previous_instance: data.instance !== INSTANCE_ID,
-      from_instance: data.instance,
-      written_at: data.ts,
-      age_minutes: Math.round((Date.now() - new Date(data.ts).getTime()) / 60000)
+  async list() {
+    return (await this._load()).items.slice();
+  },
+
+  async get(id) {
+    return (await this._load()).items.find(i => i.id === Number(id)) || null;
+  },
+
+  async create(fields) {
+    const store = await this._load();
+    const now = new Date().toISOString();
+    const rec = {
+      id: store.next_id++, title: fields.title, transcript: fields.transcript, keyElements: fields.keyElements || {},
+      audio: fields.audio || null, created_at: now, updated_at: now
     };
-  } catch (_) {
-    prevProbeFile = { exists: false, note: 'No probe file from any previous boot — volume may be ephemeral' };
-  }
+    store.items.push(rec);
+    await this._save();
+    return rec;
+  },
 
-  // v19.10: When Postgres is active, query DB stats instead of JSON file.
-  let pgStatus = null;
-  if (USE_POSTGRES && pgPool) {
-    pgStatus = { connected: false, accounts: 0, user_data_rows: 0, error: null };
-    try {
-      const { rows: a } = await pgPool.query('SELECT COUNT(*)::int AS n FROM accounts');
-      const { rows: u } = await pgPool.query('SELECT COUNT(*)::int AS n FROM user_data');
-      pgStatus.connected = true;
-      pgStatus.accounts = a[0].n;
-      pgStatus.user_data_rows = u[0].n;
-    } catch (e) {
-      pgStatus.error = e.message;
-    }
-  }
+  async update(id, fields) {
+    const rec = await this.get(id);
+    if (!rec) return null;
+    Object.assign(rec, fields, { updated_at: new Date().toISOString() });
+    await this._save();
+    return rec;
+  },
 
-  // Verdict: piece it all together
-  const usingVolume = !!process.env.RAILWAY_VOLUME_MOUNT_PATH;
-  const writingToEphemeral = !USE_POSTGRES && !usingVolume && (DATA_DIR === '/app/data' || DATA_DIR === './data');
-  let verdict;
-  if (USE_POSTGRES) {
-    verdict = pgStatus?.connected
-      ? `✓ Postgres backend active — ${pgStatus.accounts} accounts, ${pgStatus.user_data_rows} user records. Data persists across deploys.`
-      : `⚠ Postgres configured but not reachable: ${pgStatus?.error || 'unknown error'}`;
-  } else if (usingVolume) {
-    verdict = '✓ Volume env var set — writes should persist';
-  } else if (writingToEphemeral) {
-    verdict = '⚠ NO VOLUME AND NO DATABASE_URL — writing to ephemeral disk. Data will be wiped on every deploy.';
-  } else {
-    verdict = '? Unknown — manually check the storage path';
+  async remove(id) {
+    const store = await this._load();
+    const before = store.items.length;
+    store.items = store.items.filter(i => i.id !== Number(id));
+    if (store.items.length === before) return false;
+    await this._save();
+    return true;
   }
+};
 
-  res.json({
-    status: 'ok',
-    version: '19.10.0',
-    anthropicConfigured: !!anthropic,
-    verdict,
-    runtime: {
-      instance_id: INSTANCE_ID,
-      boot_time: BOOT_TIME,
-      uptime_seconds: Math.round(process.uptime()),
-      node_version: process.version,
-    },
-    storage: {
-      backend: USE_POSTGRES ? 'postgres' : 'json_file',
-      postgres: pgStatus,
-      data_dir: DATA_DIR,
-      storage_file: STORAGE_FILE,
-      passages_file: PASSAGES_FILE,
-      using_railway_volume_env: usingVolume,
-      railway_volume_env_value: process.env.RAILWAY_VOLUME_MOUNT_PATH || null,
-      // v19.10.1: report which env var supplied the connection URL, and the
-      // host it points at (credentials stripped) so a bad host is obvious.
-      database_url_source: DATABASE_URL_SOURCE,
-      database_url_host: (() => {
-        if (!DATABASE_URL) return null;
-        try { return new URL(DATABASE_URL).host; }
-        catch (_) { const m = DATABASE_URL.match(/@([^/?]+)/); return m ? m[1] : 'unparseable'; }
-      })(),
-      database_public_url_present: !!process.env.DATABASE_PUBLIC_URL,
-      database_url_present: !!process.env.DATABASE_URL,
-      node_env: process.env.NODE_ENV || null,
-      writing_to_ephemeral_disk: writingToEphemeral,
-    },
-    boot_snapshot: BOOT_SNAPSHOT,
-    current_snapshot: current,
-    previous_probe_file: prevProbeFile,
-    write_probe: probe,
-    hints: USE_POSTGRES ? [
-      'Postgres backend is active. Data persists across deploys and is not affected by Railway volume issues.',
-      'If verdict shows the connection error, check that DATABASE_URL points to a reachable Postgres service.',
-      'To migrate from a previous JSON-file deployment, restart the server — pgMigrateFromJsonIfNeeded runs on every boot and is idempotent.'
-    ] : [
-      'Hit /api/health?probe=1 to test write+read on the data dir',
-      'Compare boot_snapshot.user_count_at_boot vs current_snapshot.user_count_now — if boot starts at 0 after every deploy, the volume is not persisting',
-      'previous_probe_file.from_previous_instance should be true if the volume persists across deploys',
-      'For a permanent fix, provision a Postgres service on Railway — set DATABASE_URL and redeploy'
-    ]
-  });
-});
+const PgSstItemAPI = {
+  _row(r) {
+    return {
+      id: Number(r.id), title: r.title, transcript: r.transcript, keyElements: r.key_elements || {}, audio: r.audio || null,
+      created_at: new Date(r.created_at).toISOString(), updated_at: new Date(r.updated_at).toISOString()
+    };
+  },
 
-app.post('/api/progress/:userId', async (req, res) => {
-  try {
-    const { passageId, summary, scoreData } = req.body;
-    res.json(await StorageAPI.saveProgress(req.params.userId, passageId, summary, scoreData));
-  } catch (e) { res.status(500).json({ error: 'Failed to save progress' }); }
-});
+  async list() {
+    const { rows } = await pgPool.query('SELECT * FROM sst_items ORDER BY id');
+    return rows.map(r => this._row(r));
+  },
 
-app.get('/api/progress/:userId', async (req, res) => {
-  try { res.json(await StorageAPI.getProgress(req.params.userId)); }
-  catch (e) { res.status(500).json({ error: 'Failed to get progress' }); }
-});
-
-app.get('/api/leaderboard', async (req, res) => {
-  try { res.json(await StorageAPI.getLeaderboard(parseInt(req.query.limit) || 10)); }
-  catch (e) { res.status(500).json({ error: 'Failed to get leaderboard' }); }
-});
-
-// ═══ SYNC ENDPOINTS ═══
-// Pull: get full user data from server (called on login)
-// C3: now requires a valid session token matching :userId.
-app.get('/api/sync/:userId', requireSyncAuth, async (req, res) => {
-  try { res.json({ success: true, data: await StorageAPI.getUserData(req.params.userId) }); }
-  catch (e) { res.status(500).json({ error: 'Sync pull failed' }); }
-});
-
-// Push: send full user data to server (called on login + after verify)
-// C3: now requires a valid session token matching :userId.
-app.post('/api/sync/:userId', requireSyncAuth, async (req, res) => {
-  try { res.json(await StorageAPI.setUserData(req.params.userId, req.body)); }
-  catch (e) { res.status(500).json({ error: 'Sync push failed' }); }
-});
-
-// ═══ AUTH ROUTES ═══
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { username, password, secretQ, secretA, email } = req.body;
-    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
-    const result = await AuthAPI.register(username, password, secretQ, secretA, email);
-    // C3: hand back a session token the client uses to authorize sync calls.
-    if (result && result.success) result.token = mintSessionToken(username);
-    res.json(result);
-  } catch (e) { res.status(500).json({ error: 'Registration failed' }); }
-});
+  async get(id) {
+    const { rows } = await pgPool.query('SELECT * FROM sst_items WHERE id = $1', [Number(id)]);
+    return rows[0] ? this._row(rows[0]) : null;
+  },
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
-    const result = await AuthAPI.login(username, password);
-    if (result && result.success) result.token = mintSessionToken(username);
-    res.json(result);
-  } catch (e) { res.status(500).json({ error: 'Login failed' }); }
-});
+  async create(fields) {
+    const { rows } = await pgPool.query(
+      'INSERT INTO sst_items (title, transcript, key_elements, audio, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING *',
+      [fields.title, fields.transcript, JSON.stringify(fields.keyElements || {}), fields.audio || null]
+    );
+    return this._row(rows[0]);
+  },
 
-app.post('/api/auth/change-password', async (req, res) => {
-  try {
-    const { username, oldPassword, newPassword } = req.body;
-    res.json(await AuthAPI.changePassword(username, oldPassword, newPassword));
-  } catch (e) { res.status(500).json({ error: 'Password change failed' }); }
-});
+  async update(id, fields) {
+    const map = { title: 'title', transcript: 'transcript', keyElements: 'key_elements', audio: 'audio' };
+    const keys = Object.keys(map).filter(k => k in fields);
+    if (!keys.length) return this.get(id);
+    const { rows } = await pgPool.query(
+      `UPDATE sst_items SET ${keys.map((k, i) => `${map[k]} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [Number(id), ...keys.map(k => k === 'keyElements' ? JSON.stringify(fields[k]) : fields[k])]
+    );
+    return rows[0] ? this._row(rows[0]) : null;
+  },
 
-app.post('/api/auth/reset-password', async (req, res) => {
-  try {
-    const { username, secretAnswer, newPassword } = req.body;
-    res.json(await AuthAPI.resetPassword(username, secretAnswer, newPassword));
-  } catch (e) { res.status(500).json({ error: 'Reset failed' }); }
-});
+  async remove(id) {
+    const r = await pgPool.query('DELETE FROM sst_items WHERE id = $1', [Number(id)]);
+    return r.rowCount > 0;
+  }
+};
 
-app.get('/api/auth/secret-question/:username', async (req, res) => {
-  try { res.json(await AuthAPI.getSecretQ(req.params.username)); }
-  catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+const SstItemAPI = USE_POSTGRES ? PgSstItemAPI : JsonSstItemAPI;
 
-app.get('/api/auth/check/:username', async (req, res) => {
-  // Session-validation endpoint. Used by the frontend on page load to decide
-  // whether a saved session is still valid (account exists AND is not blocked).
-  // No password — this only confirms the account is still in good standing.
-  try {
-    const uid = String(req.params.username || '').toLowerCase().trim();
-    if (!uid) return res.json({ exists: false, blocked: false, valid: false });
-    let acct = null;
-    if (USE_POSTGRES) {
-      // Fast path — single-row lookup instead of reading the whole store.
-      acct = await PgStorage._getAccount(uid);
-    } else {
-      const data = await StorageAPI.readData();
-      acct = (data.accounts && data.accounts[uid]) || null;
+// Shared sanitizer used by both backends — pulled out so it stays consistent.
+function sanitizePassage(p) {
+  const out = {
+    id: Number(p.id) || 0,
+    title: String(p.title || '').trim().slice(0, 200),
+    category: String(p.category || '').trim().slice(0, 100),
+    text: String(p.text || '').trim(),
+    keyElements: {},
+    sampleResponse: String(p.sampleResponse || '').trim(),
+    sampleNotes: String(p.sampleNotes || '').trim()
+  };
+  const ke = p.keyElements || {};
+  // Accept both new (what/why/how/result) and legacy (topic/pivot/conclusion) fields
+  ['what','why','how','result','topic','pivot','conclusion'].forEach(k => {
+    if (ke[k] && typeof ke[k] === 'string') out.keyElements[k] = ke[k].trim();
+  });
+  if (p.keyElementsRationale && typeof p.keyElementsRationale === 'object') {
+    const r = p.keyElementsRationale;
+    const rOut = {};
+    if (typeof r.topic === 'string')      rOut.topic = r.topic.trim().slice(0, 2000);
+    if (typeof r.importance === 'string') rOut.importance = r.importance.trim().slice(0, 2000);
+    if (r.elements && typeof r.elements === 'object') {
+      rOut.elements = {};
+      ['what','why','how','result','topic','pivot','conclusion'].forEach(k => {
+        if (typeof r.elements[k] === 'string') rOut.elements[k] = r.elements[k].trim().slice(0, 1000);
+      });
+      if (!Object.keys(rOut.elements).length) delete rOut.elements;
     }
-    const exists = !!acct;
-    const blocked = !!(acct && acct.blocked);
-    res.json({ exists, blocked, valid: exists && !blocked, role: acct ? (acct.role || 'user') : null });
-  } catch (e) {
-    res.json({ exists: false, blocked: false, valid: false });
+    if (Object.keys(rOut).length) out.keyElementsRationale = rOut;
   }
-});
-
-// ═══ ADMIN ROUTES (require ADMIN_KEY) ═══
-function requireAdmin(req, res, next) {
-  // M1: if ADMIN_KEY is unset (production with no env var), admin routes are
-  // hard-disabled rather than falling back to a guessable default.
-  if (!ADMIN_KEY) return res.status(503).json({ error: 'Admin is not configured on this server (ADMIN_KEY unset).' });
-  const key = req.headers['x-admin-key'] || req.query.key;
-  if (key !== ADMIN_KEY) return res.status(403).json({ error: 'Invalid admin key' });
-  next();
+  if (p.extractionMeta && typeof p.extractionMeta === 'object') {
+    const em = p.extractionMeta;
+    const emOut = {};
+    if (em.framework === 'tpc' || em.framework === 'wwhr') emOut.framework = em.framework;
+    if (['high','medium','low'].includes(em.confidence)) emOut.confidence = em.confidence;
+    if (typeof em.framework_reason === 'string') emOut.framework_reason = em.framework_reason.trim().slice(0, 500);
+    if (typeof em.extractedAt === 'string') emOut.extractedAt = em.extractedAt.slice(0, 40);
+    if (Object.keys(emOut).length) out.extractionMeta = emOut;
+  }
+  return out;
 }
 
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
-  try { res.json(await AuthAPI.listUsers()); }
-  catch (e) { res.status(500).json({ error: 'Failed to list users' }); }
-});
+// Convenience: the admin API used to call PassageAPI._sanitize directly in a
+// couple of places. Map it to the shared function for backwards compatibility.
+PassageAPI._sanitize = sanitizePassage;
 
-app.post('/api/admin/delete-user', requireAdmin, async (req, res) => {
-  try { res.json(await AuthAPI.deleteUser(req.body.username)); }
-  catch (e) { res.status(500).json({ error: 'Delete failed' }); }
-});
+// ═══════════════════════════════════════════════════════════════════════════════
+// SERVER-SIDE AUTH
+// ═══════════════════════════════════════════════════════════════════════════════
+// M1: refuse to run in production with a default/unset admin key. Locally
+// (NODE_ENV !== 'production') a fallback is allowed for convenience.
+const ADMIN_KEY = process.env.ADMIN_KEY || (process.env.NODE_ENV === 'production' ? null : 'admin123');
+if (process.env.NODE_ENV === 'production' && !process.env.ADMIN_KEY) {
+  console.error('🛑 FATAL: ADMIN_KEY environment variable is not set. Admin routes will be DISABLED until it is configured in Railway.');
+}
 
-app.post('/api/admin/block-user', requireAdmin, async (req, res) => {
-  try { res.json(await AuthAPI.blockUser(req.body.username, req.body.blocked)); }
-  catch (e) { res.status(500).json({ error: 'Block failed' }); }
-});
+// ── Password hashing (C2) ───────────────────────────────────────────────────
+// v19.17: replaced unsalted SHA-256 with salted scrypt (Node built-in, no new
+// dependency). Each password gets a unique random salt, so identical passwords
+// no longer collide, and scrypt is deliberately slow so brute-forcing is
+// expensive. We ALSO stopped lowercasing the password — that was destroying
+// entropy ("Passw0rd" === "passw0rd"). Usernames are still lowercased; only the
+// password is now case-sensitive.
+//
+// Stored format: "scrypt$<saltHex>$<hashHex>".
+// Legacy hashes are plain 64-char hex (old sha256 of the lowercased password).
+// verifyPw() handles both, and login()/changePassword() upgrade legacy hashes
+// to scrypt on the next successful authentication.
+function hashPwScrypt(pw) {
+  const salt = crypto.randomBytes(16);
+  const derived = crypto.scryptSync(String(pw), salt, 32);
+  return 'scrypt$' + salt.toString('hex') + '$' + derived.toString('hex');
+}
+// Legacy hash — only used to verify old accounts so they can be upgraded.
+function hashPwLegacy(pw) { return crypto.createHash('sha256').update(String(pw).toLowerCase().trim()).digest('hex'); }
 
-app.post('/api/admin/reset-password', requireAdmin, async (req, res) => {
-  try { res.json(await AuthAPI.adminResetPassword(req.body.username, req.body.newPassword)); }
-  catch (e) { res.status(500).json({ error: 'Reset failed' }); }
-});
+// Returns { ok: boolean, needsUpgrade: boolean }. needsUpgrade is true when the
+// stored hash verified under the legacy scheme and should be re-hashed.
+function verifyPw(pw, storedHash) {
+  if (!storedHash) return { ok: false, needsUpgrade: false };
+  if (storedHash.startsWith('scrypt$')) {
+    const parts = storedHash.split('$');
+    if (parts.length !== 3) return { ok: false, needsUpgrade: false };
+    const salt = Buffer.from(parts[1], 'hex');
+    const expected = Buffer.from(parts[2], 'hex');
+    let derived;
+    try { derived = crypto.scryptSync(String(pw), salt, expected.length); }
+    catch (e) { return { ok: false, needsUpgrade: false }; }
+    // Constant-time compare
+    const ok = expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+    return { ok, needsUpgrade: false };
+  }
+  // Legacy sha256(lowercased)
+  const legacy = hashPwLegacy(pw);
+  // timingSafeEqual needs equal-length buffers
+  const a = Buffer.from(legacy); const b = Buffer.from(storedHash);
+  const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+  return { ok, needsUpgrade: ok };
+}
 
-app.get('/api/admin/user-data/:username', requireAdmin, async (req, res) => {
-  try { res.json(await AuthAPI.getUserData(req.params.username)); }
-  catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+// For NEW hashes (register, password change/reset) always use scrypt.
+function hashPw(pw) { return hashPwScrypt(pw); }
 
-// ─── v19.11: ADMIN IMPERSONATION ("Open Portal as User") ─────────────────────
-// Lets an admin view a student's portal in a new tab. Security model:
-//   1. Admin (authenticated by ADMIN_KEY) requests a token for one username.
-//   2. The token is an HMAC-signed string: base64(username|expiry).signature
-//      — signed with a secret derived from ADMIN_KEY, valid ~5 minutes.
-//   3. The student portal sends the token back; the server validates the
-//      signature + expiry and returns that user's data.
-// A student cannot forge a token (no ADMIN_KEY), and the token cannot be reused
-// for a different username (the username is inside the signed payload).
-const IMPERSONATION_TTL_MS = 5 * 60 * 1000;  // 5 minutes
-function _impersonationSecret() {
-  // Derive a signing secret from ADMIN_KEY so it rotates if the admin key changes.
-  return crypto.createHash('sha256').update('impersonation:' + ADMIN_KEY).digest();
+// ── Session tokens (C3) ─────────────────────────────────────────────────────
+// v19.17: the sync endpoints used to accept any username with no proof of
+// identity — anyone could read or overwrite anyone's data. We now issue a
+// signed session token at login/register and require it on sync. Same HMAC
+// pattern as impersonation tokens, but a longer TTL (30 days) and a distinct
+// signing secret so the two token types can't be confused.
+//
+// A server-side SESSION_SECRET env var is preferred; if unset we derive one
+// from ADMIN_KEY (or a process-stable random fallback in local dev). Note:
+// deriving from ADMIN_KEY means changing the admin key invalidates all
+// sessions, which is acceptable (and arguably desirable).
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const _sessionFallbackSecret = crypto.randomBytes(32);  // used only if nothing else available
+function _sessionSecret() {
+  if (process.env.SESSION_SECRET) return crypto.createHash('sha256').update('session:' + process.env.SESSION_SECRET).digest();
+  if (ADMIN_KEY) return crypto.createHash('sha256').update('session:' + ADMIN_KEY).digest();
+  return _sessionFallbackSecret;
 }
-function mintImpersonationToken(username) {
-  const payload = username.toLowerCase().trim() + '|' + (Date.now() + IMPERSONATION_TTL_MS);
-  const sig = crypto.createHmac('sha256', _impersonationSecret()).update(payload).digest('hex');
+function mintSessionToken(username) {
+  const payload = username.toLowerCase().trim() + '|' + (Date.now() + SESSION_TTL_MS);
+  const sig = crypto.createHmac('sha256', _sessionSecret()).update(payload).digest('hex');
   return Buffer.from(payload).toString('base64') + '.' + sig;
 }
-function verifyImpersonationToken(token) {
-  // Returns the username if valid, or null.
+// Returns the username if the token is valid and unexpired, else null.
+function verifySessionToken(token) {
   if (!token || typeof token !== 'string' || token.indexOf('.') < 0) return null;
   const [b64, sig] = token.split('.');
   let payload;
   try { payload = Buffer.from(b64, 'base64').toString('utf8'); }
   catch (e) { return null; }
-  const expectedSig = crypto.createHmac('sha256', _impersonationSecret()).update(payload).digest('hex');
-  // Constant-time comparison
-  if (sig.length !== expectedSig.length) return null;
+  const expectedSig = crypto.createHmac('sha256', _sessionSecret()).update(payload).digest('hex');
+  if (!sig || sig.length !== expectedSig.length) return null;
   if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expectedSig))) return null;
   const sep = payload.lastIndexOf('|');
   if (sep < 0) return null;
@@ -2999,1815 +3209,8573 @@ function verifyImpersonationToken(token) {
   if (!username || !expiry || Date.now() > expiry) return null;
   return username;
 }
+// Middleware: the request must carry a valid session token whose username
+// matches the :userId route param (case-insensitive). Impersonation tokens are
+// also accepted so the admin "Open as User" flow keeps working.
+function requireSyncAuth(req, res, next) {
+  const token = req.headers['x-session-token'] || req.query.token || '';
+  const target = (req.params.userId || '').toLowerCase().trim();
+  let who = verifySessionToken(token);
+  if (!who) who = verifyImpersonationToken(token);  // admin acting as user
+  if (!who) return res.status(401).json({ error: 'Not authenticated' });
+  if (who.toLowerCase().trim() !== target) {
+    return res.status(403).json({ error: 'Token does not match this user' });
+  }
+  next();
+}
+
+const ACCOUNT_ROLES = ['user', 'teacher'];
+
+const AuthAPI = {
+  async readAccounts() {
+    const data = await StorageAPI.readData();
+    if (!data.accounts) data.accounts = {};
+    if (!data.users) data.users = {};
+    return data;
+  },
+  async register(username, password, secretQ, secretA, email) {
+    const uid = username.toLowerCase().trim();
+    if (password.length < 4) return { success: false, error: 'Password min 4 chars' };
+    // v19.10: Postgres fast path — single account lookup + single insert.
+    if (USE_POSTGRES) {
+      const existing = await PgStorage._getAccount(uid);
+      if (existing) return { success: false, error: 'Username taken' };
+      await PgStorage._saveAccount({
+        username: uid, passwordHash: hashPw(password),
+        secretQ: secretQ || '', secretAHash: secretA ? hashPw(secretA) : '',
+        createdAt: new Date().toISOString(), lastLogin: null,
+        blocked: false, role: 'user'
+      });
+      // Seed an empty user_data row so subsequent getUserData returns the same
+      // shape JsonStorage would return for a brand-new user.
+      await pgPool.query(
+        `INSERT INTO user_data (username, data) VALUES ($1, $2::jsonb) ON CONFLICT (username) DO NOTHING`,
+        [uid, JSON.stringify({ attempted: [], summaries: {}, scores: {}, history: {}, stats: { totalAttempts: 0, averageScore: 0 }, email: email || '' })]
+      );
+      return { success: true, user: { username: uid, role: 'user' } };
+    }
+    // JSON fallback (unchanged)
+    const data = await this.readAccounts();
+    if (data.accounts[uid]) return { success: false, error: 'Username taken' };
+    data.accounts[uid] = {
+      username: uid, passwordHash: hashPw(password),
+      secretQ: secretQ || '', secretAHash: secretA ? hashPw(secretA) : '',
+      createdAt: new Date().toISOString(), lastLogin: null,
+      blocked: false, role: 'user'
+    };
+    if (!data.users[uid]) data.users[uid] = { attempted: [], summaries: {}, scores: {}, history: {}, stats: { totalAttempts: 0, averageScore: 0 }, email: email || '' };
+    await StorageAPI.writeData(data);
+    return { success: true, user: { username: uid, role: 'user' } };
+  },
+  async login(username, password) {
+    const uid = username.toLowerCase().trim();
+    if (USE_POSTGRES) {
+      const acct = await PgStorage._getAccount(uid);
+      if (!acct) return { success: false, error: 'User not found' };
+      if (acct.blocked) return { success: false, error: 'Account blocked. Contact admin.' };
+      const v = verifyPw(password, acct.passwordHash);
+      if (!v.ok) return { success: false, error: 'Wrong password' };
+      // v19.17: upgrade legacy sha256 hashes to scrypt on successful login.
+      if (v.needsUpgrade) {
+        try { await pgPool.query('UPDATE accounts SET password_hash = $1 WHERE username = $2', [hashPw(password), uid]); }
+        catch (e) { /* non-fatal — they're still logged in; upgrade retries next login */ }
+      }
+      // Stamp lastLogin without rewriting any other field.
+      await pgPool.query('UPDATE accounts SET last_login = NOW() WHERE username = $1', [uid]);
+      return { success: true, user: { username: uid, role: acct.role || 'user' } };
+    }
+    const data = await this.readAccounts();
+    const acct = data.accounts[uid];
+    if (!acct) return { success: false, error: 'User not found' };
+    if (acct.blocked) return { success: false, error: 'Account blocked. Contact admin.' };
+    const v = verifyPw(password, acct.passwordHash);
+    if (!v.ok) return { success: false, error: 'Wrong password' };
+    if (v.needsUpgrade) acct.passwordHash = hashPw(password);
+    acct.lastLogin = new Date().toISOString();
+    await StorageAPI.writeData(data);
+    return { success: true, user: { username: uid, role: acct.role || 'user' } };
+  },
+  async changePassword(username, oldPw, newPw) {
+    const uid = username.toLowerCase().trim();
+    if (USE_POSTGRES) {
+      const acct = await PgStorage._getAccount(uid);
+      if (!acct) return { success: false, error: 'User not found' };
+      if (!verifyPw(oldPw, acct.passwordHash).ok) return { success: false, error: 'Wrong current password' };
+      if (newPw.length < 4) return { success: false, error: 'Min 4 chars' };
+      await pgPool.query('UPDATE accounts SET password_hash = $1 WHERE username = $2', [hashPw(newPw), uid]);
+      return { success: true };
+    }
+    const data = await this.readAccounts();
+    const acct = data.accounts[uid];
+    if (!acct) return { success: false, error: 'User not found' };
+    if (!verifyPw(oldPw, acct.passwordHash).ok) return { success: false, error: 'Wrong current password' };
+    if (newPw.length < 4) return { success: false, error: 'Min 4 chars' };
+    acct.passwordHash = hashPw(newPw);
+    await StorageAPI.writeData(data);
+    return { success: true };
+  },
+  async resetPassword(username, secretA, newPw) {
+    const data = await this.readAccounts();
+    const uid = username.toLowerCase().trim();
+    const acct = data.accounts[uid];
+    if (!acct) return { success: false, error: 'User not found' };
+    if (!acct.secretAHash || !verifyPw(secretA, acct.secretAHash).ok) return { success: false, error: 'Wrong answer' };
+    if (newPw && newPw.length >= 4) { acct.passwordHash = hashPw(newPw); await StorageAPI.writeData(data); return { success: true }; }
+    return { success: true, verified: true, secretQ: acct.secretQ };
+  },
+  async getSecretQ(username) {
+    const data = await this.readAccounts();
+    const uid = username.toLowerCase().trim();
+    const acct = data.accounts[uid];
+    if (!acct || !acct.secretQ) return { success: false, error: 'No secret question set' };
+    return { success: true, secretQ: acct.secretQ };
+  },
+  // ── Admin functions ──
+  async listUsers() {
+    const data = await this.readAccounts();
+    return Object.values(data.accounts).map(a => ({
+      username: a.username, createdAt: a.createdAt, lastLogin: a.lastLogin,
+      blocked: a.blocked || false, role: a.role || 'user',
+      stats: (data.users[a.username] || {}).stats || { totalAttempts: 0, averageScore: 0 }
+    }));
+  },
+  async deleteUser(username) {
+    const data = await this.readAccounts();
+    const uid = username.toLowerCase().trim();
+    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
+    delete data.accounts[uid];
+    delete data.users[uid];
+    await StorageAPI.writeData(data);
+    return { success: true };
+  },
+  async blockUser(username, blocked) {
+    const data = await this.readAccounts();
+    const uid = username.toLowerCase().trim();
+    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
+    data.accounts[uid].blocked = blocked;
+    await StorageAPI.writeData(data);
+    return { success: true, blocked };
+  },
+  async adminResetPassword(username, newPw) {
+    const data = await this.readAccounts();
+    const uid = username.toLowerCase().trim();
+    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
+    data.accounts[uid].passwordHash = hashPw(newPw);
+    await StorageAPI.writeData(data);
+    return { success: true };
+  },
+  async getUserData(username) {
+    const data = await this.readAccounts();
+    const uid = username.toLowerCase().trim();
+    return { account: data.accounts[uid] || null, progress: data.users[uid] || null };
+  },
+  // v20.17: 'user' or 'teacher'. Teachers can work the review queue.
+  async getRole(username) {
+    const uid = String(username || '').toLowerCase().trim();
+    if (USE_POSTGRES) {
+      const acct = await PgStorage._getAccount(uid);
+      return acct && !acct.blocked ? acct.role || 'user' : null;
+    }
+    const acct = (await this.readAccounts()).accounts[uid];
+    return acct && !acct.blocked ? acct.role || 'user' : null;
+  },
+  async setRole(username, role) {
+    if (!ACCOUNT_ROLES.includes(role)) return { success: false, error: `role must be one of: ${ACCOUNT_ROLES.join(', ')}` };
+    const data = await this.readAccounts();
+    const uid = String(username || '').toLowerCase().trim();
+    if (!data.accounts[uid]) return { success: false, error: 'User not found' };
+    data.accounts[uid].role = role;
+    await StorageAPI.writeData(data);
+    return { success: true, role };
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ═══════════════════════════════════════════════════════════════════════════════
+// SPELL CHECKER — passage edit distance + bundled word list (v20.9)
+// ═══════════════════════════════════════════════════════════════════════════════
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return 3;
+  const m = a.length, n = b.length;
+  const dp = Array.from({length: m + 1}, () => Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++)
+    for (let j = 1; j <= n; j++)
+      dp[i][j] = a[i-1] === b[j-1] ? dp[i-1][j-1] : 1 + Math.min(dp[i-1][j], dp[i][j-1], dp[i-1][j-1]);
+  return dp[m][n];
+}
+
+// v20.9: `options.preference` ('uk' | 'us' | 'au' | 'any') picks which
+// spelling variant is expected — see resolveSpellingPreference(). After the
+// passage check, every remaining word is looked up in the bundled word list
+// and the whole response is checked for mixed UK/US spelling.
+function checkSpelling(studentText, passageText, options = {}) {
+  const passageLower = passageText.toLowerCase().replace(/[^\w\s'-]/g, '');
+  const passageWords = new Set(passageLower.split(/\s+/).filter(w => w.length > 2));
+  const passageExpanded = new Set(passageWords);
+  for (const w of passageWords) {
+    for (const suf of ['s','ed','ing','ly','er','est','tion','ment','ness','ity','ive','ful','less','ous','al','ial','able','ible']) passageExpanded.add(w + suf);
+    if (w.endsWith('ing')) passageExpanded.add(w.slice(0, -3));
+    if (w.endsWith('ed')) passageExpanded.add(w.slice(0, -2));
+    if (w.endsWith('s') && w.length > 3) passageExpanded.add(w.slice(0, -1));
+    if (w.endsWith('ly')) passageExpanded.add(w.slice(0, -2));
+    if (w.endsWith('e')) { passageExpanded.add(w.slice(0,-1)+'ing'); passageExpanded.add(w.slice(0,-1)+'ed'); passageExpanded.add(w.slice(0,-1)+'ation'); }
+    if (w.endsWith('y') && w.length>=4) { const stem=w.slice(0,-1); passageExpanded.add(stem+'ies'); passageExpanded.add(stem+'ied'); passageExpanded.add(stem+'ily'); }
+    // British/American variants
+    if (w.endsWith('ize')) passageExpanded.add(w.replace(/ize$/, 'ise'));
+    if (w.endsWith('ise')) passageExpanded.add(w.replace(/ise$/, 'ize'));
+    if (w.endsWith('ization')) passageExpanded.add(w.replace(/ization$/, 'isation'));
+    if (w.endsWith('isation')) passageExpanded.add(w.replace(/isation$/, 'ization'));
+    if (w.endsWith('ized')) passageExpanded.add(w.replace(/ized$/, 'ised'));
+    if (w.endsWith('ised')) passageExpanded.add(w.replace(/ised$/, 'ized'));
+    // Also handle z↔s anywhere in word
+    if (w.includes('z')) passageExpanded.add(w.replace(/z/g, 's'));
+    if (w.includes('s') && w.length > 5) passageExpanded.add(w.replace(/s(?=ation|ise|ised)/g, 'z'));
+  }
+  // Add de-hyphenated forms from passage
+  const hyphenated = passageText.match(/\w+-\w+/g) || [];
+  hyphenated.forEach(h => passageExpanded.add(h.replace(/-/g, '').toLowerCase()));
+  // Common function words that are never typos
+  const SAFE = new Set(['though','although','through','throughout','therefore','however','moreover','furthermore','nevertheless','consequently','additionally','whereas','whereby','thereby','therein','thereof','nonetheless','meanwhile','otherwise','likewise','similarly','accordingly','subsequently','alternatively','simultaneously','approximately','predominantly','significantly','substantially','considerably','particularly','specifically','essentially','fundamentally','traditionally','potentially','previously','currently','recently','apparently','ultimately','worldwide','nationwide','otherwise']);
+
+  // v19.7.2: pairs of irregular-verb forms that share lemma but differ at
+  // edit-distance 1 (e.g., "became"/"become", "begun"/"begin"). When the
+  // student types one form and the passage uses the other, the basic edit-
+  // distance check would false-flag it as a typo. We map each form to its
+  // common alternates so the inflection check below can recognize the pair
+  // and skip the typo flag.
+  const IRREGULAR_VERB_PAIRS = {
+    'became':  ['become','becomes','becoming'],
+    'become':  ['became','becomes','becoming'],
+    'begun':   ['begin','began','begins','beginning'],
+    'began':   ['begin','begun','begins','beginning'],
+    'begin':   ['began','begun','begins','beginning'],
+    'broke':   ['break','breaks','broken','breaking'],
+    'broken':  ['break','breaks','broke','breaking'],
+    'chose':   ['choose','chooses','chosen','choosing'],
+    'chosen':  ['choose','chooses','chose','choosing'],
+    'drove':   ['drive','drives','driven','driving'],
+    'driven':  ['drive','drives','drove','driving'],
+    'fell':    ['fall','falls','fallen','falling'],
+    'fallen':  ['fall','falls','fell','falling'],
+    'flew':    ['fly','flies','flew','flown','flying'],
+    'flown':   ['fly','flies','flew','flying'],
+    'gave':    ['give','gives','given','giving'],
+    'given':   ['give','gives','gave','giving'],
+    'grew':    ['grow','grows','grown','growing'],
+    'grown':   ['grow','grows','grew','growing'],
+    'held':    ['hold','holds','holding'],
+    'hold':    ['held','holds','holding'],
+    'knew':    ['know','knows','known','knowing'],
+    'known':   ['know','knows','knew','knowing'],
+    'rose':    ['rise','rises','risen','rising'],
+    'risen':   ['rise','rises','rose','rising'],
+    'shook':   ['shake','shakes','shaken','shaking'],
+    'spoke':   ['speak','speaks','spoken','speaking'],
+    'spoken':  ['speak','speaks','spoke','speaking'],
+    'stole':   ['steal','steals','stolen','stealing'],
+    'stolen':  ['steal','steals','stole','stealing'],
+    'swam':    ['swim','swims','swum','swimming'],
+    'swum':    ['swim','swims','swam','swimming'],
+    'took':    ['take','takes','taken','taking'],
+    'taken':   ['take','takes','took','taking'],
+    'threw':   ['throw','throws','thrown','throwing'],
+    'thrown':  ['throw','throws','threw','throwing'],
+    'wore':    ['wear','wears','worn','wearing'],
+    'worn':    ['wear','wears','wore','wearing'],
+    'wrote':   ['write','writes','written','writing'],
+    'written': ['write','writes','wrote','writing'],
+    'went':    ['go','goes','gone','going'],
+    'gone':    ['go','goes','went','going'],
+    'saw':     ['see','sees','seen','seeing'],
+    'seen':    ['see','sees','saw','seeing'],
+    'made':    ['make','makes','making'],
+    'make':    ['made','makes','making'],
+    'said':    ['say','says','saying'],
+    'told':    ['tell','tells','telling'],
+    'tell':    ['told','tells','telling'],
+    'sold':    ['sell','sells','selling'],
+    'sell':    ['sold','sells','selling'],
+    'left':    ['leave','leaves','leaving'],
+    'leave':   ['left','leaves','leaving'],
+    'felt':    ['feel','feels','feeling'],
+    'feel':    ['felt','feels','feeling'],
+    'heard':   ['hear','hears','hearing'],
+    'paid':    ['pay','pays','paying'],
+    'pay':     ['paid','pays','paying'],
+    'lay':     ['lie','lies','lying','lain'],
+    'lain':    ['lie','lies','lay','lying'],
+    'sat':     ['sit','sits','sitting'],
+    'stood':   ['stand','stands','standing'],
+    'stand':   ['stood','stands','standing'],
+    'won':     ['win','wins','winning'],
+    'lost':    ['lose','loses','losing'],
+    'lose':    ['lost','loses','losing'],
+    'caught':  ['catch','catches','catching'],
+    'taught':  ['teach','teaches','teaching'],
+    'bought':  ['buy','buys','buying'],
+    'brought': ['bring','brings','bringing'],
+    'thought': ['think','thinks','thinking'],
+    'fought':  ['fight','fights','fighting'],
+    'sought':  ['seek','seeks','seeking'],
+  };
+  
+  const studentWords = studentText.replace(/[^\w\s'-]/g, '').split(/\s+/).filter(w => w.length > 2);
+  const errors = [];
+  const checked = new Set();
+  for (const word of studentWords) {
+    const lower = word.toLowerCase();
+    if (checked.has(lower)) continue;
+    checked.add(lower);
+    if (passageExpanded.has(lower)) continue;
+    if (SAFE.has(lower)) continue;
+    if (/^\d/.test(word) || /^[A-Z]{2,}$/.test(word) || word.includes("'")) continue;
+    if (lower.length <= 5) continue;
+    // Only flag edit distance EXACTLY 1 from a passage word (very tight — catches real typos only)
+    // But skip if the word is a valid derived form (suffix/prefix of a passage word)
+    let isTypo = false, closestWord = '';
+    let isDerived = false;
+    for (const pw of passageWords) {
+      // Skip if one contains the other (derived form, not a typo)
+      if (pw.includes(lower) || lower.includes(pw)) { isDerived = true; break; }
+      // Skip if they share a stem of 4+ chars (e.g., "enhance" vs "enhances" vs "enhanced")
+      const minLen = Math.min(pw.length, lower.length);
+      if (minLen >= 5) {
+        const sharedPrefix = pw.substring(0, minLen-2) === lower.substring(0, minLen-2);
+        if (sharedPrefix) { isDerived = true; break; }
+      }
+    }
+    if (isDerived) continue;
+    // v19.7.2: irregular verb pairs (e.g., "became"/"become") are at edit
+    // distance 1 but are NOT typos — they're inflections. If the student's
+    // word has a known alternate form that appears in the passage, skip.
+    const irregularAlts = IRREGULAR_VERB_PAIRS[lower];
+    if (irregularAlts && irregularAlts.some(alt => passageWords.has(alt))) continue;
+    for (const pw of passageWords) {
+      if (Math.abs(pw.length - lower.length) > 1) continue;
+      const dist = editDistance(lower, pw);
+      if (dist === 1) { isTypo = true; closestWord = pw; break; }
+    }
+    if (isTypo) errors.push({ word, suggestion: closestWord });
+  }
+  const suggestions = errors.map(e => ({ misspelled: e.word, suggestion: e.suggestion, source: 'passage' }));
+
+  // v20.9: words the passage check had nothing to say about go to the word
+  // list. Words actually in the passage and SAFE words are never flagged, but
+  // the guessed forms in passageExpanded are — "drop" + "ed" gives "droped",
+  // and a shared stem with "dropped" doesn't make it a word.
+  const preference = normalizeSpellingPreference(options.preference) || DEFAULT_SPELLING_PREFERENCE;
+  const flagged = new Set(errors.map(e => e.word.toLowerCase()));
+  const skip = new Set([...passageWords, ...SAFE, ...flagged]);
+  hyphenated.forEach(h => skip.add(h.replace(/-/g, '').toLowerCase()));
+  for (const s of checkSpellingWithWordlist(studentText, skip, passageWords, preference)) {
+    flagged.add(s.misspelled.toLowerCase());
+    suggestions.push(s);
+  }
+  const variant = checkSpellingVariants(studentText, preference);
+  for (const v of variant.flagged) {
+    if (flagged.has(v.misspelled.toLowerCase())) continue;
+    flagged.add(v.misspelled.toLowerCase());
+    suggestions.push(v);
+  }
+  delete variant.flagged;
+  return { errors: suggestions.map(s => s.misspelled), suggestions, count: suggestions.length, variant };
+}
+
+// ─── SPELLING WORD LIST & UK/US VARIANTS (v20.9) ────────────────────────────
+// dictionaries/english.json is the SCOWL size-60 word list (common words in
+// low tiers, rarer ones in high tiers; rebuilt by npm run build:english) and
+// dictionaries/variants.json pairs American and British spellings. Both are
+// loaded on first use.
+//
+// Spelling preference, most specific first: the request's `spelling` field,
+// the user's saved `spellingPreference`, the calling API client's
+// `spelling_preference`, then SPELLING_PREFERENCE for the whole deployment. 'any' accepts either variety but still flags a response
+// that mixes them — PTE marks "colour" and "organization" in one answer as
+// inconsistent.
+const SPELLING_PREFERENCES = ['uk', 'us', 'au', 'any'];
+const SPELLING_PREFERENCE_ALIASES = { gb: 'uk', british: 'uk', american: 'us', australian: 'au', either: 'any' };
+const DICTIONARY_DIR = path.join(__dirname, 'dictionaries');
+// Prefixes that still leave a dictionary word behind ("reinvest", "unsustainable").
+const SPELLING_PREFIXES = ['un', 're', 'non', 'pre', 'post', 'over', 'under', 'inter', 'multi', 'anti', 'self', 'mis', 'co', 'sub', 'super', 'trans', 'micro', 'macro', 'bio', 'eco'];
+
+function normalizeSpellingPreference(value) {
+  if (typeof value !== 'string') return null;
+  const v = value.trim().toLowerCase();
+  const p = SPELLING_PREFERENCE_ALIASES[v] || v;
+  return SPELLING_PREFERENCES.includes(p) ? p : null;
+}
+
+const DEFAULT_SPELLING_PREFERENCE = normalizeSpellingPreference(process.env.SPELLING_PREFERENCE) || 'any';
+
+let spellingDictionary = null;
+function loadSpellingDictionary() {
+  if (spellingDictionary) return spellingDictionary;
+  const english = JSON.parse(fsSync.readFileSync(path.join(DICTIONARY_DIR, 'english.json'), 'utf8'));
+  const variants = JSON.parse(fsSync.readFileSync(path.join(DICTIONARY_DIR, 'variants.json'), 'utf8'));
+  // word → tier rank (0 = most common)
+  const words = new Map();
+  const byLength = new Map();
+  Object.keys(english.tiers).sort((a, b) => Number(a) - Number(b)).forEach((tier, rank) => {
+    for (const raw of english.tiers[tier].split(' ')) {
+      const w = stripDiacritics(raw);
+      if (!w || words.has(w)) continue;
+      words.set(w, rank);
+      if (!byLength.has(w.length)) byLength.set(w.length, []);
+      byLength.get(w.length).push(w);
+    }
+  });
+  // word → { variety: 'us'|'uk', us, uk }
+  const pairs = new Map();
+  for (const [us, uk] of variants.pairs) {
+    pairs.set(us, { variety: 'us', us, uk });
+    pairs.set(uk, { variety: 'uk', us, uk });
+  }
+  spellingDictionary = {
+    version: english.version, words, byLength, pairs,
+    tierCount: Object.keys(english.tiers).length,
+    australianUsesAmerican: new Set(variants.australian_uses_american || [])
+  };
+  return spellingDictionary;
+}
+
+function stripDiacritics(word) {
+  return String(word || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function isDictionaryWord(word) {
+  const dict = loadSpellingDictionary();
+  const w = stripDiacritics(word);
+  if (dict.words.has(w)) return true;
+  for (const p of SPELLING_PREFIXES) {
+    if (w.length - p.length >= 4 && w.startsWith(p) && dict.words.has(w.slice(p.length))) return true;
+  }
+  return false;
+}
+
+// Which spelling of a pair the preference expects. Australian follows British
+// apart from the few words in variants.json's australian_uses_american.
+function expectedVariety(entry, preference) {
+  if (preference === 'us') return 'us';
+  if (preference === 'au') return loadSpellingDictionary().australianUsesAmerican.has(entry.us) ? 'us' : 'uk';
+  return 'uk';
+}
+
+// ─── Suggestion ranker ───
+// Candidates are dictionary words of similar length within two edits. Each
+// is scored by a weighted Damerau distance — slips to a neighbouring key, a
+// doubled/undoubled letter and swapped letters cost less than an arbitrary
+// substitution — plus small adjustments for rarity, passage words, a changed
+// first letter and the off-preference variant. Lowest score wins.
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const KEYBOARD_POS = new Map();
+KEYBOARD_ROWS.forEach((row, r) => [...row].forEach((ch, c) => KEYBOARD_POS.set(ch, [r, c + r * 0.5])));
+
+function keysAdjacent(a, b) {
+  const pa = KEYBOARD_POS.get(a), pb = KEYBOARD_POS.get(b);
+  if (!pa || !pb) return false;
+  return Math.abs(pa[0] - pb[0]) <= 1 && Math.abs(pa[1] - pb[1]) <= 1;
+}
+
+function weightedSpellingDistance(a, b) {
+  const m = a.length, n = b.length;
+  const d = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) d[i][0] = i;
+  for (let j = 0; j <= n; j++) d[0][j] = j;
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const ca = a[i - 1], cb = b[j - 1];
+      let sub = 0;
+      if (ca !== cb) sub = keysAdjacent(ca, cb) ? 0.6 : (/[aeiou]/.test(ca) && /[aeiou]/.test(cb) ? 0.8 : 1);
+      // Dropping or adding a letter next to the same letter ("ocurred").
+      const del = (i > 1 && a[i - 2] === ca) || (j > 0 && b[j - 1] === ca) ? 0.5 : 1;
+      const ins = (j > 1 && b[j - 2] === cb) || (i > 0 && a[i - 1] === cb) ? 0.5 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + del, d[i][j - 1] + ins, d[i - 1][j - 1] + sub);
+      if (i > 1 && j > 1 && ca === b[j - 2] && a[i - 2] === cb) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 0.5);
+    }
+  }
+  return d[m][n];
+}
+
+// Banded Levenshtein that gives up as soon as a whole row exceeds `max` — the
+// ranker runs it against every word of similar length, so it must be cheap.
+function withinEdits(a, b, max) {
+  const m = a.length, n = b.length;
+  if (Math.abs(m - n) > max) return false;
+  let prev = new Array(n + 1), cur = new Array(n + 1);
+  for (let j = 0; j <= n; j++) prev[j] = j;
+  for (let i = 1; i <= m; i++) {
+    cur[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= n; j++) {
+      if (Math.abs(i - j) > max) { cur[j] = max + 1; continue; }
+      cur[j] = a[i - 1] === b[j - 1] ? prev[j - 1] : 1 + Math.min(prev[j], cur[j - 1], prev[j - 1]);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return false;
+    [prev, cur] = [cur, prev];
+  }
+  return prev[n] <= max;
+}
+
+function rankSpellingSuggestions(word, { passageWords = new Set(), preference = DEFAULT_SPELLING_PREFERENCE, limit = 4 } = {}) {
+  const dict = loadSpellingDictionary();
+  const w = stripDiacritics(word);
+  const scored = [];
+  for (let len = w.length - 2; len <= w.length + 2; len++) {
+    for (const cand of dict.byLength.get(len) || []) {
+      if (!withinEdits(w, cand, 2)) continue;
+      let score = weightedSpellingDistance(w, cand);
+      score += 0.1 * dict.words.get(cand);
+      if (passageWords.has(cand)) score -= 0.5;
+      if (cand[0] !== w[0]) score += 0.3;
+      const pair = dict.pairs.get(cand);
+      if (pair && preference !== 'any' && pair.variety !== expectedVariety(pair, preference)) score += 0.4;
+      if (score <= 2) scored.push({ word: cand, score });
+    }
+  }
+  scored.sort((a, b) => a.score - b.score || (a.word < b.word ? -1 : 1));
+  return scored.slice(0, limit).map(s => s.word);
+}
+
+function spellingTokens(text) {
+  return (String(text).match(/[A-Za-z\u00C0-\u024F][A-Za-z\u00C0-\u024F'’-]*/g) || []).map(w => w.replace(/['’-]+$/, ''));
+}
+
+// Dictionary pass. Skips words checkSpelling() already cleared, contractions
+// and anything capitalised: the word list has no names, and a name is far
+// more likely than a typo in a capitalised word the passage doesn't contain
+// (online, Datamuse still gets to look at those). A word is only flagged when
+// the ranker finds a close dictionary word — an unknown term with nothing
+// nearby is more likely jargon than a typo.
+function checkSpellingWithWordlist(studentText, skip, passageWords, preference) {
+  const out = [];
+  const seen = new Set();
+  for (const word of spellingTokens(studentText)) {
+    const w = word.replace(/['’]s$/i, '');
+    if (/['’]/.test(w) || /^[A-Z]/.test(w)) continue;
+    for (const part of w.split('-')) {
+      const lower = part.toLowerCase();
+      if (lower.length < 3 || seen.has(lower)) continue;
+      seen.add(lower);
+      if (skip.has(lower) || skip.has(w.toLowerCase().replace(/-/g, ''))) continue;
+      if (isDictionaryWord(lower)) continue;
+      const ranked = rankSpellingSuggestions(lower, { passageWords, preference });
+      if (!ranked.length) continue;
+      out.push({ misspelled: part, suggestion: ranked[0], suggestions: ranked, source: 'wordlist' });
+    }
+  }
+  return out;
+}
+
+// Variant pass. Under 'uk'/'us'/'au' every off-preference spelling is flagged.
+// Under 'any' the response is only flagged when it mixes varieties; the
+// variety used most (or first, on a tie) is taken as the writer's choice.
+// A possessive is looked up without its 's ("organization's" → "organization").
+function checkSpellingVariants(studentText, preference) {
+  const dict = loadSpellingDictionary();
+  const used = [];
+  const seen = new Set();
+  for (const token of spellingTokens(studentText)) {
+    const word = token.replace(/['’]s$/i, '');
+    const lower = stripDiacritics(word);
+    const entry = dict.pairs.get(lower);
+    if (!entry || seen.has(lower)) continue;
+    seen.add(lower);
+    used.push({ word, entry });
+  }
+  const us = used.filter(u => u.entry.variety === 'us').map(u => u.word);
+  const uk = used.filter(u => u.entry.variety === 'uk').map(u => u.word);
+  const mixed = us.length > 0 && uk.length > 0;
+  let dominant = null;
+  if (used.length) dominant = us.length === uk.length ? used[0].entry.variety : (us.length > uk.length ? 'us' : 'uk');
+  const flagged = [];
+  if (preference !== 'any' || mixed) {
+    for (const { word, entry } of used) {
+      const expected = preference === 'any' ? dominant : expectedVariety(entry, preference);
+      if (entry.variety === expected) continue;
+      const suggestion = entry[expected];
+      flagged.push({ misspelled: word, suggestion, suggestions: [suggestion], source: 'variant', variety: entry.variety });
+    }
+  }
+  return { preference, dominant, us, uk, mixed, flagged };
+}
+
+// Request `spelling`, then the user's saved preference, then the institution
+// behind the API key (req.apiClient), then the deployment default. An
+// unrecognised `spelling` value is reported rather than ignored.
+async function resolveSpellingPreference(body, client) {
+  if (body && body.spelling != null && body.spelling !== '') {
+    const p = normalizeSpellingPreference(body.spelling);
+    if (!p) return { error: `spelling must be one of: ${SPELLING_PREFERENCES.join(', ')}` };
+    return { preference: p, source: 'request' };
+  }
+  if (body && body.userId) {
+    try {
+      const saved = normalizeSpellingPreference((await StorageAPI.getUserData(body.userId)).spellingPreference);
+      if (saved) return { preference: saved, source: 'user' };
+    } catch (e) { console.warn('spelling: could not load user preference', body.userId, '-', e.message); }
+  }
+  const institution = normalizeSpellingPreference(client?.spelling_preference);
+  if (institution) return { preference: institution, source: 'institution' };
+  return { preference: DEFAULT_SPELLING_PREFERENCE, source: 'default' };
+}
+
+const BAND_MAP = { 0:'Band 5',1:'Band 5',2:'Band 6',3:'Band 6.5',4:'Band 7',5:'Band 7.5',6:'Band 8',7:'Band 9' };
+const RAW_TO_PTE = { 0:10,1:15,2:28,3:38,4:50,5:62,6:76,7:90 };
+
+// ─── HELPERS: Count the number of key elements on a passage ─────────────────
+// The strict content gate (v19.4) treats each key element as one "band". A
+// passage with 4 elements has content_score 0–4; a passage with 3 elements
+// has content_score 0–3. This function reports the total — accepting both
+// the new (what/why/how/result) and legacy (topic/pivot/conclusion) schemas.
+function countKeyElements(keyElements) {
+  if (!keyElements || typeof keyElements !== 'object') return 0;
+  const newCount = ['what','why','how','result'].filter(k => typeof keyElements[k] === 'string' && keyElements[k].trim()).length;
+  if (newCount > 0) return newCount;
+  return ['topic','pivot','conclusion'].filter(k => typeof keyElements[k] === 'string' && keyElements[k].trim()).length;
+}
+
+// Continuous raw-to-PTE mapping — supports decimal raw scores via linear interpolation
+// (legacy 0–7 scale; preserved for callers that haven't been updated to the dynamic version)
+function rawToPTE(raw) {
+  raw = Math.max(0, Math.min(7, raw));
+  const lo = Math.floor(raw);
+  const hi = Math.min(7, lo + 1);
+  if (lo === hi || raw === lo) return RAW_TO_PTE[lo];
+  const frac = raw - lo;
+  return Math.round(RAW_TO_PTE[lo] + frac * (RAW_TO_PTE[hi] - RAW_TO_PTE[lo]));
+}
+function rawToBand(raw) {
+  const r = Math.max(0, Math.min(7, Math.round(raw)));
+  return BAND_MAP[r];
+}
+
+// ─── DYNAMIC RAW → PTE / BAND ───────────────────────────────────────────────
+// v19.4: content_score now scales with the number of key elements (0–N where
+// N is 3 or 4). Raw score therefore scales 0–(N+5). These functions linearly
+// interpolate so that raw=0 → PTE 10 and raw=maxRaw → PTE 90, with band labels
+// proportional to the raw/maxRaw ratio.
+function rawToPTEDynamic(raw, maxRaw) {
+  if (!maxRaw || maxRaw <= 0) return rawToPTE(raw); // legacy fallback
+  raw = Math.max(0, Math.min(maxRaw, raw));
+  if (raw === 0) return 10;
+  return Math.round(10 + (raw / maxRaw) * 80);
+}
+function rawToBandDynamic(raw, maxRaw) {
+  if (!maxRaw || maxRaw <= 0) return rawToBand(raw);
+  const r = maxRaw > 0 ? raw / maxRaw : 0;
+  if (r >= 0.93) return 'Band 9';
+  if (r >= 0.79) return 'Band 8';
+  if (r >= 0.64) return 'Band 7.5';
+  if (r >= 0.50) return 'Band 7';
+  if (r >= 0.36) return 'Band 6.5';
+  if (r >= 0.21) return 'Band 6';
+  return 'Band 5';
+}
+// Inverse of rawToPTEDynamic — given a PTE cap, what raw cap does that imply?
+function pteToRaw(pte, maxRaw) {
+  if (!maxRaw || maxRaw <= 0) return 0;
+  return Math.max(0, (pte - 10) * maxRaw / 80);
+}
+
+// ─── SCORING PROFILES (v20.18) ──────────────────────────────────────────────
+// The linear raw → PTE mapping above is hand-picked. A scoring profile
+// replaces it with a mapping fitted to teacher-marked summaries: for each
+// max_raw_score, a list of [raw, pte] knots (monotonic, 0 → 10 and
+// max_raw → 90) interpolated linearly. Bands then follow the PTE through
+// BAND_MIN_PTE. A max_raw the profile has no knots for keeps the built-in
+// mapping. Caps (content gate, cohesion) stay in built-in raw terms, so a raw
+// score means the same thing under every profile and can be refitted.
+const BUILTIN_SCORING_PROFILE = { id: 'builtin', name: 'Built-in linear mapping', mappings: {} };
+
+// Band → minimum PTE for that band (matches rawToBandDynamic thresholds).
+const BAND_MIN_PTE = { 'Band 5': 10, 'Band 6': 27, 'Band 6.5': 39, 'Band 7': 50, 'Band 7.5': 61, 'Band 8': 73, 'Band 9': 84 };
+
+function pteToBand(pte) {
+  let band = 'Band 5';
+  for (const [b, min] of Object.entries(BAND_MIN_PTE)) if (pte >= min) band = b;
+  return band;
+}
+
+function profileKnots(profile, maxRaw) {
+  const knots = profile && profile.mappings && profile.mappings[String(maxRaw)];
+  return Array.isArray(knots) && knots.length >= 2 ? knots : null;
+}
+
+function interpolateKnots(knots, raw) {
+  if (raw <= knots[0][0]) return knots[0][1];
+  for (let i = 1; i < knots.length; i++) {
+    const [x1, y1] = knots[i];
+    if (raw <= x1) {
+      const [x0, y0] = knots[i - 1];
+      return x1 === x0 ? y1 : y0 + (raw - x0) * (y1 - y0) / (x1 - x0);
+    }
+  }
+  return knots[knots.length - 1][1];
+}
+
+function profileRawToPTE(raw, maxRaw, profile) {
+  const knots = profileKnots(profile, maxRaw);
+  if (!knots) return rawToPTEDynamic(raw, maxRaw);
+  return Math.round(interpolateKnots(knots, Math.max(0, Math.min(maxRaw, raw))));
+}
+
+function profileRawToBand(raw, maxRaw, profile) {
+  return profileKnots(profile, maxRaw) ? pteToBand(profileRawToPTE(raw, maxRaw, profile)) : rawToBandDynamic(raw, maxRaw);
+}
+
+// ── Fitting ──
+// Isotonic regression (pool-adjacent-violators) of teacher PTE on raw score,
+// one fit per max_raw. Each pooled block becomes a knot at its mean raw.
+const CALIBRATION_MIN_SAMPLES = 5;
+
+function isotonicKnots(points, maxRaw) {
+  const sorted = [...points].sort((a, b) => a.raw - b.raw);
+  const blocks = [];
+  for (const p of sorted) {
+    blocks.push({ sumX: p.raw, sumY: p.pte, n: 1 });
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1], a = blocks[blocks.length - 2];
+      if (a.sumY / a.n < b.sumY / b.n) break;
+      blocks.splice(-2, 2, { sumX: a.sumX + b.sumX, sumY: a.sumY + b.sumY, n: a.n + b.n });
+    }
+  }
+  const knots = [[0, 10]];
+  for (const b of blocks) {
+    const x = Math.round(b.sumX / b.n * 1000) / 1000;
+    const y = Math.round(Math.max(10, Math.min(90, b.sumY / b.n)) * 10) / 10;
+    if (x <= 0 || x >= maxRaw) continue;
+    knots.push([x, Math.max(y, knots[knots.length - 1][1])]);
+  }
+  knots.push([maxRaw, 90]);
+  return knots;
+}
+
+function calibrationError(points, predict) {
+  if (!points.length) return { n: 0, mae: null, bias: null, within5: null, band_accuracy: null };
+  const diffs = points.map(p => predict(p) - p.pte);
+  return {
+    n: points.length,
+    mae: Math.round(diffs.reduce((s, d) => s + Math.abs(d), 0) / points.length * 100) / 100,
+    bias: Math.round(diffs.reduce((s, d) => s + d, 0) / points.length * 100) / 100,
+    within5: Math.round(diffs.filter(d => Math.abs(d) <= 5).length / points.length * 1000) / 1000,
+    band_accuracy: Math.round(points.filter(p => pteToBand(predict(p)) === pteToBand(p.pte)).length / points.length * 1000) / 1000
+  };
+}
+
+// points: [{ raw, max_raw, pte }]. Returns the fitted mappings and, per
+// max_raw, the error of the current profile and of the fit on the same points.
+function fitScoringProfile(points, current) {
+  const byMax = new Map();
+  for (const p of points) {
+    if (!byMax.has(p.max_raw)) byMax.set(p.max_raw, []);
+    byMax.get(p.max_raw).push(p);
+  }
+  const mappings = { ...((current && current.mappings) || {}) };
+  const report = {};
+  for (const [maxRaw, list] of [...byMax].sort((a, b) => a[0] - b[0])) {
+    const before = calibrationError(list, p => profileRawToPTE(p.raw, maxRaw, current));
+    if (list.length < CALIBRATION_MIN_SAMPLES) {
+      report[maxRaw] = { status: 'insufficient_samples', min_samples: CALIBRATION_MIN_SAMPLES, before, after: before };
+      continue;
+    }
+    const knots = isotonicKnots(list, maxRaw);
+    mappings[String(maxRaw)] = knots;
+    report[maxRaw] = { status: 'fitted', knots, before, after: calibrationError(list, p => profileRawToPTE(p.raw, maxRaw, { mappings: { [maxRaw]: knots } })) };
+  }
+  const all = { mappings };
+  return {
+    mappings, report,
+    overall: {
+      before: calibrationError(points, p => profileRawToPTE(p.raw, p.max_raw, current)),
+      after: calibrationError(points, p => profileRawToPTE(p.raw, p.max_raw, all))
+    }
+  };
+}
+
+const STOP_WORDS = new Set([
+  'the','a','an','and','or','but','in','on','at','to','for','of','with','by',
+  'is','are','was','were','be','been','have','has','had','will','would','could',
+  'should','may','might','can','this','that','these','those','it','they','them',
+  'their','there','then','than','as','so','also','about','up','out','down','off',
+  'over','under','again','here','why','how','all','any','both','each','few',
+  'more','most','other','some','such','no','nor','not','only','own','same','too',
+  'very','just','because','while','through','during','before','after','above',
+  'below','despite','without','within','between','into','from','its','our','we',
+  'which','what','who','whom','whose','when','where','much','many','says','said',
+  'asks','asked','states','stated','reports','reported','according','notes','noted',
+  'being','become','became','does','did','done','going','went','gone','like','even'
+]);
+
+const NUMBER_WORD_MAP = {
+  'zero':'0','one':'1','two':'2','three':'3','four':'4','five':'5',
+  'six':'6','seven':'7','eight':'8','nine':'9','ten':'10','eleven':'11',
+  'twelve':'12','thirteen':'13','fourteen':'14','fifteen':'15','sixteen':'16',
+  'seventeen':'17','eighteen':'18','nineteen':'19','twenty':'20','thirty':'30',
+  'forty':'40','fifty':'50','sixty':'60','seventy':'70','eighty':'80','ninety':'90',
+  'hundred':'100','thousand':'1000','million':'1000000','billion':'1000000000'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEXICON (v20.12)
+// dictionaries/lexicon.json is a bundled, versioned lexical database built from
+// WordNet 3.1 (see dictionaries/WORDNET-LICENSE) and limited to words in the
+// common SCOWL tiers. Each entry carries part-of-speech letters, synonyms,
+// antonyms and an optional register ('academic' | 'informal'). The former
+// SAFE_SYNONYMS / MEANING_DANGER tables are merged in as curated fields
+// (cur: 's' synonyms, 'a' antonyms), together with connector and preposition
+// reversals such as "despite" → "because of". Those curated layers live in
+// dictionaries/lexicon-curated.json; edit that and run `npm run build:lexicon`
+// rather than editing lexicon.json by hand.
+//
+// The swap analysis, span alignment, vocabulary suggestions and the thesaurus
+// route all read from this one file, so none of them needs the network.
+// ═══════════════════════════════════════════════════════════════════════════════
+const LEXICON_POS = { n: 'noun', v: 'verb', a: 'adjective', r: 'adverb', p: 'preposition', c: 'connector' };
+
+let lexicon = null;
+function loadLexicon() {
+  if (lexicon) return lexicon;
+  const raw = JSON.parse(fsSync.readFileSync(path.join(DICTIONARY_DIR, 'lexicon.json'), 'utf8'));
+  const entries = new Map(Object.entries(raw.entries));
+  // Multi-word keys and connector/preposition entries are matched as phrases.
+  const phrases = [...entries.keys()].filter(k => k.includes(' ') || /[pc]/.test(entries.get(k).pos));
+  lexicon = { version: raw.version, source: raw.source, entries, registers: raw.registers || {}, upgrades: raw.upgrades || {}, phrases };
+  return lexicon;
+}
+
+// Dictionary form of an inflected word: "declined" → "decline", "rose" → "rise".
+// A suffix is only stripped when the result is a headword of the right part of
+// speech, so "news" stays "news" rather than becoming the adjective "new".
+function lexiconLemma(word) {
+  const w = String(word || '').toLowerCase();
+  const { entries } = loadLexicon();
+  for (const [past, [base, participle]] of Object.entries(IRREGULAR_PAST_FORMS)) {
+    if (w === past || w === participle) return base;
+  }
+  const candidates = [];
+  const add = (stem, pos) => candidates.push([stem, pos]);
+  if (w.endsWith('ies')) add(w.slice(0, -3) + 'y', /[nv]/);
+  if (w.endsWith('ied')) add(w.slice(0, -3) + 'y', /v/);
+  if (w.endsWith('es')) add(w.slice(0, -2), /[nv]/);
+  if (w.endsWith('s') && !w.endsWith('ss')) add(w.slice(0, -1), /[nv]/);
+  for (const [suffix, pos] of [['ing', /v/], ['ed', /v/], ['er', /[ar]/], ['est', /[ar]/]]) {
+    if (!w.endsWith(suffix) || w.length - suffix.length < 3) continue;
+    const stem = w.slice(0, -suffix.length);
+    add(stem, pos); add(stem + 'e', pos);
+    if (/([b-df-hj-np-tv-z])\1$/.test(stem)) add(stem.slice(0, -1), pos);
+    if (stem.endsWith('i')) add(stem.slice(0, -1) + 'y', pos);
+  }
+  const hit = candidates.find(([stem, pos]) => entries.has(stem) && pos.test(entries.get(stem).pos));
+  if (hit) return hit[0];
+  // Plurals of derived nouns the lexicon has no headword for: "publishers",
+  // "learners", "regulators" are still the plural of one thing.
+  if (/(?:er|or|ist|ment|tion|sion)s$/.test(w)) return w.slice(0, -1);
+  return w;
+}
+
+function lexiconEntry(word) {
+  const { entries } = loadLexicon();
+  const w = String(word || '').toLowerCase();
+  return entries.get(lexiconLemma(w)) || entries.get(w) || null;
+}
+
+function lexiconRegister(word) {
+  const { registers } = loadLexicon();
+  const w = String(word || '').toLowerCase();
+  if (registers[w]) return registers[w];
+  const entry = lexiconEntry(w);
+  return (entry && entry.reg) || registers[lexiconLemma(w)] || 'neutral';
+}
+
+// Shape served by /api/thesaurus/:word.
+function lexiconLookup(word) {
+  const w = String(word || '').toLowerCase().trim();
+  const entry = lexiconEntry(w);
+  const { version } = loadLexicon();
+  if (!entry) return { word: w, lemma: null, pos: [], register: lexiconRegister(w), synonyms: [], synonym_registers: {}, antonyms: [], curated: false, source: 'lexicon', lexicon_version: version };
+  const lemma = loadLexicon().entries.has(lexiconLemma(w)) ? lexiconLemma(w) : w;
+  return {
+    word: w,
+    lemma,
+    pos: entry.pos.split('').map(p => LEXICON_POS[p]).filter(Boolean),
+    register: lexiconRegister(w),
+    synonyms: entry.syn || [],
+    synonym_registers: Object.fromEntries((entry.syn || []).map(s => [s, lexiconRegister(s)])),
+    antonyms: entry.ant || [],
+    curated: Boolean(entry.cur),
+    source: 'lexicon',
+    lexicon_version: version
+  };
+}
+
+// Identify verbatim passage words in student text that would benefit from swapping
+// (v20.12: only words the lexicon can offer a synonym for)
+function identifySwapCandidates(studentText, passageText, alreadySwapped = []) {
+  const swappedSet = new Set(alreadySwapped.map(w => w.toLowerCase()));
+  const passageWords = passageText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length >= 5 && !STOP_WORDS.has(w));
+  const passageSet = new Set(passageWords);
+  const studentWords = studentText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/);
+  
+  // Score each candidate: prefer longer words, content-rich words
+  const seen = new Set();
+  const candidates = [];
+  for (const word of studentWords) {
+    if (word.length < 5) continue;
+    if (STOP_WORDS.has(word)) continue;
+    if (swappedSet.has(word)) continue;
+    if (seen.has(word)) continue;
+    if (!passageSet.has(word)) continue;
+    if (!lexiconEntry(word)?.syn?.length) continue;
+    seen.add(word);
+    candidates.push(word);
+    if (candidates.length >= 6) break;
+  }
+  return candidates;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UTILITY FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+function normaliseNumbers(text) {
+  let t = text.toLowerCase();
+  for (const [word, digit] of Object.entries(NUMBER_WORD_MAP))
+    t = t.replace(new RegExp(`\\b${word}\\b`, 'g'), digit);
+  return t;
+}
+
+function stripHtml(text) {
+  return (text || '').replace(/<[^>]*>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').trim();
+}
+
+// v20.14: figures come from parseQuantities() ("nearly a quarter", "$1 trillion")
+// and the words that spell them out are not repeated as concepts.
+function extractConcepts(text) {
+  if (!text) return [];
+  const concepts = [];
+  concepts.push(...parseQuantities(text).filter(isSignificantQuantity).map(q => q.raw.toLowerCase()));
+  const numberWord = (w) => w in QUANTITY_SMALL || w in QUANTITY_MAGNITUDES || ['hundred', 'percent'].includes(w);
+  const words = text.toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter(w => w.length > 2 && !STOP_WORDS.has(w) && !numberWord(w));
+  concepts.push(...new Set(words));
+  return [...new Set(concepts)];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUANTITIES (v20.14)
+// parseQuantities() reads every figure in a text into one comparable shape:
+//   "$1 trillion"        → { value: 1e12, unit: 'currency', currency: 'USD' }
+//   "46%", "46 percent"  → { value: 46, unit: '%' }
+//   "1.5°C"              → { value: 1.5, unit: 'temperature' }   (°F converted)
+//   "nearly a quarter"   → { value: 25, unit: '%', approx: 'about' }
+//   "less than 10%"      → { value: 10, unit: '%', approx: 'less' }
+//   "2010-2020"          → { value: 2010, unit: 'year', range: [2010, 2020] }
+//   "eighty-nine"        → { value: 89, unit: '', spelled: true }
+// Content checks credit equivalent figures (quantitiesEquivalent) and
+// checkQuantityFacts() flags figures that contradict the passage.
+// ═══════════════════════════════════════════════════════════════════════════════
+const QUANTITY_SMALL = { zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const QUANTITY_MAGNITUDES = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12, bn: 1e9, tn: 1e12 };
+const QUANTITY_FRACTIONS = { half: 2, halves: 2, third: 3, thirds: 3, quarter: 4, quarters: 4, fifth: 5, fifths: 5, tenth: 10, tenths: 10 };
+const QUANTITY_CURRENCIES = { $: 'USD', dollar: 'USD', dollars: 'USD', usd: 'USD', '£': 'GBP', pound: 'GBP', pounds: 'GBP', gbp: 'GBP', '€': 'EUR', euro: 'EUR', euros: 'EUR', eur: 'EUR' };
+// Longest first, so "just under" wins over "under".
+const QUANTITY_APPROX = [
+  ['more than', 'more'], ['greater than', 'more'], ['just over', 'more'], ['at least', 'more'], ['over', 'more'], ['above', 'more'], ['exceeding', 'more'],
+  ['less than', 'less'], ['fewer than', 'less'], ['just under', 'less'], ['up to', 'less'], ['under', 'less'], ['below', 'less'],
+  ['nearly', 'about'], ['almost', 'about'], ['about', 'about'], ['around', 'about'], ['approximately', 'about'], ['roughly', 'about'], ['some', 'about'], ['close to', 'about']
+];
+
+function quantityTokens(text) {
+  const out = [];
+  const re = /[$£€%]|°\s*[cf]\b|\d+(?:,\d{3})*(?:\.\d+)?|[a-z]+(?:-[a-z]+)*|[-–]/g;
+  let m;
+  while ((m = re.exec(text))) out.push({ t: m[0].replace(/\s+/g, ''), start: m.index, end: m.index + m[0].length });
+  return out;
+}
+
+// Spelled-out number starting at token i ("one hundred and twenty-five") → { value, next } or null.
+function spelledQuantity(tokens, i, text) {
+  let total = 0, current = 0, j = i, used = false;
+  while (j < tokens.length) {
+    // Punctuation between words ends the number.
+    if (used && /\S/.test(text.slice(tokens[j - 1].end, tokens[j].start))) break;
+    const parts = tokens[j].t.split('-');
+    if (!parts.every(p => p in QUANTITY_SMALL || p === 'hundred')) {
+      // "and" only continues a number after "hundred": "one hundred and five", not "twelve and fifty".
+      if (used && tokens[j].t === 'and' && tokens[j - 1].t === 'hundred' && j + 1 < tokens.length && tokens[j + 1].t.split('-').every(p => p in QUANTITY_SMALL)) { j++; continue; }
+      break;
+    }
+    for (const p of parts) {
+      if (p === 'hundred') current = (current || 1) * 100;
+      else current += QUANTITY_SMALL[p];
+    }
+    used = true;
+    j++;
+  }
+  if (!used) return null;
+  total += current;
+  return { value: total, next: j };
+}
+
+function parseQuantities(text) {
+  const lower = String(text || '').toLowerCase().replace(/’/g, "'");
+  const tokens = quantityTokens(lower);
+  const out = [];
+  const at = (k) => (tokens[k] ? tokens[k].t : '');
+  let i = 0;
+  while (i < tokens.length) {
+    const first = i;
+    // Approximation ("nearly", "less than") and range ("between") prefixes.
+    let approx = null;
+    for (const [phrase, kind] of QUANTITY_APPROX) {
+      const words = phrase.split(' ');
+      if (words.every((w, k) => at(i + k) === w)) { approx = kind; i += words.length; break; }
+    }
+    const between = !approx && at(i) === 'between';
+    if (between) i++;
+    let currency = QUANTITY_CURRENCIES[at(i)] && /[$£€]/.test(at(i)) ? QUANTITY_CURRENCIES[at(i)] : null;
+    if (currency) i++;
+
+    // The number itself: digits, spelled-out words, or a fraction.
+    let value = null, spelled = false, unit = '', grouped = false;
+    const tok = tokens[i];
+    // Digits glued to a word are part of a name ("COVID-19", "CO2").
+    const inName = tok && /[a-z]/.test(lower[tok.start - 1] === '-' ? lower[tok.start - 2] || '' : lower[tok.start - 1] || '');
+    if (tok && /^\d/.test(tok.t) && !inName) {
+      value = parseFloat(tok.t.replace(/,/g, ''));
+      grouped = tok.t.includes(',');
+      i++;
+    } else if (tok) {
+      const parts = tok.t.split('-');
+      if ((parts.length === 2 && (parts[0] in QUANTITY_SMALL) && QUANTITY_FRACTIONS[parts[1]])) {
+        value = (QUANTITY_SMALL[parts[0]] / QUANTITY_FRACTIONS[parts[1]]) * 100; unit = '%'; spelled = true; i++;
+      } else if ((tok.t === 'a' || tok.t === 'one' || /^\d$/.test(tok.t) || tok.t in QUANTITY_SMALL) && QUANTITY_FRACTIONS[at(i + 1)] && !(tok.t in QUANTITY_SMALL && QUANTITY_SMALL[tok.t] > 9)) {
+        const n = tok.t === 'a' ? 1 : (QUANTITY_SMALL[tok.t] ?? Number(tok.t));
+        value = (n / QUANTITY_FRACTIONS[at(i + 1)]) * 100; unit = '%'; spelled = true; i += 2;
+      } else if (tok.t === 'half') {
+        value = 50; unit = '%'; spelled = true; i++;
+      } else {
+        const sp = spelledQuantity(tokens, i, lower);
+        if (sp) { value = sp.value; spelled = true; i = sp.next; }
+      }
+    }
+    if (value === null) { i = first + 1; continue; }
+
+    if (QUANTITY_MAGNITUDES[at(i)]) { value *= QUANTITY_MAGNITUDES[at(i)]; i++; }
+    let scale = null;
+    if (!unit) {
+      if (at(i) === '%' || at(i) === 'percent') { unit = '%'; i++; }
+      else if (at(i) === 'per' && at(i + 1) === 'cent') { unit = '%'; i += 2; }
+      else if (/^°[cf]$/.test(at(i))) { unit = 'temperature'; scale = at(i).slice(1).toUpperCase(); i++; }
+      else if (/^degrees?$/.test(at(i))) {
+        unit = 'temperature'; i++;
+        if (['celsius', 'centigrade', 'c'].includes(at(i))) { scale = 'C'; i++; } else if (['fahrenheit', 'f'].includes(at(i))) { scale = 'F'; i++; }
+      } else if (QUANTITY_CURRENCIES[at(i)] && !/[$£€]/.test(at(i))) { currency = QUANTITY_CURRENCIES[at(i)]; i++; }
+    }
+    if (currency) unit = 'currency';
+    if (unit === 'temperature' && scale === 'F') value = Math.round(((value - 32) * 5 / 9) * 100) / 100;
+
+    // Ranges: "2010-2020", "2010 to 2020", "between 10% and 20%".
+    let range = null;
+    if ((['-', '–', 'to'].includes(at(i)) || (between && at(i) === 'and')) && /^\d/.test(at(i + 1))) {
+      const hi = parseFloat(at(i + 1).replace(/,/g, ''));
+      if (hi > value) {
+        range = [value, hi];
+        i += 2;
+        if (!unit && (at(i) === '%' || at(i) === 'percent')) { unit = '%'; i++; }
+      }
+    }
+    if (!unit && !spelled && !grouped && Number.isInteger(value) && value >= 1000 && value <= 2100) unit = 'year';
+
+    const start = tokens[first].start, end = tokens[i - 1].end;
+    out.push({ raw: String(text).slice(start, end).trim(), start, end, value, unit, currency, approx, range, spelled });
+  }
+  return out;
+}
+
+// Worth checking on its own: has a unit, is written in digits, or is 10+.
+function isSignificantQuantity(q) {
+  return Boolean(q.unit) || !q.spelled || q.value >= 10;
+}
+
+function quantityClassesAgree(a, b) {
+  if (a.unit === b.unit) return a.unit !== 'currency' || !a.currency || !b.currency || a.currency === b.currency;
+  // A bare number stands in for any unit except a year.
+  return (!a.unit || !b.unit) && a.unit !== 'year' && b.unit !== 'year';
+}
+
+// Same figure once normalised: "46%" / "46 per cent", "$1 trillion" / "1,000 billion dollars",
+// "nearly a quarter" / "24%" (an approximation allows ±10%), a year / a range it bounds.
+function quantitiesEquivalent(a, b) {
+  if (!quantityClassesAgree(a, b)) return false;
+  const ends = (q) => (q.range ? q.range : [q.value]);
+  if (a.range || b.range) {
+    if (a.range && b.range) return a.range[0] === b.range[0] && a.range[1] === b.range[1];
+    return ends(a).some(x => ends(b).includes(x));
+  }
+  if (Math.abs(a.value - b.value) <= 1e-9 * Math.max(1, Math.abs(a.value))) return true;
+  // "two-thirds" is 66.7% however it is rounded.
+  if ((a.spelled || b.spelled) && a.unit === '%' && Math.abs(a.value - b.value) <= 0.5) return true;
+  if (a.approx === 'about' || b.approx === 'about') {
+    const base = Math.max(Math.abs(a.value), Math.abs(b.value));
+    return Math.abs(a.value - b.value) <= Math.max(1, base * 0.10);
+  }
+  return false;
+}
+
+// Close enough to say the student kept the key point's figure — the tolerance
+// fuzzyNumberMatch() applied to bare digits before v20.14 (±1, or ±10% above
+// 10) — except that years must be within one.
+function quantitiesNear(a, b) {
+  if (quantitiesEquivalent(a, b)) return true;
+  if (!quantityClassesAgree(a, b) || a.range || b.range) return false;
+  const diff = Math.abs(a.value - b.value);
+  if (a.unit === 'year' || b.unit === 'year') return diff <= 1;
+  return diff <= 1 || (a.value > 10 && diff / a.value <= 0.10);
+}
+
+function quantityMatched(keyQuantities, studentQuantities) {
+  return keyQuantities.some(k => studentQuantities.some(s => quantitiesNear(k, s)));
+}
+
+function sentenceAround(text, offset) {
+  const before = text.slice(0, offset).search(/[^.!?]*$/);
+  const after = text.slice(offset).search(/[.!?](\s|$)/);
+  return text.slice(before, after < 0 ? text.length : offset + after + 1).trim();
+}
+
+// Figures in the student's text that contradict the passage:
+//   wrong_value   the passage states this quantity differently ("57%" for "75%")
+//   unsupported   a figure with a unit the passage never mentions
+// A wrong value is paired with an unused passage figure of the same kind —
+// the one whose digits it transposes, or failing that the one sharing the
+// most surrounding words.
+function checkQuantityFacts(studentText, passageText) {
+  const passage = parseQuantities(passageText);
+  const student = parseQuantities(studentText).filter(isSignificantQuantity);
+  const context = (text, q) => new Set(conceptTerms(text.slice(Math.max(0, q.start - 40), q.end + 40)).map(t => t.lemma));
+  // Passage figures the student already stated correctly are not candidates.
+  const used = passage.filter(p => student.some(q => quantitiesEquivalent(q, p)));
+  const digits = (q) => String(q.value).replace(/\D/g, '').split('').sort().join('');
+  const errors = [];
+  const seen = new Set();
+  for (const q of student) {
+    if (seen.has(q.raw) || passage.some(p => quantitiesEquivalent(q, p))) continue;
+    seen.add(q.raw);
+    const candidates = passage.filter(p => p.unit === q.unit && quantityClassesAgree(q, p) && !used.includes(p));
+    const studentContext = context(studentText, q);
+    const scored = candidates.map(p => ({
+      p,
+      transposed: digits(p) === digits(q) && p.value !== q.value,
+      overlap: [...context(passageText, p)].filter(w => studentContext.has(w)).length
+    })).sort((x, y) => (y.transposed - x.transposed) || (y.overlap - x.overlap));
+    const best = scored[0];
+    if (best && (best.transposed || best.overlap > 0 || (candidates.length === 1 && q.unit !== 'year'))) {
+      errors.push({
+        type: 'wrong_value', student: q.raw, expected: best.p.raw, start: q.start, end: q.end,
+        transposed: best.transposed, context: sentenceAround(passageText, best.p.start).slice(0, 160),
+        message: `"${q.raw}" does not match the passage, which says "${best.p.raw}".`
+      });
+    } else if (q.unit && q.unit !== 'year' && !candidates.length) {
+      errors.push({
+        type: 'unsupported', student: q.raw, expected: null, start: q.start, end: q.end, transposed: false, context: null,
+        message: `"${q.raw}" does not appear in the passage.`
+      });
+    }
+  }
+  return { errors, student_quantities: student.length, passage_quantities: passage.length };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONCEPT MATCHING (v20.13)
+// The local judge compares ideas, not surface strings. Each key-element word
+// is looked for in the student's text by, in order:
+//   exact        the same word (or, as before v20.13, a substring of the text)
+//   inflection   the same lemma — "costs" / "cost", "declined" / "declining"
+//   derivation   the same root — "regulation" / "regulate", "economic" / "economy"
+//   synonym      a lexicon or headline synonym of either word
+//   number       the same quantity — "46%" / "46 percent", "two" / "2"
+//   frame        a paraphrase frame — "costs dropped" / "became cheaper"
+// Every hit is kept as evidence ({ key, student, via }) so the verdict can show
+// which student words covered which key-element words.
+// ═══════════════════════════════════════════════════════════════════════════════
+const DERIVATION_SUFFIXES = ['isation', 'ization', 'ational', 'ation', 'ition', 'ement', 'ment', 'ness', 'ity', 'ical', 'ally', 'ance', 'ence', 'ive', 'ous', 'ful', 'ate', 'ise', 'ize', 'ify', 'ist', 'ism', 'ial', 'ant', 'ent', 'al', 'ic', 'ly', 'er', 'or'];
+// Two-word ideas students routinely compress into one word (or the reverse).
+const CONCEPT_FRAMES = [
+  { parts: [['cost', 'price', 'expense', 'fee'], ['drop', 'fall', 'decline', 'decrease', 'reduce', 'lower', 'plunge', 'cut']], equals: ['cheap', 'affordable', 'inexpensive'] },
+  { parts: [['cost', 'price', 'expense', 'fee'], ['rise', 'increase', 'climb', 'surge', 'soar', 'grow']], equals: ['expensive', 'costly', 'pricey', 'unaffordable'] },
+  { parts: [['number', 'amount', 'quantity', 'level'], ['rise', 'increase', 'grow', 'climb', 'surge']], equals: ['more', 'greater', 'higher'] },
+  { parts: [['number', 'amount', 'quantity', 'level'], ['drop', 'fall', 'decline', 'decrease', 'reduce', 'shrink']], equals: ['fewer', 'less', 'lower'] },
+  { parts: [['speed', 'pace', 'rate'], ['rise', 'increase', 'accelerate', 'grow']], equals: ['faster', 'quicker', 'rapid'] }
+];
+
+function conceptRoot(lemma) {
+  let w = lemma;
+  for (const suffix of DERIVATION_SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 4) { w = w.slice(0, -suffix.length); break; }
+  }
+  return w.replace(/[eiy]$/, '');
+}
+
+function conceptTerms(text) {
+  const terms = [];
+  const re = /[a-z][a-z'-]*/g;
+  const lower = stripHtml(text).toLowerCase().replace(/’/g, "'");
+  let m;
+  while ((m = re.exec(lower))) {
+    const word = m[0].replace(/'s$/, '').replace(/^'+|'+$/g, '');
+    if (word.length < 3 || STOP_WORDS.has(word) || NUMBER_WORD_MAP[word]) continue;
+    const lemma = lexiconLemma(word);
+    terms.push({ word, lemma, root: conceptRoot(lemma) });
+  }
+  return terms;
+}
+
+// Index of the student's text that matchConcept() reads from.
+function conceptIndex(studentText) {
+  const text = stripHtml(studentText).toLowerCase();
+  const terms = conceptTerms(text);
+  const byLemma = new Map(); const byRoot = new Map();
+  for (const t of terms) {
+    if (!byLemma.has(t.lemma)) byLemma.set(t.lemma, t.word);
+    if (t.root.length >= 4 && !byRoot.has(t.root)) byRoot.set(t.root, t.word);
+  }
+  return { text, normalized: normaliseNumbers(text.replace(/[^\w\s$%]/g, ' ')), terms, byLemma, byRoot, quantities: parseQuantities(text) };
+}
+
+function frameMatch(keyLemma, keyLemmas, student) {
+  for (const frame of CONCEPT_FRAMES) {
+    const [subjects, movements] = frame.parts;
+    // Key says "costs dropped", student says "cheaper"
+    if ((subjects.includes(keyLemma) || movements.includes(keyLemma)) &&
+        subjects.some(w => keyLemmas.has(w)) && movements.some(w => keyLemmas.has(w))) {
+      const hit = frame.equals.find(w => student.byLemma.has(w));
+      if (hit) return student.byLemma.get(hit);
+    }
+    // Key says "cheaper", student says "costs dropped"
+    if (frame.equals.includes(keyLemma)) {
+      const s = subjects.find(w => student.byLemma.has(w));
+      const v = movements.find(w => student.byLemma.has(w));
+      if (s && v) return `${student.byLemma.get(s)} ${student.byLemma.get(v)}`;
+    }
+  }
+  return null;
+}
+
+// One key-element word against the student's text → { key, student, via } or null.
+function matchConcept(keyTerm, student, keyLemmas = new Set()) {
+  const { word, lemma, root } = keyTerm;
+  if (student.normalized.includes(word)) return { key: word, student: word, via: 'exact' };
+  if (student.byLemma.has(lemma)) return { key: word, student: student.byLemma.get(lemma), via: 'inflection' };
+  if (root.length >= 4 && student.byRoot.has(root)) return { key: word, student: student.byRoot.get(root), via: 'derivation' };
+  // Curated synonyms count one way; WordNet-only ones must list each other,
+  // which keeps stray senses out ("central" is not "exchange").
+  const synonymOf = (a, b) => {
+    const entry = lexiconEntry(a);
+    if (!entry?.syn?.includes(b)) return false;
+    return (entry.cur || '').includes('s') || Boolean(lexiconEntry(b)?.syn?.includes(lexiconLemma(a)));
+  };
+  const headlineSyns = [...(HEADLINE_SYNONYMS[word] || []), ...(HEADLINE_SYNONYMS[lemma] || [])];
+  for (const syn of [...(lexiconEntry(lemma)?.syn || []), ...headlineSyns]) {
+    if (syn.includes(' ')) {
+      if (` ${student.normalized} `.includes(` ${syn} `)) return { key: word, student: syn, via: 'synonym' };
+      continue;
+    }
+    const synLemma = lexiconLemma(syn);
+    if (student.byLemma.has(synLemma) && (headlineSyns.includes(syn) || synonymOf(lemma, syn))) return { key: word, student: student.byLemma.get(synLemma), via: 'synonym' };
+  }
+  for (const t of student.terms) {
+    if (synonymOf(t.lemma, lemma)) return { key: word, student: t.word, via: 'synonym' };
+  }
+  const framed = frameMatch(lemma, keyLemmas, student);
+  if (framed) return { key: word, student: framed, via: 'frame' };
+  return null;
+}
+
+function matchQuantity(raw, student) {
+  const [q] = parseQuantities(raw);
+  if (!q) return student.normalized.includes(raw) ? { key: raw, student: raw, via: 'exact' } : null;
+  const hit = student.quantities.find(s => quantitiesEquivalent(q, s));
+  if (!hit) return null;
+  return { key: raw, student: hit.raw, via: hit.raw === raw ? 'exact' : 'number' };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHECK KEY POINT — content detection
+// ═══════════════════════════════════════════════════════════════════════════════
+function checkKeyPoint(studentText, keyPointText) {
+  const student = conceptIndex(studentText);
+  const keyPoint = stripHtml(keyPointText).toLowerCase();
+  const keyConcepts = extractConcepts(keyPoint);
+
+  // v20.13: every key word goes through matchConcept() — inflections,
+  // derivations, synonyms, quantities and paraphrase frames all count — and
+  // each hit is kept as evidence.
+  const keyLemmas = new Set(conceptTerms(keyPoint).map(t => t.lemma));
+  const keyQuantities = parseQuantities(keyPoint).filter(isSignificantQuantity);
+  const numberTerms = keyQuantities.map(q => q.raw.toLowerCase());
+  const evidence = new Map();
+  const matchTerm = (term) => {
+    if (evidence.has(term)) return evidence.get(term);
+    const hit = numberTerms.includes(term)
+      ? matchQuantity(term, student)
+      : matchConcept({ word: term, lemma: lexiconLemma(term), root: conceptRoot(lexiconLemma(term)) }, student, keyLemmas);
+    evidence.set(term, hit);
+    return hit;
+  };
+
+  // v19.5: tightened thresholds — old values (0.18 / 0.22) caused false positives
+  // when student summaries shared generic vocabulary with the passage but did
+  // not actually convey the idea. Stricter thresholds + a critical-term gate
+  // for short ideas keep the local fallback honest when Claude is unavailable.
+  const isLong = keyConcepts.length > 15;
+  const thresholds = { concept: isLong ? 0.30 : 0.45, critical: isLong ? 0.35 : 0.50 };
+
+  let matchedConcepts = 0;
+  const matched = [];
+  for (const c of keyConcepts) {
+    if (matchTerm(c)) { matchedConcepts++; matched.push(c); }
+  }
+  const matchRate = keyConcepts.length > 0 ? matchedConcepts / keyConcepts.length : 0;
+
+  const longWords = keyPoint.replace(/[^\w\s]/g, ' ').split(/\s+/)
+    .filter(w => w.length >= 5 && !STOP_WORDS.has(w) && !/\d/.test(w) && !(w in QUANTITY_SMALL) && !(w in QUANTITY_MAGNITUDES) && w !== 'percent');
+  const criticalTerms = [...new Set([...numberTerms, ...longWords])].filter(t => t.length > 0);
+
+  let matchedCritical = 0;
+  const matchedCriticalTerms = [];
+  for (const t of criticalTerms) { if (matchTerm(t)) { matchedCritical++; matchedCriticalTerms.push(t); } }
+  const criticalRate = criticalTerms.length > 0 ? matchedCritical / criticalTerms.length : 0;
+
+  const numberMatched = keyQuantities.length > 0 ? quantityMatched(keyQuantities, student.quantities) : true;
+
+  // PRESENCE DECISION (v19.5 — stricter than v19.4)
+  // An idea is "present" when:
+  //   - critical-term match >= threshold (preferred — content words specific to this idea), AND
+  //   - either: numbers matched (when present in the key point), OR concept match >= 0.30
+  // This prevents false positives where student shares only generic words.
+  // For short key points (<=15 concepts), critical match is mandatory.
+  const conceptPass = matchRate >= thresholds.concept;
+  const criticalPass = criticalRate >= thresholds.critical;
+  // 3 specific terms, and (v20.13) at least 40% of them: with inflections and
+  // synonyms matching, 3 hits on a long key point happen by chance.
+  const minCritical = matchedCritical >= 3 && criticalRate >= 0.40;
+  const strongConcept = matchRate >= 0.50;  // was 0.35
+
+  // Three paths to "present":
+  //   Path A: critical-term match passes the threshold AND numbers (if any) match
+  //   Path B: very strong concept overlap (≥0.50) AND number match
+  //   Path C (v20.13): an overstuffed key point whose headline clause — and
+  //   any number in it — is covered. The LLM path applies the same rescue
+  //   (applyHeadlineRescue, at its stricter 0.0 thresholds), so offline and
+  //   online verdicts agree.
+  // Otherwise: not present.
+  const headlineText = extractHeadline(keyPointText);
+  let headline = null;
+  if (headlineText && headlineText.length < stripHtml(keyPointText).length - 5) {
+    const tokens = [...new Set(tokenizeForHeadline(headlineText))];
+    const hits = tokens.filter(t => matchTerm(t));
+    const headlineQuantities = parseQuantities(headlineText).filter(isSignificantQuantity);
+    const numbersOk = headlineQuantities.length ? quantityMatched(headlineQuantities, student.quantities) : true;
+    headline = { text: headlineText, hits: hits.length, total: tokens.length, captured: numbersOk && tokens.length >= 2 && hits.length >= 3 && hits.length / tokens.length >= 0.65 };
+  }
+  const isPresent = (
+    (criticalPass || minCritical) && (numberMatched || strongConcept)
+  ) || (
+    strongConcept && numberMatched && conceptPass
+  ) || Boolean(headline && headline.captured);
+
+  const hits = [...evidence.values()].filter(Boolean);
+  return {
+    present: isPresent, matchRate: Math.round(matchRate * 100), criticalRate: Math.round(criticalRate * 100),
+    matchedConcepts: matched.slice(0, 8), totalConcepts: keyConcepts.length,
+    matchedCritical, matchedCriticalTerms: matchedCriticalTerms.slice(0, 8), totalCritical: criticalTerms.length,
+    numberMatched, strongConceptFallback: strongConcept, thresholdUsed: thresholds,
+    evidence: hits, missingTerms: criticalTerms.filter(t => !evidence.get(t)), headline
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERBATIM DETECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+function detectVerbatim(studentText, passageText) {
+  const student = studentText.toLowerCase().replace(/[^\w\s]/g, '');
+  const passage = passageText.toLowerCase().replace(/[^\w\s]/g, '');
+  const studentWords = student.split(/\s+/).filter(w => w.length > 3);
+  if (studentWords.length === 0) return { verbatimRate: 0, isVerbatim: false, longestRun: 0, verbatimPhrases: [], alignment: alignVerbatim(studentText, passageText) };
+
+  const matchedWords = new Set();
+  const verbatimPhrases = [];
+  for (let len = 5; len >= 3; len--) {
+    for (let i = 0; i <= studentWords.length - len; i++) {
+      if (matchedWords.has(i)) continue;
+      const phrase = studentWords.slice(i, i + len).join(' ');
+      if (passage.includes(phrase)) {
+        for (let j = i; j < i + len; j++) matchedWords.add(j);
+        if (len >= 4) verbatimPhrases.push(phrase);
+        i += len - 1;
+      }
+    }
+  }
+  for (let i = 0; i < studentWords.length; i++) {
+    if (!matchedWords.has(i) && studentWords[i].length >= 4 && passage.includes(studentWords[i])) matchedWords.add(i);
+  }
+
+  let longestRun = 0, cur = 0;
+  for (let i = 0; i < studentWords.length; i++) { if (matchedWords.has(i)) { cur++; longestRun = Math.max(longestRun, cur); } else cur = 0; }
+
+  return {
+    verbatimRate: Math.round((matchedWords.size / studentWords.length) * 100),
+    isVerbatim: (matchedWords.size / studentWords.length) > 0.90,
+    longestRun, verbatimPhrases: [...new Set(verbatimPhrases)].slice(0, 5),
+    // v20.11: span-level copy map for the results view (not used in scoring)
+    alignment: alignVerbatim(studentText, passageText)
+  };
+}
+
+// ─── SPAN ALIGNMENT (v20.11) ────────────────────────────────────────────────
+// Maps the student's text onto the passage token by token and labels every
+// stretch of it:
+//   verbatim        3+ consecutive words copied exactly
+//   lightly_edited  a copied run with small changes — an inflection changed
+//                   ("increase" → "increasing") or one word added, dropped or
+//                   swapped per three matched
+//   paraphrased     content words taken from the passage (or a lexicon
+//                   synonym of one) inside the student's own phrasing
+//   original        no counterpart in the passage
+// Every span carries character offsets into both texts (passage_start /
+// passage_end are null for original spans), so the copy map is drawn from
+// this one result instead of being re-derived in the browser.
+const ALIGN_MIN_RUN = 3;
+// Linking words are the student's own glue even when the passage uses them too.
+const ALIGN_CONNECTORS = new Set(['however', 'therefore', 'moreover', 'furthermore', 'consequently', 'thus', 'hence', 'although', 'though', 'whereas', 'while', 'since', 'nevertheless', 'additionally', 'because']);
+
+function alignmentTokens(text) {
+  const out = [];
+  const re = /[A-Za-z0-9]+(?:['’][A-Za-z]+)*/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const lower = m[0].toLowerCase().replace(/’/g, "'");
+    out.push({ lower, stem: alignmentStem(lower), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+function alignmentStem(word) {
+  let w = word.replace(/'s$/, '');
+  if (w.length <= 4) return w;
+  if (/ies$/.test(w)) return w.slice(0, -3) + 'y';
+  if (/ied$/.test(w)) return w.slice(0, -3) + 'y';
+  for (const suffix of ['ing', 'ed', 'es', 'ly', 's']) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 4) { w = w.slice(0, -suffix.length); break; }
+  }
+  return w.replace(/e$/, '');
+}
+
+function alignVerbatim(studentText, passageText) {
+  const s = alignmentTokens(studentText || '');
+  const p = alignmentTokens(passageText || '');
+  const empty = { spans: [], coverage: { verbatim: 0, lightly_edited: 0, paraphrased: 0, original: 0 }, longest_run: 0, passage_coverage: 0 };
+  if (!s.length) return empty;
+
+  // label[i] / link[i] per student token; link = [passageFrom, passageTo) token range
+  const label = new Array(s.length).fill(null);
+  const link = new Array(s.length).fill(null);
+  const runId = new Array(s.length).fill(-1);
+  let runs = 0;
+  const byWord = new Map();
+  p.forEach((t, j) => { if (!byWord.has(t.lower)) byWord.set(t.lower, []); byWord.get(t.lower).push(j); });
+
+  // ── 1. Exact runs, longest first ──
+  const candidates = [];
+  for (let i = 0; i < s.length; i++) {
+    for (const j of byWord.get(s[i].lower) || []) {
+      if (i > 0 && j > 0 && s[i - 1].lower === p[j - 1].lower) continue; // not maximal
+      let k = 0;
+      while (i + k < s.length && j + k < p.length && s[i + k].lower === p[j + k].lower) k++;
+      if (k >= ALIGN_MIN_RUN && s.slice(i, i + k).some(t => !STOP_WORDS.has(t.lower))) candidates.push({ i, j, k });
+    }
+  }
+  candidates.sort((a, b) => b.k - a.k || a.i - b.i);
+  for (const { i, j, k } of candidates) {
+    let from = i, to = i + k;
+    while (from < to && label[from]) from++;
+    while (to > from && label[to - 1]) to--;
+    if (to - from < ALIGN_MIN_RUN || label.slice(from, to).some(Boolean)) continue;
+    for (let x = from; x < to; x++) { label[x] = 'verbatim'; link[x] = [j + x - i, j + x - i + 1]; runId[x] = runs; }
+    runs++;
+  }
+
+  // ── 2. Near-copies: stem matches with the odd word added, dropped or swapped ──
+  const same = (a, b) => a.stem === b.stem;
+  const fuzzy = [];
+  for (let i = 0; i < s.length; i++) {
+    if (label[i] || STOP_WORDS.has(s[i].lower)) continue;
+    for (let j = 0; j < p.length; j++) {
+      if (!same(s[i], p[j])) continue;
+      let a = i, b = j, matched = 0, exact = 0, edits = 0;
+      const pairs = [];
+      while (a < s.length && b < p.length && !label[a]) {
+        if (same(s[a], p[b])) {
+          pairs.push([a, b]); matched++; if (s[a].lower === p[b].lower) exact++;
+          a++; b++; continue;
+        }
+        if (edits + 1 > Math.floor((matched + 1) / ALIGN_MIN_RUN)) break;
+        if (a + 1 < s.length && b + 1 < p.length && !label[a + 1] && same(s[a + 1], p[b + 1])) { pairs.push([a, b]); a++; b++; }
+        else if (a + 1 < s.length && !label[a + 1] && same(s[a + 1], p[b])) { pairs.push([a, null]); a++; }
+        else if (b + 1 < p.length && same(s[a], p[b + 1])) b++;
+        else break;
+        edits++;
+      }
+      while (pairs.length && (pairs[pairs.length - 1][1] === null || !same(s[pairs[pairs.length - 1][0]], p[pairs[pairs.length - 1][1]]))) pairs.pop();
+      if (matched >= ALIGN_MIN_RUN && (edits > 0 || exact < matched)) fuzzy.push({ pairs, matched });
+    }
+  }
+  fuzzy.sort((x, y) => y.matched - x.matched || x.pairs[0][0] - y.pairs[0][0]);
+  for (const { pairs } of fuzzy) {
+    if (pairs.some(([a]) => label[a])) continue;
+    let lastB = pairs[0][1];
+    for (const [a, b] of pairs) {
+      label[a] = 'lightly_edited';
+      link[a] = b === null ? [lastB + 1, lastB + 1] : [b, b + 1];
+      if (b !== null) lastB = b;
+      runId[a] = runs;
+    }
+    runs++;
+  }
+
+  // Stretch copied runs over neighbours that only differ in inflection
+  // ("Her team analysis" ← "Her team's analysis").
+  for (let pass = 0; pass < 2; pass++) {
+    for (let i = 0; i < s.length; i++) {
+      if (!label[i] || label[i] === 'paraphrased') continue;
+      const dir = pass === 0 ? -1 : 1;
+      let a = i + dir, b = dir < 0 ? link[i][0] - 1 : link[i][1];
+      while (a >= 0 && a < s.length && b >= 0 && b < p.length && !label[a] && same(s[a], p[b])) {
+        label[a] = 'lightly_edited'; link[a] = [b, b + 1]; runId[a] = runId[i];
+        a += dir; b += dir;
+      }
+    }
+  }
+
+  // ── 3. A word or two swapped between two copied runs that stay adjacent
+  //       in the passage ("rapid growth of [urban] areas") ──
+  const copied = l => l === 'verbatim' || l === 'lightly_edited';
+  for (let i = 1; i < s.length; i++) {
+    if (label[i] || !copied(label[i - 1])) continue;
+    let end = i;
+    while (end < s.length && !label[end]) end++;
+    const gapP = end < s.length && copied(label[end]) ? link[end][0] - link[i - 1][1] : -1;
+    if (end - i <= 2 && gapP >= 0 && gapP <= 2) {
+      for (let x = i; x < end; x++) {
+        label[x] = 'lightly_edited';
+        link[x] = [link[i - 1][1], link[end][0]];
+        runId[x] = runId[i - 1];
+      }
+    }
+    i = end;
+  }
+
+  // ── 4. Content words reused (by stem or safe synonym) outside any run ──
+  const byStem = new Map();
+  p.forEach((t, j) => { if (!STOP_WORDS.has(t.lower) && !byStem.has(t.stem)) byStem.set(t.stem, j); });
+  for (let i = 0; i < s.length; i++) {
+    if (label[i] || STOP_WORDS.has(s[i].lower) || ALIGN_CONNECTORS.has(s[i].lower) || s[i].lower.length < 3) continue;
+    let j = byStem.has(s[i].stem) ? byStem.get(s[i].stem) : -1;
+    if (j < 0) {
+      for (const syn of lexiconEntry(s[i].lower)?.syn || []) {
+        const stem = alignmentStem(syn);
+        if (!syn.includes(' ') && byStem.has(stem)) { j = byStem.get(stem); break; }
+      }
+    }
+    if (j < 0) j = p.findIndex(t => !STOP_WORDS.has(t.lower) && (lexiconEntry(t.lower)?.syn || []).includes(s[i].lower));
+    if (j < 0) continue;
+    label[i] = 'paraphrased';
+    link[i] = [j, j + 1];
+  }
+
+  // ── Collapse tokens into spans ──
+  // Stop words between two paraphrased words join them; everything else
+  // unlabeled is original.
+  for (let i = 0; i < s.length; i++) {
+    if (label[i]) continue;
+    let end = i;
+    while (end < s.length && !label[end] && STOP_WORDS.has(s[end].lower)) end++;
+    const joins = i > 0 && end < s.length && label[i - 1] === 'paraphrased' && label[end] === 'paraphrased' && end - i <= 2;
+    for (let x = i; x < end; x++) label[x] = joins ? 'paraphrased' : 'original';
+    if (end === i) label[i] = 'original';
+  }
+  const spans = [];
+  for (let i = 0; i < s.length; i++) {
+    const prev = spans[spans.length - 1];
+    const continues = prev && prev.label === label[i] && (!copied(label[i]) || prev.run === runId[i])
+      && (label[i] !== 'paraphrased' || !link[i] || prev.pTo === null || (link[i][0] >= prev.pTo && link[i][0] - prev.pTo <= 3));
+    if (continues) {
+      prev.endTok = i;
+      if (link[i]) { prev.pFrom = prev.pFrom === null ? link[i][0] : Math.min(prev.pFrom, link[i][0]); prev.pTo = Math.max(prev.pTo ?? 0, link[i][1]); }
+    } else {
+      spans.push({ label: label[i], startTok: i, endTok: i, run: runId[i], pFrom: link[i] ? link[i][0] : null, pTo: link[i] ? link[i][1] : null });
+    }
+  }
+  const passageOffset = (from, to) => {
+    if (from === null || !p.length) return [null, null];
+    const first = p[Math.min(from, p.length - 1)];
+    const last = p[Math.min(Math.max(to - 1, from), p.length - 1)];
+    return to > from ? [first.start, last.end] : [first.start, first.start];
+  };
+  const out = spans.map(sp => {
+    const start = s[sp.startTok].start, end = s[sp.endTok].end;
+    const [passageStart, passageEnd] = sp.label === 'original' ? [null, null] : passageOffset(sp.pFrom, sp.pTo);
+    return {
+      label: sp.label, start, end, text: studentText.slice(start, end), words: sp.endTok - sp.startTok + 1,
+      passage_start: passageStart, passage_end: passageEnd,
+      passage_text: passageStart === null ? null : passageText.slice(passageStart, passageEnd)
+    };
+  });
+
+  const coverage = {};
+  for (const l of ['verbatim', 'lightly_edited', 'paraphrased', 'original']) {
+    coverage[l] = Math.round(label.filter(x => x === l).length / s.length * 100);
+  }
+  const covered = new Set();
+  for (let i = 0; i < s.length; i++) {
+    if (link[i] && label[i] !== 'original') for (let j = link[i][0]; j < link[i][1]; j++) covered.add(j);
+  }
+  return {
+    spans: out, coverage,
+    longest_run: out.reduce((m, sp) => sp.label === 'verbatim' ? Math.max(m, sp.words) : m, 0),
+    passage_coverage: p.length ? Math.round(covered.size / p.length * 100) : 0
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIRST-PERSON DETECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+function detectFirstPerson(studentText, passageText) {
+  const sl = studentText.toLowerCase();
+  const pl = passageText.toLowerCase();
+  const passageHasFirstPerson = /\b(i |i'|my |me |we |our |us )\b/i.test(pl);
+
+  const patterns = [
+    { pattern: /\bI made\b/i, type: 'copied-i' }, { pattern: /\bI knew\b/i, type: 'copied-i' },
+    { pattern: /\bI was\b/i, type: 'copied-i' }, { pattern: /\bI had\b/i, type: 'copied-i' },
+    { pattern: /\bI live\b/i, type: 'copied-i' }, { pattern: /\bI feel\b/i, type: 'copied-i' },
+    { pattern: /\bmy wife\b/i, type: 'personal' }, { pattern: /\bmy young wife\b/i, type: 'personal' },
+  ];
+
+  const shiftPatterns = [
+    /\bthe (author|narrator|speaker|writer|passage|text|article)\b/i,
+    /\b(he|she) (made|knew|was|had|explained|discussed|argued|stated|noted|mentioned|opted|chose|decided|acknowledged)\b/i,
+  ];
+
+  const hasPerspectiveShift = shiftPatterns.some(p => p.test(sl));
+  const issues = [];
+  for (const { pattern, type } of patterns) {
+    if (pattern.test(sl)) issues.push({ match: sl.match(pattern)[0], type });
+  }
+  const isProblematic = passageHasFirstPerson && issues.length > 0 && !hasPerspectiveShift;
+
+  return {
+    detected: issues.length > 0, isProblematic, issues, hasPerspectiveShift, passageHasFirstPerson,
+    suggestion: isProblematic ? 'Change "I made" → "The author opted". Always use third-person.' : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ATTRIBUTION CHECK (v20.15)
+// Passages such as Climate Change Economics pin claims on named people and
+// organisations. checkAttribution() extracts people, organisations and places
+// from passage and summary, links each passage claim to the source that made
+// it, and reports two kinds of error:
+//   misattribution   the summary credits a claim to the wrong source
+//                    ("Torres warns of a 10% GDP loss" — that was Dr. Chen)
+//   hallucinated     a person, organisation or place the passage never names
+// Each carries a raw-score penalty (ATTRIBUTION_PENALTY) and its own
+// feedback-card item.
+// ═══════════════════════════════════════════════════════════════════════════════
+const ATTRIBUTION_PENALTY = { misattribution: 0.5, hallucinated: 0.25, max: 1.0 };
+const ENTITY_TITLES = ['dr', 'prof', 'professor', 'mr', 'mrs', 'ms', 'sir', 'dame', 'lady', 'lord', 'president', 'senator', 'minister'];
+const ENTITY_ORG_WORDS = new Set(['institute', 'institution', 'agency', 'partners', 'university', 'college', 'organisation', 'organization', 'association', 'company', 'corporation', 'bank', 'council', 'commission', 'group', 'foundation', 'society', 'committee', 'panel', 'ministry', 'department', 'office', 'house', 'exchange', 'fund', 'forum', 'centre', 'center', 'laboratory', 'museum', 'school', 'inc', 'ltd', 'nations', 'union', 'board', 'authority', 'academy', 'times', 'post', 'journal', 'network']);
+const ENTITY_PLACE_WORDS = new Set(['city', 'river', 'mountain', 'mount', 'island', 'islands', 'ocean', 'sea', 'valley', 'street', 'county', 'state', 'states', 'republic', 'kingdom', 'province', 'bay', 'lake', 'coast', 'desert']);
+const ENTITY_PLACES = new Set(['london', 'paris', 'berlin', 'tokyo', 'beijing', 'delhi', 'sydney', 'melbourne', 'new york', 'washington', 'california', 'texas', 'europe', 'asia', 'africa', 'america', 'australia', 'antarctica', 'china', 'india', 'japan', 'germany', 'france', 'italy', 'spain', 'canada', 'brazil', 'russia', 'mexico', 'england', 'scotland', 'wales', 'ireland', 'britain', 'uk', 'us', 'usa', 'kitty hawk', 'ohio', 'dayton', 'geneva', 'switzerland', 'cern', 'galapagos']);
+// Capitalised words that are not names: sentence furniture, months, days and
+// abbreviations every summary may use.
+const ENTITY_IGNORE = new Set(['i', 'gdp', 'ceo', 'cfo', 'ai', 'it', 'tv', 'dna', 'phd', 'covid', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'internet', 'web']);
+const SOURCE_VERBS = ['says', 'said', 'say', 'warns', 'warned', 'warn', 'states', 'stated', 'state', 'reports', 'reported', 'report', 'argues', 'argued', 'argue', 'claims', 'claimed', 'claim', 'notes', 'noted', 'explains', 'explained', 'emphasizes', 'emphasized', 'emphasises', 'emphasised', 'asks', 'asked', 'demands', 'demanded', 'believes', 'believed', 'suggests', 'suggested', 'predicts', 'predicted', 'estimates', 'estimated', 'found', 'finds', 'insists', 'insisted', 'contends', 'contended', 'highlights', 'highlighted', 'reveals', 'revealed', 'stresses', 'stressed', 'mentions', 'mentioned', 'points', 'pointed', 'concludes', 'concluded', 'observes', 'observed'];
+const SOURCE_VERB_RE = new RegExp(`\\b(?:${SOURCE_VERBS.join('|')})\\b`, 'i');
+
+// Capitalised names in a text → [{ name, type, start, end, aliases }].
+function extractEntities(text) {
+  const src = String(text || '');
+  const entities = [];
+  const isDictionaryWord = (w) => loadSpellingDictionary().words.has(w.toLowerCase());
+  const known = (w) => w.split(/[-'’.]/).filter(Boolean).every(p => isDictionaryWord(p) || ENTITY_IGNORE.has(p.toLowerCase()));
+  // Capitalised words joined by spaces, "of"/"the"/"for" or "St."; a hyphen
+  // only joins capitalised halves ("Berners-Lee", not "Award-winning").
+  const re = /\b(?:(?:Dr|Prof|Professor|Mr|Mrs|Ms|Sir|Dame|Lady|Lord|President|Senator|Minister)\.?\s+)?[A-Z][A-Za-z'’]*(?:-[A-Z][A-Za-z'’]*)*(?:\s+(?:of|the|for|de|van|von)\s+[A-Z][A-Za-z'’]*(?:-[A-Z][A-Za-z'’]*)*|\s+St\.|\s+[A-Z][A-Za-z'’]*(?:-[A-Z][A-Za-z'’]*)*)*/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const name = m[0].replace(/['’]s$/, '').trim();
+    let start = m.index;
+    const words = name.split(/\s+/);
+    const title = ENTITY_TITLES.includes(words[0].replace(/\.$/, '').toLowerCase()) && words.length > 1;
+    const core = title ? words.slice(1) : words;
+    // Leading articles and roles are not part of the name ("the IEA", "CEO of Global Insurance Partners").
+    while (!title && core.length > 1 && (/^(?:the|a|an|this|these|their|however|moreover|although|while|according)$/i.test(core[0]) || ENTITY_IGNORE.has(core[0].toLowerCase()))) {
+      core.shift();
+      if (core[0] && /^(?:of|the|for)$/.test(core[0])) core.shift();
+    }
+    if (!core.length) continue;
+    start = src.indexOf(core[0], start);
+    const display = core.join(' ');
+    const lower = display.toLowerCase();
+    const tokens = lower.split(/\s+/);
+    if (ENTITY_IGNORE.has(lower) || /^(?:gdp|gnp|ppp|co|so|no)s?$/.test(lower) || /['’](?:ve|re|ll|d|m|t)$/.test(lower)) continue;
+    const acronym = /^[A-Z]{2,6}s?$/.test(display);
+    // Chemical formulae and codes ("SO₂", "CO2") are not names.
+    if (acronym && /^[0-9₀-₉]/.test(src.slice(start + display.length))) continue;
+    const placeLike = ENTITY_PLACES.has(lower) || tokens.some(t => ENTITY_PLACES.has(t));
+    const orgLike = tokens.some(t => ENTITY_ORG_WORDS.has(t));
+    if (!title && !acronym && !placeLike) {
+      // Ordinary words in capitals ("However", "Medical Innovation", "Big Bang")
+      // and nationality adjectives are not names — unless the words stand
+      // where a source does ("John Smith argued", "according to Mark Hope").
+      const before = src.slice(Math.max(0, start - 20), start);
+      const after = src.slice(start + display.length, start + display.length + 30);
+      const sourcePosition = core.length > 1 && (SOURCE_VERB_RE.test(after.split(/[,;"“”]/)[0]) || /according to $/i.test(before));
+      if (core.every(known) && !(orgLike && core.length > 1) && !sourcePosition) continue;
+      if (core.length === 1 && /(?:ish|ese|ian|ean|an)$/.test(lower)) continue;
+    }
+    let type = 'name';
+    if (title) type = 'person';
+    else if (orgLike || acronym && !placeLike) type = 'organisation';
+    else if (placeLike || tokens.some(t => ENTITY_PLACE_WORDS.has(t))) type = 'place';
+    else if (core.length >= 2 && core.length <= 3) type = 'person';
+    const aliases = new Set([display.toLowerCase()]);
+    if (type === 'person' && core.length > 1) aliases.add(tokens[tokens.length - 1]);
+    if (type === 'organisation' && core.length > 1) {
+      aliases.add(core.filter(w => /^[A-Z]/.test(w)).map(w => w[0]).join('').toLowerCase());
+    }
+    entities.push({ name: display, type, start, end: start + display.length, aliases: [...aliases], titled: title });
+  }
+  return entities;
+}
+
+// Merge mentions of the same entity ("Dr. Sarah Chen", "Chen") under the
+// fullest name; a bare surname or acronym inherits the full entry's type.
+function entityRegistry(entities) {
+  const registry = [];
+  for (const e of [...entities].sort((a, b) => b.name.length - a.name.length)) {
+    const known = registry.find(r => r.aliases.includes(e.name.toLowerCase()) || e.aliases.some(a => r.aliases.includes(a) && a.length > 2));
+    if (known) { known.mentions.push(e); continue; }
+    registry.push({ name: e.name, type: e.type, aliases: [...e.aliases], mentions: [e] });
+  }
+  return registry;
+}
+
+function resolveEntity(registry, name) {
+  const lower = name.toLowerCase();
+  const tokens = lower.split(/\s+/);
+  return registry.find(r => r.aliases.includes(lower)) ||
+    registry.find(r => r.type === 'person' && tokens.length > 1 && r.aliases.includes(tokens[tokens.length - 1])) ||
+    registry.find(r => {
+      const rt = r.name.toLowerCase().split(/\s+/);
+      return rt.length > 1 && tokens.filter(t => rt.includes(t)).length / Math.max(rt.length, tokens.length) >= 0.5;
+    }) || null;
+}
+
+// Passage sentences with the source each one is attributed to. A quote with
+// no speaker of its own, or a sentence opened by "Her"/"Their", carries the
+// previous sentence's source.
+function passageClaims(passageText, registry) {
+  const sentences = [];
+  for (const s of grammarSentences(passageText)) {
+    const body = s.text.replace(/^["“”'‘’]+\s*/, '');
+    if (sentences.length && /^[a-z]/.test(body)) {
+      const prev = sentences[sentences.length - 1];
+      prev.text = passageText.slice(prev.start, s.end);
+      prev.end = s.end;
+    } else sentences.push({ ...s });
+  }
+  const claims = [];
+  let previous = null;
+  for (const s of sentences) {
+    const mentions = registry.flatMap(r => r.mentions.filter(m => m.start >= s.start && m.end <= s.end).map(m => ({ entity: r, mention: m })));
+    let source = null;
+    for (const { entity, mention } of mentions) {
+      if (entity.type === 'place') continue;
+      const before = passageText.slice(Math.max(s.start, mention.start - 30), mention.start);
+      const after = passageText.slice(mention.end, Math.min(s.end, mention.end + 30));
+      if (SOURCE_VERB_RE.test(before.split(/[,"“”]/).pop()) || /according to (?:the )?$/i.test(before) || SOURCE_VERB_RE.test(after.split(/[,"“”]/)[0]) || /^['’]s\b/.test(after)) {
+        source = entity;
+        break;
+      }
+    }
+    const body = s.text.trim();
+    if (!source && previous && (/^["“]/.test(body) || /^(?:her|his|their|its)\b/i.test(body) || /according to (?:her|his|their|its)\b/i.test(body))) source = previous;
+    // People and organisations named in the same sentence as the source are
+    // its affiliates ("Dr. Sarah Chen, lead economist at the ... Institute").
+    const affiliates = source ? mentions.map(x => x.entity).filter(e => e !== source && e.type !== 'place') : [];
+    claims.push({ text: body, start: s.start, end: s.end, source, affiliates, lemmas: new Set(conceptTerms(body).map(t => t.lemma)), quantities: parseQuantities(body) });
+    previous = source || (/^["“]/.test(body) ? previous : null);
+  }
+  return claims;
+}
+
+function checkAttribution(studentText, passageText) {
+  const empty = { entities: { passage: [], student: [] }, misattributions: [], hallucinated: [], penalty: 0 };
+  if (!studentText || !passageText) return empty;
+  const registry = entityRegistry(extractEntities(passageText));
+  const claims = passageClaims(passageText, registry);
+  const passageLower = passageText.toLowerCase();
+
+  // Student mentions: passage entities by any alias (students drop capitals),
+  // plus names of their own the passage never uses.
+  const studentLower = studentText.toLowerCase();
+  const mentions = [];
+  for (const entity of registry) {
+    for (const alias of entity.aliases) {
+      const re = new RegExp(`\\b${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+      let m;
+      while ((m = re.exec(studentLower))) mentions.push({ entity, name: studentText.slice(m.index, m.index + alias.length), start: m.index, end: m.index + alias.length });
+    }
+  }
+  const hallucinated = [];
+  for (const e of extractEntities(studentText)) {
+    if (mentions.some(x => e.start < x.end && x.start < e.end && !(x.start === e.start && x.end < e.end))) continue;
+    const entity = resolveEntity(registry, e.name);
+    if (entity) { mentions.push({ entity, name: e.name, start: e.start, end: e.end }); continue; }
+    if (passageLower.includes(e.name.toLowerCase()) || e.type === 'name' && e.name.length < 3) continue;
+    if (hallucinated.some(h => h.entity.toLowerCase() === e.name.toLowerCase())) continue;
+    hallucinated.push({
+      entity: e.name, type: e.type, start: e.start, end: e.end,
+      message: `"${e.name}" is not mentioned in the passage.`
+    });
+  }
+  // Keep the longest mention where two overlap ("Sarah Chen" over "Chen").
+  mentions.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const distinct = mentions.filter((m, i) => !mentions.some((o, j) => j !== i && o.start <= m.start && o.end >= m.end && (o.end - o.start) > (m.end - m.start)));
+
+  // A mention next to a reporting verb (or after "according to") attributes
+  // the clause around it; that clause is matched to the closest passage claim.
+  const misattributions = [];
+  for (const mention of distinct) {
+    if (mention.entity.type === 'place') continue;
+    const before = studentText.slice(Math.max(0, mention.start - 30), mention.start);
+    const after = studentText.slice(mention.end, mention.end + 30);
+    const attributes = SOURCE_VERB_RE.test(before.split(/[,;"“”]/).pop()) || /according to (?:the )?$/i.test(before) ||
+      SOURCE_VERB_RE.test(after.split(/[,;"“”]/)[0]) || /^['’]s\s+(?:analysis|report|team|research|study|models?|data)\b/i.test(after);
+    if (!attributes) continue;
+    const clauseStart = Math.max(0, studentText.slice(0, mention.start).search(/[^;.!?]*$/));
+    const tail = studentText.slice(mention.end).search(/[;.!?]/);
+    const clause = studentText.slice(clauseStart, tail < 0 ? studentText.length : mention.end + tail);
+    const clauseLemmas = conceptTerms(clause).map(t => t.lemma).filter(l => !mention.entity.aliases.some(a => a.split(/\s+/).includes(l)));
+    const clauseQuantities = parseQuantities(clause).filter(isSignificantQuantity);
+    let best = null;
+    for (const claim of claims) {
+      const overlap = clauseLemmas.filter(l => claim.lemmas.has(l)).length;
+      const figures = clauseQuantities.filter(q => claim.quantities.some(p => quantitiesEquivalent(q, p))).length;
+      const score = overlap + figures * 2;
+      if (score >= 3 && (!best || score > best.score)) best = { claim, score };
+    }
+    if (!best || !best.claim.source) continue;
+    const { claim } = best;
+    if (claim.source === mention.entity || claim.affiliates.includes(mention.entity)) continue;
+    if (misattributions.some(x => x.claim === claim.text && x.entity === mention.entity.name)) continue;
+    misattributions.push({
+      entity: mention.entity.name, actual_source: claim.source.name, start: mention.start, end: mention.end,
+      claim: claim.text.slice(0, 200), student_clause: clause.trim(),
+      message: `The passage attributes this to ${claim.source.name}, not ${mention.entity.name}.`
+    });
+  }
+
+  const penalty = Math.min(ATTRIBUTION_PENALTY.max,
+    misattributions.length * ATTRIBUTION_PENALTY.misattribution + hallucinated.length * ATTRIBUTION_PENALTY.hallucinated);
+  return {
+    entities: {
+      passage: registry.map(r => ({ name: r.name, type: r.type, aliases: r.aliases })),
+      student: [...new Map(distinct.map(m => [m.entity.name, { name: m.entity.name, type: m.entity.type }])).values()]
+    },
+    misattributions, hallucinated, penalty
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARAPHRASING ANALYSIS (word swaps + structural changes + vocab suggestions)
+// ═══════════════════════════════════════════════════════════════════════════════
+const ACADEMIC_WORDS = new Set(['consequently','furthermore','moreover','nevertheless','predominantly','significantly','substantially','fundamentally','paradigm','phenomenon','discourse','implications','framework','methodology','synthesis','analysis','correlation','demonstrated','facilitated','implemented','necessitate','acknowledges','encompasses','illustrates','transition','transformation','evolution','proliferation','emergence','contemporary','comprehensive','opted','acknowledged','advocated','cultivated','elucidated','emphasized','exemplified','highlighted','posited','contended','beneficial','detrimental','pivotal','instrumental','paramount','imperative','multifaceted']);
+
+// Context words around each occurrence of `term` (a word, matched on its
+// lemma, or a phrase): the content words within SWAP_CONTEXT_WINDOW tokens
+// either side, lemmatized, numbers included.
+const SWAP_CONTEXT_WINDOW = 6;
+function swapContexts(text, term) {
+  const tokens = text.toLowerCase().replace(/’/g, "'").match(/[a-z0-9][a-z0-9%'.-]*[a-z0-9%]|[a-z0-9]/g) || [];
+  const parts = term.split(' ');
+  const lemma = parts.length === 1 ? lexiconLemma(term) : null;
+  const contexts = [];
+  for (let i = 0; i + parts.length <= tokens.length; i++) {
+    const hit = lemma ? lexiconLemma(tokens[i]) === lemma : parts.every((p, k) => tokens[i + k] === p);
+    if (!hit) continue;
+    const around = [...tokens.slice(Math.max(0, i - SWAP_CONTEXT_WINDOW), i), ...tokens.slice(i + parts.length, i + parts.length + SWAP_CONTEXT_WINDOW)];
+    contexts.push(new Set(around.filter(w => /\d/.test(w) || (w.length >= 3 && !STOP_WORDS.has(w))).map(lexiconLemma)));
+  }
+  return contexts;
+}
+
+// v20.12: a swap only reverses the passage when the student's antonym fills
+// the original's slot — two context words shared between an occurrence of
+// each. "a potential loss of 10% of global GDP" and "renewables bring
+// benefits" are different statements, not one reversed.
+function swapAligned(passageText, original, studentText, replacement) {
+  const passageContexts = swapContexts(passageText, original);
+  return swapContexts(studentText, replacement).some(sc =>
+    passageContexts.some(pc => [...sc].filter(w => pc.has(w)).length >= 2));
+}
+
+function analyzeSwaps(studentText, passageText) {
+  const studentWords = studentText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2);
+  const passageWordSet = new Set(passageText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/).filter(w => w.length > 2));
+  const studentWordSet = new Set(studentWords);
+  const novelWords = studentWords.filter(w => !passageWordSet.has(w) && !STOP_WORDS.has(w) && w.length >= 3);
+
+  // v20.12: swaps are judged against the bundled lexicon. Words match on their
+  // lemma ("declined" counts as "decline") and multi-word entries ("in spite
+  // of", "because of") match as phrases.
+  const lex = loadLexicon();
+  const side = (text, words) => ({
+    words,
+    lemmas: new Set([...words].map(lexiconLemma)),
+    padded: ` ${text.toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim()} `
+  });
+  const has = (t, term) => term.includes(' ') ? t.padded.includes(` ${term} `) : (t.words.has(term) || t.lemmas.has(lexiconLemma(term)));
+  // The student's own form of a matched term ("declined", not "decline").
+  const studentForm = (term) => term.includes(' ') ? term
+    : [...studentWordSet].find(w => w === term) || [...studentWordSet].find(w => lexiconLemma(w) === lexiconLemma(term)) || term;
+  const student = side(studentText, studentWordSet);
+  const passage = side(passageText, passageWordSet);
+  const originals = [...passageWordSet, ...lex.phrases.filter(k => k.includes(' ') && passage.padded.includes(` ${k} `))];
+
+  const safeSwaps = [];
+  const seenSafe = new Set();
+  for (const original of originals) {
+    const entry = lexiconEntry(original);
+    if (!entry || !entry.syn || !entry.syn.length) continue;
+    // Domain nouns must NOT be changed: an uncurated noun-only entry is a
+    // suggestion source, never swap credit.
+    if (!(entry.cur || '').includes('s') && !/[varpc]/.test(entry.pos)) continue;
+    for (const syn of entry.syn) {
+      if (!has(student, syn) || has(passage, syn)) continue;
+      // "favour" for "favor" is a spelling variant, not a paraphrase.
+      const variant = loadSpellingDictionary().pairs.get(syn);
+      if (variant && [variant.us, variant.uk].includes(lexiconLemma(original))) continue;
+      // One credit per original and per student word.
+      const form = studentForm(syn);
+      if (seenSafe.has(lexiconLemma(original)) || seenSafe.has(form)) continue;
+      seenSafe.add(lexiconLemma(original)); seenSafe.add(form);
+      safeSwaps.push({ original, replacement: form, type: 'safe' });
+    }
+  }
+
+  const structuralChanges = [];
+  const passageSentences = passageText.split(/[.!?]+/).filter(s => s.trim().length > 20);
+  const studentLower = studentText.toLowerCase();
+  let ideasCombined = 0;
+  for (const sent of passageSentences) {
+    const kw = sent.toLowerCase().replace(/[^\w\s]/g,'').split(/\s+/).filter(w => w.length >= 5 && !STOP_WORDS.has(w)).slice(0, 3);
+    if (kw.length >= 2 && kw.some(k => studentLower.includes(k))) ideasCombined++;
+  }
+  if (ideasCombined >= 3) structuralChanges.push({ type: 'combining', detail: 'Combined ' + ideasCombined + ' passage ideas into one sentence' });
+
+  const pCW = passageText.toLowerCase().replace(/[^\w\s]/g,'').split(/\s+/).filter(w => w.length > 3 && !STOP_WORDS.has(w));
+  const sCW = studentText.toLowerCase().replace(/[^\w\s]/g,'').split(/\s+/).filter(w => w.length > 3 && !STOP_WORDS.has(w));
+  if (sCW.length / Math.max(1, pCW.length) < 0.40) structuralChanges.push({ type: 'condensing', detail: 'Condensed to ' + Math.round((sCW.length / Math.max(1, pCW.length))*100) + '% of passage' });
+
+  const uniqueNovel = [...new Set(novelWords)];
+  if (uniqueNovel.length >= 3) structuralChanges.push({ type: 'novel_phrasing', detail: uniqueNovel.length + ' novel words introduced' });
+
+  const totalParaphraseCredit = safeSwaps.length + structuralChanges.length;
+
+  const dangerousSwaps = [];
+  // ── Suppress false positives when the passage already covers both sides ──
+  // If the passage discusses BOTH "advantages" AND "disadvantages" (or any opposing pair),
+  // a student using either word's antonym is legitimately referring to the other side,
+  // not reversing meaning. Don't flag in that case.
+  const passageWordList = [...passageWordSet];
+  const passageContainsBothSides = (antonyms) => antonyms.some(a =>
+    has(passage, a) || (a.length >= 5 && !a.includes(' ') && passageWordList.some(w => w.startsWith(a.slice(0, 5)))));
+  const seenDanger = new Set();
+  for (const original of originals) {
+    const entry = lexiconEntry(original);
+    if (!entry || !entry.ant || !entry.ant.length) continue;
+    if (has(student, original)) continue;
+    if (passageContainsBothSides(entry.ant)) continue;
+    for (const ant of entry.ant) {
+      if (!has(student, ant) || has(passage, ant)) continue;
+      if (!swapAligned(passageText, original, studentText, studentForm(ant))) continue;
+      const key = `${lexiconLemma(original)}→${ant}`;
+      if (seenDanger.has(key)) continue;
+      seenDanger.add(key);
+      dangerousSwaps.push({ original, replacement: studentForm(ant), type: 'dangerous' });
+    }
+  }
+
+  const academicWordsUsed = [...new Set(studentWords.filter(w => ACADEMIC_WORDS.has(w)))];
+
+  return { safeSwaps, structuralChanges, dangerousSwaps, safeSwapCount: safeSwaps.length, structuralCount: structuralChanges.length, totalParaphraseCredit, dangerousSwapCount: dangerousSwaps.length, academicWordsUsed, novelWords: uniqueNovel.slice(0, 10), novelWordRate: Math.round((uniqueNovel.length / Math.max(1, studentWords.length)) * 100) };
+}
+
+// Basic word → academic alternatives come from the lexicon's curated `upgrades`
+// table; copied passage words then get lexicon synonyms the passage does not
+// already use (v20.12), academic register first.
+function generateVocabSuggestions(studentText, passageText = '') {
+  const { upgrades } = loadLexicon();
+  const words = studentText.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/);
+  const suggestions = []; const seen = new Set();
+  for (const word of words) {
+    if (upgrades[word] && !seen.has(word)) { seen.add(word); suggestions.push({ original: word, upgrades: upgrades[word] }); }
+  }
+  if (passageText) {
+    const passageLower = passageText.toLowerCase();
+    for (const word of identifySwapCandidates(studentText, passageText, [...seen])) {
+      const entry = lexiconEntry(word);
+      // Uncurated WordNet synonyms are only offered when they are academic.
+      const curated = (entry.cur || '').includes('s');
+      const rank = { academic: 0, neutral: 1, informal: 2 };
+      const options = entry.syn
+        .filter(syn => !passageLower.includes(syn) && (curated || lexiconRegister(syn) === 'academic'))
+        .sort((x, y) => rank[lexiconRegister(x)] - rank[lexiconRegister(y)])
+        .slice(0, 3);
+      if (options.length) suggestions.push({ original: word, upgrades: options });
+    }
+  }
+  return suggestions.slice(0, 8);
+}
+
+
+
+// FORM VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+function validateForm(text) {
+  const words = text.trim().split(/\s+/).filter(w => w.length > 0);
+  const wc = words.length;
+  if (wc < 5)  return { valid: false, score: 0, reason: 'Too short (min 5 words)', wc, overflow_penalty: 0 };
+  if (wc > 75) return { valid: false, score: 0, reason: `Too long (${wc} words, max 75) — form fails, PTE 10`, wc, overflow_penalty: 0 };
+  if (!/[.!?]$/.test(text.trim())) return { valid: false, score: 0, reason: 'Must end with period', wc, overflow_penalty: 0 };
+  const clean = text.replace(/\b(?:Dr|Mrs|Mr|Ms|Prof|Jr|Sr|St|etc|vs|approx|govt|Inc|Corp|Ltd|Vol|No|Fig)\./gi, '##')
+                     .replace(/\b(?:U\.K|U\.S|i\.e|e\.g|a\.m|p\.m)\b\.?/gi, '##');
+  const sentences = (clean.match(/[.!?](\s|$)/g) || []).length;
+  if (sentences !== 1) return { valid: false, score: 0, reason: `Must be exactly one sentence (found ${sentences})`, wc, overflow_penalty: 0 };
+
+  return { valid: true, score: 1, reason: 'Valid', wc, overflow_penalty: 0, warning: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GRAMMAR CHECK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─── GRAMMAR RULE ENGINE (v20.10) ───────────────────────────────────────────
+// Deterministic rules shared by the SWT grader (checkGrammar) and the Write
+// Essay grader (checkEssayGrammar). Each rule is { id, severity, tasks?,
+// swtCap?, check(ctx) } and check() returns matches as { start, end,
+// message, replacement? } — character offsets into the original text, with
+// `replacement` the exact text that should stand in for text.slice(start,
+// end) ('' deletes it, null/absent means there's no mechanical fix).
+// runGrammarRules() stamps rule id, severity and phrase on each match and
+// drops overlaps, so the UI can underline and auto-fix spans directly.
+//
+// The patterns are deliberately narrow: a missed error costs less than a
+// false underline on a correct sentence.
+const GRAMMAR_MODALS = ['can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must'];
+const GRAMMAR_AUXILIARIES = new Set(['is', 'are', 'was', 'were', 'has', 'have', 'had', 'do', 'does', 'did', 'am', ...GRAMMAR_MODALS]);
+const GRAMMAR_SUBORDINATORS = ['because', 'although', 'though', 'while', 'whereas', 'since', 'if', 'unless', 'when', 'whenever', 'after', 'before', 'once', 'as', 'until', 'which', 'who'];
+const GRAMMAR_PP_HEADS = new Set(['of', 'for', 'in', 'on', 'with', 'by', 'to', 'from', 'about', 'among', 'between', 'than', 'like', 'that', 'which', 'who']);
+
+// Simple past → [base, past participle]. Used for "will went", "did went"
+// and "has went"; the participle is omitted where it equals the past form.
+const IRREGULAR_PAST_FORMS = {
+  went: ['go', 'gone'], came: ['come', 'come'], took: ['take', 'taken'], gave: ['give', 'given'],
+  ate: ['eat', 'eaten'], began: ['begin', 'begun'], wrote: ['write', 'written'], chose: ['choose', 'chosen'],
+  drove: ['drive', 'driven'], spoke: ['speak', 'spoken'], grew: ['grow', 'grown'], knew: ['know', 'known'],
+  rose: ['rise', 'risen'], fell: ['fall', 'fallen'], broke: ['break', 'broken'], ran: ['run', 'run'],
+  saw: ['see', 'seen'], did: ['do', 'done'], became: ['become', 'become'], made: ['make'], got: ['get'],
+  found: ['find'], brought: ['bring'], thought: ['think'], told: ['tell'], kept: ['keep'], left: ['leave'],
+  lost: ['lose'], paid: ['pay'], sold: ['sell'], sent: ['send'], spent: ['spend'], taught: ['teach'],
+  built: ['build'], caught: ['catch'], felt: ['feel'], met: ['meet'], understood: ['understand'], won: ['win']
+};
+
+// Singular countable nouns students pair with plural determiners ("many
+// problem") or the wrong verb ("the study are").
+const GRAMMAR_COUNT_NOUNS = {
+  person: 'people', child: 'children', man: 'men', woman: 'women',
+  study: 'studies', country: 'countries', city: 'cities', company: 'companies', industry: 'industries',
+  technology: 'technologies', policy: 'policies', opportunity: 'opportunities', century: 'centuries',
+  community: 'communities', society: 'societies', activity: 'activities', economy: 'economies',
+  problem: 'problems', student: 'students', researcher: 'researchers', scientist: 'scientists',
+  factor: 'factors', effect: 'effects', benefit: 'benefits', reason: 'reasons', method: 'methods',
+  result: 'results', issue: 'issues', change: 'changes', way: 'ways', type: 'types', example: 'examples',
+  area: 'areas', region: 'regions', government: 'governments', school: 'schools', worker: 'workers',
+  job: 'jobs', product: 'products', resource: 'resources', challenge: 'challenges', solution: 'solutions',
+  disease: 'diseases', patient: 'patients', animal: 'animals', plant: 'plants', year: 'years',
+  decade: 'decades', system: 'systems', idea: 'ideas', advantage: 'advantages', risk: 'risks',
+  cost: 'costs', report: 'reports', author: 'authors', writer: 'writers', article: 'articles',
+  passage: 'passages', speaker: 'speakers', lecturer: 'lecturers', population: 'populations',
+  process: 'processes', finding: 'findings'
+};
+// Collective nouns take a plural verb in UK/AU usage ("the government have
+// introduced"), so the singular-subject check leaves them alone.
+const GRAMMAR_COLLECTIVE_NOUNS = new Set(['government', 'community', 'population', 'company', 'society', 'economy']);
+const GRAMMAR_PLURAL_NOUNS = new Set([
+  ...Object.values(GRAMMAR_COUNT_NOUNS),
+  'citizens', 'consumers', 'users', 'experts', 'individuals', 'nations', 'teenagers', 'adults', 'parents', 'employees', 'employers'
+]);
+const GRAMMAR_UNCOUNTABLE = ['information', 'advice', 'research', 'evidence', 'knowledge', 'equipment', 'furniture', 'news', 'homework', 'luggage', 'baggage', 'feedback', 'traffic', 'pollution', 'progress'];
+const GRAMMAR_PLURAL_QUANTIFIERS = ['many', 'several', 'numerous', 'various', 'few', 'multiple', 'these', 'those', 'two', 'three', 'four', 'five', 'both'];
+
+// [verb/noun forms, wrong prepositions, right preposition ('' drops it)]
+const PREPOSITION_COLLOCATIONS = [
+  ['depend|depends|depended|depending', 'of|from', 'on'],
+  ['rely|relies|relied|relying', 'of|from|in', 'on'],
+  ['focus|focuses|focused|focusing|focussed|focussing', 'in|at', 'on'],
+  ['interested', 'about|on|for', 'in'],
+  ['responsible', 'of', 'for'],
+  ['aware', 'about|on', 'of'],
+  ['similar', 'with', 'to'],
+  ['consist|consists|consisted|consisting', 'from|by', 'of'],
+  ['comply|complies|complied|complying', 'to', 'with'],
+  ['contribute|contributes|contributed|contributing', 'for', 'to'],
+  ['impact|impacts', 'to|over', 'on'],
+  ['participate|participates|participated|participating', 'at|on', 'in'],
+  ['insist|insists|insisted|insisting', 'to|about', 'on'],
+  ['succeed|succeeds|succeeded|succeeding', 'to', 'in'],
+  ['married', 'with', 'to'],
+  ['according', 'with', 'to'],
+  ['result|results|resulted|resulting', 'to', 'in'],
+  ['affect|affects|affected|affecting', 'on', ''],
+  ['discuss|discusses|discussed|discussing', 'about', ''],
+  ['emphasise|emphasises|emphasised|emphasising|emphasize|emphasizes|emphasized|emphasizing', 'on', ''],
+  ['explain|explains|explained|explaining', 'about', ''],
+  ['mention|mentions|mentioned|mentioning', 'about', ''],
+  ['consider|considers|considered|considering', 'about', ''],
+  ['lacks|lacked', 'of', '']
+];
+
+function matchCase(replacement, original) {
+  if (!replacement) return replacement;
+  if (original === original.toUpperCase() && original.length > 1) return replacement.toUpperCase();
+  if (/^[A-Z]/.test(original)) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+// Sentences with their offsets. Splits on . ! ? followed by whitespace (so
+// "3.5" stays put) and on line breaks; the full stops of titles and Latin
+// abbreviations ("Dr.", "e.g.") are masked first so they never end a sentence.
+function grammarSentences(text) {
+  const out = [];
+  const masked = text.replace(/\b(?:Dr|Mrs|Mr|Ms|Prof|Jr|Sr|St|Mt|etc|vs|approx|Inc|Corp|Ltd|No|Fig|e\.g|i\.e|a\.m|p\.m|U\.S|U\.K)\./g, a => a.replace(/\./g, '\u2024'));
+  const re = /[^.!?\n]+(?:[.!?]+(?!\s|$)[^.!?\n]*)*[.!?]*/g;
+  let m;
+  while ((m = re.exec(masked))) {
+    const raw = text.slice(m.index, m.index + m[0].length);
+    const lead = raw.length - raw.trimStart().length;
+    const body = raw.trim();
+    if (!body) continue;
+    out.push({ text: body, start: m.index + lead, end: m.index + lead + body.length });
+  }
+  return out;
+}
+
+function grammarTokens(text, offset = 0) {
+  const out = [];
+  const re = /[A-Za-z][A-Za-z'’]*/g;
+  let m;
+  while ((m = re.exec(text))) out.push({ word: m[0], lower: m[0].toLowerCase(), start: offset + m.index, end: offset + m.index + m[0].length });
+  return out;
+}
+
+// Rough finite-verb test: auxiliaries, modals, -ed forms and the irregular
+// past forms above. Present-tense lexical verbs ("rises") are missed on
+// purpose — they look exactly like plural nouns.
+function looksFinite(tokens) {
+  return tokens.some(t => GRAMMAR_AUXILIARIES.has(t.lower) || IRREGULAR_PAST_FORMS[t.lower] || (t.lower.length > 4 && /ed$/.test(t.lower) && !/eed$/.test(t.lower)));
+}
+
+// "helped" → "help", "increased" → "increase", "studied" → "study", "helps" → "help".
+function verbBaseForm(word) {
+  const w = word.toLowerCase();
+  if (IRREGULAR_PAST_FORMS[w]) return IRREGULAR_PAST_FORMS[w][0];
+  const tries = [];
+  if (/ied$/.test(w)) tries.push(w.slice(0, -3) + 'y');
+  if (/ed$/.test(w) && !/eed$/.test(w)) {
+    tries.push(w.slice(0, -2), w.slice(0, -1));
+    if (/([b-df-hj-np-tv-z])\1ed$/.test(w)) tries.push(w.slice(0, -3));
+  }
+  if (/ies$/.test(w)) tries.push(w.slice(0, -3) + 'y');
+  if (/(ch|sh|x|ss|o)es$/.test(w)) tries.push(w.slice(0, -2));
+  if (/[^s]s$/.test(w) && !/(us|is)$/.test(w)) tries.push(w.slice(0, -1));
+  return tries.find(t => t.length >= 2 && isDictionaryWord(t)) || null;
+}
+
+// Comma-splice helpers: what may open a clause after a comma, and what never
+// heads a subject noun phrase.
+const GRAMMAR_SUBJECT_PRONOUNS = new Set(['it', 'this', 'they', 'he', 'she', 'we', 'there', 'these', 'those']);
+const GRAMMAR_DETERMINERS = new Set(['the', 'this', 'these', 'those', 'its', 'their', 'our', 'his', 'her', 'a', 'an', 'each', 'every', 'some', 'many', 'most']);
+const GRAMMAR_NON_SUBJECTS = new Set([
+  ...GRAMMAR_SUBORDINATORS, ...GRAMMAR_PP_HEADS, 'and', 'but', 'or', 'nor', 'so', 'yet', 'then', 'also', 'not', 'only',
+  'especially', 'particularly', 'including', 'such', 'however', 'therefore', 'moreover', 'furthermore', 'consequently',
+  'nevertheless', 'thus', 'hence', 'whose', 'what', 'where', 'how', 'why', 'whether'
+]);
+
+// A present-tense lexical verb in -s ("helps", "makes"): its base is a
+// dictionary word and it isn't one of the plural nouns above.
+function looksLikeSVerb(word) {
+  const w = word.toLowerCase();
+  return w.length > 3 && /[^s]s$/.test(w) && !/(us|is|ss|ous)$/.test(w) && !GRAMMAR_PLURAL_NOUNS.has(w) && !!verbBaseForm(w);
+}
+
+// looksFinite() plus a lexical -s verb straight after its subject
+// ("technology helps", "it makes").
+function clauseLooksFinite(tokens) {
+  if (looksFinite(tokens)) return true;
+  return tokens.some((t, i) => {
+    if (i === 0 || !looksLikeSVerb(t.lower)) return false;
+    const prev = tokens[i - 1].lower;
+    return GRAMMAR_SUBJECT_PRONOUNS.has(prev) || (!/s$/.test(prev) && !GRAMMAR_DETERMINERS.has(prev) && !GRAMMAR_NON_SUBJECTS.has(prev));
+  });
+}
+
+// "meaning", "leaving", "running", "increased" — but not "handwriting".
+function looksLikeParticiple(word) {
+  if (/ed$/.test(word) && !/eed$/.test(word)) return word.length > 4 && !!verbBaseForm(word);
+  if (!/ing$/.test(word) || word.length < 5) return false;
+  const stem = word.slice(0, -3);
+  return [stem, stem + 'e', /([b-df-hj-np-tv-z])\1$/.test(stem) ? stem.slice(0, -1) : ''].some(t => t.length >= 2 && isDictionaryWord(t));
+}
+
+// Subject + finite verb at the very start of `text` — "it makes", "the
+// economy grows", "unemployment is", "handwriting skills are". Returns
+// { subject, verb, end } or null. A bare noun subject only counts before an
+// auxiliary or irregular past ("profits fell"): before an -s or -ed word it
+// is as likely half of a compound noun ("teacher salaries"), and a
+// participle first word opens a modifier ("meaning costs are").
+function clauseOpening(text) {
+  const m = text.match(/^([A-Za-z]+)\s+([A-Za-z]+)(?:\s+([A-Za-z]+))?/);
+  if (!m) return null;
+  const [w1, w2, w3] = [m[1], m[2], m[3] || ''].map(w => w.toLowerCase());
+  const finite = (v, bare) => GRAMMAR_AUXILIARIES.has(v) || !!IRREGULAR_PAST_FORMS[v] ||
+    (!bare && ((v.length > 4 && /ed$/.test(v) && !/eed$/.test(v)) || looksLikeSVerb(v)));
+  const nounish = w => !GRAMMAR_DETERMINERS.has(w) && !GRAMMAR_SUBJECT_PRONOUNS.has(w) && !GRAMMAR_NON_SUBJECTS.has(w) && !GRAMMAR_AUXILIARIES.has(w);
+  const second = { subject: m[1], verb: m[2], end: m[1].length + m[0].slice(m[1].length).indexOf(m[2]) + m[2].length };
+  const third = { subject: m[1], verb: m[3], end: m[0].length };
+  if (GRAMMAR_SUBJECT_PRONOUNS.has(w1) && finite(w2, false)) return second;
+  if (GRAMMAR_DETERMINERS.has(w1)) return w3 && nounish(w2) && finite(w3, false) ? third : null;
+  if (!nounish(w1) || looksLikeParticiple(w1)) return null;
+  if (finite(w2, true)) return second;
+  if (w3 && nounish(w2) && finite(w3, true)) return third;
+  return null;
+}
+
+function* regexMatches(re, text) {
+  const g = new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g');
+  let m;
+  while ((m = g.exec(text))) { yield m; if (m[0] === '') g.lastIndex++; }
+}
+
+function precedingWord(text, index) {
+  const m = text.slice(0, index).match(/([A-Za-z']+)\s*$/);
+  return m ? m[1].toLowerCase() : '';
+}
+
+const GRAMMAR_RULES = [
+  {
+    id: 'article.uncountable', severity: 'minor',
+    check({ text }) {
+      const out = [];
+      const re = new RegExp(`\\b(an?)\\s+(${GRAMMAR_UNCOUNTABLE.join('|')})\\b(?=\\s*(?:[.,;:!?)]|$|\\s(?:of|on|about|into|that|which|from|for|is|was|has|shows|suggests|indicates|and|to|in)\\b))`, 'gi');
+      for (const m of regexMatches(re, text)) {
+        out.push({ start: m.index, end: m.index + m[0].length, replacement: matchCase(m[2], m[1]), message: `"${m[2]}" is uncountable — drop "${m[1]}" (or say "a piece of ${m[2].toLowerCase()}").` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'article.a_an', severity: 'minor',
+    check({ text }) {
+      const out = [];
+      for (const m of regexMatches(/\b(a|an)\s+([A-Za-z][\w'-]*)/gi, text)) {
+        const [, article, next] = m;
+        const lower = next.toLowerCase();
+        let vowelSound;
+        if (/^[A-Z]{2,}$/.test(next)) vowelSound = /^[AEFHILMNORSX]/.test(next);
+        else if (/^(hour|honest|honou?r|heir)/.test(lower)) vowelSound = true;
+        else if (/^(unic|unif|unil|unio|uniq|unis|unit|univ|use|usu|usa|uti|ure|uri|uro|ura|eu|ewe|one\b|once)/.test(lower)) vowelSound = false;
+        else vowelSound = /^[aeiou]/.test(lower);
+        const want = vowelSound ? 'an' : 'a';
+        if (article.toLowerCase() === want) continue;
+        // A lone capital "A" can be a label ("Plan A is...") — only flag it
+        // at the start of a sentence.
+        if (article === 'A' && m.index > 0 && !/[.!?]\s*$/.test(text.slice(0, m.index))) continue;
+        out.push({
+          start: m.index, end: m.index + article.length, replacement: matchCase(want, article),
+          message: vowelSound ? `Use "an" before a vowel sound ("an ${next}").` : `Use "a" before a consonant sound ("a ${next}").`
+        });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'agreement.subject_verb', severity: 'major', swtCap: 0,
+    check({ text }) {
+      const out = [];
+      const toPlural = { is: 'are', was: 'were', has: 'have', does: 'do' };
+      const toSingular = { are: 'is', were: 'was', have: 'has', do: 'does' };
+      const plural = `they|we|${[...GRAMMAR_PLURAL_NOUNS].join('|')}`;
+      for (const m of regexMatches(new RegExp(`\\b(${plural})\\s+(is|was|has|does)\\b`, 'gi'), text)) {
+        const before = precedingWord(text, m.index);
+        if (GRAMMAR_PP_HEADS.has(before) && !/^(they|we)$/i.test(m[1])) continue;
+        const vStart = m.index + m[0].length - m[2].length;
+        out.push({ start: vStart, end: m.index + m[0].length, replacement: matchCase(toPlural[m[2].toLowerCase()], m[2]), message: `"${m[1]}" is plural — use "${toPlural[m[2].toLowerCase()]}".` });
+      }
+      // Plural subject + third-person -s on a handful of common lexical verbs
+      // ("people believes"); open-ended -s words are too often nouns.
+      const sVerbs = 'believes|thinks|says|argues|claims|needs|wants|feels|knows|seems|prefers|tends|agrees|depends|relies';
+      for (const m of regexMatches(new RegExp(`\\b(${plural})\\s+(${sVerbs})\\b`, 'gi'), text)) {
+        const before = precedingWord(text, m.index);
+        if (GRAMMAR_PP_HEADS.has(before) && !/^(they|we)$/i.test(m[1])) continue;
+        const vStart = m.index + m[0].length - m[2].length;
+        const base = verbBaseForm(m[2]) || m[2].replace(/s$/i, '');
+        out.push({ start: vStart, end: m.index + m[0].length, replacement: matchCase(base, m[2]), message: `"${m[1]}" is plural — use "${base}".` });
+      }
+      const singular = `he|she|it|(?:the|this|that|each|every|a|an)\\s+(?:${Object.keys(GRAMMAR_COUNT_NOUNS).filter(n => n !== 'person' && !GRAMMAR_COLLECTIVE_NOUNS.has(n)).join('|')}|research|author)`;
+      for (const m of regexMatches(new RegExp(`\\b(${singular})\\s+(are|were|have|do)\\b`, 'gi'), text)) {
+        const before = precedingWord(text, m.index);
+        if (GRAMMAR_PP_HEADS.has(before) || /^(that|which|who|what)$/.test(before)) continue;
+        // "the author and the researcher have" — the noun ends a compound subject.
+        if (/^(and|or|nor)$/.test(before)) continue;
+        const vStart = m.index + m[0].length - m[2].length;
+        out.push({ start: vStart, end: m.index + m[0].length, replacement: matchCase(toSingular[m[2].toLowerCase()], m[2]), message: `"${m[1]}" is singular — use "${toSingular[m[2].toLowerCase()]}".` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'agreement.there_be', severity: 'major',
+    check({ text }) {
+      const out = [];
+      for (const m of regexMatches(/\bthere\s+(is|was)\s+(many|several|numerous|various|few|multiple|two|three|four|five|\d+)\b/gi, text)) {
+        const vStart = m.index + m[0].indexOf(m[1], 5);
+        const want = m[1].toLowerCase() === 'is' ? 'are' : 'were';
+        out.push({ start: vStart, end: vStart + m[1].length, replacement: matchCase(want, m[1]), message: `"${m[2]}" makes the subject plural — "there ${want}".` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'agreement.determiner_noun', severity: 'major',
+    check({ text }) {
+      const out = [];
+      const re = new RegExp(`\\b(${GRAMMAR_PLURAL_QUANTIFIERS.join('|')})\\s+(${Object.keys(GRAMMAR_COUNT_NOUNS).join('|')})\\b(?!['’-])`, 'gi');
+      for (const m of regexMatches(re, text)) {
+        // "those year-round" / "few study hours" — the noun is a modifier
+        const after = text.slice(m.index + m[0].length).match(/^\s+([a-z]+)/);
+        if (after && GRAMMAR_PLURAL_NOUNS.has(after[1])) continue;
+        const nStart = m.index + m[0].length - m[2].length;
+        const plural = GRAMMAR_COUNT_NOUNS[m[2].toLowerCase()];
+        out.push({ start: nStart, end: m.index + m[0].length, replacement: matchCase(plural, m[2]), message: `"${m[1]}" needs a plural noun — "${m[1].toLowerCase()} ${plural}".` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'verb_form.after_auxiliary', severity: 'major',
+    check({ text }) {
+      const out = [];
+      const re = new RegExp(`\\b(${GRAMMAR_MODALS.join('|')}|did|does|do|to)\\s+(not\\s+)?([a-z]+)\\b`, 'gi');
+      for (const m of regexMatches(re, text)) {
+        const aux = m[1].toLowerCase();
+        const verb = m[3];
+        const lower = verb.toLowerCase();
+        // "to" is too often a preposition ("to limited resources") — only
+        // the unambiguous irregular past forms count after it.
+        const irregular = IRREGULAR_PAST_FORMS[lower] && !['made', 'found', 'left', 'lost', 'paid', 'sold', 'sent', 'spent', 'built', 'met', 'kept', 'felt', 'understood', 'told', 'taught', 'caught', 'brought', 'thought', 'won', 'got', 'did'].includes(lower);
+        let base = null;
+        if (aux === 'to') { if (irregular) base = IRREGULAR_PAST_FORMS[lower][0]; }
+        else if (IRREGULAR_PAST_FORMS[lower] && lower !== 'did') base = IRREGULAR_PAST_FORMS[lower][0];
+        else if (/ed$/.test(lower) && lower.length > 4 && !/eed$/.test(lower)) base = verbBaseForm(lower);
+        // "Will radiologists become obsolete?" — a sentence-initial modal is a
+        // question and the -s word is its subject.
+        else if (/[^s]s$/.test(lower) && !/(us|is|ss|ous)$/.test(lower) && lower.length > 3 && !/(^|[.!?"“]\s*)$/.test(text.slice(0, m.index))) {
+          const b = verbBaseForm(lower);
+          // only a verb-ish base: "can helps" yes, "do series" no
+          if (b && b !== lower && !GRAMMAR_PLURAL_NOUNS.has(lower)) base = b;
+        }
+        if (!base || base === lower) continue;
+        const vStart = m.index + m[0].length - verb.length;
+        out.push({ start: vStart, end: vStart + verb.length, replacement: matchCase(base, verb), message: `After "${m[1]}" use the base form: "${m[1]} ${m[2] || ''}${base}".` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'verb_form.perfect', severity: 'major',
+    check({ text }) {
+      const out = [];
+      const pasts = Object.keys(IRREGULAR_PAST_FORMS).filter(p => IRREGULAR_PAST_FORMS[p][1] && IRREGULAR_PAST_FORMS[p][1] !== p);
+      const re = new RegExp(`\\b(has|have|had)\\s+(not\\s+)?(${pasts.join('|')})\\b`, 'gi');
+      for (const m of regexMatches(re, text)) {
+        const participle = IRREGULAR_PAST_FORMS[m[3].toLowerCase()][1];
+        if (participle === m[3].toLowerCase()) continue;
+        const vStart = m.index + m[0].length - m[3].length;
+        out.push({ start: vStart, end: vStart + m[3].length, replacement: matchCase(participle, m[3]), message: `Perfect tenses take the past participle: "${m[1]} ${participle}".` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'tense.consistency', severity: 'minor',
+    check({ text, sentences }) {
+      const out = [];
+      const pastMarker = /\b(yesterday|last\s+(?:year|month|week|decade|century)|in\s+(?:1[5-9]\d\d|20[01]\d)|\d+\s+years\s+ago|ago)\b/gi;
+      const toPast = { is: 'was', are: 'were', has: 'had', have: 'had', does: 'did', do: 'did' };
+      for (const s of sentences) {
+        for (const marker of regexMatches(pastMarker, s.text)) {
+          // Look at the clause the marker sits in (up to the next ; or end).
+          // A marker inside a relative clause ("which were written in 1990,")
+          // only reaches the comma that closes it.
+          const rest = s.text.slice(marker.index + marker[0].length);
+          let clause = rest.split(/[;:]|\b(?:but|whereas|while|now|today|currently)\b/i)[0];
+          if (/,\s*(?:which|who|whom|whose|where)\b[^,;:]*$/i.test(s.text.slice(0, marker.index))) clause = clause.split(',')[0];
+          const words = grammarTokens(clause, s.start + marker.index + marker[0].length).slice(0, 8);
+          const aux = words.find(t => toPast[t.lower]);
+          if (!aux || words.some(t => /^(will|would|since|still)$/.test(t.lower))) continue;
+          out.push({ start: aux.start, end: aux.end, replacement: matchCase(toPast[aux.lower], aux.word), message: `"${marker[0].trim()}" sets the time in the past — keep the verb in the past tense ("${toPast[aux.lower]}").` });
+        }
+      }
+      return out;
+    }
+  },
+  {
+    id: 'sentence.fragment', severity: 'major',
+    check({ sentences }) {
+      const out = [];
+      for (const s of sentences) {
+        const tokens = grammarTokens(s.text, s.start);
+        if (tokens.length < 2) continue;
+        const first = tokens[0].lower;
+        if (GRAMMAR_SUBORDINATORS.includes(first) && !['as', 'which', 'who'].includes(first) && !/[,;:—–]/.test(s.text) && tokens.length <= 25) {
+          out.push({ start: s.start, end: s.end, replacement: null, message: `This sentence starts with "${tokens[0].word}" but has no main clause — join it to the next sentence or add one.` });
+          continue;
+        }
+        if (tokens.length >= 3 && tokens.length <= 12 && !looksFinite(tokens) && !tokens.some(t => t.lower.length > 3 && /s$/.test(t.lower))) {
+          out.push({ start: s.start, end: s.end, replacement: null, message: 'This sentence has no verb — it reads as a fragment.' });
+        }
+      }
+      return out;
+    }
+  },
+  {
+    id: 'sentence.comma_splice', severity: 'major',
+    check({ text, sentences }) {
+      const out = [];
+      const adverbs = 'however|therefore|moreover|furthermore|consequently|nevertheless|thus|hence';
+      for (const s of sentences) {
+        // A full clause on both sides of a bare comma: "costs rose, it was
+        // ...", "the economy is growing, unemployment is falling".
+        for (const m of regexMatches(/,\s+/g, s.text)) {
+          const after = s.text.slice(m.index + m[0].length);
+          const opening = clauseOpening(after);
+          if (!opening) continue;
+          // "X, it is argued, Y" — a reporting aside, not a second clause.
+          if (GRAMMAR_AUXILIARIES.has(opening.verb.toLowerCase()) && /^\s+(?:argued|said|believed|thought|claimed|suggested|known|estimated|expected|reported)\b/i.test(after.slice(opening.end))) continue;
+          // "costs fell, the report says;" — a reporting tag closing the clause.
+          if (/^(?:say|said|argue|note|claim|state|suggest|explain|report|warn|add|write|wrote|believe|insist)/i.test(opening.verb) && /^\s*(?:[,;.!?:]|$)/.test(after.slice(opening.end))) continue;
+          // "costs rose, wages fell, and ..." — a list of clauses closed by a conjunction.
+          if (/^[^;]*,\s*(?:and|or|but)\b/i.test(after)) continue;
+          const before = s.text.slice(0, m.index);
+          const clauseStart = before.lastIndexOf(';') + 1;
+          const clause = before.slice(clauseStart);
+          const tokens = grammarTokens(clause);
+          // "if people ... are aware of X, they may ..." — a dependent first
+          // clause anywhere before the comma makes this a normal complex sentence.
+          if (!tokens.length || tokens.some(t => GRAMMAR_SUBORDINATORS.includes(t.lower)) || !clauseLooksFinite(tokens)) continue;
+          if (/\b(that|which|who|whom|and|but|or|so|yet)\s*$/i.test(clause)) continue;
+          const start = s.start + m.index;
+          out.push({ start, end: start + m[0].length + opening.subject.length, replacement: '; ' + opening.subject, message: 'Comma splice: two full clauses joined by a comma — use a semicolon or add "and"/"but".' });
+        }
+        // Conjunctive adverb between commas: "costs rose, however, demand fell"
+        for (const m of regexMatches(new RegExp(`\\s*,\\s*(${adverbs})\\s*,\\s*`, 'gi'), s.text)) {
+          const before = s.text.slice(s.text.lastIndexOf(';', m.index) + 1, m.index);
+          const after = s.text.slice(m.index + m[0].length).split(/[,;]/)[0];
+          if (!clauseLooksFinite(grammarTokens(before)) || !clauseLooksFinite(grammarTokens(after))) continue;
+          const start = s.start + m.index;
+          out.push({ start, end: start + m[0].length, replacement: `; ${m[1].toLowerCase()}, `, message: `"${m[1]}" joining two clauses needs a semicolon before it: "; ${m[1].toLowerCase()},".` });
+        }
+      }
+      return out;
+    }
+  },
+  {
+    id: 'sentence.run_on', severity: 'major',
+    check({ text }) {
+      const out = [];
+      // Fused sentences: a new sentence starts mid-line with no full stop.
+      const starters = 'The|This|These|Those|It|They|However|Therefore|Moreover|Furthermore|Consequently|Meanwhile';
+      for (const m of regexMatches(new RegExp(`\\b([a-z]{2,})\\s+(${starters})\\b(?=\\s+[a-z])`, 'g'), text)) {
+        if (/^(called|named|titled|entitled|of|the|by|in|at|from|to|and|or|that|which|said|than)$/.test(m[1])) continue;
+        out.push({ start: m.index, end: m.index + m[0].length, replacement: `${m[1]}. ${m[2]}`, message: `Two sentences run together — end the first one before "${m[2]}".` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'sentence.run_on_long', severity: 'minor', tasks: ['essay', 'sst'],
+    check({ sentences }) {
+      const out = [];
+      for (const s of sentences) {
+        const words = s.text.split(/\s+/).length;
+        const pauses = (s.text.match(/[,;:—–]/g) || []).length;
+        if (words > 45 && pauses < Math.floor(words / 25)) {
+          out.push({ start: s.start, end: s.end, replacement: null, message: `${words} words with almost no punctuation — split this sentence or add commas/semicolons.` });
+        }
+      }
+      return out;
+    }
+  },
+  {
+    id: 'preposition.collocation', severity: 'minor',
+    check({ text }) {
+      const out = [];
+      for (const [heads, wrong, right] of PREPOSITION_COLLOCATIONS) {
+        for (const m of regexMatches(new RegExp(`\\b(${heads})\\s+(${wrong})\\b`, 'gi'), text)) {
+          if (m[1].toLowerCase().startsWith('reason') && precedingWord(text, m.index) === 'by') continue;
+          out.push({
+            start: m.index, end: m.index + m[0].length, replacement: right ? `${m[1]} ${right}` : m[1],
+            message: right ? `We say "${m[1].toLowerCase()} ${right}", not "${m[1].toLowerCase()} ${m[2].toLowerCase()}".` : `"${m[1].toLowerCase()}" takes no preposition — drop "${m[2].toLowerCase()}".`
+          });
+        }
+      }
+      const otherHand = /\bin the other hand\b/gi;
+      for (const m of regexMatches(otherHand, text)) out.push({ start: m.index, end: m.index + 2, replacement: matchCase('on', m[0].slice(0, 2)), message: 'The set phrase is "on the other hand".' });
+      const copeUp = /\b(cope|copes|coped|coping)\s+up\s+with\b/gi;
+      for (const m of regexMatches(copeUp, text)) out.push({ start: m.index, end: m.index + m[0].length, replacement: `${m[1]} with`, message: `"${m[1].toLowerCase()} with" — no "up".` });
+      return out;
+    }
+  },
+  {
+    id: 'repetition.word', severity: 'minor', swtCap: 1,
+    check({ text }) {
+      const out = [];
+      for (const m of regexMatches(/\b(\w+)\s+\1\b/gi, text)) {
+        if (['that', 'had', 'is'].includes(m[1].toLowerCase()) || /^\d+$/.test(m[1])) continue;
+        out.push({ start: m.index, end: m.index + m[0].length, replacement: m[1], message: `"${m[1]}" is written twice in a row.` });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'capitalization.sentence_start', severity: 'minor', swtCap: 1,
+    check({ sentences }) {
+      const out = [];
+      for (const s of sentences) {
+        const m = s.text.match(/^[a-z][\w'-]*/);
+        if (!m) continue;
+        out.push({ start: s.start, end: s.start + m[0].length, replacement: m[0].charAt(0).toUpperCase() + m[0].slice(1), message: 'Every sentence should start with a capital letter.' });
+      }
+      return out;
+    }
+  },
+  {
+    id: 'capitalization.pronoun_i', severity: 'minor',
+    check({ text }) {
+      const out = [];
+      for (const m of regexMatches(/\bi\b(?!\.)(?=['’\s,])/g, text)) out.push({ start: m.index, end: m.index + 1, replacement: 'I', message: '"I" is always a capital letter.' });
+      return out;
+    }
+  }
+];
+
+const SEVERITY_RANK = { major: 2, minor: 1 };
+
+// Runs every rule for `task` ('swt' | 'sst' | 'essay') and returns issues sorted by
+// position: { rule, severity, start, end, phrase, message, replacement }.
+// Where two issues overlap the more severe (then the earlier-listed rule) wins.
+function runGrammarRules(text, { task = 'essay' } = {}) {
+  const ctx = { text, sentences: grammarSentences(text), task };
+  const found = [];
+  GRAMMAR_RULES.forEach((rule, order) => {
+    if (rule.tasks && !rule.tasks.includes(task)) return;
+    for (const hit of rule.check(ctx)) {
+      if (!(hit.end > hit.start)) continue;
+      found.push({
+        rule: rule.id, severity: rule.severity, start: hit.start, end: hit.end,
+        phrase: text.slice(hit.start, hit.end), message: hit.message,
+        replacement: hit.replacement === undefined ? null : hit.replacement,
+        order
+      });
+    }
+  });
+  found.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || a.order - b.order || a.start - b.start);
+  const kept = [];
+  for (const issue of found) {
+    if (kept.some(k => issue.start < k.end && k.start < issue.end)) continue;
+    kept.push(issue);
+  }
+  return kept.sort((a, b) => a.start - b.start).map(({ order, ...issue }) => issue);
+}
+
+// SWT trait cap for an issue: agreement errors keep the old "0" cap, other
+// major issues cap grammar at 1, minor ones are annotation only unless the
+// rule says otherwise.
+function grammarIssueCap(issue) {
+  const rule = GRAMMAR_RULES.find(r => r.id === issue.rule);
+  if (rule && rule.swtCap !== undefined) return rule.swtCap;
+  return issue.severity === 'major' ? 1 : 2;
+}
+
+function checkGrammar(text, passageText) {
+  const lower = text.toLowerCase();
+  let score = 2;
+  const issues = [];
+
+  const connectorPatterns = [
+    { word:'however',type:'contrast' },{ word:'although',type:'contrast' },{ word:'though',type:'contrast' },
+    { word:'whereas',type:'contrast' },{ word:'while',type:'contrast' },{ word:'nevertheless',type:'contrast' },
+    { word:'despite',type:'contrast' },{ word:'therefore',type:'result' },{ word:'consequently',type:'result' },
+    { word:'thus',type:'result' },{ word:'hence',type:'result' },{ word:'moreover',type:'addition' },
+    { word:'furthermore',type:'addition' },{ word:'additionally',type:'addition' },
+  ];
+
+  let foundType = null, connectorUsed = null;
+  for (const { word, type } of connectorPatterns) {
+    if (lower.includes(word)) { foundType = type; connectorUsed = word; break; }
+  }
+  const hasConnector = foundType !== null;
+  const hasSemicolon = /;\s*(however|therefore|moreover|furthermore|consequently|thus|although|though|nevertheless|whereas|additionally|hence)/i.test(text);
+
+  if (!hasConnector) { score = Math.min(score, 1); issues.push('No connector — use however, therefore, moreover, furthermore'); }
+  else if (!hasSemicolon) { score = Math.min(score, 1); issues.push(`Found "${connectorUsed}" but missing semicolon. Use: "; ${connectorUsed},"`); }
+
+  // v20.10: everything past the connector rules comes from the rule engine;
+  // each issue carries a span and replacement for the annotated view.
+  const ruleIssues = runGrammarRules(text, { task: 'swt' });
+  if (hasConnector && !hasSemicolon && ['however', 'therefore', 'moreover', 'furthermore', 'consequently', 'nevertheless', 'additionally', 'hence', 'thus'].includes(connectorUsed)) {
+    const m = text.match(new RegExp(`\\s*,?\\s*\\b${connectorUsed}\\b\\s*,?\\s*`, 'i'));
+    if (m && m.index > 0 && !ruleIssues.some(i => m.index < i.end && i.start < m.index + m[0].length)) {
+      ruleIssues.push({
+        rule: 'connector.semicolon', severity: 'minor', start: m.index, end: m.index + m[0].length,
+        phrase: m[0], message: `Put a semicolon before "${connectorUsed}": "; ${connectorUsed},".`,
+        replacement: `; ${connectorUsed}, `
+      });
+      ruleIssues.sort((a, b) => a.start - b.start);
+    }
+  }
+  for (const issue of ruleIssues) {
+    if (issue.rule === 'connector.semicolon') continue;
+    const cap = grammarIssueCap(issue);
+    if (cap < 2) { issues.push(issue.message); score = Math.min(score, cap); }
+  }
+
+  const firstPerson = detectFirstPerson(text, passageText || '');
+
+  return {
+    score, has_connector: hasConnector, connector_used: connectorUsed,
+    connector_type: foundType || 'none',
+    connector_quality: hasConnector && hasSemicolon ? 'perfect' : hasConnector ? 'partial' : 'missing',
+    has_semicolon_before_connector: hasSemicolon, grammar_issues: issues, first_person: firstPerson,
+    issues: ruleIssues
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VOCABULARY SCORING v2 — Two methods to full marks:
+//
+// VERBATIM METHOD: copy passage lines + connect with however/moreover/etc → 2/2
+// PARAPHRASED METHOD: 4+ appropriate synonym swaps → 2/2
+//
+// Penalties:
+// - Heavy verbatim WITHOUT connectors (lazy lifting) → cap at 1/2
+// - Meaning-reversing synonym → 0/2
+// - LLM-flagged inappropriate synonym → -0.5
+// - First-person not shifted → -0.5 (was hard cap at 1)
+// ═══════════════════════════════════════════════════════════════════════════════
+function scoreVocabulary(verbatimData, swapData, firstPersonData, grammarData, llmJudgment) {
+  const { verbatimRate } = verbatimData;
+  const { safeSwaps, structuralChanges, dangerousSwaps, safeSwapCount, structuralCount, totalParaphraseCredit, dangerousSwapCount, academicWordsUsed } = swapData;
+  const perspectiveShifted = firstPersonData.hasPerspectiveShift;
+  // ── Effective credit for the 4-swap rule = ACTUAL word swaps only ──
+  // Structural changes (combining, condensing) happen in every summary and
+  // shouldn't count as "swap credits" for the paraphrased-vs-verbatim distinction.
+  const wordSwapCredit = safeSwapCount;
+  const effectiveCredit = wordSwapCredit + structuralCount; // for total recognition only
+  const hasConnector = grammarData?.has_connector || false;
+
+  let score = 2; // Default: copy is FINE
+  let notes = [];
+  let suggestion = null;
+  let meaningChanged = false;
+  let inappropriateCount = 0;
+
+  // ── Hard penalty: meaning-reversing synonyms → V:0 ──
+  if (dangerousSwapCount > 0) {
+    meaningChanged = true; score = 0;
+    notes.push(`⚠ MEANING REVERSED: ${dangerousSwaps.map(s => `"${s.original}" → "${s.replacement}"`).join('; ')}`);
+    suggestion = 'Synonym changed the meaning. Choose substitutes that preserve sense ("minor" → "small" OK; "minor" → "major" WRONG).';
+  }
+
+  // ── LLM-detected meaning damage (highest priority after dangerous swaps) ──
+  if (!meaningChanged && llmJudgment?.synonym_appropriateness === 'meaning_changed') {
+    meaningChanged = true; score = 0;
+    notes.push('⚠ Synonym altered passage meaning (AI judge)');
+    if (llmJudgment.synonym_issues?.length) {
+      suggestion = llmJudgment.synonym_issues.slice(0, 2).join('; ');
+    }
+  } else if (!meaningChanged && llmJudgment?.synonym_appropriateness === 'some_inappropriate') {
+    inappropriateCount = (llmJudgment.synonym_issues?.length || 1);
+    score = Math.max(0, score - 0.5);
+    notes.push(`⚠ ${inappropriateCount} inappropriate synonym${inappropriateCount > 1 ? 's' : ''}: ${(llmJudgment.synonym_issues || []).slice(0,2).join('; ')}`);
+  }
+
+  // ── Verbatim Method check: lifting only counts if connectors are present ──
+  // Use wordSwapCredit (actual word substitutions), not effectiveCredit, because
+  // structural changes like "combining" and "condensing" happen in every summary.
+  const isHeavyVerbatim = verbatimRate >= 80 && wordSwapCredit < 2;
+  if (!meaningChanged && isHeavyVerbatim) {
+    if (!hasConnector) {
+      score = Math.min(score, 1);
+      notes.push('⚠ Heavy verbatim without connectors — add ; however, / ; moreover, / ; therefore, to connect clauses');
+      if (!suggestion) suggestion = 'Verbatim is fine BUT clauses must be glued with connectors.';
+    } else {
+      notes.push('✓ Verbatim Method — passage lines properly connected');
+    }
+  }
+
+  // ── First-person not shifted → soft -0.5 (was hard cap at 1) ──
+  if (!meaningChanged && firstPersonData.isProblematic) {
+    score = Math.max(0, score - 0.5);
+    notes.push('⚠ First-person not shifted — change "I made" → "the author made"');
+    if (!suggestion) suggestion = 'Convert "I/my/we" to "the author/his/their" for academic register.';
+  }
+
+  // ── Recognition notes (informational) ──
+  // For "Paraphrased Method" recognition, require 2+ word swaps (was 4) — students
+  // who lift key phrases (rather than full sentences) and apply 2–3 academic upgrades
+  // deserve full vocabulary credit per the v19.2 rubric.
+  if (wordSwapCredit >= 2) notes.push(`✓ ${wordSwapCredit} synonym swap${wordSwapCredit > 1 ? 's' : ''} — Paraphrased Method`);
+  else if (wordSwapCredit === 1) notes.push('1 synonym swap (target: 2–3 academic upgrades for full marks)');
+  else if (!meaningChanged && verbatimRate >= 70) notes.push('Verbatim style — ensure strong connectors');
+
+  if (perspectiveShifted) notes.push('✓ Third-person perspective');
+  if (academicWordsUsed.length >= 2) notes.push(`✓ Academic vocabulary: ${academicWordsUsed.slice(0, 3).join(', ')}`);
+  if (safeSwaps.length > 0 && !meaningChanged) notes.push(`Swaps: ${safeSwaps.slice(0, 4).map(s => `"${s.original}" → "${s.replacement}"`).join(', ')}`);
+  if (structuralChanges.length > 0 && !meaningChanged) notes.push(`Structural: ${structuralChanges.map(s => s.detail).join(', ')}`);
+
+  // Method tag — five paths, all of which can lead to high marks if executed cleanly:
+  //   paraphrased    : 2+ academic word swaps (was 4 in v19.1)
+  //   verbatim       : ≥70% lifted text + connectors (Verbatim Method)
+  //   verbatim_weak  : ≥70% lifted text but no connectors (lazy lifting)
+  //   phrase_picking : low verbatim + content covered + connectors — student
+  //                    selected key phrases and stitched them; legitimate path.
+  //   hybrid         : doesn't fit cleanly into any of the above
+  let method;
+  if (wordSwapCredit >= 2) method = 'paraphrased';
+  else if (verbatimRate >= 70 && hasConnector) method = 'verbatim';
+  else if (verbatimRate >= 70) method = 'verbatim_weak';
+  else if (verbatimRate < 70 && hasConnector) method = 'phrase_picking';
+  else method = 'hybrid';
+
+  if (!suggestion && score >= 2) {
+    suggestion = wordSwapCredit >= 2
+      ? 'Strong vocabulary — keep using academic synonyms.'
+      : 'Replace 2–3 common words with academic synonyms (e.g., made→opted, good→beneficial, important→crucial) to lift Reading skill.';
+  }
+
+  return {
+    score, verbatim_rate: verbatimRate,
+    safe_swaps: safeSwaps, structural_changes: structuralChanges, dangerous_swaps: dangerousSwaps,
+    safe_swap_count: safeSwapCount, structural_count: structuralCount,
+    effective_credit: effectiveCredit, total_paraphrase_credit: effectiveCredit,
+    dangerous_swap_count: dangerousSwapCount,
+    inappropriate_count: inappropriateCount,
+    meaning_changed: meaningChanged,
+    academic_words: academicWordsUsed, perspective_shifted: perspectiveShifted,
+    method,
+    notes, suggestion,
+    breakdown: {
+      verbatim_penalty: isHeavyVerbatim && !hasConnector ? 'no_connectors' : 'none',
+      swap_status: effectiveCredit >= 4 ? 'excellent' : effectiveCredit >= 1 ? 'partial' : 'none',
+      meaning_danger: meaningChanged
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SKILL CONTRIBUTIONS v2
+//
+// Reading skill ceiling rule (per real exam feedback):
+//   "For good Reading scores, correct idea selection AND academic synonyms is must."
+// → contentScore=0 caps Reading at PTE 15 (heavy penalty for wrong ideas)
+// → contentScore=2 + no academic synonyms caps Reading around 55–65 (verbatim path)
+// → contentScore=2 + academic synonyms can reach Reading 90 (paraphrased path)
+//
+// Writing skill: tracks form + grammar + vocab + length-band
+// ═══════════════════════════════════════════════════════════════════════════════
+function estimateSkillContributions(rawScore, contentScore, grammarScore, vocabScore, swapData, llmJudgment, contentMax, maxRaw) {
+  const academicCount = (swapData?.academicWordsUsed?.length || 0)
+    + ((llmJudgment?.academic_register === true) ? 2 : 0);
+  const swapCredit = swapData?.totalParaphraseCredit || 0;
+  // v19.2: 2+ swaps now counts as "academic synonyms used" (was 4)
+  const hasAcademicSynonyms = academicCount >= 2 || swapCredit >= 2;
+  const cohesionStrong = llmJudgment?.cohesion === 'strong';
+  const cohesionWeak = llmJudgment?.cohesion === 'weak';
+
+  // v19.4: ratio-based content tier so 0–N scoring works for any N
+  const cMax = contentMax > 0 ? contentMax : 2;
+  const rMax = maxRaw > 0 ? maxRaw : 7;
+  const contentRatio = contentScore / cMax;        // 0..1
+  const rawRatio     = rawScore / rMax;            // 0..1
+  const contentFull    = contentScore >= cMax;
+  const contentPartial = contentScore > 0 && contentScore < cMax;
+  const contentNone    = contentScore === 0;
+
+  // ── READING ──
+  // Rubric (v19.2): Reading 90 requires correct ideas + (academic synonyms OR
+  // phrase-picking with strong cohesion). Pure verbatim still caps moderately
+  // because Pearson's Reading skill rewards lexical resourcefulness, but the
+  // ceiling is no longer locked unless the student also nails cohesion.
+  let reading;
+  if (contentNone) {
+    reading = 15; // Wrong ideas — cap heavily
+  } else if (contentPartial) {
+    // v19.4: partial coverage scales with how much of the passage was actually captured.
+    if (contentRatio >= 0.75) reading = hasAcademicSynonyms ? 70 : 60;
+    else if (contentRatio >= 0.5) reading = hasAcademicSynonyms ? 55 : 45;
+    else reading = hasAcademicSynonyms ? 42 : 32;
+  } else { // contentFull
+    if (academicCount >= 3 || swapCredit >= 3) reading = 90;
+    else if (hasAcademicSynonyms) reading = 82;            // 2+ swaps now reaches 82 (was 79)
+    else if (cohesionStrong && swapCredit >= 1) reading = 79; // phrase-picking + 1 swap + strong cohesion
+    else if (swapCredit >= 1) reading = 70;
+    else if (cohesionStrong) reading = 65;                 // pure verbatim but well-connected
+    else reading = 55; // verbatim with no swaps and no strong cohesion signal
+  }
+  // Cohesion penalty — weak cohesion should knock Reading down even with content
+  if (cohesionWeak && reading > 50) reading = Math.max(50, reading - 15);
+
+  // ── WRITING ── (ratio-based on dynamic maxRaw)
+  let writing;
+  if (rawRatio >= 0.93) writing = 88;
+  else if (rawRatio >= 0.85) writing = 82;
+  else if (rawRatio >= 0.71) writing = 70;
+  else if (rawRatio >= 0.57) writing = 58;
+  else if (rawRatio >= 0.43) writing = 45;
+  else if (rawRatio >= 0.29) writing = 30;
+  else writing = 15;
+
+  return {
+    reading: {
+      estimate: reading,
+      components: { content: contentScore, content_max: cMax, academic_synonyms: academicCount, swap_credit: swapCredit, has_academic_synonyms: hasAcademicSynonyms },
+      note: (() => {
+        if (contentNone) return 'Wrong ideas — Reading skill heavily impacted';
+        if (cohesionWeak) return 'Ideas present but weakly connected — cohesion limits Reading skill';
+        if (contentFull && hasAcademicSynonyms) return 'Strong — correct ideas + academic synonyms';
+        if (contentFull) return 'All ideas captured — replace 2–3 common words with academic synonyms to push Reading higher';
+        return `${contentScore}/${cMax} main ideas captured — add the missing one${cMax - contentScore > 1 ? 's' : ''} to lift Reading further`;
+      })()
+    },
+    writing: {
+      estimate: writing,
+      components: { grammar: grammarScore, vocabulary: vocabScore, form: 1, raw: rawScore, max_raw: rMax },
+      note: rawRatio >= 0.85 ? 'Strong production' : rawRatio >= 0.57 ? 'Moderate production' : 'Production needs work'
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEEDBACK & TIPS
+// ═══════════════════════════════════════════════════════════════════════════════
+function generateFeedback(coverage, grammar, vocab, firstPerson) {
+  const presentCount = coverage.filter(c => c.present).length;
+  const missing = coverage.filter(c => !c.present).map(c => c.type);
+  const parts = [];
+
+  if (presentCount === 3) parts.push('All 3 key ideas captured — excellent comprehension.');
+  else if (presentCount === 2) parts.push(`2/3 key ideas found. Missing: ${missing[0]}.`);
+  else if (presentCount === 1) parts.push(`Only 1/3 key ideas found. Missing: ${missing.join(' and ')}.`);
+  else parts.push('No key ideas detected. Use TOPIC → PIVOT → CONCLUSION structure.');
+
+  if (grammar.score === 2) parts.push('Grammar excellent with proper connector.');
+  else if (!grammar.has_connector) parts.push('Add a connector with semicolon for full grammar marks.');
+  else parts.push(grammar.grammar_issues[0] || 'Minor grammar issue.');
+
+  if (vocab.meaning_changed) parts.push('⚠️ CRITICAL: Your synonyms changed the meaning of the passage!');
+  else if (vocab.score === 2) parts.push(`Vocabulary excellent (${vocab.total_paraphrase_credit} safe synonym swaps).`);
+  else if (vocab.total_paraphrase_credit < 4) parts.push(`Need ${4 - vocab.total_paraphrase_credit} more synonym swaps for full vocab marks.`);
+
+  if (firstPerson.isProblematic) parts.push('⚠️ First-person language — shift to "The author/narrator".');
+
+  return parts.join(' ');
+}
+
+function generateImprovementTips(rawScore, contentScore, grammarScore, vocabScore, grammar, vocab) {
+  const tips = [];
+  if (contentScore < 2) tips.push('CONTENT: Identify Topic (what is it about?), Pivot (but/however), Conclusion (so what?)');
+  if (grammarScore < 2) {
+    if (!grammar.has_connector) tips.push('GRAMMAR: Add "; however," or "; therefore," with semicolon');
+    else if (!grammar.has_semicolon_before_connector) tips.push(`GRAMMAR: Write "; ${grammar.connector_used}," not just "${grammar.connector_used}"`);
+  }
+  if (vocab.meaning_changed) {
+    tips.push('VOCABULARY: Your synonym CHANGED the meaning! "minor"→"small" is OK, "minor"→"major" is WRONG. Always check the synonym preserves the original idea.');
+  } else if (vocabScore < 2 && vocab.total_paraphrase_credit < 4) {
+    tips.push(`VOCABULARY: Need ${4 - vocab.total_paraphrase_credit} more synonym swaps. Replace verbs (made→opted, knew→acknowledged) and adjectives (good→beneficial, many→numerous) but keep nouns.`);
+  }
+  if (rawScore >= 6 && rawScore < 7) tips.push('ALMOST BAND 9: One small fix could push you to 90.');
+  return tips.join(' | ');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Serve frontend
+app.get('/', (req, res) => {
+  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0');
+  res.set('Pragma', 'no-cache');
+  res.set('Expires', '0');
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// ─── SPELL CHECK — Datamuse sp= (general English dictionary) ─────────────────
+// Complements the passage-relative checkSpelling() which only catches
+// words within edit-distance-1 of a passage word. This catches misspellings
+// of synonym words the student introduces themselves.
+
+const spellCache = new Map();
+const SPELL_CACHE_MAX = 1000;
+
+// Returns top suggestion for a misspelled word, or null if word looks correct
+// ─── HEADLINE RESCUE (v19.7.2) ──────────────────────────────────────────────
+// When Claude awards 0.5 to an idea, the most common reason in practice is that
+// the key element itself contains TWO clauses joined by " and ", " ; ", a comma
+// before "and", or "; moreover/furthermore" — i.e., it's overstuffed. If the
+// student captures the FIRST clause (the headline) but omits the secondary
+// clause, Claude reports partial credit even though by PTE rubric they have
+// fully captured the idea.
+//
+// This rescue extracts the headline from each key element (the substring before
+// the first joining conjunction) and checks whether the student's text contains
+// the distinctive content tokens of that headline. If yes → upgrade 0.5 → 1.0.
+// Conservative thresholds: requires ≥60% of headline content tokens to match,
+// and at least 2 distinctive terms. Never downgrades — only upgrades.
+
+const HEADLINE_STOP = new Set([
+  'the','a','an','and','or','but','of','to','for','from','with','by','in','on',
+  'at','as','is','are','was','were','be','been','have','has','had','will','would',
+  'could','should','may','might','can','this','that','these','those','it','its',
+  'their','they','them','there','then','than','so','also','about','up','out','down',
+  'off','i','you','he','she','we','his','her','our','your','my'
+]);
+
+function extractHeadline(keyElementText) {
+  if (!keyElementText) return '';
+  const t = String(keyElementText).trim();
+  // Splitters kept in sync with condenseKeyElement() to ensure the rescue
+  // sees the same headline that was sent to Claude in the prompt.
+  const splitters = [
+    /,\s+such\s+as\s+/i,
+    /\s+such\s+as\s+/i,               // no-comma variant
+    /,\s+including\s+/i,
+    /,\s+like\s+/i,
+    /,\s+for\s+example\b/i,
+    /,\s+e\.?g\.?\s+/i,
+    /,\s+with\s+/i,
+    /;\s*moreover\b/i,
+    /;\s*furthermore\b/i,
+    /;\s*and\b/i,
+    /,\s+and\s+/i,
+    /;\s*/,
+  ];
+  for (const re of splitters) {
+    const m = t.match(re);
+    if (m && m.index > 20) return t.slice(0, m.index).trim();
+  }
+  return t;
+}
+
+function tokenizeForHeadline(s) {
+  return String(s || '').toLowerCase()
+    .replace(/[^\w\s$%]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length >= 3 && !HEADLINE_STOP.has(w));
+}
+
+// Returns true when the student's text contains enough of the headline's
+// distinctive tokens that we're confident they captured it.
+// Common paraphrase pairs that PTE students use. When the headline contains
+// any of these, students often substitute the alternate form — the matcher
+// should treat them as equivalent. Asymmetric: directional, lookup by headline
+// token. Each entry's array is the set of common student substitutions.
+const HEADLINE_SYNONYMS = {
+  familiar:     ['aware','conscious','acquainted','knowledgeable','knew'],
+  aware:        ['familiar','conscious','acquainted','knowledgeable','knew'],
+  disadvantages:['downsides','drawbacks','limitations','negatives','cons','disadvantage'],
+  disadvantage: ['downside','drawback','limitation','negative','con'],
+  advantages:   ['benefits','upsides','positives','pros','perks','advantage'],
+  advantage:    ['benefit','upside','positive','pro','perk'],
+  persuaded:    ['convinced','swayed','induced','urged','tried'],
+  persuade:     ['convince','sway','induce','urge','try'],
+  altered:      ['changed','transformed','modified','reshaped','revolutionised','revolutionized'],
+  alter:        ['change','transform','modify','reshape','revolutionise','revolutionize'],
+  overtaken:    ['surpassed','exceeded','outpaced','eclipsed','outstripped'],
+  surpassed:    ['overtaken','exceeded','outpaced','eclipsed'],
+  generates:    ['produces','creates','yields','delivers','contributes'],
+  generate:     ['produce','create','yield','deliver','contribute'],
+  catalyst:     ['driver','facilitator','agent','spur'],
+  invented:     ['created','devised','developed','originated','pioneered'],
+  invent:       ['create','devise','develop','originate','pioneer'],
+  frustrated:   ['dissatisfied','annoyed','irritated','displeased'],
+  rivals:       ['competitors','counterparts','peers'],
+  rival:        ['competitor','counterpart','peer'],
+  smooth:       ['easy','steady','straightforward','seamless','effortless'],
+  decision:     ['choice','selection','determination'],
+  choice:       ['decision','selection','determination'],
+  scientist:    ['researcher','academic','scholar','expert'],
+  exchange:     ['swap','trade','substitute','replace'],
+  exchanged:    ['swapped','traded','substituted','replaced'],
+  exchanging:   ['swapping','trading','substituting','replacing'],
+  expensive:    ['costly','pricey','dear','high-priced'],
+  big:          ['large','huge','massive','substantial','significant'],
+  huge:         ['large','big','massive','substantial','significant'],
+  large:        ['big','huge','massive','substantial','significant'],
+  many:         ['numerous','various','several','multiple','plenty'],
+  several:      ['multiple','many','various','numerous'],
+  reduce:       ['lower','decrease','diminish','cut'],
+  reduces:      ['lowers','decreases','diminishes','cuts'],
+};
+
+function headlineCapturedInText(headline, studentText) {
+  const headlineTokens = tokenizeForHeadline(headline);
+  const studentTokens = new Set(tokenizeForHeadline(studentText));
+  if (headlineTokens.length < 2) return { captured: false, ratio: 0, hits: 0, total: 0, matched: [] };
+  let hits = 0;
+  const matched = [];
+  for (const tok of headlineTokens) {
+    // Direct match
+    if (studentTokens.has(tok)) { hits++; matched.push(tok); continue; }
+    // Fuzzy stem (e.g., "overtaken" vs "overtake")
+    const stem = tok.length > 5 ? tok.slice(0, tok.length - 2) : tok;
+    let stemHit = false;
+    if (stem.length >= 4) {
+      for (const st of studentTokens) {
+        if (st.startsWith(stem)) { hits++; matched.push(tok + '→' + st); stemHit = true; break; }
+      }
+    }
+    if (stemHit) continue;
+    // v19.8.1: synonym-aware fallback
+    const synonyms = HEADLINE_SYNONYMS[tok];
+    if (synonyms) {
+      for (const syn of synonyms) {
+        if (studentTokens.has(syn)) { hits++; matched.push(tok + '⇄' + syn); break; }
+        const synStem = syn.length > 5 ? syn.slice(0, syn.length - 2) : syn;
+        if (synStem.length >= 4) {
+          let synHit = false;
+          for (const st of studentTokens) {
+            if (st.startsWith(synStem)) { hits++; matched.push(tok + '⇄' + st); synHit = true; break; }
+          }
+          if (synHit) break;
+        }
+      }
+    }
+  }
+  const ratio = hits / headlineTokens.length;
+  return { captured: ratio >= 0.55 && hits >= 2, ratio, hits, total: headlineTokens.length, matched };
+}
+
+// Apply the rescue to a per_idea_scores object. Returns the rescue audit so
+// it can be surfaced in content_details for transparency / debugging.
+function applyHeadlineRescue(perIdeaScores, keyElements, studentText) {
+  if (!perIdeaScores || !keyElements) return { applied: [], skipped: [] };
+  const audit = { applied: [], skipped: [] };
+  for (const label of Object.keys(perIdeaScores)) {
+    const score = perIdeaScores[label];
+    if (score >= 1) continue;          // already full — nothing to do
+    const keyText = keyElements[label];
+    if (!keyText) continue;
+    const headline = extractHeadline(keyText);
+    // If headline equals the whole key element, no overstuffing detected →
+    // accept Claude's verdict.
+    if (headline.length >= keyText.length - 5) {
+      audit.skipped.push({ label, reason: 'no_dual_clause_pattern' });
+      continue;
+    }
+    const result = headlineCapturedInText(headline, studentText);
+    // v19.8.1: rescue 0.5 and 0.0 cases — but use stricter threshold for 0.0
+    // since Claude was more confident the idea was missing.
+    const wasMissing = score === 0;
+    const threshold = wasMissing ? 0.65 : 0.55;
+    const minHits = wasMissing ? 3 : 2;
+    if (result.ratio >= threshold && result.hits >= minHits) {
+      perIdeaScores[label] = 1;
+      audit.applied.push({
+        label, headline, hits: result.hits, total: result.total,
+        ratio: +result.ratio.toFixed(2),
+        matched: result.matched.slice(0, 6),
+        was: wasMissing ? 'missing' : 'partial'
+      });
+    } else {
+      audit.skipped.push({ label, reason: 'headline_not_captured', ratio: +result.ratio.toFixed(2), hits: result.hits, total: result.total });
+    }
+  }
+  return audit;
+}
+
+// ─── INLINE SPELLING ENRICHMENT (v19.6) ─────────────────────────────────────
+// `checkSpelling` is fast but conservative: it only catches typos within edit
+// distance 1 of words that *already appear in the passage*, with length diff
+// ≤ 1. That misses common transpositions ("excahnge" → "exchange" is distance
+// 2 in pure Levenshtein) and any typo of a paraphrased word that isn't in the
+// passage at all ("decsion" → "decision" when the passage says "choice").
+//
+// This helper takes the existing checkSpelling result and asks Datamuse about
+// remaining candidate words. Datamuse's `sp=` endpoint returns words spelled
+// similarly; if the top result is the queried word, it's correctly spelled.
+// Otherwise we treat it as a typo and use the top suggestions.
+//
+// v20.9: checkSpelling now also consults the bundled word list, which covers
+// both of the cases above offline. Datamuse is left with the words the list
+// doesn't know and couldn't place — capitalised words, rare terms.
+//
+// Bounded concurrency (8 in flight max) + per-call timeout (already in
+// datamouseSpellCheck) keep the overall added latency under ~1 second even
+// for sloppy summaries with many candidates.
+async function enrichSpellingWithDatamuse(localResult, studentText) {
+  if (!studentText || typeof studentText !== 'string') return localResult;
+  // Words already flagged by the passage checker — skip them in Datamuse to
+  // avoid double-counting. Compare lower-cased so "Athur" (capitalised) and
+  // "athur" both dedupe.
+  // v20.9: words the bundled word list knows are settled locally too.
+  const localFlagged = new Set((localResult?.suggestions || []).map(s => (s.misspelled || '').toLowerCase()));
+  const candidates = spellCheckCandidates(studentText)
+    .filter(w => !localFlagged.has(w.toLowerCase()) && !isDictionaryWord(w))
+    .slice(0, 12); // hard cap to bound latency
+
+  if (candidates.length === 0) return localResult;
+
+  // Run lookups in parallel with a soft overall budget. Any individual
+  // datamouseSpellCheck call has its own 3s timeout already.
+  let datamuseHits = [];
+  try {
+    const lookups = candidates.map(async (w) => {
+      const suggestions = await datamouseSpellCheck(w);
+      return suggestions ? { word: w, suggestions } : null;
+    });
+    const overallTimeout = new Promise(resolve => setTimeout(() => resolve('timeout'), 4500));
+    const settled = await Promise.race([Promise.all(lookups), overallTimeout]);
+    if (settled === 'timeout') return localResult; // network slow — keep local-only result
+    datamuseHits = settled.filter(Boolean);
+  } catch (_) { return localResult; }
+
+  if (datamuseHits.length === 0) return localResult;
+
+  // Merge: existing errors + new Datamuse errors. Each Datamuse error keeps
+  // the word's top suggestion as the canonical "suggestion" field for
+  // downstream UI compatibility.
+  const newErrors = datamuseHits.map(h => ({ misspelled: h.word, suggestion: h.suggestions[0], suggestions: h.suggestions, source: 'dictionary' }));
+  const existingSuggestions = (localResult?.suggestions || []).map(s => ({ ...s, source: s.source || 'passage' }));
+  return {
+    ...localResult,
+    errors: [...(localResult?.errors || []), ...newErrors.map(e => e.misspelled)],
+    suggestions: [...existingSuggestions, ...newErrors],
+    count: (localResult?.count || 0) + newErrors.length
+  };
+}
+
+async function datamouseSpellCheck(word) {
+  const key = word.toLowerCase().trim();
+  if (spellCache.has(key)) return spellCache.get(key);
+  try {
+    // sp= returns words spelled similarly; if the exact word comes back top-ranked it's correct
+    const url = `https://api.datamuse.com/words?sp=${encodeURIComponent(key)}&max=5`;
+    const res = await fetch(url, { signal: AbortSignal.timeout(3000) });
+    if (!res.ok) return null;
+    const results = await res.json();
+    if (!results.length) { spellCache.set(key, null); return null; }
+    // If the top result exactly matches the query, the word is spelled correctly
+    if (results[0].word === key) { spellCache.set(key, null); return null; }
+    const suggestions = results.map(r => r.word).filter(w => w !== key).slice(0, 4);
+    const result = suggestions.length ? suggestions : null;
+    if (spellCache.size >= SPELL_CACHE_MAX) spellCache.delete(spellCache.keys().next().value);
+    spellCache.set(key, result);
+    return result;
+  } catch { return null; }
+}
+
+// Tokenise text into unique candidate words worth spell-checking
+function spellCheckCandidates(text) {
+  const words = text.replace(/[^\w\s'-]/g, ' ').split(/\s+/);
+  const seen = new Set();
+  return words.filter(w => {
+    const lower = w.toLowerCase();
+    if (w.length < 4) return false;                       // too short to bother
+    if (/^\d/.test(w)) return false;                      // numbers
+    if (/^[A-Z]{2,}$/.test(w)) return false;              // acronyms
+    if (w.includes("'")) return false;                     // contractions
+    if (seen.has(lower)) return false;                     // deduplicate
+    seen.add(lower);
+    return true;
+  });
+}
+
+app.post('/api/spellcheck', requireApiScope('spellcheck'), async (req, res) => {
+  const { text, passageText } = req.body || {};
+  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'Missing text' });
+  const spellingPref = await resolveSpellingPreference(req.body, req.apiClient);
+  if (spellingPref.error) return res.status(400).json({ error: spellingPref.error });
+
+  // Run the fast local check first (synchronous). v20.9: without a passage it
+  // still runs the word list and the UK/US consistency check.
+  const passageResult = checkSpelling(text, typeof passageText === 'string' ? passageText : '', { preference: spellingPref.preference });
+  const passageFlagged = new Set(passageResult.suggestions.map(s => s.misspelled.toLowerCase()));
+
+  // Then run Datamuse on words neither flagged locally nor in the word list
+  const candidates = spellCheckCandidates(text).filter(w => !passageFlagged.has(w.toLowerCase()) && !isDictionaryWord(w));
+  const datamouseErrors = [];
+
+  // Limit parallel calls to 8 words to avoid flooding Datamuse
+  const toCheck = candidates.slice(0, 8);
+  const checkResults = await Promise.all(toCheck.map(async w => ({ word: w, suggestions: await datamouseSpellCheck(w) })));
+
+  for (const { word, suggestions } of checkResults) {
+    if (suggestions) datamouseErrors.push({ misspelled: word, suggestions });
+  }
+
+  // Merge: local errors (passage / wordlist / variant) + Datamuse errors (multiple suggestions)
+  const allErrors = [
+    ...passageResult.suggestions.map(s => ({ misspelled: s.misspelled, suggestions: s.suggestions || [s.suggestion], source: s.source })),
+    ...datamouseErrors.map(e => ({ misspelled: e.misspelled, suggestions: e.suggestions, source: 'dictionary' }))
+  ];
+
+  res.json({ errors: allErrors, count: allErrors.length, variant: passageResult.variant });
+});
+
+// ─── THESAURUS LOOKUP (v20.12: served from the bundled lexicon, no network) ──
+app.get('/api/thesaurus/:word', (req, res) => {
+  const word = (req.params.word || '').toLowerCase().replace(/[^a-z'-]/g, '').slice(0, 30);
+  if (!word || word.length < 2) return res.status(400).json({ error: 'Invalid word' });
+  try {
+    res.json(lexiconLookup(word));
+  } catch (e) {
+    res.status(500).json({ error: 'Thesaurus lookup failed' });
+  }
+});
+
+app.get('/api/health', async (req, res) => {
+  // Snapshot current state of the storage file
+  const current = {
+    file_exists_now: false,
+    file_size_now: 0,
+    file_mtime_now: null,
+    user_count_now: 0,
+  };
+  try {
+    const stat = await fs.stat(STORAGE_FILE);
+    current.file_exists_now = true;
+    current.file_size_now = stat.size;
+    current.file_mtime_now = stat.mtime.toISOString();
+    try {
+      const parsed = JSON.parse(await fs.readFile(STORAGE_FILE, 'utf8'));
+      current.user_count_now = Object.keys(parsed.users || {}).length;
+    } catch (_) {}
+  } catch (_) {}
+
+  // Probe write capability + persistence
+  let probe = { skipped: 'use ?probe=1 to run a write probe' };
+  if (req.query.probe === '1') probe = await writeProbe();
+
+  // Check the previous write probe's age — if it exists, that's a survivor file
+  // from a previous boot. Its mtime tells us whether the volume persisted.
+  let prevProbeFile = null;
+  try {
+    const probePath = path.join(DATA_DIR, '.write-probe.json');
+    const stat = await fs.stat(probePath);
+    const data = JSON.parse(await fs.readFile(probePath, 'utf8'));
+    prevProbeFile = {
+      mtime: stat.mtime.toISOString(),
+      from_previous_instance: data.instance !== INSTANCE_ID,
+      from_instance: data.instance,
+      written_at: data.ts,
+      age_minutes: Math.round((Date.now() - new Date(data.ts).getTime()) / 60000)
+    };
+  } catch (_) {
+    prevProbeFile = { exists: false, note: 'No probe file from any previous boot — volume may be ephemeral' };
+  }
+
+  // v19.10: When Postgres is active, query DB stats instead of JSON file.
+  let pgStatus = null;
+  if (USE_POSTGRES && pgPool) {
+    pgStatus = { connected: false, accounts: 0, user_data_rows: 0, error: null };
+    try {
+      const { rows: a } = await pgPool.query('SELECT COUNT(*)::int AS n FROM accounts');
+      const { rows: u } = await pgPool.query('SELECT COUNT(*)::int AS n FROM user_data');
+      pgStatus.connected = true;
+      pgStatus.accounts = a[0].n;
+      pgStatus.user_data_rows = u[0].n;
+    } catch (e) {
+      pgStatus.error = e.message;
+    }
+  }
+
+  // Verdict: piece it all together
+  const usingVolume = !!process.env.RAILWAY_VOLUME_MOUNT_PATH;
+  const writingToEphemeral = !USE_POSTGRES && !usingVolume && (DATA_DIR === '/app/data' || DATA_DIR === './data');
+  let verdict;
+  if (USE_POSTGRES) {
+    verdict = pgStatus?.connected
+      ? `✓ Postgres backend active — ${pgStatus.accounts} accounts, ${pgStatus.user_data_rows} user records. Data persists across deploys.`
+      : `⚠ Postgres configured but not reachable: ${pgStatus?.error || 'unknown error'}`;
+  } else if (usingVolume) {
+    verdict = '✓ Volume env var set — writes should persist';
+  } else if (writingToEphemeral) {
+    verdict = '⚠ NO VOLUME AND NO DATABASE_URL — writing to ephemeral disk. Data will be wiped on every deploy.';
+  } else {
+    verdict = '? Unknown — manually check the storage path';
+  }
+
+  res.json({
+    status: 'ok',
+    version: '19.10.0',
+    anthropicConfigured: llm.name === 'anthropic' && llm.available,
+    llmProvider: llm.name,
+    llmAvailable: llm.available,
+    llmRecordMode: llm.recordMode || 'off',
+    spellingPreference: DEFAULT_SPELLING_PREFERENCE,
+    verdict,
+    runtime: {
+      instance_id: INSTANCE_ID,
+      boot_time: BOOT_TIME,
+      uptime_seconds: Math.round(process.uptime()),
+      node_version: process.version,
+    },
+    storage: {
+      backend: USE_POSTGRES ? 'postgres' : 'json_file',
+      postgres: pgStatus,
+      data_dir: DATA_DIR,
+      storage_file: STORAGE_FILE,
+      passages_file: PASSAGES_FILE,
+      using_railway_volume_env: usingVolume,
+      railway_volume_env_value: process.env.RAILWAY_VOLUME_MOUNT_PATH || null,
+      // v19.10.1: report which env var supplied the connection URL, and the
+      // host it points at (credentials stripped) so a bad host is obvious.
+      database_url_source: DATABASE_URL_SOURCE,
+      database_url_host: (() => {
+        if (!DATABASE_URL) return null;
+        try { return new URL(DATABASE_URL).host; }
+        catch (_) { const m = DATABASE_URL.match(/@([^/?]+)/); return m ? m[1] : 'unparseable'; }
+      })(),
+      database_public_url_present: !!process.env.DATABASE_PUBLIC_URL,
+      database_url_present: !!process.env.DATABASE_URL,
+      node_env: process.env.NODE_ENV || null,
+      writing_to_ephemeral_disk: writingToEphemeral,
+    },
+    boot_snapshot: BOOT_SNAPSHOT,
+    current_snapshot: current,
+    previous_probe_file: prevProbeFile,
+    write_probe: probe,
+    hints: USE_POSTGRES ? [
+      'Postgres backend is active. Data persists across deploys and is not affected by Railway volume issues.',
+      'If verdict shows the connection error, check that DATABASE_URL points to a reachable Postgres service.',
+      'To migrate from a previous JSON-file deployment, restart the server — pgMigrateFromJsonIfNeeded runs on every boot and is idempotent.'
+    ] : [
+      'Hit /api/health?probe=1 to test write+read on the data dir',
+      'Compare boot_snapshot.user_count_at_boot vs current_snapshot.user_count_now — if boot starts at 0 after every deploy, the volume is not persisting',
+      'previous_probe_file.from_previous_instance should be true if the volume persists across deploys',
+      'For a permanent fix, provision a Postgres service on Railway — set DATABASE_URL and redeploy'
+    ]
+  });
+});
+
+app.post('/api/progress/:userId', async (req, res) => {
+  try {
+    const { passageId, summary, scoreData } = req.body;
+    res.json(await StorageAPI.saveProgress(req.params.userId, passageId, summary, scoreData));
+  } catch (e) { res.status(500).json({ error: 'Failed to save progress' }); }
+});
+
+app.get('/api/progress/:userId', async (req, res) => {
+  try { res.json(await StorageAPI.getProgress(req.params.userId)); }
+  catch (e) { res.status(500).json({ error: 'Failed to get progress' }); }
+});
+
+app.get('/api/leaderboard', async (req, res) => {
+  try { res.json(await StorageAPI.getLeaderboard(parseInt(req.query.limit) || 10)); }
+  catch (e) { res.status(500).json({ error: 'Failed to get leaderboard' }); }
+});
+
+// ═══ SYNC ENDPOINTS ═══
+// Pull: get full user data from server (called on login)
+// C3: now requires a valid session token matching :userId.
+app.get('/api/sync/:userId', requireSyncAuth, async (req, res) => {
+  try { res.json({ success: true, data: await applyTeacherReviewsToUserData(await StorageAPI.getUserData(req.params.userId)) }); }
+  catch (e) { res.status(500).json({ error: 'Sync pull failed' }); }
+});
+
+// Push: send full user data to server (called on login + after verify)
+// C3: now requires a valid session token matching :userId.
+app.post('/api/sync/:userId', requireSyncAuth, async (req, res) => {
+  try { res.json(await StorageAPI.setUserData(req.params.userId, req.body)); }
+  catch (e) { res.status(500).json({ error: 'Sync push failed' }); }
+});
+
+// ═══ AUTH ROUTES ═══
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, password, secretQ, secretA, email } = req.body;
+    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+    const result = await AuthAPI.register(username, password, secretQ, secretA, email);
+    // C3: hand back a session token the client uses to authorize sync calls.
+    if (result && result.success) result.token = mintSessionToken(username);
+    res.json(result);
+  } catch (e) { res.status(500).json({ error: 'Registration failed' }); }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+    const result = await AuthAPI.login(username, password);
+    if (result && result.success) result.token = mintSessionToken(username);
+    res.json(result);
+  } catch (e) { res.status(500).json({ error: 'Login failed' }); }
+});
+
+app.post('/api/auth/change-password', async (req, res) => {
+  try {
+    const { username, oldPassword, newPassword } = req.body;
+    res.json(await AuthAPI.changePassword(username, oldPassword, newPassword));
+  } catch (e) { res.status(500).json({ error: 'Password change failed' }); }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { username, secretAnswer, newPassword } = req.body;
+    res.json(await AuthAPI.resetPassword(username, secretAnswer, newPassword));
+  } catch (e) { res.status(500).json({ error: 'Reset failed' }); }
+});
+
+app.get('/api/auth/secret-question/:username', async (req, res) => {
+  try { res.json(await AuthAPI.getSecretQ(req.params.username)); }
+  catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/auth/check/:username', async (req, res) => {
+  // Session-validation endpoint. Used by the frontend on page load to decide
+  // whether a saved session is still valid (account exists AND is not blocked).
+  // No password — this only confirms the account is still in good standing.
+  try {
+    const uid = String(req.params.username || '').toLowerCase().trim();
+    if (!uid) return res.json({ exists: false, blocked: false, valid: false });
+    let acct = null;
+    if (USE_POSTGRES) {
+      // Fast path — single-row lookup instead of reading the whole store.
+      acct = await PgStorage._getAccount(uid);
+    } else {
+      const data = await StorageAPI.readData();
+      acct = (data.accounts && data.accounts[uid]) || null;
+    }
+    const exists = !!acct;
+    const blocked = !!(acct && acct.blocked);
+    res.json({ exists, blocked, valid: exists && !blocked, role: acct ? (acct.role || 'user') : null });
+  } catch (e) {
+    res.json({ exists: false, blocked: false, valid: false });
+  }
+});
+
+// ═══ ADMIN ROUTES (require ADMIN_KEY) ═══
+function requireAdmin(req, res, next) {
+  // M1: if ADMIN_KEY is unset (production with no env var), admin routes are
+  // hard-disabled rather than falling back to a guessable default.
+  if (!ADMIN_KEY) return res.status(503).json({ error: 'Admin is not configured on this server (ADMIN_KEY unset).' });
+  const key = req.headers['x-admin-key'] || req.query.key;
+  if (key !== ADMIN_KEY) return res.status(403).json({ error: 'Invalid admin key' });
+  next();
+}
+
+// v20.17: the review queue is open to teachers (a session token for an
+// account with role 'teacher') as well as to the admin key. req.reviewer is
+// who the review is recorded under; v20.19: req.reviewerIsAdmin marks the
+// admin key, which sees every teacher's batch jobs.
+async function requireTeacher(req, res, next) {
+  const key = req.headers['x-admin-key'] || req.query.key;
+  if (ADMIN_KEY && key === ADMIN_KEY) { req.reviewer = adminAuthor(req); req.reviewerIsAdmin = true; return next(); }
+  const who = verifySessionToken(req.headers['x-session-token'] || '');
+  if (!who) return res.status(401).json({ error: 'Not authenticated' });
+  try {
+    if (await AuthAPI.getRole(who) !== 'teacher') return res.status(403).json({ error: 'Teacher role required' });
+  } catch (e) { return res.status(500).json({ error: 'Role check failed' }); }
+  req.reviewer = who;
+  next();
+}
+
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try { res.json(await AuthAPI.listUsers()); }
+  catch (e) { res.status(500).json({ error: 'Failed to list users' }); }
+});
+
+app.post('/api/admin/delete-user', requireAdmin, async (req, res) => {
+  try { res.json(await AuthAPI.deleteUser(req.body.username)); }
+  catch (e) { res.status(500).json({ error: 'Delete failed' }); }
+});
+
+app.post('/api/admin/block-user', requireAdmin, async (req, res) => {
+  try { res.json(await AuthAPI.blockUser(req.body.username, req.body.blocked)); }
+  catch (e) { res.status(500).json({ error: 'Block failed' }); }
+});
+
+app.post('/api/admin/set-role', requireAdmin, async (req, res) => {
+  if (!req.body.username) return res.status(400).json({ error: 'username required' });
+  try {
+    const result = await AuthAPI.setRole(req.body.username, String(req.body.role || '').toLowerCase().trim());
+    if (!result.success && result.error !== 'User not found') return res.status(400).json({ error: result.error });
+    res.json(result);
+  } catch (e) { res.status(500).json({ error: 'Role change failed' }); }
+});
+
+app.post('/api/admin/reset-password', requireAdmin, async (req, res) => {
+  try { res.json(await AuthAPI.adminResetPassword(req.body.username, req.body.newPassword)); }
+  catch (e) { res.status(500).json({ error: 'Reset failed' }); }
+});
+
+app.get('/api/admin/user-data/:username', requireAdmin, async (req, res) => {
+  try { res.json(await AuthAPI.getUserData(req.params.username)); }
+  catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// v20.5: drop every cached grade (e.g. after a judge-prompt tweak that didn't
+// bump SCORING_VERSION).
+app.delete('/api/admin/grade-cache', requireAdmin, async (req, res) => {
+  try { res.json({ success: true, purged: await GradeCacheAPI.purgeAll() }); }
+  catch (e) { res.status(500).json({ error: 'Purge failed', details: e.message }); }
+});
+
+// v20.4: fetch one LLM recording by the llm_request_key a grade response
+// carried — save it under fixtures/llm/ to replay that run locally.
+app.get('/api/admin/llm-recordings/:key', requireAdmin, async (req, res) => {
+  const rec = await readLlmRecording(req.params.key);
+  if (!rec) return res.status(404).json({ error: 'Recording not found' });
+  res.json(rec);
+});
+
+// ─── v19.11: ADMIN IMPERSONATION ("Open Portal as User") ─────────────────────
+// Lets an admin view a student's portal in a new tab. Security model:
+//   1. Admin (authenticated by ADMIN_KEY) requests a token for one username.
+//   2. The token is an HMAC-signed string: base64(username|expiry).signature
+//      — signed with a secret derived from ADMIN_KEY, valid ~5 minutes.
+//   3. The student portal sends the token back; the server validates the
+//      signature + expiry and returns that user's data.
+// A student cannot forge a token (no ADMIN_KEY), and the token cannot be reused
+// for a different username (the username is inside the signed payload).
+const IMPERSONATION_TTL_MS = 5 * 60 * 1000;  // 5 minutes
+function _impersonationSecret() {
+  // Derive a signing secret from ADMIN_KEY so it rotates if the admin key changes.
+  return crypto.createHash('sha256').update('impersonation:' + ADMIN_KEY).digest();
+}
+function mintImpersonationToken(username) {
+  const payload = username.toLowerCase().trim() + '|' + (Date.now() + IMPERSONATION_TTL_MS);
+  const sig = crypto.createHmac('sha256', _impersonationSecret()).update(payload).digest('hex');
+  return Buffer.from(payload).toString('base64') + '.' + sig;
+}
+function verifyImpersonationToken(token) {
+  // Returns the username if valid, or null.
+  if (!token || typeof token !== 'string' || token.indexOf('.') < 0) return null;
+  const [b64, sig] = token.split('.');
+  let payload;
+  try { payload = Buffer.from(b64, 'base64').toString('utf8'); }
+  catch (e) { return null; }
+  const expectedSig = crypto.createHmac('sha256', _impersonationSecret()).update(payload).digest('hex');
+  // Constant-time comparison
+  if (sig.length !== expectedSig.length) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expectedSig))) return null;
+  const sep = payload.lastIndexOf('|');
+  if (sep < 0) return null;
+  const username = payload.slice(0, sep);
+  const expiry = Number(payload.slice(sep + 1));
+  if (!username || !expiry || Date.now() > expiry) return null;
+  return username;
+}
+
+// Admin mints an impersonation token for a username. Requires ADMIN_KEY.
+app.get('/api/admin/impersonate/:username', requireAdmin, async (req, res) => {
+  try {
+    const uid = req.params.username.toLowerCase().trim();
+    if (!uid) return res.status(400).json({ error: 'username required' });
+    // Confirm the account exists before minting a token for it.
+    const userData = await StorageAPI.getUserData(uid);
+    const account = await (USE_POSTGRES
+      ? PgStorage._getAccount(uid)
+      : (async () => { const d = await StorageAPI.readData(); return d.accounts && d.accounts[uid]; })());
+    if (!account) return res.status(404).json({ error: 'No such user' });
+    const token = mintImpersonationToken(uid);
+    res.json({ success: true, username: uid, token, expiresInMs: IMPERSONATION_TTL_MS });
+  } catch (e) {
+    console.error('Impersonate mint failed:', e.message);
+    res.status(500).json({ error: 'Impersonate failed' });
+  }
+});
+
+// The student portal redeems an impersonation token. No ADMIN_KEY here — the
+// token itself is the credential. Returns the impersonated user's data.
+app.get('/api/impersonate/redeem', async (req, res) => {
+  try {
+    const token = req.query.token;
+    const username = verifyImpersonationToken(token);
+    if (!username) {
+      return res.status(403).json({ error: 'Invalid or expired impersonation token' });
+    }
+    const userData = await StorageAPI.getUserData(username);
+    res.json({ success: true, username, data: userData, impersonated: true });
+  } catch (e) {
+    console.error('Impersonate redeem failed:', e.message);
+    res.status(500).json({ error: 'Redeem failed' });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VOCABULARY EXTRAS ENDPOINTS — public read, admin write
+// ═══════════════════════════════════════════════════════════════════════════════
+app.get('/api/vocab/extras', async (req, res) => {
+  try {
+    const extras = await VocabExtrasAPI.read();
+    res.json({ extras });
+  } catch (e) {
+    console.error('Read vocab extras failed:', e.message);
+    res.status(500).json({ error: 'Failed to load vocab extras', details: e.message });
+  }
+});
+
+app.post('/api/admin/vocab/extras', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const extras = body.extras || {};
+    await VocabExtrasAPI.write(extras);
+    res.json({ success: true, extras });
+  } catch (e) {
+    console.error('Write vocab extras failed:', e.message);
+    res.status(500).json({ error: 'Failed to write vocab extras', details: e.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PASSAGE ENDPOINTS — public read, admin write
+// ═══════════════════════════════════════════════════════════════════════════════
+// Public: list all passages (frontend loads these instead of using its hardcoded
+// fallback array). Admin: full CRUD via /api/admin/passages.
+app.get('/api/passages', requireApiScope('passages:read'), async (req, res) => {
+  try {
+    const all = await PassageAPI.readAll();
+    res.json({ passages: all, count: all.length });
+  } catch (e) {
+    console.error('Read passages failed:', e.message);
+    res.status(500).json({ error: 'Failed to load passages', details: e.message });
+  }
+});
+
+app.get('/api/passages/:id', requireApiScope('passages:read'), async (req, res) => {
+  try {
+    const p = await PassageAPI.getById(req.params.id);
+    if (!p) return res.status(404).json({ error: 'Passage not found' });
+    res.json(p);
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+app.get('/api/admin/passages', requireAdmin, async (req, res) => {
+  try {
+    const all = await PassageAPI.readAll();
+    res.json({ passages: all, count: all.length });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+app.post('/api/admin/passages', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.title || !body.text) return res.status(400).json({ error: 'title and text are required' });
+    if (!body.keyElements || typeof body.keyElements !== 'object') {
+      return res.status(400).json({ error: 'keyElements object is required' });
+    }
+    // v20.6: a save that carries a freshly extracted draft (its extractedAt
+    // differs from the stored one) is recorded as source 'extract'.
+    let source = body.revisionSource;
+    if (!PASSAGE_REVISION_SOURCES.includes(source)) {
+      const existing = body.id ? await PassageAPI.getById(body.id) : null;
+      const newExtract = body.extractionMeta?.extractedAt;
+      source = newExtract && newExtract !== existing?.extractionMeta?.extractedAt ? 'extract' : 'manual';
+    }
+    const { passage: saved, revision } = await savePassageRevision(body, { author: adminAuthor(req), source, note: body.revisionNote });
+    res.json({ success: true, passage: saved, revision });
+  } catch (e) {
+    console.error('Save passage failed:', e.message);
+    res.status(500).json({ error: 'Save failed', details: e.message });
+  }
+});
+
+// v19.11: Detect when a key element has captured an EXAMPLE instead of the
+// general idea. Returns an array of { element, issue } warnings for admin review.
+// Non-blocking — some passages legitimately reference a proper noun. The point is
+// to make a leaked example impossible to MISS, not impossible to save.
+function detectExampleLeakage(keyElements) {
+  const warnings = [];
+  if (!keyElements || typeof keyElements !== 'object') return warnings;
+
+  // Words that are capitalised mid-sentence but are NOT proper nouns — ignore these
+  // so we don't false-positive on ordinary sentence-initial capitals.
+  const COMMON = new Set(['The','A','An','This','That','These','Those','It','In','On',
+    'After','Before','When','While','Each','Some','Many','Most','All','No','Their',
+    'Its','As','By','For','With','From','Until','Since','If','But','And','Or','So']);
+
+  for (const [slot, value] of Object.entries(keyElements)) {
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const v = value.trim();
+    const issues = [];
+
+    // 1. Explicit example markers
+    if (/\b(for example|for instance|such as|in the case of|e\.g\.)\b/i.test(v)) {
+      issues.push('contains an example marker ("for example"/"such as"/etc.)');
+    }
+    // 2. A year — almost always a specific dated event
+    if (/\b(1[5-9]\d\d|20\d\d)\b/.test(v)) {
+      issues.push('contains a year — likely a specific dated event, not a general idea');
+    }
+    // 3. A proper-noun run: 2+ capitalised tokens in sequence. Catches
+    //    "Mount St. Helens", "Saturn V", and all-caps acronyms ("NASA").
+    //    A token is capitalised if it starts with a capital (Helens, V) or is
+    //    all-caps (NASA, SO2 is excluded as a unit below).
+    const tokens = v.split(/\s+/);
+    let runStart = -1, flaggedProper = null;
+    for (let i = 0; i <= tokens.length; i++) {
+      const tok = (tokens[i] || '').replace(/[.,;:]$/, '');
+      const isCap = /^[A-Z][a-z]+$/.test(tok)        // Helens
+                 || /^[A-Z]{2,}$/.test(tok)          // NASA
+                 || /^[A-Z]$/.test(tok);             // V (designator)
+      const isConnector = /^(of|the|and)$/i.test(tok);
+      if (isCap || (runStart >= 0 && isConnector)) {
+        if (runStart < 0) runStart = i;
+      } else {
+        if (runStart >= 0 && i - runStart >= 2) {
+          const run = tokens.slice(runStart, i).join(' ');
+          const first = tokens[runStart].replace(/[.,;:]$/, '');
+          if (!COMMON.has(first)) { flaggedProper = run; break; }
+        }
+        runStart = -1;
+      }
+    }
+    if (flaggedProper) {
+      issues.push('names a specific entity (' + flaggedProper + ') — a key idea should state the general principle, not the example');
+    }
+
+    if (issues.length) {
+      warnings.push({ element: slot, issue: issues.join('; '), value: v });
+    }
+  }
+  return warnings;
+}
+
+// v19.11: Key-element extraction — Claude drafts framework + key ideas for a
+// passage. Returns a DRAFT for admin review; does NOT save. The admin reviews
+// the draft in the UI and saves via the normal POST /api/admin/passages.
+// Body: { text: string (required), title: string (optional) }
+//   OR: { id: number }  — extract for an existing passage by id
+app.post('/api/admin/passages/extract', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    let text = typeof body.text === 'string' ? body.text.trim() : '';
+    let title = typeof body.title === 'string' ? body.title.trim() : '';
+
+    // If an id is given, pull the passage text from storage
+    if (!text && body.id != null) {
+      const existing = await PassageAPI.getById(body.id);
+      if (!existing) return res.status(404).json({ error: 'Passage not found' });
+      text = (existing.text || '').trim();
+      title = title || (existing.title || '');
+    }
+    if (!text || text.length < 40) {
+      return res.status(400).json({ error: 'Passage text is required (min 40 characters)' });
+    }
+    if (!llm.available) {
+      return res.status(503).json({ error: `LLM provider "${llm.name}" is not configured on this server — cannot auto-extract. Author key elements manually.` });
+    }
+
+    const draft = await extractKeyElementsWithClaude(text, title);
+    if (!draft || draft._failed) {
+      const reason = (draft && draft.reason) || 'Claude was unavailable or returned an unusable response';
+      return res.status(502).json({ error: 'Extraction failed: ' + reason });
+    }
+    // Package the draft with extraction metadata so the admin UI can show
+    // Claude's framework choice + confidence, and save it straight through.
+    draft.extractionMeta = {
+      framework: draft.framework,
+      confidence: draft.confidence,
+      framework_reason: draft.framework_reason,
+      extractedAt: new Date().toISOString()
+    };
+    // Safety net: scan each key element for signs it captured an EXAMPLE rather
+    // than the general idea (a named event, a year, "for example"/"such as", a
+    // run of capitalised proper-noun words). These are warnings for the admin to
+    // review — they do NOT block saving, since some passages legitimately need a
+    // proper noun. The admin sees them next to the draft.
+    draft.warnings = detectExampleLeakage(draft.keyElements);
+    res.json({ success: true, draft });
+  } catch (e) {
+    console.error('Extraction endpoint failed:', e.message);
+    res.status(500).json({ error: 'Extraction failed', details: e.message });
+  }
+});
+
+// v19.11: Map an extraction draft onto the passage fields that get saved.
+// Mirrors the admin UI's applyDraft(): tpc topic/pivot/conclusion fold onto
+// what/why/result (how left blank for tpc); wwhr maps 1:1.
+function draftToPassageFields(existing, draft) {
+  const ke = draft.keyElements || {};
+  const keyElements = {};
+  if (draft.framework === 'tpc') {
+    if (ke.topic)      keyElements.what   = ke.topic;
+    if (ke.pivot)      keyElements.why    = ke.pivot;
+    if (ke.conclusion) keyElements.result = ke.conclusion;
+  } else {
+    if (ke.what)   keyElements.what   = ke.what;
+    if (ke.why)    keyElements.why    = ke.why;
+    if (ke.how)    keyElements.how    = ke.how;
+    if (ke.result) keyElements.result = ke.result;
+  }
+  const out = {
+    id: existing.id,
+    title: existing.title,
+    category: existing.category || '',
+    text: existing.text,
+    keyElements,
+    sampleResponse: draft.sampleResponse || existing.sampleResponse || '',
+    sampleNotes: existing.sampleNotes || ''
+  };
+  if (draft.keyElementsRationale && Object.keys(draft.keyElementsRationale).length) {
+    out.keyElementsRationale = draft.keyElementsRationale;
+  }
+  if (draft.extractionMeta) out.extractionMeta = draft.extractionMeta;
+  return out;
+}
+
+// v19.11: BULK extraction — full auto. Extracts every passage, applies and saves
+// each result immediately (no review gate). Returns a per-passage report so the
+// admin can SEE afterward what happened — especially which passages tripped the
+// example-leakage detector. The report does not block anything; it is a receipt.
+// Body: { onlyMissing: bool }  — if true, skip passages that already have rationale
+app.post('/api/admin/passages/extract-all', requireAdmin, async (req, res) => {
+  if (!llm.available) {
+    return res.status(503).json({ error: `LLM provider "${llm.name}" is not configured — cannot auto-extract.` });
+  }
+  try {
+    const onlyMissing = !!(req.body && req.body.onlyMissing);
+    const all = await PassageAPI.readAll();
+    const report = { total: all.length, updated: 0, skipped: 0, failed: 0,
+                     flagged: 0, items: [] };
+
+    for (const p of all) {
+      const text = (p.text || '').trim();
+      const item = { id: p.id, title: p.title || ('Passage ' + p.id) };
+
+      if (onlyMissing && p.keyElementsRationale &&
+          (p.keyElementsRationale.topic || p.keyElementsRationale.importance)) {
+        item.status = 'skipped'; item.reason = 'already has rationale';
+        report.skipped++; report.items.push(item); continue;
+      }
+      if (text.length < 40) {
+        item.status = 'failed'; item.reason = 'passage text too short';
+        report.failed++; report.items.push(item); continue;
+      }
+
+      let draft = null;
+      try {
+        draft = await extractKeyElementsWithClaude(text, p.title || '');
+      } catch (e) {
+        draft = { _failed: true, reason: e.message };
+      }
+      if (!draft || draft._failed) {
+        item.status = 'failed';
+        item.reason = (draft && draft.reason) || 'Claude returned an unusable response';
+        report.failed++; report.items.push(item); continue;
+      }
+
+      draft.extractionMeta = {
+        framework: draft.framework,
+        confidence: draft.confidence,
+        framework_reason: draft.framework_reason,
+        extractedAt: new Date().toISOString()
+      };
+      const warnings = detectExampleLeakage(draft.keyElements);
+
+      // Full auto: apply + save immediately.
+      try {
+        const fields = draftToPassageFields(p, draft);
+        const { revision } = await savePassageRevision(fields, { author: adminAuthor(req), source: 'extract', note: 'Bulk auto-extraction' });
+        item.status = 'updated';
+        item.revision = revision;
+        item.framework = draft.framework;
+        item.confidence = draft.confidence;
+        item.warnings = warnings;
+        if (warnings.length) report.flagged++;
+        report.updated++;
+      } catch (e) {
+        item.status = 'failed'; item.reason = 'save failed: ' + e.message;
+        report.failed++;
+      }
+      report.items.push(item);
+    }
+
+    console.log(`📋 Bulk extraction: ${report.updated} updated, ${report.flagged} flagged, ${report.failed} failed, ${report.skipped} skipped`);
+    res.json({ success: true, report });
+  } catch (e) {
+    console.error('Bulk extraction failed:', e.message);
+    res.status(500).json({ error: 'Bulk extraction failed', details: e.message });
+  }
+});
+
+app.delete('/api/admin/passages/:id', requireAdmin, async (req, res) => {
+  try {
+    // v20.6: make sure the deleted state is recoverable via rollback.
+    await ensureInitialPassageRevision(req.params.id);
+    const ok = await PassageAPI.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'Passage not found' });
+    await invalidateGradeCache(req.params.id);
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: 'Delete failed', details: e.message }); }
+});
+
+// Bulk import (used to migrate from hardcoded → server-managed in one go)
+app.post('/api/admin/passages/bulk', requireAdmin, async (req, res) => {
+  try {
+    const arr = Array.isArray(req.body?.passages) ? req.body.passages : null;
+    if (!arr) return res.status(400).json({ error: 'passages array required' });
+    const cleaned = arr.map(p => sanitizePassage(p));
+    // v20.6: writeAll replaces the whole set, so snapshot every current
+    // passage first (dropped ones included), then record the imported
+    // version of each as a 'bulk' revision.
+    for (const p of await PassageAPI.readAll()) await ensureInitialPassageRevision(p.id);
+    await PassageAPI.writeAll(cleaned);
+    const author = adminAuthor(req);
+    for (const p of cleaned) if (p.id) await recordPassageRevision(p, { author, source: 'bulk', note: 'Bulk import' });
+    await invalidateGradeCache(null);
+    res.json({ success: true, count: cleaned.length });
+  } catch (e) { res.status(500).json({ error: 'Bulk import failed', details: e.message }); }
+});
+
+// ─── v20.7: ATTEMPT QUERIES ─────────────────────────────────────────────────
+// Filters (all optional): user, passageId, task, from, to (ISO dates; a bare
+// date for `to` covers the whole day), minScore, maxScore (PTE).
+// Paging: limit (1–200, default 50), offset. sort: newest | oldest |
+// score_desc | score_asc. Students get the same query scoped to themselves.
+app.get('/api/admin/attempts', requireAdmin, async (req, res) => {
+  const f = parseAttemptQuery(req.query);
+  if (f.error) return res.status(400).json({ error: f.error });
+  try { await queryAttempts(f, res); }
+  catch (e) { res.status(500).json({ error: 'Query failed', details: e.message }); }
+});
+
+app.get('/api/admin/attempts/:id', requireAdmin, async (req, res) => {
+  try {
+    const a = await AttemptAPI.getById(req.params.id);
+    if (!a) return res.status(404).json({ error: 'Attempt not found' });
+    res.json(a);
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+app.get('/api/attempts/:userId', requireSyncAuth, async (req, res) => {
+  const f = parseAttemptQuery({ ...req.query, user: req.params.userId });
+  if (f.error) return res.status(400).json({ error: f.error });
+  try { await queryAttempts(f, res, { studentView: true }); }
+  catch (e) { res.status(500).json({ error: 'Query failed', details: e.message }); }
+});
+
+// ─── v20.17: TEACHER REVIEW QUEUE ───────────────────────────────────────────
+// Flagged attempts (judge disagreement) and a random sample of the rest wait
+// here until a teacher reviews them. A review may override any trait score;
+// the overall score follows the traits unless the teacher sets it too.
+// Reviewing an attempt without changing anything records agreement, which
+// counts toward the accuracy figures just the same.
+const REVIEW_TRAIT_MAX = { form: 1, content: null, grammar: 2, vocabulary: 2 };  // content: per attempt
+
+// The attempt plus what a reviewer needs beside it: the passage text and key
+// elements it was scored against, and earlier reviews.
+async function reviewContext(attempt, passages = new Map()) {
+  const { trace, ...row } = attempt;
+  const key = `${row.passage_id}:${row.passage_revision}`;
+  if (!passages.has(key)) {
+    passages.set(key, (async () => {
+      let p = null;
+      if (row.passage_revision != null) p = (await PassageRevisionAPI.get(row.passage_id, row.passage_revision))?.payload || null;
+      if (!p) p = await PassageAPI.getById(row.passage_id);
+      return p ? { id: p.id, revision: row.passage_revision, title: p.title, text: p.text, keyElements: p.keyElements || {}, keyElementsRationale: p.keyElementsRationale || null } : null;
+    })());
+  }
+  return { ...row, has_trace: !!trace, passage: await passages.get(key), reviews: await ReviewAPI.forAttempt(row.id) };
+}
+
+// Body → review fields, or { error }.
+function buildReview(attempt, body) {
+  const machine = attempt.trait_scores || {};
+  const given = body.trait_scores || {};
+  if (typeof given !== 'object' || Array.isArray(given)) return { error: 'trait_scores must be an object' };
+  const traits = {};
+  for (const [trait, value] of Object.entries(given)) {
+    if (!(trait in REVIEW_TRAIT_MAX)) return { error: `Unknown trait: ${trait} (expected ${Object.keys(REVIEW_TRAIT_MAX).join(', ')})` };
+    const max = REVIEW_TRAIT_MAX[trait] ?? machine.content_max ?? 4;
+    const n = Number(value);
+    if (value === null || value === '' || !Number.isFinite(n) || n < 0 || n > max) return { error: `${trait} must be a number from 0 to ${max}` };
+    traits[trait] = Math.round(n * 100) / 100;
+  }
+  const changed = Object.keys(traits).filter(t => traits[t] !== machine[t]);
+  const adjustedTraits = Object.fromEntries(Object.keys(REVIEW_TRAIT_MAX).map(t => [t, t in traits ? traits[t] : machine[t]]));
+  const maxRaw = attempt.max_raw_score || (1 + (machine.content_max || 4) + 4);
+
+  let overall = attempt.overall_score;
+  if (body.overall_score != null && body.overall_score !== '') {
+    overall = Number(body.overall_score);
+    if (!Number.isInteger(overall) || overall < 10 || overall > 90) return { error: 'overall_score must be an integer from 10 to 90' };
+  } else if (changed.length) {
+    // The engine's caps and penalties (content gate, overflow) judged its own
+    // traits; once a teacher re-marks them the traits are the verdict. A
+    // teacher who wants a penalty kept sets overall_score as well.
+    const raw = Object.values(adjustedTraits).reduce((sum, v) => sum + (Number(v) || 0), 0);
+    overall = rawToPTEDynamic(Math.max(0, Math.min(maxRaw, raw)), maxRaw);
+  }
+  if (overall !== attempt.overall_score) changed.push('overall_score');
+  const band = overall === attempt.overall_score ? attempt.band : pteToBand(overall);
+
+  const comment = typeof body.comment === 'string' ? body.comment.trim().slice(0, 2000) : '';
+  if (changed.length && !comment) return { error: 'A comment is required when changing a score' };
+  const traitComments = {};
+  for (const [trait, text] of Object.entries(body.trait_comments || {})) {
+    if (!(trait in REVIEW_TRAIT_MAX)) return { error: `Unknown trait in trait_comments: ${trait}` };
+    if (typeof text === 'string' && text.trim()) traitComments[trait] = text.trim().slice(0, 1000);
+  }
+  return {
+    original: { trait_scores: machine, overall_score: attempt.overall_score, raw_score: attempt.raw_score, band: attempt.band, scoring_version: attempt.scoring_version },
+    adjusted: { trait_scores: adjustedTraits, overall_score: overall, band },
+    changed, comment, trait_comments: traitComments
+  };
+}
+
+app.get('/api/review/queue', requireTeacher, async (req, res) => {
+  // Pending flagged attempts, oldest first; reviewed=true lists finished ones.
+  const f = parseAttemptQuery({ sort: 'oldest', ...req.query, needsReview: 'true', reviewed: req.query.reviewed || 'false' });
+  if (f.error) return res.status(400).json({ error: f.error });
+  try {
+    const { attempts, total } = await AttemptAPI.query(f);
+    const passages = new Map();
+    const items = await Promise.all(attempts.map(a => reviewContext(a, passages)));
+    res.json({ attempts: items, total, limit: f.limit, offset: f.offset, has_more: f.offset + items.length < total });
+  } catch (e) { res.status(500).json({ error: 'Queue read failed', details: e.message }); }
+});
+
+app.get('/api/review/attempts/:id', requireTeacher, async (req, res) => {
+  try {
+    const a = await AttemptAPI.getById(req.params.id);
+    if (!a) return res.status(404).json({ error: 'Attempt not found' });
+    res.json(await reviewContext(a));
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+// Body: { trait_scores?: { content: 3, … }, overall_score?, comment, trait_comments?: { content: '…' } }
+app.post('/api/review/attempts/:id', requireTeacher, async (req, res) => {
+  try {
+    const a = await AttemptAPI.getById(req.params.id);
+    if (!a) return res.status(404).json({ error: 'Attempt not found' });
+    const review = buildReview(a, req.body || {});
+    if (review.error) return res.status(400).json({ error: review.error });
+    const rec = await ReviewAPI.record({ attempt_id: a.id, username: a.username, passage_id: a.passage_id, reviewer: req.reviewer, ...review });
+    const updated = await AttemptAPI.markReviewed(a.id);
+    // v20.21: an LMS-launched attempt's gradebook follows the teacher's score.
+    if (review.changed.includes('overall_score') && a.username) ltiPassbackScore(a.username, a.passage_id, review.adjusted.overall_score, { force: true });
+    const { trace, feedback_card, ...row } = updated || a;
+    res.json({ success: true, review: rec, attempt: applyTeacherReview(row, rec) });
+  } catch (e) { res.status(500).json({ error: 'Review failed', details: e.message }); }
+});
+
+// Engine accuracy against teacher reviews (the latest review per attempt):
+// per-trait exact agreement, mean absolute error and bias (teacher − engine),
+// overall and per scoring version and month, so drift shows up over time.
+function reviewAccuracy(reviews) {
+  const traits = Object.keys(REVIEW_TRAIT_MAX);
+  const summarize = (list) => {
+    const out = { n: list.length, traits: {}, overall: null };
+    for (const t of [...traits, 'overall_score']) {
+      const pairs = list.map(r => t === 'overall_score'
+        ? [r.original.overall_score, r.adjusted.overall_score]
+        : [r.original.trait_scores?.[t], r.adjusted.trait_scores?.[t]]).filter(([m, h]) => typeof m === 'number' && typeof h === 'number');
+      const diffs = pairs.map(([m, h]) => h - m);
+      const stat = pairs.length ? {
+        n: pairs.length,
+        agreement: diffs.filter(d => d === 0).length / pairs.length,
+        mae: diffs.reduce((s, d) => s + Math.abs(d), 0) / pairs.length,
+        bias: diffs.reduce((s, d) => s + d, 0) / pairs.length
+      } : { n: 0, agreement: null, mae: null, bias: null };
+      if (t === 'overall_score') out.overall = { ...stat, within5: pairs.length ? diffs.filter(d => Math.abs(d) <= 5).length / pairs.length : null };
+      else out.traits[t] = stat;
+    }
+    out.adjusted_rate = list.length ? list.filter(r => r.changed.length).length / list.length : null;
+    return out;
+  };
+  const groupBy = (fn) => {
+    const groups = new Map();
+    for (const r of reviews) {
+      const k = fn(r);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    }
+    return Object.fromEntries([...groups].sort(([a], [b]) => String(a).localeCompare(String(b))).map(([k, list]) => [k, summarize(list)]));
+  };
+  return {
+    ...summarize(reviews),
+    by_scoring_version: groupBy(r => r.original.scoring_version || 'unknown'),
+    by_month: groupBy(r => r.created_at.slice(0, 7))
+  };
+}
+
+app.get('/api/review/stats', requireTeacher, async (req, res) => {
+  const f = {};
+  for (const k of ['from', 'to']) {
+    if (!req.query[k]) continue;
+    const d = new Date(String(req.query[k]));
+    if (isNaN(d)) return res.status(400).json({ error: `${k} must be an ISO date` });
+    if (k === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(req.query[k]))) d.setUTCHours(23, 59, 59, 999);
+    f[k] = d.toISOString();
+  }
+  if (req.query.reviewer) f.reviewer = String(req.query.reviewer);
+  try { res.json(reviewAccuracy(await ReviewAPI.latestPerAttempt(f))); }
+  catch (e) { res.status(500).json({ error: 'Stats failed', details: e.message }); }
+});
+
+// ─── v20.18: SCORING PROFILE CALIBRATION ────────────────────────────────────
+// POST …/fit takes teacher-assigned PTE scores and fits a draft profile; the
+// response shows the current and fitted error side by side. Nothing changes
+// until the draft is published. Each sample is one of:
+//   { attempt_id, pte }                        a recorded attempt
+//   { raw_score, max_raw_score, pte }          a raw total directly
+//   { text, passageId | passage: { text, keyElements }, pte }   graded here (offline)
+// or { fromReviews: true } to use every attempt a teacher has reviewed.
+const CALIBRATION_MAX_SAMPLES = 1000;
+
+async function collectCalibrationPoints(body) {
+  const points = [], skipped = [];
+  const add = (i, raw, maxRaw, pte, source) => {
+    if (!Number.isFinite(raw) || !Number.isFinite(maxRaw) || maxRaw <= 0) { skipped.push({ index: i, reason: 'no raw score' }); return; }
+    points.push({ raw: Math.max(0, Math.min(maxRaw, raw)), max_raw: maxRaw, pte, source });
+  };
+  if (body.fromReviews) {
+    for (const r of await ReviewAPI.latestPerAttempt({})) {
+      const a = await AttemptAPI.getById(r.attempt_id);
+      if (a) add(`review:${r.id}`, Number(a.raw_score), Number(a.max_raw_score), r.adjusted.overall_score, 'review');
+    }
+  }
+  const samples = body.samples == null ? [] : body.samples;
+  if (!Array.isArray(samples)) return { error: 'samples must be an array' };
+  if (samples.length > CALIBRATION_MAX_SAMPLES) return { error: `At most ${CALIBRATION_MAX_SAMPLES} samples per fit` };
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i] || {};
+    const pte = Number(s.pte);
+    if (!Number.isInteger(pte) || pte < 10 || pte > 90) return { error: `samples[${i}].pte must be an integer from 10 to 90` };
+    if (s.attempt_id != null) {
+      const a = await AttemptAPI.getById(s.attempt_id);
+      if (!a) { skipped.push({ index: i, reason: `attempt ${s.attempt_id} not found` }); continue; }
+      add(i, Number(a.raw_score), Number(a.max_raw_score), pte, 'attempt');
+    } else if (s.raw_score != null) {
+      add(i, Number(s.raw_score), Number(s.max_raw_score), pte, 'raw');
+    } else if (typeof s.text === 'string' && s.text.trim()) {
+      let passage = s.passage;
+      if (!passage && s.passageId != null) passage = await PassageAPI.getById(s.passageId);
+      if (!passage || !passage.text) { skipped.push({ index: i, reason: 'passage not found' }); continue; }
+      const graded = await gradeSummary(s.text, passage.text, passage.keyElements || {}, { offline: true, profile: BUILTIN_SCORING_PROFILE });
+      if (graded.form_gate_triggered) { skipped.push({ index: i, reason: 'form gate' }); continue; }
+      add(i, graded.raw_score, graded.max_raw_score, pte, 'graded');
+    } else {
+      return { error: `samples[${i}] needs attempt_id, raw_score + max_raw_score, or text + passage` };
+    }
+  }
+  if (!points.length) return { error: 'No usable samples' };
+  return { points, skipped };
+}
+
+app.post('/api/admin/scoring-profiles/fit', requireAdmin, async (req, res) => {
+  try {
+    const collected = await collectCalibrationPoints(req.body || {});
+    if (collected.error) return res.status(400).json({ error: collected.error });
+    const current = await getActiveScoringProfile();
+    const fit = fitScoringProfile(collected.points, current);
+    if (!Object.values(fit.report).some(r => r.status === 'fitted')) {
+      return res.status(400).json({ error: `Not enough samples: each max_raw_score needs at least ${CALIBRATION_MIN_SAMPLES}`, report: fit.report });
+    }
+    const profile = await ScoringProfileAPI.create({
+      name: String(req.body.name || '').trim().slice(0, 100) || `Calibration ${new Date().toISOString().slice(0, 10)}`,
+      mappings: fit.mappings,
+      report: { compared_with: current.id, per_max_raw: fit.report, overall: fit.overall },
+      source: req.body.fromReviews ? (collected.points.some(p => p.source !== 'review') ? 'mixed' : 'reviews') : 'samples',
+      samples: collected.points.length,
+      created_by: adminAuthor(req)
+    });
+    res.json({ success: true, profile, skipped: collected.skipped });
+  } catch (e) { res.status(500).json({ error: 'Calibration failed', details: e.message }); }
+});
+
+app.get('/api/admin/scoring-profiles', requireAdmin, async (req, res) => {
+  try {
+    const profiles = await ScoringProfileAPI.list();
+    const active = profiles.find(p => p.active);
+    res.json({ active: active ? active.id : BUILTIN_SCORING_PROFILE.id, profiles });
+  } catch (e) { res.status(500).json({ error: 'List failed', details: e.message }); }
+});
+
+app.get('/api/admin/scoring-profiles/:id', requireAdmin, async (req, res) => {
+  if (req.params.id === BUILTIN_SCORING_PROFILE.id) return res.json(BUILTIN_SCORING_PROFILE);
+  try {
+    const profile = await ScoringProfileAPI.getById(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Scoring profile not found' });
+    res.json(profile);
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+// Make a profile the one new grades use; 'builtin' goes back to the linear mapping.
+app.post('/api/admin/scoring-profiles/:id/publish', requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id === BUILTIN_SCORING_PROFILE.id ? null : req.params.id;
+    const profile = await ScoringProfileAPI.setActive(id);
+    if (!profile) return res.status(404).json({ error: 'Scoring profile not found' });
+    activeScoringProfile = null;
+    res.json({ success: true, active: profile.id, profile });
+  } catch (e) { res.status(500).json({ error: 'Publish failed', details: e.message }); }
+});
+
+// ─── v20.6: PASSAGE REVISION ENDPOINTS ──────────────────────────────────────
+// List (newest first, no payloads), fetch one, diff two, roll back. A rollback
+// is itself a new revision — history only ever grows — and it also restores a
+// deleted passage.
+app.get('/api/admin/passages/:id/revisions', requireAdmin, async (req, res) => {
+  try {
+    await ensureInitialPassageRevision(req.params.id);
+    const revs = await PassageRevisionAPI.list(req.params.id);
+    res.json({
+      passage_id: Number(req.params.id),
+      revisions: revs.map(({ payload, ...meta }) => meta),
+      count: revs.length
+    });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+app.get('/api/admin/passages/:id/revisions/diff', requireAdmin, async (req, res) => {
+  try {
+    const from = Number(req.query.from), to = Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) return res.status(400).json({ error: 'from and to revision numbers are required' });
+    const [a, b] = await Promise.all([PassageRevisionAPI.get(req.params.id, from), PassageRevisionAPI.get(req.params.id, to)]);
+    if (!a || !b) return res.status(404).json({ error: `Revision ${!a ? from : to} not found` });
+    const changes = diffPassagePayloads(a.payload, b.payload);
+    res.json({ passage_id: Number(req.params.id), from, to, changes, identical: changes.length === 0 });
+  } catch (e) { res.status(500).json({ error: 'Diff failed', details: e.message }); }
+});
+
+app.get('/api/admin/passages/:id/revisions/:rev', requireAdmin, async (req, res) => {
+  try {
+    const rec = await PassageRevisionAPI.get(req.params.id, req.params.rev);
+    if (!rec) return res.status(404).json({ error: 'Revision not found' });
+    res.json(rec);
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+app.post('/api/admin/passages/:id/rollback', requireAdmin, async (req, res) => {
+  try {
+    const target = Number(req.body?.revision);
+    if (!Number.isInteger(target)) return res.status(400).json({ error: 'revision number is required' });
+    const rec = await PassageRevisionAPI.get(req.params.id, target);
+    if (!rec) return res.status(404).json({ error: 'Revision not found' });
+    const note = `Rolled back to revision ${target}` + (req.body.note ? ` — ${String(req.body.note)}` : '');
+    const { passage, revision } = await savePassageRevision({ ...rec.payload, id: rec.passage_id }, { author: adminAuthor(req), source: 'rollback', note });
+    res.json({ success: true, passage, revision, restored_from: target });
+  } catch (e) {
+    console.error('Passage rollback failed:', e.message);
+    res.status(500).json({ error: 'Rollback failed', details: e.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LTI 1.3 TOOL (v20.21)
+//
+// Lets SWT practice launch from Moodle, Canvas or any LTI 1.3 platform,
+// signing the student in without /api/auth/register:
+//   GET|POST /api/lti/login      OIDC login initiation → redirect to the platform
+//   POST     /api/lti/launch     id_token form post (the redirect URI)
+//   POST     /api/lti/deep-link  a teacher's passage pick → signed response
+//   GET      /api/lti/jwks       the tool's public keys
+//   POST     /api/lti/session    the app trades the launch's one-time code
+//                                for a session token
+// The admin registers each platform under /api/admin/lti/platforms. A launch
+// provisions (or finds) the account linked to the platform's `sub`; an
+// instructor launch asks for the teacher role, which the admin grants under
+// /api/admin/lti/teacher-requests (the role is not scoped to a course). Launches carrying an AGS line item record where
+// the student's scores go, and every saved grade for that passage is posted
+// back (LTI_GRADE_POLICY: 'best' — the default — or 'latest'). Teacher
+// overrides are always posted.
+//
+// The OIDC state is an HMAC-signed token, not a cookie: LMS iframes usually
+// block third-party cookies. Nonces are single-use (held in memory until the
+// state expires). scripts/lti-mock-platform.js is a local platform to test
+// against.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const LTI_DL_CLAIM = 'https://purl.imsglobal.org/spec/lti-dl/claim/';
+const LTI_AGS_CLAIM = 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint';
+const LTI_AGS_SCORE_SCOPE = 'https://purl.imsglobal.org/spec/lti-ags/scope/score';
+const LTI_MESSAGE_TYPES = ['LtiResourceLinkRequest', 'LtiDeepLinkingRequest'];
+const LTI_STATE_TTL_MS = 10 * 60 * 1000;
+const LTI_DEEP_LINK_TTL_MS = 60 * 60 * 1000;
+const LTI_HANDOFF_TTL_MS = 2 * 60 * 1000;
+const LTI_JWKS_TTL_MS = 10 * 60 * 1000;
+const LTI_CLOCK_SKEW_S = 60;
+const LTI_GRADE_POLICY = process.env.LTI_GRADE_POLICY === 'latest' ? 'latest' : 'best';
+
+// Where platforms reach the tool. LTI_TOOL_URL pins it (it must match the
+// redirect URI registered on the platform); otherwise it follows the request.
+function ltiToolUrl(req) {
+  return (process.env.LTI_TOOL_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// ── JWT (RS256) ──
+function ltiSignJwt(payload, key) {
+  const input = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: key.kid })).toString('base64url') + '.' +
+    Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return input + '.' + crypto.sign('RSA-SHA256', Buffer.from(input), key.privateKey).toString('base64url');
+}
+
+// Returns { header, payload, input, signature } or null if it isn't a JWT.
+function ltiDecodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      input: parts[0] + '.' + parts[1],
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch (_) { return null; }
+}
+
+// The tool's signing key: LTI_PRIVATE_KEY (PEM) if set, else one generated on
+// first use and stored. The kid is derived from the public key.
+let ltiToolKeyPromise = null;
+function ltiToolKey() {
+  if (!ltiToolKeyPromise) {
+    ltiToolKeyPromise = (async () => {
+      let pem = process.env.LTI_PRIVATE_KEY ? process.env.LTI_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+      if (!pem) {
+        let stored = await LtiAPI.toolKey();
+        if (!stored) {
+          const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+          await LtiAPI.saveToolKey({ private_pem: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+          stored = await LtiAPI.toolKey();  // another instance may have won the insert
+        }
+        pem = stored.private_pem;
+      }
+      const privateKey = crypto.createPrivateKey(pem);
+      const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+      const kid = crypto.createHash('sha256').update(jwk.n).digest('base64url').slice(0, 16);
+      return { kid, privateKey, jwk: { ...jwk, kid, alg: 'RS256', use: 'sig' } };
+    })().catch(e => { ltiToolKeyPromise = null; throw e; });
+  }
+  return ltiToolKeyPromise;
+}
+
+// Platform keysets, cached per URL; an unknown kid forces a refetch (key rotation).
+const ltiJwksCache = new Map();
+async function ltiPlatformKey(platform, kid) {
+  let entry = ltiJwksCache.get(platform.jwks_url);
+  const find = () => entry && entry.keys.find(k => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+  if (!find() || Date.now() - entry.fetched_at > LTI_JWKS_TTL_MS) {
+    const res = await fetch(platform.jwks_url, { signal: AbortSignal.timeout(5000) });
+    if (!res.ok) throw new Error(`Platform keyset returned ${res.status}`);
+    const body = await res.json();
+    entry = { keys: Array.isArray(body.keys) ? body.keys : [], fetched_at: Date.now() };
+    ltiJwksCache.set(platform.jwks_url, entry);
+  }
+  const jwk = find();
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+// ── Signed tokens (state, deep-link context) ──
+function ltiSignToken(kind, data, ttlMs) {
+  const body = Buffer.from(JSON.stringify({ ...data, exp: Date.now() + ttlMs })).toString('base64url');
+  return body + '.' + crypto.createHmac('sha256', _sessionSecret()).update(`lti-${kind}:${body}`).digest('base64url');
+}
+
+function ltiReadToken(kind, token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac('sha256', _sessionSecret()).update(`lti-${kind}:${body}`).digest('base64url');
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  let data;
+  try { data = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch (_) { return null; }
+  return data.exp > Date.now() ? data : null;
+}
+
+const ltiUsedNonces = new Map();   // nonce → expiry
+function ltiConsumeNonce(nonce) {
+  const now = Date.now();
+  for (const [n, exp] of ltiUsedNonces) if (exp < now) ltiUsedNonces.delete(n);
+  if (ltiUsedNonces.has(nonce)) return false;
+  ltiUsedNonces.set(nonce, now + LTI_STATE_TTL_MS);
+  return true;
+}
+
+// ── Launch validation ──
+// Returns { platform, claims } or { error }.
+async function ltiVerifyIdToken(idToken, state) {
+  const jwt = ltiDecodeJwt(idToken);
+  if (!jwt) return { error: 'id_token is not a JWT' };
+  if (jwt.header.alg !== 'RS256') return { error: 'id_token must be signed with RS256' };
+  const c = jwt.payload;
+  const aud = Array.isArray(c.aud) ? c.aud : [c.aud];
+  if (aud.length > 1 && !c.azp) return { error: 'id_token with several audiences must name azp' };
+  const platform = await LtiAPI.findPlatform(c.iss, c.azp || aud[0]);
+  if (!platform || platform.id !== state.platform_id) return { error: 'Unknown platform or client id' };
+  if (!aud.includes(platform.client_id)) return { error: 'id_token audience does not match the client id' };
+  const key = await ltiPlatformKey(platform, jwt.header.kid);
+  if (!key || !crypto.verify('RSA-SHA256', Buffer.from(jwt.input), key, jwt.signature)) return { error: 'id_token signature is invalid' };
+  const now = Math.floor(Date.now() / 1000);
+  if (!(c.exp > now - LTI_CLOCK_SKEW_S)) return { error: 'id_token has expired' };
+  if (!(c.iat <= now + LTI_CLOCK_SKEW_S)) return { error: 'id_token is issued in the future' };
+  if (!c.nonce || c.nonce !== state.nonce || !ltiConsumeNonce(c.nonce)) return { error: 'id_token nonce is missing or was already used' };
+  if (c[LTI_CLAIM + 'version'] !== '1.3.0') return { error: 'Only LTI 1.3.0 launches are supported' };
+  if (!LTI_MESSAGE_TYPES.includes(c[LTI_CLAIM + 'message_type'])) return { error: `Unsupported message type: ${c[LTI_CLAIM + 'message_type']}` };
+  const deployment = c[LTI_CLAIM + 'deployment_id'];
+  if (!deployment) return { error: 'id_token has no deployment id' };
+  if (platform.deployment_ids.length && !platform.deployment_ids.includes(String(deployment))) return { error: 'Deployment is not registered for this platform' };
+  return { platform, claims: c };
+}
+
+function ltiIsInstructor(claims) {
+  return (claims[LTI_CLAIM + 'roles'] || []).some(r => /#(Instructor|ContentDeveloper|Administrator|TeachingAssistant)$/.test(String(r)));
+}
+
+// The account behind a launch: the one linked to (issuer, sub), or a new one
+// named after the user with a hash suffix. The teacher role is global — it
+// opens every student's attempts in the review queue — so an instructor
+// launch only records a request for the admin to approve
+// (/api/admin/lti/teacher-requests); learner launches never take it away.
+async function ltiProvisionUser(platform, claims) {
+  const sub = claims.sub == null ? '' : String(claims.sub);
+  if (!sub) return { error: 'Anonymous launches are not supported (no sub claim)' };
+  let username = await LtiAPI.findUser(platform.issuer, sub);
+  if (!username) {
+    const hash = crypto.createHash('sha256').update(platform.issuer + '|' + sub).digest('hex');
+    const name = claims.given_name && claims.family_name ? `${claims.given_name}.${claims.family_name}` : claims.name || '';
+    const base = String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9.]+/g, '').replace(/^\.+|\.+$/g, '').slice(0, 24) || 'lti';
+    for (const len of [6, 10, 16]) {
+      const candidate = `${base}-${hash.slice(0, len)}`;
+      // The password is random: LTI accounts sign in through launches.
+      const r = await AuthAPI.register(candidate, crypto.randomBytes(24).toString('hex'), '', '', typeof claims.email === 'string' ? claims.email : '');
+      if (r.success) { username = candidate; break; }
+    }
+    if (!username) return { error: 'Could not provision an account for this launch' };
+    await LtiAPI.linkUser(platform.issuer, sub, username);
+  }
+  const role = await AuthAPI.getRole(username);
+  if (!role) return { error: 'This account has been blocked. Contact your administrator.', status: 403 };
+  let teacherRequest = null;
+  if (role !== 'teacher' && ltiIsInstructor(claims)) {
+    const context = claims[LTI_CLAIM + 'context'] || {};
+    await LtiAPI.requestTeacher(platform.issuer, sub, {
+      platform_id: platform.id, platform_name: platform.name || '', deployment_id: String(claims[LTI_CLAIM + 'deployment_id']),
+      context_id: context.id != null ? String(context.id) : null, context_title: context.title ? String(context.title).slice(0, 200) : null,
+      requested_at: new Date().toISOString()
+    });
+    teacherRequest = 'pending';
+  }
+  return { username, role, teacherRequest };
+}
+
+// Which passage a resource link opens: its custom passage_id (set by deep
+// linking) or ?passage= on the target link URI.
+async function ltiLaunchPassage(claims) {
+  const custom = claims[LTI_CLAIM + 'custom'] || {};
+  let id = custom.passage_id;
+  if (id == null) {
+    try { id = new URL(claims[LTI_CLAIM + 'target_link_uri']).searchParams.get('passage'); } catch (_) { id = null; }
+  }
+  if (id == null || id === '') return null;
+  const passage = await PassageAPI.getById(id).catch(() => null);
+  return passage ? Number(passage.id) : null;
+}
+
+// One-time codes the app trades for a session after the launch redirect, so
+// the session token never appears in a URL.
+const ltiHandoffs = new Map();
+function ltiCreateHandoff(data) {
+  const now = Date.now();
+  for (const [c, h] of ltiHandoffs) if (h.exp < now) ltiHandoffs.delete(c);
+  const code = crypto.randomBytes(24).toString('base64url');
+  ltiHandoffs.set(code, { ...data, exp: now + LTI_HANDOFF_TTL_MS });
+  return code;
+}
+
+function ltiPage(res, status, title, bodyHtml) {
+  res.status(status).type('html').send(`<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtmlServer(title)}</title>` +
+    '<style>body{font-family:system-ui,sans-serif;max-width:720px;margin:32px auto;padding:0 16px;color:#1f2937}' +
+    'label{display:block;padding:10px 12px;border:1px solid #e5e7eb;border-radius:8px;margin:8px 0;cursor:pointer}' +
+    'small{color:#6b7280}button{padding:10px 18px;border-radius:8px;border:0;background:#4f46e5;color:#fff;font-weight:600;cursor:pointer}</style>' +
+    `</head><body><h2>${escapeHtmlServer(title)}</h2>${bodyHtml}</body></html>`);
+}
+
+// A page that immediately POSTs `fields` to `action` (OIDC/deep-link responses).
+function ltiAutoPost(res, action, fields) {
+  const inputs = Object.entries(fields).map(([k, v]) => `<input type="hidden" name="${escapeHtmlServer(k)}" value="${escapeHtmlServer(v)}">`).join('');
+  res.type('html').send(`<!doctype html><html><body><form id="f" method="post" action="${escapeHtmlServer(action)}">${inputs}` +
+    '<noscript><button type="submit">Continue</button></noscript></form><script>document.getElementById("f").submit()</script></body></html>');
+}
+
+// ── Grade passback (AGS) ──
+const ltiAccessTokens = new Map();   // platform id → { token, exp }
+async function ltiAccessToken(platform) {
+  const cached = ltiAccessTokens.get(platform.id);
+  if (cached && cached.exp > Date.now()) return cached.token;
+  const key = await ltiToolKey();
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = ltiSignJwt({ iss: platform.client_id, sub: platform.client_id, aud: platform.auth_token_url, iat: now, exp: now + 300, jti: crypto.randomUUID() }, key);
+  const res = await fetch(platform.auth_token_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: assertion,
+      scope: LTI_AGS_SCORE_SCOPE
+    }).toString(),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!res.ok) throw new Error(`token endpoint returned ${res.status}`);
+  const body = await res.json();
+  if (!body.access_token) throw new Error('token endpoint returned no access_token');
+  ltiAccessTokens.set(platform.id, { token: body.access_token, exp: Date.now() + Math.max(60, (Number(body.expires_in) || 3600) - 60) * 1000 });
+  return body.access_token;
+}
+
+// The scores service is the line item URL with /scores appended to its path.
+function ltiScoresUrl(lineitem) {
+  const u = new URL(lineitem);
+  u.pathname = u.pathname.replace(/\/+$/, '') + '/scores';
+  return u.toString();
+}
+
+// Posts a PTE score to every line item the student launched this passage
+// from. Never throws — the outcome is kept on the grade target row.
+// force (teacher overrides) skips the best-score policy.
+async function ltiPassbackScore(username, passageId, score, { force = false } = {}) {
+  if (!username || passageId == null || typeof score !== 'number') return;
+  let targets;
+  try { targets = await LtiAPI.gradeTargets(String(username).toLowerCase().trim(), passageId); }
+  catch (e) { console.warn('[lti] grade target lookup failed:', e.message); return; }
+  for (const t of targets) {
+    if (!force && LTI_GRADE_POLICY === 'best' && t.best_score != null && score < t.best_score) continue;
+    try {
+      const platform = await LtiAPI.getPlatform(t.platform_id);
+      if (!platform) throw new Error('platform is no longer registered');
+      const token = await ltiAccessToken(platform);
+      const res = await fetch(ltiScoresUrl(t.lineitem), {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/vnd.ims.lis.v1.score+json' },
+        body: JSON.stringify({
+          userId: t.sub, scoreGiven: score, scoreMaximum: 90,
+          activityProgress: 'Completed', gradingProgress: 'FullyGraded', timestamp: new Date().toISOString()
+        }),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!res.ok) throw new Error(`scores service returned ${res.status}`);
+      await LtiAPI.updateGradeTarget(t.id, {
+        best_score: force || t.best_score == null ? score : Math.max(score, t.best_score),
+        last_status: 'sent', last_error: null, last_sent_at: new Date().toISOString()
+      });
+    } catch (e) {
+      console.warn('[lti] grade passback failed —', username, 'passage', passageId, '—', e.message);
+      await LtiAPI.updateGradeTarget(t.id, { last_status: 'failed', last_error: String(e.message).slice(0, 500) }).catch(() => {});
+    }
+  }
+}
+
+// ── Routes ──
+app.get('/api/lti/jwks', async (req, res) => {
+  try { res.json({ keys: [(await ltiToolKey()).jwk] }); }
+  catch (e) { res.status(500).json({ error: 'Keyset unavailable', details: e.message }); }
+});
+
+// OIDC third-party initiated login. Platforms use GET or POST.
+app.all('/api/lti/login', express.urlencoded({ extended: false }), async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  const p = { ...req.query, ...(req.body || {}) };
+  if (!p.iss || !p.login_hint || !p.target_link_uri) return res.status(400).json({ error: 'iss, login_hint and target_link_uri are required' });
+  try {
+    const platform = await LtiAPI.findPlatform(String(p.iss), p.client_id ? String(p.client_id) : null);
+    if (!platform) return res.status(400).json({ error: 'Platform is not registered (or client_id is ambiguous)' });
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = ltiSignToken('state', { nonce, platform_id: platform.id }, LTI_STATE_TTL_MS);
+    const auth = new URL(platform.auth_login_url);
+    const params = {
+      scope: 'openid', response_type: 'id_token', response_mode: 'form_post', prompt: 'none',
+      client_id: platform.client_id, redirect_uri: `${ltiToolUrl(req)}/api/lti/launch`,
+      login_hint: String(p.login_hint), state, nonce
+    };
+    if (p.lti_message_hint) params.lti_message_hint = String(p.lti_message_hint);
+    for (const [k, v] of Object.entries(params)) auth.searchParams.set(k, v);
+    res.redirect(302, auth.toString());
+  } catch (e) {
+    res.status(500).json({ error: 'Login initiation failed', details: e.message });
+  }
+});
+
+app.post('/api/lti/launch', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    if (req.body.error) return ltiPage(res, 400, 'Launch failed', `<p>The platform returned: ${escapeHtmlServer(req.body.error_description || req.body.error)}</p>`);
+    const state = ltiReadToken('state', req.body.state);
+    if (!state) return ltiPage(res, 400, 'Launch failed', '<p>The launch has expired or its state is invalid. Open the activity again from your course.</p>');
+    const verified = await ltiVerifyIdToken(req.body.id_token, state);
+    if (verified.error) return ltiPage(res, 400, 'Launch failed', `<p>${escapeHtmlServer(verified.error)}</p>`);
+    const { platform, claims } = verified;
+
+    if (claims[LTI_CLAIM + 'message_type'] === 'LtiDeepLinkingRequest') {
+      if (!ltiIsInstructor(claims)) return ltiPage(res, 403, 'Not allowed', '<p>Only instructors can add passages to a course.</p>');
+      const settings = claims[LTI_DL_CLAIM + 'deep_linking_settings'] || {};
+      if (!settings.deep_link_return_url) return ltiPage(res, 400, 'Launch failed', '<p>The deep linking request has no return URL.</p>');
+      const context = ltiSignToken('deep-link', {
+        platform_id: platform.id, deployment_id: claims[LTI_CLAIM + 'deployment_id'],
+        return_url: settings.deep_link_return_url, data: settings.data ?? null
+      }, LTI_DEEP_LINK_TTL_MS);
+      const multiple = settings.accept_multiple === true;
+      const passages = await PassageAPI.readAll();
+      const rows = passages.map(p => `<label><input type="${multiple ? 'checkbox' : 'radio'}" name="passage_id" value="${Number(p.id)}"${multiple ? '' : ' required'}> ` +
+        `<strong>${escapeHtmlServer(p.title || `Passage ${p.id}`)}</strong> <small>#${Number(p.id)}${p.category ? ' · ' + escapeHtmlServer(p.category) : ''}</small></label>`).join('');
+      return ltiPage(res, 200, 'Choose a Summarize Written Text passage',
+        `<form method="post" action="/api/lti/deep-link"><input type="hidden" name="context" value="${escapeHtmlServer(context)}">${rows}` +
+        '<p><button type="submit">Add to course</button></p></form>');
+    }
+
+    const account = await ltiProvisionUser(platform, claims);
+    if (account.error) return ltiPage(res, account.status || 400, 'Launch failed', `<p>${escapeHtmlServer(account.error)}</p>`);
+    const passageId = await ltiLaunchPassage(claims);
+    const ags = claims[LTI_AGS_CLAIM];
+    if (passageId != null && ags && ags.lineitem && (ags.scope || []).includes(LTI_AGS_SCORE_SCOPE)) {
+      await LtiAPI.saveGradeTarget({
+        username: account.username, passage_id: passageId, platform_id: platform.id, sub: String(claims.sub), lineitem: String(ags.lineitem),
+        context_id: claims[LTI_CLAIM + 'context']?.id ?? null, resource_link_id: claims[LTI_CLAIM + 'resource_link']?.id ?? null
+      });
+    }
+    const code = ltiCreateHandoff({ username: account.username, role: account.role, teacher_request: account.teacherRequest, passage_id: passageId });
+    res.redirect(303, `/?lti_launch=${encodeURIComponent(code)}`);
+  } catch (e) {
+    console.error('LTI launch failed:', e);
+    ltiPage(res, 500, 'Launch failed', `<p>${escapeHtmlServer(e.message)}</p>`);
+  }
+});
+
+// The passage picker's submit: answer the platform with an
+// LtiDeepLinkingResponse carrying one resource link (with a 0–90 line item)
+// per chosen passage.
+app.post('/api/lti/deep-link', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const ctx = ltiReadToken('deep-link', req.body.context);
+    if (!ctx) return ltiPage(res, 400, 'Deep linking failed', '<p>This picker has expired. Start again from your course.</p>');
+    const platform = await LtiAPI.getPlatform(ctx.platform_id);
+    if (!platform) return ltiPage(res, 400, 'Deep linking failed', '<p>The platform is no longer registered.</p>');
+    const ids = [].concat(req.body.passage_id || []);
+    const items = [];
+    for (const id of ids) {
+      const p = await PassageAPI.getById(id);
+      if (!p) continue;
+      const title = p.title || `Passage ${p.id}`;
+      items.push({
+        type: 'ltiResourceLink', title, text: p.category || undefined,
+        url: `${ltiToolUrl(req)}/api/lti/launch`,
+        custom: { passage_id: String(p.id) },
+        lineItem: { scoreMaximum: 90, label: title, resourceId: `swt-passage-${p.id}`, tag: 'pte-swt' }
+      });
+    }
+    if (!items.length) return ltiPage(res, 400, 'Deep linking failed', '<p>Choose at least one passage.</p>');
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      iss: platform.client_id, aud: platform.issuer, iat: now, exp: now + 600, nonce: crypto.randomBytes(16).toString('hex'),
+      [LTI_CLAIM + 'message_type']: 'LtiDeepLinkingResponse', [LTI_CLAIM + 'version']: '1.3.0',
+      [LTI_CLAIM + 'deployment_id']: ctx.deployment_id,
+      [LTI_DL_CLAIM + 'content_items']: items
+    };
+    if (ctx.data != null) payload[LTI_DL_CLAIM + 'data'] = ctx.data;
+    ltiAutoPost(res, ctx.return_url, { JWT: ltiSignJwt(payload, await ltiToolKey()) });
+  } catch (e) {
+    console.error('LTI deep link failed:', e);
+    ltiPage(res, 500, 'Deep linking failed', `<p>${escapeHtmlServer(e.message)}</p>`);
+  }
+});
+
+app.post('/api/lti/session', (req, res) => {
+  const code = String(req.body?.code || '');
+  const h = ltiHandoffs.get(code);
+  ltiHandoffs.delete(code);
+  if (!h || h.exp < Date.now()) return res.status(401).json({ error: 'Launch code is invalid or expired' });
+  res.json({ success: true, username: h.username, role: h.role, teacher_request: h.teacher_request || null, passage_id: h.passage_id, token: mintSessionToken(h.username) });
+});
+
+// Body: { name?, issuer, client_id, deployment_ids?: [] | "a,b", auth_login_url,
+//         auth_token_url, jwks_url }. Re-posting the same issuer + client_id
+// updates it. An empty deployment list accepts any deployment.
+app.post('/api/admin/lti/platforms', requireAdmin, async (req, res) => {
+  const b = req.body || {};
+  const p = {
+    name: String(b.name || '').trim().slice(0, 200),
+    issuer: String(b.issuer || '').trim(),
+    client_id: String(b.client_id || '').trim(),
+    deployment_ids: (Array.isArray(b.deployment_ids) ? b.deployment_ids : String(b.deployment_ids || '').split(','))
+      .map(d => String(d).trim()).filter(Boolean),
+    auth_login_url: String(b.auth_login_url || '').trim(),
+    auth_token_url: String(b.auth_token_url || '').trim(),
+    jwks_url: String(b.jwks_url || '').trim()
+  };
+  for (const k of ['issuer', 'client_id', 'auth_login_url', 'auth_token_url', 'jwks_url']) {
+    if (!p[k]) return res.status(400).json({ error: `${k} is required` });
+  }
+  for (const k of ['auth_login_url', 'auth_token_url', 'jwks_url']) {
+    let u;
+    try { u = new URL(p[k]); } catch (_) { u = null; }
+    if (!u || !/^https?:$/.test(u.protocol)) return res.status(400).json({ error: `${k} must be an http(s) URL` });
+  }
+  try {
+    const platform = await LtiAPI.savePlatform(p);
+    ltiJwksCache.delete(platform.jwks_url);
+    ltiAccessTokens.delete(platform.id);
+    res.json({ success: true, platform });
+  } catch (e) { res.status(500).json({ error: 'Save failed', details: e.message }); }
+});
+
+// The platforms plus the URLs to enter on the platform side.
+app.get('/api/admin/lti/platforms', requireAdmin, async (req, res) => {
+  try {
+    const base = ltiToolUrl(req);
+    res.json({
+      tool: {
+        login_url: `${base}/api/lti/login`, redirect_uri: `${base}/api/lti/launch`, target_link_uri: `${base}/api/lti/launch`,
+        deep_link_url: `${base}/api/lti/launch`, jwks_url: `${base}/api/lti/jwks`, grade_policy: LTI_GRADE_POLICY
+      },
+      platforms: await LtiAPI.listPlatforms()
+    });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+app.post('/api/admin/lti/platforms/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    if (!await LtiAPI.deletePlatform(req.params.id)) return res.status(404).json({ error: 'Platform not found' });
+    ltiAccessTokens.delete(Number(req.params.id));
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: 'Delete failed', details: e.message }); }
+});
+
+// Instructor launches awaiting the teacher role, with the course they came
+// from. Accounts that have become teachers since are left out.
+app.get('/api/admin/lti/teacher-requests', requireAdmin, async (req, res) => {
+  try {
+    const requests = [];
+    for (const r of await LtiAPI.listTeacherRequests()) {
+      const role = await AuthAPI.getRole(r.username);
+      if (role && role !== 'teacher') requests.push({ ...r, role });
+    }
+    res.json({ requests, count: requests.length });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+// Body: { approve: boolean }. Approving grants the teacher role; either way
+// the request is cleared.
+app.post('/api/admin/lti/teacher-requests/:username', requireAdmin, async (req, res) => {
+  const username = req.params.username;
+  const approve = req.body && req.body.approve;
+  if (typeof approve !== 'boolean') return res.status(400).json({ error: 'approve must be true or false' });
+  try {
+    if (!await LtiAPI.clearTeacherRequest(username)) return res.status(404).json({ error: 'No teacher request for this account' });
+    if (approve) {
+      const result = await AuthAPI.setRole(username, 'teacher');
+      if (!result.success) return res.status(404).json({ error: result.error });
+    }
+    res.json({ success: true, username, role: approve ? 'teacher' : await AuthAPI.getRole(username) });
+  } catch (e) { res.status(500).json({ error: 'Update failed', details: e.message }); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INSTITUTION API KEYS (v20.22)
+//
+// Partner colleges call the scoring API from their own apps with a key the
+// admin issues them, sent as `x-api-key: pte_…` or `Authorization: Bearer pte_…`:
+//   grade          POST /api/grade, /api/grade/stream, /api/grade-essay
+//   spellcheck     POST /api/spellcheck
+//   passages:read  GET  /api/passages, /api/passages/:id
+//   (any key)      GET  /api/usage — the key's own usage this month
+// Each key has its own scopes, a per-minute rate limit (in place of the
+// per-IP limiter) and an optional monthly call quota; going over either is a
+// 429. Every call a key is let through for lands in the usage ledger with the
+// LLM tokens it spent, so the admin can see — and cap — what each client uses.
+//
+// Requests without a key are unchanged: the web app stays anonymous and
+// IP-limited. A key that is presented but unknown, revoked or missing the
+// scope is refused rather than treated as anonymous.
+//
+// Rate windows and quota counters are held in memory, per process — like the
+// IP limiter. The quota counter is seeded from the ledger on first use each
+// month, so a restart doesn't reset it.
+//
+// npm run api:selftest checks scopes, rate windows, quota rollover and the
+// ledger against a scratch data directory.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const API_KEY_PREFIX = 'pte_';
+const API_KEY_DEFAULT_RATE_LIMIT = (() => {
+  const n = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 10);
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, 10000) : 60;
+})();
+const API_RATE_WINDOW_MS = 60 * 1000;
+
+// LLM tokens spent while serving a keyed request. The meter rides the async
+// context, so it needs no plumbing through the scoring pipeline; calls made
+// outside a keyed request (the web app, batch jobs) aren't metered.
+const llmMeter = new AsyncLocalStorage();
+
+function withLlmMetering(provider) {
+  return {
+    ...provider,
+    async complete(req) {
+      const result = await provider.complete(req);
+      const meter = llmMeter.getStore();
+      if (meter) {
+        meter.llm_calls++;
+        meter.input_tokens += result.usage?.input_tokens || 0;
+        meter.output_tokens += result.usage?.output_tokens || 0;
+      }
+      return result;
+    }
+  };
+}
+
+llm = withLlmMetering(llm);
+
+function apiKeyHash(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function mintApiKey() {
+  const prefix = API_KEY_PREFIX + crypto.randomBytes(4).toString('hex');
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, key_hash: apiKeyHash(key) };
+}
+
+// x-api-key is always taken as a key attempt; a bearer token only when it
+// looks like one of ours.
+function apiKeyFromRequest(req) {
+  const header = String(req.headers['x-api-key'] || '').trim();
+  if (header) return header;
+  const m = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ''));
+  return m && m[1].startsWith(API_KEY_PREFIX) ? m[1] : '';
+}
+
+// Strips the hash before a key goes out in a response.
+function publicApiKey(k) {
+  const { key_hash: _hash, ...rest } = k;
+  return rest;
+}
+
+function apiMonth(d = new Date()) {
+  return d.toISOString().slice(0, 7);
+}
+
+// 'YYYY-MM' → { from, to } as ISO timestamps (UTC calendar month).
+function apiMonthRange(month) {
+  const [y, m] = month.split('-').map(Number);
+  return { from: new Date(Date.UTC(y, m - 1, 1)).toISOString(), to: new Date(Date.UTC(y, m, 1)).toISOString() };
+}
+
+// Validates the admin-editable settings of a key over `base`. Returns
+// { settings } or { error }.
+function apiKeySettings(body, base) {
+  const out = { ...base };
+  if (body.label !== undefined) out.label = String(body.label || '').trim().slice(0, 100);
+  if (body.scopes !== undefined) {
+    const scopes = (Array.isArray(body.scopes) ? body.scopes : String(body.scopes || '').split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+    const unknown = scopes.find(s => !API_SCOPES.includes(s));
+    if (unknown) return { error: `Unknown scope "${unknown}" (expected ${API_SCOPES.join(', ')})` };
+    if (!scopes.length) return { error: 'A key needs at least one scope' };
+    out.scopes = [...new Set(scopes)];
+  }
+  if (body.rate_limit_per_minute !== undefined) {
+    const n = Number(body.rate_limit_per_minute);
+    if (!Number.isInteger(n) || n < 1 || n > 10000) return { error: 'rate_limit_per_minute must be a whole number from 1 to 10000' };
+    out.rate_limit_per_minute = n;
+  }
+  if (body.monthly_quota !== undefined) {
+    if (body.monthly_quota === null || body.monthly_quota === '') out.monthly_quota = null;
+    else {
+      const n = Number(body.monthly_quota);
+      if (!Number.isInteger(n) || n < 1) return { error: 'monthly_quota must be a positive whole number, or null for no quota' };
+      out.monthly_quota = n;
+    }
+  }
+  return { settings: out };
+}
+
+// A client's `spelling_preference`: null or '' for the deployment default.
+// Returns { value } or { error }.
+function apiClientSpelling(value) {
+  if (value == null || value === '') return { value: null };
+  const p = normalizeSpellingPreference(value);
+  return p ? { value: p } : { error: `spelling_preference must be one of: ${SPELLING_PREFERENCES.join(', ')}, or null` };
+}
+
+const apiRateWindows = new Map();   // key id → { start, count }
+const apiQuotaCounts = new Map();   // `${key id}|${YYYY-MM}` → calls let through
+
+// Fixed one-minute window per key. Every call with a valid key counts,
+// including the ones it refuses.
+function apiRateCheck(key) {
+  const now = Date.now();
+  let w = apiRateWindows.get(key.id);
+  if (!w || now - w.start >= API_RATE_WINDOW_MS) apiRateWindows.set(key.id, w = { start: now, count: 0 });
+  w.count++;
+  return {
+    ok: w.count <= key.rate_limit_per_minute,
+    limit: key.rate_limit_per_minute,
+    remaining: Math.max(0, key.rate_limit_per_minute - w.count),
+    reset: Math.ceil((w.start + API_RATE_WINDOW_MS - now) / 1000)
+  };
+}
+
+async function apiQuotaUsed(keyId, month) {
+  const slot = `${keyId}|${month}`;
+  if (!apiQuotaCounts.has(slot)) {
+    const n = await ApiUsageAPI.countSince(keyId, apiMonthRange(month).from);
+    if (!apiQuotaCounts.has(slot)) {
+      for (const s of apiQuotaCounts.keys()) if (!s.endsWith(`|${month}`)) apiQuotaCounts.delete(s);
+      apiQuotaCounts.set(slot, n);
+    }
+  }
+  return apiQuotaCounts.get(slot);
+}
+
+// Resolves a presented key to { key, client }, or { status, error }.
+async function resolveApiKey(presented) {
+  const key = await ApiClientAPI.findKeyByHash(apiKeyHash(presented));
+  const client = key && !key.revoked_at ? await ApiClientAPI.getClient(key.client_id) : null;
+  if (!client) return { status: 401, error: 'Invalid or revoked API key' };
+  if (client.disabled) return { status: 403, error: 'This API client is disabled' };
+  return { key, client };
+}
+
+// Middleware for the routes a key can open. Without a key the request goes
+// through as before; with one it must pass scope, rate and quota, and the
+// call is written to the usage ledger once the response is done.
+function requireApiScope(scope) {
+  return async (req, res, next) => {
+    const presented = apiKeyFromRequest(req);
+    if (!presented) return next();
+    let auth;
+    const month = apiMonth();
+    try {
+      auth = await resolveApiKey(presented);
+      if (auth.error) return res.status(auth.status).json({ error: auth.error });
+      if (!auth.key.scopes.includes(scope)) return res.status(403).json({ error: `This API key does not have the "${scope}" scope` });
+      const rate = apiRateCheck(auth.key);
+      res.set({ 'RateLimit-Limit': String(rate.limit), 'RateLimit-Remaining': String(rate.remaining), 'RateLimit-Reset': String(rate.reset) });
+      if (!rate.ok) {
+        res.set('Retry-After', String(rate.reset));
+        return res.status(429).json({ error: `Rate limit of ${rate.limit} calls per minute reached — retry in ${rate.reset}s.` });
+      }
+      if (auth.key.monthly_quota != null) {
+        const slot = `${auth.key.id}|${month}`;
+        await apiQuotaUsed(auth.key.id, month);
+        // Read and counted with no await in between, so concurrent calls
+        // can't both take the last one.
+        const used = apiQuotaCounts.get(slot);
+        if (used >= auth.key.monthly_quota) {
+          res.set({ 'X-Quota-Limit': String(auth.key.monthly_quota), 'X-Quota-Remaining': '0' });
+          return res.status(429).json({ error: `Monthly quota of ${auth.key.monthly_quota} calls reached for ${month}.` });
+        }
+        apiQuotaCounts.set(slot, used + 1);
+        res.set({ 'X-Quota-Limit': String(auth.key.monthly_quota), 'X-Quota-Remaining': String(auth.key.monthly_quota - used - 1) });
+      } else {
+        // Seeded afresh from the ledger if a quota is set later.
+        apiQuotaCounts.delete(`${auth.key.id}|${month}`);
+      }
+    } catch (e) {
+      return res.status(500).json({ error: 'API key check failed', details: e.message });
+    }
+    const { key, client } = auth;
+    req.apiKey = key;
+    req.apiClient = client;
+
+    const started = Date.now();
+    const meter = { llm_calls: 0, input_tokens: 0, output_tokens: 0 };
+    // 'close' fires for finished responses and for streams the caller
+    // abandoned alike.
+    res.once('close', () => {
+      ApiUsageAPI.record({
+        client_id: client.id,
+        key_id: key.id,
+        route: req.route ? req.baseUrl + req.route.path : req.path,
+        status: res.statusCode,
+        duration_ms: Date.now() - started,
+        ...meter
+      }).catch(e => console.error('[api-usage] ledger write failed:', e.message));
+    });
+    llmMeter.run(meter, next);
+  };
+}
+
+// Totals across rollup rows, with the per-route split kept.
+function apiUsageTotals(rows) {
+  const t = { calls: 0, errors: 0, llm_calls: 0, input_tokens: 0, output_tokens: 0, last_at: null, routes: {} };
+  for (const r of rows) {
+    for (const f of ['calls', 'errors', 'llm_calls', 'input_tokens', 'output_tokens']) t[f] += r[f];
+    if (r.last_at && (!t.last_at || r.last_at > t.last_at)) t.last_at = r.last_at;
+    t.routes[r.route] = { calls: r.calls, errors: r.errors, llm_calls: r.llm_calls, input_tokens: r.input_tokens, output_tokens: r.output_tokens };
+  }
+  return t;
+}
+
+// A key's own view: its limits and this month's usage.
+app.get('/api/usage', async (req, res) => {
+  const presented = apiKeyFromRequest(req);
+  if (!presented) return res.status(401).json({ error: 'API key required' });
+  try {
+    const auth = await resolveApiKey(presented);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const month = apiMonth();
+    const { from, to } = apiMonthRange(month);
+    const usage = apiUsageTotals((await ApiUsageAPI.summary(auth.client.id, from, to)).filter(r => r.key_id === auth.key.id));
+    res.json({
+      client: auth.client.name,
+      key: { prefix: auth.key.prefix, label: auth.key.label, scopes: auth.key.scopes, rate_limit_per_minute: auth.key.rate_limit_per_minute, monthly_quota: auth.key.monthly_quota },
+      month,
+      usage,
+      quota_remaining: auth.key.monthly_quota == null ? null : Math.max(0, auth.key.monthly_quota - usage.calls)
+    });
+  } catch (e) { res.status(500).json({ error: 'Usage lookup failed', details: e.message }); }
+});
+
+// Body: { name, contact?, spelling_preference?, label?, scopes?: [] | "a,b",
+//         rate_limit_per_minute?, monthly_quota? }. Creates the client and its first key; the key is
+// in the response once and never again.
+app.post('/api/admin/api-clients', requireAdmin, async (req, res) => {
+  const b = req.body || {};
+  const name = String(b.name || '').trim().slice(0, 200);
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  const s = apiKeySettings(b, { label: '', scopes: API_SCOPES.slice(), rate_limit_per_minute: API_KEY_DEFAULT_RATE_LIMIT, monthly_quota: null });
+  if (s.error) return res.status(400).json({ error: s.error });
+  const spelling = apiClientSpelling(b.spelling_preference);
+  if (spelling.error) return res.status(400).json({ error: spelling.error });
+  try {
+    const client = await ApiClientAPI.createClient({ name, contact: String(b.contact || '').trim().slice(0, 200), spelling_preference: spelling.value });
+    const minted = mintApiKey();
+    const key = await ApiClientAPI.createKey({ client_id: client.id, ...s.settings, prefix: minted.prefix, key_hash: minted.key_hash });
+    res.json({ success: true, client, key: publicApiKey(key), api_key: minted.key });
+  } catch (e) { res.status(500).json({ error: 'Create failed', details: e.message }); }
+});
+
+// Every client with its keys and each key's calls this month.
+app.get('/api/admin/api-clients', requireAdmin, async (req, res) => {
+  try {
+    const month = apiMonth();
+    const { from, to } = apiMonthRange(month);
+    const [clients, keys, usage] = await Promise.all([ApiClientAPI.listClients(), ApiClientAPI.listKeys(null), ApiUsageAPI.summary(null, from, to)]);
+    res.json({
+      month,
+      scopes: API_SCOPES,
+      clients: clients.map(c => ({
+        ...c,
+        keys: keys.filter(k => k.client_id === c.id).map(k => {
+          const t = apiUsageTotals(usage.filter(u => u.key_id === k.id));
+          return { ...publicApiKey(k), month_calls: t.calls, month_input_tokens: t.input_tokens, month_output_tokens: t.output_tokens, last_used_at: t.last_at };
+        })
+      }))
+    });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+// Body: { name?, contact?, disabled?, spelling_preference? }. A disabled
+// client's keys are refused; a spelling_preference applies to every grading
+// call its keys make that names neither a `spelling` nor a user who saved one.
+app.post('/api/admin/api-clients/:id', requireAdmin, async (req, res) => {
+  const b = req.body || {};
+  const patch = {};
+  if (b.name !== undefined) {
+    patch.name = String(b.name || '').trim().slice(0, 200);
+    if (!patch.name) return res.status(400).json({ error: 'name cannot be empty' });
+  }
+  if (b.contact !== undefined) patch.contact = String(b.contact || '').trim().slice(0, 200);
+  if (b.disabled !== undefined) patch.disabled = b.disabled === true || b.disabled === 'true';
+  if (b.spelling_preference !== undefined) {
+    const spelling = apiClientSpelling(b.spelling_preference);
+    if (spelling.error) return res.status(400).json({ error: spelling.error });
+    patch.spelling_preference = spelling.value;
+  }
+  try {
+    const client = await ApiClientAPI.updateClient(req.params.id, patch);
+    if (!client) return res.status(404).json({ error: 'API client not found' });
+    res.json({ success: true, client });
+  } catch (e) { res.status(500).json({ error: 'Update failed', details: e.message }); }
+});
+
+// Issues another key. Body: the key settings, plus `replaces: <key id>` to
+// rotate — the new key starts from the old one's settings and the old key is
+// revoked in the same step.
+app.post('/api/admin/api-clients/:id/keys', requireAdmin, async (req, res) => {
+  const b = req.body || {};
+  try {
+    const client = await ApiClientAPI.getClient(req.params.id);
+    if (!client) return res.status(404).json({ error: 'API client not found' });
+    let old = null;
+    if (b.replaces != null) {
+      old = await ApiClientAPI.getKey(b.replaces);
+      if (!old || old.client_id !== client.id) return res.status(404).json({ error: 'Key to replace not found on this client' });
+      if (old.revoked_at) return res.status(409).json({ error: 'Key to replace is already revoked' });
+    }
+    const base = old
+      ? { label: old.label, scopes: old.scopes, rate_limit_per_minute: old.rate_limit_per_minute, monthly_quota: old.monthly_quota }
+      : { label: '', scopes: API_SCOPES.slice(), rate_limit_per_minute: API_KEY_DEFAULT_RATE_LIMIT, monthly_quota: null };
+    const s = apiKeySettings(b, base);
+    if (s.error) return res.status(400).json({ error: s.error });
+    const minted = mintApiKey();
+    const key = await ApiClientAPI.createKey({ client_id: client.id, ...s.settings, prefix: minted.prefix, key_hash: minted.key_hash });
+    if (old) await ApiClientAPI.updateKey(old.id, { revoked_at: new Date().toISOString(), replaced_by: key.id });
+    res.json({ success: true, key: publicApiKey(key), api_key: minted.key, revoked: old ? old.id : null });
+  } catch (e) { res.status(500).json({ error: 'Key issue failed', details: e.message }); }
+});
+
+// Body: { label?, scopes?, rate_limit_per_minute?, monthly_quota? } — applies
+// from the key's next call.
+app.post('/api/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await ApiClientAPI.getKey(req.params.id);
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    const s = apiKeySettings(req.body || {}, {});
+    if (s.error) return res.status(400).json({ error: s.error });
+    res.json({ success: true, key: publicApiKey(await ApiClientAPI.updateKey(key.id, s.settings)) });
+  } catch (e) { res.status(500).json({ error: 'Update failed', details: e.message }); }
+});
+
+app.post('/api/admin/api-keys/:id/revoke', requireAdmin, async (req, res) => {
+  try {
+    const key = await ApiClientAPI.getKey(req.params.id);
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    if (key.revoked_at) return res.json({ success: true, key: publicApiKey(key) });
+    res.json({ success: true, key: publicApiKey(await ApiClientAPI.updateKey(key.id, { revoked_at: new Date().toISOString() })) });
+  } catch (e) { res.status(500).json({ error: 'Revoke failed', details: e.message }); }
+});
+
+// ?month=YYYY-MM (default: this month) → the client's calls, errors and LLM
+// tokens, per key and per route.
+app.get('/api/admin/api-clients/:id/usage', requireAdmin, async (req, res) => {
+  const month = req.query.month ? String(req.query.month) : apiMonth();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+  try {
+    const client = await ApiClientAPI.getClient(req.params.id);
+    if (!client) return res.status(404).json({ error: 'API client not found' });
+    const { from, to } = apiMonthRange(month);
+    const [keys, usage] = await Promise.all([ApiClientAPI.listKeys(client.id), ApiUsageAPI.summary(client.id, from, to)]);
+    const { routes: _routes, ...totals } = apiUsageTotals(usage);
+    res.json({
+      client,
+      month,
+      totals,
+      keys: keys.map(k => ({
+        id: k.id, prefix: k.prefix, label: k.label, revoked_at: k.revoked_at, monthly_quota: k.monthly_quota,
+        ...apiUsageTotals(usage.filter(u => u.key_id === k.id))
+      }))
+    });
+  } catch (e) { res.status(500).json({ error: 'Usage lookup failed', details: e.message }); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KEY-ELEMENT EXTRACTION (v19.11) — Claude drafts the framework + key ideas
+// for a passage. Runs ONCE at authoring time (admin action), not per submission.
+// The output is a DRAFT — the admin reviews and approves before it goes live.
+//
+// Returns:
+//   {
+//     framework: 'wwhr' | 'tpc',
+//     framework_reason: string,
+//     confidence: 'high' | 'medium' | 'low',
+//     keyElements: { what,why,how,result }  OR  { topic,pivot,conclusion },
+//     keyElementsRationale: { topic, importance, elements:{...} },
+//     sampleResponse: string,
+//     source: 'claude'
+//   }
+// Returns null if Claude is unavailable or the response can't be parsed.
+// ═══════════════════════════════════════════════════════════════════════════════
+// v19.11.2: instead of returning bare `null` for every failure, return either
+// the draft OR an object { _failed: true, reason }. Lets the endpoint surface a
+// specific message ("API key invalid", "Claude returned wrong-schema JSON",
+// "timed out") instead of one generic "unavailable" line that gave the admin no
+// way to debug it.
+async function extractKeyElementsWithClaude(passageText, passageTitle, timeoutMs = 25000) {
+  if (!llm.available) return { _failed: true, reason: `LLM provider "${llm.name}" is not configured on the server` };
+  const title = (passageTitle || '').trim();
+  const text = (passageText || '').trim();
+  if (text.length < 40) return { _failed: true, reason: 'Passage text is too short (under 40 chars)' };
+
+  const prompt = `You are an expert PTE Academic item writer. Your job: read a passage and identify the KEY IDEAS a student must capture to write a high-scoring one-sentence Summarize Written Text (SWT) response.
+
+PASSAGE${title ? ' — "' + title + '"' : ''}:
+"""
+${text}
+"""
+
+STEP 1 — CHOOSE THE FRAMEWORK.
+Decide which of two structures the passage actually has:
+
+• "tpc" (Topic / Pivot / Conclusion) — use ONLY if the passage HINGES ON A TURN: an
+  argument that reverses or complicates itself. Signals: "but", "however", "despite",
+  "once thought ... now", "although". The pivot IS the point of the passage.
+  3 key ideas: topic (the initial position), pivot (the turn/complication),
+  conclusion (where it lands).
+
+• "wwhr" (What / Why / How / Result) — use for EXPOSITORY passages that BUILD rather
+  than turn: present a thing, explain its importance, describe the mechanism, state
+  the outcome. Most science, business, and process passages.
+  4 key ideas: what (central claim), why (reason/evidence it matters),
+  how (mechanism/process), result (consequence/implication).
+
+Pick the one that loses the LEAST meaning. State which and why.
+
+STEP 2 — EXTRACT THE KEY IDEAS.
+
+Each key idea must STAY CLOSE TO THE PASSAGE'S OWN WORDING. Do NOT freely paraphrase
+or re-express the idea in your own words. Find the sentence (or the part of a
+sentence) in the passage that states the idea, and use that wording — lightly
+trimmed, not rewritten.
+
+HOW to phrase each key element:
+- Locate the passage sentence that carries the idea.
+- Quote its substance using the passage's own words and phrasing.
+- You MAY trim it: drop a lead-in clause, drop a trailing example, cut it to the
+  load-bearing core. You may NOT swap in synonyms or restructure it.
+- The result should read like a faithful condensation of a real passage sentence,
+  not a fresh sentence you wrote. If you re-extracted the same passage twice, both
+  results should be nearly identical because both are anchored to the same text.
+
+CRITICAL RULES:
+- A key idea is a GENERAL claim the summary would be WRONG or INCOMPLETE without.
+- Quotes, rhetorical questions, and vivid statistics that merely ILLUSTRATE a claim
+  already counted are DECORATION — do not make them key ideas.
+
+- NEVER let an EXAMPLE be the key idea. A passage states a general principle and then
+  ILLUSTRATES it with a specific case — a named event, a dated incident, a particular
+  study, a single person or place. The KEY IDEA is the general principle.
+  This is the ONE case where you trim rather than copy whole: if the passage sentence
+  is "After the 1980 Mount St. Helens eruption, monitoring of seismic energy, tilt and
+  SO2 enabled accurate prediction", you KEEP the general clause in the passage's words
+  — "monitoring of seismic energy, tilt and SO2 enables accurate prediction" — and
+  DROP only the dated-example lead-in. You are still using the passage's wording; you
+  are just cutting the example clause out of it.
+  If you find a year, a place name, a person's name, or "for example / for instance /
+  such as / in the case of" inside a key idea, cut that clause — but keep the rest of
+  the sentence verbatim. Do not rewrite the surviving part.
+  A student who summarises the general principle WITHOUT naming the specific example
+  must score full marks for that element.
+
+- The test: "if a reader had ONLY these key ideas, would they understand the passage's
+  actual argument?" — not "would they find it interesting", and not "do they know
+  the specific examples".
+
+STEP 3 — JUSTIFY.
+For each key idea, give one sentence explaining why it is load-bearing AND, where
+relevant, which competing sentence (or which example) it was chosen OVER.
+
+STEP 4 — RATE YOUR CONFIDENCE.
+"high" = the structure is unambiguous. "medium" = reasonable editors might carve it
+slightly differently. "low" = genuinely murky — flag for careful human review.
+
+STEP 5 — WRITE A MODEL ANSWER.
+One sentence, 30-50 words, that captures every key idea using academic connectors
+(however / moreover / therefore). This is the Band-90 sample.
+
+Respond with ONLY this JSON, no other text:
+{
+  "framework": "wwhr" OR "tpc",
+  "framework_reason": "one sentence on why this framework fits",
+  "confidence": "high" OR "medium" OR "low",
+  "keyElements": {
+    // if wwhr: "what","why","how","result"  — if tpc: "topic","pivot","conclusion"
+    "what": "short phrase naming the idea"
+  },
+  "keyElementsRationale": {
+    "topic": "2-3 sentences: what the passage is about and how it is structured",
+    "importance": "2-3 sentences: why THESE sentences are load-bearing and which kinds of sentences in this passage are decoration",
+    "elements": {
+      // same keys as keyElements; each value = one sentence on why that element matters
+      "what": "why this element is load-bearing, and what it was chosen over"
+    }
+  },
+  "sampleResponse": "one-sentence Band-90 model answer, 30-50 words"
+}`;
+
+  try {
+    const callPromise = llm.complete({
+      purpose: 'key_element_extraction',
+      model: CLAUDE_MODEL,
+      max_tokens: 2000,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    const timeoutPromise = new Promise((_, rej) => setTimeout(() => rej(new Error('extraction timeout')), timeoutMs));
+    const response = await Promise.race([callPromise, timeoutPromise]);
+    const raw = response.text || '';
+    const m = raw.match(/\{[\s\S]*\}/);
+    if (!m) {
+      console.error('Extraction: Claude returned no JSON. First 200 chars:', raw.slice(0, 200));
+      return { _failed: true, reason: 'Claude returned a response with no JSON object — likely a refusal or formatting error. Try again.' };
+    }
+    let parsed;
+    try { parsed = JSON.parse(m[0]); }
+    catch (e) {
+      console.error('Extraction: JSON parse failed:', e.message, '— raw:', m[0].slice(0, 200));
+      return { _failed: true, reason: 'Claude returned malformed JSON. Try again.' };
+    }
+
+    // ── Validate + normalise ──
+    const framework = (parsed.framework === 'tpc') ? 'tpc' : 'wwhr';
+    const validKeys = framework === 'tpc'
+      ? ['topic','pivot','conclusion']
+      : ['what','why','how','result'];
+
+    const ke = {};
+    for (const k of validKeys) {
+      if (parsed.keyElements && typeof parsed.keyElements[k] === 'string' && parsed.keyElements[k].trim()) {
+        ke[k] = parsed.keyElements[k].trim();
+      }
+    }
+    // If Claude returned the wrong-schema keys, the extraction is unusable.
+    if (Object.keys(ke).length < (framework === 'tpc' ? 3 : 4)) {
+      console.error('Extraction: incomplete keyElements for framework', framework, '— got', Object.keys(ke));
+      return { _failed: true, reason: 'Claude returned an incomplete set of key elements (' + Object.keys(ke).length + ' of ' + (framework === 'tpc' ? 3 : 4) + ' for ' + framework + '). Try again.' };
+    }
+
+    const rationale = {};
+    const pr = parsed.keyElementsRationale || {};
+    if (typeof pr.topic === 'string')      rationale.topic = pr.topic.trim().slice(0, 2000);
+    if (typeof pr.importance === 'string') rationale.importance = pr.importance.trim().slice(0, 2000);
+    if (pr.elements && typeof pr.elements === 'object') {
+      rationale.elements = {};
+      for (const k of validKeys) {
+        if (typeof pr.elements[k] === 'string') rationale.elements[k] = pr.elements[k].trim().slice(0, 1000);
+      }
+    }
+
+    return {
+      framework,
+      framework_reason: typeof parsed.framework_reason === 'string' ? parsed.framework_reason.trim() : '',
+      confidence: ['high','medium','low'].includes(parsed.confidence) ? parsed.confidence : 'medium',
+      keyElements: ke,
+      keyElementsRationale: rationale,
+      sampleResponse: typeof parsed.sampleResponse === 'string' ? parsed.sampleResponse.trim() : '',
+      source: 'claude',
+      llm_request_key: response.request_key || null
+    };
+  } catch (e) {
+    console.error('Key-element extraction failed:', e.message);
+    // Distinguish common provider errors so the admin sees something useful.
+    // v20.3: the offline provider's "no fixture" error passes through as-is.
+    let reason = e.message || 'unknown error';
+    const who = llm.name === 'anthropic' ? 'Anthropic' : `LLM provider "${llm.name}"`;
+    if (/timeout|timed out/i.test(reason))          reason = 'LLM call timed out (>25s). Try again.';
+    else if (/401|unauthor/i.test(reason))          reason = `${who} rejected the API key (401). Check the key in Railway.`;
+    else if (/403/i.test(reason))                   reason = `${who} forbade the request (403). Check the API key and billing.`;
+    else if (/429|rate.?limit/i.test(reason))       reason = `${who} rate-limit hit (429). Wait a minute and try again.`;
+    else if (/529|overload/i.test(reason))          reason = `${who} is overloaded (529). Try again in a moment.`;
+    else if (/ENOTFOUND|ECONNREFUSED|network|fetch failed/i.test(reason)) reason = `Network error reaching ${who} — check the Railway service has outbound internet.`;
+    return { _failed: true, reason };
+  }
+}
+
+
+// Per real-exam feedback: content (correct idea selection) is THE primary
+// determinant. Wrong ideas → severe ceiling. Correct ideas + academic synonyms
+// → reach Band 9 / PTE 90. Verbatim with good connectors stays at Writing 90
+// but caps Reading around 55–65 unless academic synonyms are added.
+// ═══════════════════════════════════════════════════════════════════════════════
+// ─── KEY ELEMENT CONDENSER (v19.8.1) ────────────────────────────────────────
+// PTE passages often have key elements written as full sentences with
+// supporting context: "He was familiar with the minor disadvantages of country
+// living such as uncertain water supply and lack of central heating."
+//
+// The capture-worthy part — the headline — is "He was familiar with the minor
+// disadvantages of country living". The "such as ... and ..." tail is supporting
+// detail. A student capturing only the headline should earn full credit, but
+// Claude tends to judge against the full text and report "missing" when the
+// tail isn't conveyed.
+//
+// This helper extracts just the headline by splitting on the FIRST joining
+// marker that introduces supporting context. The full original text is also
+// retained and shown to Claude as supporting context — Claude judges against
+// the HEADLINE only.
+function condenseKeyElement(text) {
+  if (!text) return { headline: '', full: '', wasCondensed: false };
+  const t = String(text).trim();
+  // Order matters: more specific markers first. Patterns that introduce
+  // examples or supporting detail vs patterns joining two co-equal clauses.
+  const splitters = [
+    /,\s+such\s+as\s+/i,              // "X, such as Y" → headline = X
+    /\s+such\s+as\s+/i,               //  "X such as Y" (no comma) → same
+    /,\s+including\s+/i,
+    /,\s+like\s+/i,
+    /,\s+for\s+example\b/i,
+    /,\s+e\.?g\.?\s+/i,
+    /,\s+with\s+/i,                   // "X, with Y" (e.g., "smooth, with setbacks like...")
+    /;\s*moreover\b/i,
+    /;\s*furthermore\b/i,
+    /;\s*and\b/i,
+    /,\s+and\s+/i,                    // Oxford-comma joining two clauses
+    /;\s*/,
+  ];
+  for (const re of splitters) {
+    const m = t.match(re);
+    if (m && m.index > 20) {
+      return { headline: t.slice(0, m.index).trim(), full: t, wasCondensed: true };
+    }
+  }
+  return { headline: t, full: t, wasCondensed: false };
+}
+
+function formatKeyElementsHint(keyElements) {
+  if (!keyElements) return '';
+  const parts = [];
+  const fieldOrder = [
+    ['what','What'], ['why','Why'], ['how','How'], ['result','Result'],
+    ['topic','Topic'], ['pivot','Pivot'], ['conclusion','Conclusion']
+  ];
+  // Only emit fields the passage actually has, deduping the new + legacy schemas
+  const seen = new Set();
+  for (const [k, label] of fieldOrder) {
+    if (!keyElements[k]) continue;
+    if (k === 'topic'      && (keyElements.what    || seen.has('what')))   continue;
+    if (k === 'pivot'      && (keyElements.why     || seen.has('why')))    continue;
+    if (k === 'conclusion' && (keyElements.result  || seen.has('result'))) continue;
+    seen.add(k);
+    const c = condenseKeyElement(stripHtml(keyElements[k]));
+    if (c.wasCondensed) {
+      // Show HEADLINE prominently + the supporting detail in parentheses, so
+      // Claude knows what's required (headline) vs what's optional (detail).
+      parts.push(`- ${label}: ${c.headline}\n    (supporting detail in passage — not required for capture: ${c.full.slice(c.headline.length).replace(/^[,;\s]+/, '')})`);
+    } else {
+      parts.push(`- ${label}: ${c.full}`);
+    }
+  }
+  return parts.join('\n');
+}
+
+async function judgeContentWithClaude(studentText, passageText, keyElements, timeoutMs = 30000, task = 'swt') {
+  // v19.17.1: timeout raised from 12s to 30s. The response now budgets 3200
+  // tokens (content scoring + 7-8 vocab swaps + grammar annotations), and a
+  // Haiku response that long can take 15-20s. The old 12s ceiling was
+  // calibrated for the original ~1400-token responses and was cutting Claude
+  // off mid-generation — which is why EVERY grade was timing out and falling
+  // back to the local scorer (no vocab coach, no grammar annotations).
+  if (!llm.available) return null;
+  const kpHint = formatKeyElementsHint(keyElements);
+  const totalIdeas = countKeyElements(keyElements);
+
+  // v20.25: an SST response is judged by the same rubric; only the framing
+  // changes — the PASSAGE is the lecture transcript and several sentences are fine.
+  const taskIntro = task === 'sst'
+    ? 'You are a strict but fair PTE Academic Summarize Spoken Text scorer. The student listened to a lecture and summarised it in 50–70 words; several sentences are allowed. Score this summary across three dimensions AND suggest context-appropriate vocabulary swaps. The PASSAGE below is the transcript of the lecture.'
+    : 'You are a strict but fair PTE Academic Summarize Written Text scorer. Score this one-sentence summary across three dimensions AND suggest context-appropriate vocabulary swaps.';
+  const prompt = `${taskIntro}
+
+PASSAGE:
+${passageText}
+
+STUDENT SUMMARY:
+${studentText}
+
+${kpHint ? 'KEY IDEAS THE PASSAGE CONVEYS (this passage has exactly ' + totalIdeas + ' key idea' + (totalIdeas !== 1 ? 's' : '') + '):\n' + kpHint + '\n' : ''}
+EVALUATE:
+1. CONTENT COVERAGE — For each of the ${totalIdeas} key ideas, judge how well the student conveyed its CORE meaning. This produces a per-idea score that sums to content_score.
+2. SYNONYM APPROPRIATENESS — If the student replaced words from the passage, are substitutes meaning-preserving and register-appropriate? VERBATIM COPYING IS ACCEPTABLE — do NOT penalise it. PHRASE-LIFTING IS ALSO ACCEPTABLE — students may select key phrases from the passage (rather than full sentences) and stitch them together with their own connectors. Do NOT penalise this style; judge purely on whether the resulting summary is coherent and faithful to the passage.
+3. COHESION — BE STRICT. Ideas must connect logically through proper connectors (however/moreover/therefore/furthermore/consequently). Listed-out facts with no logical glue is "weak" cohesion even if commas separate them. Connectors must signal the actual relationship: "however" only for contrast, "moreover/furthermore" only for addition, "therefore/consequently" only for cause-effect. A misused connector → "weak". Two clauses jammed with "and" or comma-spliced → "weak". Only "strong" when each connective genuinely reflects the relationship between the ideas it links.
+
+CONTENT SCORING — binary capture per idea (PTE Pearson rubric):
+
+For EACH key idea above, assign a per-idea score:
+  • 1.0  — CAPTURED. The student's summary conveys the central claim/headline of this idea. Paraphrasing IS capture. Omitting supporting detail (dates, names, examples, secondary clauses) is fine — the headline is what counts.
+  • 0.0  — MISSING. The idea is not conveyed at all, or has been replaced by unrelated/fabricated content.
+
+Use 1.0 generously when the student has clearly attempted the idea, even if the wording differs from the passage. PTE does NOT use partial credit — it's binary. When in doubt, score 1.0. However, a student who has not attempted the idea at all (or only overlaps on 1-2 words by chance without conveying the proposition) must receive 0.0.
+
+Then content_score = SUM of per-idea scores (range 0–${totalIdeas}).
+
+CAPTURE PHILOSOPHY — read this carefully:
+The KEY IDEAS above are written as full sentences with headline + supporting context. A student who captures the HEADLINE earns 1.0 even without the supporting context. Examples of captured (1.0):
+  • Key idea: "Progress was not entirely smooth, with setbacks like the South Sea Bubble of 1720"
+    Student wrote: "the progress was not completely smooth"  →  1.0 (headline captured; the date is supporting detail).
+  • Key idea: "He was familiar with the minor disadvantages of country living such as uncertain water supply and lack of central heating"
+    Student wrote: "he was aware of the minor downsides of country living"  →  1.0 (headline captured; the examples are supporting detail).
+  • Key idea: "He has altered the way people think as well as the way they live, like other revolutionary scientists"
+    Student wrote: "has changed the world more than anyone in the past century"  →  1.0 (same headline meaning).
+  • Key idea: "He persuaded his wife that exchanging the town house for a farm cottage on a lower income was a good idea"
+    Student wrote: "he tried to convince his wife that exchanging town house for farm cottage was a good idea"  →  1.0 ("tried to convince" = "persuaded"; same idea).
+  • Key idea: "The UK's financial hub has overtaken New York rivals in funds managed and holds 70% of bond markets"
+    Student wrote: "the United Kingdom's financial hub has overtaken their New York rivals in terms of funds managed"  →  1.0 (headline captured; the 70% figure is supporting detail).
+  • Key idea: "Tourism employs a large proportion of women, minority groups and young people"
+    Student wrote: "the sector employs many women, minority groups and young people"  →  1.0.
+
+Examples of missing (0.0):
+  • Key idea: "The financial hub has overtaken New York rivals in funds managed"
+    Student wrote: nothing about overtaking NY or financial dominance  →  0.0.
+  • Student replaces an idea with fabricated content not in the passage  →  0.0.
 
-// Admin mints an impersonation token for a username. Requires ADMIN_KEY.
-app.get('/api/admin/impersonate/:username', requireAdmin, async (req, res) => {
-  try {
-    const uid = req.params.username.toLowerCase().trim();
-    if (!uid) return res.status(400).json({ error: 'username required' });
-    // Confirm the account exists before minting a token for it.
-    const userData = await StorageAPI.getUserData(uid);
-    const account = await (USE_POSTGRES
-      ? PgStorage._getAccount(uid)
-      : (async () => { const d = await StorageAPI.readData(); return d.accounts && d.accounts[uid]; })());
-    if (!account) return res.status(404).json({ error: 'No such user' });
-    const token = mintImpersonationToken(uid);
-    res.json({ success: true, username: uid, token, expiresInMs: IMPERSONATION_TTL_MS });
-  } catch (e) {
-    console.error('Impersonate mint failed:', e.message);
-    res.status(500).json({ error: 'Impersonate failed' });
-  }
-});
+OUTPUT REQUIREMENTS:
+- per_idea_scores: object mapping each idea label (what/why/how/result OR topic/pivot/conclusion) to its score (1.0 or 0.0).
+- ideas_captured: labels with score 1.0.
+- ideas_missing: labels with score 0.0.
+- length(ideas_captured) + length(ideas_missing) MUST equal ${totalIdeas}.
+- content_score: SUM of per_idea_scores values (this equals length(ideas_captured)).
 
-// The student portal redeems an impersonation token. No ADMIN_KEY here — the
-// token itself is the credential. Returns the impersonated user's data.
-app.get('/api/impersonate/redeem', async (req, res) => {
-  try {
-    const token = req.query.token;
-    const username = verifyImpersonationToken(token);
-    if (!username) {
-      return res.status(403).json({ error: 'Invalid or expired impersonation token' });
-    }
-    const userData = await StorageAPI.getUserData(username);
-    res.json({ success: true, username, data: userData, impersonated: true });
-  } catch (e) {
-    console.error('Impersonate redeem failed:', e.message);
-    res.status(500).json({ error: 'Redeem failed' });
-  }
-});
+CRITICAL RULES (do not break these):
+1. An idea is "captured" (1.0) when its CORE/HEADLINE meaning is present — paraphrasing is fine, omitting supporting detail is fine. Be generous: when in doubt, score 1.0.
+2. STRICT SHARED-WORD EXCLUSION: Do NOT mark an idea as captured (1.0) if the student summary only shares a single word or generic vocabulary (e.g., sharing only "diffuses" or "intelligence") without conveying the actual claim of that key idea. There must be a semantic mapping of the proposition, not just lexical overlap.
+3. SHORT SUMMARY GUARD: If the student summary is very short (e.g., under 20 words) and only contains a single clause or statement, it cannot physically capture more than ONE key idea. In such cases, be extremely strict: do not award multiple key ideas based on single-word overlaps.
+4. If the student replaces a passage idea with different content (even if grammatically fluent), score 0.0 — fluency does not rescue missing content.
+5. If the summary is off-topic or gibberish, every per_idea_score is 0.0.
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// VOCABULARY EXTRAS ENDPOINTS — public read, admin write
-// ═══════════════════════════════════════════════════════════════════════════════
-app.get('/api/vocab/extras', async (req, res) => {
-  try {
-    const extras = await VocabExtrasAPI.read();
-    res.json({ extras });
-  } catch (e) {
-    console.error('Read vocab extras failed:', e.message);
-    res.status(500).json({ error: 'Failed to load vocab extras', details: e.message });
-  }
-});
+- synonym_appropriateness "appropriate": all swaps preserve meaning and academic register, OR no swaps were made (verbatim).
+- synonym_appropriateness "some_inappropriate": one or more swaps are awkward, wrong register, or shift connotation.
+- synonym_appropriateness "meaning_changed": a swap reverses or significantly alters the passage meaning.
+- synonym_appropriateness "no_swaps": pure verbatim with zero substitution (still acceptable).
+- academic_register: true if the summary uses 2+ recognisably academic/formal words (e.g., consequently, substantial, demonstrate, comprehensive).
 
-app.post('/api/admin/vocab/extras', requireAdmin, async (req, res) => {
-  try {
-    const body = req.body || {};
-    const extras = body.extras || {};
-    await VocabExtrasAPI.write(extras);
-    res.json({ success: true, extras });
-  } catch (e) {
-    console.error('Write vocab extras failed:', e.message);
-    res.status(500).json({ error: 'Failed to write vocab extras', details: e.message });
-  }
-});
+VOCABULARY SWAP SUGGESTIONS (recommended_swaps) — VERY IMPORTANT, ALWAYS REQUIRED:
+You MUST return 7 to 8 word/phrase suggestions from the STUDENT SUMMARY. This is not
+optional and not conditional on the summary's quality — EVERY summary, however
+strong, has 7-8 words whose register or precision can be varied. Returning fewer
+than 7 is a failure of this task. Returning an empty list is never acceptable.
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// PASSAGE ENDPOINTS — public read, admin write
-// ═══════════════════════════════════════════════════════════════════════════════
-// Public: list all passages (frontend loads these instead of using its hardcoded
-// fallback array). Admin: full CRUD via /api/admin/passages.
-app.get('/api/passages', async (req, res) => {
-  try {
-    const all = await PassageAPI.readAll();
-    res.json({ passages: all, count: all.length });
-  } catch (e) {
-    console.error('Read passages failed:', e.message);
-    res.status(500).json({ error: 'Failed to load passages', details: e.message });
-  }
-});
+CRITICAL: recommended_swaps is just as important as content_score and grammar_annotations.
+If you find yourself focusing heavily on grammar issues, do NOT skip or shorten the swaps —
+they are a separate teaching dimension. Both fields must be fully populated in every response.
+A response with detailed grammar_annotations but empty recommended_swaps is INCOMPLETE.
 
-app.get('/api/passages/:id', async (req, res) => {
-  try {
-    const p = await PassageAPI.getById(req.params.id);
-    if (!p) return res.status(404).json({ error: 'Passage not found' });
-    res.json(p);
-  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
-});
+How to always find 7-8:
+- Scan the summary left to right. For EVERY verb, common noun, adjective, and
+  adverb, ask "is there an academic synonym that fits this exact context?" — there
+  almost always is.
+- This includes words that are ALREADY reasonably academic. Offering a lateral
+  alternative (e.g. "achieved" → "attained / reached", "shows" → "demonstrates /
+  indicates / reveals", "reduce" → "lower / curtail / cut") still helps the student.
+- A heavily passage-lifted summary still qualifies: suggest swaps for the lifted
+  words so the student learns to paraphrase rather than copy.
 
-app.get('/api/admin/passages', requireAdmin, async (req, res) => {
-  try {
-    const all = await PassageAPI.readAll();
-    res.json({ passages: all, count: all.length });
-  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
-});
+The CONTEXT MUST FIT — re-read the sentence with each synonym mentally; only include
+synonyms that read fluently and preserve meaning exactly.
 
-app.post('/api/admin/passages', requireAdmin, async (req, res) => {
-  try {
-    const body = req.body || {};
-    if (!body.title || !body.text) return res.status(400).json({ error: 'title and text are required' });
-    if (!body.keyElements || typeof body.keyElements !== 'object') {
-      return res.status(400).json({ error: 'keyElements object is required' });
-    }
-    const saved = await PassageAPI.upsert(body);
-    res.json({ success: true, passage: saved });
-  } catch (e) {
-    console.error('Save passage failed:', e.message);
-    res.status(500).json({ error: 'Save failed', details: e.message });
-  }
-});
+Rules for each suggested word:
+- It can be ANY word the student used (verb, noun, adjective, adverb).
+- Skip ONLY: proper nouns, dates, numbers, domain-fixed technical terms, fixed
+  multi-word phrases, connectors already in use, and articles/prepositions.
+- Provide 2 to 5 academic synonyms per word — the student picks which fits best.
+- Each synonym MUST fit the EXACT context of the sentence.
 
-// v19.11: Detect when a key element has captured an EXAMPLE instead of the
-// general idea. Returns an array of { element, issue } warnings for admin review.
-// Non-blocking — some passages legitimately reference a proper noun. The point is
-// to make a leaked example impossible to MISS, not impossible to save.
-function detectExampleLeakage(keyElements) {
-  const warnings = [];
-  if (!keyElements || typeof keyElements !== 'object') return warnings;
+GOOD examples (context-appropriate):
+- "made a lifestyle choice" → word: "made", synonyms: ["opted for", "chose", "selected"] ✓
+- "wanted information in one place" → word: "wanted", synonyms: ["sought", "needed", "required"] ✓
+- "many advantages" → word: "many", synonyms: ["numerous", "several", "multiple"] ✓
+- "good idea" → word: "good", synonyms: ["beneficial", "sound", "sensible", "prudent"] ✓
+- "big problem" → word: "big", synonyms: ["significant", "substantial", "considerable"] ✓
+- "AI has achieved high accuracy" → word: "achieved", synonyms: ["attained", "reached"] ✓
+- "growing concerns" → word: "growing", synonyms: ["mounting", "rising", "increasing"] ✓
+- "show that" → word: "show", synonyms: ["demonstrate", "indicate", "reveal"] ✓
+- "reduce costs" → word: "reduce", synonyms: ["lower", "cut", "curtail"] ✓
 
-  // Words that are capitalised mid-sentence but are NOT proper nouns — ignore these
-  // so we don't false-positive on ordinary sentence-initial capitals.
-  const COMMON = new Set(['The','A','An','This','That','These','Those','It','In','On',
-    'After','Before','When','While','Each','Some','Many','Most','All','No','Their',
-    'Its','As','By','For','With','From','Until','Since','If','But','And','Or','So']);
+BAD examples to AVOID:
+- "wanted information" → DO NOT suggest ["hot", "cherished", "treasured"] — wrong register
+- "make a choice" → DO NOT suggest ["create"] for "make" — different sense
+- DO NOT suggest synonyms that are too rare, archaic, or jarring in academic English
+- DO NOT suggest a synonym that subtly shifts meaning
 
-  for (const [slot, value] of Object.entries(keyElements)) {
-    if (typeof value !== 'string' || !value.trim()) continue;
-    const v = value.trim();
-    const issues = [];
+TARGET: exactly 7-8 word suggestions, each with 2-5 fitting synonyms. If you think
+you can only find 4, look again at the verbs and adjectives you skipped.
 
-    // 1. Explicit example markers
-    if (/\b(for example|for instance|such as|in the case of|e\.g\.)\b/i.test(v)) {
-      issues.push('contains an example marker ("for example"/"such as"/etc.)');
-    }
-    // 2. A year — almost always a specific dated event
-    if (/\b(1[5-9]\d\d|20\d\d)\b/.test(v)) {
-      issues.push('contains a year — likely a specific dated event, not a general idea');
-    }
-    // 3. A proper-noun run: 2+ capitalised tokens in sequence. Catches
-    //    "Mount St. Helens", "Saturn V", and all-caps acronyms ("NASA").
-    //    A token is capitalised if it starts with a capital (Helens, V) or is
-    //    all-caps (NASA, SO2 is excluded as a unit below).
-    const tokens = v.split(/\s+/);
-    let runStart = -1, flaggedProper = null;
-    for (let i = 0; i <= tokens.length; i++) {
-      const tok = (tokens[i] || '').replace(/[.,;:]$/, '');
-      const isCap = /^[A-Z][a-z]+$/.test(tok)        // Helens
-                 || /^[A-Z]{2,}$/.test(tok)          // NASA
-                 || /^[A-Z]$/.test(tok);             // V (designator)
-      const isConnector = /^(of|the|and)$/i.test(tok);
-      if (isCap || (runStart >= 0 && isConnector)) {
-        if (runStart < 0) runStart = i;
-      } else {
-        if (runStart >= 0 && i - runStart >= 2) {
-          const run = tokens.slice(runStart, i).join(' ');
-          const first = tokens[runStart].replace(/[.,;:]$/, '');
-          if (!COMMON.has(first)) { flaggedProper = run; break; }
-        }
-        runStart = -1;
-      }
-    }
-    if (flaggedProper) {
-      issues.push('names a specific entity (' + flaggedProper + ') — a key idea should state the general principle, not the example');
-    }
 
-    if (issues.length) {
-      warnings.push({ element: slot, issue: issues.join('; '), value: v });
-    }
-  }
-  return warnings;
-}
+Respond ONLY with valid JSON, no other text. Use this exact structure:
+{
+  "per_idea_scores": { "what": 1.0, "why": 1.0, "how": 1.0, "result": 0.0 },
+  "content_score": 3,
+  "content_reason": "one short sentence summarising overall coverage",
+  "ideas_captured": ["what", "why", "how"],
+  "ideas_missing": ["result"],
+  "synonym_appropriateness": "appropriate",
+  "synonym_issues": [],
+  "cohesion": "strong",
+  "academic_register": false,
+  "feedback_note": "one short sentence of actionable feedback",
+  "recommended_swaps": [
+    { "word": "made", "context": "made a lifestyle choice", "synonyms": ["opted for", "decided on", "selected"], "rationale": "Academic register lifts Reading skill" }
+  ],
+  "grammar_annotations": [
+    { "phrase": "verbatim text from the summary", "fix": "the corrected version", "severity": "major", "type": "subject-verb", "rationale": "one short clause explaining why" }
+  ]
+}
+
+Notes on the schema:
+- per_idea_scores keys: only the labels actually present in the KEY IDEAS above (what/why/how/result OR topic/pivot/conclusion).
+- per_idea_scores values: ONLY 1.0 (captured) or 0.0 (missing). Do NOT use 0.5 or other fractional values.
+- content_score: SUM of per_idea_scores values (equals length(ideas_captured)).
+- ideas_captured / ideas_missing: lengths must sum to ${totalIdeas}.
+- grammar_annotations: this field is MANDATORY. Even an empty array is acceptable for a perfect summary, but at typical proficiency 4–10 entries is normal. DO NOT omit this field.
+
+GRAMMAR ANNOTATIONS — MANDATORY FIELD:
+You MUST populate grammar_annotations with every distinct grammar, usage, or stylistic issue you observe in the SUMMARY. This is a teaching feature: the student will see each flagged phrase highlighted in their summary with your fix as a tooltip. Be COMPREHENSIVE.
+
+For a typical PTE Academic SWT response, expect 4–10 entries. A perfect summary may have 0–2; a weak summary may have 8–12. An EMPTY array is only correct if the summary is genuinely flawless.
+
+Common issues to flag (NOT exhaustive — flag anything you'd correct as a teacher):
+- Subject-verb agreement ("the study show" → "the study shows")
+- Tense inconsistency, missing or wrong articles ("a/an/the")
+- Missing comma before a coordinating conjunction in compound sentences
+- Wrong word ("their/there/they're", "affect/effect")
+- Awkward phrasing, redundancy ("in order to" vs "to"), informal register
+- Wordy connectors that could be tighter
+- Preposition errors
+- Sentence-fragment risk where commas should be semicolons or vice versa
+
+Each annotation needs all five fields:
+- "phrase": the EXACT verbatim substring of the student's summary to highlight. Must appear character-for-character in the summary — copy it directly. Keep it short (2–8 words). DO NOT paraphrase or quote-mark.
+- "fix": the corrected version of the phrase.
+- "severity": "major" (subject-verb, tense, wrong word, missing required article, run-on, fragment, ambiguous pronoun) OR "minor" (style, register, optional comma, redundancy, awkward but grammatical).
+- "type": short tag — one of: "subject-verb", "tense", "article", "preposition", "punctuation", "register", "redundancy", "word-choice", "fragment", "run-on", "pronoun", "style".
+- "rationale": a PLAIN-ENGLISH explanation aimed at a 15-year-old student with NO grammar education. The student sees ONLY this rationale — the type tag is hidden — so it must stand alone and make complete sense. Aim for 20–30 words: usually two short sentences. First sentence: explain what's wrong in everyday language. Second sentence: tell them what to do instead and why.
+
+ABSOLUTE BAN — these words and phrases must NEVER appear in a rationale (they are textbook-speak that confuses students):
+- "subject-verb agreement", "subject", "predicate", "verb form", "verb tense"
+- "third-person", "first-person", "second-person", "singular", "plural" used as nouns
+- "agreement", "antecedent", "modifier", "clause", "phrase" (as grammar terms)
+- "conjunction", "coordinating", "subordinating", "preposition" (as labels)
+- "noun", "pronoun", "article" used to label parts of speech
+- "colloquial", "register", "informal register", "formal register"
+- "verbatim", "paraphrase"
+
+WHAT TO DO INSTEAD: refer to the actual words in the student's sentence. Talk about what they MEAN, not what they ARE.
+- Wrong: "Singular noun requires singular verb form." 
+- Wrong: "Third-person singular subject 'study' requires verb 'shows'."
+- Right: "Only one study is being talked about. When the thing doing the action is one, write 'shows' (with an 's') not 'show'."
 
-// v19.11: Key-element extraction — Claude drafts framework + key ideas for a
-// passage. Returns a DRAFT for admin review; does NOT save. The admin reviews
-// the draft in the UI and saves via the normal POST /api/admin/passages.
-// Body: { text: string (required), title: string (optional) }
-//   OR: { id: number }  — extract for an existing passage by id
-app.post('/api/admin/passages/extract', requireAdmin, async (req, res) => {
-  try {
-    const body = req.body || {};
-    let text = typeof body.text === 'string' ? body.text.trim() : '';
-    let title = typeof body.title === 'string' ? body.title.trim() : '';
+RATIONALE STYLE — examples of GOOD vs BAD:
 
-    // If an id is given, pull the passage text from storage
-    if (!text && body.id != null) {
-      const existing = await PassageAPI.getById(body.id);
-      if (!existing) return res.status(404).json({ error: 'Passage not found' });
-      text = (existing.text || '').trim();
-      title = title || (existing.title || '');
-    }
-    if (!text || text.length < 40) {
-      return res.status(400).json({ error: 'Passage text is required (min 40 characters)' });
-    }
-    if (!anthropic) {
-      return res.status(503).json({ error: 'Claude is not configured on this server — cannot auto-extract. Author key elements manually.' });
-    }
+BAD:  "Subject-verb agreement; singular noun takes singular verb."
+BAD:  "Third-person singular subject 'study' requires verb 'shows', not 'show'."
+GOOD: "Only one study is mentioned, not many. When one thing does an action, the verb ends in 's' — write 'shows', not 'show'."
 
-    const draft = await extractKeyElementsWithClaude(text, title);
-    if (!draft || draft._failed) {
-      const reason = (draft && draft.reason) || 'Claude was unavailable or returned an unusable response';
-      return res.status(502).json({ error: 'Extraction failed: ' + reason });
-    }
-    // Package the draft with extraction metadata so the admin UI can show
-    // Claude's framework choice + confidence, and save it straight through.
-    draft.extractionMeta = {
-      framework: draft.framework,
-      confidence: draft.confidence,
-      framework_reason: draft.framework_reason,
-      extractedAt: new Date().toISOString()
-    };
-    // Safety net: scan each key element for signs it captured an EXAMPLE rather
-    // than the general idea (a named event, a year, "for example"/"such as", a
-    // run of capitalised proper-noun words). These are warnings for the admin to
-    // review — they do NOT block saving, since some passages legitimately need a
-    // proper noun. The admin sees them next to the draft.
-    draft.warnings = detectExampleLeakage(draft.keyElements);
-    res.json({ success: true, draft });
+BAD:  "'Giving' is colloquial and inaccurate; passage uses 'face damages'."
+GOOD: "'Giving' sounds like the cities are donating money, but they're actually losing it. Use 'facing' to show they're suffering the damage."
+
+BAD:  "Definite article 'the' required before specific singular noun."
+GOOD: "You're talking about one specific industry, not industries in general. Add 'the' before 'sector' to point to that one."
+
+BAD:  "Comma splice; replace with semicolon or coordinating conjunction."
+GOOD: "These are two complete sentences joined by only a comma — that's too weak. Use a semicolon ( ; ) or add 'and' after the comma."
+
+BAD:  "Wordy connector; 'because' is more concise than 'due to the fact that'."
+GOOD: "'Due to the fact that' is five words doing the work of one. Just say 'because' — it means exactly the same thing."
+
+BAD:  "Misspelling of 'monthly'."
+GOOD: "Spelled wrong. It should be 'monthly' (m-o-n-t-h-l-y) — the letter 'h' goes after 'nt'."
+
+BAD:  "Pronoun 'they' lacks clear antecedent."
+GOOD: "'They' could mean the cities OR the nations from earlier — it's unclear. Replace it with the specific group you mean."
+
+The rationale must TEACH the student something they can apply next time, not LABEL the error category. Imagine you're a friendly tutor explaining over a student's shoulder, not a textbook.
+
+Critical:
+- "phrase" MUST be a verbatim substring. The frontend filters out any annotation whose phrase isn't in the text.
+- If the same issue appears twice, return TWO entries with each occurrence.
+- Do NOT use this field for content/coverage feedback — that goes in content_reason.`;
+
+  try {
+    const callPromise = llm.complete({
+      purpose: 'content_judge',
+      model: CLAUDE_MODEL,
+      // v19.16: bumped from 2400 to 3200. With both recommended_swaps (7-8
+      // entries × multi-line rationale) AND grammar_annotations (3-10 entries
+      // × plain-English rationale that can run 20-30 words), heavily-marked
+      // summaries were occasionally hitting the cap and silently dropping the
+      // swaps array. 3200 leaves comfortable headroom for both.
+      max_tokens: 3200,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    const timeoutPromise = new Promise((_, rej) => setTimeout(() => rej(new Error('Claude judge timeout')), timeoutMs));
+    const response = await Promise.race([callPromise, timeoutPromise]);
+    const text = response.text || '';
+    const m = text.match(/\{[\s\S]*\}/);
+    if (!m) return null;
+    const parsed = JSON.parse(m[0]);
+    parsed.source = 'claude';
+    parsed.llm_request_key = response.request_key || null; // v20.4: ties the grade to its LLM recording
+    // v19.12: log how many grammar annotations Claude returned. If this prints
+    // "0" for summaries with obvious errors, the prompt isn't being followed
+    // and we need to strengthen it further; if it prints reasonable numbers
+    // but they aren't appearing in the UI, the filter is dropping them.
+    const annCount = Array.isArray(parsed.grammar_annotations) ? parsed.grammar_annotations.length : 'MISSING_FIELD';
+    if (DEBUG) console.log(`[grade] Claude returned ${annCount} grammar_annotations`);
+    // C4 (v19.17): removed the content_score clamp that forced values >2 down to
+    // 1. content_score legitimately ranges 0–4 for what/why/how/result passages,
+    // and the downstream per_idea_scores recomputation is authoritative anyway.
+    // The old clamp was dead code in the normal path but corrupted scores in the
+    // fallback path where per_idea_scores was absent.
+    return parsed;
   } catch (e) {
-    console.error('Extraction endpoint failed:', e.message);
-    res.status(500).json({ error: 'Extraction failed', details: e.message });
+    console.error('Claude content judge failed:', e.message);
+    return null;
   }
-});
+}
 
-// v19.11: Map an extraction draft onto the passage fields that get saved.
-// Mirrors the admin UI's applyDraft(): tpc topic/pivot/conclusion fold onto
-// what/why/result (how left blank for tpc); wwhr maps 1:1.
-function draftToPassageFields(existing, draft) {
-  const ke = draft.keyElements || {};
-  const keyElements = {};
-  if (draft.framework === 'tpc') {
-    if (ke.topic)      keyElements.what   = ke.topic;
-    if (ke.pivot)      keyElements.why    = ke.pivot;
-    if (ke.conclusion) keyElements.result = ke.conclusion;
-  } else {
-    if (ke.what)   keyElements.what   = ke.what;
-    if (ke.why)    keyElements.why    = ke.why;
-    if (ke.how)    keyElements.how    = ke.how;
-    if (ke.result) keyElements.result = ke.result;
+function judgeContentLocal(studentText, passageText, keyElements, grammarHint) {
+  // Build field list from whichever schema is present
+  const fields = [];
+  if (keyElements?.what)       fields.push({ name: 'what',       text: stripHtml(keyElements.what) });
+  if (keyElements?.why)        fields.push({ name: 'why',        text: stripHtml(keyElements.why) });
+  if (keyElements?.how)        fields.push({ name: 'how',        text: stripHtml(keyElements.how) });
+  if (keyElements?.result)     fields.push({ name: 'result',     text: stripHtml(keyElements.result) });
+  if (fields.length === 0) {
+    if (keyElements?.topic)      fields.push({ name: 'topic',      text: stripHtml(keyElements.topic) });
+    if (keyElements?.pivot)      fields.push({ name: 'pivot',      text: stripHtml(keyElements.pivot) });
+    if (keyElements?.conclusion) fields.push({ name: 'conclusion', text: stripHtml(keyElements.conclusion) });
   }
-  const out = {
-    id: existing.id,
-    title: existing.title,
-    category: existing.category || '',
-    text: existing.text,
-    keyElements,
-    sampleResponse: draft.sampleResponse || existing.sampleResponse || '',
-    sampleNotes: existing.sampleNotes || ''
-  };
-  if (draft.keyElementsRationale && Object.keys(draft.keyElementsRationale).length) {
-    out.keyElementsRationale = draft.keyElementsRationale;
+
+  // ── v19.5: heuristic cohesion detection for local mode ──
+  // Cohesion was always 'moderate' in v19.4, which meant the cohesion gate
+  // never fired without Claude. Now we infer cohesion from grammar signals:
+  //   - missing connector → 'weak' (Pearson penalises listed-out facts)
+  //   - connector without semicolon → 'moderate' (partial credit)
+  //   - 3+ "and" joins without a connector → 'weak'
+  //   - perfect connector + semicolon → 'strong'
+  //   - v20.25: an SST connector (checkSstGrammar: 'present', no semicolon
+  //     rule) → 'moderate'
+  let cohesion = 'moderate';
+  let cohesionRule = 'no_grammar_hint';   // v20.8: surfaced in the score trace
+  if (grammarHint) {
+    const ql = grammarHint.connector_quality;
+    cohesionRule = `connector_${ql || 'missing'}`;
+    if (ql === 'perfect') cohesion = 'strong';
+    else if (ql === 'partial' || ql === 'present') cohesion = 'moderate';
+    else cohesion = 'weak'; // 'missing'
   }
-  if (draft.extractionMeta) out.extractionMeta = draft.extractionMeta;
-  return out;
-}
+  // Additional weak-cohesion signal: too many " and " joins without a connector
+  // (e.g., "X and Y and Z and W") — a classic Band 5–6 listed-out style.
+  const lower = (studentText || '').toLowerCase();
+  const andJoins = (lower.match(/\sand\s/g) || []).length;
+  const hasAnyConnector = /(however|moreover|furthermore|therefore|consequently|whereas|although|nevertheless)/i.test(studentText || '');
+  if (andJoins >= 3 && !hasAnyConnector) { cohesion = 'weak'; cohesionRule = `and_chain_${andJoins}_without_connector`; }
 
-// v19.11: BULK extraction — full auto. Extracts every passage, applies and saves
-// each result immediately (no review gate). Returns a per-passage report so the
-// admin can SEE afterward what happened — especially which passages tripped the
-// example-leakage detector. The report does not block anything; it is a receipt.
-// Body: { onlyMissing: bool }  — if true, skip passages that already have rationale
-app.post('/api/admin/passages/extract-all', requireAdmin, async (req, res) => {
-  if (!anthropic) {
-    return res.status(503).json({ error: 'Claude is not configured — cannot auto-extract.' });
+  if (fields.length === 0) {
+    return {
+      content_score: 1,
+      content_reason: 'No key elements provided — neutral local score',
+      ideas_captured: [], ideas_missing: [],
+      synonym_appropriateness: 'no_swaps',
+      synonym_issues: [], cohesion, cohesion_rule: cohesionRule, academic_register: false,
+      feedback_note: 'Content judged locally without key element data',
+      source: 'local_fallback'
+    };
   }
-  try {
-    const onlyMissing = !!(req.body && req.body.onlyMissing);
-    const all = await PassageAPI.readAll();
-    const report = { total: all.length, updated: 0, skipped: 0, failed: 0,
-                     flagged: 0, items: [] };
 
-    for (const p of all) {
-      const text = (p.text || '').trim();
-      const item = { id: p.id, title: p.title || ('Passage ' + p.id) };
+  const checks = fields.map(f => ({ name: f.name, ...checkKeyPoint(studentText, f.text) }));
+  const present = checks.filter(c => c.present).map(c => c.name);
+  const missing = checks.filter(c => !c.present).map(c => c.name);
+  // v20.13: which student words covered which key-element words, per idea.
+  const ideaEvidence = Object.fromEntries(checks.map(c => [c.name, {
+    present: c.present,
+    matched: c.evidence,
+    missing_terms: c.missingTerms,
+    headline: c.headline,
+    match_rate: c.matchRate,
+    critical_rate: c.criticalRate
+  }]));
 
-      if (onlyMissing && p.keyElementsRationale &&
-          (p.keyElementsRationale.topic || p.keyElementsRationale.importance)) {
-        item.status = 'skipped'; item.reason = 'already has rationale';
-        report.skipped++; report.items.push(item); continue;
-      }
-      if (text.length < 40) {
-        item.status = 'failed'; item.reason = 'passage text too short';
-        report.failed++; report.items.push(item); continue;
-      }
+  // v19.4: content_score is literally the number of captured ideas (0..N).
+  const score = present.length;
+  const max = fields.length;
 
-      let draft = null;
-      try {
-        draft = await extractKeyElementsWithClaude(text, p.title || '');
-      } catch (e) {
-        draft = { _failed: true, reason: e.message };
-      }
-      if (!draft || draft._failed) {
-        item.status = 'failed';
-        item.reason = (draft && draft.reason) || 'Claude returned an unusable response';
-        report.failed++; report.items.push(item); continue;
-      }
+  return {
+    content_score: score,
+    content_max: max,
+    content_reason: missing.length === 0
+      ? `All ${max} main ideas captured (local check)`
+      : `${score}/${max} main ideas captured — missing: ${missing.join(', ')}`,
+    ideas_captured: present,
+    ideas_missing: missing,
+    synonym_appropriateness: 'no_swaps',  // local can't judge — defer to swap analysis
+    synonym_issues: [],
+    cohesion,
+    cohesion_rule: cohesionRule,
+    academic_register: false,
+    feedback_note: missing.length > 0 ? `Include the missing ideas: ${missing.join(', ')}` : 'Good content coverage',
+    idea_evidence: ideaEvidence,
+    source: 'local_fallback'
+  };
+}
 
-      draft.extractionMeta = {
-        framework: draft.framework,
-        confidence: draft.confidence,
-        framework_reason: draft.framework_reason,
-        extractedAt: new Date().toISOString()
-      };
-      const warnings = detectExampleLeakage(draft.keyElements);
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENSEMBLE CONTENT JUDGING (v20.16)
+// ═══════════════════════════════════════════════════════════════════════════════
+// By default the LLM judge decides content and the local matcher only stands
+// in when it fails. In ensemble mode both verdicts are reconciled idea by idea
+// under a policy:
+//   llm      the LLM's verdict stands; the local one is only compared
+//   local    the local matcher's verdict stands
+//   lenient  an idea counts when either judge credits it
+//   strict   an idea counts only when both judges credit it
+// An idea whose two scores differ by more than the threshold is a
+// disagreement, and any disagreement flags the attempt for human review.
+//
+// CONTENT_JUDGE_MODE (single | ensemble), ENSEMBLE_POLICY and
+// ENSEMBLE_DISAGREEMENT_THRESHOLD set the defaults; /api/grade can override
+// them per request with judgeMode, ensemblePolicy and disagreementThreshold.
+const JUDGE_MODES = ['single', 'ensemble'];
+const ENSEMBLE_POLICIES = ['llm', 'local', 'lenient', 'strict'];
+
+function normalizeJudgeChoice(value, choices) {
+  if (typeof value !== 'string') return null;
+  const v = value.trim().toLowerCase();
+  return choices.includes(v) ? v : null;
+}
+
+// Scores are 0–1 per idea, so a usable threshold is in [0, 1).
+function normalizeDisagreementThreshold(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n < 1 ? n : null;
+}
 
-      // Full auto: apply + save immediately.
-      try {
-        const fields = draftToPassageFields(p, draft);
-        await PassageAPI.upsert(fields);
-        item.status = 'updated';
-        item.framework = draft.framework;
-        item.confidence = draft.confidence;
-        item.warnings = warnings;
-        if (warnings.length) report.flagged++;
-        report.updated++;
-      } catch (e) {
-        item.status = 'failed'; item.reason = 'save failed: ' + e.message;
-        report.failed++;
-      }
-      report.items.push(item);
-    }
+const DEFAULT_JUDGE_CONFIG = {
+  mode: normalizeJudgeChoice(process.env.CONTENT_JUDGE_MODE, JUDGE_MODES) || 'single',
+  policy: normalizeJudgeChoice(process.env.ENSEMBLE_POLICY, ENSEMBLE_POLICIES) || 'llm',
+  threshold: normalizeDisagreementThreshold(process.env.ENSEMBLE_DISAGREEMENT_THRESHOLD) ?? 0.5
+};
 
-    console.log(`📋 Bulk extraction: ${report.updated} updated, ${report.flagged} flagged, ${report.failed} failed, ${report.skipped} skipped`);
-    res.json({ success: true, report });
-  } catch (e) {
-    console.error('Bulk extraction failed:', e.message);
-    res.status(500).json({ error: 'Bulk extraction failed', details: e.message });
+// Request body → judge config. Returns { error } on a bad value so the route
+// can answer 400, like resolveSpellingPreference.
+function resolveJudgeConfig(body) {
+  const cfg = { ...DEFAULT_JUDGE_CONFIG };
+  const given = (k) => body && body[k] != null && body[k] !== '';
+  if (given('judgeMode')) {
+    cfg.mode = normalizeJudgeChoice(body.judgeMode, JUDGE_MODES);
+    if (!cfg.mode) return { error: `judgeMode must be one of: ${JUDGE_MODES.join(', ')}` };
   }
-});
-
-app.delete('/api/admin/passages/:id', requireAdmin, async (req, res) => {
-  try {
-    const ok = await PassageAPI.remove(req.params.id);
-    if (!ok) return res.status(404).json({ error: 'Passage not found' });
-    res.json({ success: true });
-  } catch (e) { res.status(500).json({ error: 'Delete failed', details: e.message }); }
-});
+  if (given('ensemblePolicy')) {
+    cfg.policy = normalizeJudgeChoice(body.ensemblePolicy, ENSEMBLE_POLICIES);
+    if (!cfg.policy) return { error: `ensemblePolicy must be one of: ${ENSEMBLE_POLICIES.join(', ')}` };
+  }
+  if (given('disagreementThreshold')) {
+    cfg.threshold = normalizeDisagreementThreshold(body.disagreementThreshold);
+    if (cfg.threshold === null) return { error: 'disagreementThreshold must be a number from 0 up to (but not including) 1' };
+  }
+  return cfg;
+}
 
-// Bulk import (used to migrate from hardcoded → server-managed in one go)
-app.post('/api/admin/passages/bulk', requireAdmin, async (req, res) => {
-  try {
-    const arr = Array.isArray(req.body?.passages) ? req.body.passages : null;
-    if (!arr) return res.status(400).json({ error: 'passages array required' });
-    const cleaned = arr.map(p => PassageAPI._sanitize(p));
-    await PassageAPI.writeAll(cleaned);
-    res.json({ success: true, count: cleaned.length });
-  } catch (e) { res.status(500).json({ error: 'Bulk import failed', details: e.message }); }
-});
+// Per-idea reconciliation of the LLM verdict (scores before the binary snap,
+// so a 0.5 "partial" stays visible) and the local one (0 or 1). Returns the
+// final per-idea scores plus every idea the judges disagree on.
+function reconcileEnsemble(llmJudgment, localVerdict, config) {
+  const llmScores = llmJudgment.per_idea_scores_raw || llmJudgment.per_idea_scores ||
+    Object.fromEntries([
+      ...(llmJudgment.ideas_captured || []).map(k => [k, 1]),
+      ...(llmJudgment.ideas_missing || []).map(k => [k, 0])
+    ]);
+  const localCaptured = new Set(localVerdict.ideas_captured || []);
+  const ideas = [...new Set([...(localVerdict.ideas_captured || []), ...(localVerdict.ideas_missing || []), ...Object.keys(llmScores)])];
+  const perIdea = {};
+  const disagreements = [];
+  for (const idea of ideas) {
+    const llmScore = Math.max(0, Math.min(1, Number(llmScores[idea]) || 0));
+    const localScore = localCaptured.has(idea) ? 1 : 0;
+    const llmCaptured = llmScore >= 0.25;  // the same snap gradeSummary applies
+    const captured = {
+      llm: llmCaptured,
+      local: localScore === 1,
+      lenient: llmCaptured || localScore === 1,
+      strict: llmCaptured && localScore === 1
+    }[config.policy];
+    const gap = Math.abs(llmScore - localScore);
+    perIdea[idea] = { llm: llmScore, local: localScore, final: captured ? 1 : 0, gap };
+    if (gap > config.threshold) {
+      const evidence = localVerdict.idea_evidence?.[idea];
+      disagreements.push({
+        idea, llm: llmScore, local: localScore, gap,
+        local_missing_terms: evidence ? evidence.missing_terms : [],
+        message: llmCaptured === (localScore === 1)
+          ? `The judges score "${idea}" differently (LLM ${llmScore}, local ${localScore}).`
+          : localScore
+            ? `The local matcher credits "${idea}" but the LLM judge does not.`
+            : `The LLM judge credits "${idea}" but the local matcher does not.`
+      });
+    }
+  }
+  return {
+    mode: 'ensemble', policy: config.policy, threshold: config.threshold,
+    per_idea: perIdea, disagreements, needs_review: disagreements.length > 0
+  };
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// KEY-ELEMENT EXTRACTION (v19.11) — Claude drafts the framework + key ideas
-// for a passage. Runs ONCE at authoring time (admin action), not per submission.
-// The output is a DRAFT — the admin reviews and approves before it goes live.
+// FEEDBACK BUILDERS v2
+// ═══════════════════════════════════════════════════════════════════════════════
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEEDBACK CARD v3 — structured feedback that mirrors the v19 scoring philosophy.
 //
 // Returns:
-//   {
-//     framework: 'wwhr' | 'tpc',
-//     framework_reason: string,
-//     confidence: 'high' | 'medium' | 'low',
-//     keyElements: { what,why,how,result }  OR  { topic,pivot,conclusion },
-//     keyElementsRationale: { topic, importance, elements:{...} },
-//     sampleResponse: string,
-//     source: 'claude'
-//   }
-// Returns null if Claude is unavailable or the response can't be parsed.
+//   { verdict, strengths[], improvements[], method_coaching, summary_line }
+//
+// - verdict.tier: excellent | good | partial | fail | invalid
+// - strengths: green check items (what worked)
+// - improvements: priority-sorted action items (1=critical, 4=polish)
+// - method_coaching: path-specific guidance (Verbatim vs Paraphrased)
+// - summary_line: single-line backwards-compatible feedback string
 // ═══════════════════════════════════════════════════════════════════════════════
-// v19.11.2: instead of returning bare `null` for every failure, return either
-// the draft OR an object { _failed: true, reason }. Lets the endpoint surface a
-// specific message ("API key invalid", "Claude returned wrong-schema JSON",
-// "timed out") instead of one generic "unavailable" line that gave the admin no
-// way to debug it.
-async function extractKeyElementsWithClaude(passageText, passageTitle, timeoutMs = 25000) {
-  if (!anthropic) return { _failed: true, reason: 'Anthropic API key is not configured on the server' };
-  const title = (passageTitle || '').trim();
-  const text = (passageText || '').trim();
-  if (text.length < 40) return { _failed: true, reason: 'Passage text is too short (under 40 chars)' };
+function buildFeedbackCard(contentVerdict, grammar, vocab, firstPerson, form, spelling, rawScore, contentScore, grammarScore, llmJudgment, contentMax, maxRaw, profile, task = 'swt') {
+  // v19.4: support dynamic content/raw ranges. Default to legacy 0–2 / 0–7 if
+  // a caller hasn't been updated yet (back-compat for buildFeedback alias).
+  // v20.25: task 'sst' — the form rules come from form.hint / form.target,
+  // spelling is its own trait and connectors need no semicolon.
+  const cMax = (typeof contentMax === 'number' && contentMax > 0) ? contentMax : 2;
+  const rMax = (typeof maxRaw === 'number' && maxRaw > 0) ? maxRaw : 7;
+  const pte  = profileRawToPTE(rawScore, rMax, profile);
+  const band = profileRawToBand(rawScore, rMax, profile);
+  const rawRatio     = rawScore / rMax;
+  const contentRatio = contentScore / cMax;
+  const contentFull    = contentScore >= cMax;
+  const contentPartial = contentScore > 0 && contentScore < cMax;
+  const contentNone    = contentScore === 0;
+  // SWT counts toward Reading, SST toward Listening.
+  const skill = task === 'sst' ? 'Listening' : 'Reading';
 
-  const prompt = `You are an expert PTE Academic item writer. Your job: read a passage and identify the KEY IDEAS a student must capture to write a high-scoring one-sentence Summarize Written Text (SWT) response.
+  // ── VERDICT ──────────────────────────────────────────────────────────────
+  // v19.8: partial-credit messaging removed — PTE Pearson uses binary capture
+  // per idea. The verdict says only what the score is and what to fix.
+  let tier, headline;
+  if (form && !form.valid) {
+    tier = 'invalid';
+    headline = `Form failed — ${form.reason}`;
+  } else if (contentNone) {
+    tier = 'fail';
+    headline = 'The main ideas were not captured. Re-read the passage and identify What, Why, How and the Result.';
+  } else if (rawRatio >= 0.93) {
+    tier = 'excellent';
+    const methodLabel = vocab.method === 'paraphrased' ? 'Paraphrased Method'
+                      : vocab.method === 'verbatim' ? 'Verbatim Method'
+                      : vocab.method === 'phrase_picking' ? 'Phrase-Picking Method'
+                      : 'a strong hybrid approach';
+    headline = `Excellent — ${band} (PTE ${pte}) achieved via the ${methodLabel}.`;
+  } else if (rawRatio >= 0.79) {
+    tier = 'good';
+    headline = `Solid attempt — ${band} (PTE ${pte}). One or two changes will push this to Band 9.`;
+  } else if (rawRatio >= 0.50) {
+    tier = 'partial';
+    headline = `${band} (PTE ${pte}). Significant gaps to close.`;
+  } else {
+    tier = 'fail';
+    headline = `${band} (PTE ${pte}) — major gaps. Focus on capturing the main ideas first.`;
+  }
 
-PASSAGE${title ? ' — "' + title + '"' : ''}:
-"""
-${text}
-"""
+  const verdict = { tier, headline, pte, band, raw: rawScore, raw_max: rMax, content_max: cMax, method: vocab.method };
 
-STEP 1 — CHOOSE THE FRAMEWORK.
-Decide which of two structures the passage actually has:
+  // ── STRENGTHS ────────────────────────────────────────────────────────────
+  const strengths = [];
 
-• "tpc" (Topic / Pivot / Conclusion) — use ONLY if the passage HINGES ON A TURN: an
-  argument that reverses or complicates itself. Signals: "but", "however", "despite",
-  "once thought ... now", "although". The pivot IS the point of the passage.
-  3 key ideas: topic (the initial position), pivot (the turn/complication),
-  conclusion (where it lands).
+  // v19.8: binary capture — no partial tier in messaging.
+  const fullyCaptured = contentVerdict.ideas_captured || [];
 
-• "wwhr" (What / Why / How / Result) — use for EXPOSITORY passages that BUILD rather
-  than turn: present a thing, explain its importance, describe the mechanism, state
-  the outcome. Most science, business, and process passages.
-  4 key ideas: what (central claim), why (reason/evidence it matters),
-  how (mechanism/process), result (consequence/implication).
+  if (contentFull && cMax > 0) {
+    strengths.push({ icon: '🎯', label: `All ${cMax} main ideas captured`, detail: fullyCaptured.join(' · ') });
+  } else if (fullyCaptured.length > 0) {
+    strengths.push({
+      icon: '✓',
+      label: `Captured ${fullyCaptured.length}/${cMax} main idea${fullyCaptured.length > 1 ? 's' : ''}`,
+      detail: fullyCaptured.join(' · ')
+    });
+  }
 
-Pick the one that loses the LEAST meaning. State which and why.
+  if (grammar.has_connector && grammar.connector_quality === 'perfect') {
+    strengths.push({ icon: '🔗', label: `Connector + semicolon: "; ${grammar.connector_used},"`, detail: 'Clauses are properly chained.' });
+  } else if (grammar.has_connector) {
+    strengths.push({ icon: '🔗', label: `Connector used: "${grammar.connector_used}"`, detail: '' });
+  }
 
-STEP 2 — EXTRACT THE KEY IDEAS.
+  if (vocab.method === 'paraphrased' && !vocab.meaning_changed) {
+    strengths.push({ icon: '📚', label: `${vocab.effective_credit} synonym swap${vocab.effective_credit > 1 ? 's' : ''} — Paraphrased Method`, detail: (vocab.safe_swaps || []).slice(0, 3).map(s => `${s.original}→${s.replacement}`).join(', ') });
+  } else if (vocab.method === 'verbatim' && grammar.has_connector) {
+    strengths.push({ icon: '📋', label: 'Verbatim Method executed correctly', detail: `Passage lines + connector chain. Note: ${skill} skill caps moderate without academic synonyms.` });
+  }
 
-Each key idea must STAY CLOSE TO THE PASSAGE'S OWN WORDING. Do NOT freely paraphrase
-or re-express the idea in your own words. Find the sentence (or the part of a
-sentence) in the passage that states the idea, and use that wording — lightly
-trimmed, not rewritten.
+  if (vocab.academic_words && vocab.academic_words.length >= 2) {
+    strengths.push({ icon: '🎓', label: 'Academic vocabulary detected', detail: vocab.academic_words.slice(0, 4).join(', ') });
+  }
 
-HOW to phrase each key element:
-- Locate the passage sentence that carries the idea.
-- Quote its substance using the passage's own words and phrasing.
-- You MAY trim it: drop a lead-in clause, drop a trailing example, cut it to the
-  load-bearing core. You may NOT swap in synonyms or restructure it.
-- The result should read like a faithful condensation of a real passage sentence,
-  not a fresh sentence you wrote. If you re-extracted the same passage twice, both
-  results should be nearly identical because both are anchored to the same text.
+  if (firstPerson && firstPerson.hasPerspectiveShift) {
+    strengths.push({ icon: '👁️', label: 'Third-person perspective', detail: 'Correct academic register.' });
+  }
 
-CRITICAL RULES:
-- A key idea is a GENERAL claim the summary would be WRONG or INCOMPLETE without.
-- Quotes, rhetorical questions, and vivid statistics that merely ILLUSTRATE a claim
-  already counted are DECORATION — do not make them key ideas.
+  if (llmJudgment && llmJudgment.cohesion === 'strong') {
+    strengths.push({ icon: '✓', label: 'Clauses connect logically', detail: 'AI judge confirmed strong cohesion.' });
+  }
 
-- NEVER let an EXAMPLE be the key idea. A passage states a general principle and then
-  ILLUSTRATES it with a specific case — a named event, a dated incident, a particular
-  study, a single person or place. The KEY IDEA is the general principle.
-  This is the ONE case where you trim rather than copy whole: if the passage sentence
-  is "After the 1980 Mount St. Helens eruption, monitoring of seismic energy, tilt and
-  SO2 enabled accurate prediction", you KEEP the general clause in the passage's words
-  — "monitoring of seismic energy, tilt and SO2 enables accurate prediction" — and
-  DROP only the dated-example lead-in. You are still using the passage's wording; you
-  are just cutting the example clause out of it.
-  If you find a year, a place name, a person's name, or "for example / for instance /
-  such as / in the case of" inside a key idea, cut that clause — but keep the rest of
-  the sentence verbatim. Do not rewrite the surviving part.
-  A student who summarises the general principle WITHOUT naming the specific example
-  must score full marks for that element.
+  const [sweetMin, sweetMax] = (form && form.target) || [35, 65];
+  if (form && form.valid && form.wc >= sweetMin && form.wc <= sweetMax) {
+    strengths.push({ icon: '📝', label: `Word count in sweet spot (${form.wc} words)`, detail: '' });
+  }
 
-- The test: "if a reader had ONLY these key ideas, would they understand the passage's
-  actual argument?" — not "would they find it interesting", and not "do they know
-  the specific examples".
+  // ── IMPROVEMENTS ─────────────────────────────────────────────────────────
+  const improvements = [];
 
-STEP 3 — JUSTIFY.
-For each key idea, give one sentence explaining why it is load-bearing AND, where
-relevant, which competing sentence (or which example) it was chosen OVER.
+  // Form failures absorb everything — return early with just the form fix
+  if (form && !form.valid) {
+    improvements.push({
+      priority: 1,
+      icon: '🚨',
+      action: form.reason,
+      detail: form.hint || 'Write exactly one sentence between 5 and 75 words, ending in a period. Aim for 35–65 words.'
+    });
+    return {
+      verdict, strengths, improvements,
+      method_coaching: null,
+      summary_line: `FORM ERROR: ${form.reason}`
+    };
+  }
 
-STEP 4 — RATE YOUR CONFIDENCE.
-"high" = the structure is unambiguous. "medium" = reasonable editors might carve it
-slightly differently. "low" = genuinely murky — flag for careful human review.
+  // Priority 1 — content (v19.8: binary — only missing ideas surface here)
+  const missingArr = contentVerdict.ideas_missing || [];
+  if (contentNone) {
+    improvements.push({
+      priority: 1,
+      icon: '🚨',
+      action: 'Re-read the passage and capture the main ideas',
+      detail: `Identify each of the ${cMax} key ideas (What/Why/How/Result). Missing all ideas heavily caps the score (PTE 15 max).`
+    });
+  } else if (missingArr.length > 0) {
+    const capPte = contentRatio <= 0.5 ? 50 : contentRatio <= 0.75 ? 65 : 79;
+    improvements.push({
+      priority: 1,
+      icon: '⚠️',
+      action: `Add the missing idea${missingArr.length > 1 ? 's' : ''}: ${missingArr.join(', ')}`,
+      detail: `You captured ${contentScore}/${cMax}. Score is currently capped at PTE ${capPte} until all main ideas are included.`
+    });
+  }
 
-STEP 5 — WRITE A MODEL ANSWER.
-One sentence, 30-50 words, that captures every key idea using academic connectors
-(however / moreover / therefore). This is the Band-90 sample.
+  // Priority 1 — meaning changed
+  if (vocab.meaning_changed) {
+    const danger = (vocab.dangerous_swaps || [])[0];
+    improvements.push({
+      priority: 1,
+      icon: '⚠️',
+      action: danger ? `"${danger.original}" → "${danger.replacement}" reverses the meaning` : 'A synonym you used reverses the meaning',
+      detail: 'Pick substitutes that preserve the original sense. "minor → small" is OK; "minor → major" is wrong.'
+    });
+  }
 
-Respond with ONLY this JSON, no other text:
-{
-  "framework": "wwhr" OR "tpc",
-  "framework_reason": "one sentence on why this framework fits",
-  "confidence": "high" OR "medium" OR "low",
-  "keyElements": {
-    // if wwhr: "what","why","how","result"  — if tpc: "topic","pivot","conclusion"
-    "what": "short phrase naming the idea"
-  },
-  "keyElementsRationale": {
-    "topic": "2-3 sentences: what the passage is about and how it is structured",
-    "importance": "2-3 sentences: why THESE sentences are load-bearing and which kinds of sentences in this passage are decoration",
-    "elements": {
-      // same keys as keyElements; each value = one sentence on why that element matters
-      "what": "why this element is load-bearing, and what it was chosen over"
-    }
-  },
-  "sampleResponse": "one-sentence Band-90 model answer, 30-50 words"
-}`;
+  // Priority 1 — figures that contradict the passage (v20.14)
+  for (const err of (contentVerdict.factual_errors || []).slice(0, 2)) {
+    improvements.push(err.type === 'wrong_value' ? {
+      priority: 1,
+      icon: '🔢',
+      action: `Factual error: "${err.student}" should be "${err.expected}"`,
+      detail: err.transposed ? `The digits are swapped. The passage says: "${err.context}"` : `The passage says: "${err.context}"`
+    } : {
+      priority: 2,
+      icon: '🔢',
+      action: `"${err.student}" is not in the passage`,
+      detail: 'Only use figures the passage gives — an invented number reads as a factual error.'
+    });
+  }
 
-  try {
-    const callPromise = anthropic.messages.create({
-      model: CLAUDE_MODEL,
-      max_tokens: 2000,
-      messages: [{ role: 'user', content: prompt }]
+  // Priority 1/2 — claims credited to the wrong source, or to one the passage never names (v20.15)
+  const attribution = contentVerdict.attribution || { misattributions: [], hallucinated: [] };
+  for (const mis of attribution.misattributions.slice(0, 2)) {
+    improvements.push({
+      priority: 1,
+      icon: '🏷️',
+      action: `Wrong source: "${mis.entity}" did not say this — ${mis.actual_source} did`,
+      detail: `The passage says: "${mis.claim}"`
     });
-    const timeoutPromise = new Promise((_, rej) => setTimeout(() => rej(new Error('extraction timeout')), timeoutMs));
-    const response = await Promise.race([callPromise, timeoutPromise]);
-    const raw = response.content?.[0]?.text || '';
-    const m = raw.match(/\{[\s\S]*\}/);
-    if (!m) {
-      console.error('Extraction: Claude returned no JSON. First 200 chars:', raw.slice(0, 200));
-      return { _failed: true, reason: 'Claude returned a response with no JSON object — likely a refusal or formatting error. Try again.' };
-    }
-    let parsed;
-    try { parsed = JSON.parse(m[0]); }
-    catch (e) {
-      console.error('Extraction: JSON parse failed:', e.message, '— raw:', m[0].slice(0, 200));
-      return { _failed: true, reason: 'Claude returned malformed JSON. Try again.' };
-    }
+  }
+  for (const h of attribution.hallucinated.slice(0, 2)) {
+    improvements.push({
+      priority: 2,
+      icon: '🏷️',
+      action: `"${h.entity}" is not mentioned in the passage`,
+      detail: 'Only name the people and organisations the passage names — an invented source is a content error.'
+    });
+  }
 
-    // ── Validate + normalise ──
-    const framework = (parsed.framework === 'tpc') ? 'tpc' : 'wwhr';
-    const validKeys = framework === 'tpc'
-      ? ['topic','pivot','conclusion']
-      : ['what','why','how','result'];
+  // Priority 2 — grammar / connector
+  if (!grammar.has_connector) {
+    improvements.push({
+      priority: 2,
+      icon: '🔗',
+      action: 'Add a connector to chain your clauses',
+      detail: task === 'sst'
+        ? 'Link your sentences with however, moreover, therefore or as a result — without them, the summary reads as a list.'
+        : 'Use ; however, ; moreover, ; therefore, ; furthermore, — these signal logical connection between ideas. Without them, the summary reads as a list.'
+    });
+  } else if (grammar.connector_quality === 'partial') {
+    improvements.push({
+      priority: 2,
+      icon: '🔗',
+      action: `Add a semicolon before "${grammar.connector_used}"`,
+      detail: `Write: "; ${grammar.connector_used}," to mark the clause boundary.`
+    });
+  }
 
-    const ke = {};
-    for (const k of validKeys) {
-      if (parsed.keyElements && typeof parsed.keyElements[k] === 'string' && parsed.keyElements[k].trim()) {
-        ke[k] = parsed.keyElements[k].trim();
-      }
-    }
-    // If Claude returned the wrong-schema keys, the extraction is unusable.
-    if (Object.keys(ke).length < (framework === 'tpc' ? 3 : 4)) {
-      console.error('Extraction: incomplete keyElements for framework', framework, '— got', Object.keys(ke));
-      return { _failed: true, reason: 'Claude returned an incomplete set of key elements (' + Object.keys(ke).length + ' of ' + (framework === 'tpc' ? 3 : 4) + ' for ' + framework + '). Try again.' };
-    }
+  // Priority 2 — cohesion (LLM-flagged)
+  if (llmJudgment && llmJudgment.cohesion === 'weak') {
+    improvements.push({
+      priority: 2,
+      icon: '🧩',
+      action: 'Clauses do not connect logically',
+      detail: 'Each connector should signal a real relationship: "however" for contrast, "moreover" for addition, "therefore" for consequence.'
+    });
+  }
 
-    const rationale = {};
-    const pr = parsed.keyElementsRationale || {};
-    if (typeof pr.topic === 'string')      rationale.topic = pr.topic.trim().slice(0, 2000);
-    if (typeof pr.importance === 'string') rationale.importance = pr.importance.trim().slice(0, 2000);
-    if (pr.elements && typeof pr.elements === 'object') {
-      rationale.elements = {};
-      for (const k of validKeys) {
-        if (typeof pr.elements[k] === 'string') rationale.elements[k] = pr.elements[k].trim().slice(0, 1000);
-      }
-    }
+  // Priority 3 — vocabulary (boost Reading skill) — v19.2: target 2-3 swaps (was 4)
+  if (vocab.effective_credit < 2 && contentScore >= 1 && !vocab.meaning_changed) {
+    const need = Math.max(1, 2 - vocab.effective_credit);
+    improvements.push({
+      priority: 3,
+      icon: '📚',
+      action: `Replace ${need} more common word${need > 1 ? 's' : ''} with academic synonyms (target: 2–3)`,
+      detail: `Boosts ${skill} skill toward 90. Examples: made → opted, good → beneficial, important → crucial, change → transformation, show → demonstrate.`
+    });
+  } else if (vocab.effective_credit >= 2 && vocab.effective_credit < 3 && contentScore >= 1 && !vocab.meaning_changed) {
+    improvements.push({
+      priority: 4,
+      icon: '📚',
+      action: `Optional: 1 more academic swap to fully secure ${skill} 90`,
+      detail: `You already have 2 swaps which qualifies for Paraphrased Method — one more pushes ${skill} to the very top.`
+    });
+  }
 
-    return {
-      framework,
-      framework_reason: typeof parsed.framework_reason === 'string' ? parsed.framework_reason.trim() : '',
-      confidence: ['high','medium','low'].includes(parsed.confidence) ? parsed.confidence : 'medium',
-      keyElements: ke,
-      keyElementsRationale: rationale,
-      sampleResponse: typeof parsed.sampleResponse === 'string' ? parsed.sampleResponse.trim() : '',
-      source: 'claude'
-    };
-  } catch (e) {
-    console.error('Key-element extraction failed:', e.message);
-    // Distinguish common Anthropic SDK errors so the admin sees something useful.
-    let reason = e.message || 'unknown error';
-    if (/timeout|timed out/i.test(reason))          reason = 'Claude call timed out (>25s). Try again.';
-    else if (/401|unauthor/i.test(reason))          reason = 'Anthropic API key was rejected (401). Check ANTHROPIC_API_KEY in Railway.';
-    else if (/403/i.test(reason))                   reason = 'Anthropic API forbade the request (403). Check the API key and billing.';
-    else if (/429|rate.?limit/i.test(reason))       reason = 'Anthropic rate-limit hit (429). Wait a minute and try again.';
-    else if (/529|overload/i.test(reason))          reason = 'Anthropic is overloaded (529). Try again in a moment.';
-    else if (/ENOTFOUND|ECONNREFUSED|network/i.test(reason)) reason = 'Network error reaching Anthropic — check the Railway service has outbound internet.';
-    return { _failed: true, reason };
+  // Priority 3 — inappropriate synonyms (LLM-flagged)
+  if (vocab.inappropriate_count > 0) {
+    const issues = (llmJudgment?.synonym_issues || []).slice(0, 2).join('; ');
+    improvements.push({
+      priority: 3,
+      icon: '📖',
+      action: 'Some synonym choices are slightly off',
+      detail: issues || 'Pick closer-sense or more register-appropriate substitutes.'
+    });
   }
-}
 
+  // Priority 4 — first-person shift
+  if (firstPerson && firstPerson.isProblematic) {
+    const issues = (firstPerson.issues || []).slice(0, 2).map(i => `"${i.match}"`).join(', ');
+    improvements.push({
+      priority: 4,
+      icon: '👁️',
+      action: 'Shift first-person to third-person',
+      detail: `Change ${issues || '"I made"'} → "the author made", "my wife" → "his wife", "we" → "they".`
+    });
+  }
 
-// Per real-exam feedback: content (correct idea selection) is THE primary
-// determinant. Wrong ideas → severe ceiling. Correct ideas + academic synonyms
-// → reach Band 9 / PTE 90. Verbatim with good connectors stays at Writing 90
-// but caps Reading around 55–65 unless academic synonyms are added.
-// ═══════════════════════════════════════════════════════════════════════════════
-// ─── KEY ELEMENT CONDENSER (v19.8.1) ────────────────────────────────────────
-// PTE passages often have key elements written as full sentences with
-// supporting context: "He was familiar with the minor disadvantages of country
-// living such as uncertain water supply and lack of central heating."
-//
-// The capture-worthy part — the headline — is "He was familiar with the minor
-// disadvantages of country living". The "such as ... and ..." tail is supporting
-// detail. A student capturing only the headline should earn full credit, but
-// Claude tends to judge against the full text and report "missing" when the
-// tail isn't conveyed.
-//
-// This helper extracts just the headline by splitting on the FIRST joining
-// marker that introduces supporting context. The full original text is also
-// retained and shown to Claude as supporting context — Claude judges against
-// the HEADLINE only.
-function condenseKeyElement(text) {
-  if (!text) return { headline: '', full: '', wasCondensed: false };
-  const t = String(text).trim();
-  // Order matters: more specific markers first. Patterns that introduce
-  // examples or supporting detail vs patterns joining two co-equal clauses.
-  const splitters = [
-    /,\s+such\s+as\s+/i,              // "X, such as Y" → headline = X
-    /\s+such\s+as\s+/i,               //  "X such as Y" (no comma) → same
-    /,\s+including\s+/i,
-    /,\s+like\s+/i,
-    /,\s+for\s+example\b/i,
-    /,\s+e\.?g\.?\s+/i,
-    /,\s+with\s+/i,                   // "X, with Y" (e.g., "smooth, with setbacks like...")
-    /;\s*moreover\b/i,
-    /;\s*furthermore\b/i,
-    /;\s*and\b/i,
-    /,\s+and\s+/i,                    // Oxford-comma joining two clauses
-    /;\s*/,
-  ];
-  for (const re of splitters) {
-    const m = t.match(re);
-    if (m && m.index > 20) {
-      return { headline: t.slice(0, m.index).trim(), full: t, wasCondensed: true };
-    }
+  // Priority 4 — spelling (v19.6: penalty scales 0.25/0.5/0.75/1.0)
+  if (spelling && spelling.count > 0) {
+    const penalty = Math.min(1.0, 0.25 * spelling.count);
+    const hints = (spelling.suggestions || []).slice(0, 3).map(s => `"${s.misspelled}" → "${s.suggestion}"`).join(', ');
+    improvements.push({
+      priority: task === 'sst' ? 3 : 4,
+      icon: '🔤',
+      action: task === 'sst'
+        ? `${spelling.count} spelling error${spelling.count > 1 ? 's' : ''} (Spelling ${sstSpellingScore(spelling.count)}/${SST_TRAIT_MAX.spelling})`
+        : `${spelling.count} spelling error${spelling.count > 1 ? 's' : ''} (−${penalty.toFixed(2)} raw)`,
+      detail: hints
+    });
   }
-  return { headline: t, full: t, wasCondensed: false };
-}
 
-function formatKeyElementsHint(keyElements) {
-  if (!keyElements) return '';
-  const parts = [];
-  const fieldOrder = [
-    ['what','What'], ['why','Why'], ['how','How'], ['result','Result'],
-    ['topic','Topic'], ['pivot','Pivot'], ['conclusion','Conclusion']
-  ];
-  // Only emit fields the passage actually has, deduping the new + legacy schemas
-  const seen = new Set();
-  for (const [k, label] of fieldOrder) {
-    if (!keyElements[k]) continue;
-    if (k === 'topic'      && (keyElements.what    || seen.has('what')))   continue;
-    if (k === 'pivot'      && (keyElements.why     || seen.has('why')))    continue;
-    if (k === 'conclusion' && (keyElements.result  || seen.has('result'))) continue;
-    seen.add(k);
-    const c = condenseKeyElement(stripHtml(keyElements[k]));
-    if (c.wasCondensed) {
-      // Show HEADLINE prominently + the supporting detail in parentheses, so
-      // Claude knows what's required (headline) vs what's optional (detail).
-      parts.push(`- ${label}: ${c.headline}\n    (supporting detail in passage — not required for capture: ${c.full.slice(c.headline.length).replace(/^[,;\s]+/, '')})`);
-    } else {
-      parts.push(`- ${label}: ${c.full}`);
+  // ── METHOD COACHING ──────────────────────────────────────────────────────
+  let methodCoaching = null;
+  if (rawRatio >= 0.93 && contentFull) {
+    if (vocab.method === 'verbatim') {
+      methodCoaching = {
+        current: 'Verbatim Method',
+        next: vocab.effective_credit < 2
+          ? `Your Writing skill is at 90. To also push ${skill} toward 90, swap 2–3 common words for academic synonyms.`
+          : 'Excellent execution. You are at the top of both skill ladders.'
+      };
+    } else if (vocab.method === 'paraphrased') {
+      methodCoaching = {
+        current: 'Paraphrased Method',
+        next: 'Strong vocabulary work and idea coverage. Maintain the connector chain and you stay at Band 9.'
+      };
+    } else if (vocab.method === 'phrase_picking') {
+      methodCoaching = {
+        current: 'Phrase-Picking Method',
+        next: vocab.effective_credit < 2
+          ? `Solid phrase selection with proper connectors. Add 2–3 academic synonym swaps to lock in ${skill} 90.`
+          : 'Excellent phrase selection + academic upgrades — top of both ladders.'
+      };
+    }
+  } else if (rawRatio < 0.93 && contentScore > 0) {
+    if (vocab.method === 'verbatim_weak') {
+      methodCoaching = {
+        current: 'Verbatim style without connectors',
+        next: 'Pick a method and commit. Either: (1) Verbatim Method — keep passage lines but glue them with ; however, ; moreover, ; therefore. Or (2) Paraphrased Method — pick the right lines and replace 2–3 common words with academic synonyms. Both reach 90 if executed cleanly.'
+      };
+    } else if (vocab.method === 'phrase_picking') {
+      methodCoaching = {
+        current: 'Phrase-Picking style',
+        next: 'You are selecting phrases (good) but cohesion or content coverage needs work. Make sure every WHAT/WHY/HOW/RESULT idea is present and that connectors signal real relationships.'
+      };
+    } else if (vocab.method === 'hybrid') {
+      methodCoaching = {
+        current: 'Hybrid approach',
+        next: 'Commit to one path. Verbatim Method (lift + connect), Paraphrased Method (lift + 2–3 swaps + connect), or Phrase-Picking (key phrases + connectors). All three reach 90; mixing them inconsistently leaves points on the table.'
+      };
     }
   }
-  return parts.join('\n');
-}
 
-async function judgeContentWithClaude(studentText, passageText, keyElements, timeoutMs = 30000) {
-  // v19.17.1: timeout raised from 12s to 30s. The response now budgets 3200
-  // tokens (content scoring + 7-8 vocab swaps + grammar annotations), and a
-  // Haiku response that long can take 15-20s. The old 12s ceiling was
-  // calibrated for the original ~1400-token responses and was cutting Claude
-  // off mid-generation — which is why EVERY grade was timing out and falling
-  // back to the local scorer (no vocab coach, no grammar annotations).
-  if (!anthropic) return null;
-  const kpHint = formatKeyElementsHint(keyElements);
-  const totalIdeas = countKeyElements(keyElements);
+  // Sort improvements by priority
+  improvements.sort((a, b) => a.priority - b.priority);
 
-  const prompt = `You are a strict but fair PTE Academic Summarize Written Text scorer. Score this one-sentence summary across three dimensions AND suggest context-appropriate vocabulary swaps.
+  // ── BACKWARDS-COMPAT SUMMARY LINE ────────────────────────────────────────
+  const sParts = [];
+  sParts.push(headline);
+  if (improvements.length > 0) {
+    const top = improvements[0];
+    sParts.push(`Priority: ${top.action}`);
+  }
+  const summary_line = sParts.join(' · ');
 
-PASSAGE:
-${passageText}
+  return { verdict, strengths, improvements, method_coaching: methodCoaching, summary_line };
+}
 
-STUDENT SUMMARY:
-${studentText}
+// Legacy aliases — kept for any other call site that imports them
+function buildFeedback(contentVerdict, grammar, vocab, firstPerson, form) {
+  const card = buildFeedbackCard(contentVerdict, grammar, vocab, firstPerson, form, { count: 0 }, 0, contentVerdict.content_score, 0, null);
+  return card.summary_line;
+}
+function buildImprovementTips(rawScore, contentScore, vocab, grammar, contentVerdict, form) {
+  const card = buildFeedbackCard(contentVerdict, grammar, vocab, { isProblematic: false }, form, { count: 0 }, rawScore, contentScore, 0, null);
+  return card.improvements.map(i => `${i.icon} ${i.action}`).join(' • ');
+}
 
-${kpHint ? 'KEY IDEAS THE PASSAGE CONVEYS (this passage has exactly ' + totalIdeas + ' key idea' + (totalIdeas !== 1 ? 's' : '') + '):\n' + kpHint + '\n' : ''}
-EVALUATE:
-1. CONTENT COVERAGE — For each of the ${totalIdeas} key ideas, judge how well the student conveyed its CORE meaning. This produces a per-idea score that sums to content_score.
-2. SYNONYM APPROPRIATENESS — If the student replaced words from the passage, are substitutes meaning-preserving and register-appropriate? VERBATIM COPYING IS ACCEPTABLE — do NOT penalise it. PHRASE-LIFTING IS ALSO ACCEPTABLE — students may select key phrases from the passage (rather than full sentences) and stitch them together with their own connectors. Do NOT penalise this style; judge purely on whether the resulting summary is coherent and faithful to the passage.
-3. COHESION — BE STRICT. Ideas must connect logically through proper connectors (however/moreover/therefore/furthermore/consequently). Listed-out facts with no logical glue is "weak" cohesion even if commas separate them. Connectors must signal the actual relationship: "however" only for contrast, "moreover/furthermore" only for addition, "therefore/consequently" only for cause-effect. A misused connector → "weak". Two clauses jammed with "and" or comma-spliced → "weak". Only "strong" when each connective genuinely reflects the relationship between the ideas it links.
+function buildPenaltiesList(form, contentScore, vocab, spelling, contentMax, task = 'swt') {
+  const arr = [];
+  const cMax = (typeof contentMax === 'number' && contentMax > 0) ? contentMax : 2;
+  const ratio = contentScore / cMax;
+  if (form.overflow_penalty) arr.push({ type: 'word_count_overflow', impact: -form.overflow_penalty, detail: form.warning });
+  if (contentScore === 0) {
+    arr.push({ type: 'content_gate', impact: 'cap_at_PTE_15', detail: `0/${cMax} main ideas captured — heavy cap` });
+  } else if (ratio <= 0.5) {
+    arr.push({ type: 'content_partial', impact: 'cap_at_PTE_50', detail: `${contentScore}/${cMax} main ideas captured — partial cap` });
+  } else if (ratio <= 0.75) {
+    arr.push({ type: 'content_partial', impact: 'cap_at_PTE_65', detail: `${contentScore}/${cMax} main ideas captured — upper-mid cap` });
+  } else if (ratio < 1) {
+    arr.push({ type: 'content_partial', impact: 'cap_at_PTE_79', detail: `${contentScore}/${cMax} main ideas captured — almost there` });
+  }
+  // SST scores spelling as a trait, not a deduction (v20.25).
+  if (spelling.count > 0 && task !== 'sst') {
+    const penalty = Math.min(1.0, 0.25 * spelling.count);
+    arr.push({ type: 'spelling', impact: -penalty, detail: `${spelling.count} error(s), -${penalty.toFixed(2)} raw (cap -1.0)` });
+  }
+  if (vocab.meaning_changed) arr.push({ type: 'meaning_reversed', impact: 'vocab_to_0', detail: 'Synonym altered passage meaning' });
+  if (vocab.inappropriate_count > 0) arr.push({ type: 'inappropriate_synonym', impact: -0.5, detail: `${vocab.inappropriate_count} occurrence(s)` });
+  return arr;
+}
 
-CONTENT SCORING — binary capture per idea (PTE Pearson rubric):
+// ═══ SWT SCORING PIPELINE ═══
+// v20.2: the scoring half of /api/grade, lifted out of the route so the golden
+// corpus runner (eval/run-swt.js) can drive exactly the same logic without an
+// HTTP server. The route still owns request validation, the live-passage
+// override and the side effects (saveProgress, passage_current).
+//
+// options.offline skips every network call — no Claude judge (local fallback
+// scores content) and no Datamuse spelling enrichment — so a run is
+// deterministic and needs no API key. v20.3: a network-free LLM provider
+// (LLM_PROVIDER=offline) is still consulted, so fixture judgments replay.
+// ─── SCORE TRACE (v20.8) ─────────────────────────────────────────────────────
+// options.trace makes gradeSummary() return a `trace` block: one entry per
+// pipeline stage, in order, from validateForm through buildFeedbackCard —
+//   { stage, rule, inputs, output, delta, elapsed_ms }
+// `rule` names what fired (e.g. 'content_cap_50', 'weak_cohesion',
+// 'local_fallback'); `delta` is the raw-score change the stage caused, or
+// null for stages that only measure. elapsed_ms is time since the previous
+// entry unless the stage timed itself. Off by default — it costs nothing
+// but bytes, and the normal response stays the shape it always was.
+function createScoreTrace(enabled) {
+  const started = Date.now();
+  let last = started;
+  const stages = [];
+  return {
+    add(stage, entry, elapsedMs) {
+      if (!enabled) return;
+      const now = Date.now();
+      stages.push({ stage, rule: entry.rule || null, inputs: entry.inputs || null, output: entry.output || null,
+        delta: entry.delta ?? null, elapsed_ms: elapsedMs ?? (now - last) });
+      last = now;
+    },
+    finish() {
+      return enabled ? { version: 1, total_ms: Date.now() - started, stages } : undefined;
+    }
+  };
+}
 
-For EACH key idea above, assign a per-idea score:
-  • 1.0  — CAPTURED. The student's summary conveys the central claim/headline of this idea. Paraphrasing IS capture. Omitting supporting detail (dates, names, examples, secondary clauses) is fine — the headline is what counts.
-  • 0.0  — MISSING. The idea is not conveyed at all, or has been replaced by unrelated/fabricated content.
+// v20.5: the version stamped on every SWT result and folded into the grade
+// cache key. Bump it with any change that can move a score — cached results
+// from the previous engine then stop matching.
+const SCORING_VERSION = '20.18.0';
+
+async function gradeSummary(text, prompt, keyPoints, options = {}) {
+  const offline = !!options.offline;
+  const trace = createScoreTrace(!!options.trace);
+  // v20.20: options.onProgress(event, data) hears each stage as soon as its
+  // result is known — the local checks long before the content judge returns.
+  // Purely observational: a throwing listener never affects the score.
+  const emit = (event, data) => {
+    if (typeof options.onProgress !== 'function') return;
+    try { options.onProgress(event, data); } catch (e) { console.warn('grade: progress listener failed -', e.message); }
+  };
+  // v20.25: options.task 'sst' grades a Summarize Spoken Text response, with
+  // the lecture transcript as `prompt`. See SUMMARIZE SPOKEN TEXT.
+  const sst = options.task === 'sst';
+  // ── FORM GATE ──
+  const form = sst ? validateSstForm(text) : validateForm(text);
+  trace.add('validateForm', {
+    rule: form.valid ? (form.overflow_penalty ? 'valid_with_overflow' : 'valid') : 'form_gate',
+    inputs: { word_count: form.wc },
+    output: { valid: form.valid, reason: form.reason || null, warning: form.warning || null, overflow_penalty: form.overflow_penalty || 0 },
+    delta: form.valid ? null : 'all_traits_zero'
+  });
+  emit('form', { valid: form.valid, score: form.valid ? form.score : 0, word_count: form.wc, reason: form.reason || null, warning: form.warning || null, overflow_penalty: form.overflow_penalty || 0 });
+  if (!form.valid) {
+    const formFailCard = buildFeedbackCard(
+      { content_score: 0, ideas_captured: [], ideas_missing: [], cohesion: 'unknown' },
+      { score: 0, has_connector: false, connector_quality: 'missing', grammar_issues: [] },
+      { score: 0, method: 'invalid', effective_credit: 0, safe_swaps: [], dangerous_swaps: [], meaning_changed: false, academic_words: [], inappropriate_count: 0 },
+      { isProblematic: false, hasPerspectiveShift: false, issues: [] },
+      form, { count: 0, suggestions: [] }, 0, 0, 0, null
+    );
+    trace.add('buildFeedbackCard', { rule: 'form_fail_card', output: { summary_line: formFailCard.summary_line } });
+    // Form-fail also needs to know the passage's idea count for the UI chips.
+    const ffMaxContent = countKeyElements(keyPoints) || 2;
+    const ffMaxRaw = sst ? sstMaxRaw(ffMaxContent) : 1 + ffMaxContent + 2 + 2;
+    return {
+      trait_scores: sst
+        ? sstTraitScores({ form: 0, content: 0, grammar: 0, vocabulary: 0, spelling: 0 }, ffMaxContent)
+        : { form: 0, form_max: 1, content: 0, content_max: ffMaxContent, grammar: 0, grammar_max: 2, vocabulary: 0, vocabulary_max: 2 },
+      content_details: { key_ideas_extracted: [], key_ideas_present: [], key_ideas_missing: [], notes: form.reason },
+      grammar_details: { score: 0, has_connector: false, grammar_issues: [], connector_quality: 'missing' },
+      vocabulary_details: { score: 0, notes: ['Form invalid'], safe_swaps: [], dangerous_swaps: [], meaning_changed: false, method: 'invalid' },
+      skill_contributions: { [sst ? 'listening' : 'reading']: { estimate: 10, note: 'Form invalid' }, writing: { estimate: 10, note: 'Form invalid' } },
+      paraphrase_analysis: { quality: 0, safeSwapCount: 0, dangerousSwapCount: 0 },
+      overall_score: 10, raw_score: 0, max_raw_score: ffMaxRaw, total_ideas: ffMaxContent, band: 'Band 5',
+      form_gate_triggered: true, form_reason: form.reason, word_count: form.wc,
+      feedback: formFailCard.summary_line,
+      feedback_card: formFailCard,
+      improvement_tips: formFailCard.improvements.map(i => `${i.icon} ${i.action}`).join(' • '),
+      first_person_detected: false, first_person_problematic: false,
+      method_detected: 'invalid', llm_used: false, penalties_applied: [{ type: 'form_fail', impact: 'all_zero', detail: form.reason }],
+      scoring_version: sst ? SST_SCORING_VERSION : SCORING_VERSION, mode: 'local',
+      trace: trace.finish()
+    };
+  }
 
-Use 1.0 generously when the student has clearly attempted the idea, even if the wording differs from the passage. PTE does NOT use partial credit — it's binary. When in doubt, score 1.0. However, a student who has not attempted the idea at all (or only overlaps on 1-2 words by chance without conveying the proposition) must receive 0.0.
+  // ── LOCAL ANALYSIS (deterministic, fast) ──
+  const verbatim = detectVerbatim(text, prompt);
+  trace.add('detectVerbatim', {
+    rule: verbatim.isVerbatim ? 'verbatim' : 'paraphrased',
+    output: { verbatim_rate: verbatim.verbatimRate, longest_run: verbatim.longestRun, coverage: verbatim.alignment.coverage }
+  });
+  const swaps = analyzeSwaps(text, prompt);
+  trace.add('analyzeSwaps', {
+    rule: swaps.dangerousSwapCount ? 'dangerous_swaps_found' : 'no_dangerous_swaps',
+    output: {
+      safe_swaps: swaps.safeSwapCount, structural_changes: swaps.structuralCount, paraphrase_credit: swaps.totalParaphraseCredit,
+      dangerous_swaps: swaps.dangerousSwaps, academic_words: swaps.academicWordsUsed
+    }
+  });
+  const firstPerson = detectFirstPerson(text, prompt);
+  trace.add('detectFirstPerson', {
+    rule: firstPerson.isProblematic ? 'problematic_first_person' : (firstPerson.detected ? 'first_person_ok' : 'none'),
+    output: { detected: firstPerson.detected, problematic: firstPerson.isProblematic, perspective_shift: firstPerson.hasPerspectiveShift || false }
+  });
+  // v20.14: figures that contradict the passage ("57%" for "75%").
+  const quantityFacts = checkQuantityFacts(text, prompt);
+  trace.add('checkQuantityFacts', {
+    rule: quantityFacts.errors.length ? 'factual_errors_found' : 'no_factual_errors',
+    inputs: { student_quantities: quantityFacts.student_quantities, passage_quantities: quantityFacts.passage_quantities },
+    output: { errors: quantityFacts.errors.map(e => e.expected ? `${e.student} ≠ ${e.expected}` : `${e.student} (not in passage)`) }
+  });
+  // v20.15: claims pinned on the wrong source, and sources the passage never names.
+  const attribution = checkAttribution(text, prompt);
+  trace.add('checkAttribution', {
+    rule: attribution.misattributions.length ? 'misattribution_found' : (attribution.hallucinated.length ? 'hallucinated_entity_found' : 'attribution_ok'),
+    inputs: { passage_entities: attribution.entities.passage.map(e => e.name), student_entities: attribution.entities.student.map(e => e.name) },
+    output: {
+      misattributions: attribution.misattributions.map(m => `${m.entity} → ${m.actual_source}`),
+      hallucinated: attribution.hallucinated.map(h => h.entity), penalty: attribution.penalty
+    }
+  });
+  const grammar = sst ? checkSstGrammar(text, prompt) : checkGrammar(text, prompt);
+  trace.add('checkGrammar', {
+    rule: `connector_${grammar.connector_quality || 'missing'}`,
+    output: { score: grammar.score, connector: grammar.connector_used || null, connector_type: grammar.connector_type || null,
+      semicolon_before_connector: !!grammar.has_semicolon_before_connector, issues: grammar.grammar_issues.slice(),
+      rules: grammar.issues.map(i => i.rule) }
+  });
+  let spelling = checkSpelling(text, prompt, { preference: options.spelling });
+  emit('verbatim', {
+    verbatim_rate: verbatim.verbatimRate, longest_run: verbatim.longestRun, is_verbatim: !!verbatim.isVerbatim,
+    safe_swaps: swaps.safeSwapCount, dangerous_swaps: swaps.dangerousSwaps, academic_words: swaps.academicWordsUsed
+  });
+  // Grammar before the spelling penalty, vocabulary without the judge's
+  // synonym verdict — both can still move once the content judge answers.
+  emit('grammar', {
+    score: grammar.score, provisional: true, connector: grammar.connector_used || null,
+    connector_quality: grammar.connector_quality || 'missing', issues: grammar.grammar_issues.slice()
+  });
+  const localVocab = scoreVocabulary(verbatim, swaps, firstPerson, grammar, null);
+  emit('vocabulary', { score: localVocab.score, provisional: true, method: localVocab.method, notes: localVocab.notes, meaning_changed: localVocab.meaning_changed });
+
+  // ── CONTENT JUDGE: Claude first (with a bounded retry), local fallback ──
+  // v19.6: also fire the Datamuse spelling enrichment in parallel — both are
+  // network-bound, so doing them concurrently saves ~2-4s on slow paths.
+  // C1/F3 (v19.17): retry once on failure.
+  // v19.17.1: but be smart about WHICH failures to retry. A timeout means the
+  // model was slow — retrying with the full 30s budget could mean a 60s wait,
+  // which is unacceptable. So: on a timeout, retry only ONCE with a SHORTER
+  // budget (15s) so worst-case total stays ~45s; on a fast error (bad JSON,
+  // momentary network blip), retry with the full budget since it'll likely
+  // return quickly.
+  let llmJudgment = null;
+  const judgeInfo = { attempts: 0, first_error: null, ms: 0, skipped: null };
+  const spellStarted = Date.now();
+  let spellMs = 0;
+  const [_judgeResult, enrichedSpelling] = await Promise.all([
+    (async () => {
+      if (offline && !llm.networkFree) { judgeInfo.skipped = 'offline'; return; }
+      if (!llm.available) { judgeInfo.skipped = 'no_provider'; return; }
+      const t0 = Date.now();
+      let firstErr = null;
+      judgeInfo.attempts = 1;
+      try { llmJudgment = await judgeContentWithClaude(text, prompt, keyPoints, undefined, options.task); }
+      catch (e) { firstErr = e; }
+      if (!llmJudgment) {
+        judgeInfo.attempts = 2;
+        judgeInfo.first_error = firstErr ? firstErr.message : 'no usable response';
+        const elapsed = Date.now() - t0;
+        const wasTimeout = firstErr && /timeout/i.test(firstErr.message || '');
+        // If the first attempt already ate most of our time budget on a
+        // timeout, retry with a shorter ceiling; otherwise retry normally.
+        const retryTimeout = wasTimeout ? 15000 : 30000;
+        await new Promise(r => setTimeout(r, 300));
+        try { llmJudgment = await judgeContentWithClaude(text, prompt, keyPoints, retryTimeout, options.task); }
+        catch (e) { /* swallow → fallback */ }
+        if (DEBUG) console.log(`[grade] Claude judge ${llmJudgment ? 'succeeded on retry' : 'failed twice — using local fallback'} (first attempt ${elapsed}ms, timeout=${wasTimeout})`);
+      }
+      judgeInfo.ms = Date.now() - t0;
+    })(),
+    (offline ? Promise.resolve(spelling) : enrichSpellingWithDatamuse(spelling, text).catch(() => spelling))
+      .then(r => {
+        spellMs = Date.now() - spellStarted;
+        emit('spelling', { count: r.count, errors: (r.suggestions || []).map(x => ({ misspelled: x.misspelled, suggestion: x.suggestion })), mixed_variants: r.variant.mixed });
+        return r;
+      })
+  ]);
+  const localSpellingCount = spelling.count;
+  spelling = enrichedSpelling;
+  trace.add('checkSpelling', {
+    rule: offline ? 'local_only' : 'local_plus_datamuse',
+    inputs: { preference: spelling.variant.preference },
+    output: {
+      count: spelling.count, local_count: localSpellingCount, mixed_variants: spelling.variant.mixed,
+      errors: (spelling.suggestions || []).map(s => `${s.misspelled} → ${s.suggestion}`)
+    }
+  }, spellMs);
+  trace.add('judgeContent', {
+    rule: llmJudgment ? (judgeInfo.attempts > 1 ? 'llm_on_retry' : 'llm') : (judgeInfo.skipped ? `llm_skipped_${judgeInfo.skipped}` : 'llm_failed'),
+    inputs: { provider: llm.name, attempts: judgeInfo.attempts, first_error: judgeInfo.first_error, request_key: llmJudgment?.llm_request_key || null },
+    output: llmJudgment ? { content_score: llmJudgment.content_score, per_idea_scores: llmJudgment.per_idea_scores || null, cohesion: llmJudgment.cohesion || null } : null
+  }, judgeInfo.ms);
+
+  // ── DYNAMIC CONTENT SCALE (v19.4) ───────────────────────────────────────
+  // Each captured key idea = +1 to content_score. Total ideas (3 or 4) defines
+  // the maximum content_score and therefore the maximum raw score.
+  const totalIdeas = countKeyElements(keyPoints);
+  // If a passage somehow has no key elements, fall back to legacy 0–2 scoring.
+  const maxContent = totalIdeas > 0 ? totalIdeas : 2;
+  const maxRaw = sst ? sstMaxRaw(maxContent) : 1 + maxContent + 2 + 2; // form + content + grammar + vocab
+
+  // ── STRICT CONTENT GATE — v19.7: partial credit per idea ───────────────
+  // The prompt asks Claude to return per_idea_scores: { what: 1.0, why: 0.5, ... }
+  // We compute content_score = ROUND(sum) on the server. If per_idea_scores
+  // is missing (older Claude responses, prompt regression), fall back to
+  // the array-length authoritative path from v19.4.1.
+  if (llmJudgment) {
+    const perIdea = (llmJudgment.per_idea_scores && typeof llmJudgment.per_idea_scores === 'object')
+      ? llmJudgment.per_idea_scores : null;
+    const captured = Array.isArray(llmJudgment.ideas_captured) ? llmJudgment.ideas_captured : [];
+    const partial  = Array.isArray(llmJudgment.ideas_partial)  ? llmJudgment.ideas_partial  : [];
+    const missing  = Array.isArray(llmJudgment.ideas_missing)  ? llmJudgment.ideas_missing  : [];
+    const originalScore = llmJudgment.content_score;
+    let computedScore;
+    let computedSum = 0;
+
+    if (perIdea && Object.keys(perIdea).length > 0) {
+      // ── BINARY CAPTURE (v19.8) ──
+      // PTE Pearson scores content as binary per idea: idea is either present
+      // or absent. Earlier versions of this engine introduced a partial-credit
+      // tier (0.5) to handle overstuffed key elements, but that produced
+      // confusing UI ("PARTIAL CREDIT" warnings on Band-9 attempts when the
+      // headline was clearly captured). Per the user's design directive —
+      // "as long as the idea was captured" — we now snap each per-idea score
+      // to {0, 1}: any non-zero signal is treated as captured.
+      //
+      // The headline rescue layer (v19.7.2) still runs first as a safety net
+      // for cases where Claude returned 0.5; both paths converge to 1.0 here.
+      // v20.16: the unsnapped scores are kept for ensemble reconciliation.
+      llmJudgment.per_idea_scores_raw = { ...perIdea };
+      for (const k of Object.keys(perIdea)) {
+        let v = Number(perIdea[k]);
+        if (Number.isNaN(v)) v = 0;
+        // Any signal of capture (>= 0.25) counts as captured.
+        // Below 0.25 → genuinely missing.
+        perIdea[k] = v >= 0.25 ? 1 : 0;
+      }
+      // Run headline rescue for transparency/debugging — at this point it
+      // becomes a no-op for content scoring (0.5→1.0 already happened above)
+      // but the audit trail is still useful.
+      const rescueAudit = applyHeadlineRescue(perIdea, keyPoints, text);
+      llmJudgment.headline_rescue = rescueAudit;
+      // Sum after binary snap
+      computedSum = 0;
+      for (const k of Object.keys(perIdea)) computedSum += perIdea[k];
+      computedScore = Math.round(computedSum);
+      // Rebuild arrays — partial is now empty by construction.
+      llmJudgment.ideas_captured = Object.keys(perIdea).filter(k => perIdea[k] === 1);
+      llmJudgment.ideas_partial  = [];
+      llmJudgment.ideas_missing  = Object.keys(perIdea).filter(k => perIdea[k] === 0);
+    } else if (captured.length > 0 || missing.length > 0 || partial.length > 0) {
+      // Fallback — array-length authoritative (legacy v19.4.1 path).
+      // v19.8: treat partial as captured for the binary score.
+      computedSum = captured.length + partial.length;
+      computedScore = Math.round(computedSum);
+      // Merge partial → captured for the array surfaces too.
+      if (llmJudgment) {
+        llmJudgment.ideas_captured = [...captured, ...partial];
+        llmJudgment.ideas_partial = [];
+        llmJudgment.ideas_missing = missing;
+      }
+    } else {
+      // Last resort — both arrays and per_idea_scores empty.
+      computedScore = (typeof originalScore === 'number') ? Math.round(originalScore) : 0;
+      computedSum = computedScore;
+    }
+    computedScore = Math.max(0, Math.min(maxContent, computedScore));
+    llmJudgment.content_score = computedScore;
+    llmJudgment.content_score_raw_sum = computedSum;
+    llmJudgment.content_max = maxContent;
+    if (computedScore !== originalScore) {
+      llmJudgment.content_score_adjusted = { from: originalScore, to: computedScore, reason: perIdea ? 'computed_from_per_idea_scores' : 'reconciled_with_arrays' };
+    }
+    trace.add('reconcileContent', {
+      rule: perIdea && Object.keys(perIdea).length ? 'binary_per_idea' : (captured.length || missing.length || partial.length ? 'array_lengths' : 'llm_score_as_is'),
+      inputs: { llm_content_score: originalScore ?? null },
+      output: { content_score: computedScore, captured: llmJudgment.ideas_captured || [], missing: llmJudgment.ideas_missing || [], headline_rescue: llmJudgment.headline_rescue || null },
+      delta: typeof originalScore === 'number' ? computedScore - originalScore : null
+    });
+    // Update reason text to reflect the final score.
+    const capList = llmJudgment.ideas_captured || [];
+    const partList = llmJudgment.ideas_partial || [];
+    const missList = llmJudgment.ideas_missing || [];
+    if (capList.length === maxContent && partList.length === 0 && missList.length === 0) {
+      llmJudgment.content_reason = `All ${maxContent} key ideas captured.`;
+    } else if (capList.length === 0 && partList.length === 0) {
+      llmJudgment.content_reason = `No key ideas captured (${missList.join(', ')} all missing).`;
+    } else {
+      const parts = [];
+      if (capList.length) parts.push(`${capList.length} fully (${capList.join(', ')})`);
+      if (partList.length) parts.push(`${partList.length} partial (${partList.join(', ')})`);
+      if (missList.length) parts.push(`${missList.length} missing (${missList.join(', ')})`);
+      llmJudgment.content_reason = `Captured ${parts.join('; ')}. Score: ${computedScore}/${maxContent}.`;
+    }
+  }
 
-Then content_score = SUM of per-idea scores (range 0–${totalIdeas}).
+  const fallback = judgeContentLocal(text, prompt, keyPoints, grammar);
+
+  // ── ENSEMBLE (v20.16): reconcile the LLM and local verdicts per idea ──
+  const judgeConfig = options.judge || DEFAULT_JUDGE_CONFIG;
+  let ensemble = null;
+  if (judgeConfig.mode === 'ensemble' && llmJudgment) {
+    ensemble = reconcileEnsemble(llmJudgment, fallback, judgeConfig);
+    const before = llmJudgment.content_score;
+    const ideas = Object.keys(ensemble.per_idea);
+    llmJudgment.per_idea_scores = Object.fromEntries(ideas.map(k => [k, ensemble.per_idea[k].final]));
+    llmJudgment.ideas_captured = ideas.filter(k => ensemble.per_idea[k].final === 1);
+    llmJudgment.ideas_missing = ideas.filter(k => ensemble.per_idea[k].final === 0);
+    llmJudgment.content_score = Math.min(maxContent, llmJudgment.ideas_captured.length);
+    if (llmJudgment.content_score !== before) {
+      llmJudgment.content_reason = `${llmJudgment.content_score}/${maxContent} key ideas captured (ensemble, ${judgeConfig.policy} policy).`;
+    }
+    trace.add('ensembleJudge', {
+      rule: `policy_${judgeConfig.policy}`,
+      inputs: { threshold: judgeConfig.threshold, llm: Object.fromEntries(ideas.map(k => [k, ensemble.per_idea[k].llm])), local: Object.fromEntries(ideas.map(k => [k, ensemble.per_idea[k].local])) },
+      output: { content_score: llmJudgment.content_score, disagreements: ensemble.disagreements.map(d => d.idea), needs_review: ensemble.needs_review },
+      delta: llmJudgment.content_score - before
+    });
+  } else if (judgeConfig.mode === 'ensemble') {
+    // Nothing to reconcile: the local verdict stands alone, as in single mode.
+    ensemble = { mode: 'ensemble', policy: judgeConfig.policy, threshold: judgeConfig.threshold, per_idea: null, disagreements: [], needs_review: false, llm_unavailable: true };
+    trace.add('ensembleJudge', { rule: 'llm_unavailable', output: { needs_review: false } });
+  }
+  const contentVerdict = llmJudgment || fallback;
+  // F1 (v19.17): when the local fallback is used (Claude failed twice), the
+  // response can't include grammar annotations or vocabulary swaps. Flag this
+  // so the frontend can show an honest "detailed feedback unavailable for this
+  // attempt — try again" notice instead of silently dropping those sections.
+  const aiFeedbackDegraded = !llmJudgment;
+  if (typeof contentVerdict.content_max !== 'number') contentVerdict.content_max = maxContent;
+  contentVerdict.factual_errors = quantityFacts.errors;
+  contentVerdict.attribution = attribution;
+  const contentScore = Math.max(0, Math.min(maxContent, contentVerdict.content_score || 0));
+  trace.add('contentVerdict', {
+    rule: llmJudgment ? 'llm' : 'local_fallback',
+    output: { content_score: contentScore, content_max: maxContent, captured: contentVerdict.ideas_captured || [], missing: contentVerdict.ideas_missing || [],
+      cohesion: contentVerdict.cohesion || 'unknown', cohesion_rule: llmJudgment ? 'llm_judgment' : (fallback.cohesion_rule || null),
+      local_matches: Object.fromEntries(Object.entries(fallback.idea_evidence || {}).map(([k, v]) => [k, v.matched.map(e => `${e.key}→${e.student} (${e.via})`)])) }
+  });
+  emit('content', {
+    score: contentScore, content_max: maxContent, ideas_captured: contentVerdict.ideas_captured || [], ideas_missing: contentVerdict.ideas_missing || [],
+    llm_used: !!llmJudgment, needs_review: !!(ensemble && ensemble.needs_review)
+  });
 
-CAPTURE PHILOSOPHY — read this carefully:
-The KEY IDEAS above are written as full sentences with headline + supporting context. A student who captures the HEADLINE earns 1.0 even without the supporting context. Examples of captured (1.0):
-  • Key idea: "Progress was not entirely smooth, with setbacks like the South Sea Bubble of 1720"
-    Student wrote: "the progress was not completely smooth"  →  1.0 (headline captured; the date is supporting detail).
-  • Key idea: "He was familiar with the minor disadvantages of country living such as uncertain water supply and lack of central heating"
-    Student wrote: "he was aware of the minor downsides of country living"  →  1.0 (headline captured; the examples are supporting detail).
-  • Key idea: "He has altered the way people think as well as the way they live, like other revolutionary scientists"
-    Student wrote: "has changed the world more than anyone in the past century"  →  1.0 (same headline meaning).
-  • Key idea: "He persuaded his wife that exchanging the town house for a farm cottage on a lower income was a good idea"
-    Student wrote: "he tried to convince his wife that exchanging town house for farm cottage was a good idea"  →  1.0 ("tried to convince" = "persuaded"; same idea).
-  • Key idea: "The UK's financial hub has overtaken New York rivals in funds managed and holds 70% of bond markets"
-    Student wrote: "the United Kingdom's financial hub has overtaken their New York rivals in terms of funds managed"  →  1.0 (headline captured; the 70% figure is supporting detail).
-  • Key idea: "Tourism employs a large proportion of women, minority groups and young people"
-    Student wrote: "the sector employs many women, minority groups and young people"  →  1.0.
+  // ── VOCABULARY (now informed by LLM judgment) ──
+  const vocab = scoreVocabulary(verbatim, swaps, firstPerson, grammar, llmJudgment);
+  trace.add('scoreVocabulary', {
+    rule: vocab.method,
+    output: { score: vocab.score, meaning_changed: vocab.meaning_changed, dangerous_swaps: vocab.dangerous_swaps, notes: vocab.notes }
+  });
 
-Examples of missing (0.0):
-  • Key idea: "The financial hub has overtaken New York rivals in funds managed"
-    Student wrote: nothing about overtaking NY or financial dominance  →  0.0.
-  • Student replaces an idea with fabricated content not in the passage  →  0.0.
+  // ── GRAMMAR — apply spelling penalty (v19.6: scales with error count) ──
+  // Penalty bands: 1 typo → -0.25, 2 typos → -0.5, 3 typos → -0.75, 4+ → -1.0.
+  // Cap is -1.0 raw, which on a 9-point scale is roughly -8 PTE — bounded,
+  // but a sloppy summary with 4+ typos no longer escapes with -0.5.
+  let grammarScore = grammar.score;
+  let spellingScore = null;
+  if (sst) {
+    // v20.25: SST scores spelling as a trait of its own instead.
+    spellingScore = sstSpellingScore(spelling.count);
+    if (spelling.variant && spelling.variant.mixed) grammar.grammar_issues.push('Mixed UK and US spelling — pick one variety and use it throughout.');
+    trace.add('spellingTrait', { rule: `spelling_${Math.min(spelling.count, 2)}`, inputs: { count: spelling.count }, output: { spelling: spellingScore } });
+  } else if (spelling.count >= 1) {
+    const penalty = Math.min(1.0, 0.25 * spelling.count);
+    const grammarBefore = grammarScore;
+    grammarScore = Math.max(0, grammarScore - penalty);
+    const hints = (spelling.suggestions || []).slice(0, 3).map(s => `"${s.misspelled}" → "${s.suggestion}"`).join(', ');
+    grammar.grammar_issues.push(`Spelling (${spelling.count} error${spelling.count > 1 ? 's' : ''}, -${penalty.toFixed(2)} raw): ${hints}`);
+    if (spelling.variant && spelling.variant.mixed) grammar.grammar_issues.push('Mixed UK and US spelling — pick one variety and use it throughout.');
+    trace.add('spellingPenalty', { rule: `spelling_${Math.min(spelling.count, 4)}`, inputs: { count: spelling.count }, output: { grammar: grammarScore }, delta: grammarScore - grammarBefore });
+  }
+
+  // ── COHESION ADJUSTMENT — v19.5: reads from contentVerdict ──
+  // Was llmJudgment-only, which meant the local fallback's weak-cohesion
+  // detection never triggered the gate. Now both paths feed in.
+  // Per user spec: "deduct scores if ideas are not well connected with each other".
+  // v20.25: not for SST — its grammar trait has no connector rule, and the
+  // local verdict reads cohesion off the connector.
+  let cohesionPenaltyApplied = false;
+  if (!sst && contentVerdict?.cohesion === 'weak') {
+    const grammarBefore = grammarScore;
+    grammarScore = Math.max(0, grammarScore - 1.0);
+    grammar.grammar_issues.push('Clauses do not connect logically — ideas listed without proper logical glue');
+    cohesionPenaltyApplied = true;
+    trace.add('cohesionPenalty', {
+      rule: 'weak_cohesion',
+      inputs: { source: llmJudgment ? 'llm' : 'local', cohesion_rule: llmJudgment ? 'llm_judgment' : (contentVerdict.cohesion_rule || null) },
+      output: { grammar: grammarScore }, delta: grammarScore - grammarBefore
+    });
+  }
 
-OUTPUT REQUIREMENTS:
-- per_idea_scores: object mapping each idea label (what/why/how/result OR topic/pivot/conclusion) to its score (1.0 or 0.0).
-- ideas_captured: labels with score 1.0.
-- ideas_missing: labels with score 0.0.
-- length(ideas_captured) + length(ideas_missing) MUST equal ${totalIdeas}.
-- content_score: SUM of per_idea_scores values (this equals length(ideas_captured)).
+  // ── RAW SCORE ASSEMBLY (v19.4 dynamic max) ──
+  let rawScore = sst
+    ? form.score + contentScore + grammarScore + vocab.score + spellingScore
+    : 1 + contentScore + grammarScore + vocab.score; // max = maxRaw
 
-CRITICAL RULES (do not break these):
-1. An idea is "captured" (1.0) when its CORE/HEADLINE meaning is present — paraphrasing is fine, omitting supporting detail is fine. Be generous: when in doubt, score 1.0.
-2. STRICT SHARED-WORD EXCLUSION: Do NOT mark an idea as captured (1.0) if the student summary only shares a single word or generic vocabulary (e.g., sharing only "diffuses" or "intelligence") without conveying the actual claim of that key idea. There must be a semantic mapping of the proposition, not just lexical overlap.
-3. SHORT SUMMARY GUARD: If the student summary is very short (e.g., under 20 words) and only contains a single clause or statement, it cannot physically capture more than ONE key idea. In such cases, be extremely strict: do not award multiple key ideas based on single-word overlaps.
-4. If the student replaces a passage idea with different content (even if grammatically fluent), score 0.0 — fluency does not rescue missing content.
-5. If the summary is off-topic or gibberish, every per_idea_score is 0.0.
+  trace.add('rawAssembly', sst ? {
+    rule: 'form+content+grammar+vocabulary+spelling',
+    inputs: { form: form.score, content: contentScore, grammar: grammarScore, vocabulary: vocab.score, spelling: spellingScore, max_raw: maxRaw },
+    output: { raw: rawScore }
+  } : {
+    rule: 'form+content+grammar+vocabulary',
+    inputs: { form: 1, content: contentScore, grammar: grammarScore, vocabulary: vocab.score, max_raw: maxRaw },
+    output: { raw: rawScore }
+  });
 
-- synonym_appropriateness "appropriate": all swaps preserve meaning and academic register, OR no swaps were made (verbatim).
-- synonym_appropriateness "some_inappropriate": one or more swaps are awkward, wrong register, or shift connotation.
-- synonym_appropriateness "meaning_changed": a swap reverses or significantly alters the passage meaning.
-- synonym_appropriateness "no_swaps": pure verbatim with zero substitution (still acceptable).
-- academic_register: true if the summary uses 2+ recognisably academic/formal words (e.g., consequently, substantial, demonstrate, comprehensive).
+  // Soft word-count overflow
+  if (form.overflow_penalty) {
+    rawScore -= form.overflow_penalty;
+    trace.add('overflowPenalty', { rule: 'word_count_overflow', inputs: { word_count: form.wc }, output: { raw: rawScore }, delta: -form.overflow_penalty });
+  }
 
-VOCABULARY SWAP SUGGESTIONS (recommended_swaps) — VERY IMPORTANT, ALWAYS REQUIRED:
-You MUST return 7 to 8 word/phrase suggestions from the STUDENT SUMMARY. This is not
-optional and not conditional on the summary's quality — EVERY summary, however
-strong, has 7-8 words whose register or precision can be varied. Returning fewer
-than 7 is a failure of this task. Returning an empty list is never acceptable.
+  // v20.15: wrong or invented sources
+  if (attribution.penalty) {
+    rawScore -= attribution.penalty;
+    trace.add('attributionPenalty', {
+      rule: attribution.misattributions.length ? 'misattribution' : 'hallucinated_entity',
+      inputs: { misattributions: attribution.misattributions.length, hallucinated: attribution.hallucinated.length },
+      output: { raw: rawScore }, delta: -attribution.penalty
+    });
+  }
 
-CRITICAL: recommended_swaps is just as important as content_score and grammar_annotations.
-If you find yourself focusing heavily on grammar issues, do NOT skip or shorten the swaps —
-they are a separate teaching dimension. Both fields must be fully populated in every response.
-A response with detailed grammar_annotations but empty recommended_swaps is INCOMPLETE.
+  // ── CONTENT GATE — proportional cap based on idea coverage ─────────────
+  // Captured ratio drives the cap. The user's rule: each idea = one band.
+  // We additionally enforce a hard PTE cap so that severely incomplete
+  // summaries can't reach Band 9 just by having strong vocab/grammar.
+  //
+  // v19.5: boundaries widened so 50% coverage lands in the "PTE 50" tier
+  // (was strictly < 0.5 which excluded exactly 0.5 — 2/4 misclassified).
+  // New tiers:
+  //   0% captured        → PTE 15 cap
+  //   1%–50%  captured   → PTE 50 cap   (e.g. 2/4 = 50%)
+  //   51%–75% captured   → PTE 65 cap   (e.g. 3/4 captured but ratio≠1)
+  //   76%–<100% captured → PTE 79 cap
+  //   100% captured      → no cap
+  const capturedRatio = maxContent > 0 ? contentScore / maxContent : 1;
+  let contentCapPTE = null;
+  if (capturedRatio === 0)            contentCapPTE = 15;
+  else if (capturedRatio <= 0.5)      contentCapPTE = 50;
+  else if (capturedRatio <= 0.75)     contentCapPTE = 65;
+  else if (capturedRatio < 1)         contentCapPTE = 79;
+  if (contentCapPTE !== null) {
+    const capRaw = pteToRaw(contentCapPTE, maxRaw);
+    const before = rawScore;
+    if (rawScore > capRaw) rawScore = capRaw;
+    trace.add('contentCap', {
+      rule: `content_cap_${contentCapPTE}`, inputs: { captured_ratio: capturedRatio, cap_raw: capRaw },
+      output: { raw: rawScore, binding: rawScore !== before }, delta: rawScore - before
+    });
+  }
 
-How to always find 7-8:
-- Scan the summary left to right. For EVERY verb, common noun, adjective, and
-  adverb, ask "is there an academic synonym that fits this exact context?" — there
-  almost always is.
-- This includes words that are ALREADY reasonably academic. Offering a lateral
-  alternative (e.g. "achieved" → "attained / reached", "shows" → "demonstrates /
-  indicates / reveals", "reduce" → "lower / curtail / cut") still helps the student.
-- A heavily passage-lifted summary still qualifies: suggest swaps for the lifted
-  words so the student learns to paraphrase rather than copy.
+  // ── COHESION GATE — weak cohesion caps the score (PTE 62) ──
+  if (cohesionPenaltyApplied) {
+    const cohesionCapRaw = pteToRaw(62, maxRaw);
+    const before = rawScore;
+    if (rawScore > cohesionCapRaw) rawScore = cohesionCapRaw;
+    trace.add('cohesionCap', {
+      rule: 'cohesion_cap_62', inputs: { cap_raw: cohesionCapRaw },
+      output: { raw: rawScore, binding: rawScore !== before }, delta: rawScore - before
+    });
+  }
 
-The CONTEXT MUST FIT — re-read the sentence with each synonym mentally; only include
-synonyms that read fluently and preserve meaning exactly.
+  rawScore = Math.max(0, Math.min(maxRaw, rawScore));
+  // v20.18: through the active scoring profile (the built-in linear mapping
+  // unless an admin has published a calibrated one).
+  const profile = options.profile || await getActiveScoringProfile();
+  let overallScore = profileRawToPTE(rawScore, maxRaw, profile);
+  let band = profileRawToBand(rawScore, maxRaw, profile);
+  trace.add('bandMapping', {
+    rule: profileKnots(profile, maxRaw) ? 'scoring_profile' : 'raw_to_pte_dynamic',
+    inputs: { raw: rawScore, max_raw: maxRaw, profile: profile.id }, output: { pte: overallScore, band }
+  });
 
-Rules for each suggested word:
-- It can be ANY word the student used (verb, noun, adjective, adverb).
-- Skip ONLY: proper nouns, dates, numbers, domain-fixed technical terms, fixed
-  multi-word phrases, connectors already in use, and articles/prepositions.
-- Provide 2 to 5 academic synonyms per word — the student picks which fits best.
-- Each synonym MUST fit the EXACT context of the sentence.
+  // v19.18: rollup softening. When a student has captured ALL the content and
+  // written a valid single-sentence summary (Content full + Form full), a
+  // single weak secondary trait (grammar OR vocab) shouldn't drag the band
+  // down more than half a band. The trait scores themselves are unchanged —
+  // grammar still honestly shows e.g. 1/2 with its feedback — but the OVERALL
+  // band reflects that the substance is fully there. This does NOT apply if
+  // BOTH grammar and vocab are weak (that's a genuinely weaker summary), nor
+  // when a swap reversed the passage's meaning — then the substance is not
+  // there, however many key ideas the wording covers.
+  //
+  // Mechanism: compute the band the student WOULD get if their weaker of the
+  // two secondary traits (grammar/vocab) were bumped to full. The actual band
+  // is then floored at one half-band step below that hypothetical. Half-band
+  // steps, in order, are: 6 → 6.5 → 7 → 7.5 → 8 → 9. The PTE number is floored
+  // to the softened band's minimum so the two stay consistent.
+  const contentFull = (maxContent > 0 && contentScore >= maxContent);
+  // `form` is the validation result; full form is its top score (2 for SST).
+  const formFull = form.valid && form.score >= (sst ? SST_TRAIT_MAX.form : 1);
+  const grammarWeak = grammarScore < 2;
+  const vocabWeak = vocab.score < 2;
+  // Only soften when exactly ONE secondary trait is weak (not both).
+  if (contentFull && formFull && !vocab.meaning_changed && (grammarWeak !== vocabWeak)) {
+    const BAND_LADDER = ['Band 5','Band 6','Band 6.5','Band 7','Band 7.5','Band 8','Band 9'];
+    const missingPts = (2 - grammarScore) + (2 - vocab.score); // only one is >0 here
+    const hypotheticalRaw = Math.min(maxRaw, rawScore + missingPts);
+    const hypotheticalBand = profileRawToBand(hypotheticalRaw, maxRaw, profile);
+    const hypoIdx = BAND_LADDER.indexOf(hypotheticalBand);
+    const actualIdx = BAND_LADDER.indexOf(band);
+    const flooredIdx = Math.max(actualIdx, hypoIdx - 1);
+    if (flooredIdx > actualIdx && flooredIdx >= 0) {
+      const newBand = BAND_LADDER[flooredIdx];
+      // Floor the PTE number to the new band's minimum (only raise, never lower).
+      const newMinPTE = BAND_MIN_PTE[newBand] || overallScore;
+      if (DEBUG) console.log(`[grade] band softened ${band} → ${newBand}, PTE ${overallScore} → ${Math.max(overallScore, newMinPTE)} (content+form full, one weak trait)`);
+      trace.add('bandSoftening', {
+        rule: 'one_weak_secondary_trait', inputs: { from_band: band, hypothetical_band: hypotheticalBand },
+        output: { band: newBand, pte: Math.max(overallScore, newMinPTE) }
+      });
+      band = newBand;
+      overallScore = Math.max(overallScore, newMinPTE);
+    }
+  }
 
-GOOD examples (context-appropriate):
-- "made a lifestyle choice" → word: "made", synonyms: ["opted for", "chose", "selected"] ✓
-- "wanted information in one place" → word: "wanted", synonyms: ["sought", "needed", "required"] ✓
-- "many advantages" → word: "many", synonyms: ["numerous", "several", "multiple"] ✓
-- "good idea" → word: "good", synonyms: ["beneficial", "sound", "sensible", "prudent"] ✓
-- "big problem" → word: "big", synonyms: ["significant", "substantial", "considerable"] ✓
-- "AI has achieved high accuracy" → word: "achieved", synonyms: ["attained", "reached"] ✓
-- "growing concerns" → word: "growing", synonyms: ["mounting", "rising", "increasing"] ✓
-- "show that" → word: "show", synonyms: ["demonstrate", "indicate", "reveal"] ✓
-- "reduce costs" → word: "reduce", synonyms: ["lower", "cut", "curtail"] ✓
+  let skillContributions = estimateSkillContributions(rawScore, contentScore, grammarScore, vocab.score, swaps, llmJudgment, maxContent, maxRaw);
+  if (sst) {
+    // The same estimate — an SST response feeds Listening where SWT feeds Reading.
+    const { reading, writing } = skillContributions;
+    skillContributions = { listening: { ...reading, note: reading.note.replace(/\bReading\b/g, 'Listening') }, writing };
+  }
+  const feedbackCard = buildFeedbackCard(contentVerdict, grammar, vocab, firstPerson, form, spelling, rawScore, contentScore, grammarScore, llmJudgment, maxContent, maxRaw, profile, options.task);
+  const feedback = feedbackCard.summary_line;
+  const improvementTips = feedbackCard.improvements.map(i => `${i.icon} ${i.action}`).join(' • ');
+  trace.add('buildFeedbackCard', { rule: 'feedback_card_v3', output: { summary_line: feedback, improvements: feedbackCard.improvements.length } });
+
+  const result = {
+    // F1 (v19.17): true when Claude was unavailable and the local fallback
+    // produced the scores (no grammar annotations / vocab swaps available).
+    ai_feedback_degraded: aiFeedbackDegraded,
+    trait_scores: sst ? sstTraitScores({
+      form: form.score, content: contentScore, grammar: Math.round(grammarScore * 10) / 10,
+      vocabulary: Math.round(vocab.score * 10) / 10, spelling: spellingScore
+    }, maxContent) : {
+      form: 1,
+      form_max: 1,
+      content: contentScore,
+      content_max: maxContent,         // v19.4: 3 or 4 depending on passage
+      grammar: Math.round(grammarScore * 10) / 10,
+      grammar_max: 2,
+      vocabulary: Math.round(vocab.score * 10) / 10,
+      vocabulary_max: 2
+    },
+    content_details: {
+      key_ideas_extracted: [
+        ...(contentVerdict.ideas_captured || []),
+        ...(contentVerdict.ideas_partial  || []),
+        ...(contentVerdict.ideas_missing  || [])
+      ],
+      key_ideas_present: contentVerdict.ideas_captured || [],
+      key_ideas_partial: contentVerdict.ideas_partial  || [],
+      key_ideas_missing: contentVerdict.ideas_missing  || [],
+      per_idea_scores: contentVerdict.per_idea_scores  || null,
+      notes: contentVerdict.content_reason,
+      feels_connected: contentVerdict.cohesion ? contentVerdict.cohesion !== 'weak' : true,
+      cohesion: contentVerdict.cohesion || 'unknown',
+      feedback_note: contentVerdict.feedback_note || '',
+      source: contentVerdict.source || 'local_fallback',
+      score_adjusted: contentVerdict.content_score_adjusted || null,
+      // v19.7.2: surface the headline-rescue audit so debugging is easy.
+      // Lists which 0.5 → 1.0 upgrades were applied based on headline match.
+      headline_rescue: contentVerdict.headline_rescue || null,
+      // v20.13: the local matcher's per-idea evidence — also computed when
+      // Claude judged, so the two verdicts can be compared idea by idea.
+      idea_evidence: fallback.idea_evidence || null,
+      factual_errors: quantityFacts.errors,
+      // v20.16: per-idea LLM vs local scores and disagreements (ensemble mode only).
+      ensemble
+    },
+    grammar_details: {
+      score: grammarScore,
+      has_connector: grammar.has_connector,
+      connector_used: grammar.connector_used,
+      connector_type: grammar.connector_type,
+      connector_quality: grammar.connector_quality,
+      has_semicolon_before_connector: grammar.has_semicolon_before_connector,
+      grammar_issues: grammar.grammar_issues,
+      // v19.12: inline grammar annotations from Claude. Each entry has phrase
+      // (verbatim substring), fix, severity (major/minor), type, rationale.
+      // The frontend renders these as tooltipped underlines on the summary.
+      // Filtered to only include phrases that actually appear in the student's
+      // text — Claude occasionally paraphrases despite the instruction, and we
+      // never want a tooltip that points to text the student didn't write.
+      grammar_annotations: (() => {
+        const ann = Array.isArray(contentVerdict.grammar_annotations) ? contentVerdict.grammar_annotations : [];
+        const lc = (text || '').toLowerCase();
+        const valid = ann.filter(a => a && typeof a.phrase === 'string' && typeof a.fix === 'string' && a.phrase.length > 0);
+        const inText = valid.filter(a => lc.includes(a.phrase.toLowerCase()));
+        // v19.12 diagnostic: surface what's happening to grammar_annotations on each grade call.
+        if (ann.length > 0 && inText.length < ann.length) {
+          if (DEBUG) console.log(`[grade] grammar_annotations: Claude returned ${ann.length}, ${inText.length} passed filter (phrase must be in summary)`);
+          // Log the dropped phrases so we can see if Claude is paraphrasing despite the instruction.
+          const dropped = valid.filter(a => !lc.includes(a.phrase.toLowerCase())).map(a => a.phrase);
+          if (dropped.length && DEBUG) console.log('  dropped phrases (paraphrased, not verbatim):', JSON.stringify(dropped));
+        }
+        // v20.10: rule-engine issues come first — they carry exact spans and
+        // a replacement — and a Claude annotation covering the same text is
+        // dropped. Claude's phrases get a span from their first occurrence.
+        const rules = (grammar.issues || []).map(i => ({
+          phrase: i.phrase, fix: i.replacement === null ? '' : i.replacement, severity: i.severity,
+          type: i.rule.split('.')[0], rationale: i.message,
+          rule: i.rule, start: i.start, end: i.end, replacement: i.replacement, source: 'rules'
+        }));
+        const llmAnn = inText.map(a => {
+          const start = lc.indexOf(a.phrase.toLowerCase());
+          return {
+            phrase: a.phrase,
+            fix: String(a.fix).slice(0, 200),
+            severity: (a.severity === 'major' || a.severity === 'minor') ? a.severity : 'minor',
+            type: typeof a.type === 'string' ? a.type.slice(0, 30) : 'style',
+            rationale: typeof a.rationale === 'string' ? a.rationale.slice(0, 500) : '',
+            start, end: start + a.phrase.length, source: 'llm'
+          };
+        }).filter(a => !rules.some(r => a.start < r.end && r.start < a.end));
+        return [...rules, ...llmAnn].sort((a, b) => a.start - b.start).slice(0, 20);
+      })(),
+      // v20.10: the raw rule-engine output ({ rule, severity, start, end, phrase, message, replacement })
+      issues: grammar.issues,
+      first_person: grammar.first_person,
+      spelling_errors: spelling.errors,
+      spelling_suggestions: spelling.suggestions,
+      spelling_count: spelling.count,
+      cohesion: contentVerdict.cohesion || 'unknown'
+    },
+    vocabulary_details: {
+      score: vocab.score,
+      verbatim_rate: vocab.verbatim_rate + '%',
+      safe_swaps: vocab.safe_swaps,
+      structural_changes: vocab.structural_changes || [],
+      dangerous_swaps: vocab.dangerous_swaps,
+      safe_swap_count: vocab.total_paraphrase_credit,
+      structural_count: vocab.structural_count || 0,
+      dangerous_swap_count: vocab.dangerous_swap_count,
+      inappropriate_count: vocab.inappropriate_count || 0,
+      meaning_changed: vocab.meaning_changed,
+      academic_words: vocab.academic_words,
+      perspective_shifted: vocab.perspective_shifted,
+      method: vocab.method,
+      notes: vocab.notes,
+      suggestion: vocab.suggestion,
+      breakdown: vocab.breakdown
+    },
+    paraphrase_analysis: {
+      quality: swaps.totalParaphraseCredit >= 4 ? 100 : Math.round((swaps.totalParaphraseCredit / 4) * 100),
+      rating: swaps.totalParaphraseCredit >= 4 ? 'strong' : swaps.totalParaphraseCredit >= 2 ? 'moderate' : 'weak',
+      swaps: swaps.safeSwaps, dangerous: swaps.dangerousSwaps,
+      academic_words: swaps.academicWordsUsed, novel_words: swaps.novelWords,
+      novel_word_rate: swaps.novelWordRate + '%',
+      safeSwapCount: swaps.safeSwapCount, structuralCount: swaps.structuralCount,
+      totalCredit: swaps.totalParaphraseCredit, dangerousSwapCount: swaps.dangerousSwapCount
+    },
+    verbatim_analysis: { rate: verbatim.verbatimRate + '%', is_verbatim: verbatim.isVerbatim, longest_run: verbatim.longestRun, alignment: verbatim.alignment },
+    first_person_detected: firstPerson.detected,
+    first_person_problematic: firstPerson.isProblematic,
+    first_person_details: firstPerson,
+    attribution_details: attribution,
+    skill_contributions: skillContributions,
+    overall_score: overallScore,
+    raw_score: rawScore,
+    max_raw_score: maxRaw,                // v19.4: dynamic ceiling
+    total_ideas: maxContent,               // 3 or 4 — drives content_max
+    band,
+    word_count: form.wc,
+    word_count_warning: form.warning || null,
+    feedback,
+    feedback_card: feedbackCard,
+    improvement_tips: improvementTips,
+    key_ideas_status: {
+      captured: contentVerdict.ideas_captured || [],
+      missing: contentVerdict.ideas_missing || []
+    },
+    method_detected: vocab.method,
+    penalties_applied: buildPenaltiesList(form, contentScore, vocab, spelling, maxContent, options.task),
+    llm_used: !!llmJudgment,
+    llm_request_key: llmJudgment?.llm_request_key || null,
+    scoring_version: sst ? SST_SCORING_VERSION : SCORING_VERSION,
+    scoring_profile: { id: profile.id, name: profile.name },
+    mode: llmJudgment ? 'claude' : 'local',
+    judge_mode: judgeConfig.mode,
+    // v20.16: set when the ensemble judges disagree; the attempt row carries it too.
+    needs_review: !!ensemble?.needs_review,
+    review_reasons: ensemble?.needs_review ? ['judge_disagreement'] : [],
+    trace: trace.finish(),
+    vocabulary_suggestions: generateVocabSuggestions(text, prompt),
+    spelling_details: {
+      count: spelling.count,
+      // v19.6: each suggestion may carry its own `source` (passage|dictionary)
+      // — preserve it so the UI can show where the typo flag came from. Some
+      // suggestions also have a `suggestions` array of alternatives.
+      // v20.9: sources now also include 'wordlist' and 'variant'.
+      errors: (spelling.suggestions || []).map(s => ({
+        misspelled: s.misspelled,
+        suggestion: s.suggestion,
+        suggestions: s.suggestions || [s.suggestion].filter(Boolean),
+        source: s.source || 'passage'
+      })),
+      note: spelling.count > 0
+        ? (sst
+          ? `${spelling.count} spelling error${spelling.count > 1 ? 's' : ''} (Spelling ${spellingScore}/${SST_TRAIT_MAX.spelling})`
+          : `${spelling.count} spelling error${spelling.count > 1 ? 's' : ''} (−${Math.min(1.0, 0.25 * spelling.count).toFixed(2)} raw, cap -1.0)`)
+        : null,
+      variant: spelling.variant
+    }
+  };
 
-BAD examples to AVOID:
-- "wanted information" → DO NOT suggest ["hot", "cherished", "treasured"] — wrong register
-- "make a choice" → DO NOT suggest ["create"] for "make" — different sense
-- DO NOT suggest synonyms that are too rare, archaic, or jarring in academic English
-- DO NOT suggest a synonym that subtly shifts meaning
 
-TARGET: exactly 7-8 word suggestions, each with 2-5 fitting synonyms. If you think
-you can only find 4, look again at the verbs and adjectives you skipped.
+  // ── Vocabulary swap suggestions ──
+  // Prefer Claude's context-aware recommendations (no Datamuse out-of-context noise).
+  // The legacy thesaurus_candidates field is preserved for backward compat but only
+  // populated when Claude is unavailable (and even then we don't render it in UI v19).
+  if (llmJudgment && Array.isArray(llmJudgment.recommended_swaps)) {
+    // Filter out anything where the word doesn't actually appear in the student text
+    // (Claude occasionally suggests swaps for words that aren't present)
+    const studentLower = text.toLowerCase();
+    const raw = llmJudgment.recommended_swaps;
+    const filtered = raw
+      .filter(s => s && typeof s.word === 'string' && s.word.length > 0
+                && Array.isArray(s.synonyms) && s.synonyms.length > 0
+                && studentLower.includes(s.word.toLowerCase()))
+      .slice(0, 8)
+      .map(s => ({
+        word: s.word,
+        context: s.context || '',
+        synonyms: s.synonyms.slice(0, 5).filter(x => typeof x === 'string' && x.length > 0),
+        rationale: s.rationale || ''
+      }))
+      .filter(s => s.synonyms.length > 0);
+    result.vocabulary_swap_suggestions = filtered;
+    result.swap_source = 'claude';
+    // v19.16 diagnostic: log how many swaps Claude returned vs how many survived
+    // the substring-must-be-in-text filter. If "raw" is consistently low, Claude
+    // is ignoring the prompt's 7-8 mandate. If "raw" is fine but "filtered" is
+    // low, Claude is suggesting words that aren't in the student text (it's
+    // confusing passage words with summary words).
+    if (DEBUG) console.log(`[grade] vocab swaps: Claude returned ${raw.length}, ${filtered.length} passed filter`);
+    if (raw.length > 0 && filtered.length < raw.length) {
+      const dropped = raw
+        .filter(s => s && s.word && !studentLower.includes(String(s.word).toLowerCase()))
+        .map(s => s.word);
+      if (dropped.length) {
+        if (DEBUG) console.log(`  dropped swap words (not in student text):`, JSON.stringify(dropped));
+      }
+    }
+  } else {
+    result.vocabulary_swap_suggestions = [];
+    result.swap_source = 'none';
+    if (DEBUG) console.log(`[grade] vocab swaps: Claude returned no recommended_swaps array`);
+  }
+  // Keep legacy field empty in v19 — frontend no longer reads it
+  result.thesaurus_candidates = [];
 
+  return result;
+}
 
-Respond ONLY with valid JSON, no other text. Use this exact structure:
-{
-  "per_idea_scores": { "what": 1.0, "why": 1.0, "how": 1.0, "result": 0.0 },
-  "content_score": 3,
-  "content_reason": "one short sentence summarising overall coverage",
-  "ideas_captured": ["what", "why", "how"],
-  "ideas_missing": ["result"],
-  "synonym_appropriateness": "appropriate",
-  "synonym_issues": [],
-  "cohesion": "strong",
-  "academic_register": false,
-  "feedback_note": "one short sentence of actionable feedback",
-  "recommended_swaps": [
-    { "word": "made", "context": "made a lifestyle choice", "synonyms": ["opted for", "decided on", "selected"], "rationale": "Academic register lifts Reading skill" }
-  ],
-  "grammar_annotations": [
-    { "phrase": "verbatim text from the summary", "fix": "the corrected version", "severity": "major", "type": "subject-verb", "rationale": "one short clause explaining why" }
-  ]
+// v20.5: grade-cache key. The passage is identified by id AND a hash of the
+// text + key elements actually scored against, so an edit can never serve an
+// old grade even if the purge on save was missed. The summary is whitespace-
+// normalised only — case and punctuation are graded. The LLM provider is part
+// of the engine: offline-fixture grades must not be served to a live deploy.
+// v20.9: so is the spelling preference — "colour" is an error only under 'us'.
+function gradeCacheKey(passageId, prompt, keyPoints, text, spelling, judge, profileId) {
+  const passageHash = crypto.createHash('sha256').update(JSON.stringify([String(prompt || ''), keyPoints || {}])).digest('hex');
+  const summary = String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([passageId == null ? null : String(passageId), passageHash, summary, SCORING_VERSION, llm.name, spelling,
+      judge && judge.mode === 'ensemble' ? [judge.policy, judge.threshold] : 'single', profileId ?? 'builtin']))
+    .digest('hex');
 }
 
-Notes on the schema:
-- per_idea_scores keys: only the labels actually present in the KEY IDEAS above (what/why/how/result OR topic/pivot/conclusion).
-- per_idea_scores values: ONLY 1.0 (captured) or 0.0 (missing). Do NOT use 0.5 or other fractional values.
-- content_score: SUM of per_idea_scores values (equals length(ideas_captured)).
-- ideas_captured / ideas_missing: lengths must sum to ${totalIdeas}.
-- grammar_annotations: this field is MANDATORY. Even an empty array is acceptable for a perfect summary, but at typical proficiency 4–10 entries is normal. DO NOT omit this field.
+// GRADE_CACHE=off disables it; so does LLM record/replay, which needs every
+// grade to actually reach the provider.
+const GRADE_CACHE_ENABLED = process.env.GRADE_CACHE !== 'off' && !llm.recordMode;
+
+// v20.17: share of unflagged attempts sent to the teacher review queue anyway
+// (REVIEW_SAMPLE_RATE, 0–1, default 0.05).
+const REVIEW_SAMPLE_RATE = (() => {
+  const n = Number(process.env.REVIEW_SAMPLE_RATE);
+  return process.env.REVIEW_SAMPLE_RATE != null && process.env.REVIEW_SAMPLE_RATE !== '' && Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 0.05;
+})();
+
+// v20.19: the scoring core of /api/grade — live-passage override, grade
+// cache, gradeSummary and the passage revision stamp — shared with batch
+// grading so a batch row is scored exactly as a single submission would be.
+async function scoreSwtSubmission({ text, prompt, keyPoints, passageId, wantTrace = false, spelling, judge, onProgress }) {
+  // ── SOURCE-OF-TRUTH OVERRIDE (v19.11) ──────────────────────────────────
+  // The client sends `prompt` and `keyPoints` from its in-memory passage copy,
+  // which goes STALE the moment an admin edits a passage while a student has
+  // the page open. If the request names a passageId, ignore the client's copy
+  // and score against the passage's CURRENT stored version. This guarantees a
+  // fresh attempt is always graded against the latest key elements, even if
+  // the student never refreshed.
+  if (passageId != null) {
+    try {
+      const live = await PassageAPI.getById(passageId);
+      if (live) {
+        if (live.text) prompt = live.text;
+        if (live.keyElements && Object.keys(live.keyElements).length) {
+          keyPoints = live.keyElements;
+        }
+      }
+    } catch (e) {
+      console.warn('grade: could not load live passage', passageId, '-', e.message);
+      // fall through with the client-supplied values
+    }
+  }
 
-GRAMMAR ANNOTATIONS — MANDATORY FIELD:
-You MUST populate grammar_annotations with every distinct grammar, usage, or stylistic issue you observe in the SUMMARY. This is a teaching feature: the student will see each flagged phrase highlighted in their summary with your fix as a tooltip. Be COMPREHENSIVE.
+  // ── GRADE CACHE (v20.5) ──
+  // A hit still goes through the caller's saveProgress: the attempt is the
+  // student's even when the score was computed earlier. Only results where
+  // the LLM judge actually ran are cached (or where no LLM is configured at
+  // all) — a transient API failure must not pin the local fallback score.
+  // v20.8: `wantTrace` asks for the per-stage score trace. A cached entry
+  // without one can't answer that request, so it's a miss.
+  const scoringProfile = await getActiveScoringProfile();
+  const cacheKey = GRADE_CACHE_ENABLED ? gradeCacheKey(passageId, prompt, keyPoints, text, spelling, judge, scoringProfile.id) : null;
+  let result = null;
+  if (cacheKey) {
+    try {
+      const hit = await GradeCacheAPI.get(cacheKey);
+      if (hit && (!wantTrace || hit.payload.trace)) {
+        result = { ...hit.payload, cached: true, cached_at: hit.created_at };
+        if (!wantTrace) delete result.trace;
+      }
+    } catch (e) { console.warn('Grade cache read failed:', e.message); }
+  }
+  if (!result) {
+    result = await gradeSummary(text, prompt, keyPoints, { trace: wantTrace, spelling, judge, profile: scoringProfile, onProgress });
+    if (cacheKey && !result.form_gate_triggered && (result.llm_used || !llm.available)) {
+      GradeCacheAPI.set(cacheKey, passageId, result).catch(e => console.warn('Grade cache write failed:', e.message));
+    }
+    result.cached = false;
+  }
+  // A form-gate failure has no revision stamp: nothing is saved for it.
+  if (result.form_gate_triggered) return result;
+
+  // v20.6: which passage revision this attempt was scored against. Stamped
+  // after the cache lookup — a rollback can bring back identical content
+  // under a new revision number.
+  result.passage_revision = null;
+  if (passageId != null) {
+    try { result.passage_revision = await ensureInitialPassageRevision(passageId); }
+    catch (e) { console.warn('grade: could not resolve passage revision', passageId, '-', e.message); }
+  }
+  return result;
+}
 
-For a typical PTE Academic SWT response, expect 4–10 entries. A perfect summary may have 0–2; a weak summary may have 8–12. An EMPTY array is only correct if the summary is genuinely flawless.
+// ═══ GRADING ROUTE ═══
+// v20.20: the whole request — validation, scoring, attempt record and save —
+// as { status, body }, shared by /api/grade and its streaming twin.
+async function runGradeRequest(req, onProgress) {
+  const gradeStarted = Date.now();
+  const { text, type, prompt, keyPoints, userId } = req.body;
+  const passageId = req.body.passageId;
+  if (!text || !type || !prompt) return { status: 400, body: { error: 'Missing fields' } };
+  // H1 (v19.17): hard length cap BEFORE any Claude call. The form gate rejects
+  // >75 words for scoring, but the raw text would still be sent to the paid
+  // API. Cap at 4000 chars (~600 words) to prevent token-burning abuse.
+  if (typeof text !== 'string' || text.length > 4000) {
+    return { status: 400, body: { error: 'Summary too long (max 4000 characters).' } };
+  }
+  if (typeof prompt === 'string' && prompt.length > 20000) {
+    return { status: 400, body: { error: 'Passage too long.' } };
+  }
+
+  // v20.8: `trace: true` (or ?trace=1) asks for the per-stage score trace.
+  const wantTrace = req.body.trace === true || req.query.trace === '1';
+  const spellingPref = await resolveSpellingPreference(req.body, req.apiClient);
+  if (spellingPref.error) return { status: 400, body: { error: spellingPref.error } };
+  const judgeConfig = resolveJudgeConfig(req.body);
+  if (judgeConfig.error) return { status: 400, body: { error: judgeConfig.error } };
+  const result = await scoreSwtSubmission({ text, prompt, keyPoints, passageId, wantTrace, spelling: spellingPref.preference, judge: judgeConfig, onProgress });
+  // A form-gate failure is returned as-is: nothing is saved for it.
+  if (result.form_gate_triggered) return { status: 200, body: result };
+
+  if (userId && req.body.passageId) {
+    // v20.7: the normalized attempts row. Independent of the blob save
+    // below — either can fail without taking the other down.
+    // v20.17: written first so the blob's history entry can carry its id,
+    // which is how a teacher's override finds its way back to the student.
+    try {
+      const writingSeconds = Number(req.body.writingSeconds);
+      // Flagged attempts always go to the review queue; a random sample of
+      // the rest joins them so the queue also measures unflagged grading.
+      const reviewReasons = [...(result.review_reasons || [])];
+      if (!reviewReasons.length && REVIEW_SAMPLE_RATE > 0 && Math.random() < REVIEW_SAMPLE_RATE) reviewReasons.push('random_sample');
+      const row = await AttemptAPI.record({
+        username: String(userId).toLowerCase().trim(),
+        task: 'swt',
+        passage_id: Number(req.body.passageId),
+        passage_revision: result.passage_revision,
+        text,
+        word_count: result.word_count || 0,
+        trait_scores: result.trait_scores || {},
+        overall_score: result.overall_score,
+        raw_score: result.raw_score,
+        max_raw_score: result.max_raw_score,
+        band: result.band,
+        timings: { grade_ms: Date.now() - gradeStarted, writing_seconds: Number.isFinite(writingSeconds) && writingSeconds >= 0 ? Math.round(writingSeconds) : null },
+        scoring_version: result.scoring_version,
+        mode: result.mode,
+        cached: !!result.cached,
+        trace: result.trace || null,
+        needs_review: reviewReasons.length > 0,
+        review_reasons: reviewReasons,
+        feedback_card: result.feedback_card || null,
+        scoring_profile: result.scoring_profile ? String(result.scoring_profile.id) : null
+      });
+      result.attempt_id = row.id;
+    } catch (e) { result.attempt_id = null; console.error('[grade] attempt record failed:', e.message); }
+    // The trace lives on the attempts row, not in the user's data blob.
+    const { trace: _trace, ...progress } = result;
+    try { await StorageAPI.saveProgress(userId, req.body.passageId, text, progress); result.saved = true; }
+    catch (e) { result.saved = false; if (DEBUG) console.error('[grade] saveProgress FAILED — user', userId, 'passage', req.body.passageId, '—', e.message); }
+    // v20.21: LMS grade passback. Only for a request that proves it is the
+    // student (anyone can name a userId here), and never awaited — the LMS
+    // round trip must not hold up the result.
+    if (verifySessionToken(req.headers['x-session-token'] || '') === String(userId).toLowerCase().trim()) {
+      ltiPassbackScore(userId, req.body.passageId, result.overall_score);
+    }
+  } else {
+    result.saved = false;
+    if (DEBUG) console.error('[grade] NOT saving at grade-time — userId:', userId || '(MISSING)', 'passageId:', req.body.passageId || '(MISSING)', '— note: the sync endpoint is the primary save path, so this alone does not mean data is lost.');
+  }
 
-Common issues to flag (NOT exhaustive — flag anything you'd correct as a teacher):
-- Subject-verb agreement ("the study show" → "the study shows")
-- Tense inconsistency, missing or wrong articles ("a/an/the")
-- Missing comma before a coordinating conjunction in compound sentences
-- Wrong word ("their/there/they're", "affect/effect")
-- Awkward phrasing, redundancy ("in order to" vs "to"), informal register
-- Wordy connectors that could be tighter
-- Preposition errors
-- Sentence-fragment risk where commas should be semicolons or vice versa
+  // v19.11: attach the LIVE passage's key elements + rationale to the response.
+  // The results screen uses this to render "About this passage" and "Key
+  // Element Coverage" from current server data — not the student's stale
+  // in-memory copy. Without this, a student who had the page open before an
+  // admin edit would see the old feedback on a brand-new attempt.
+  if (passageId != null) {
+    try {
+      const live = await PassageAPI.getById(passageId);
+      if (live) {
+        result.passage_current = {
+          id: live.id,
+          title: live.title,
+          category: live.category,
+          keyElements: live.keyElements || {},
+          keyElementsRationale: live.keyElementsRationale || null,
+          extractionMeta: live.extractionMeta || null,
+          revision: result.passage_revision
+        };
+      }
+    } catch (e) { /* non-fatal — frontend falls back to its own copy */ }
+  }
 
-Each annotation needs all five fields:
-- "phrase": the EXACT verbatim substring of the student's summary to highlight. Must appear character-for-character in the summary — copy it directly. Keep it short (2–8 words). DO NOT paraphrase or quote-mark.
-- "fix": the corrected version of the phrase.
-- "severity": "major" (subject-verb, tense, wrong word, missing required article, run-on, fragment, ambiguous pronoun) OR "minor" (style, register, optional comma, redundancy, awkward but grammatical).
-- "type": short tag — one of: "subject-verb", "tense", "article", "preposition", "punctuation", "register", "redundancy", "word-choice", "fragment", "run-on", "pronoun", "style".
-- "rationale": a PLAIN-ENGLISH explanation aimed at a 15-year-old student with NO grammar education. The student sees ONLY this rationale — the type tag is hidden — so it must stand alone and make complete sense. Aim for 20–30 words: usually two short sentences. First sentence: explain what's wrong in everyday language. Second sentence: tell them what to do instead and why.
+  return { status: 200, body: result };
+}
 
-ABSOLUTE BAN — these words and phrases must NEVER appear in a rationale (they are textbook-speak that confuses students):
-- "subject-verb agreement", "subject", "predicate", "verb form", "verb tense"
-- "third-person", "first-person", "second-person", "singular", "plural" used as nouns
-- "agreement", "antecedent", "modifier", "clause", "phrase" (as grammar terms)
-- "conjunction", "coordinating", "subordinating", "preposition" (as labels)
-- "noun", "pronoun", "article" used to label parts of speech
-- "colloquial", "register", "informal register", "formal register"
-- "verbatim", "paraphrase"
+app.post('/api/grade', requireApiScope('grade'), async (req, res) => {
+  try {
+    const out = await runGradeRequest(req);
+    res.status(out.status).json(out.body);
+  } catch (error) {
+    console.error('Grade error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
 
-WHAT TO DO INSTEAD: refer to the actual words in the student's sentence. Talk about what they MEAN, not what they ARE.
-- Wrong: "Singular noun requires singular verb form." 
-- Wrong: "Third-person singular subject 'study' requires verb 'shows'."
-- Right: "Only one study is being talked about. When the thing doing the action is one, write 'shows' (with an 's') not 'show'."
+// ─── STREAMING GRADE (v20.20) ────────────────────────────────────────────────
+// Same request and result as /api/grade, answered as Server-Sent Events so
+// the results view can fill in while the content judge (up to 30 s, plus a
+// retry) is still working. Events, in order:
+//   form → verbatim, grammar, vocabulary → spelling → content → result
+// grammar and vocabulary are provisional (the spelling penalty and the judge's
+// synonym verdict come later); `result` is exactly what /api/grade returns.
+// A form-gate failure goes straight from `form` to `result`, and a grade-cache
+// hit sends `result` alone. Validation errors are a plain JSON 400 before the
+// stream opens; a failure after that is an `error` event.
+const GRADE_STREAM_HEARTBEAT_MS = 15000;
+
+app.post('/api/grade/stream', requireApiScope('grade'), async (req, res) => {
+  let open = false;
+  let heartbeat = null;
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    if (!open) {
+      open = true;
+      // no-transform keeps the compression middleware (and proxies) from
+      // buffering the stream; X-Accel-Buffering does the same for nginx.
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, GRADE_STREAM_HEARTBEAT_MS);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  try {
+    const out = await runGradeRequest(req, send);
+    if (!open && out.status !== 200) return res.status(out.status).json(out.body);
+    send('result', out.body);
+  } catch (error) {
+    console.error('Grade stream error:', error);
+    if (!open) return res.status(500).json({ error: 'Server error', details: error.message });
+    send('error', { error: 'Server error', details: error.message });
+  } finally {
+    if (heartbeat) clearInterval(heartbeat);
+    if (open && !res.writableEnded) res.end();
+  }
+});
 
-RATIONALE STYLE — examples of GOOD vs BAD:
+// ═══════════════════════════════════════════════════════════════════════════════
+// BATCH GRADING (v20.19)
+//
+// Teachers collect whole-class summaries on paper or from an LMS and want to
+// score them in one go. POST /api/grade/batch takes the rows — a JSON array
+// or CSV with a header row — and answers straight away with a job id; the
+// rows are then scored in the background through scoreSwtSubmission (the
+// same pipeline, grade cache and active scoring profile as /api/grade) with
+// at most BATCH_GRADE_CONCURRENCY in flight. GET /api/grade/batch/:id
+// reports progress and .../results downloads every trait score, the PTE and
+// the main feedback lines as CSV or JSON.
+//
+// Student labels are free text, not accounts: nothing is written to anyone's
+// progress or to the attempts table. Jobs live in memory only — they expire
+// after BATCH_JOB_TTL_HOURS and do not survive a restart.
+// ═══════════════════════════════════════════════════════════════════════════════
 
-BAD:  "Subject-verb agreement; singular noun takes singular verb."
-BAD:  "Third-person singular subject 'study' requires verb 'shows', not 'show'."
-GOOD: "Only one study is mentioned, not many. When one thing does an action, the verb ends in 's' — write 'shows', not 'show'."
+const BATCH_MAX_ROWS = 500;
+const BATCH_MAX_JOBS = 50;
+const BATCH_GRADE_CONCURRENCY = (() => {
+  const n = parseInt(process.env.BATCH_GRADE_CONCURRENCY, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 8) : 2;
+})();
+const BATCH_JOB_TTL_MS = (() => {
+  const n = Number(process.env.BATCH_JOB_TTL_HOURS);
+  return (Number.isFinite(n) && n > 0 ? n : 24) * 60 * 60 * 1000;
+})();
+
+// Header names are matched after lower-casing and turning spaces/hyphens into
+// underscores, so "Student Name", "passage-id" and "passageId" all work.
+const BATCH_COLUMN_ALIASES = {
+  student: ['student', 'student_label', 'studentlabel', 'label', 'name', 'student_name', 'studentname'],
+  passage_id: ['passage_id', 'passageid', 'passage'],
+  summary: ['summary', 'text', 'response', 'answer']
+};
 
-BAD:  "'Giving' is colloquial and inaccurate; passage uses 'face damages'."
-GOOD: "'Giving' sounds like the cities are donating money, but they're actually losing it. Use 'facing' to show they're suffering the damage."
+function batchColumn(key) {
+  const k = String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(BATCH_COLUMN_ALIASES).find(col => BATCH_COLUMN_ALIASES[col].includes(k)) || null;
+}
 
-BAD:  "Definite article 'the' required before specific singular noun."
-GOOD: "You're talking about one specific industry, not industries in general. Add 'the' before 'sector' to point to that one."
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks.
+// Blank lines are dropped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const s = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  return rows;
+}
 
-BAD:  "Comma splice; replace with semicolon or coordinating conjunction."
-GOOD: "These are two complete sentences joined by only a comma — that's too weak. Use a semicolon ( ; ) or add 'and' after the comma."
+// A leading = + - @ makes spreadsheets evaluate the cell; labels and feedback
+// are user text, so they are quoted out of formula position.
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  let s = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
 
-BAD:  "Wordy connector; 'because' is more concise than 'due to the fact that'."
-GOOD: "'Due to the fact that' is five words doing the work of one. Just say 'because' — it means exactly the same thing."
+// Normalizes the request into [{ row, student, passage_id, summary }].
+// Accepts a JSON array, { items: [...] }, { csv: "..." } or a text/csv body.
+function parseBatchRows(body) {
+  let records;
+  if (typeof body === 'string' || (body && typeof body.csv === 'string')) {
+    const table = parseCsv(typeof body === 'string' ? body : body.csv);
+    if (table.length < 2) return { error: 'CSV needs a header row and at least one data row' };
+    const cols = table[0].map(batchColumn);
+    for (const need of ['passage_id', 'summary']) {
+      if (!cols.includes(need)) return { error: `CSV header must include a ${need} column (accepted names: ${BATCH_COLUMN_ALIASES[need].join(', ')})` };
+    }
+    records = table.slice(1).map(cells => {
+      const rec = {};
+      cols.forEach((col, i) => { if (col && rec[col] === undefined) rec[col] = cells[i]; });
+      return rec;
+    });
+  } else {
+    const items = Array.isArray(body) ? body : body && body.items;
+    if (!Array.isArray(items)) return { error: 'Send a JSON array of rows, { items: [...] }, { csv: "..." } or a text/csv body' };
+    records = items.map(item => {
+      const rec = {};
+      if (item && typeof item === 'object') {
+        for (const [k, v] of Object.entries(item)) {
+          const col = batchColumn(k);
+          if (col && rec[col] === undefined) rec[col] = v;
+        }
+      }
+      return rec;
+    });
+  }
+  if (!records.length) return { error: 'No rows to grade' };
+  if (records.length > BATCH_MAX_ROWS) return { error: `Too many rows (max ${BATCH_MAX_ROWS} per batch)` };
+
+  // Row-level problems fail that row only; the rest of the class still scores.
+  const rows = records.map((rec, i) => {
+    const row = {
+      row: i + 1,
+      student: rec.student == null ? '' : String(rec.student).trim().slice(0, 200),
+      passage_id: rec.passage_id == null || String(rec.passage_id).trim() === '' ? null : String(rec.passage_id).trim(),
+      summary: typeof rec.summary === 'string' ? rec.summary.trim() : '',
+      status: 'pending', error: null, result: null
+    };
+    if (!row.passage_id) row.error = 'Missing passage id';
+    else if (!row.summary) row.error = 'Missing summary';
+    else if (row.summary.length > 4000) row.error = 'Summary too long (max 4000 characters).';
+    if (row.error) row.status = 'error';
+    return row;
+  });
+  return { rows };
+}
 
-BAD:  "Misspelling of 'monthly'."
-GOOD: "Spelled wrong. It should be 'monthly' (m-o-n-t-h-l-y) — the letter 'h' goes after 'nt'."
+// The downloadable slice of a grade result: every trait, the PTE and the
+// feedback lines a teacher reads. The full result (trace, details) is not kept.
+function batchResultRow(result) {
+  const t = result.trait_scores || {};
+  const card = result.feedback_card || {};
+  return {
+    word_count: result.word_count ?? null,
+    form: t.form ?? null, content: t.content ?? null, content_max: t.content_max ?? null,
+    grammar: t.grammar ?? null, vocabulary: t.vocabulary ?? null,
+    raw_score: result.raw_score ?? null, max_raw_score: result.max_raw_score ?? null,
+    overall_score: result.overall_score ?? null, band: result.band || null,
+    form_gate_triggered: !!result.form_gate_triggered,
+    feedback: card.summary_line || result.feedback || '',
+    improvements: (card.improvements || []).slice(0, 3).map(i => i.action),
+    needs_review: !!(result.review_reasons && result.review_reasons.length),
+    passage_revision: result.passage_revision ?? null,
+    scoring_version: result.scoring_version || null
+  };
+}
 
-BAD:  "Pronoun 'they' lacks clear antecedent."
-GOOD: "'They' could mean the cities OR the nations from earlier — it's unclear. Replace it with the specific group you mean."
+const batchJobs = new Map();
 
-The rationale must TEACH the student something they can apply next time, not LABEL the error category. Imagine you're a friendly tutor explaining over a student's shoulder, not a textbook.
+function pruneBatchJobs() {
+  const now = Date.now();
+  for (const [id, job] of batchJobs) {
+    if (job.status !== 'running' && now - Date.parse(job.finished_at || job.created_at) > BATCH_JOB_TTL_MS) batchJobs.delete(id);
+  }
+  // Over the cap: drop the oldest finished jobs (Map order is creation order).
+  for (const [id, job] of batchJobs) {
+    if (batchJobs.size < BATCH_MAX_JOBS) break;
+    if (job.status !== 'running') batchJobs.delete(id);
+  }
+}
 
-Critical:
-- "phrase" MUST be a verbatim substring. The frontend filters out any annotation whose phrase isn't in the text.
-- If the same issue appears twice, return TWO entries with each occurrence.
-- Do NOT use this field for content/coverage feedback — that goes in content_reason.`;
+function batchJobSummary(job) {
+  const done = job.rows.filter(r => r.status === 'done').length;
+  const failed = job.rows.filter(r => r.status === 'error').length;
+  return {
+    id: job.id, status: job.status, total: job.rows.length, done, failed,
+    pending: job.rows.length - done - failed,
+    percent: Math.round(((done + failed) / job.rows.length) * 100),
+    options: job.options,
+    created_at: job.created_at, started_at: job.started_at, finished_at: job.finished_at,
+    error: job.error || undefined
+  };
+}
 
+async function gradeBatchRow(job, row, passages) {
   try {
-    const callPromise = anthropic.messages.create({
-      model: CLAUDE_MODEL,
-      // v19.16: bumped from 2400 to 3200. With both recommended_swaps (7-8
-      // entries × multi-line rationale) AND grammar_annotations (3-10 entries
-      // × plain-English rationale that can run 20-30 words), heavily-marked
-      // summaries were occasionally hitting the cap and silently dropping the
-      // swaps array. 3200 leaves comfortable headroom for both.
-      max_tokens: 3200,
-      messages: [{ role: 'user', content: prompt }]
+    if (!passages.has(row.passage_id)) passages.set(row.passage_id, PassageAPI.getById(row.passage_id));
+    const passage = await passages.get(row.passage_id);
+    if (!passage || !passage.text) throw new Error(`Passage ${row.passage_id} not found`);
+    const result = await scoreSwtSubmission({
+      text: row.summary, prompt: passage.text, keyPoints: passage.keyElements || {},
+      passageId: passage.id, spelling: job.spelling, judge: job.judge
     });
-    const timeoutPromise = new Promise((_, rej) => setTimeout(() => rej(new Error('Claude judge timeout')), timeoutMs));
-    const response = await Promise.race([callPromise, timeoutPromise]);
-    const text = response.content?.[0]?.text || '';
-    const m = text.match(/\{[\s\S]*\}/);
-    if (!m) return null;
-    const parsed = JSON.parse(m[0]);
-    parsed.source = 'claude';
-    // v19.12: log how many grammar annotations Claude returned. If this prints
-    // "0" for summaries with obvious errors, the prompt isn't being followed
-    // and we need to strengthen it further; if it prints reasonable numbers
-    // but they aren't appearing in the UI, the filter is dropping them.
-    const annCount = Array.isArray(parsed.grammar_annotations) ? parsed.grammar_annotations.length : 'MISSING_FIELD';
-    if (DEBUG) console.log(`[grade] Claude returned ${annCount} grammar_annotations`);
-    // C4 (v19.17): removed the content_score clamp that forced values >2 down to
-    // 1. content_score legitimately ranges 0–4 for what/why/how/result passages,
-    // and the downstream per_idea_scores recomputation is authoritative anyway.
-    // The old clamp was dead code in the normal path but corrupted scores in the
-    // fallback path where per_idea_scores was absent.
-    return parsed;
+    row.result = batchResultRow(result);
+    row.status = 'done';
   } catch (e) {
-    console.error('Claude content judge failed:', e.message);
-    return null;
+    row.error = e.message;
+    row.status = 'error';
   }
 }
 
-function judgeContentLocal(studentText, passageText, keyElements, grammarHint) {
-  // Build field list from whichever schema is present
-  const fields = [];
-  if (keyElements?.what)       fields.push({ name: 'what',       text: stripHtml(keyElements.what) });
-  if (keyElements?.why)        fields.push({ name: 'why',        text: stripHtml(keyElements.why) });
-  if (keyElements?.how)        fields.push({ name: 'how',        text: stripHtml(keyElements.how) });
-  if (keyElements?.result)     fields.push({ name: 'result',     text: stripHtml(keyElements.result) });
-  if (fields.length === 0) {
-    if (keyElements?.topic)      fields.push({ name: 'topic',      text: stripHtml(keyElements.topic) });
-    if (keyElements?.pivot)      fields.push({ name: 'pivot',      text: stripHtml(keyElements.pivot) });
-    if (keyElements?.conclusion) fields.push({ name: 'conclusion', text: stripHtml(keyElements.conclusion) });
-  }
+async function runBatchJob(job) {
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  const queue = job.rows.filter(r => r.status === 'pending');
+  const passages = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < queue.length) await gradeBatchRow(job, queue[next++], passages);
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_GRADE_CONCURRENCY, queue.length) }, worker));
+  job.status = 'done';
+  job.finished_at = new Date().toISOString();
+}
 
-  // ── v19.5: heuristic cohesion detection for local mode ──
-  // Cohesion was always 'moderate' in v19.4, which meant the cohesion gate
-  // never fired without Claude. Now we infer cohesion from grammar signals:
-  //   - missing connector → 'weak' (Pearson penalises listed-out facts)
-  //   - connector without semicolon → 'moderate' (partial credit)
-  //   - 3+ "and" joins without a connector → 'weak'
-  //   - perfect connector + semicolon → 'strong'
-  let cohesion = 'moderate';
-  if (grammarHint) {
-    const ql = grammarHint.connector_quality;
-    if (ql === 'perfect') cohesion = 'strong';
-    else if (ql === 'partial') cohesion = 'moderate';
-    else cohesion = 'weak'; // 'missing'
+// Teachers see their own jobs; the admin key sees every job.
+function findBatchJob(req, res) {
+  const job = batchJobs.get(req.params.id);
+  if (!job || (!req.reviewerIsAdmin && job.owner !== req.reviewer)) {
+    res.status(404).json({ error: 'Batch job not found' });
+    return null;
   }
-  // Additional weak-cohesion signal: too many " and " joins without a connector
-  // (e.g., "X and Y and Z and W") — a classic Band 5–6 listed-out style.
-  const lower = (studentText || '').toLowerCase();
-  const andJoins = (lower.match(/\sand\s/g) || []).length;
-  const hasAnyConnector = /(however|moreover|furthermore|therefore|consequently|whereas|although|nevertheless)/i.test(studentText || '');
-  if (andJoins >= 3 && !hasAnyConnector) cohesion = 'weak';
+  return job;
+}
 
-  if (fields.length === 0) {
-    return {
-      content_score: 1,
-      content_reason: 'No key elements provided — neutral local score',
-      ideas_captured: [], ideas_missing: [],
-      synonym_appropriateness: 'no_swaps',
-      synonym_issues: [], cohesion, academic_register: false,
-      feedback_note: 'Content judged locally without key element data',
-      source: 'local_fallback'
+const BATCH_CSV_COLUMNS = ['row', 'student', 'passage_id', 'status', 'error', 'word_count', 'form', 'content', 'content_max', 'grammar', 'vocabulary',
+  'raw_score', 'max_raw_score', 'overall_score', 'band', 'feedback', 'improvement_1', 'improvement_2', 'improvement_3', 'needs_review'];
+
+// Batch options (spelling, judgeMode, ...) come from the JSON body, or from
+// the query string when the body is CSV or a bare array.
+app.post('/api/grade/batch', requireTeacher, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const parsed = parseBatchRows(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const opts = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : req.query;
+    const spellingPref = await resolveSpellingPreference({ spelling: opts.spelling }, req.apiClient);
+    if (spellingPref.error) return res.status(400).json({ error: spellingPref.error });
+    const judgeConfig = resolveJudgeConfig(opts);
+    if (judgeConfig.error) return res.status(400).json({ error: judgeConfig.error });
+
+    pruneBatchJobs();
+    if (batchJobs.size >= BATCH_MAX_JOBS) return res.status(429).json({ error: 'Too many batch jobs running — try again when one finishes.' });
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      owner: req.reviewerIsAdmin ? null : req.reviewer,
+      status: 'queued', error: null,
+      spelling: spellingPref.preference, judge: judgeConfig,
+      options: { spelling: spellingPref.preference, judge_mode: judgeConfig.mode },
+      rows: parsed.rows,
+      created_at: new Date().toISOString(), started_at: null, finished_at: null
     };
+    batchJobs.set(job.id, job);
+    runBatchJob(job).catch(e => {
+      console.error('[batch] job', job.id, 'failed:', e.message);
+      job.status = 'failed';
+      job.error = e.message;
+      job.finished_at = new Date().toISOString();
+    });
+    res.status(202).json({ ...batchJobSummary(job), progress_url: `/api/grade/batch/${job.id}`, results_url: `/api/grade/batch/${job.id}/results` });
+  } catch (e) {
+    res.status(500).json({ error: 'Batch grading failed', details: e.message });
   }
+});
 
-  const checks = fields.map(f => ({ name: f.name, ...checkKeyPoint(studentText, f.text) }));
-  const present = checks.filter(c => c.present).map(c => c.name);
-  const missing = checks.filter(c => !c.present).map(c => c.name);
+app.get('/api/grade/batch', requireTeacher, (req, res) => {
+  pruneBatchJobs();
+  const jobs = [...batchJobs.values()].filter(j => req.reviewerIsAdmin || j.owner === req.reviewer);
+  res.json({ jobs: jobs.reverse().map(batchJobSummary) });
+});
 
-  // v19.4: content_score is literally the number of captured ideas (0..N).
-  const score = present.length;
-  const max = fields.length;
+app.get('/api/grade/batch/:id', requireTeacher, (req, res) => {
+  const job = findBatchJob(req, res);
+  if (job) res.json(batchJobSummary(job));
+});
 
-  return {
-    content_score: score,
-    content_max: max,
-    content_reason: missing.length === 0
-      ? `All ${max} main ideas captured (local check)`
-      : `${score}/${max} main ideas captured — missing: ${missing.join(', ')}`,
-    ideas_captured: present,
-    ideas_missing: missing,
-    synonym_appropriateness: 'no_swaps',  // local can't judge — defer to swap analysis
-    synonym_issues: [],
-    cohesion,
-    academic_register: false,
-    feedback_note: missing.length > 0 ? `Include the missing ideas: ${missing.join(', ')}` : 'Good content coverage',
-    source: 'local_fallback'
-  };
-}
+// ?format=csv|json (default json). A running job answers 409 with its
+// progress unless ?partial=1 asks for the rows scored so far.
+app.get('/api/grade/batch/:id/results', requireTeacher, (req, res) => {
+  const job = findBatchJob(req, res);
+  if (!job) return;
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv or json' });
+  if ((job.status === 'queued' || job.status === 'running') && req.query.partial !== '1') {
+    return res.status(409).json({ error: 'Batch is still running', progress: batchJobSummary(job) });
+  }
+  const results = job.rows.map(r => ({
+    row: r.row, student: r.student, passage_id: r.passage_id, summary: r.summary,
+    status: r.status, error: r.error, ...(r.result || {})
+  }));
+  if (format === 'json') return res.json({ job: batchJobSummary(job), results });
+
+  const lines = [BATCH_CSV_COLUMNS.join(',')];
+  for (const r of results) {
+    const imp = r.improvements || [];
+    const cells = { ...r, improvement_1: imp[0], improvement_2: imp[1], improvement_3: imp[2] };
+    lines.push(BATCH_CSV_COLUMNS.map(c => csvCell(cells[c])).join(','));
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="batch-${job.id}.csv"`);
+  res.send(lines.join('\r\n') + '\r\n');
+});
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// FEEDBACK BUILDERS v2
-// ═══════════════════════════════════════════════════════════════════════════════
-// ═══════════════════════════════════════════════════════════════════════════════
-// FEEDBACK CARD v3 — structured feedback that mirrors the v19 scoring philosophy.
+// WRITE FROM DICTATION (v20.24)
 //
-// Returns:
-//   { verdict, strengths[], improvements[], method_coaching, summary_line }
+// Students hear one sentence and type it. Scored the PTE way: one point for
+// each word of the sentence that appears in the answer, in any order. A word
+// only counts when it is spelt exactly right and in the same form — "develop"
+// for "developed" scores nothing, nor does "enviroment". Extra words cost
+// nothing. Case and punctuation are ignored, and a British or American
+// spelling of a sentence word counts when the spelling preference allows it
+// (resolveSpellingPreference: 'any' takes either).
 //
-// - verdict.tier: excellent | good | partial | fail | invalid
-// - strengths: green check items (what worked)
-// - improvements: priority-sorted action items (1=critical, 4=polish)
-// - method_coaching: path-specific guidance (Verbatim vs Paraphrased)
-// - summary_line: single-line backwards-compatible feedback string
+// POST /api/grade/wfd { itemId | sentence, answer } returns the score with
+// `diff`, the sentence and the answer aligned word by word:
+//   { op: 'match', expected, typed[, moved][, variant] }
+//   { op: 'missing', expected }
+//   { op: 'extra', typed }
+//   { op: 'misspelt', expected, typed, reason: 'spelling' | 'form' }
+// Matches come from the longest common subsequence; a word typed out of
+// order still scores and is marked moved. Between matches, an unmatched
+// sentence word and an unmatched typed word are paired as misspelt when they
+// share a base form (reason 'form') or the typed word is a near miss that
+// isn't itself a dictionary word, or a UK/US spelling the preference doesn't
+// accept (reason 'spelling').
+//
+// Items (WfdItemAPI) are managed beside the passages: admin CRUD under
+// /api/admin/wfd-items; GET /api/wfd-items lists them without the sentence,
+// which is the answer key.
 // ═══════════════════════════════════════════════════════════════════════════════
-function buildFeedbackCard(contentVerdict, grammar, vocab, firstPerson, form, spelling, rawScore, contentScore, grammarScore, llmJudgment, contentMax, maxRaw) {
-  // v19.4: support dynamic content/raw ranges. Default to legacy 0–2 / 0–7 if
-  // a caller hasn't been updated yet (back-compat for buildFeedback alias).
-  const cMax = (typeof contentMax === 'number' && contentMax > 0) ? contentMax : 2;
-  const rMax = (typeof maxRaw === 'number' && maxRaw > 0) ? maxRaw : 7;
-  const pte  = rawToPTEDynamic(rawScore, rMax);
-  const band = rawToBandDynamic(rawScore, rMax);
-  const rawRatio     = rawScore / rMax;
-  const contentRatio = contentScore / cMax;
-  const contentFull    = contentScore >= cMax;
-  const contentPartial = contentScore > 0 && contentScore < cMax;
-  const contentNone    = contentScore === 0;
+const WFD_SCORING_VERSION = '20.24.0';
+const WFD_MAX_SENTENCE_CHARS = 300;
+const WFD_MAX_ANSWER_CHARS = 1000;
+const WFD_AUDIO_PATTERN = /^[A-Za-z0-9_-]+(?:\/[A-Za-z0-9_.-]+)*\.(?:mp3|m4a|ogg|oga|wav|webm)$/i;
+
+function wfdTokens(text) {
+  return (String(text || '').match(/[A-Za-z0-9\u00C0-\u024F]+(?:['’-][A-Za-z0-9\u00C0-\u024F]+)*/g) || [])
+    .map(word => ({ word, norm: stripDiacritics(word.replace(/’/g, "'")) }));
+}
 
-  // ── VERDICT ──────────────────────────────────────────────────────────────
-  // v19.8: partial-credit messaging removed — PTE Pearson uses binary capture
-  // per idea. The verdict says only what the score is and what to fix.
-  let tier, headline;
-  if (form && !form.valid) {
-    tier = 'invalid';
-    headline = `Form failed — ${form.reason}`;
-  } else if (contentNone) {
-    tier = 'fail';
-    headline = 'The main ideas were not captured. Re-read the passage and identify What, Why, How and the Result.';
-  } else if (rawRatio >= 0.93) {
-    tier = 'excellent';
-    const methodLabel = vocab.method === 'paraphrased' ? 'Paraphrased Method'
-                      : vocab.method === 'verbatim' ? 'Verbatim Method'
-                      : vocab.method === 'phrase_picking' ? 'Phrase-Picking Method'
-                      : 'a strong hybrid approach';
-    headline = `Excellent — ${band} (PTE ${pte}) achieved via the ${methodLabel}.`;
-  } else if (rawRatio >= 0.79) {
-    tier = 'good';
-    headline = `Solid attempt — ${band} (PTE ${pte}). One or two changes will push this to Band 9.`;
-  } else if (rawRatio >= 0.50) {
-    tier = 'partial';
-    headline = `${band} (PTE ${pte}). Significant gaps to close.`;
-  } else {
-    tier = 'fail';
-    headline = `${band} (PTE ${pte}) — major gaps. Focus on capturing the main ideas first.`;
+// Checks an admin's item fields. Returns { fields } or { error }; partial
+// (an update) leaves out what the body doesn't mention.
+function wfdItemFields(body, partial) {
+  const fields = {};
+  if (!partial || body.text !== undefined) {
+    const text = String(body.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return { error: 'text is required' };
+    if (text.length > WFD_MAX_SENTENCE_CHARS) return { error: `text must be at most ${WFD_MAX_SENTENCE_CHARS} characters` };
+    if (wfdTokens(text).length < 2) return { error: 'text must have at least two words' };
+    fields.text = text;
+  }
+  if (!partial || body.audio !== undefined) {
+    const audio = body.audio == null ? '' : String(body.audio).trim().replace(/^\/+/, '');
+    if (audio && (!WFD_AUDIO_PATTERN.test(audio) || audio.split('/').includes('..'))) {
+      return { error: 'audio must be a path under public/ ending in .mp3, .m4a, .ogg, .wav or .webm (e.g. audio/wfd/12.mp3)' };
+    }
+    fields.audio = audio || null;
+  }
+  if (!partial || body.difficulty !== undefined) {
+    const difficulty = body.difficulty == null || body.difficulty === '' ? 'medium' : String(body.difficulty).toLowerCase().trim();
+    if (!WFD_DIFFICULTIES.includes(difficulty)) return { error: `difficulty must be one of: ${WFD_DIFFICULTIES.join(', ')}` };
+    fields.difficulty = difficulty;
+  }
+  return { fields };
+}
+
+// What students see before they answer: everything but the sentence.
+function publicWfdItem(item) {
+  return { id: item.id, audio: item.audio, difficulty: item.difficulty, word_count: wfdTokens(item.text).length };
+}
+
+// Whether a typed word counts for a sentence word: the same word, or its
+// other-variety spelling when the preference accepts that variety.
+function wfdWordMatch(expected, typed, preference) {
+  if (expected === typed) return true;
+  const entry = loadSpellingDictionary().pairs.get(typed);
+  if (!entry || (entry.us !== expected && entry.uk !== expected)) return false;
+  return preference === 'any' || entry.variety === expectedVariety(entry, preference);
+}
+
+// A word's possible base forms: its lemma, and the word with one regular
+// inflection taken off (the lexicon doesn't list every noun).
+function wfdBaseForms(word) {
+  const bare = word.replace(/'s?$/, '');
+  const forms = new Set([word, bare, lexiconLemma(bare)]);
+  for (const [suffix, base] of [['ies', 'y'], ['ied', 'y'], ['es', ''], ['s', ''], ['ed', ''], ['ed', 'e'], ['ing', ''], ['ing', 'e']]) {
+    if (bare.endsWith(suffix) && bare.length - suffix.length >= 3) forms.add(bare.slice(0, -suffix.length) + base);
   }
+  return forms;
+}
 
-  const verdict = { tier, headline, pte, band, raw: rawScore, raw_max: rMax, content_max: cMax, method: vocab.method };
+// Why a typed word that doesn't count was meant for a sentence word, or null.
+function wfdNearMiss(expected, typed) {
+  const typedForms = wfdBaseForms(typed);
+  // A wrong form only when the typed word is real; "submited" is a misspelling.
+  if (isDictionaryWord(typed) && [...wfdBaseForms(expected)].some(f => typedForms.has(f))) return 'form';
+  // The other UK/US spelling when the preference doesn't accept it.
+  const entry = loadSpellingDictionary().pairs.get(typed);
+  if (entry && (entry.us === expected || entry.uk === expected)) return 'spelling';
+  if (expected.length < 3 || isDictionaryWord(typed)) return null;
+  return editDistance(expected, typed) <= (expected.length <= 5 ? 1 : 2) ? 'spelling' : null;
+}
 
-  // ── STRENGTHS ────────────────────────────────────────────────────────────
-  const strengths = [];
+function scoreWfdAnswer(sentence, answer, preference = 'any') {
+  const ref = wfdTokens(sentence);
+  const typed = wfdTokens(answer);
+  const same = (r, t) => wfdWordMatch(r.norm, t.norm, preference);
+
+  // Longest common subsequence, then walked back into reading order.
+  const n = ref.length, m = typed.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = same(ref[i], typed[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && same(ref[i], typed[j])) ops.push({ op: 'match', r: ref[i++], t: typed[j++] });
+    else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push({ op: 'missing', r: ref[i++] });
+    else ops.push({ op: 'extra', t: typed[j++] });
+  }
+
+  // Out-of-order words still score: an extra that is some missing word.
+  for (const extra of ops.filter(o => o.op === 'extra')) {
+    const missing = ops.find(o => o.op === 'missing' && same(o.r, extra.t));
+    if (!missing) continue;
+    Object.assign(extra, { op: 'match', r: missing.r, moved: true });
+    missing.op = 'dropped';
+  }
+
+  // Near misses between the same two matches become one misspelt entry.
+  let gapStart = 0;
+  for (let k = 0; k <= ops.length; k++) {
+    if (k < ops.length && ops[k].op !== 'match') continue;
+    const gap = ops.slice(gapStart, k);
+    for (const missing of gap.filter(o => o.op === 'missing')) {
+      for (const extra of gap.filter(o => o.op === 'extra')) {
+        const reason = wfdNearMiss(missing.r.norm, extra.t.norm);
+        if (!reason) continue;
+        Object.assign(missing, { op: 'misspelt', t: extra.t, reason });
+        extra.op = 'dropped';
+        break;
+      }
+    }
+    gapStart = k + 1;
+  }
 
-  // v19.8: binary capture — no partial tier in messaging.
-  const fullyCaptured = contentVerdict.ideas_captured || [];
+  const diff = ops.filter(o => o.op !== 'dropped').map(o => {
+    const entry = { op: o.op };
+    if (o.r) entry.expected = o.r.word;
+    if (o.t) entry.typed = o.t.word;
+    if (o.reason) entry.reason = o.reason;
+    if (o.moved) entry.moved = true;
+    if (o.op === 'match' && o.r.norm !== o.t.norm) entry.variant = true;
+    return entry;
+  });
+  const counts = { correct: 0, missing: 0, misspelt: 0, extra: 0 };
+  for (const d of diff) counts[d.op === 'match' ? 'correct' : d.op]++;
+  return {
+    task: 'wfd',
+    score: counts.correct,
+    max_score: n,
+    percent: n ? Math.round((counts.correct / n) * 100) : 0,
+    word_count: m,
+    counts,
+    diff,
+    sentence,
+    spelling: { preference },
+    scoring_version: WFD_SCORING_VERSION
+  };
+}
 
-  if (contentFull && cMax > 0) {
-    strengths.push({ icon: '🎯', label: `All ${cMax} main ideas captured`, detail: fullyCaptured.join(' · ') });
-  } else if (fullyCaptured.length > 0) {
-    strengths.push({
-      icon: '✓',
-      label: `Captured ${fullyCaptured.length}/${cMax} main idea${fullyCaptured.length > 1 ? 's' : ''}`,
-      detail: fullyCaptured.join(' · ')
-    });
-  }
+app.get('/api/wfd-items', async (req, res) => {
+  try {
+    const difficulty = req.query.difficulty ? String(req.query.difficulty).toLowerCase() : null;
+    if (difficulty && !WFD_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({ error: `difficulty must be one of: ${WFD_DIFFICULTIES.join(', ')}` });
+    }
+    const items = (await WfdItemAPI.list()).filter(i => !difficulty || i.difficulty === difficulty).map(publicWfdItem);
+    res.json({ items, count: items.length });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
 
-  if (grammar.has_connector && grammar.connector_quality === 'perfect') {
-    strengths.push({ icon: '🔗', label: `Connector + semicolon: "; ${grammar.connector_used},"`, detail: 'Clauses are properly chained.' });
-  } else if (grammar.has_connector) {
-    strengths.push({ icon: '🔗', label: `Connector used: "${grammar.connector_used}"`, detail: '' });
-  }
+app.get('/api/wfd-items/:id', async (req, res) => {
+  try {
+    const item = await WfdItemAPI.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json(publicWfdItem(item));
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
 
-  if (vocab.method === 'paraphrased' && !vocab.meaning_changed) {
-    strengths.push({ icon: '📚', label: `${vocab.effective_credit} synonym swap${vocab.effective_credit > 1 ? 's' : ''} — Paraphrased Method`, detail: (vocab.safe_swaps || []).slice(0, 3).map(s => `${s.original}→${s.replacement}`).join(', ') });
-  } else if (vocab.method === 'verbatim' && grammar.has_connector) {
-    strengths.push({ icon: '📋', label: 'Verbatim Method executed correctly', detail: 'Passage lines + connector chain. Note: Reading skill caps moderate without academic synonyms.' });
-  }
+app.get('/api/admin/wfd-items', requireAdmin, async (req, res) => {
+  try {
+    const items = await WfdItemAPI.list();
+    res.json({ items, count: items.length });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
 
-  if (vocab.academic_words && vocab.academic_words.length >= 2) {
-    strengths.push({ icon: '🎓', label: 'Academic vocabulary detected', detail: vocab.academic_words.slice(0, 4).join(', ') });
-  }
+// With an id, updates that item; without, creates one.
+app.post('/api/admin/wfd-items', requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const isUpdate = body.id != null && body.id !== '';
+  const checked = wfdItemFields(body, isUpdate);
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  try {
+    const item = isUpdate ? await WfdItemAPI.update(body.id, checked.fields) : await WfdItemAPI.create(checked.fields);
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json({ success: true, item });
+  } catch (e) { res.status(500).json({ error: 'Save failed', details: e.message }); }
+});
 
-  if (firstPerson && firstPerson.hasPerspectiveShift) {
-    strengths.push({ icon: '👁️', label: 'Third-person perspective', detail: 'Correct academic register.' });
-  }
+app.delete('/api/admin/wfd-items/:id', requireAdmin, async (req, res) => {
+  try {
+    const ok = await WfdItemAPI.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'Item not found' });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: 'Delete failed', details: e.message }); }
+});
 
-  if (llmJudgment && llmJudgment.cohesion === 'strong') {
-    strengths.push({ icon: '✓', label: 'Clauses connect logically', detail: 'AI judge confirmed strong cohesion.' });
+app.post('/api/grade/wfd', requireApiScope('grade'), async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.answer !== 'string') return res.status(400).json({ error: 'answer is required' });
+  if (body.answer.length > WFD_MAX_ANSWER_CHARS) return res.status(400).json({ error: `Answer too long (max ${WFD_MAX_ANSWER_CHARS} characters).` });
+  try {
+    let item = null;
+    let sentence;
+    if (body.itemId != null && body.itemId !== '') {
+      item = await WfdItemAPI.get(body.itemId);
+      if (!item) return res.status(404).json({ error: 'Item not found' });
+      sentence = item.text;
+    } else {
+      sentence = typeof body.sentence === 'string' ? body.sentence.replace(/\s+/g, ' ').trim() : '';
+      if (!sentence) return res.status(400).json({ error: 'itemId or sentence is required' });
+      if (sentence.length > WFD_MAX_SENTENCE_CHARS) return res.status(400).json({ error: `sentence must be at most ${WFD_MAX_SENTENCE_CHARS} characters` });
+    }
+    const spellingPref = await resolveSpellingPreference(body, req.apiClient);
+    if (spellingPref.error) return res.status(400).json({ error: spellingPref.error });
+    const result = scoreWfdAnswer(sentence, body.answer, spellingPref.preference);
+    res.json({ item_id: item ? item.id : null, audio: item ? item.audio : null, ...result });
+  } catch (e) {
+    console.error('WFD grading failed:', e);
+    res.status(500).json({ error: 'Grading failed', details: e.message });
   }
+});
 
-  if (form && form.valid && form.wc >= 35 && form.wc <= 65) {
-    strengths.push({ icon: '📝', label: `Word count in sweet spot (${form.wc} words)`, detail: '' });
-  }
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUMMARIZE SPOKEN TEXT (v20.25)
+//
+// The listening sibling of SWT: students hear a lecture and have ten minutes
+// to summarise it in 50–70 words, in as many sentences as they like. Graded
+// by gradeSummary() with options.task = 'sst' and the transcript standing in
+// for the passage — the same verbatim, swap, grammar-rule, spelling, content
+// judge, vocabulary and content-cap stages. What differs:
+//   • form is 0–2 (validateSstForm): 50–70 words scores 2, 40–49 or 71–100
+//     scores 1. Under 40 or over 100 words, capitals only, bullet points or
+//     no sentence punctuation scores 0, and a 0 zeroes every trait as the
+//     SWT form gate does
+//   • grammar has no connector-and-semicolon rule (checkSstGrammar)
+//   • spelling is a 0–2 trait of its own, not a deduction from grammar
+// Maximums are SST_TRAIT_MAX, content being the item's key-element count.
+//
+// POST /api/grade/sst { itemId | transcript + keyPoints, text } answers with
+// the SWT result shape plus task: 'sst', time_limit and (for an item)
+// item_current, so the SWT results view can render it. Nothing is recorded:
+// attempts, the review queue and calibration all read passage_id as an SWT
+// passage. Nor is it grade-cached — the cache is keyed and purged by passage.
+//
+// Items (SstItemAPI) are managed under /api/admin/sst-items; GET
+// /api/sst-items lists them without the title or key elements, which would
+// give the lecture away before the student has heard it.
+// ═══════════════════════════════════════════════════════════════════════════════
+const SST_SCORING_VERSION = '20.25.0';
+// content: null — the item's key-element count, as in REVIEW_TRAIT_MAX.
+const SST_TRAIT_MAX = { form: 2, content: null, grammar: 2, vocabulary: 2, spelling: 2 };
+const SST_TIME_LIMIT_SECONDS = 10 * 60;
+const SST_MAX_TITLE_CHARS = 200;
+const SST_MAX_TRANSCRIPT_CHARS = 6000;
+const SST_FORM_HINT = 'Write 50–70 words in full sentences. 40–49 or 71–100 words scores 1/2 for form; fewer than 40 or more than 100 scores 0.';
+const SST_BULLET_LINE = /^\s*(?:[-*•–]|\d+[.)])\s+/;
+
+// [connector, type] — checked as whole words, longest phrases first.
+const SST_CONNECTORS = [
+  ['as a result', 'result'], ['in addition', 'addition'], ['in conclusion', 'conclusion'],
+  ['however', 'contrast'], ['although', 'contrast'], ['though', 'contrast'], ['whereas', 'contrast'], ['while', 'contrast'],
+  ['nevertheless', 'contrast'], ['despite', 'contrast'], ['therefore', 'result'], ['consequently', 'result'], ['thus', 'result'],
+  ['hence', 'result'], ['moreover', 'addition'], ['furthermore', 'addition'], ['additionally', 'addition'], ['overall', 'conclusion']
+];
 
-  // ── IMPROVEMENTS ─────────────────────────────────────────────────────────
-  const improvements = [];
+// Same shape as validateForm, plus the rule text (hint) and the full-marks
+// word range (target) the feedback card quotes.
+function validateSstForm(text) {
+  const trimmed = text.trim();
+  const wc = trimmed.split(/\s+/).filter(w => w.length > 0).length;
+  const base = { wc, overflow_penalty: 0, hint: SST_FORM_HINT, target: [50, 70] };
+  const fail = reason => ({ valid: false, score: 0, reason, ...base, warning: null });
+  if (wc < 40) return fail(`Too short (${wc} words, min 40) — form scores 0`);
+  if (wc > 100) return fail(`Too long (${wc} words, max 100) — form scores 0`);
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  if (letters === letters.toUpperCase()) return fail('Written in capital letters only');
+  if (trimmed.split('\n').filter(line => SST_BULLET_LINE.test(line)).length >= 2) return fail('Written as bullet points — use full sentences');
+  if (!/[.!?]/.test(trimmed)) return fail('No sentence punctuation — write full sentences ending in a full stop');
+  if (wc < 50 || wc > 70) return { valid: true, score: 1, reason: 'Valid', ...base, warning: `${wc} words — outside 50–70, so form scores 1/2` };
+  return { valid: true, score: 2, reason: 'Valid', ...base, warning: null };
+}
 
-  // Form failures absorb everything — return early with just the form fix
-  if (form && !form.valid) {
-    improvements.push({
-      priority: 1,
-      icon: '🚨',
-      action: form.reason,
-      detail: 'Write exactly one sentence between 5 and 75 words, ending in a period. Aim for 35–65 words.'
-    });
-    return {
-      verdict, strengths, improvements,
-      method_coaching: null,
-      summary_line: `FORM ERROR: ${form.reason}`
-    };
+// checkGrammar's result shape without its connector rules: an SST summary
+// may link its sentences however it likes. The connector is still reported —
+// scoreVocabulary and the feedback card read it — and the rule-engine caps
+// are the SWT ones.
+function checkSstGrammar(text, passageText) {
+  const lower = text.toLowerCase();
+  const connector = SST_CONNECTORS.find(([word]) => new RegExp(`\\b${word}\\b`).test(lower));
+  const ruleIssues = runGrammarRules(text, { task: 'sst' });
+  let score = 2;
+  const issues = [];
+  for (const issue of ruleIssues) {
+    const cap = grammarIssueCap(issue);
+    if (cap < 2) { issues.push(issue.message); score = Math.min(score, cap); }
   }
+  return {
+    score, has_connector: !!connector, connector_used: connector ? connector[0] : null,
+    connector_type: connector ? connector[1] : 'none',
+    connector_quality: connector ? 'present' : 'missing',
+    has_semicolon_before_connector: !!connector && new RegExp(`;\\s*${connector[0]}\\b`, 'i').test(text),
+    grammar_issues: issues, first_person: detectFirstPerson(text, passageText || ''),
+    issues: ruleIssues
+  };
+}
 
-  // Priority 1 — content (v19.8: binary — only missing ideas surface here)
-  const missingArr = contentVerdict.ideas_missing || [];
-  if (contentNone) {
-    improvements.push({
-      priority: 1,
-      icon: '🚨',
-      action: 'Re-read the passage and capture the main ideas',
-      detail: `Identify each of the ${cMax} key ideas (What/Why/How/Result). Missing all ideas heavily caps the score (PTE 15 max).`
-    });
-  } else if (missingArr.length > 0) {
-    const capPte = contentRatio <= 0.5 ? 50 : contentRatio <= 0.75 ? 65 : 79;
-    improvements.push({
-      priority: 1,
-      icon: '⚠️',
-      action: `Add the missing idea${missingArr.length > 1 ? 's' : ''}: ${missingArr.join(', ')}`,
-      detail: `You captured ${contentScore}/${cMax}. Score is currently capped at PTE ${capPte} until all main ideas are included.`
-    });
-  }
+// The Write Essay spelling trait: none 2, one 1, more 0.
+function sstSpellingScore(count) {
+  return count === 0 ? 2 : count === 1 ? 1 : 0;
+}
 
-  // Priority 1 — meaning changed
-  if (vocab.meaning_changed) {
-    const danger = (vocab.dangerous_swaps || [])[0];
-    improvements.push({
-      priority: 1,
-      icon: '⚠️',
-      action: danger ? `"${danger.original}" → "${danger.replacement}" reverses the meaning` : 'A synonym you used reverses the meaning',
-      detail: 'Pick substitutes that preserve the original sense. "minor → small" is OK; "minor → major" is wrong.'
-    });
-  }
+function sstMaxRaw(contentMax) {
+  return Object.values(SST_TRAIT_MAX).reduce((sum, max) => sum + (max ?? contentMax), 0);
+}
 
-  // Priority 2 — grammar / connector
-  if (!grammar.has_connector) {
-    improvements.push({
-      priority: 2,
-      icon: '🔗',
-      action: 'Add a connector to chain your clauses',
-      detail: 'Use ; however, ; moreover, ; therefore, ; furthermore, — these signal logical connection between ideas. Without them, the summary reads as a list.'
-    });
-  } else if (grammar.connector_quality === 'partial') {
-    improvements.push({
-      priority: 2,
-      icon: '🔗',
-      action: `Add a semicolon before "${grammar.connector_used}"`,
-      detail: `Write: "; ${grammar.connector_used}," to mark the clause boundary.`
-    });
-  }
+function sstTraitScores(scores, contentMax) {
+  return Object.fromEntries(Object.keys(SST_TRAIT_MAX).flatMap(k => [[k, scores[k]], [`${k}_max`, SST_TRAIT_MAX[k] ?? contentMax]]));
+}
 
-  // Priority 2 — cohesion (LLM-flagged)
-  if (llmJudgment && llmJudgment.cohesion === 'weak') {
-    improvements.push({
-      priority: 2,
-      icon: '🧩',
-      action: 'Clauses do not connect logically',
-      detail: 'Each connector should signal a real relationship: "however" for contrast, "moreover" for addition, "therefore" for consequence.'
-    });
+// Key elements in the passage schema. Returns { keyElements } or { error }.
+function sstKeyElements(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'keyElements must be an object' };
+  const keyElements = {};
+  for (const k of ['what', 'why', 'how', 'result', 'topic', 'pivot', 'conclusion']) {
+    if (typeof raw[k] === 'string' && raw[k].trim()) keyElements[k] = raw[k].trim().slice(0, 1000);
   }
+  if (!countKeyElements(keyElements)) return { error: 'keyElements needs at least one of what, why, how, result (or topic, pivot, conclusion)' };
+  return { keyElements };
+}
 
-  // Priority 3 — vocabulary (boost Reading skill) — v19.2: target 2-3 swaps (was 4)
-  if (vocab.effective_credit < 2 && contentScore >= 1 && !vocab.meaning_changed) {
-    const need = Math.max(1, 2 - vocab.effective_credit);
-    improvements.push({
-      priority: 3,
-      icon: '📚',
-      action: `Replace ${need} more common word${need > 1 ? 's' : ''} with academic synonyms (target: 2–3)`,
-      detail: 'Boosts Reading skill toward 90. Examples: made → opted, good → beneficial, important → crucial, change → transformation, show → demonstrate.'
-    });
-  } else if (vocab.effective_credit >= 2 && vocab.effective_credit < 3 && contentScore >= 1 && !vocab.meaning_changed) {
-    improvements.push({
-      priority: 4,
-      icon: '📚',
-      action: 'Optional: 1 more academic swap to fully secure Reading 90',
-      detail: 'You already have 2 swaps which qualifies for Paraphrased Method — one more pushes Reading to the very top.'
-    });
+// Checks an admin's item fields. Returns { fields } or { error }; partial
+// (an update) leaves out what the body doesn't mention.
+function sstItemFields(body, partial) {
+  const fields = {};
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || '').replace(/\s+/g, ' ').trim();
+    if (!title) return { error: 'title is required' };
+    if (title.length > SST_MAX_TITLE_CHARS) return { error: `title must be at most ${SST_MAX_TITLE_CHARS} characters` };
+    fields.title = title;
+  }
+  if (!partial || body.transcript !== undefined) {
+    const transcript = String(body.transcript || '').trim();
+    if (!transcript) return { error: 'transcript is required' };
+    if (transcript.length > SST_MAX_TRANSCRIPT_CHARS) return { error: `transcript must be at most ${SST_MAX_TRANSCRIPT_CHARS} characters` };
+    fields.transcript = transcript;
+  }
+  if (!partial || body.keyElements !== undefined) {
+    const checked = sstKeyElements(body.keyElements);
+    if (checked.error) return checked;
+    fields.keyElements = checked.keyElements;
+  }
+  if (!partial || body.audio !== undefined) {
+    const audio = body.audio == null ? '' : String(body.audio).trim().replace(/^\/+/, '');
+    if (audio && (!WFD_AUDIO_PATTERN.test(audio) || audio.split('/').includes('..'))) {
+      return { error: 'audio must be a path under public/ ending in .mp3, .m4a, .ogg, .wav or .webm (e.g. audio/sst/3.mp3)' };
+    }
+    fields.audio = audio || null;
   }
+  return { fields };
+}
 
-  // Priority 3 — inappropriate synonyms (LLM-flagged)
-  if (vocab.inappropriate_count > 0) {
-    const issues = (llmJudgment?.synonym_issues || []).slice(0, 2).join('; ');
-    improvements.push({
-      priority: 3,
-      icon: '📖',
-      action: 'Some synonym choices are slightly off',
-      detail: issues || 'Pick closer-sense or more register-appropriate substitutes.'
-    });
-  }
+// What students see before they answer. The transcript is sent only when
+// there is no recording, so the practice page can read it aloud instead.
+function publicSstItem(item) {
+  const out = { id: item.id, audio: item.audio, idea_count: countKeyElements(item.keyElements) };
+  if (!item.audio) out.transcript = item.transcript;
+  return out;
+}
 
-  // Priority 4 — first-person shift
-  if (firstPerson && firstPerson.isProblematic) {
-    const issues = (firstPerson.issues || []).slice(0, 2).map(i => `"${i.match}"`).join(', ');
-    improvements.push({
-      priority: 4,
-      icon: '👁️',
-      action: 'Shift first-person to third-person',
-      detail: `Change ${issues || '"I made"'} → "the author made", "my wife" → "his wife", "we" → "they".`
-    });
-  }
+app.get('/api/sst-items', async (req, res) => {
+  try {
+    const items = (await SstItemAPI.list()).map(publicSstItem);
+    res.json({ items, count: items.length });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
 
-  // Priority 4 — spelling (v19.6: penalty scales 0.25/0.5/0.75/1.0)
-  if (spelling && spelling.count > 0) {
-    const penalty = Math.min(1.0, 0.25 * spelling.count);
-    const hints = (spelling.suggestions || []).slice(0, 3).map(s => `"${s.misspelled}" → "${s.suggestion}"`).join(', ');
-    improvements.push({
-      priority: 4,
-      icon: '🔤',
-      action: `${spelling.count} spelling error${spelling.count > 1 ? 's' : ''} (−${penalty.toFixed(2)} raw)`,
-      detail: hints
-    });
-  }
+app.get('/api/sst-items/:id', async (req, res) => {
+  try {
+    const item = await SstItemAPI.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json(publicSstItem(item));
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
 
-  // ── METHOD COACHING ──────────────────────────────────────────────────────
-  let methodCoaching = null;
-  if (rawRatio >= 0.93 && contentFull) {
-    if (vocab.method === 'verbatim') {
-      methodCoaching = {
-        current: 'Verbatim Method',
-        next: vocab.effective_credit < 2
-          ? 'Your Writing skill is at 90. To also push Reading toward 90, swap 2–3 common words for academic synonyms.'
-          : 'Excellent execution. You are at the top of both skill ladders.'
-      };
-    } else if (vocab.method === 'paraphrased') {
-      methodCoaching = {
-        current: 'Paraphrased Method',
-        next: 'Strong vocabulary work and idea coverage. Maintain the connector chain and you stay at Band 9.'
-      };
-    } else if (vocab.method === 'phrase_picking') {
-      methodCoaching = {
-        current: 'Phrase-Picking Method',
-        next: vocab.effective_credit < 2
-          ? 'Solid phrase selection with proper connectors. Add 2–3 academic synonym swaps to lock in Reading 90.'
-          : 'Excellent phrase selection + academic upgrades — top of both ladders.'
-      };
-    }
-  } else if (rawRatio < 0.93 && contentScore > 0) {
-    if (vocab.method === 'verbatim_weak') {
-      methodCoaching = {
-        current: 'Verbatim style without connectors',
-        next: 'Pick a method and commit. Either: (1) Verbatim Method — keep passage lines but glue them with ; however, ; moreover, ; therefore. Or (2) Paraphrased Method — pick the right lines and replace 2–3 common words with academic synonyms. Both reach 90 if executed cleanly.'
-      };
-    } else if (vocab.method === 'phrase_picking') {
-      methodCoaching = {
-        current: 'Phrase-Picking style',
-        next: 'You are selecting phrases (good) but cohesion or content coverage needs work. Make sure every WHAT/WHY/HOW/RESULT idea is present and that connectors signal real relationships.'
-      };
-    } else if (vocab.method === 'hybrid') {
-      methodCoaching = {
-        current: 'Hybrid approach',
-        next: 'Commit to one path. Verbatim Method (lift + connect), Paraphrased Method (lift + 2–3 swaps + connect), or Phrase-Picking (key phrases + connectors). All three reach 90; mixing them inconsistently leaves points on the table.'
-      };
+app.get('/api/admin/sst-items', requireAdmin, async (req, res) => {
+  try {
+    const items = await SstItemAPI.list();
+    res.json({ items, count: items.length });
+  } catch (e) { res.status(500).json({ error: 'Read failed', details: e.message }); }
+});
+
+// With an id, updates that item; without, creates one.
+app.post('/api/admin/sst-items', requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const isUpdate = body.id != null && body.id !== '';
+  const checked = sstItemFields(body, isUpdate);
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  try {
+    const item = isUpdate ? await SstItemAPI.update(body.id, checked.fields) : await SstItemAPI.create(checked.fields);
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json({ success: true, item });
+  } catch (e) { res.status(500).json({ error: 'Save failed', details: e.message }); }
+});
+
+app.delete('/api/admin/sst-items/:id', requireAdmin, async (req, res) => {
+  try {
+    const ok = await SstItemAPI.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'Item not found' });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: 'Delete failed', details: e.message }); }
+});
+
+app.post('/api/grade/sst', requireApiScope('grade'), async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.text !== 'string' || !body.text.trim()) return res.status(400).json({ error: 'text is required' });
+  // Same pre-LLM cap as /api/grade: the form rules reject >100 words, but
+  // the text would still reach the judge.
+  if (body.text.length > 4000) return res.status(400).json({ error: 'Summary too long (max 4000 characters).' });
+  try {
+    let item = null;
+    let transcript, keyElements = {};
+    if (body.itemId != null && body.itemId !== '') {
+      item = await SstItemAPI.get(body.itemId);
+      if (!item) return res.status(404).json({ error: 'Item not found' });
+      ({ transcript, keyElements } = item);
+    } else {
+      transcript = typeof body.transcript === 'string' ? body.transcript.trim() : '';
+      if (!transcript) return res.status(400).json({ error: 'itemId or transcript is required' });
+      if (transcript.length > SST_MAX_TRANSCRIPT_CHARS) return res.status(400).json({ error: `transcript must be at most ${SST_MAX_TRANSCRIPT_CHARS} characters` });
+      // Without an item there is nothing to grade content against but the
+      // caller's key points: an empty set would score every summary as
+      // partial against ideas nobody wrote down.
+      if (body.keyPoints == null) return res.status(400).json({ error: 'keyPoints is required with a transcript' });
+      const checked = sstKeyElements(body.keyPoints);
+      if (checked.error) return res.status(400).json({ error: checked.error.replace(/^keyElements/, 'keyPoints') });
+      keyElements = checked.keyElements;
     }
+    const spellingPref = await resolveSpellingPreference(body, req.apiClient);
+    if (spellingPref.error) return res.status(400).json({ error: spellingPref.error });
+    const judgeConfig = resolveJudgeConfig(body);
+    if (judgeConfig.error) return res.status(400).json({ error: judgeConfig.error });
+    const wantTrace = body.trace === true || req.query.trace === '1';
+    const result = await gradeSummary(body.text, transcript, keyElements, { task: 'sst', trace: wantTrace, spelling: spellingPref.preference, judge: judgeConfig });
+
+    // The ten minutes are the client's to enforce; an answer reported as
+    // written over time is still scored, and flagged.
+    const seconds = Number(body.writingSeconds);
+    const writingSeconds = body.writingSeconds != null && body.writingSeconds !== '' && Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : null;
+    const out = {
+      task: 'sst', item_id: item ? item.id : null, ...result,
+      time_limit: { limit_seconds: SST_TIME_LIMIT_SECONDS, writing_seconds: writingSeconds, exceeded: writingSeconds != null && writingSeconds > SST_TIME_LIMIT_SECONDS },
+      saved: false
+    };
+    // Revealed now that the student has answered, for the results view.
+    if (item) out.item_current = { id: item.id, title: item.title, transcript: item.transcript, keyElements: item.keyElements, audio: item.audio };
+    res.json(out);
+  } catch (e) {
+    console.error('SST grading failed:', e);
+    res.status(500).json({ error: 'Grading failed', details: e.message });
   }
+});
 
-  // Sort improvements by priority
-  improvements.sort((a, b) => a.priority - b.priority);
-
-  // ── BACKWARDS-COMPAT SUMMARY LINE ────────────────────────────────────────
-  const sParts = [];
-  sParts.push(headline);
-  if (improvements.length > 0) {
-    const top = improvements[0];
-    sParts.push(`Priority: ${top.action}`);
-  }
-  const summary_line = sParts.join(' · ');
+// ═══════════════════════════════════════════════════════════════════════════════
+// WRITE ESSAY GRADING (v20.1)
+//
+// Server-side counterpart of /api/grade for the Write Essay task. The practice
+// portal used to build a free-form examiner prompt in the browser and send it
+// raw through /api/claude, so the score was whatever the model (or an edited
+// client) said it was. Now the deterministic traits — form, grammar, spelling,
+// vocabulary and general linguistic range — are computed here, and only
+// content + development/structure/coherence go to the LLM judge (with a local
+// fallback when Claude is unavailable).
+//
+// Rubric (PTE Academic, 26 raw points):
+//   content 0–6 · form 0–2 · development/structure/coherence 0–6 · grammar 0–2
+//   general linguistic range 0–6 · vocabulary 0–2 · spelling 0–2
+// As in the exam, Form 0 or Content 0 means no other trait is scored.
+// ═══════════════════════════════════════════════════════════════════════════════
+const ESSAY_SCORING_VERSION = '20.10.0';
+const ESSAY_TRAIT_MAX = { content: 6, form: 2, development: 6, grammar: 2, linguistic_range: 6, vocabulary: 2, spelling: 2 };
+const ESSAY_MAX_RAW = Object.values(ESSAY_TRAIT_MAX).reduce((a, b) => a + b, 0);
+
+const ESSAY_CONNECTORS = [
+  'however','moreover','furthermore','additionally','in addition','therefore','consequently','thus','hence',
+  'as a result','on the other hand','nevertheless','nonetheless','in contrast','conversely','similarly',
+  'for example','for instance','to begin with','firstly','secondly','finally','in conclusion','to conclude',
+  'to sum up','overall','admittedly','undoubtedly','meanwhile','subsequently','accordingly'
+];
+const ESSAY_SUBORDINATORS = /\b(although|though|because|since|whereas|while|unless|if|when|which|who|whom|whose|that|so that|even though|provided that|despite|whereby)\b/i;
+const ESSAY_CONCLUSION_MARKERS = /^(in conclusion|to conclude|to sum up|in summary|overall|to summarise|to summarize|all in all|in short)\b/i;
+const ESSAY_EXAMPLE_MARKERS = /\b(for example|for instance|such as|this can be illustrated|a case in point|to illustrate)\b/i;
+
+// Paragraphs are separated by blank lines; an essay typed with single line
+// breaks only is split on those instead (same rule the results view uses).
+function splitEssayParagraphs(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return [];
+  const paras = trimmed.split(/\n\s*\n+/).map(p => p.trim()).filter(Boolean);
+  return paras.length > 1 ? paras : trimmed.split(/\n+/).map(p => p.trim()).filter(Boolean);
+}
 
-  return { verdict, strengths, improvements, method_coaching: methodCoaching, summary_line };
+// ─── FORM GATE ──────────────────────────────────────────────────────────────
+// 200–300 words → 2 · 120–199 or 301–380 → 1 · anything else → 0.
+// All-capitals, unpunctuated or bullet-point responses also score Form 0.
+// Paragraphing never changes the Form score, but it is reported here and
+// caps development/structure/coherence downstream.
+function validateEssayForm(text) {
+  const trimmed = (text || '').trim();
+  const wc = trimmed ? trimmed.split(/\s+/).filter(w => w.length > 0).length : 0;
+  const paragraphs = splitEssayParagraphs(trimmed);
+  let score;
+  if (wc >= 200 && wc <= 300) score = 2;
+  else if ((wc >= 120 && wc < 200) || (wc > 300 && wc <= 380)) score = 1;
+  else score = 0;
+  let reason = score === 2 ? 'Valid' : `${wc} words (target 200–300)`;
+
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  const lines = trimmed.split(/\n+/).map(l => l.trim()).filter(Boolean);
+  const bulleted = lines.filter(l => /^([-*•·]|\d+[.)])\s+/.test(l)).length;
+  if (letters.length > 20 && letters === letters.toUpperCase()) { score = 0; reason = 'Written entirely in capital letters'; }
+  else if (!/[.!?]/.test(trimmed)) { score = 0; reason = 'No sentence punctuation'; }
+  else if (lines.length >= 3 && bulleted / lines.length >= 0.5) { score = 0; reason = 'Written as bullet points or short notes'; }
+
+  const paragraphIssues = [];
+  if (paragraphs.length === 1) paragraphIssues.push('Single block of text — split it into an introduction, body paragraphs and a conclusion');
+  else if (paragraphs.length < 4) paragraphIssues.push(`${paragraphs.length} paragraphs — aim for 4 (introduction, two body paragraphs, conclusion)`);
+  else if (paragraphs.length > 6) paragraphIssues.push(`${paragraphs.length} paragraphs — several are too short to develop an idea`);
+
+  return { valid: score > 0, score, reason, wc, paragraph_count: paragraphs.length, paragraphs, paragraph_issues: paragraphIssues };
 }
 
-// Legacy aliases — kept for any other call site that imports them
-function buildFeedback(contentVerdict, grammar, vocab, firstPerson, form) {
-  const card = buildFeedbackCard(contentVerdict, grammar, vocab, firstPerson, form, { count: 0 }, 0, contentVerdict.content_score, 0, null);
-  return card.summary_line;
+// ─── GRAMMAR (local) ────────────────────────────────────────────────────────
+// Unlike the SWT checkGrammar (one sentence, connector + semicolon rules), an
+// essay is checked sentence by sentence and every occurrence is reported with
+// the verbatim phrase, so the results view can underline it. v20.10: the
+// checks come from the shared rule engine, so each issue also carries its
+// rule id, character span and (where mechanical) the replacement text.
+function checkEssayGrammar(text) {
+  const issues = runGrammarRules(text, { task: 'essay' }).map(i => ({
+    type: 'grammar', phrase: i.phrase, correction: i.replacement === null ? '' : i.replacement,
+    explanation: i.message, severity: i.severity, source: 'local',
+    rule: i.rule, start: i.start, end: i.end, replacement: i.replacement
+  }));
+  return { issues, sentence_count: splitSentences(text).length };
 }
-function buildImprovementTips(rawScore, contentScore, vocab, grammar, contentVerdict, form) {
-  const card = buildFeedbackCard(contentVerdict, grammar, vocab, { isProblematic: false }, form, { count: 0 }, rawScore, contentScore, 0, null);
-  return card.improvements.map(i => `${i.icon} ${i.action}`).join(' • ');
+
+// Span of the first whole-word occurrence of `phrase` in `text`, or null.
+// Used to give Claude's and the spell checker's findings the same
+// { start, end } the rule engine reports.
+function locatePhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const m = new RegExp(`(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`).exec(text);
+  if (m) return { start: m.index, end: m.index + phrase.length };
+  const i = text.indexOf(phrase);
+  return i >= 0 ? { start: i, end: i + phrase.length } : null;
 }
 
-function buildPenaltiesList(form, contentScore, vocab, spelling, contentMax) {
-  const arr = [];
-  const cMax = (typeof contentMax === 'number' && contentMax > 0) ? contentMax : 2;
-  const ratio = contentScore / cMax;
-  if (form.overflow_penalty) arr.push({ type: 'word_count_overflow', impact: -form.overflow_penalty, detail: form.warning });
-  if (contentScore === 0) {
-    arr.push({ type: 'content_gate', impact: 'cap_at_PTE_15', detail: `0/${cMax} main ideas captured — heavy cap` });
-  } else if (ratio <= 0.5) {
-    arr.push({ type: 'content_partial', impact: 'cap_at_PTE_50', detail: `${contentScore}/${cMax} main ideas captured — partial cap` });
-  } else if (ratio <= 0.75) {
-    arr.push({ type: 'content_partial', impact: 'cap_at_PTE_65', detail: `${contentScore}/${cMax} main ideas captured — upper-mid cap` });
-  } else if (ratio < 1) {
-    arr.push({ type: 'content_partial', impact: 'cap_at_PTE_79', detail: `${contentScore}/${cMax} main ideas captured — almost there` });
+// ─── VOCABULARY (0–2) + GENERAL LINGUISTIC RANGE (0–6) ──────────────────────
+// Vocabulary rewards range and precision: lexical diversity (moving-window
+// type/token ratio, so long essays aren't punished for length), academic word
+// use, and low reliance on the basic words the lexicon's upgrades table would
+// replace. Linguistic range rewards sentence-shape variety: spread of sentence
+// lengths, share of complex sentences, and the number of distinct connectors.
+let essayAcademicWords = null;
+function getEssayAcademicWords() {
+  if (!essayAcademicWords) {
+    essayAcademicWords = new Set([
+      ...ACADEMIC_WORDS,
+      ...Object.values(loadLexicon().upgrades).flat().filter(w => !w.includes(' '))
+    ]);
   }
-  if (spelling.count > 0) {
-    const penalty = Math.min(1.0, 0.25 * spelling.count);
-    arr.push({ type: 'spelling', impact: -penalty, detail: `${spelling.count} error(s), -${penalty.toFixed(2)} raw (cap -1.0)` });
+  return essayAcademicWords;
+}
+
+function scoreEssayLanguage(text) {
+  const words = text.toLowerCase().replace(/[^a-z\s'-]/g, ' ').split(/\s+/).filter(w => /[a-z]/.test(w));
+  const WINDOW = 50;
+  let diversity;
+  if (words.length <= WINDOW) {
+    diversity = words.length ? new Set(words).size / words.length : 0;
+  } else {
+    let sum = 0, n = 0;
+    for (let i = 0; i + WINDOW <= words.length; i += 10) { sum += new Set(words.slice(i, i + WINDOW)).size / WINDOW; n++; }
+    diversity = sum / n;
+  }
+  diversity = Math.round(diversity * 100) / 100;
+
+  const { upgrades } = loadLexicon();
+  const academicWords = getEssayAcademicWords();
+  const academic = [...new Set(words.filter(w => academicWords.has(w)))];
+  const basicHits = words.filter(w => upgrades[w]).length;
+  const basicRate = words.length ? basicHits / words.length : 0;
+  const counts = {};
+  for (const w of words) if (w.length >= 5 && !STOP_WORDS.has(w)) counts[w] = (counts[w] || 0) + 1;
+  const overused = Object.entries(counts).filter(([, c]) => c >= 5).sort((a, b) => b[1] - a[1]).map(([w, c]) => ({ word: w, count: c })).slice(0, 5);
+
+  let vocabScore;
+  if (diversity >= 0.72 && academic.length >= 5 && basicRate < 0.04) vocabScore = 2;
+  else if (diversity >= 0.6 && academic.length >= 2) vocabScore = 1;
+  else if (diversity >= 0.66) vocabScore = 1;
+  else vocabScore = 0;
+  if (vocabScore === 2 && overused.length >= 2) vocabScore = 1;
+
+  const sentences = splitSentences(text);
+  const lengths = sentences.map(s => s.split(/\s+/).filter(Boolean).length);
+  const mean = lengths.length ? lengths.reduce((a, b) => a + b, 0) / lengths.length : 0;
+  const sd = lengths.length > 1 ? Math.sqrt(lengths.reduce((a, l) => a + (l - mean) ** 2, 0) / lengths.length) : 0;
+  const complexRatio = sentences.length ? sentences.filter(s => ESSAY_SUBORDINATORS.test(s)).length / sentences.length : 0;
+  const lower = text.toLowerCase();
+  const connectors = ESSAY_CONNECTORS.filter(c => new RegExp(`\\b${c}\\b`).test(lower));
+
+  const varietyPts = sd >= 6 ? 2 : sd >= 3.5 ? 1 : 0;
+  const complexityPts = complexRatio >= 0.5 ? 2 : complexRatio >= 0.25 ? 1 : 0;
+  const connectorPts = connectors.length >= 5 ? 2 : connectors.length >= 3 ? 1 : 0;
+  const rangeScore = sentences.length >= 3 ? varietyPts + complexityPts + connectorPts : Math.min(2, complexityPts);
+
+  return {
+    vocabulary: { score: vocabScore, lexical_diversity: diversity, academic_words: academic.slice(0, 12), basic_word_rate: Math.round(basicRate * 1000) / 10, overused_words: overused },
+    linguistic_range: {
+      score: rangeScore, sentence_count: sentences.length,
+      mean_sentence_length: Math.round(mean * 10) / 10, sentence_length_sd: Math.round(sd * 10) / 10,
+      complex_sentence_ratio: Math.round(complexRatio * 100) / 100, connectors,
+      breakdown: { variety: varietyPts, complexity: complexityPts, connectors: connectorPts }
+    }
+  };
+}
+
+// ─── CONTENT + DEVELOPMENT: local fallback ──────────────────────────────────
+// Used when the Claude judge fails twice. Content is the share of the
+// question's content words the essay engages with (prefix match so "educate"
+// meets "education"), plus a point for supporting examples. Development reads
+// structure: paragraphing, an explicit conclusion, connectors and examples.
+function judgeEssayLocal(essay, question, form, language) {
+  const qWords = [...new Set(question.toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/)
+    .filter(w => w.length >= 4 && !STOP_WORDS.has(w) && !['essay','discuss','extent','agree','disagree','opinion','your','think','write','words','give','reasons','examples','include','relevant','knowledge','experience'].includes(w)))];
+  const essayLower = essay.toLowerCase();
+  const covered = qWords.filter(w => new RegExp(`\\b${w.slice(0, Math.max(4, w.length - 3))}`).test(essayLower));
+  const ratio = qWords.length ? covered.length / qWords.length : 0.5;
+  const hasExamples = ESSAY_EXAMPLE_MARKERS.test(essay);
+
+  let content;
+  if (ratio >= 0.75) content = 5;
+  else if (ratio >= 0.6) content = 4;
+  else if (ratio >= 0.45) content = 3;
+  else if (ratio >= 0.3) content = 2;
+  else if (ratio >= 0.15) content = 1;
+  else content = 0;
+  if (content > 0 && hasExamples) content = Math.min(6, content + 1);
+
+  const paras = form.paragraphs || [];
+  const lastPara = paras.length ? paras[paras.length - 1] : '';
+  let development = 0;
+  development += paras.length >= 4 ? 2 : paras.length >= 2 ? 1 : 0;
+  development += (paras.length >= 2 && ESSAY_CONCLUSION_MARKERS.test(lastPara)) ? 1 : 0;
+  development += language.linguistic_range.connectors.length >= 4 ? 2 : language.linguistic_range.connectors.length >= 2 ? 1 : 0;
+  development += hasExamples ? 1 : 0;
+  development = Math.min(6, development);
+
+  return {
+    content_score: content,
+    content_reason: qWords.length
+      ? `Essay engages with ${covered.length}/${qWords.length} key terms of the question${hasExamples ? ', with supporting examples' : ''}.`
+      : 'Question terms could not be extracted — content estimated from examples only.',
+    addresses_all_parts: ratio >= 0.75,
+    development_score: development,
+    development_reason: `${paras.length} paragraph${paras.length === 1 ? '' : 's'}, ${language.linguistic_range.connectors.length} linking phrase${language.linguistic_range.connectors.length === 1 ? '' : 's'}${ESSAY_CONCLUSION_MARKERS.test(lastPara) ? ', clear conclusion' : ''}.`,
+    feedback: {},
+    errors: [],
+    strengths: [],
+    improvements: [],
+    source: 'local_fallback'
+  };
+}
+
+// ─── CONTENT + DEVELOPMENT: Claude judge ────────────────────────────────────
+// Claude scores only the two judgement traits and supplies the teaching
+// extras the results view renders (grammar annotations, template detector,
+// strengths/improvements, a marked-up rewrite). Every number it returns is
+// clamped to the rubric here; it never sees or sets the other traits.
+async function judgeEssayWithClaude(essay, question, wordCount, timeoutMs = 30000) {
+  if (!llm.available) return null;
+  const prompt = `You are an experienced PTE Academic examiner at IPT Brisbane. Judge the CONTENT and the DEVELOPMENT, STRUCTURE & COHERENCE of this Write Essay response and give friendly, plain-English feedback. The student is NOT a linguistics expert — explain things in simple language they can act on.
+
+ESSAY QUESTION:
+${question}
+
+STUDENT'S ESSAY (${wordCount} words):
+${essay}
+
+SCORE ONLY THESE TWO TRAITS (form, grammar, spelling, vocabulary and linguistic range are scored separately — do not score them):
+
+• content (0-6): Does the essay answer the question? Are all parts of the prompt addressed? Are ideas relevant and supported with reasons and examples?
+   - 6: Fully addresses every part, convincing reasons and well-developed examples
+   - 4-5: Addresses most parts, mostly relevant support
+   - 2-3: Partial answer, weak or generic support
+   - 1: Barely relevant
+   - 0: Off-topic, or only repeats the question
+
+• development (0-6): Development, structure and coherence — logical organisation, paragraphing, clear introduction and conclusion, ideas linked with appropriate connectors.
+   - 6: Clear paragraphs, smooth transitions, every idea builds on the last
+   - 4-5: Mostly organised, occasional jump
+   - 2-3: Some structure but weak connections
+   - 0-1: Confused or no clear order
+
+TEMPLATE DETECTOR (IPT BRISBANE-aware):
+Students at IPT Brisbane are TAUGHT a Band 9 essay structure. Phrases such as "The topic of [X] has become increasingly important in recent years", "This essay will examine…", "To begin with, one major merit is…", "On the other hand, one notable demerit is…", "To conclude, …" are the correct application of that structure — never flag them.
+Choose ONE value for "template_detector":
+- "good" = IPT structure used correctly AND personalised with topic-specific content
+- "ok" = reads naturally; no heavy reliance on any template
+- "flag" = over-rehearsed phrases from OTHER templates ("in today's day and age", "since the dawn of time", "it is a multifaceted issue") or generic content unrelated to the question
+"template_note" is one SHORT encouraging sentence matching that value.
+
+FEEDBACK STYLE: plain English, no jargon ("how your ideas link together", not "cohesion"), quote 1-2 short phrases from THEIR essay, say what to DO next time, lead with what they did well. Keep each feedback string to 2-3 short sentences.
+
+GRAMMAR ANNOTATIONS ("errors"): list every grammar or word-usage mistake you find. Do NOT list spelling mistakes (they are checked separately).
+- "phrase" MUST be the EXACT text from the essay (same spelling and capitalisation) — it is searched for and underlined.
+- "severity": "major" (wrong verb form, tense, missing/wrong article, wrong word, fragment, run-on) or "minor" (style, awkward but grammatical).
+- "explanation": one short plain-English sentence.
+
+SAMPLE RESPONSE: a revised version of the paragraphs that most need work (max 150 words). If the essay needs no changes, set it to "Congratulations! Your essay is already strong, so no rewrite is needed." Wrap added/improved words in <span class='diff-ins'>...</span> and replaced/removed words in <span class='diff-del'>...</span> (single quotes inside the HTML so the JSON stays valid).
+
+Respond ONLY with valid JSON, no other text:
+{
+  "content_score": 5,
+  "content_reason": "one short sentence",
+  "addresses_all_parts": true,
+  "development_score": 5,
+  "development_reason": "one short sentence",
+  "feedback": { "content": "...", "development": "..." },
+  "template_detector": "ok",
+  "template_note": "...",
+  "overall_verdict": "one encouraging sentence",
+  "strengths": ["...", "..."],
+  "improvements": ["...", "..."],
+  "errors": [ { "phrase": "...", "correction": "...", "severity": "major", "explanation": "..." } ],
+  "sample_response": "..."
+}`;
+
+  try {
+    const callPromise = llm.complete({
+      purpose: 'essay_judge',
+      model: CLAUDE_MODEL,
+      max_tokens: 3000,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    const timeoutPromise = new Promise((_, rej) => setTimeout(() => rej(new Error('Claude essay judge timeout')), timeoutMs));
+    const response = await Promise.race([callPromise, timeoutPromise]);
+    const text = response.text || '';
+    const m = text.match(/\{[\s\S]*\}/);
+    if (!m) return null;
+    const parsed = JSON.parse(m[0]);
+    const clamp = (v, max) => { const n = Math.round(Number(v)); return Number.isFinite(n) ? Math.max(0, Math.min(max, n)) : null; };
+    parsed.content_score = clamp(parsed.content_score, ESSAY_TRAIT_MAX.content);
+    parsed.development_score = clamp(parsed.development_score, ESSAY_TRAIT_MAX.development);
+    if (parsed.content_score === null || parsed.development_score === null) return null;
+    parsed.source = 'claude';
+    parsed.llm_request_key = response.request_key || null;
+    return parsed;
+  } catch (e) {
+    console.error('Claude essay judge failed:', e.message);
+    return null;
   }
-  if (vocab.meaning_changed) arr.push({ type: 'meaning_reversed', impact: 'vocab_to_0', detail: 'Synonym altered passage meaning' });
-  if (vocab.inappropriate_count > 0) arr.push({ type: 'inappropriate_synonym', impact: -0.5, detail: `${vocab.inappropriate_count} occurrence(s)` });
-  return arr;
 }
 
-// ═══ GRADING ROUTE ═══
-app.post('/api/grade', async (req, res) => {
+// Plain-English feedback for the locally scored traits.
+function buildEssayTraitFeedback(form, grammarErrors, spelling, language) {
+  const v = language.vocabulary, r = language.linguistic_range;
+  const majors = grammarErrors.filter(e => e.severity === 'major').length;
+  return {
+    form: form.score === 2
+      ? `Your essay is ${form.wc} words, which is within the required 200–300 word limit.`
+      : form.wc < 200 && form.reason.includes('words')
+        ? `Your essay is ${form.wc} words, which is below the 200-word minimum. Write a bit more to land between 200 and 300 words.`
+        : form.wc > 300 && form.reason.includes('words')
+          ? `Your essay is ${form.wc} words, which is above the 300-word limit. Trim about ${form.wc - 300} words next time.`
+          : `${form.reason}. Write in full sentences and paragraphs.`,
+    grammar: grammarErrors.length === 0
+      ? 'No grammar problems found — your sentences are well controlled.'
+      : `${grammarErrors.length} grammar issue${grammarErrors.length > 1 ? 's' : ''} found${majors ? ` (${majors} serious)` : ''}. Check the underlined phrases and re-read each sentence aloud before submitting.`,
+    spelling: spelling.count === 0
+      ? 'No spelling mistakes found.'
+      : `${spelling.count} spelling mistake${spelling.count > 1 ? 's' : ''}: ${spelling.suggestions.slice(0, 4).map(s => `"${s.misspelled}" → "${s.suggestion}"`).join(', ')}. In the exam even one mistake costs a point.`,
+    vocabulary: v.score === 2
+      ? `Wide, precise word choice${v.academic_words.length ? ` (e.g. ${v.academic_words.slice(0, 3).join(', ')})` : ''}.`
+      : `Your word choice is ${v.score === 1 ? 'adequate but could be more varied' : 'quite limited'}.${v.overused_words.length ? ` You repeat ${v.overused_words.slice(0, 2).map(o => `"${o.word}" (${o.count}×)`).join(' and ')} — find alternatives.` : ''} Swap everyday words for academic ones (important → crucial, show → demonstrate).`,
+    linguistic_range: r.score >= 5
+      ? 'Good mix of short and long sentences, with varied linking words.'
+      : `Try mixing sentence shapes: ${[
+          r.sentence_count < 3 && 'write more, separate sentences',
+          r.breakdown.variety < 2 && 'vary your sentence lengths',
+          r.breakdown.complexity < 2 && 'join ideas with words like "although", "which" and "because"',
+          r.breakdown.connectors < 2 && 'use a wider range of linking words (moreover, consequently, in contrast)'
+        ].filter(Boolean).join('; ')}.`
+  };
+}
+
+app.post('/api/grade-essay', requireApiScope('grade'), async (req, res) => {
   try {
-    let { text, type, prompt, keyPoints, userId } = req.body;
-    const passageId = req.body.passageId;
-    if (!text || !type || !prompt) return res.status(400).json({ error: 'Missing fields' });
-    // H1 (v19.17): hard length cap BEFORE any Claude call. The form gate rejects
-    // >75 words for scoring, but the raw text would still be sent to the paid
-    // API. Cap at 4000 chars (~600 words) to prevent token-burning abuse.
-    if (typeof text !== 'string' || text.length > 4000) {
-      return res.status(400).json({ error: 'Summary too long (max 4000 characters).' });
-    }
-    if (typeof prompt === 'string' && prompt.length > 20000) {
-      return res.status(400).json({ error: 'Passage too long.' });
-    }
-
-    // ── SOURCE-OF-TRUTH OVERRIDE (v19.11) ──────────────────────────────────
-    // The client sends `prompt` and `keyPoints` from its in-memory passage copy,
-    // which goes STALE the moment an admin edits a passage while a student has
-    // the page open. If the request names a passageId, ignore the client's copy
-    // and score against the passage's CURRENT stored version. This guarantees a
-    // fresh attempt is always graded against the latest key elements, even if
-    // the student never refreshed.
-    if (passageId != null) {
-      try {
-        const live = await PassageAPI.getById(passageId);
-        if (live) {
-          if (live.text) prompt = live.text;
-          if (live.keyElements && Object.keys(live.keyElements).length) {
-            keyPoints = live.keyElements;
-          }
-        }
-      } catch (e) {
-        console.warn('grade: could not load live passage', passageId, '-', e.message);
-        // fall through with the client-supplied values
-      }
+    const essay = typeof req.body?.essay === 'string' ? req.body.essay : req.body?.text;
+    const question = typeof req.body?.question === 'string' ? req.body.question : req.body?.prompt;
+    if (!essay || !question || typeof essay !== 'string' || typeof question !== 'string') {
+      return res.status(400).json({ error: 'Missing fields' });
     }
+    // Same abuse guard as /api/grade (H1): cap before anything reaches Claude.
+    if (essay.length > 8000) return res.status(400).json({ error: 'Essay too long (max 8000 characters).' });
+    if (question.length > 3000) return res.status(400).json({ error: 'Question too long.' });
+    const spellingPref = await resolveSpellingPreference(req.body, req.apiClient);
+    if (spellingPref.error) return res.status(400).json({ error: spellingPref.error });
+
+    const form = validateEssayForm(essay);
+    const language = scoreEssayLanguage(essay);
 
     // ── FORM GATE ──
-    const form = validateForm(text);
     if (!form.valid) {
-      const formFailCard = buildFeedbackCard(
-        { content_score: 0, ideas_captured: [], ideas_missing: [], cohesion: 'unknown' },
-        { score: 0, has_connector: false, connector_quality: 'missing', grammar_issues: [] },
-        { score: 0, method: 'invalid', effective_credit: 0, safe_swaps: [], dangerous_swaps: [], meaning_changed: false, academic_words: [], inappropriate_count: 0 },
-        { isProblematic: false, hasPerspectiveShift: false, issues: [] },
-        form, { count: 0, suggestions: [] }, 0, 0, 0, null
-      );
-      // Form-fail also needs to know the passage's idea count for the UI chips.
-      const ffMaxContent = countKeyElements(keyPoints) || 2;
-      const ffMaxRaw = 1 + ffMaxContent + 2 + 2;
+      const zero = Object.fromEntries(Object.keys(ESSAY_TRAIT_MAX).flatMap(k => [[k, 0], [`${k}_max`, ESSAY_TRAIT_MAX[k]]]));
       return res.json({
-        trait_scores: { form: 0, form_max: 1, content: 0, content_max: ffMaxContent, grammar: 0, grammar_max: 2, vocabulary: 0, vocabulary_max: 2 },
-        content_details: { key_ideas_extracted: [], key_ideas_present: [], key_ideas_missing: [], notes: form.reason },
-        grammar_details: { score: 0, has_connector: false, grammar_issues: [], connector_quality: 'missing' },
-        vocabulary_details: { score: 0, notes: ['Form invalid'], safe_swaps: [], dangerous_swaps: [], meaning_changed: false, method: 'invalid' },
-        skill_contributions: { reading: { estimate: 10, note: 'Form invalid' }, writing: { estimate: 10, note: 'Form invalid' } },
-        paraphrase_analysis: { quality: 0, safeSwapCount: 0, dangerousSwapCount: 0 },
-        overall_score: 10, raw_score: 0, max_raw_score: ffMaxRaw, total_ideas: ffMaxContent, band: 'Band 5',
-        form_gate_triggered: true, form_reason: form.reason, word_count: form.wc,
-        feedback: formFailCard.summary_line,
-        feedback_card: formFailCard,
-        improvement_tips: formFailCard.improvements.map(i => `${i.icon} ${i.action}`).join(' • '),
-        first_person_detected: false, first_person_problematic: false,
-        method_detected: 'invalid', llm_used: false, penalties_applied: [{ type: 'form_fail', impact: 'all_zero', detail: form.reason }],
-        scoring_version: '19.10.0', mode: 'local'
+        success: true,
+        trait_scores: zero,
+        overall_score: 10, raw_score: 0, max_raw_score: ESSAY_MAX_RAW, band: 'Band 5',
+        word_count: form.wc, paragraph_count: form.paragraph_count,
+        form_gate_triggered: true, form_reason: form.reason,
+        form_details: { score: 0, reason: form.reason, paragraph_issues: form.paragraph_issues },
+        feedback: { form: `${form.reason}. An essay outside 120–380 words, or not written in sentences, receives no score on any trait.` },
+        errors: [], strengths: [], improvements: [`Write 200–300 words in full sentences and paragraphs.`],
+        penalties_applied: [{ type: 'form_fail', impact: 'all_zero', detail: form.reason }],
+        llm_used: false, mode: 'local', scoring_version: ESSAY_SCORING_VERSION
       });
     }
 
-    // ── LOCAL ANALYSIS (deterministic, fast) ──
-    const verbatim = detectVerbatim(text, prompt);
-    const swaps = analyzeSwaps(text, prompt);
-    const firstPerson = detectFirstPerson(text, prompt);
-    const grammar = checkGrammar(text, prompt);
-    let spelling = checkSpelling(text, prompt);
-
-    // ── CONTENT JUDGE: Claude first (with a bounded retry), local fallback ──
-    // v19.6: also fire the Datamuse spelling enrichment in parallel — both are
-    // network-bound, so doing them concurrently saves ~2-4s on slow paths.
-    // C1/F3 (v19.17): retry once on failure.
-    // v19.17.1: but be smart about WHICH failures to retry. A timeout means the
-    // model was slow — retrying with the full 30s budget could mean a 60s wait,
-    // which is unacceptable. So: on a timeout, retry only ONCE with a SHORTER
-    // budget (15s) so worst-case total stays ~45s; on a fast error (bad JSON,
-    // momentary network blip), retry with the full budget since it'll likely
-    // return quickly.
+    // ── LOCAL TRAITS + CLAUDE JUDGE (in parallel, one bounded retry) ──
+    const grammar = checkEssayGrammar(essay);
+    let spelling = checkSpelling(essay, question, { preference: spellingPref.preference });
     let llmJudgment = null;
-    const [_judgeResult, enrichedSpelling] = await Promise.all([
+    const [, enrichedSpelling] = await Promise.all([
       (async () => {
-        const t0 = Date.now();
-        let firstErr = null;
-        try { llmJudgment = await judgeContentWithClaude(text, prompt, keyPoints); }
-        catch (e) { firstErr = e; }
-        if (!llmJudgment) {
-          const elapsed = Date.now() - t0;
-          const wasTimeout = firstErr && /timeout/i.test(firstErr.message || '');
-          // If the first attempt already ate most of our time budget on a
-          // timeout, retry with a shorter ceiling; otherwise retry normally.
-          const retryTimeout = wasTimeout ? 15000 : 30000;
+        try { llmJudgment = await judgeEssayWithClaude(essay, question, form.wc); } catch (_) { /* retry below */ }
+        if (!llmJudgment && llm.available) {
           await new Promise(r => setTimeout(r, 300));
-          try { llmJudgment = await judgeContentWithClaude(text, prompt, keyPoints, retryTimeout); }
-          catch (e) { /* swallow → fallback */ }
-          if (DEBUG) console.log(`[grade] Claude judge ${llmJudgment ? 'succeeded on retry' : 'failed twice — using local fallback'} (first attempt ${elapsed}ms, timeout=${wasTimeout})`);
+          try { llmJudgment = await judgeEssayWithClaude(essay, question, form.wc, 20000); } catch (_) { /* local fallback */ }
         }
       })(),
-      enrichSpellingWithDatamuse(spelling, text).catch(() => spelling)
+      enrichSpellingWithDatamuse(spelling, essay).catch(() => spelling)
     ]);
     spelling = enrichedSpelling;
+    const judge = llmJudgment || judgeEssayLocal(essay, question, form, language);
+
+    // Claude's grammar annotations only count when the phrase really is in the essay.
+    // v20.10: a Claude annotation overlapping a rule-engine span is dropped —
+    // the rule's version has the exact span and replacement.
+    const overlapsRule = (span) => span && grammar.issues.some(i => span.start < i.end && i.start < span.end);
+    const llmErrors = (Array.isArray(judge.errors) ? judge.errors : [])
+      .filter(e => e && typeof e.phrase === 'string' && e.phrase.length > 0 && essay.includes(e.phrase))
+      .map(e => ({
+        type: 'grammar', phrase: e.phrase, correction: String(e.correction || '').slice(0, 200),
+        explanation: typeof e.explanation === 'string' ? e.explanation.slice(0, 300) : '',
+        severity: e.severity === 'major' ? 'major' : 'minor', source: 'claude',
+        ...locatePhrase(essay, e.phrase)
+      }))
+      .filter(e => !overlapsRule(e));
+    const grammarErrors = [...grammar.issues, ...llmErrors].sort((a, b) => a.start - b.start);
+    const majorCount = grammarErrors.filter(e => e.severity === 'major').length;
+    const spellingErrors = (spelling.suggestions || []).map(s => ({
+      type: 'spelling', phrase: s.misspelled, correction: s.suggestion,
+      explanation: s.source === 'variant'
+        ? `Inconsistent spelling — use "${s.suggestion}" to match the rest of the essay.`
+        : `Spelled wrong — it should be "${s.suggestion}".`,
+      severity: 'major', source: s.source || 'passage',
+      ...locatePhrase(essay, s.misspelled), replacement: s.suggestion || null
+    }));
 
-    // ── DYNAMIC CONTENT SCALE (v19.4) ───────────────────────────────────────
-    // Each captured key idea = +1 to content_score. Total ideas (3 or 4) defines
-    // the maximum content_score and therefore the maximum raw score.
-    const totalIdeas = countKeyElements(keyPoints);
-    // If a passage somehow has no key elements, fall back to legacy 0–2 scoring.
-    const maxContent = totalIdeas > 0 ? totalIdeas : 2;
-    const maxRaw = 1 + maxContent + 2 + 2; // form + content + grammar + vocab
-
-    // ── STRICT CONTENT GATE — v19.7: partial credit per idea ───────────────
-    // The prompt asks Claude to return per_idea_scores: { what: 1.0, why: 0.5, ... }
-    // We compute content_score = ROUND(sum) on the server. If per_idea_scores
-    // is missing (older Claude responses, prompt regression), fall back to
-    // the array-length authoritative path from v19.4.1.
-    if (llmJudgment) {
-      const perIdea = (llmJudgment.per_idea_scores && typeof llmJudgment.per_idea_scores === 'object')
-        ? llmJudgment.per_idea_scores : null;
-      const captured = Array.isArray(llmJudgment.ideas_captured) ? llmJudgment.ideas_captured : [];
-      const partial  = Array.isArray(llmJudgment.ideas_partial)  ? llmJudgment.ideas_partial  : [];
-      const missing  = Array.isArray(llmJudgment.ideas_missing)  ? llmJudgment.ideas_missing  : [];
-      const originalScore = llmJudgment.content_score;
-      let computedScore;
-      let computedSum = 0;
-
-      if (perIdea && Object.keys(perIdea).length > 0) {
-        // ── BINARY CAPTURE (v19.8) ──
-        // PTE Pearson scores content as binary per idea: idea is either present
-        // or absent. Earlier versions of this engine introduced a partial-credit
-        // tier (0.5) to handle overstuffed key elements, but that produced
-        // confusing UI ("PARTIAL CREDIT" warnings on Band-9 attempts when the
-        // headline was clearly captured). Per the user's design directive —
-        // "as long as the idea was captured" — we now snap each per-idea score
-        // to {0, 1}: any non-zero signal is treated as captured.
-        //
-        // The headline rescue layer (v19.7.2) still runs first as a safety net
-        // for cases where Claude returned 0.5; both paths converge to 1.0 here.
-        for (const k of Object.keys(perIdea)) {
-          let v = Number(perIdea[k]);
-          if (Number.isNaN(v)) v = 0;
-          // Any signal of capture (>= 0.25) counts as captured.
-          // Below 0.25 → genuinely missing.
-          perIdea[k] = v >= 0.25 ? 1 : 0;
-        }
-        // Run headline rescue for transparency/debugging — at this point it
-        // becomes a no-op for content scoring (0.5→1.0 already happened above)
-        // but the audit trail is still useful.
-        const rescueAudit = applyHeadlineRescue(perIdea, keyPoints, text);
-        llmJudgment.headline_rescue = rescueAudit;
-        // Sum after binary snap
-        computedSum = 0;
-        for (const k of Object.keys(perIdea)) computedSum += perIdea[k];
-        computedScore = Math.round(computedSum);
-        // Rebuild arrays — partial is now empty by construction.
-        llmJudgment.ideas_captured = Object.keys(perIdea).filter(k => perIdea[k] === 1);
-        llmJudgment.ideas_partial  = [];
-        llmJudgment.ideas_missing  = Object.keys(perIdea).filter(k => perIdea[k] === 0);
-      } else if (captured.length > 0 || missing.length > 0 || partial.length > 0) {
-        // Fallback — array-length authoritative (legacy v19.4.1 path).
-        // v19.8: treat partial as captured for the binary score.
-        computedSum = captured.length + partial.length;
-        computedScore = Math.round(computedSum);
-        // Merge partial → captured for the array surfaces too.
-        if (llmJudgment) {
-          llmJudgment.ideas_captured = [...captured, ...partial];
-          llmJudgment.ideas_partial = [];
-          llmJudgment.ideas_missing = missing;
-        }
-      } else {
-        // Last resort — both arrays and per_idea_scores empty.
-        computedScore = (typeof originalScore === 'number') ? Math.round(originalScore) : 0;
-        computedSum = computedScore;
-      }
-      computedScore = Math.max(0, Math.min(maxContent, computedScore));
-      llmJudgment.content_score = computedScore;
-      llmJudgment.content_score_raw_sum = computedSum;
-      llmJudgment.content_max = maxContent;
-      if (computedScore !== originalScore) {
-        llmJudgment.content_score_adjusted = { from: originalScore, to: computedScore, reason: perIdea ? 'computed_from_per_idea_scores' : 'reconciled_with_arrays' };
-      }
-      // Update reason text to reflect the final score.
-      const capList = llmJudgment.ideas_captured || [];
-      const partList = llmJudgment.ideas_partial || [];
-      const missList = llmJudgment.ideas_missing || [];
-      if (capList.length === maxContent && partList.length === 0 && missList.length === 0) {
-        llmJudgment.content_reason = `All ${maxContent} key ideas captured.`;
-      } else if (capList.length === 0 && partList.length === 0) {
-        llmJudgment.content_reason = `No key ideas captured (${missList.join(', ')} all missing).`;
-      } else {
-        const parts = [];
-        if (capList.length) parts.push(`${capList.length} fully (${capList.join(', ')})`);
-        if (partList.length) parts.push(`${partList.length} partial (${partList.join(', ')})`);
-        if (missList.length) parts.push(`${missList.length} missing (${missList.join(', ')})`);
-        llmJudgment.content_reason = `Captured ${parts.join('; ')}. Score: ${computedScore}/${maxContent}.`;
-      }
+    // ── TRAIT SCORES ──
+    const traits = {
+      content: judge.content_score,
+      form: form.score,
+      development: judge.development_score,
+      grammar: majorCount <= 1 ? 2 : majorCount <= 4 ? 1 : 0,
+      linguistic_range: language.linguistic_range.score,
+      vocabulary: language.vocabulary.score,
+      spelling: spelling.count === 0 ? 2 : spelling.count === 1 ? 1 : 0
+    };
+    const penalties = [];
+    // Paragraphing caps development: one block of text can't show structure.
+    const devCap = form.paragraph_count <= 1 ? 2 : form.paragraph_count < 3 ? 4 : ESSAY_TRAIT_MAX.development;
+    if (traits.development > devCap) {
+      penalties.push({ type: 'paragraphing', impact: `development_capped_at_${devCap}`, detail: form.paragraph_issues[0] });
+      traits.development = devCap;
     }
-
-    const fallback = judgeContentLocal(text, prompt, keyPoints, grammar);
-    const contentVerdict = llmJudgment || fallback;
-    // F1 (v19.17): when the local fallback is used (Claude failed twice), the
-    // response can't include grammar annotations or vocabulary swaps. Flag this
-    // so the frontend can show an honest "detailed feedback unavailable for this
-    // attempt — try again" notice instead of silently dropping those sections.
-    const aiFeedbackDegraded = !llmJudgment;
-    if (typeof contentVerdict.content_max !== 'number') contentVerdict.content_max = maxContent;
-    const contentScore = Math.max(0, Math.min(maxContent, contentVerdict.content_score || 0));
-
-    // ── VOCABULARY (now informed by LLM judgment) ──
-    const vocab = scoreVocabulary(verbatim, swaps, firstPerson, grammar, llmJudgment);
-
-    // ── GRAMMAR — apply spelling penalty (v19.6: scales with error count) ──
-    // Penalty bands: 1 typo → -0.25, 2 typos → -0.5, 3 typos → -0.75, 4+ → -1.0.
-    // Cap is -1.0 raw, which on a 9-point scale is roughly -8 PTE — bounded,
-    // but a sloppy summary with 4+ typos no longer escapes with -0.5.
-    let grammarScore = grammar.score;
-    if (spelling.count >= 1) {
-      const penalty = Math.min(1.0, 0.25 * spelling.count);
-      grammarScore = Math.max(0, grammarScore - penalty);
-      const hints = (spelling.suggestions || []).slice(0, 3).map(s => `"${s.misspelled}" → "${s.suggestion}"`).join(', ');
-      grammar.grammar_issues.push(`Spelling (${spelling.count} error${spelling.count > 1 ? 's' : ''}, -${penalty.toFixed(2)} raw): ${hints}`);
-    }
-
-    // ── COHESION ADJUSTMENT — v19.5: reads from contentVerdict ──
-    // Was llmJudgment-only, which meant the local fallback's weak-cohesion
-    // detection never triggered the gate. Now both paths feed in.
-    // Per user spec: "deduct scores if ideas are not well connected with each other".
-    let cohesionPenaltyApplied = false;
-    if (contentVerdict?.cohesion === 'weak') {
-      grammarScore = Math.max(0, grammarScore - 1.0);
-      grammar.grammar_issues.push('Clauses do not connect logically — ideas listed without proper logical glue');
-      cohesionPenaltyApplied = true;
-    }
-
-    // ── RAW SCORE ASSEMBLY (v19.4 dynamic max) ──
-    let rawScore = 1 + contentScore + grammarScore + vocab.score; // max = maxRaw
-
-    // Soft word-count overflow
-    if (form.overflow_penalty) rawScore -= form.overflow_penalty;
-
-    // ── CONTENT GATE — proportional cap based on idea coverage ─────────────
-    // Captured ratio drives the cap. The user's rule: each idea = one band.
-    // We additionally enforce a hard PTE cap so that severely incomplete
-    // summaries can't reach Band 9 just by having strong vocab/grammar.
-    //
-    // v19.5: boundaries widened so 50% coverage lands in the "PTE 50" tier
-    // (was strictly < 0.5 which excluded exactly 0.5 — 2/4 misclassified).
-    // New tiers:
-    //   0% captured        → PTE 15 cap
-    //   1%–50%  captured   → PTE 50 cap   (e.g. 2/4 = 50%)
-    //   51%–75% captured   → PTE 65 cap   (e.g. 3/4 captured but ratio≠1)
-    //   76%–<100% captured → PTE 79 cap
-    //   100% captured      → no cap
-    const capturedRatio = maxContent > 0 ? contentScore / maxContent : 1;
-    let contentCapPTE = null;
-    if (capturedRatio === 0)            contentCapPTE = 15;
-    else if (capturedRatio <= 0.5)      contentCapPTE = 50;
-    else if (capturedRatio <= 0.75)     contentCapPTE = 65;
-    else if (capturedRatio < 1)         contentCapPTE = 79;
-    if (contentCapPTE !== null) {
-      const capRaw = pteToRaw(contentCapPTE, maxRaw);
-      if (rawScore > capRaw) rawScore = capRaw;
-    }
-
-    // ── COHESION GATE — weak cohesion caps the score (PTE 62) ──
-    if (cohesionPenaltyApplied) {
-      const cohesionCapRaw = pteToRaw(62, maxRaw);
-      if (rawScore > cohesionCapRaw) rawScore = cohesionCapRaw;
-    }
-
-    rawScore = Math.max(0, Math.min(maxRaw, rawScore));
-    let overallScore = rawToPTEDynamic(rawScore, maxRaw);
-    let band = rawToBandDynamic(rawScore, maxRaw);
-
-    // v19.18: rollup softening. When a student has captured ALL the content and
-    // written a valid single-sentence summary (Content full + Form full), a
-    // single weak secondary trait (grammar OR vocab) shouldn't drag the band
-    // down more than half a band. The trait scores themselves are unchanged —
-    // grammar still honestly shows e.g. 1/2 with its feedback — but the OVERALL
-    // band reflects that the substance is fully there. This does NOT apply if
-    // BOTH grammar and vocab are weak (that's a genuinely weaker summary).
-    //
-    // Mechanism: compute the band the student WOULD get if their weaker of the
-    // two secondary traits (grammar/vocab) were bumped to full. The actual band
-    // is then floored at one half-band step below that hypothetical. Half-band
-    // steps, in order, are: 6 → 6.5 → 7 → 7.5 → 8 → 9. The PTE number is floored
-    // to the softened band's minimum so the two stay consistent.
-    const contentFull = (maxContent > 0 && contentScore >= maxContent);
-    const formFull = (form >= 1);
-    const grammarWeak = grammarScore < 2;
-    const vocabWeak = vocab.score < 2;
-    // Band → minimum PTE for that band (matches rawToBandDynamic thresholds).
-    const BAND_MIN_PTE = { 'Band 5': 10, 'Band 6': 27, 'Band 6.5': 39, 'Band 7': 50, 'Band 7.5': 61, 'Band 8': 73, 'Band 9': 84 };
-    // Only soften when exactly ONE secondary trait is weak (not both).
-    if (contentFull && formFull && (grammarWeak !== vocabWeak)) {
-      const BAND_LADDER = ['Band 5','Band 6','Band 6.5','Band 7','Band 7.5','Band 8','Band 9'];
-      const missingPts = (2 - grammarScore) + (2 - vocab.score); // only one is >0 here
-      const hypotheticalRaw = Math.min(maxRaw, rawScore + missingPts);
-      const hypotheticalBand = rawToBandDynamic(hypotheticalRaw, maxRaw);
-      const hypoIdx = BAND_LADDER.indexOf(hypotheticalBand);
-      const actualIdx = BAND_LADDER.indexOf(band);
-      const flooredIdx = Math.max(actualIdx, hypoIdx - 1);
-      if (flooredIdx > actualIdx && flooredIdx >= 0) {
-        const newBand = BAND_LADDER[flooredIdx];
-        // Floor the PTE number to the new band's minimum (only raise, never lower).
-        const newMinPTE = BAND_MIN_PTE[newBand] || overallScore;
-        if (DEBUG) console.log(`[grade] band softened ${band} → ${newBand}, PTE ${overallScore} → ${Math.max(overallScore, newMinPTE)} (content+form full, one weak trait)`);
-        band = newBand;
-        overallScore = Math.max(overallScore, newMinPTE);
-      }
+    if (traits.content === 0) {
+      for (const k of Object.keys(traits)) if (k !== 'form') traits[k] = 0;
+      penalties.push({ type: 'content_gate', impact: 'all_zero', detail: 'Essay does not address the question' });
     }
+    if (form.score === 1) penalties.push({ type: 'word_count', impact: -1, detail: `${form.wc} words (target 200–300)` });
 
-    const skillContributions = estimateSkillContributions(rawScore, contentScore, grammarScore, vocab.score, swaps, llmJudgment, maxContent, maxRaw);
-    const feedbackCard = buildFeedbackCard(contentVerdict, grammar, vocab, firstPerson, form, spelling, rawScore, contentScore, grammarScore, llmJudgment, maxContent, maxRaw);
-    const feedback = feedbackCard.summary_line;
-    const improvementTips = feedbackCard.improvements.map(i => `${i.icon} ${i.action}`).join(' • ');
-
-    const result = {
-      // F1 (v19.17): true when Claude was unavailable and the local fallback
-      // produced the scores (no grammar annotations / vocab swaps available).
-      ai_feedback_degraded: aiFeedbackDegraded,
-      trait_scores: {
-        form: 1,
-        form_max: 1,
-        content: contentScore,
-        content_max: maxContent,         // v19.4: 3 or 4 depending on passage
-        grammar: Math.round(grammarScore * 10) / 10,
-        grammar_max: 2,
-        vocabulary: Math.round(vocab.score * 10) / 10,
-        vocabulary_max: 2
-      },
-      content_details: {
-        key_ideas_extracted: [
-          ...(contentVerdict.ideas_captured || []),
-          ...(contentVerdict.ideas_partial  || []),
-          ...(contentVerdict.ideas_missing  || [])
-        ],
-        key_ideas_present: contentVerdict.ideas_captured || [],
-        key_ideas_partial: contentVerdict.ideas_partial  || [],
-        key_ideas_missing: contentVerdict.ideas_missing  || [],
-        per_idea_scores: contentVerdict.per_idea_scores  || null,
-        notes: contentVerdict.content_reason,
-        feels_connected: contentVerdict.cohesion ? contentVerdict.cohesion !== 'weak' : true,
-        cohesion: contentVerdict.cohesion || 'unknown',
-        feedback_note: contentVerdict.feedback_note || '',
-        source: contentVerdict.source || 'local_fallback',
-        score_adjusted: contentVerdict.content_score_adjusted || null,
-        // v19.7.2: surface the headline-rescue audit so debugging is easy.
-        // Lists which 0.5 → 1.0 upgrades were applied based on headline match.
-        headline_rescue: contentVerdict.headline_rescue || null
-      },
-      grammar_details: {
-        score: grammarScore,
-        has_connector: grammar.has_connector,
-        connector_used: grammar.connector_used,
-        connector_type: grammar.connector_type,
-        connector_quality: grammar.connector_quality,
-        has_semicolon_before_connector: grammar.has_semicolon_before_connector,
-        grammar_issues: grammar.grammar_issues,
-        // v19.12: inline grammar annotations from Claude. Each entry has phrase
-        // (verbatim substring), fix, severity (major/minor), type, rationale.
-        // The frontend renders these as tooltipped underlines on the summary.
-        // Filtered to only include phrases that actually appear in the student's
-        // text — Claude occasionally paraphrases despite the instruction, and we
-        // never want a tooltip that points to text the student didn't write.
-        grammar_annotations: (() => {
-          const ann = Array.isArray(contentVerdict.grammar_annotations) ? contentVerdict.grammar_annotations : [];
-          const lc = (text || '').toLowerCase();
-          const valid = ann.filter(a => a && typeof a.phrase === 'string' && typeof a.fix === 'string' && a.phrase.length > 0);
-          const inText = valid.filter(a => lc.includes(a.phrase.toLowerCase()));
-          // v19.12 diagnostic: surface what's happening to grammar_annotations on each grade call.
-          if (ann.length > 0 && inText.length < ann.length) {
-            if (DEBUG) console.log(`[grade] grammar_annotations: Claude returned ${ann.length}, ${inText.length} passed filter (phrase must be in summary)`);
-            // Log the dropped phrases so we can see if Claude is paraphrasing despite the instruction.
-            const dropped = valid.filter(a => !lc.includes(a.phrase.toLowerCase())).map(a => a.phrase);
-            if (dropped.length && DEBUG) console.log('  dropped phrases (paraphrased, not verbatim):', JSON.stringify(dropped));
-          }
-          return inText
-            .map(a => ({
-              phrase: a.phrase,
-              fix: String(a.fix).slice(0, 200),
-              severity: (a.severity === 'major' || a.severity === 'minor') ? a.severity : 'minor',
-              type: typeof a.type === 'string' ? a.type.slice(0, 30) : 'style',
-              rationale: typeof a.rationale === 'string' ? a.rationale.slice(0, 500) : ''
-            }))
-            .slice(0, 20);
-        })(),
-        first_person: grammar.first_person,
-        spelling_errors: spelling.errors,
-        spelling_suggestions: spelling.suggestions,
-        spelling_count: spelling.count,
-        cohesion: contentVerdict.cohesion || 'unknown'
-      },
-      vocabulary_details: {
-        score: vocab.score,
-        verbatim_rate: vocab.verbatim_rate + '%',
-        safe_swaps: vocab.safe_swaps,
-        structural_changes: vocab.structural_changes || [],
-        dangerous_swaps: vocab.dangerous_swaps,
-        safe_swap_count: vocab.total_paraphrase_credit,
-        structural_count: vocab.structural_count || 0,
-        dangerous_swap_count: vocab.dangerous_swap_count,
-        inappropriate_count: vocab.inappropriate_count || 0,
-        meaning_changed: vocab.meaning_changed,
-        academic_words: vocab.academic_words,
-        perspective_shifted: vocab.perspective_shifted,
-        method: vocab.method,
-        notes: vocab.notes,
-        suggestion: vocab.suggestion,
-        breakdown: vocab.breakdown
-      },
-      paraphrase_analysis: {
-        quality: swaps.totalParaphraseCredit >= 4 ? 100 : Math.round((swaps.totalParaphraseCredit / 4) * 100),
-        rating: swaps.totalParaphraseCredit >= 4 ? 'strong' : swaps.totalParaphraseCredit >= 2 ? 'moderate' : 'weak',
-        swaps: swaps.safeSwaps, dangerous: swaps.dangerousSwaps,
-        academic_words: swaps.academicWordsUsed, novel_words: swaps.novelWords,
-        novel_word_rate: swaps.novelWordRate + '%',
-        safeSwapCount: swaps.safeSwapCount, structuralCount: swaps.structuralCount,
-        totalCredit: swaps.totalParaphraseCredit, dangerousSwapCount: swaps.dangerousSwapCount
-      },
-      verbatim_analysis: { rate: verbatim.verbatimRate + '%', is_verbatim: verbatim.isVerbatim, longest_run: verbatim.longestRun },
-      first_person_detected: firstPerson.detected,
-      first_person_problematic: firstPerson.isProblematic,
-      first_person_details: firstPerson,
-      skill_contributions: skillContributions,
+    const rawScore = Object.values(traits).reduce((a, b) => a + b, 0);
+    const overallScore = rawToPTEDynamic(rawScore, ESSAY_MAX_RAW);
+    const band = rawToBandDynamic(rawScore, ESSAY_MAX_RAW);
+
+    const localFeedback = buildEssayTraitFeedback(form, grammarErrors, spelling, language);
+    const judgeFeedback = judge.feedback && typeof judge.feedback === 'object' ? judge.feedback : {};
+    const asList = (v) => (Array.isArray(v) ? v.filter(x => typeof x === 'string' && x.trim()).slice(0, 4) : []);
+
+    res.json({
+      success: true,
+      ai_feedback_degraded: !llmJudgment,
+      trait_scores: Object.fromEntries(Object.keys(ESSAY_TRAIT_MAX).flatMap(k => [[k, traits[k]], [`${k}_max`, ESSAY_TRAIT_MAX[k]]])),
       overall_score: overallScore,
       raw_score: rawScore,
-      max_raw_score: maxRaw,                // v19.4: dynamic ceiling
-      total_ideas: maxContent,               // 3 or 4 — drives content_max
+      max_raw_score: ESSAY_MAX_RAW,
       band,
       word_count: form.wc,
-      word_count_warning: form.warning || null,
-      feedback,
-      feedback_card: feedbackCard,
-      improvement_tips: improvementTips,
-      key_ideas_status: {
-        captured: contentVerdict.ideas_captured || [],
-        missing: contentVerdict.ideas_missing || []
+      paragraph_count: form.paragraph_count,
+      form_gate_triggered: false,
+      form_details: { score: form.score, reason: form.reason, paragraph_issues: form.paragraph_issues },
+      content_details: { score: traits.content, reason: judge.content_reason || '', addresses_all_parts: judge.addresses_all_parts !== false, source: judge.source },
+      development_details: { score: traits.development, reason: judge.development_reason || '', paragraph_count: form.paragraph_count, source: judge.source },
+      grammar_details: { score: traits.grammar, issue_count: grammarErrors.length, major_count: majorCount, sentence_count: grammar.sentence_count },
+      linguistic_range_details: language.linguistic_range,
+      vocabulary_details: language.vocabulary,
+      spelling_details: {
+        count: spelling.count,
+        errors: (spelling.suggestions || []).map(s => ({ misspelled: s.misspelled, suggestion: s.suggestion, suggestions: s.suggestions || [s.suggestion].filter(Boolean), source: s.source || 'passage' })),
+        variant: spelling.variant
+      },
+      errors: [...spellingErrors, ...grammarErrors],
+      feedback: {
+        content: typeof judgeFeedback.content === 'string' && judgeFeedback.content ? judgeFeedback.content : judge.content_reason,
+        development: typeof judgeFeedback.development === 'string' && judgeFeedback.development ? judgeFeedback.development : judge.development_reason,
+        ...localFeedback
       },
-      method_detected: vocab.method,
-      penalties_applied: buildPenaltiesList(form, contentScore, vocab, spelling, maxContent),
+      strengths: asList(judge.strengths),
+      improvements: asList(judge.improvements),
+      template_detector: ['good', 'ok', 'flag'].includes(judge.template_detector) ? judge.template_detector : 'ok',
+      template_note: typeof judge.template_note === 'string' ? judge.template_note : '',
+      overall_verdict: typeof judge.overall_verdict === 'string' ? judge.overall_verdict : '',
+      sample_response: typeof judge.sample_response === 'string' ? judge.sample_response : '',
+      penalties_applied: penalties,
       llm_used: !!llmJudgment,
-      scoring_version: '19.10.0',
+      llm_request_key: llmJudgment?.llm_request_key || null,
       mode: llmJudgment ? 'claude' : 'local',
-      vocabulary_suggestions: generateVocabSuggestions(text),
-      spelling_details: {
-        count: spelling.count,
-        // v19.6: each suggestion may carry its own `source` (passage|dictionary)
-        // — preserve it so the UI can show where the typo flag came from. Some
-        // suggestions also have a `suggestions` array of alternatives.
-        errors: (spelling.suggestions || []).map(s => ({
-          misspelled: s.misspelled,
-          suggestion: s.suggestion,
-          suggestions: s.suggestions || [s.suggestion].filter(Boolean),
-          source: s.source || 'passage'
-        })),
-        note: spelling.count > 0
-          ? `${spelling.count} spelling error${spelling.count > 1 ? 's' : ''} (−${Math.min(1.0, 0.25 * spelling.count).toFixed(2)} raw, cap -1.0)`
-          : null
-      }
-    };
-
-    if (userId && req.body.passageId) {
-      try { await StorageAPI.saveProgress(userId, req.body.passageId, text, result); result.saved = true; }
-      catch (e) { result.saved = false; if (DEBUG) console.error('[grade] saveProgress FAILED — user', userId, 'passage', req.body.passageId, '—', e.message); }
-    } else {
-      result.saved = false;
-      if (DEBUG) console.error('[grade] NOT saving at grade-time — userId:', userId || '(MISSING)', 'passageId:', req.body.passageId || '(MISSING)', '— note: the sync endpoint is the primary save path, so this alone does not mean data is lost.');
-    }
-
-    // v19.11: attach the LIVE passage's key elements + rationale to the response.
-    // The results screen uses this to render "About this passage" and "Key
-    // Element Coverage" from current server data — not the student's stale
-    // in-memory copy. Without this, a student who had the page open before an
-    // admin edit would see the old feedback on a brand-new attempt.
-    if (passageId != null) {
-      try {
-        const live = await PassageAPI.getById(passageId);
-        if (live) {
-          result.passage_current = {
-            id: live.id,
-            title: live.title,
-            category: live.category,
-            keyElements: live.keyElements || {},
-            keyElementsRationale: live.keyElementsRationale || null,
-            extractionMeta: live.extractionMeta || null
-          };
-        }
-      } catch (e) { /* non-fatal — frontend falls back to its own copy */ }
-    }
-
-    // ── Vocabulary swap suggestions ──
-    // Prefer Claude's context-aware recommendations (no Datamuse out-of-context noise).
-    // The legacy thesaurus_candidates field is preserved for backward compat but only
-    // populated when Claude is unavailable (and even then we don't render it in UI v19).
-    if (llmJudgment && Array.isArray(llmJudgment.recommended_swaps)) {
-      // Filter out anything where the word doesn't actually appear in the student text
-      // (Claude occasionally suggests swaps for words that aren't present)
-      const studentLower = text.toLowerCase();
-      const raw = llmJudgment.recommended_swaps;
-      const filtered = raw
-        .filter(s => s && typeof s.word === 'string' && s.word.length > 0
-                  && Array.isArray(s.synonyms) && s.synonyms.length > 0
-                  && studentLower.includes(s.word.toLowerCase()))
-        .slice(0, 8)
-        .map(s => ({
-          word: s.word,
-          context: s.context || '',
-          synonyms: s.synonyms.slice(0, 5).filter(x => typeof x === 'string' && x.length > 0),
-          rationale: s.rationale || ''
-        }))
-        .filter(s => s.synonyms.length > 0);
-      result.vocabulary_swap_suggestions = filtered;
-      result.swap_source = 'claude';
-      // v19.16 diagnostic: log how many swaps Claude returned vs how many survived
-      // the substring-must-be-in-text filter. If "raw" is consistently low, Claude
-      // is ignoring the prompt's 7-8 mandate. If "raw" is fine but "filtered" is
-      // low, Claude is suggesting words that aren't in the student text (it's
-      // confusing passage words with summary words).
-      if (DEBUG) console.log(`[grade] vocab swaps: Claude returned ${raw.length}, ${filtered.length} passed filter`);
-      if (raw.length > 0 && filtered.length < raw.length) {
-        const dropped = raw
-          .filter(s => s && s.word && !studentLower.includes(String(s.word).toLowerCase()))
-          .map(s => s.word);
-        if (dropped.length) {
-          if (DEBUG) console.log(`  dropped swap words (not in student text):`, JSON.stringify(dropped));
-        }
-      }
-    } else {
-      result.vocabulary_swap_suggestions = [];
-      result.swap_source = 'none';
-      if (DEBUG) console.log(`[grade] vocab swaps: Claude returned no recommended_swaps array`);
-    }
-    // Keep legacy field empty in v19 — frontend no longer reads it
-    result.thesaurus_candidates = [];
-
-    res.json(result);
+      scoring_version: ESSAY_SCORING_VERSION
+    });
   } catch (error) {
-    console.error('Grade error:', error);
+    console.error('Essay grade error:', error);
     res.status(500).json({ error: 'Server error', details: error.message });
   }
 });
@@ -5569,10 +12537,15 @@ function validateGeneratedEssayText(plan, text) {
   };
 }
 
-app.post('/api/generate-essay', async (req, res) => {
-  if (!anthropic) {
-    return res.status(500).json({ error: 'Server is missing ANTHROPIC_API_KEY environment variable.' });
+// Routes that call the model outright. Mounted ahead of the OpenAPI check too.
+function requireLlm(req, res, next) {
+  if (!llm.available) {
+    return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured (set ANTHROPIC_API_KEY, or LLM_PROVIDER=openai|offline).` });
   }
+  next();
+}
+
+app.post('/api/generate-essay', requireLlm, async (req, res) => {
 
   const { plan, template, sidedNote } = req.body;
   if (!plan || !template) {
@@ -5680,13 +12653,14 @@ Please rewrite the essay to completely fix these issues. Ensure all instructions
       }
 
       try {
-        const response = await anthropic.messages.create({
+        const response = await llm.complete({
+          purpose: 'essay_generation',
           model: 'claude-sonnet-4-6',
           max_tokens: 2000,
           messages: [{ role: 'user', content: promptForAttempt }]
         });
         
-        text = response.content.map(c => c.text || '').join('\n').trim();
+        text = (response.text || '').trim();
 
         if (isBand6 && mode === 'just_phrases') {
           finalValidation = { ok: true, errors: [], warnings: [] };
@@ -5745,24 +12719,46 @@ Please rewrite the essay to completely fix these issues. Ensure all instructions
 });
 
 // Claude proxy endpoint
-app.post('/api/claude', async (req, res) => {
-  if (!ANTHROPIC_API_KEY) {
-    return res.status(500).json({ error: { message: 'Server is missing ANTHROPIC_API_KEY environment variable.' } });
+// v20.3: Anthropic requests are forwarded untouched. Other providers get the
+// text conversation (model, system, messages, max_tokens, temperature) and the
+// reply is wrapped in a Messages-API body so the browser code needn't change.
+// requireLlm with the error in the Messages-API shape.
+function requireLlmProxy(req, res, next) {
+  if (!llm.available) {
+    return res.status(500).json({ error: { message: `LLM provider "${llm.name}" is not configured (set ANTHROPIC_API_KEY, or LLM_PROVIDER=openai|offline).` } });
   }
+  next();
+}
+
+app.post('/api/claude', requireLlmProxy, async (req, res) => {
   try {
-    const upstream = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(req.body)
+    if (llm.passthrough) {
+      const upstream = await llm.passthrough(req.body);
+      res.status(upstream.status);
+      res.setHeader('Content-Type', upstream.contentType);
+      return res.send(upstream.body);
+    }
+    const body = req.body || {};
+    if (!Array.isArray(body.messages) || !body.messages.length) {
+      return res.status(400).json({ error: { message: 'messages array is required' } });
+    }
+    const response = await llm.complete({
+      purpose: 'proxy',
+      model: body.model || CLAUDE_MODEL,
+      system: body.system,
+      messages: body.messages,
+      max_tokens: body.max_tokens,
+      temperature: body.temperature
+    });
+    res.json({
+      id: 'msg_' + response.request_key,
+      type: 'message',
+      role: 'assistant',
+      model: response.model,
+      content: response.content,
+      stop_reason: response.stop_reason,
+      usage: response.usage
     });
-    const text = await upstream.text();
-    res.status(upstream.status);
-    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json');
-    res.send(text);
   } catch (err) {
     console.error('Proxy error:', err);
     res.status(500).json({ error: { message: 'Proxy error: ' + err.message } });
@@ -5790,10 +12786,14 @@ app.post('/api/render-pdf', async (req, res) => {
 });
 
 // Email essay with PDF attachment
-app.post('/api/email-essay', async (req, res) => {
+function requireMailTransport(req, res, next) {
   if (!mailTransport) {
     return res.status(500).json({ error: 'Server is not configured to send email. Set GMAIL_USER and GMAIL_APP_PASSWORD in Railway env vars.' });
   }
+  next();
+}
+
+app.post('/api/email-essay', requireMailTransport, async (req, res) => {
   const { to, essayTitle, fileName, html: rawHtml, pdfBase64 } = req.body || {};
 
   if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
@@ -5873,6 +12873,1061 @@ function escapeHtmlServer(s) {
   return String(s || '').replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// API CONTRACT — OPENAPI 3 (v20.23)
+//
+// One OpenAPI 3.0 document describes every /api route, and the same document
+// checks requests on the way in:
+//   GET /api/openapi.json   the document
+//   GET /api/docs           a browsable page rendered from it
+//
+// validateApiRequest() (registered ahead of every route, after the body
+// parsers, the IP limiters and the configuration guards) finds the operation for a request and checks
+// its path parameters, query string and JSON body against the schemas. A
+// request that fails gets a 400 before any handler runs (but after a missing
+// admin key, LLM provider or mail transport has been reported):
+//   { error: 'Invalid request: body.text is required; …',
+//     fields: [{ field: 'body.text', message: 'is required' }, …] }
+// Malformed JSON gets the same shape. Handlers keep their own checks for
+// what a schema can't say (a passage that must exist, a score range that
+// depends on the passage); those 400s are { error } alone.
+//
+// Only the subset of JSON Schema used below is enforced: type, nullable,
+// enum, minimum/maximum, minLength/maxLength, pattern, items, minItems/
+// maxItems, properties, required, additionalProperties, anyOf, allOf and $ref.
+// Unknown body fields are allowed unless a schema says otherwise. Form posts
+// (the LTI endpoints) and CSV bodies are described but not validated — they
+// are parsed per route, after this runs. Query and path values arrive as
+// strings and are read as the schema's type ("5" is a valid integer).
+//
+// A route added without a matching entry here is logged at boot
+// (checkOpenApiCoverage), so the document can't quietly fall behind.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const OA_MAX_FIELD_ERRORS = 20;
+
+const oaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const oaStr = (x = {}) => ({ type: 'string', ...x });
+const oaInt = (x = {}) => ({ type: 'integer', ...x });
+const oaNum = (x = {}) => ({ type: 'number', ...x });
+const oaBool = (x = {}) => ({ type: 'boolean', ...x });
+const oaArr = (items, x = {}) => ({ type: 'array', items, ...x });
+const oaObj = (properties = {}, required = [], x = {}) => ({ type: 'object', properties, ...(required.length ? { required } : {}), ...x });
+const oaMap = (values, x = {}) => ({ type: 'object', additionalProperties: values, ...x });
+// An id given as a number or a numeric string.
+const oaId = (description) => ({ anyOf: [oaInt(), oaStr({ pattern: '^\\d+$' })], ...(description ? { description } : {}) });
+const oaJsonContent = (schema) => ({ 'application/json': { schema } });
+
+const OA_SECURITY = {
+  admin: [{ adminKey: [] }],
+  teacher: [{ sessionToken: [] }, { adminKey: [] }],
+  session: [{ sessionToken: [] }],
+  apiKey: [{}, { apiKey: [] }, { apiKeyBearer: [] }],
+  apiKeyRequired: [{ apiKey: [] }, { apiKeyBearer: [] }]
+};
+
+// The error statuses each kind of auth can answer with.
+const OA_AUTH_ERRORS = {
+  admin: [403, 503],
+  teacher: [401, 403],
+  session: [401, 403],
+  apiKey: [401, 403, 429],
+  apiKeyRequired: [401, 403]
+};
+
+const OA_ERROR_DESCRIPTIONS = {
+  400: 'Invalid request', 401: 'Not authenticated', 403: 'Not allowed', 404: 'Not found', 409: 'Conflict with the current state',
+  413: 'Request body too large', 429: 'Rate limit or quota reached', 500: 'Server error', 502: 'Upstream model failed', 503: 'Not configured on this server'
+};
+
+// One operation. o: { tag, summary, description?, auth?, path?: { name: schema },
+// query?: { name: schema }, requiredQuery?: [], body?: schema (JSON),
+// content?: { mediaType: { schema } } (other bodies), bodyOptional?, status?,
+// ok?: schema | response?: a whole response object, errors?: [status] }
+function oaOperation(o) {
+  const parameters = [
+    ...Object.entries(o.path || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+    ...Object.entries(o.query || {}).map(([name, schema]) => ({ name, in: 'query', required: (o.requiredQuery || []).includes(name), schema }))
+  ];
+  const op = { tags: [o.tag], summary: o.summary };
+  if (o.description) op.description = o.description;
+  if (o.auth) op.security = OA_SECURITY[o.auth];
+  if (parameters.length) op.parameters = parameters;
+  if (o.body || o.content) op.requestBody = { required: !o.bodyOptional, content: o.content || oaJsonContent(o.body) };
+  op.responses = { [o.status || 200]: o.response || { description: 'OK', content: oaJsonContent(o.ok || oaRef('Success')) } };
+  const errors = new Set([...(parameters.length || op.requestBody ? [400] : []), ...(OA_AUTH_ERRORS[o.auth] || []), ...(o.errors || []), 500]);
+  for (const code of [...errors].sort()) {
+    op.responses[code] = { description: OA_ERROR_DESCRIPTIONS[code], content: oaJsonContent(oaRef(code === 400 ? 'ValidationError' : 'Error')) };
+  }
+  return op;
+}
+
+const OA_HTML = (description) => ({ description, content: { 'text/html': { schema: oaStr() } } });
+
+const OA_SCHEMAS = {
+  Success: oaObj({ success: oaBool() }),
+  Error: oaObj({ error: oaStr(), details: oaStr({ description: 'The underlying failure, on 5xx' }) }, ['error']),
+  FieldError: oaObj({ field: oaStr({ description: 'Where the value sits: body.x, body.items[2].y, query.x or path.x' }), message: oaStr() }, ['field', 'message']),
+  ValidationError: oaObj({
+    error: oaStr({ description: 'Every failing field in one sentence' }),
+    fields: oaArr(oaRef('FieldError'), { description: 'Present when the request failed its schema' })
+  }, ['error']),
+  KeyElements: oaObj({
+    what: oaStr(), why: oaStr(), how: oaStr(), result: oaStr(),
+    topic: oaStr({ description: 'Legacy topic/pivot/conclusion framework' }), pivot: oaStr(), conclusion: oaStr()
+  }),
+  Passage: oaObj({
+    id: oaInt(), title: oaStr(), category: oaStr(), text: oaStr(), keyElements: oaRef('KeyElements'),
+    sampleResponse: oaStr(), sampleNotes: oaStr(),
+    keyElementsRationale: oaObj({ topic: oaStr(), importance: oaStr(), elements: oaMap(oaStr()) }),
+    extractionMeta: oaObj({ framework: oaStr({ enum: ['tpc', 'wwhr'] }), confidence: oaStr({ enum: ['high', 'medium', 'low'] }), framework_reason: oaStr(), extractedAt: oaStr() })
+  }),
+  PassageInput: oaObj({
+    id: oaId('Omit to create a passage'),
+    title: oaStr({ minLength: 1, description: 'Cut to 200 characters' }), category: oaStr(), text: oaStr({ minLength: 1 }),
+    keyElements: oaRef('KeyElements'), sampleResponse: oaStr(), sampleNotes: oaStr(),
+    keyElementsRationale: oaObj(), extractionMeta: oaObj(),
+    revisionSource: oaStr({ description: `One of ${PASSAGE_REVISION_SOURCES.join(', ')}; worked out from extractionMeta when omitted` }),
+    revisionNote: oaStr()
+  }, ['title', 'text', 'keyElements']),
+  PassageRevision: oaObj({
+    passage_id: oaInt(), revision: oaInt(), author: oaStr(), source: oaStr({ enum: PASSAGE_REVISION_SOURCES }), note: oaStr({ nullable: true }),
+    created_at: oaStr({ format: 'date-time' }), payload: oaRef('Passage')
+  }),
+  TraitScores: oaMap(oaNum(), { description: 'Each trait with its <trait>_max beside it' }),
+  SwtGradeRequest: oaObj({
+    text: oaStr({ minLength: 1, maxLength: 4000, description: 'The one-sentence summary' }),
+    type: oaStr({ minLength: 1, description: "Task type, 'swt'" }),
+    prompt: oaStr({ minLength: 1, maxLength: 20000, description: 'The passage text' }),
+    keyPoints: oaRef('KeyElements'),
+    passageId: { ...oaId('Bundled passage id — its live key elements and revision win over keyPoints'), nullable: true },
+    userId: oaStr({ description: 'Saves the attempt to this account' }),
+    writingSeconds: oaNum({ minimum: 0 }),
+    trace: oaBool({ description: 'Include the per-stage score trace' }),
+    spelling: oaStr({ description: `${SPELLING_PREFERENCES.join(', ')} (or an alias such as british)` }),
+    judgeMode: oaStr({ description: JUDGE_MODES.join(', ') }),
+    ensemblePolicy: oaStr({ description: ENSEMBLE_POLICIES.join(', ') }),
+    disagreementThreshold: oaNum({ minimum: 0, maximum: 1 })
+  }, ['text', 'type', 'prompt']),
+  SwtGradeResult: oaObj({
+    trait_scores: oaRef('TraitScores'), overall_score: oaInt({ minimum: 10, maximum: 90 }), raw_score: oaNum(), max_raw_score: oaNum(),
+    band: oaStr(), word_count: oaInt(), total_ideas: oaInt(),
+    form_gate_triggered: oaBool(), form_reason: oaStr(),
+    content_details: oaObj(), grammar_details: oaObj(), vocabulary_details: oaObj(), spelling_details: oaObj(),
+    paraphrase_analysis: oaObj(), verbatim_analysis: oaObj(), feedback: oaStr(), feedback_card: oaObj(),
+    penalties_applied: oaArr(oaObj({ type: oaStr(), impact: oaStr(), detail: oaStr() })),
+    needs_review: oaBool(), review_reasons: oaArr(oaStr()),
+    llm_used: oaBool(), llm_request_key: oaStr({ nullable: true }), mode: oaStr(), judge_mode: oaStr(),
+    scoring_version: oaStr(), scoring_profile: oaObj({ id: oaStr(), name: oaStr() }),
+    cached: oaBool(), passage_revision: oaInt({ nullable: true }), trace: oaObj(),
+    saved: oaBool(), attempt_id: oaInt({ nullable: true }), passage_current: oaObj()
+  }),
+  EssayGradeRequest: oaObj({
+    essay: oaStr({ maxLength: 8000 }), text: oaStr({ description: 'Alias of essay' }),
+    question: oaStr({ maxLength: 3000 }), prompt: oaStr({ description: 'Alias of question' }),
+    spelling: oaStr({ description: SPELLING_PREFERENCES.join(', ') })
+  }),
+  EssayGradeResult: oaObj({
+    success: oaBool(), trait_scores: oaRef('TraitScores'), overall_score: oaInt(), raw_score: oaNum(), max_raw_score: oaNum(), band: oaStr(),
+    word_count: oaInt(), paragraph_count: oaInt(), form_gate_triggered: oaBool(), form_details: oaObj(),
+    feedback: oaMap(oaStr()), errors: oaArr(oaObj()), strengths: oaArr(oaStr()), improvements: oaArr(oaStr()),
+    penalties_applied: oaArr(oaObj()), llm_used: oaBool(), mode: oaStr(), scoring_version: oaStr()
+  }),
+  BatchRow: oaObj({
+    student: oaStr({ description: 'Also: student_label, label, name' }),
+    passage_id: oaId('Also: passageId, passage'),
+    summary: oaStr({ description: 'Also: text, response, answer' })
+  }),
+  BatchJob: oaObj({
+    id: oaStr(), status: oaStr({ enum: ['queued', 'running', 'done', 'failed'] }), total: oaInt(), done: oaInt(), failed: oaInt(), pending: oaInt(),
+    percent: oaInt(), options: oaObj({ spelling: oaStr(), judge_mode: oaStr() }),
+    created_at: oaStr({ format: 'date-time' }), started_at: oaStr({ nullable: true }), finished_at: oaStr({ nullable: true }), error: oaStr()
+  }),
+  Attempt: oaObj({
+    id: oaInt(), username: oaStr(), task: oaStr(), passage_id: oaInt(), passage_revision: oaInt({ nullable: true }), text: oaStr(), word_count: oaInt(),
+    trait_scores: oaRef('TraitScores'), overall_score: oaInt(), raw_score: oaNum(), max_raw_score: oaNum(), band: oaStr(),
+    timings: oaObj({ grade_ms: oaInt(), writing_seconds: oaInt({ nullable: true }) }), scoring_version: oaStr(), mode: oaStr(), cached: oaBool(),
+    needs_review: oaBool(), review_reasons: oaArr(oaStr()), reviewed_at: oaStr({ nullable: true }), scoring_profile: oaStr({ nullable: true }),
+    created_at: oaStr({ format: 'date-time' })
+  }),
+  AttemptPage: oaObj({ attempts: oaArr(oaRef('Attempt')), total: oaInt(), limit: oaInt(), offset: oaInt(), has_more: oaBool() }),
+  Review: oaObj({
+    id: oaInt(), attempt_id: oaInt(), username: oaStr(), passage_id: oaInt(), reviewer: oaStr(),
+    original: oaObj({ trait_scores: oaRef('TraitScores'), overall_score: oaInt(), raw_score: oaNum(), band: oaStr(), scoring_version: oaStr() }),
+    adjusted: oaObj({ trait_scores: oaRef('TraitScores'), overall_score: oaInt(), band: oaStr() }),
+    changed: oaArr(oaStr()), comment: oaStr(), trait_comments: oaMap(oaStr()), created_at: oaStr({ format: 'date-time' })
+  }),
+  ReviewInput: oaObj({
+    trait_scores: oaMap(oaNum(), { description: 'Traits to override: form, content, grammar, vocabulary' }),
+    overall_score: oaInt({ minimum: 10, maximum: 90 }),
+    comment: oaStr({ description: 'Required when a score changes; cut to 2000 characters' }),
+    trait_comments: oaMap(oaStr())
+  }),
+  ScoringProfile: oaObj({
+    id: oaStr({ description: "'builtin' for the linear mapping" }), name: oaStr(), status: oaStr({ enum: ['draft', 'published'] }), active: oaBool(), mappings: oaObj(), report: oaObj({ nullable: true }),
+    source: oaStr({ nullable: true }), samples: oaInt({ nullable: true }), created_by: oaStr({ nullable: true }),
+    created_at: oaStr({ nullable: true }), published_at: oaStr({ nullable: true })
+  }),
+  CalibrationSample: oaObj({
+    pte: oaInt({ minimum: 10, maximum: 90 }), attempt_id: oaId(), raw_score: oaNum(), max_raw_score: oaNum(),
+    text: oaStr(), passageId: oaId(), passage: oaObj({ text: oaStr(), keyElements: oaRef('KeyElements') })
+  }, ['pte']),
+  UserData: oaObj({
+    attempted: oaArr({}), summaries: oaObj(), scores: oaObj(), history: oaMap(oaArr(oaObj()), { description: 'Attempts per passage id' }),
+    stats: oaObj({ totalAttempts: oaInt(), averageScore: oaNum() }), essays: oaArr({}), templates: oaObj(), currentId: { nullable: true },
+    quotaUsed: oaObj(), quotaDate: oaStr(), practiceHistory: oaArr({}), vocabProgress: oaObj(), spellingPreference: oaStr({ nullable: true }),
+    email: oaStr()
+  }),
+  AuthResult: oaObj({ success: oaBool(), error: oaStr(), user: oaObj({ username: oaStr(), role: oaStr() }), token: oaStr({ description: 'Session token for x-session-token' }) }),
+  LtiPlatform: oaObj({
+    id: oaInt(), name: oaStr(), issuer: oaStr(), client_id: oaStr(), deployment_ids: oaArr(oaStr()),
+    auth_login_url: oaStr(), auth_token_url: oaStr(), jwks_url: oaStr(), created_at: oaStr(), updated_at: oaStr()
+  }),
+  LtiTeacherRequest: oaObj({
+    username: oaStr(), role: oaStr(), issuer: oaStr(), sub: oaStr(), platform_id: oaInt(), platform_name: oaStr(), deployment_id: oaStr(),
+    context_id: oaStr({ nullable: true }), context_title: oaStr({ nullable: true }), requested_at: oaStr()
+  }),
+  ApiClient: oaObj({
+    id: oaInt(), name: oaStr(), contact: oaStr(), disabled: oaBool(),
+    spelling_preference: oaStr({ nullable: true, description: `${SPELLING_PREFERENCES.join(', ')}; used when the request names no spelling and the user saved none (null = SPELLING_PREFERENCE)` }),
+    created_at: oaStr(), updated_at: oaStr()
+  }),
+  ApiKey: oaObj({
+    id: oaInt(), client_id: oaInt(), label: oaStr(), prefix: oaStr(), scopes: oaArr(oaStr({ enum: API_SCOPES })),
+    rate_limit_per_minute: oaInt(), monthly_quota: oaInt({ nullable: true }), created_at: oaStr(), revoked_at: oaStr({ nullable: true }), replaced_by: oaInt({ nullable: true })
+  }),
+  ApiKeySettings: oaObj({
+    label: oaStr({ description: 'Cut to 100 characters' }),
+    scopes: { anyOf: [oaArr(oaStr({ enum: API_SCOPES }), { minItems: 1 }), oaStr({ description: 'Comma-separated' })] },
+    rate_limit_per_minute: oaInt({ minimum: 1, maximum: 10000 }),
+    monthly_quota: oaInt({ minimum: 1, nullable: true, description: 'null for no quota' })
+  }),
+  WfdItem: oaObj({
+    id: oaInt(), text: oaStr({ description: 'The sentence, which is also the answer key' }), audio: oaStr({ nullable: true, description: 'Path under public/' }),
+    difficulty: oaStr({ enum: WFD_DIFFICULTIES }), created_at: oaStr({ format: 'date-time' }), updated_at: oaStr({ format: 'date-time' })
+  }),
+  WfdItemPublic: oaObj({ id: oaInt(), audio: oaStr({ nullable: true }), difficulty: oaStr({ enum: WFD_DIFFICULTIES }), word_count: oaInt() }),
+  WfdItemInput: oaObj({
+    id: oaId('Omit to create an item; text is then required'),
+    text: oaStr({ description: `At least two words, at most ${WFD_MAX_SENTENCE_CHARS} characters` }),
+    audio: oaStr({ nullable: true, description: 'Path under public/, e.g. audio/wfd/12.mp3' }),
+    difficulty: oaStr({ description: `${WFD_DIFFICULTIES.join(', ')}; medium when omitted` })
+  }),
+  WfdGradeRequest: oaObj({
+    itemId: oaId('An item from the bank'),
+    sentence: oaStr({ description: `The dictated sentence, when there is no itemId (at most ${WFD_MAX_SENTENCE_CHARS} characters)` }),
+    answer: oaStr({ maxLength: WFD_MAX_ANSWER_CHARS, description: 'What the student typed' }),
+    spelling: oaStr({ description: `${SPELLING_PREFERENCES.join(', ')}: which UK/US spellings of sentence words count` }),
+    userId: oaStr({ description: "Reads the user's saved spelling preference" })
+  }, ['answer']),
+  WfdDiffEntry: oaObj({
+    op: oaStr({ enum: ['match', 'missing', 'extra', 'misspelt'] }), expected: oaStr(), typed: oaStr(),
+    reason: oaStr({ enum: ['spelling', 'form'], description: 'misspelt only: a near miss, or the wrong form of the word' }),
+    moved: oaBool({ description: 'A match typed out of order' }), variant: oaBool({ description: 'A match in the other UK/US spelling' })
+  }, ['op']),
+  WfdGradeResult: oaObj({
+    item_id: oaInt({ nullable: true }), audio: oaStr({ nullable: true }), task: oaStr({ enum: ['wfd'] }),
+    score: oaInt(), max_score: oaInt(), percent: oaInt(), word_count: oaInt(),
+    counts: oaObj({ correct: oaInt(), missing: oaInt(), misspelt: oaInt(), extra: oaInt() }),
+    diff: oaArr(oaRef('WfdDiffEntry')), sentence: oaStr(), spelling: oaObj({ preference: oaStr() }), scoring_version: oaStr()
+  }),
+  SstItem: oaObj({
+    id: oaInt(), title: oaStr(), transcript: oaStr(), keyElements: oaRef('KeyElements'), audio: oaStr({ nullable: true }),
+    created_at: oaStr({ format: 'date-time' }), updated_at: oaStr({ format: 'date-time' })
+  }),
+  SstItemPublic: oaObj({
+    id: oaInt(), audio: oaStr({ nullable: true }), idea_count: oaInt(),
+    transcript: oaStr({ description: 'Only for an item without a recording, to be read aloud' })
+  }),
+  SstItemInput: oaObj({
+    id: oaId('Omit to create an item; title, transcript and keyElements are then required'),
+    title: oaStr({ description: `At most ${SST_MAX_TITLE_CHARS} characters` }),
+    transcript: oaStr({ description: `The lecture as spoken, at most ${SST_MAX_TRANSCRIPT_CHARS} characters` }),
+    keyElements: oaRef('KeyElements'),
+    audio: oaStr({ nullable: true, description: 'Path under public/, e.g. audio/sst/3.mp3' })
+  }),
+  SstGradeRequest: oaObj({
+    text: oaStr({ minLength: 1, maxLength: 4000, description: 'The summary, 50–70 words' }),
+    itemId: oaId('An item from the bank'),
+    transcript: oaStr({ description: `The lecture transcript, when there is no itemId (at most ${SST_MAX_TRANSCRIPT_CHARS} characters); keyPoints is then required` }),
+    keyPoints: oaRef('KeyElements'),
+    userId: oaStr({ description: "Reads the user's saved spelling preference" }),
+    writingSeconds: oaNum({ minimum: 0, description: `Flagged in time_limit when over ${SST_TIME_LIMIT_SECONDS}` }),
+    trace: oaBool({ description: 'Include the per-stage score trace' }),
+    spelling: oaStr({ description: `${SPELLING_PREFERENCES.join(', ')} (or an alias such as british)` }),
+    judgeMode: oaStr({ description: JUDGE_MODES.join(', ') }),
+    ensemblePolicy: oaStr({ description: ENSEMBLE_POLICIES.join(', ') }),
+    disagreementThreshold: oaNum({ minimum: 0, maximum: 1 })
+  }, ['text']),
+  SstGradeResult: { allOf: [oaRef('SwtGradeResult'), oaObj({
+    task: oaStr({ enum: ['sst'] }), item_id: oaInt({ nullable: true }),
+    time_limit: oaObj({ limit_seconds: oaInt(), writing_seconds: oaInt({ nullable: true }), exceeded: oaBool() }),
+    item_current: oaObj({ id: oaInt(), title: oaStr(), transcript: oaStr(), keyElements: oaRef('KeyElements'), audio: oaStr({ nullable: true }) })
+  })] },
+  ApiUsage: oaObj({
+    calls: oaInt(), errors: oaInt(), llm_calls: oaInt(), input_tokens: oaInt(), output_tokens: oaInt(), last_at: oaStr({ nullable: true }),
+    routes: oaMap(oaObj({ calls: oaInt(), errors: oaInt(), llm_calls: oaInt(), input_tokens: oaInt(), output_tokens: oaInt() }))
+  })
+};
+
+const OA_ATTEMPT_QUERY = {
+  passageId: oaInt(), task: oaStr(),
+  from: oaStr({ description: 'ISO date' }), to: oaStr({ description: 'ISO date; a bare date covers the whole day' }),
+  minScore: oaNum(), maxScore: oaNum(),
+  sort: oaStr({ enum: Object.keys(ATTEMPT_SORTS) }),
+  limit: oaInt({ description: '1–200, default 50' }), offset: oaInt({ minimum: 0 })
+};
+
+function buildOpenApiSpec() {
+  const T = {
+    scoring: 'Scoring', dictation: 'Write From Dictation', spoken: 'Summarize Spoken Text', language: 'Spelling & vocabulary', passages: 'Passages', accounts: 'Accounts', progress: 'Progress & sync',
+    attempts: 'Attempts & review', admin: 'Administration', profiles: 'Scoring profiles', lti: 'LTI 1.3', clients: 'API clients',
+    essays: 'Essays & documents', system: 'System'
+  };
+  const idPath = { id: oaInt() };
+  const ltiLogin = { iss: oaStr(), login_hint: oaStr(), target_link_uri: oaStr(), lti_message_hint: oaStr(), client_id: oaStr(), lti_deployment_id: oaStr() };
+  const paths = {
+    // ── Scoring ──
+    '/api/grade': { post: oaOperation({
+      tag: T.scoring, summary: 'Score a Summarize Written Text response', auth: 'apiKey',
+      description: 'API keys need the grade scope. ?trace=1 is the same as trace: true.',
+      query: { trace: oaStr({ enum: ['1'] }) }, body: oaRef('SwtGradeRequest'), ok: oaRef('SwtGradeResult')
+    }) },
+    '/api/grade/stream': { post: oaOperation({
+      tag: T.scoring, summary: 'Score an SWT response, streamed as Server-Sent Events', auth: 'apiKey',
+      description: 'Events: form → verbatim, grammar, vocabulary → spelling → content → result (the /api/grade body); error on failure.',
+      body: oaRef('SwtGradeRequest'), response: { description: 'Event stream', content: { 'text/event-stream': { schema: oaStr() } } }
+    }) },
+    '/api/grade/batch': {
+      post: oaOperation({
+        tag: T.scoring, summary: 'Queue a batch of SWT responses for grading', auth: 'teacher', status: 202, errors: [429],
+        query: { spelling: oaStr(), judgeMode: oaStr() },
+        content: {
+          'application/json': { schema: { anyOf: [
+            oaArr(oaRef('BatchRow'), { minItems: 1 }),
+            oaObj({ items: oaArr(oaRef('BatchRow'), { minItems: 1 }), spelling: oaStr(), judgeMode: oaStr(), ensemblePolicy: oaStr(), disagreementThreshold: oaNum() }, ['items']),
+            oaObj({ csv: oaStr({ minLength: 1 }), spelling: oaStr(), judgeMode: oaStr() }, ['csv'])
+          ] } },
+          'text/csv': { schema: oaStr({ description: `Header row with passage_id and summary columns; at most ${BATCH_MAX_ROWS} rows` }) }
+        },
+        ok: { allOf: [oaRef('BatchJob'), oaObj({ progress_url: oaStr(), results_url: oaStr() })] }
+      }),
+      get: oaOperation({ tag: T.scoring, summary: "List batch jobs (a teacher's own; every job for the admin key)", auth: 'teacher', ok: oaObj({ jobs: oaArr(oaRef('BatchJob')) }) })
+    },
+    '/api/grade/batch/{id}': { get: oaOperation({ tag: T.scoring, summary: "A batch job's progress", auth: 'teacher', path: { id: oaStr() }, errors: [404], ok: oaRef('BatchJob') }) },
+    '/api/grade/batch/{id}/results': { get: oaOperation({
+      tag: T.scoring, summary: "Download a batch job's results", auth: 'teacher', errors: [404, 409],
+      description: 'A running job answers 409 with its progress unless partial=1.',
+      path: { id: oaStr() }, query: { format: oaStr({ enum: ['json', 'csv', 'JSON', 'CSV'] }), partial: oaStr({ enum: ['0', '1'] }) },
+      response: { description: 'Results', content: { 'application/json': { schema: oaObj({ job: oaRef('BatchJob'), results: oaArr(oaObj()) }) }, 'text/csv': { schema: oaStr() } } }
+    }) },
+    '/api/grade-essay': { post: oaOperation({
+      tag: T.essays, summary: 'Score a Write Essay response', auth: 'apiKey', description: 'API keys need the grade scope.',
+      body: oaRef('EssayGradeRequest'), ok: oaRef('EssayGradeResult')
+    }) },
+
+    // ── Write From Dictation ──
+    '/api/grade/wfd': { post: oaOperation({
+      tag: T.dictation, summary: 'Score a Write From Dictation answer word by word', auth: 'apiKey', errors: [404],
+      description: 'API keys need the grade scope. One point per sentence word typed exactly, in any order.',
+      body: oaRef('WfdGradeRequest'), ok: oaRef('WfdGradeResult')
+    }) },
+    '/api/wfd-items': { get: oaOperation({
+      tag: T.dictation, summary: 'The item bank, without the sentences', query: { difficulty: oaStr({ enum: WFD_DIFFICULTIES }) },
+      ok: oaObj({ items: oaArr(oaRef('WfdItemPublic')), count: oaInt() })
+    }) },
+    '/api/wfd-items/{id}': { get: oaOperation({ tag: T.dictation, summary: 'One item, without its sentence', path: idPath, errors: [404], ok: oaRef('WfdItemPublic') }) },
+    '/api/admin/wfd-items': {
+      get: oaOperation({ tag: T.dictation, summary: 'Every item with its sentence', auth: 'admin', ok: oaObj({ items: oaArr(oaRef('WfdItem')), count: oaInt() }) }),
+      post: oaOperation({
+        tag: T.dictation, summary: 'Create an item, or update one by id', auth: 'admin', errors: [404],
+        body: oaRef('WfdItemInput'), ok: oaObj({ success: oaBool(), item: oaRef('WfdItem') })
+      })
+    },
+    '/api/admin/wfd-items/{id}': { delete: oaOperation({ tag: T.dictation, summary: 'Delete an item', auth: 'admin', path: idPath, errors: [404] }) },
+
+    // ── Summarize Spoken Text ──
+    '/api/grade/sst': { post: oaOperation({
+      tag: T.spoken, summary: 'Score a Summarize Spoken Text response', auth: 'apiKey', errors: [404],
+      description: 'API keys need the grade scope. ?trace=1 is the same as trace: true. The SWT result with SST form rules and trait maximums; nothing is saved.',
+      query: { trace: oaStr({ enum: ['1'] }) }, body: oaRef('SstGradeRequest'), ok: oaRef('SstGradeResult')
+    }) },
+    '/api/sst-items': { get: oaOperation({
+      tag: T.spoken, summary: 'The item bank, without titles or key elements', ok: oaObj({ items: oaArr(oaRef('SstItemPublic')), count: oaInt() })
+    }) },
+    '/api/sst-items/{id}': { get: oaOperation({ tag: T.spoken, summary: 'One item, without its title or key elements', path: idPath, errors: [404], ok: oaRef('SstItemPublic') }) },
+    '/api/admin/sst-items': {
+      get: oaOperation({ tag: T.spoken, summary: 'Every item with its transcript and key elements', auth: 'admin', ok: oaObj({ items: oaArr(oaRef('SstItem')), count: oaInt() }) }),
+      post: oaOperation({
+        tag: T.spoken, summary: 'Create an item, or update one by id', auth: 'admin', errors: [404],
+        body: oaRef('SstItemInput'), ok: oaObj({ success: oaBool(), item: oaRef('SstItem') })
+      })
+    },
+    '/api/admin/sst-items/{id}': { delete: oaOperation({ tag: T.spoken, summary: 'Delete an item', auth: 'admin', path: idPath, errors: [404] }) },
+
+    // ── Spelling & vocabulary ──
+    '/api/spellcheck': { post: oaOperation({
+      tag: T.language, summary: 'Spell-check a text', auth: 'apiKey', description: 'API keys need the spellcheck scope.',
+      body: oaObj({ text: oaStr({ minLength: 1 }), passageText: oaStr(), spelling: oaStr(), userId: oaStr() }, ['text']),
+      ok: oaObj({ errors: oaArr(oaObj({ misspelled: oaStr(), suggestions: oaArr(oaStr()), source: oaStr() })), count: oaInt(), variant: oaObj() })
+    }) },
+    '/api/thesaurus/{word}': { get: oaOperation({
+      tag: T.language, summary: 'Look a word up in the bundled lexicon', path: { word: oaStr() },
+      ok: oaObj({ word: oaStr(), lemma: oaStr({ nullable: true }), pos: oaArr(oaStr()), register: oaStr(), synonyms: oaArr(oaStr()), synonym_registers: oaMap(oaStr()), antonyms: oaArr(oaStr()), curated: oaBool(), source: oaStr(), lexicon_version: oaStr() })
+    }) },
+    '/api/vocab/extras': { get: oaOperation({ tag: T.language, summary: 'Admin-added vocabulary', ok: oaObj({ extras: oaObj() }) }) },
+    '/api/admin/vocab/extras': { post: oaOperation({
+      tag: T.language, summary: 'Replace the added vocabulary', auth: 'admin',
+      body: oaObj({ extras: oaObj() }), ok: oaObj({ success: oaBool(), extras: oaObj() })
+    }) },
+
+    // ── Passages ──
+    '/api/passages': { get: oaOperation({
+      tag: T.passages, summary: 'Every passage', auth: 'apiKey', description: 'API keys need the passages:read scope.',
+      ok: oaObj({ passages: oaArr(oaRef('Passage')), count: oaInt() })
+    }) },
+    '/api/passages/{id}': { get: oaOperation({ tag: T.passages, summary: 'One passage', auth: 'apiKey', path: idPath, errors: [404], ok: oaRef('Passage') }) },
+    '/api/admin/passages': {
+      get: oaOperation({ tag: T.passages, summary: 'Every passage (admin)', auth: 'admin', ok: oaObj({ passages: oaArr(oaRef('Passage')), count: oaInt() }) }),
+      post: oaOperation({
+        tag: T.passages, summary: 'Create or update a passage', auth: 'admin', description: 'Each save is recorded as a revision.',
+        body: oaRef('PassageInput'), ok: oaObj({ success: oaBool(), passage: oaRef('Passage'), revision: oaInt() })
+      })
+    },
+    '/api/admin/passages/{id}': { delete: oaOperation({ tag: T.passages, summary: 'Delete a passage (recoverable by rollback)', auth: 'admin', path: idPath, errors: [404] }) },
+    '/api/admin/passages/bulk': { post: oaOperation({
+      tag: T.passages, summary: 'Replace every passage', auth: 'admin',
+      body: oaObj({ passages: oaArr(oaObj()) }, ['passages']), ok: oaObj({ success: oaBool(), count: oaInt() })
+    }) },
+    '/api/admin/passages/extract': { post: oaOperation({
+      tag: T.passages, summary: "Draft a passage's key elements with the model", auth: 'admin', errors: [404, 502, 503],
+      description: 'Give the text (at least 40 characters) or the id of a saved passage. Nothing is saved.',
+      body: oaObj({ text: oaStr(), title: oaStr(), id: oaId() }),
+      ok: oaObj({ success: oaBool(), draft: oaObj({ framework: oaStr(), confidence: oaStr(), keyElements: oaRef('KeyElements'), keyElementsRationale: oaObj(), extractionMeta: oaObj(), warnings: oaArr(oaObj({ element: oaStr(), issue: oaStr(), value: oaStr() })) }) })
+    }) },
+    '/api/admin/passages/extract-all': { post: oaOperation({
+      tag: T.passages, summary: 'Extract and save key elements for every passage', auth: 'admin', errors: [503], bodyOptional: true,
+      body: oaObj({ onlyMissing: oaBool() }),
+      ok: oaObj({ success: oaBool(), report: oaObj({ total: oaInt(), updated: oaInt(), skipped: oaInt(), failed: oaInt(), flagged: oaInt(), items: oaArr(oaObj()) }) })
+    }) },
+    '/api/admin/passages/{id}/revisions': { get: oaOperation({
+      tag: T.passages, summary: "A passage's revisions, newest first (no payloads)", auth: 'admin', path: idPath,
+      ok: oaObj({ passage_id: oaInt(), revisions: oaArr(oaRef('PassageRevision')), count: oaInt() })
+    }) },
+    '/api/admin/passages/{id}/revisions/diff': { get: oaOperation({
+      tag: T.passages, summary: 'Field-by-field diff of two revisions', auth: 'admin', errors: [404],
+      path: idPath, query: { from: oaInt(), to: oaInt() }, requiredQuery: ['from', 'to'],
+      ok: oaObj({ passage_id: oaInt(), from: oaInt(), to: oaInt(), changes: oaArr(oaObj()), identical: oaBool() })
+    }) },
+    '/api/admin/passages/{id}/revisions/{rev}': { get: oaOperation({
+      tag: T.passages, summary: 'One revision with its payload', auth: 'admin', errors: [404], path: { id: oaInt(), rev: oaInt() }, ok: oaRef('PassageRevision')
+    }) },
+    '/api/admin/passages/{id}/rollback': { post: oaOperation({
+      tag: T.passages, summary: 'Restore a passage to an earlier revision', auth: 'admin', errors: [404], path: idPath,
+      body: oaObj({ revision: oaInt(), note: oaStr() }, ['revision']),
+      ok: oaObj({ success: oaBool(), passage: oaRef('Passage'), revision: oaInt(), restored_from: oaInt() })
+    }) },
+
+    // ── Accounts ──
+    '/api/auth/register': { post: oaOperation({
+      tag: T.accounts, summary: 'Create an account', errors: [429],
+      body: oaObj({ username: oaStr({ minLength: 1 }), password: oaStr({ minLength: 1 }), secretQ: oaStr(), secretA: oaStr(), email: oaStr() }, ['username', 'password']),
+      ok: oaRef('AuthResult')
+    }) },
+    '/api/auth/login': { post: oaOperation({
+      tag: T.accounts, summary: 'Sign in', errors: [429],
+      body: oaObj({ username: oaStr({ minLength: 1 }), password: oaStr({ minLength: 1 }) }, ['username', 'password']), ok: oaRef('AuthResult')
+    }) },
+    '/api/auth/change-password': { post: oaOperation({
+      tag: T.accounts, summary: 'Change a password',
+      body: oaObj({ username: oaStr({ minLength: 1 }), oldPassword: oaStr(), newPassword: oaStr() }, ['username', 'oldPassword', 'newPassword']),
+      ok: oaObj({ success: oaBool(), error: oaStr() })
+    }) },
+    '/api/auth/reset-password': { post: oaOperation({
+      tag: T.accounts, summary: 'Check a secret answer and optionally set a new password',
+      body: oaObj({ username: oaStr({ minLength: 1 }), secretAnswer: oaStr(), newPassword: oaStr() }, ['username', 'secretAnswer']),
+      ok: oaObj({ success: oaBool(), verified: oaBool(), secretQ: oaStr(), error: oaStr() })
+    }) },
+    '/api/auth/secret-question/{username}': { get: oaOperation({
+      tag: T.accounts, summary: "An account's secret question", path: { username: oaStr() }, ok: oaObj({ success: oaBool(), secretQ: oaStr(), error: oaStr() })
+    }) },
+    '/api/auth/check/{username}': { get: oaOperation({
+      tag: T.accounts, summary: 'Whether a saved session still belongs to a usable account', path: { username: oaStr() },
+      ok: oaObj({ exists: oaBool(), blocked: oaBool(), valid: oaBool(), role: oaStr({ nullable: true }) })
+    }) },
+    '/api/lti/session': { post: oaOperation({
+      tag: T.lti, summary: "Trade an LTI launch's one-time code for a session", errors: [401],
+      body: oaObj({ code: oaStr({ minLength: 1 }) }, ['code']),
+      ok: oaObj({ success: oaBool(), username: oaStr(), role: oaStr(), teacher_request: oaStr({ nullable: true, enum: ['pending'], description: 'An instructor launch awaiting admin approval' }), passage_id: oaInt({ nullable: true }), token: oaStr() })
+    }) },
+
+    // ── Progress & sync ──
+    '/api/progress/{userId}': {
+      get: oaOperation({ tag: T.progress, summary: "A student's saved progress", path: { userId: oaStr() }, ok: oaRef('UserData') }),
+      post: oaOperation({
+        tag: T.progress, summary: 'Save one scored summary', path: { userId: oaStr() },
+        body: oaObj({ passageId: oaId(), summary: oaStr(), scoreData: oaObj() }, ['passageId'])
+      })
+    },
+    '/api/leaderboard': { get: oaOperation({
+      tag: T.progress, summary: 'Top students by average score', query: { limit: oaInt({ minimum: 1 }) },
+      ok: oaArr(oaObj({ userId: oaStr(), averageScore: oaNum(), totalAttempts: oaInt() }))
+    }) },
+    '/api/sync/{userId}': {
+      get: oaOperation({ tag: T.progress, summary: "Pull a student's data", auth: 'session', path: { userId: oaStr() }, ok: oaObj({ success: oaBool(), data: oaRef('UserData') }) }),
+      post: oaOperation({
+        tag: T.progress, summary: "Push a student's data (merged with the server copy)", auth: 'session', path: { userId: oaStr() },
+        body: oaRef('UserData'), ok: oaObj({ success: oaBool(), stats: oaObj(), passageCount: oaInt(), attemptCount: oaInt() })
+      })
+    },
+    '/api/impersonate/redeem': { get: oaOperation({
+      tag: T.progress, summary: 'Open a student portal with an admin impersonation token', errors: [403],
+      query: { token: oaStr({ minLength: 1 }) }, requiredQuery: ['token'],
+      ok: oaObj({ success: oaBool(), username: oaStr(), data: oaRef('UserData'), impersonated: oaBool() })
+    }) },
+
+    // ── Attempts & review ──
+    '/api/attempts/{userId}': { get: oaOperation({
+      tag: T.attempts, summary: "A student's own attempts", auth: 'session', path: { userId: oaStr() }, query: OA_ATTEMPT_QUERY, ok: oaRef('AttemptPage')
+    }) },
+    '/api/admin/attempts': { get: oaOperation({
+      tag: T.attempts, summary: 'Query every attempt', auth: 'admin',
+      query: { user: oaStr(), ...OA_ATTEMPT_QUERY, needsReview: oaStr({ enum: ['true', 'false'] }), reviewed: oaStr({ enum: ['true', 'false'] }) },
+      ok: oaRef('AttemptPage')
+    }) },
+    '/api/admin/attempts/{id}': { get: oaOperation({ tag: T.attempts, summary: 'One attempt, with its trace and feedback card', auth: 'admin', path: idPath, errors: [404], ok: oaRef('Attempt') }) },
+    '/api/review/queue': { get: oaOperation({
+      tag: T.attempts, summary: 'Attempts waiting for a teacher, oldest first', auth: 'teacher',
+      query: { ...OA_ATTEMPT_QUERY, reviewed: oaStr({ enum: ['true', 'false'] }) }, ok: oaRef('AttemptPage')
+    }) },
+    '/api/review/attempts/{id}': {
+      get: oaOperation({ tag: T.attempts, summary: 'An attempt with its passage and earlier reviews', auth: 'teacher', path: idPath, errors: [404], ok: oaRef('Attempt') }),
+      post: oaOperation({
+        tag: T.attempts, summary: 'Review an attempt, optionally overriding scores', auth: 'teacher', path: idPath, errors: [404],
+        body: oaRef('ReviewInput'), ok: oaObj({ success: oaBool(), review: oaRef('Review'), attempt: oaRef('Attempt') })
+      })
+    },
+    '/api/review/stats': { get: oaOperation({
+      tag: T.attempts, summary: 'Engine accuracy against teacher reviews', auth: 'teacher',
+      query: { from: oaStr(), to: oaStr(), reviewer: oaStr() },
+      ok: oaObj({ n: oaInt(), traits: oaObj(), overall: oaObj(), adjusted_rate: oaNum({ nullable: true }), by_scoring_version: oaObj(), by_month: oaObj() })
+    }) },
+
+    // ── Scoring profiles ──
+    '/api/admin/scoring-profiles': { get: oaOperation({
+      tag: T.profiles, summary: 'Every scoring profile', auth: 'admin', ok: oaObj({ active: oaStr(), profiles: oaArr(oaRef('ScoringProfile')) })
+    }) },
+    '/api/admin/scoring-profiles/fit': { post: oaOperation({
+      tag: T.profiles, summary: 'Fit a draft raw → PTE profile from teacher scores', auth: 'admin',
+      body: oaObj({ name: oaStr({ description: 'Cut to 100 characters' }), fromReviews: oaBool(), samples: oaArr(oaRef('CalibrationSample'), { maxItems: CALIBRATION_MAX_SAMPLES, nullable: true }) }),
+      ok: oaObj({ success: oaBool(), profile: oaRef('ScoringProfile'), skipped: oaArr(oaObj({ index: {}, reason: oaStr() })) })
+    }) },
+    '/api/admin/scoring-profiles/{id}': { get: oaOperation({ tag: T.profiles, summary: 'One scoring profile', auth: 'admin', path: { id: oaStr() }, errors: [404], ok: oaRef('ScoringProfile') }) },
+    '/api/admin/scoring-profiles/{id}/publish': { post: oaOperation({
+      tag: T.profiles, summary: "Make a profile the one new grades use ('builtin' restores the linear mapping)", auth: 'admin', path: { id: oaStr() }, errors: [404],
+      ok: oaObj({ success: oaBool(), active: oaStr(), profile: oaRef('ScoringProfile') })
+    }) },
+
+    // ── Administration ──
+    '/api/admin/users': { get: oaOperation({
+      tag: T.admin, summary: 'Every account', auth: 'admin',
+      ok: oaArr(oaObj({ username: oaStr(), createdAt: oaStr(), lastLogin: oaStr({ nullable: true }), blocked: oaBool(), role: oaStr(), stats: oaObj() }))
+    }) },
+    '/api/admin/delete-user': { post: oaOperation({ tag: T.admin, summary: 'Delete an account', auth: 'admin', body: oaObj({ username: oaStr({ minLength: 1 }) }, ['username']) }) },
+    '/api/admin/block-user': { post: oaOperation({
+      tag: T.admin, summary: 'Block or unblock an account', auth: 'admin',
+      body: oaObj({ username: oaStr({ minLength: 1 }), blocked: oaBool() }, ['username', 'blocked']), ok: oaObj({ success: oaBool(), blocked: oaBool() })
+    }) },
+    '/api/admin/set-role': { post: oaOperation({
+      tag: T.admin, summary: "Set an account's role", auth: 'admin',
+      body: oaObj({ username: oaStr({ minLength: 1 }), role: oaStr({ description: ACCOUNT_ROLES.join(', ') }) }, ['username', 'role']), ok: oaObj({ success: oaBool(), role: oaStr() })
+    }) },
+    '/api/admin/reset-password': { post: oaOperation({
+      tag: T.admin, summary: "Set an account's password", auth: 'admin',
+      body: oaObj({ username: oaStr({ minLength: 1 }), newPassword: oaStr({ minLength: 1 }) }, ['username', 'newPassword'])
+    }) },
+    '/api/admin/user-data/{username}': { get: oaOperation({
+      tag: T.admin, summary: "An account and its stored data", auth: 'admin', path: { username: oaStr() },
+      ok: oaObj({ account: oaObj({ nullable: true }), progress: oaObj({ nullable: true }) })
+    }) },
+    '/api/admin/impersonate/{username}': { get: oaOperation({
+      tag: T.admin, summary: "Mint a token to open a student's portal", auth: 'admin', path: { username: oaStr() }, errors: [404],
+      ok: oaObj({ success: oaBool(), username: oaStr(), token: oaStr(), expiresInMs: oaInt() })
+    }) },
+    '/api/admin/grade-cache': { delete: oaOperation({ tag: T.admin, summary: 'Drop every cached grade', auth: 'admin', ok: oaObj({ success: oaBool(), purged: oaInt() }) }) },
+    '/api/admin/llm-recordings/{key}': { get: oaOperation({
+      tag: T.admin, summary: 'One recorded model call, by llm_request_key', auth: 'admin', errors: [404],
+      path: { key: oaStr({ pattern: '^[a-f0-9]{24}$' }) }, ok: oaObj({ key: oaStr(), purpose: oaStr({ nullable: true }), request: oaObj(), response: {}, usage: oaObj() })
+    }) },
+
+    // ── LTI 1.3 ──
+    '/api/lti/jwks': { get: oaOperation({ tag: T.lti, summary: "The tool's public signing keys", ok: oaObj({ keys: oaArr(oaObj()) }) }) },
+    '/api/lti/login': {
+      get: oaOperation({ tag: T.lti, summary: 'OIDC login initiation (redirects to the platform)', query: ltiLogin, response: { description: 'Redirect to the platform' } }),
+      post: oaOperation({
+        tag: T.lti, summary: 'OIDC login initiation, posted as a form',
+        content: { 'application/x-www-form-urlencoded': { schema: oaObj(ltiLogin, ['iss', 'login_hint', 'target_link_uri']) } },
+        response: { description: 'Redirect to the platform' }
+      })
+    },
+    '/api/lti/launch': { post: oaOperation({
+      tag: T.lti, summary: 'Launch (the OIDC redirect URI)',
+      content: { 'application/x-www-form-urlencoded': { schema: oaObj({ id_token: oaStr(), state: oaStr(), error: oaStr(), error_description: oaStr() }) } },
+      response: { description: 'Redirect into the app, or the deep-linking passage picker', content: { 'text/html': { schema: oaStr() } } }
+    }) },
+    '/api/lti/deep-link': { post: oaOperation({
+      tag: T.lti, summary: "Answer a deep-linking request with the teacher's passages",
+      content: { 'application/x-www-form-urlencoded': { schema: oaObj({ context: oaStr(), passage_id: { anyOf: [oaStr(), oaArr(oaStr())] } }, ['context', 'passage_id']) } },
+      response: OA_HTML('An auto-submitting form back to the platform')
+    }) },
+    '/api/admin/lti/platforms': {
+      get: oaOperation({
+        tag: T.lti, summary: 'Registered platforms and the URLs to give them', auth: 'admin',
+        ok: oaObj({ tool: oaObj({ login_url: oaStr(), redirect_uri: oaStr(), target_link_uri: oaStr(), deep_link_url: oaStr(), jwks_url: oaStr(), grade_policy: oaStr() }), platforms: oaArr(oaRef('LtiPlatform')) })
+      }),
+      post: oaOperation({
+        tag: T.lti, summary: 'Register a platform (the same issuer + client_id updates it)', auth: 'admin',
+        body: oaObj({
+          name: oaStr(), issuer: oaStr({ minLength: 1 }), client_id: oaStr({ minLength: 1 }),
+          deployment_ids: { anyOf: [oaArr(oaStr()), oaStr({ description: 'Comma-separated' })] },
+          auth_login_url: oaStr({ minLength: 1 }), auth_token_url: oaStr({ minLength: 1 }), jwks_url: oaStr({ minLength: 1 })
+        }, ['issuer', 'client_id', 'auth_login_url', 'auth_token_url', 'jwks_url']),
+        ok: oaObj({ success: oaBool(), platform: oaRef('LtiPlatform') })
+      })
+    },
+    '/api/admin/lti/platforms/{id}/delete': { post: oaOperation({ tag: T.lti, summary: 'Remove a platform', auth: 'admin', path: idPath, errors: [404] }) },
+    '/api/admin/lti/teacher-requests': { get: oaOperation({
+      tag: T.lti, summary: 'Instructor launches awaiting the teacher role', auth: 'admin',
+      ok: oaObj({ requests: oaArr(oaRef('LtiTeacherRequest')), count: oaInt() })
+    }) },
+    '/api/admin/lti/teacher-requests/{username}': { post: oaOperation({
+      tag: T.lti, summary: 'Approve (grant the teacher role) or dismiss a request', auth: 'admin', errors: [404],
+      path: { username: oaStr() }, body: oaObj({ approve: oaBool() }, ['approve']),
+      ok: oaObj({ success: oaBool(), username: oaStr(), role: oaStr() })
+    }) },
+
+    // ── API clients ──
+    '/api/usage': { get: oaOperation({
+      tag: T.clients, summary: "The calling key's limits and this month's usage", auth: 'apiKeyRequired',
+      ok: oaObj({ client: oaStr(), key: oaObj(), month: oaStr(), usage: oaRef('ApiUsage'), quota_remaining: oaInt({ nullable: true }) })
+    }) },
+    '/api/admin/api-clients': {
+      get: oaOperation({
+        tag: T.clients, summary: "Every client, its keys and each key's calls this month", auth: 'admin',
+        ok: oaObj({ month: oaStr(), scopes: oaArr(oaStr()), clients: oaArr(oaRef('ApiClient')) })
+      }),
+      post: oaOperation({
+        tag: T.clients, summary: 'Create a client and its first key (shown once)', auth: 'admin',
+        body: { allOf: [oaRef('ApiKeySettings'), oaObj({ name: oaStr({ minLength: 1 }), contact: oaStr(), spelling_preference: oaStr({ nullable: true }) }, ['name'])] },
+        ok: oaObj({ success: oaBool(), client: oaRef('ApiClient'), key: oaRef('ApiKey'), api_key: oaStr() })
+      })
+    },
+    '/api/admin/api-clients/{id}': { post: oaOperation({
+      tag: T.clients, summary: "Rename, re-contact or disable a client, or set its spelling preference", auth: 'admin', path: idPath, errors: [404],
+      body: oaObj({ name: oaStr({ minLength: 1 }), contact: oaStr(), disabled: oaBool(), spelling_preference: oaStr({ nullable: true }) }), ok: oaObj({ success: oaBool(), client: oaRef('ApiClient') })
+    }) },
+    '/api/admin/api-clients/{id}/keys': { post: oaOperation({
+      tag: T.clients, summary: 'Issue a key, or rotate one with replaces', auth: 'admin', path: idPath, errors: [404, 409], bodyOptional: true,
+      body: { allOf: [oaRef('ApiKeySettings'), oaObj({ replaces: oaId('Key to revoke; the new key starts from its settings') })] },
+      ok: oaObj({ success: oaBool(), key: oaRef('ApiKey'), api_key: oaStr(), revoked: oaInt({ nullable: true }) })
+    }) },
+    '/api/admin/api-clients/{id}/usage': { get: oaOperation({
+      tag: T.clients, summary: "A client's usage for one month, per key and route", auth: 'admin', path: idPath, errors: [404],
+      query: { month: oaStr({ pattern: '^\\d{4}-(0[1-9]|1[0-2])$' }) },
+      ok: oaObj({ client: oaRef('ApiClient'), month: oaStr(), totals: oaObj(), keys: oaArr(oaObj()) })
+    }) },
+    '/api/admin/api-keys/{id}': { post: oaOperation({
+      tag: T.clients, summary: "Change a key's scopes or limits", auth: 'admin', path: idPath, errors: [404],
+      body: oaRef('ApiKeySettings'), ok: oaObj({ success: oaBool(), key: oaRef('ApiKey') })
+    }) },
+    '/api/admin/api-keys/{id}/revoke': { post: oaOperation({ tag: T.clients, summary: 'Revoke a key', auth: 'admin', path: idPath, errors: [404], ok: oaObj({ success: oaBool(), key: oaRef('ApiKey') }) }) },
+
+    // ── Essays & documents ──
+    '/api/generate-essay': { post: oaOperation({
+      tag: T.essays, summary: 'Write a model essay from a plan',
+      body: oaObj({ plan: oaObj({ manual_ideas: oaArr(oaStr()) }), template: oaObj(), sidedNote: oaStr() }, ['plan', 'template']),
+      ok: oaObj()
+    }) },
+    '/api/claude': { post: oaOperation({
+      tag: T.essays, summary: 'Messages API proxy used by the essay builder',
+      description: "Errors here are { error: { message } }, the Messages API's shape.",
+      body: oaObj({ model: oaStr(), system: {}, messages: oaArr(oaObj({ role: oaStr(), content: {} }), { minItems: 1 }), max_tokens: oaInt({ minimum: 1 }), temperature: oaNum() }),
+      ok: oaObj({ id: oaStr(), type: oaStr(), role: oaStr(), model: oaStr(), content: oaArr(oaObj({ type: oaStr(), text: oaStr() })), stop_reason: oaStr(), usage: oaObj() })
+    }) },
+    '/api/render-pdf': { post: oaOperation({
+      tag: T.essays, summary: 'Render HTML to a PDF',
+      body: oaObj({ html: oaStr({ minLength: 100, maxLength: 5 * 1024 * 1024 }) }, ['html']),
+      response: { description: 'The PDF', content: { 'application/pdf': { schema: oaStr({ format: 'binary' }) } } }
+    }) },
+    '/api/email-essay': { post: oaOperation({
+      tag: T.essays, summary: 'Email an essay as a PDF',
+      body: oaObj({ to: oaStr({ minLength: 3 }), essayTitle: oaStr(), fileName: oaStr(), html: oaStr(), pdfBase64: oaStr() }, ['to']),
+      ok: oaObj({ ok: oaBool(), messageId: oaStr(), pdfSize: oaInt() })
+    }) },
+
+    // ── System ──
+    '/api/health': { get: oaOperation({
+      tag: T.system, summary: 'Storage and model diagnostics', query: { probe: oaStr({ enum: ['1'] }) },
+      ok: oaObj({ status: oaStr(), version: oaStr(), llmProvider: oaStr(), llmAvailable: oaBool(), storage: oaObj(), verdict: oaStr() })
+    }) },
+    '/api/config': { get: oaOperation({ tag: T.system, summary: 'Client configuration', ok: oaObj({ adminEmail: oaStr({ nullable: true }) }) }) },
+    '/api/openapi.json': { get: oaOperation({ tag: T.system, summary: 'This document', ok: oaObj() }) },
+    '/api/docs': { get: oaOperation({ tag: T.system, summary: 'This document as a web page', response: OA_HTML('The docs page') }) }
+  };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'PTE Scoring API',
+      version: require('./package.json').version,
+      description: 'Scoring for PTE Summarize Written Text and Write Essay, plus the practice portal behind it. ' +
+        `Scores carry scoring_version (currently ${SCORING_VERSION}). Partner apps authenticate with an API key.`
+    },
+    servers: [{ url: '/' }],
+    tags: Object.values(T).map(name => ({ name })),
+    paths,
+    components: {
+      schemas: OA_SCHEMAS,
+      securitySchemes: {
+        adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' },
+        sessionToken: { type: 'apiKey', in: 'header', name: 'x-session-token', description: 'From /api/auth/login, /api/auth/register or /api/lti/session' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'An institution key (pte_…)' },
+        apiKeyBearer: { type: 'http', scheme: 'bearer', description: 'The same key as Authorization: Bearer pte_…' }
+      }
+    }
+  };
+}
+
+let _openApiSpec = null;
+function openApiSpec() {
+  if (!_openApiSpec) _openApiSpec = buildOpenApiSpec();
+  return _openApiSpec;
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+function oaResolve(schema, spec) {
+  while (schema && schema.$ref) schema = spec.components.schemas[schema.$ref.split('/').pop()];
+  return schema || {};
+}
+
+const OA_TYPE_NAMES = { string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false', array: 'an array', object: 'an object' };
+
+// Whether value is of the schema type. coerce reads a query or path string as
+// the type it stands for.
+function oaIsType(type, value, coerce) {
+  if (coerce && typeof value === 'string') {
+    if (type === 'integer') return /^-?\d+$/.test(value.trim());
+    if (type === 'number') return value.trim() !== '' && Number.isFinite(Number(value));
+    if (type === 'boolean') return value === 'true' || value === 'false';
+  }
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+// Checks value against schema, pushing { field, message } onto errors. `at`
+// names the value (body.items[2].summary).
+function oaValidate(schema, value, at, errors, spec, coerce = false) {
+  schema = oaResolve(schema, spec);
+  const fail = (message) => errors.push({ field: at, message });
+
+  if (value === null) {
+    if (schema.nullable) return;
+    if (schema.type) return fail(`must be ${OA_TYPE_NAMES[schema.type]}, not null`);
+  }
+  if (schema.allOf) schema.allOf.forEach(part => oaValidate(part, value, at, errors, spec, coerce));
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(branch => {
+      const branchErrors = [];
+      oaValidate(branch, value, at, branchErrors, spec, coerce);
+      return branchErrors;
+    });
+    if (attempts.some(e => !e.length)) return;
+    // Every branch is the wrong type outright: name them all. Otherwise the
+    // closest branch speaks for the rest — the right type beats the wrong
+    // one, all required fields present beats some missing, then fewest errors.
+    if (attempts.every(e => e.length === 1 && e[0].field === at && e[0].message.startsWith('must be '))) {
+      return fail(`must be ${[...new Set(attempts.map(e => e[0].message.slice(8)))].join(' or ')}`);
+    }
+    const rank = (branch, branchErrors) => {
+      const type = oaResolve(branch, spec).type;
+      if (type && !oaIsType(type, value, coerce)) return 2;
+      return branchErrors.some(e => e.message === 'is required' && !/[.[]/.test(e.field.slice(at.length + 1))) ? 1 : 0;
+    };
+    const ranked = attempts.map((e, i) => ({ e, rank: rank(schema.anyOf[i], e) }));
+    const best = ranked.reduce((a, b) => (b.rank < a.rank || (b.rank === a.rank && b.e.length < a.e.length) ? b : a));
+    errors.push(...best.e);
+    return;
+  }
+  if (schema.type && !oaIsType(schema.type, value, coerce)) return fail(`must be ${OA_TYPE_NAMES[schema.type]}`);
+
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(', ')}`);
+  if (typeof value === 'number' || (coerce && typeof value === 'string' && (schema.type === 'integer' || schema.type === 'number'))) {
+    const n = Number(value);
+    if (schema.minimum !== undefined && n < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && n > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      for (let i = 0; i < value.length && errors.length <= OA_MAX_FIELD_ERRORS; i++) oaValidate(schema.items, value[i], `${at}[${i}]`, errors, spec);
+    }
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: `${at}.${name}`, message: 'is required' });
+    }
+    for (const [name, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (properties[name]) oaValidate(properties[name], v, `${at}.${name}`, errors, spec);
+      else if (schema.additionalProperties === false) errors.push({ field: `${at}.${name}`, message: 'is not allowed' });
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        oaValidate(schema.additionalProperties, v, `${at}.${name}`, errors, spec);
+      }
+    }
+  }
+}
+
+// The documented paths as regexes, tried with the fewest parameters first so
+// /api/admin/passages/bulk wins over /api/admin/passages/{id}.
+let _openApiRoutes = null;
+function openApiRoutes() {
+  if (_openApiRoutes) return _openApiRoutes;
+  _openApiRoutes = Object.entries(openApiSpec().paths).map(([template, operations]) => {
+    const names = [];
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (m, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { template, operations, names, regex: new RegExp(`^${source}/?$`, 'i') };
+  }).sort((a, b) => a.names.length - b.names.length);
+  return _openApiRoutes;
+}
+
+// The operation a request is for, with its path parameters, or null.
+function findApiOperation(method, urlPath) {
+  const m = method === 'HEAD' ? 'get' : method.toLowerCase();
+  for (const route of openApiRoutes()) {
+    const match = route.regex.exec(urlPath);
+    if (!match || !route.operations[m]) continue;
+    const params = {};
+    route.names.forEach((name, i) => {
+      try { params[name] = decodeURIComponent(match[i + 1]); } catch (e) { params[name] = match[i + 1]; }
+    });
+    return { template: route.template, operation: route.operations[m], params };
+  }
+  return null;
+}
+
+function sendValidationError(res, errors) {
+  // Long arrays stop being checked once there are enough errors to report.
+  const fields = errors.slice(0, OA_MAX_FIELD_ERRORS);
+  res.status(400).json({
+    error: `Invalid request: ${fields.map(f => `${f.field} ${f.message}`).join('; ')}${errors.length > fields.length ? '; and more' : ''}`,
+    fields
+  });
+}
+
+// Checks an /api request against its operation before any route runs.
+function validateApiRequest(req, res, next) {
+  if (!req.path.startsWith('/api/')) return next();
+  const found = findApiOperation(req.method, req.path);
+  if (!found) return next();
+  const spec = openApiSpec();
+  const { operation, params } = found;
+  const errors = [];
+
+  for (const param of operation.parameters || []) {
+    const value = param.in === 'path' ? params[param.name] : req.query[param.name];
+    const at = `${param.in}.${param.name}`;
+    if (value === undefined || value === '') {
+      if (param.required) errors.push({ field: at, message: 'is required' });
+      continue;
+    }
+    oaValidate(param.schema, value, at, errors, spec, true);
+  }
+
+  // JSON bodies only: forms and CSV are parsed by their own routes, after this.
+  const jsonBody = operation.requestBody && operation.requestBody.content['application/json'];
+  if (jsonBody && (!req.headers['content-type'] || req.is('application/json'))) {
+    const body = req.body === undefined ? {} : req.body;
+    oaValidate(jsonBody.schema, body, 'body', errors, spec);
+  }
+
+  if (errors.length) return sendValidationError(res, errors);
+  next();
+}
+
+// Logs any /api route registered without a matching operation.
+function checkOpenApiCoverage() {
+  const documented = new Set();
+  for (const [template, operations] of Object.entries(openApiSpec().paths)) {
+    for (const method of Object.keys(operations)) documented.add(`${method.toUpperCase()} ${template.replace(/\{(\w+)\}/g, ':$1')}`);
+  }
+  const missing = [];
+  for (const layer of app._router.stack) {
+    const route = layer.route;
+    if (!route || typeof route.path !== 'string' || !route.path.startsWith('/api/')) continue;
+    // app.all routes (the LTI login) count as documented when their path is.
+    if (require('http').METHODS.every(m => route.methods[m.toLowerCase()])) {
+      if (![...documented].some(key => key.endsWith(` ${route.path}`))) missing.push(`ALL ${route.path}`);
+      continue;
+    }
+    for (const method of Object.keys(route.methods)) {
+      const key = `${method.toUpperCase()} ${route.path}`;
+      if (method !== '_all' && !documented.has(key)) missing.push(key);
+    }
+  }
+  if (missing.length) console.warn(`⚠️  ${missing.length} route(s) missing from the OpenAPI document: ${missing.join(', ')}`);
+  return missing;
+}
+
+// ─── Docs page ────────────────────────────────────────────────────────────────
+
+const oaAnchor = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// A one-line type: Passage, string[], integer | string, { [key]: number }.
+function oaTypeLabel(schema) {
+  if (!schema) return 'any';
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return `<a href="#schema-${oaAnchor(name)}">${escapeHtmlServer(name)}</a>`;
+  }
+  let label;
+  if (schema.anyOf) label = schema.anyOf.map(oaTypeLabel).join(' | ');
+  else if (schema.allOf) label = schema.allOf.map(oaTypeLabel).join(' &amp; ');
+  else if (schema.type === 'array') label = `${oaTypeLabel(schema.items)}[]`;
+  else if (schema.type === 'object' && !schema.properties && schema.additionalProperties) label = `{ [key]: ${oaTypeLabel(schema.additionalProperties)} }`;
+  else label = schema.type || 'any';
+  return schema.nullable ? `${label} | null` : label;
+}
+
+function oaConstraints(schema) {
+  const notes = [];
+  if (schema.enum) notes.push(`one of ${schema.enum.map(v => `<code>${escapeHtmlServer(v)}</code>`).join(', ')}`);
+  if (schema.minimum !== undefined) notes.push(`≥ ${schema.minimum}`);
+  if (schema.maximum !== undefined) notes.push(`≤ ${schema.maximum}`);
+  if (schema.minLength !== undefined) notes.push(`min length ${schema.minLength}`);
+  if (schema.maxLength !== undefined) notes.push(`max length ${schema.maxLength}`);
+  if (schema.minItems !== undefined) notes.push(`min ${schema.minItems} items`);
+  if (schema.maxItems !== undefined) notes.push(`max ${schema.maxItems} items`);
+  if (schema.pattern) notes.push(`matches <code>${escapeHtmlServer(schema.pattern)}</code>`);
+  if (schema.format) notes.push(escapeHtmlServer(schema.format));
+  if (schema.description) notes.push(escapeHtmlServer(schema.description));
+  return notes.join(' · ');
+}
+
+// An object's fields as a nested list; anything else as its type label.
+function oaSchemaHtml(schema, depth = 0) {
+  if (!schema) return '';
+  if (schema.allOf) return schema.allOf.map(part => oaSchemaHtml(part, depth)).join('');
+  if (schema.type !== 'object' || !schema.properties || !Object.keys(schema.properties).length) {
+    const notes = oaConstraints(schema);
+    return `<p><code>${oaTypeLabel(schema)}</code>${notes ? ` — ${notes}` : ''}</p>`;
+  }
+  const required = new Set(schema.required || []);
+  const items = Object.entries(schema.properties).map(([name, prop]) => {
+    const notes = oaConstraints(prop);
+    const nested = depth < 2 && prop.type === 'object' && prop.properties && Object.keys(prop.properties).length ? oaSchemaHtml(prop, depth + 1) : '';
+    return `<li><code>${escapeHtmlServer(name)}</code>${required.has(name) ? ' <span class="req">required</span>' : ''} ` +
+      `<span class="type">${oaTypeLabel(prop)}</span>${notes ? ` — ${notes}` : ''}${nested}</li>`;
+  });
+  return `<ul class="fields">${items.join('')}</ul>`;
+}
+
+function renderOpenApiDocs(spec) {
+  const byTag = new Map(spec.tags.map(t => [t.name, []]));
+  for (const [template, operations] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(operations)) byTag.get(op.tags[0]).push({ template, method, op });
+  }
+  const opId = (method, template) => `op-${method}-${oaAnchor(template)}`;
+  const security = (op) => {
+    if (!op.security) return 'none';
+    return op.security.map(s => Object.keys(s)[0] || 'anonymous').join(' or ');
+  };
+
+  const toc = [...byTag].filter(([, ops]) => ops.length).map(([tag, ops]) => `<li><a href="#tag-${oaAnchor(tag)}">${escapeHtmlServer(tag)}</a><ul>${
+    ops.map(({ template, method, op }) => `<li><a href="#${opId(method, template)}"><span class="m m-${method}">${method.toUpperCase()}</span> ${escapeHtmlServer(template)}</a></li>`).join('')
+  }</ul></li>`).join('');
+
+  const sections = [...byTag].filter(([, ops]) => ops.length).map(([tag, ops]) => `<h2 id="tag-${oaAnchor(tag)}">${escapeHtmlServer(tag)}</h2>${ops.map(({ template, method, op }) => {
+    const params = (op.parameters || []).map(p => `<li><code>${escapeHtmlServer(p.name)}</code> <span class="type">${p.in}</span>${p.required ? ' <span class="req">required</span>' : ''} <span class="type">${oaTypeLabel(p.schema)}</span>${oaConstraints(p.schema) ? ` — ${oaConstraints(p.schema)}` : ''}</li>`).join('');
+    const body = op.requestBody ? Object.entries(op.requestBody.content).map(([type, c]) => `<h4>Body <code>${escapeHtmlServer(type)}</code>${op.requestBody.required ? '' : ' (optional)'}</h4>${oaSchemaHtml(c.schema)}`).join('') : '';
+    const responses = Object.entries(op.responses).map(([status, r]) => `<li><b>${status}</b> ${escapeHtmlServer(r.description)}${
+      r.content ? ` — ${Object.entries(r.content).map(([type, c]) => `<code>${escapeHtmlServer(type)}</code> ${oaTypeLabel(c.schema)}`).join(', ')}` : ''
+    }</li>`).join('');
+    const ok = Object.values(op.responses)[0];
+    const okSchema = ok.content && ok.content['application/json'];
+    return `<section class="op" id="${opId(method, template)}">
+<h3><span class="m m-${method}">${method.toUpperCase()}</span> <code>${escapeHtmlServer(template)}</code></h3>
+<p>${escapeHtmlServer(op.summary)}</p>${op.description ? `<p class="desc">${escapeHtmlServer(op.description)}</p>` : ''}
+<p class="auth">Auth: ${escapeHtmlServer(security(op))}</p>
+${params ? `<h4>Parameters</h4><ul class="fields">${params}</ul>` : ''}${body}
+<h4>Responses</h4><ul>${responses}</ul>${okSchema && !okSchema.schema.$ref ? oaSchemaHtml(okSchema.schema) : ''}
+</section>`;
+  }).join('')}`).join('');
+
+  const schemas = Object.entries(spec.components.schemas).map(([name, schema]) =>
+    `<section class="op" id="schema-${oaAnchor(name)}"><h3><code>${escapeHtmlServer(name)}</code></h3>${oaSchemaHtml(schema)}</section>`).join('');
+  const schemes = Object.entries(spec.components.securitySchemes).map(([name, s]) =>
+    `<li><code>${name}</code> — ${s.type === 'http' ? `Authorization: Bearer` : `${escapeHtmlServer(s.name)} ${s.in}`}${s.description ? ` (${escapeHtmlServer(s.description)})` : ''}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtmlServer(spec.info.title)} ${escapeHtmlServer(spec.info.version)}</title>
+<style>
+body{font:15px/1.5 system-ui,sans-serif;margin:0;color:#1f2937;display:flex}
+nav{width:300px;flex:none;height:100vh;overflow:auto;position:sticky;top:0;background:#f8fafc;border-right:1px solid #e5e7eb;padding:16px;box-sizing:border-box;font-size:13px}
+nav ul{list-style:none;padding-left:8px;margin:4px 0}nav a{color:#1f2937;text-decoration:none}
+main{flex:1;padding:24px 40px;max-width:960px}
+.op{border-top:1px solid #e5e7eb;padding:8px 0}.desc,.auth{color:#4b5563}
+.m{display:inline-block;min-width:52px;text-align:center;font:600 11px monospace;border-radius:4px;padding:2px 4px;color:#fff;background:#6b7280}
+.m-get{background:#2563eb}.m-post{background:#059669}.m-delete{background:#dc2626}
+.req{color:#b91c1c;font-size:12px}.type{color:#6b7280;font-size:13px}.fields{padding-left:20px}
+code{background:#f3f4f6;padding:0 3px;border-radius:3px}
+</style></head><body>
+<nav><b>${escapeHtmlServer(spec.info.title)}</b><ul>${toc}<li><a href="#schemas">Schemas</a></li></ul></nav>
+<main>
+<h1>${escapeHtmlServer(spec.info.title)} <small>${escapeHtmlServer(spec.info.version)}</small></h1>
+<p>${escapeHtmlServer(spec.info.description)}</p>
+<p>Machine-readable: <a href="/api/openapi.json">/api/openapi.json</a> (OpenAPI ${escapeHtmlServer(spec.openapi)}).
+Requests that fail their schema get a 400 with <code>{ error, fields: [{ field, message }] }</code>.</p>
+<h4>Authentication</h4><ul>${schemes}</ul>
+${sections}
+<h2 id="schemas">Schemas</h2>${schemas}
+</main></body></html>`;
+}
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec());
+});
+
+app.get('/api/docs', (req, res) => {
+  try {
+    res.type('html').send(renderOpenApiDocs(openApiSpec()));
+  } catch (e) {
+    console.error('docs page failed:', e);
+    res.status(500).json({ error: 'Docs page failed', details: e.message });
+  }
+});
+
+
 // Friendly shortcut routes — let /admin and /practice work without the .html
 // extension. These must come BEFORE the catch-all, which would otherwise serve
 // index.html for any path that isn't a real file.
@@ -5897,14 +13952,18 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', async () => {
+// v20.2: only bind the port when run directly (`node server.js`). The eval
+// runner requires this file for gradeSummary() and must not start a server.
+if (require.main === module) app.listen(PORT, '0.0.0.0', async () => {
   console.log(`✅ PTE SWT and Essay Builder Unified Portal running on port ${PORT}`);
   console.log(`🌐 Frontend: http://localhost:${PORT}`);
   console.log(`🔑 Admin: http://localhost:${PORT}/admin (key: ${ADMIN_KEY === 'admin123' ? 'admin123 ⚠ CHANGE THIS!' : 'configured'})`);
-  console.log(`🤖 Anthropic: ${anthropic ? 'configured' : 'not configured'}`);
-  console.log(`🤖 AI: ${anthropic ? 'ACTIVE' : 'LOCAL'}`);
+  console.log(`🤖 LLM provider: ${llm.name} (${llm.available ? 'configured' : 'not configured'})${llm.name === 'offline' ? ' — fixtures from ' + LLM_FIXTURES_DIR : ''}`);
+  if (llm.recordMode) console.log(`🎞  LLM ${llm.recordMode}: ${LLM_RECORDINGS_DIR}`);
+  console.log(`🤖 AI: ${llm.available ? 'ACTIVE' : 'LOCAL'}`);
   console.log(`📧 Gmail Transport: ${mailTransport ? 'ACTIVE' : 'INACTIVE'}`);
   console.log(`💾 Storage backend: ${USE_POSTGRES ? 'POSTGRES (URL from ' + DATABASE_URL_SOURCE + ')' : 'JSON FILE (' + DATA_DIR + '/pte_data.json)'}`);
+  checkOpenApiCoverage();
 
   // Warm up Puppeteer in the background (don't block startup)
   getBrowser().catch(err => console.error('Puppeteer warm-up failed:', err));
@@ -5973,3 +14032,5 @@ process.on('SIGINT', async () => {
   if (browserInstance) await browserInstance.close().catch(() => {});
   process.exit(0);
 });
+
+module.exports = { app, gradeSummary };